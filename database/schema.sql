@@ -7,11 +7,11 @@ USE bot_oc;
 CREATE TABLE IF NOT EXISTS bots (
   id INT PRIMARY KEY AUTO_INCREMENT,
   bot_name VARCHAR(100) NOT NULL,
-  exchange ENUM('mexc', 'gate', 'binance') NOT NULL,
+  exchange ENUM('mexc', 'gate', 'binance', 'bybit', 'paper') NOT NULL,
   uid VARCHAR(100),
-  access_key VARCHAR(255) NOT NULL,
-  secret_key VARCHAR(255) NOT NULL,
-  proxy VARCHAR(255), -- format: IP:PORT:USER:PASS
+  access_key TEXT NOT NULL, -- encrypted (see src/utils/credentialCrypto.js)
+  secret_key TEXT NOT NULL, -- encrypted
+  proxy TEXT, -- encrypted, format: IP:PORT:USER:PASS
   telegram_chat_id VARCHAR(100),
   future_balance_target DECIMAL(10,2) DEFAULT 20.00,
   spot_transfer_threshold DECIMAL(10,2) DEFAULT 10.00,
@@ -33,7 +33,7 @@ CREATE TABLE IF NOT EXISTS strategies (
   bot_id INT NOT NULL,
   symbol VARCHAR(20) NOT NULL, -- BTC/USDT
   trade_type ENUM('long', 'short', 'both') DEFAULT 'both',
-  `interval` VARCHAR(5) NOT NULL, -- 1m, 3m, 5m, 15m, 30m, 1h
+  `interval` VARCHAR(5) NOT NULL, -- 1m, 3m, 5m, 15m, 30m, 1h, 4h, 1d
   oc DECIMAL(5,2) NOT NULL, -- Open-Close percentage threshold
   extend DECIMAL(5,2) NOT NULL, -- Entry trigger percentage
   amount DECIMAL(10,2) NOT NULL, -- Position size in USDT
@@ -7,9 +7,21 @@ import { StrategiesPage } from '@/pages/Strategies';
 import { PositionsPage } from '@/pages/Positions';
 import { TransactionsPage } from '@/pages/Transactions';
 import { SettingsPage } from '@/pages/Settings';
+import { LoginPage } from '@/pages/Login';
+import { useAuth } from '@/hooks/useAuth';
 import { ErrorBoundary } from '@/components/common/ErrorBoundary';
 
 function App() {
+  const { isAuthenticated } = useAuth();
+
+  if (!isAuthenticated) {
+    return (
+      <ErrorBoundary>
+        <LoginPage />
+      </ErrorBoundary>
+    );
+  }
+
   return (
     <ErrorBoundary>
       <MainLayout>
@@ -1,7 +1,7 @@
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
-import type { BotFormData } from '@/types/bot.types';
+import type { BotCredentialMasks, BotFormData } from '@/types/bot.types';
 import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage } from '@/components/ui/form';
 import { Input } from '@/components/ui/input';
 import { Select } from '@/components/ui/select';
@@ -13,7 +13,7 @@ import { AlertCircle, Key, Settings, Zap, CreditCard, X } from 'lucide-react';
 
 const schema = z.object({
   botName: z.string().min(3),
-  exchange: z.enum(['mexc', 'gate', 'binance']),
+  exchange: z.enum(['mexc', 'gate', 'binance', 'bybit', 'paper']),
   accessKey: z.string().min(10),
   secretKey: z.string().min(10),
   uid: z.string().optional(),
@@ -27,17 +27,24 @@ const schema = z.object({
   telegramChatId: z.string().optional(),
 });
 
+// Editing: stored keys are only shown masked, so blank means "keep the current key"
+const editSchema = schema.extend({
+  accessKey: z.string().min(10).or(z.literal('')),
+  secretKey: z.string().min(10).or(z.literal('')),
+});
+
 interface BotFormCardProps {
   defaultValues?: Partial<BotFormData>;
   onSubmit: (data: BotFormData) => void;
   onCancel?: () => void;
   title?: string;
   submitLabel?: string;
+  maskedCredentials?: BotCredentialMasks;
 }
 
-export function BotFormCard({ defaultValues, onSubmit, onCancel, title = 'Create New Bot', submitLabel = 'Create Bot' }: BotFormCardProps) {
+export function BotFormCard({ defaultValues, maskedCredentials, onSubmit, onCancel, title = 'Create New Bot', submitLabel = 'Create Bot' }: BotFormCardProps) {
   const form = useForm<BotFormData>({
-    resolver: zodResolver(schema),
+    resolver: zodResolver(maskedCredentials ? editSchema : schema),
     defaultValues: {
       botName: '',
       exchange: 'mexc',
@@ -127,6 +134,8 @@ export function BotFormCard({ defaultValues, onSubmit, onCancel, title = 'Create
                           <option value="mexc">MEXC</option>
                           <option value="gate">Gate.io</option>
                           <option value="binance">Binance</option>
+                          <option value="bybit">Bybit</option>
+                          <option value="paper">Paper (simulated)</option>
                         </Select>
                       </FormControl>
                       <FormMessage errors={form.formState.errors} name="exchange" />
@@ -160,12 +169,12 @@ export function BotFormCard({ defaultValues, onSubmit, onCancel, title = 'Create
                       <FormItem>
                         <FormLabel className="text-sm font-medium text-gray-700">
                           Access Key
-                          <span className="text-red-500 ml-1">*</span>
+                          {!maskedCredentials && <span className="text-red-500 ml-1">*</span>}
                         </FormLabel>
                         <FormControl>
                           <Input
                             type="password"
-                            placeholder="Enter your API access key"
+                            placeholder={maskedCredentials ? `Saved: ${maskedCredentials.accessKey || '****'} (leave blank to keep)` : 'Enter your API access key'}
                             {...rest}
                             value={(value ?? '') as string}
                             className="border-gray-300 focus:border-blue-500 focus:ring-blue-500"
@@ -186,12 +195,12 @@ export function BotFormCard({ defaultValues, onSubmit, onCancel, title = 'Create
                       <FormItem>
                         <FormLabel className="text-sm font-medium text-gray-700">
                           Secret Key
-                          <span className="text-red-500 ml-1">*</span>
+                          {!maskedCredentials && <span className="text-red-500 ml-1">*</span>}
                         </FormLabel>
                         <FormControl>
                           <Input
                             type="password"
-                            placeholder="Enter your API secret key"
+                            placeholder={maskedCredentials ? `Saved: ${maskedCredentials.secretKey || '****'} (leave blank to keep)` : 'Enter your API secret key'}
                             {...rest}
                             value={(value ?? '') as string}
                             className="border-gray-300 focus:border-blue-500 focus:ring-blue-500"
@@ -246,7 +255,7 @@ export function BotFormCard({ defaultValues, onSubmit, onCancel, title = 'Create
                           </FormLabel>
                           <FormControl>
                             <Input
-                              placeholder="Optional"
+                              placeholder={maskedCredentials?.proxy ? `Saved: ${maskedCredentials.proxy} (leave blank to keep)` : 'Optional'}
                               {...rest}
                               value={(value ?? '') as string}
                               className="border-gray-300 focus:border-blue-500 focus:ring-blue-500"
@@ -12,7 +12,7 @@ import { AlertCircle, Key, Settings, Zap, CreditCard, X } from 'lucide-react';
 
 const schema = z.object({
   botName: z.string().min(3),
-  exchange: z.enum(['mexc', 'gate', 'binance']),
+  exchange: z.enum(['mexc', 'gate', 'binance', 'bybit', 'paper']),
   accessKey: z.string().min(10),
   secretKey: z.string().min(10),
   uid: z.string().optional(),
@@ -113,6 +113,8 @@ export function BotFormCardCompact({ defaultValues, onSubmit, onCancel }: BotFor
                         <option value="mexc">MEXC</option>
                         <option value="gate">Gate.io</option>
                         <option value="binance">Binance</option>
+                        <option value="bybit">Bybit</option>
+                        <option value="paper">Paper (simulated)</option>
                       </Select>
                     </FormControl>
                     <FormMessage errors={form.formState.errors} name="exchange" />
@@ -1,17 +1,29 @@
+import { useMemo } from 'react';
 import type { Bot } from '@/types/bot.types';
 import { formatCurrency } from '@/utils/formatters';
+import { periodToFrom, useAnalyticsBreakdown } from '@/hooks/useAnalytics';
 
 interface BotStatsProps {
   bot: Bot;
 }
 
 export function BotStats({ bot }: BotStatsProps) {
+  // Per-bot breakdowns are shared by every BotCard through the react-query cache
+  const last24h = useMemo(() => ({ from: periodToFrom('24h') }), []);
+  const { data: allTime } = useAnalyticsBreakdown('bot');
+  const { data: recent } = useAnalyticsBreakdown('bot', last24h);
+
+  const stats = allTime?.find((row) => Number(row.key) === bot.id);
+  const pnl24h = recent?.find((row) => Number(row.key) === bot.id)?.totalPnl ?? bot.stats?.pnl24h ?? 0;
+  const pnlAll = stats?.totalPnl ?? bot.stats?.pnlAll ?? 0;
+  const profitFactor = stats?.profitFactor === null ? '∞' : (stats?.profitFactor ?? 0).toFixed(2);
+
   return (
     <div className="grid grid-cols-2 gap-3 text-sm text-gray-600 dark:text-gray-400">
       <div>
         <p className="uppercase text-xs tracking-wide text-gray-400">PnL 24h</p>
-        <p className={bot.stats?.pnl24h ?? 0 >= 0 ? 'text-emerald-600' : 'text-red-500'}>
-          {formatCurrency(bot.stats?.pnl24h ?? 0)}
+        <p className={pnl24h >= 0 ? 'text-emerald-600' : 'text-red-500'}>
+          {formatCurrency(pnl24h)}
         </p>
       </div>
       <div>
@@ -24,9 +36,16 @@ export function BotStats({ bot }: BotStatsProps) {
       </div>
       <div>
         <p className="uppercase text-xs tracking-wide text-gray-400">Total PnL</p>
-        <p>{formatCurrency(bot.stats?.pnlAll ?? 0)}</p>
+        <p>{formatCurrency(pnlAll)}</p>
+      </div>
+      <div>
+        <p className="uppercase text-xs tracking-wide text-gray-400">Win Rate</p>
+        <p>{(stats?.winRate ?? 0).toFixed(1)}% ({stats?.trades ?? 0} trades)</p>
+      </div>
+      <div>
+        <p className="uppercase text-xs tracking-wide text-gray-400">Profit Factor</p>
+        <p>{profitFactor}</p>
       </div>
     </div>
   );
 }
-
@@ -10,12 +10,15 @@ const periods: Array<{ label: string; value: DashboardData['stats']['totalPnl']
 ];
 
 interface PnLChartProps {
-  data: Array<{ date: string; pnl: number }>;
+  /** Per-bucket pnl; when `equity` is present the cumulative equity curve is drawn as well */
+  data: Array<{ date: string; pnl: number; equity?: number }>;
   period: string;
   onPeriodChange: (period: string) => void;
 }
 
 export function PnLChart({ data, period, onPeriodChange }: PnLChartProps) {
+  const hasEquity = data.some((point) => point.equity !== undefined);
+
   return (
     <div className="rounded-3xl border border-gray-100 dark:border-gray-800 bg-white dark:bg-gray-950 p-6 space-y-4 shadow-sm">
       <div className="flex items-center justify-between">
@@ -48,7 +51,10 @@ export function PnLChart({ data, period, onPeriodChange }: PnLChartProps) {
               contentStyle={{ borderRadius: 12, borderColor: '#E5E7EB', backgroundColor: '#fff' }}
               labelStyle={{ color: '#4B5563' }}
             />
-            <Line type="monotone" dataKey="pnl" stroke="#3B82F6" strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="pnl" name="PnL" stroke="#3B82F6" strokeWidth={2} dot={false} />
+            {hasEquity && (
+              <Line type="monotone" dataKey="equity" name="Equity" stroke="#10B981" strokeWidth={2} dot={false} />
+            )}
           </LineChart>
         </ResponsiveContainer>
       </div>
@@ -1,8 +1,10 @@
-import { Bell, Sun, Moon } from 'lucide-react';
+import { Bell, Sun, Moon, LogOut } from 'lucide-react';
 import { Button } from '@/components/ui/button';
+import { useAuth } from '@/hooks/useAuth';
 import { useEffect, useState } from 'react';
 
 export function Header() {
+  const { user, logout } = useAuth();
   const [theme, setTheme] = useState<'light' | 'dark'>(
     (localStorage.getItem('theme') as 'light' | 'dark') ?? 'light'
   );
@@ -30,9 +32,15 @@ export function Header() {
         >
           {theme === 'light' ? <Moon className="w-4 h-4" /> : <Sun className="w-4 h-4" />}
         </Button>
-        <div className="w-10 h-10 rounded-full bg-gradient-to-br from-blue-500 to-purple-500 text-white flex items-center justify-center font-semibold">
-          CB
+        <div
+          className="w-10 h-10 rounded-full bg-gradient-to-br from-blue-500 to-purple-500 text-white flex items-center justify-center font-semibold"
+          title={user ? `${user.username} (${user.role})` : undefined}
+        >
+          {user?.username.slice(0, 2).toUpperCase() ?? 'CB'}
         </div>
+        <Button variant="ghost" size="icon" onClick={logout} aria-label="Log out">
+          <LogOut className="w-4 h-4" />
+        </Button>
       </div>
     </header>
   );
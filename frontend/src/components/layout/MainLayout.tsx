@@ -1,8 +1,11 @@
 import type { ReactNode } from 'react';
 import { Sidebar } from './Sidebar';
 import { Header } from './Header';
+import { useRealTimeUpdates } from '@/hooks/useRealTimeUpdates';
 
 export function MainLayout({ children }: { children: ReactNode }) {
+  useRealTimeUpdates();
+
   return (
     <div className="flex min-h-screen bg-gray-50 dark:bg-gray-950 text-gray-900 dark:text-gray-100">
       <Sidebar />
@@ -1,16 +1,18 @@
 import { useForm } from 'react-hook-form';
 import { z } from 'zod';
 import { zodResolver } from '@hookform/resolvers/zod';
-import type { StrategyFormData } from '@/types/strategy.types';
+import type { StrategyFormData, TpLadderLeg } from '@/types/strategy.types';
 import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage } from '@/components/ui/form';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import { StrategyCalculator } from './StrategyCalculator';
 
+const INTERVAL_OPTIONS = ['1m', '3m', '5m', '15m', '30m', '1h', '4h', '1d'] as const;
+
 const schema = z.object({
   symbol: z.string().min(3),
   tradeType: z.enum(['long', 'short', 'both']),
-  interval: z.enum(['1m', '3m', '5m', '15m', '30m', '1h']),
+  interval: z.enum(INTERVAL_OPTIONS),
   oc: z.number().min(1).max(100),
   extend: z.number().min(1).max(100),
   amount: z.number().min(1),
@@ -19,7 +21,43 @@ const schema = z.object({
   upReduce: z.number().min(1).max(100),
   ignore: z.number().min(1).max(100),
   isActive: z.boolean(),
-});
+  vwapFilter: z.boolean().optional(),
+  minOcAtrRatio: z.number().min(0).max(100).nullable().optional(),
+  emaSlopeFilter: z.boolean().optional(),
+  minVolumeRatio: z.number().min(0).max(100).nullable().optional(),
+  tpLadder: z
+    .array(z.object({ tp: z.number().positive().max(1000), percent: z.number().positive() }))
+    .max(5)
+    .refine((legs) => legs.reduce((sum, leg) => sum + leg.percent, 0) < 100, {
+      message: 'Leg percents must sum to less than 100 (the rest trails)',
+    })
+    .nullable()
+    .optional(),
+  exitMode: z.enum(['time_tp', 'trailing_stop']).optional(),
+  trailActivationPct: z.number().min(0).max(100).nullable().optional(),
+  trailCallbackPct: z.number().min(0).max(100).nullable().optional(),
+  trailAtrMult: z.number().min(0).max(100).nullable().optional(),
+  breakEvenPct: z.number().min(0).max(100).nullable().optional(),
+}).refine(
+  (data) => data.exitMode !== 'trailing_stop' || (data.trailCallbackPct ?? 0) > 0 || (data.trailAtrMult ?? 0) > 0,
+  { message: 'Trailing stop needs a callback % or an ATR multiplier', path: ['trailCallbackPct'] }
+).refine(
+  (data) => (data.tpLadder ?? []).every((leg) => leg.tp < data.takeProfit),
+  { message: 'Leg TPs must be below the take profit', path: ['tpLadder'] }
+);
+
+// "20:40, 35:30" <-> [{ tp: 20, percent: 40 }, { tp: 35, percent: 30 }]
+const formatTpLadder = (legs?: TpLadderLeg[] | null) =>
+  (legs ?? []).map((leg) => `${leg.tp}:${leg.percent}`).join(', ');
+
+const parseTpLadder = (text: string): TpLadderLeg[] | null => {
+  const parts = text.split(',').map((part) => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+  return parts.map((part) => {
+    const [tp, percent] = part.split(':');
+    return { tp: Number(tp), percent: Number(percent) };
+  });
+};
 
 interface StrategyFormProps {
   defaultValues?: Partial<StrategyFormData>;
@@ -41,6 +79,16 @@ export function StrategyForm({ defaultValues, onSubmit }: StrategyFormProps) {
       upReduce: 5,
       ignore: 50,
       isActive: true,
+      vwapFilter: false,
+      minOcAtrRatio: null,
+      emaSlopeFilter: false,
+      minVolumeRatio: null,
+      tpLadder: null,
+      exitMode: 'time_tp',
+      trailActivationPct: null,
+      trailCallbackPct: null,
+      trailAtrMult: null,
+      breakEvenPct: null,
       ...defaultValues,
     },
   });
@@ -103,7 +151,7 @@ export function StrategyForm({ defaultValues, onSubmit }: StrategyFormProps) {
                         {...rest}
                         value={(value ?? '1m') as string}
                       >
-                        {['1m', '3m', '5m', '15m', '30m', '1h'].map((option) => (
+                        {INTERVAL_OPTIONS.map((option) => (
                           <option key={option} value={option}>
                             {option}
                           </option>
@@ -261,6 +309,232 @@ export function StrategyForm({ defaultValues, onSubmit }: StrategyFormProps) {
               }}
             />
           </div>
+          <FormField
+            control={form.control}
+            name="minVolumeRatio"
+            render={({ field }) => {
+              const { value, onChange, ...rest } = field;
+              return (
+                <FormItem>
+                  <FormLabel>Min Volume (× trailing avg)</FormLabel>
+                  <FormControl>
+                    <Input
+                      type="number"
+                      step="0.1"
+                      placeholder="Off"
+                      {...rest}
+                      value={(value ?? '') as number | string}
+                      onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+                    />
+                  </FormControl>
+                  <FormMessage errors={form.formState.errors} name="minVolumeRatio" />
+                </FormItem>
+              );
+            }}
+          />
+          <FormField
+            control={form.control}
+            name="tpLadder"
+            render={({ field }) => {
+              const { value, onChange, ...rest } = field;
+              return (
+                <FormItem>
+                  <FormLabel>TP Ladder (tp:percent, ...)</FormLabel>
+                  <FormControl>
+                    <Input
+                      placeholder="Off, e.g. 20:40, 35:30"
+                      {...rest}
+                      defaultValue={formatTpLadder(value as TpLadderLeg[] | null | undefined)}
+                      onBlur={(e) => {
+                        onChange(parseTpLadder(e.target.value));
+                        rest.onBlur();
+                      }}
+                    />
+                  </FormControl>
+                  <FormMessage errors={form.formState.errors} name="tpLadder" />
+                </FormItem>
+              );
+            }}
+          />
+          <div className="grid grid-cols-2 gap-4">
+            <FormField
+              control={form.control}
+              name="exitMode"
+              render={({ field }) => {
+                const { value, ...rest } = field;
+                return (
+                  <FormItem>
+                    <FormLabel>Exit Mode</FormLabel>
+                    <FormControl>
+                      <select
+                        className="w-full rounded-lg border border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2"
+                        {...rest}
+                        value={(value ?? 'time_tp') as string}
+                      >
+                        <option value="time_tp">Time-based trailing TP</option>
+                        <option value="trailing_stop">Price trailing stop</option>
+                      </select>
+                    </FormControl>
+                  </FormItem>
+                );
+              }}
+            />
+            <FormField
+              control={form.control}
+              name="trailActivationPct"
+              render={({ field }) => {
+                const { value, onChange, ...rest } = field;
+                return (
+                  <FormItem>
+                    <FormLabel>Trail Activation (%)</FormLabel>
+                    <FormControl>
+                      <Input
+                        type="number"
+                        step="0.1"
+                        placeholder="Off"
+                        {...rest}
+                        value={(value ?? '') as number | string}
+                        onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+                      />
+                    </FormControl>
+                    <FormMessage errors={form.formState.errors} name="trailActivationPct" />
+                  </FormItem>
+                );
+              }}
+            />
+            <FormField
+              control={form.control}
+              name="trailCallbackPct"
+              render={({ field }) => {
+                const { value, onChange, ...rest } = field;
+                return (
+                  <FormItem>
+                    <FormLabel>Trail Callback (%)</FormLabel>
+                    <FormControl>
+                      <Input
+                        type="number"
+                        step="0.1"
+                        placeholder="Off"
+                        {...rest}
+                        value={(value ?? '') as number | string}
+                        onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+                      />
+                    </FormControl>
+                    <FormMessage errors={form.formState.errors} name="trailCallbackPct" />
+                  </FormItem>
+                );
+              }}
+            />
+            <FormField
+              control={form.control}
+              name="trailAtrMult"
+              render={({ field }) => {
+                const { value, onChange, ...rest } = field;
+                return (
+                  <FormItem>
+                    <FormLabel>Trail Distance (× ATR)</FormLabel>
+                    <FormControl>
+                      <Input
+                        type="number"
+                        step="0.1"
+                        placeholder="Off"
+                        {...rest}
+                        value={(value ?? '') as number | string}
+                        onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+                      />
+                    </FormControl>
+                    <FormMessage errors={form.formState.errors} name="trailAtrMult" />
+                  </FormItem>
+                );
+              }}
+            />
+          </div>
+          <FormField
+            control={form.control}
+            name="breakEvenPct"
+            render={({ field }) => {
+              const { value, onChange, ...rest } = field;
+              return (
+                <FormItem>
+                  <FormLabel>Break-even after (% move)</FormLabel>
+                  <FormControl>
+                    <Input
+                      type="number"
+                      step="0.1"
+                      placeholder="Off"
+                      {...rest}
+                      value={(value ?? '') as number | string}
+                      onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+                    />
+                  </FormControl>
+                  <FormMessage errors={form.formState.errors} name="breakEvenPct" />
+                </FormItem>
+              );
+            }}
+          />
+          <div className="grid grid-cols-3 gap-4">
+            <FormField
+              control={form.control}
+              name="vwapFilter"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>VWAP Filter</FormLabel>
+                  <FormControl>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(field.value)}
+                        onChange={(e) => field.onChange(e.target.checked)}
+                      />
+                      Entry on VWAP side
+                    </label>
+                  </FormControl>
+                </FormItem>
+              )}
+            />
+            <FormField
+              control={form.control}
+              name="minOcAtrRatio"
+              render={({ field }) => {
+                const { value, onChange, ...rest } = field;
+                return (
+                  <FormItem>
+                    <FormLabel>Min OC / ATR</FormLabel>
+                    <FormControl>
+                      <Input
+                        type="number"
+                        step="0.1"
+                        placeholder="Off"
+                        {...rest}
+                        value={(value ?? '') as number | string}
+                        onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+                      />
+                    </FormControl>
+                    <FormMessage errors={form.formState.errors} name="minOcAtrRatio" />
+                  </FormItem>
+                );
+              }}
+            />
+            <FormField
+              control={form.control}
+              name="emaSlopeFilter"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>EMA Slope Filter</FormLabel>
+                  <FormControl>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(field.value)}
+                        onChange={(e) => field.onChange(e.target.checked)}
+                      />
+                      Slope agrees with trend
+                    </label>
+                  </FormControl>
+                </FormItem>
+              )}
+            />
+          </div>
           <FormField
             control={form.control}
             name="isActive"
@@ -0,0 +1,40 @@
+import { useQuery } from '@tanstack/react-query';
+import { api } from '@/services/api';
+import type { AnalyticsFilters, AnalyticsGroupBy } from '@/types/analytics.types';
+
+export type AnalyticsPeriod = '24h' | '7d' | '30d' | 'All';
+
+const PERIOD_HOURS: Record<AnalyticsPeriod, number> = { '24h': 24, '7d': 24 * 7, '30d': 24 * 30, All: 0 };
+
+/** Start of the period (rounded to the minute so the query key stays stable between renders) */
+export function periodToFrom(period: AnalyticsPeriod): string | undefined {
+  const hours = PERIOD_HOURS[period];
+  if (!hours) return undefined;
+  const from = new Date(Date.now() - hours * 3600 * 1000);
+  from.setSeconds(0, 0);
+  return from.toISOString();
+}
+
+export function useAnalyticsSummary(filters: AnalyticsFilters = {}) {
+  return useQuery({
+    queryKey: ['analytics', 'summary', filters],
+    queryFn: () => api.getAnalyticsSummary(filters),
+    refetchInterval: 60000,
+  });
+}
+
+export function usePnlSeries(filters: AnalyticsFilters = {}, period: 'day' | 'week' = 'day') {
+  return useQuery({
+    queryKey: ['analytics', 'pnl-series', period, filters],
+    queryFn: () => api.getPnlSeries(filters, period),
+    refetchInterval: 60000,
+  });
+}
+
+export function useAnalyticsBreakdown(groupBy: AnalyticsGroupBy, filters: AnalyticsFilters = {}) {
+  return useQuery({
+    queryKey: ['analytics', 'breakdown', groupBy, filters],
+    queryFn: () => api.getAnalyticsBreakdown(groupBy, filters),
+    refetchInterval: 60000,
+  });
+}
@@ -1,7 +1,34 @@
-import { useState } from 'react';
+import { useCallback } from 'react';
+import { api } from '@/services/api';
+import { useAuthStore } from '@/store/authStore';
+import type { UserRole } from '@/types/auth.types';
+
+const ROLE_RANK: Record<UserRole, number> = { viewer: 1, operator: 2, admin: 3 };
 
 export function useAuth() {
-  const [user] = useState({ name: 'Admin' });
-  return { user, isAuthenticated: true };
-}
+  const session = useAuthStore((state) => state.session);
+  const setSession = useAuthStore((state) => state.setSession);
+  const clearSession = useAuthStore((state) => state.clearSession);
+
+  const login = useCallback(
+    async (username: string, password: string) => {
+      const next = await api.login(username, password);
+      setSession(next);
+      return next.user;
+    },
+    [setSession]
+  );
 
+  const hasRole = useCallback(
+    (role: UserRole) => !!session && ROLE_RANK[session.user.role] >= ROLE_RANK[role],
+    [session]
+  );
+
+  return {
+    user: session?.user ?? null,
+    isAuthenticated: !!session,
+    login,
+    logout: clearSession,
+    hasRole,
+  };
+}
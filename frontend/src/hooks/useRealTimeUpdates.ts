@@ -1,36 +1,57 @@
 import { useQueryClient } from '@tanstack/react-query';
 import { useEffect } from 'react';
-import { getSocket } from '@/services/websocket';
+import { getSocket, disconnectSocket } from '@/services/websocket';
 import { notify } from '@/utils/notifications';
+import type { RealtimeHandler } from '@/types/realtime.types';
 
 export function useRealTimeUpdates() {
   const queryClient = useQueryClient();
 
   useEffect(() => {
     const socket = getSocket();
+    // The backend may report the same close twice (WS fill + monitor); toast it once
+    const notifiedCloses = new Set<number>();
 
-    socket.on('position:opened', (position) => {
-      notify.positionOpened(position);
+    const refreshPositions = () => {
       queryClient.invalidateQueries({ queryKey: ['positions'] });
+    };
+
+    const onOpened: RealtimeHandler<'position:opened'> = ({ position }) => {
+      notify.positionOpened(position);
+      refreshPositions();
       queryClient.invalidateQueries({ queryKey: ['dashboard'] });
-    });
+    };
 
-    socket.on('position:closed', ({ position, pnl }) => {
-      notify.positionClosed(position, pnl);
-      queryClient.invalidateQueries({ queryKey: ['positions'] });
+    const onClosed: RealtimeHandler<'position:closed'> = ({ position, pnl }) => {
+      if (!notifiedCloses.has(position.id)) {
+        notifiedCloses.add(position.id);
+        notify.positionClosed(position, pnl);
+      }
+      refreshPositions();
       queryClient.invalidateQueries({ queryKey: ['dashboard'] });
-    });
+      queryClient.invalidateQueries({ queryKey: ['analytics'] });
+    };
 
-    socket.on('balance:update', () => {
+    const onBotHealth: RealtimeHandler<'bot:health'> = ({ botId, status, message }) => {
+      if (status === 'halted' || status === 'error') {
+        notify.error(`Bot ${botId}: ${message}`);
+      }
       queryClient.invalidateQueries({ queryKey: ['bots'] });
-      queryClient.invalidateQueries({ queryKey: ['transactions'] });
-    });
+    };
+
+    socket.on('position:opened', onOpened);
+    socket.on('position:updated', refreshPositions);
+    socket.on('position:closed', onClosed);
+    socket.on('exit:moved', refreshPositions);
+    socket.on('bot:health', onBotHealth);
 
     return () => {
-      socket.off('position:opened');
-      socket.off('position:closed');
-      socket.off('balance:update');
+      socket.off('position:opened', onOpened);
+      socket.off('position:updated', refreshPositions);
+      socket.off('position:closed', onClosed);
+      socket.off('exit:moved', refreshPositions);
+      socket.off('bot:health', onBotHealth);
+      disconnectSocket();
     };
   }, [queryClient]);
 }
-
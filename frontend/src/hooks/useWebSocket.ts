@@ -1,18 +1,11 @@
 import { useEffect } from 'react';
-import { getSocket, disconnectSocket } from '@/services/websocket';
+import { getSocket } from '@/services/websocket';
+import type { RealtimeEventName, RealtimeHandler } from '@/types/realtime.types';
 
-export function useWebSocket(events?: Record<string, (...args: any[]) => void>) {
+export function useWebSocket<K extends RealtimeEventName>(event: K, handler: RealtimeHandler<K>) {
   useEffect(() => {
     const socket = getSocket();
-    if (events) {
-      Object.entries(events).forEach(([event, handler]) => socket.on(event, handler));
-    }
-    return () => {
-      if (events) {
-        Object.entries(events).forEach(([event, handler]) => socket.off(event, handler));
-      }
-      disconnectSocket();
-    };
-  }, [events]);
+    socket.on(event, handler);
+    return () => socket.off(event, handler);
+  }, [event, handler]);
 }
-
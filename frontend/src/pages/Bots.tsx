@@ -6,7 +6,7 @@ import { Button } from '@/components/ui/button';
 import { BotList } from '@/components/bots/BotList';
 import { BotFormCard } from '@/components/bots/BotFormCard';
 import { LoadingSpinner } from '@/components/common/LoadingSpinner';
-import type { Bot, BotFormData } from '@/types/bot.types';
+import type { Bot, BotCredentialMasks, BotFormData } from '@/types/bot.types';
 
 function mapToApiPayload(data: Partial<BotFormData>) {
   const mapped: Record<string, any> = {};
@@ -63,9 +63,10 @@ export function BotsPage() {
       botName: b.botName ?? b.bot_name ?? '',
       exchange: (b.exchange ?? 'mexc') as any,
       uid: b.uid ?? '',
-      accessKey: b.accessKey ?? b.access_key ?? '',
+      // Stored credentials are masked by the API; left blank they are kept as-is
+      accessKey: '',
       secretKey: '',
-      proxy: b.proxy ?? '',
+      proxy: '',
       futureBalanceTarget: Number(b.futureBalanceTarget ?? b.future_balance_target ?? 0),
       transferFrequency: Number(b.transferFrequency ?? b.transfer_frequency ?? 0),
       spotTransferThreshold: Number(b.spotTransferThreshold ?? b.spot_transfer_threshold ?? 0),
@@ -77,6 +78,14 @@ export function BotsPage() {
     };
   }
 
+  function mapBotToCredentialMasks(b: Bot & { access_key?: string; secret_key?: string }): BotCredentialMasks {
+    return {
+      accessKey: b.accessKey ?? b.access_key ?? undefined,
+      secretKey: b.secretKey ?? b.secret_key ?? undefined,
+      proxy: b.proxy ?? undefined,
+    };
+  }
+
   return (
     <div className="space-y-6">
       <PageHeader
@@ -101,6 +110,7 @@ export function BotsPage() {
           title={editingBot ? `Edit ${mapBotToFormDefaults(editingBot).botName}` : 'Create New Bot'}
           submitLabel={editingBot ? 'Save Changes' : 'Create Bot'}
           defaultValues={editingBot ? mapBotToFormDefaults(editingBot) : undefined}
+          maskedCredentials={editingBot ? mapBotToCredentialMasks(editingBot) : undefined}
         />
       ) : (
         <>
@@ -1,6 +1,7 @@
-import { useState } from 'react';
+import { useMemo, useState } from 'react';
 import { useDashboard } from '@/hooks/useDashboard';
-import { useRealTimeUpdates } from '@/hooks/useRealTimeUpdates';
+import { periodToFrom, usePnlSeries } from '@/hooks/useAnalytics';
+import type { AnalyticsPeriod } from '@/hooks/useAnalytics';
 import { StatsCard } from '@/components/dashboard/StatsCard';
 import { PnLChart } from '@/components/dashboard/PnLChart';
 import { ActiveBotsWidget } from '@/components/dashboard/ActiveBotsWidget';
@@ -10,8 +11,9 @@ import { ActivitySquare, TrendingUp, Bot, Trophy } from 'lucide-react';
 
 export function DashboardPage() {
   const { data, isLoading } = useDashboard();
-  const [period, setPeriod] = useState<'24h' | '7d' | '30d' | 'All'>('24h');
-  useRealTimeUpdates();
+  const [period, setPeriod] = useState<AnalyticsPeriod>('7d');
+  const seriesFilters = useMemo(() => ({ from: periodToFrom(period) }), [period]);
+  const { data: pnlSeries } = usePnlSeries(seriesFilters, period === 'All' ? 'week' : 'day');
 
   if (isLoading || !data) {
     return <LoadingSpinner fullScreen />;
@@ -25,11 +27,11 @@ export function DashboardPage() {
         <StatsCard title="Total PnL" value={`$${stats.totalPnl.toFixed(2)}`} icon={ActivitySquare} colorScheme="green" />
         <StatsCard title="Total Volume" value={`$${stats.totalVolume.toFixed(2)}`} icon={TrendingUp} colorScheme="blue" />
         <StatsCard title="Active Bots" value={stats.activeBots} icon={Bot} colorScheme="purple" />
-        <StatsCard title="Win Rate" value={`${stats.winRate}%`} icon={Trophy} colorScheme="orange" />
+        <StatsCard title="Win Rate" value={`${stats.winRate.toFixed(1)}%`} icon={Trophy} colorScheme="orange" />
       </div>
       <div className="grid gap-4 lg:grid-cols-3">
           <div className="lg:col-span-2">
-            <PnLChart data={data.pnlSeries} period={period} onPeriodChange={(p) => setPeriod(p as any)} />
+            <PnLChart data={pnlSeries ?? data.pnlSeries} period={period} onPeriodChange={(p) => setPeriod(p as AnalyticsPeriod)} />
           </div>
           <ActiveBotsWidget bots={data.activeBots} />
       </div>
@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import type { FormEvent } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { useAuth } from '@/hooks/useAuth';
+import { notify } from '@/utils/notifications';
+
+export function LoginPage() {
+  const { login } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e: FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await login(username, password);
+    } catch (error) {
+      notify.error(error instanceof Error ? error.message : 'Login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gray-50 dark:bg-gray-950 text-gray-900 dark:text-gray-100">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm rounded-3xl border border-gray-100 dark:border-gray-900 bg-white dark:bg-gray-950 p-6 space-y-4"
+      >
+        <div>
+          <p className="text-xs text-gray-400">Sign in to</p>
+          <p className="text-xl font-semibold">Crypto Bot Dashboard</p>
+        </div>
+        <div className="space-y-2">
+          <label htmlFor="username" className="text-sm font-medium">Username</label>
+          <Input id="username" autoComplete="username" value={username} onChange={(e) => setUsername(e.target.value)} required />
+        </div>
+        <div className="space-y-2">
+          <label htmlFor="password" className="text-sm font-medium">Password</label>
+          <Input
+            id="password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+        </div>
+        <Button type="submit" className="w-full" disabled={submitting}>
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </Button>
+      </form>
+    </div>
+  );
+}
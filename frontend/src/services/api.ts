@@ -2,15 +2,34 @@ import type { Bot, BotFormData } from '@/types/bot.types';
 import type { Strategy, StrategyFormData } from '@/types/strategy.types';
 import type { Position } from '@/types/position.types';
 import type { DashboardData, Transaction } from '@/types/common.types';
+import type { AuthSession, AuthUser } from '@/types/auth.types';
+import type {
+  AnalyticsBreakdownRow,
+  AnalyticsFilters,
+  AnalyticsGroupBy,
+  AnalyticsSummary,
+  CloseReasonStats,
+  PnlSeriesPoint,
+} from '@/types/analytics.types';
+import { useAuthStore } from '@/store/authStore';
 
 const BASE_URL = import.meta.env.VITE_API_URL ?? 'http://localhost:3000/api';
 
 async function request<T>(path: string, options?: RequestInit): Promise<T> {
+  const token = useAuthStore.getState().session?.token;
   const response = await fetch(`${BASE_URL}${path}`, {
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
     ...options,
   });
 
+  // Expired or revoked session: drop it so the app falls back to the login page
+  if (response.status === 401 && token) {
+    useAuthStore.getState().clearSession();
+  }
+
   const payload = await response.json();
 
   if (!response.ok) {
@@ -37,7 +56,31 @@ async function request<T>(path: string, options?: RequestInit): Promise<T> {
   return payload as T;
 }
 
+function analyticsQuery(filters: AnalyticsFilters = {}, extra: Record<string, string> = {}) {
+  const params = new URLSearchParams(extra);
+  const mapping: Record<keyof AnalyticsFilters, string> = {
+    botId: 'bot_id',
+    strategyId: 'strategy_id',
+    symbol: 'symbol',
+    interval: 'interval',
+    side: 'side',
+    from: 'from',
+    to: 'to',
+  };
+  (Object.keys(mapping) as Array<keyof AnalyticsFilters>).forEach((key) => {
+    const value = filters[key];
+    if (value !== undefined && value !== '') params.set(mapping[key], String(value));
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
 export const api = {
+  // Auth
+  login: (username: string, password: string) =>
+    request<AuthSession>('/auth/login', { method: 'POST', body: JSON.stringify({ username, password }) }),
+  getMe: () => request<AuthUser>('/auth/me'),
+
   // Bots
   getBots: () => request<Bot[]>('/bots'),
   getBot: (id: number) => request<Bot>(`/bots/${id}`),
@@ -60,6 +103,16 @@ export const api = {
   closePosition: (id: number) =>
     request(`/positions/${id}/close`, { method: 'POST' }),
 
+  // Analytics
+  getAnalyticsSummary: (filters?: AnalyticsFilters) =>
+    request<AnalyticsSummary>(`/analytics/summary${analyticsQuery(filters)}`),
+  getPnlSeries: (filters?: AnalyticsFilters, period: 'day' | 'week' = 'day') =>
+    request<PnlSeriesPoint[]>(`/analytics/pnl-series${analyticsQuery(filters, { period })}`),
+  getCloseReasons: (filters?: AnalyticsFilters) =>
+    request<CloseReasonStats>(`/analytics/close-reasons${analyticsQuery(filters)}`),
+  getAnalyticsBreakdown: (groupBy: AnalyticsGroupBy, filters?: AnalyticsFilters) =>
+    request<AnalyticsBreakdownRow[]>(`/analytics/breakdown${analyticsQuery(filters, { group_by: groupBy })}`),
+
   // Transactions & stats
   getTransactions: () => request<Transaction[]>('/transactions'),
   getDashboard: async () => {
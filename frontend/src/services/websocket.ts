@@ -1,12 +1,104 @@
-import { io, Socket } from 'socket.io-client';
+import { useAuthStore } from '@/store/authStore';
+import type { RealtimeEventName, RealtimeHandler } from '@/types/realtime.types';
 
-let socket: Socket | null = null;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+function resolveUrl() {
+  if (import.meta.env.VITE_WS_URL) return import.meta.env.VITE_WS_URL as string;
+  const url = new URL(import.meta.env.VITE_API_URL ?? 'http://localhost:3000/api', window.location.origin);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.pathname = '/ws';
+  url.search = '';
+  return url.toString();
+}
+
+/**
+ * Realtime channel to the backend hub (src/services/RealtimeHub.js).
+ * Reconnects with backoff and re-sends the bot subscription after each reconnect.
+ */
+class RealtimeSocket {
+  private ws: WebSocket | null = null;
+  private handlers = new Map<string, Set<(data: unknown) => void>>();
+  private botIds: number[] = [];
+  private reconnectAttempts = 0;
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private closed = false;
+
+  connect() {
+    this.closed = false;
+    if (this.ws && this.ws.readyState <= WebSocket.OPEN) return;
+
+    const token = useAuthStore.getState().session?.token;
+    const url = new URL(resolveUrl());
+    if (token) url.searchParams.set('token', token);
+
+    const ws = new WebSocket(url.toString());
+    this.ws = ws;
+
+    ws.onopen = () => {
+      this.reconnectAttempts = 0;
+      if (this.botIds.length > 0) this.send({ type: 'subscribe', botIds: this.botIds });
+    };
+    ws.onmessage = (message) => {
+      try {
+        const { event, data } = JSON.parse(String(message.data));
+        this.handlers.get(event)?.forEach((handler) => handler(data));
+      } catch {
+        // ignore malformed frames
+      }
+    };
+    ws.onclose = () => {
+      if (this.ws === ws) this.ws = null;
+      this.scheduleReconnect();
+    };
+  }
+
+  private scheduleReconnect() {
+    if (this.closed || this.reconnectTimer || !useAuthStore.getState().session) return;
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+    this.reconnectAttempts += 1;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  private send(message: Record<string, unknown>) {
+    if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(message));
+  }
+
+  on<K extends RealtimeEventName>(event: K, handler: RealtimeHandler<K>) {
+    if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+    this.handlers.get(event)!.add(handler as (data: unknown) => void);
+  }
+
+  off<K extends RealtimeEventName>(event: K, handler?: RealtimeHandler<K>) {
+    if (handler) this.handlers.get(event)?.delete(handler as (data: unknown) => void);
+    else this.handlers.delete(event);
+  }
+
+  /** Only receive events of these bots (empty = all bots) */
+  subscribe(botIds: number[]) {
+    this.botIds = botIds;
+    this.send({ type: 'subscribe', botIds });
+  }
+
+  disconnect() {
+    this.closed = true;
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.ws?.close();
+    this.ws = null;
+  }
+}
+
+let socket: RealtimeSocket | null = null;
 
 export const getSocket = () => {
   if (!socket) {
-    const url = import.meta.env.VITE_WS_URL ?? window.location.origin;
-    socket = io(url, { transports: ['websocket'] });
+    socket = new RealtimeSocket();
   }
+  socket.connect();
   return socket;
 };
 
@@ -14,4 +106,3 @@ export const disconnectSocket = () => {
   socket?.disconnect();
   socket = null;
 };
-
@@ -0,0 +1,31 @@
+import { create } from 'zustand';
+import { storage } from '@/services/storage';
+import type { AuthSession } from '@/types/auth.types';
+
+const SESSION_KEY = 'auth.session';
+
+function loadSession(): AuthSession | null {
+  const session = storage.get<AuthSession | null>(SESSION_KEY, null);
+  if (!session?.token || new Date(session.expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+  return session;
+}
+
+interface AuthState {
+  session: AuthSession | null;
+  setSession: (session: AuthSession) => void;
+  clearSession: () => void;
+}
+
+export const useAuthStore = create<AuthState>((set) => ({
+  session: loadSession(),
+  setSession: (session) => {
+    storage.set(SESSION_KEY, session);
+    set({ session });
+  },
+  clearSession: () => {
+    storage.remove(SESSION_KEY);
+    set({ session: null });
+  },
+}));
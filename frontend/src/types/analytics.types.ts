@@ -0,0 +1,58 @@
+export type CloseReasonGroup = 'tp_hit' | 'sl_hit' | 'candle_end' | 'manual' | 'sync_closed' | 'other';
+
+export type AnalyticsGroupBy = 'strategy' | 'bot' | 'symbol' | 'side' | 'interval';
+
+export interface AnalyticsFilters {
+  botId?: number;
+  strategyId?: number;
+  symbol?: string;
+  interval?: string;
+  side?: 'long' | 'short';
+  from?: string;
+  to?: string;
+}
+
+export interface AnalyticsMetrics {
+  trades: number;
+  wins: number;
+  losses: number;
+  breakeven: number;
+  totalPnl: number;
+  grossProfit: number;
+  grossLoss: number;
+  winRate: number;
+  /** null = no losing trade */
+  profitFactor: number | null;
+  avgWin: number;
+  avgLoss: number;
+  expectancy: number;
+  bestTrade: number | null;
+  worstTrade: number | null;
+  avgHoldSeconds: number | null;
+}
+
+export interface CloseReasonStats {
+  groups: Record<CloseReasonGroup, { trades: number; pnl: number }>;
+  reasons: Array<{ reason: string; group: CloseReasonGroup; trades: number; pnl: number }>;
+}
+
+export interface AnalyticsSummary extends AnalyticsMetrics {
+  maxDrawdown: number;
+  firstClosedAt: string | null;
+  lastClosedAt: string | null;
+  closeReasons: CloseReasonStats;
+}
+
+export interface PnlSeriesPoint {
+  date: string;
+  pnl: number;
+  trades: number;
+  wins: number;
+  equity: number;
+  drawdown: number;
+}
+
+export interface AnalyticsBreakdownRow extends AnalyticsMetrics {
+  key: number | string | null;
+  label: string;
+}
@@ -0,0 +1,13 @@
+export type UserRole = 'viewer' | 'operator' | 'admin';
+
+export interface AuthUser {
+  id: number | null;
+  username: string;
+  role: UserRole;
+}
+
+export interface AuthSession {
+  token: string;
+  expiresAt: string;
+  user: AuthUser;
+}
@@ -1,7 +1,7 @@
 export interface Bot {
   id: number;
   botName: string;
-  exchange: 'mexc' | 'gate' | 'binance';
+  exchange: 'mexc' | 'gate' | 'binance' | 'bybit' | 'paper';
   uid?: string;
   proxy?: string;
   telegramChatId?: string;
@@ -12,11 +12,18 @@ export interface Bot {
   withdrawAddress?: string;
   spotBalanceThreshold: number;
   isActive: boolean;
-  // Optional credentials for display-only purposes from API
+  // Credentials are only returned masked by the API ("****abcd" for the access key, "****" for secrets)
   accessKey?: string;
+  secretKey?: string;
   stats?: BotStats;
 }
 
+export interface BotCredentialMasks {
+  accessKey?: string;
+  secretKey?: string;
+  proxy?: string;
+}
+
 export interface BotStats {
   pnl24h: number;
   pnlAll: number;
@@ -27,7 +34,7 @@ export interface BotStats {
 
 export interface BotFormData {
   botName: string;
-  exchange: 'mexc' | 'gate' | 'binance';
+  exchange: 'mexc' | 'gate' | 'binance' | 'bybit' | 'paper';
   uid?: string;
   accessKey: string;
   secretKey: string;
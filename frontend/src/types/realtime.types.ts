@@ -0,0 +1,80 @@
+import type { PositionSide } from './position.types';
+
+export interface RealtimePosition {
+  id: number;
+  strategyId: number | null;
+  botId: number | null;
+  symbol: string;
+  side: PositionSide;
+  status: string;
+  entryPrice: number;
+  currentPrice: number | null;
+  takeProfitPrice: number | null;
+  stopLossPrice: number | null;
+  amount: number | null;
+  pnl: number;
+  openedAt: string | null;
+  closedAt: string | null;
+  closeReason: string | null;
+}
+
+export interface RealtimePositionEvent {
+  position: RealtimePosition;
+}
+
+export interface RealtimePositionClosedEvent extends RealtimePositionEvent {
+  pnl: number;
+}
+
+export interface RealtimeExitMovedEvent {
+  positionId: number;
+  symbol: string;
+  side: PositionSide;
+  slot: 'exit' | 'stop_loss';
+  orderType: string;
+  stopPrice: number;
+  orderId: string | null;
+  previousOrderId: string | null;
+}
+
+export interface RealtimeOcMatchEvent {
+  strategyId: number;
+  symbol: string;
+  interval: string;
+  oc: number;
+  direction: string;
+  currentPrice: number;
+  timestamp: number;
+}
+
+export interface RealtimePriceAlertEvent {
+  configId: number;
+  exchange: string;
+  symbol: string;
+  interval: string;
+  oc: number;
+  openPrice: number;
+  currentPrice: number;
+  direction: 'bullish' | 'bearish';
+}
+
+export interface RealtimeBotHealthEvent {
+  botId: number;
+  status: 'ok' | 'paused' | 'halted' | 'error';
+  reason: string;
+  message: string;
+}
+
+export interface RealtimeEvents {
+  'position:opened': RealtimePositionEvent;
+  'position:updated': RealtimePositionEvent;
+  'position:closed': RealtimePositionClosedEvent;
+  'exit:moved': RealtimeExitMovedEvent;
+  'oc:match': RealtimeOcMatchEvent;
+  'price-alert:fired': RealtimePriceAlertEvent;
+  'bot:health': RealtimeBotHealthEvent;
+}
+
+export type RealtimeEventName = keyof RealtimeEvents;
+
+export type RealtimeHandler<K extends RealtimeEventName> = (data: RealtimeEvents[K]) => void;
@@ -1,5 +1,13 @@
 export type TradeType = 'long' | 'short' | 'both';
-export type StrategyInterval = '1m' | '3m' | '5m' | '15m' | '30m' | '1h';
+export type StrategyInterval = '1m' | '3m' | '5m' | '15m' | '30m' | '1h' | '4h' | '1d';
+/** time_tp: TP trails towards entry over time; trailing_stop: stop follows the best price */
+export type ExitMode = 'time_tp' | 'trailing_stop';
+
+/** Partial take-profit leg: close `percent`% of the entry quantity at `tp` (take_profit unit) */
+export interface TpLadderLeg {
+  tp: number;
+  percent: number;
+}
 
 export interface Strategy {
   id: number;
@@ -15,6 +23,16 @@ export interface Strategy {
   upReduce: number;
   ignore: number;
   isActive: boolean;
+  vwapFilter?: boolean;
+  minOcAtrRatio?: number | null;
+  emaSlopeFilter?: boolean;
+  minVolumeRatio?: number | null;
+  tpLadder?: TpLadderLeg[] | null;
+  exitMode?: ExitMode;
+  trailActivationPct?: number | null;
+  trailCallbackPct?: number | null;
+  trailAtrMult?: number | null;
+  breakEvenPct?: number | null;
   stats?: {
     openPositions: number;
     todayPnl: number;
@@ -33,5 +51,15 @@ export interface StrategyFormData {
   upReduce: number;
   ignore: number;
   isActive: boolean;
+  vwapFilter?: boolean;
+  minOcAtrRatio?: number | null;
+  emaSlopeFilter?: boolean;
+  minVolumeRatio?: number | null;
+  tpLadder?: TpLadderLeg[] | null;
+  exitMode?: ExitMode;
+  trailActivationPct?: number | null;
+  trailCallbackPct?: number | null;
+  trailAtrMult?: number | null;
+  breakEvenPct?: number | null;
 }
 
@@ -2,7 +2,7 @@ import toast from 'react-hot-toast';
 import type { Position } from '@/types/position.types';
 
 export const notify = {
-  positionOpened: (position: Position) => {
+  positionOpened: (position: Pick<Position, 'side' | 'symbol' | 'entryPrice'>) => {
     toast.success(
       <div className="flex items-start gap-3">
         <div className="w-10 h-10 bg-green-100 rounded-full flex items-center justify-center">
@@ -18,7 +18,7 @@ export const notify = {
       { duration: 4000 }
     );
   },
-  positionClosed: (position: Position, pnl: number) => {
+  positionClosed: (position: Pick<Position, 'symbol'>, pnl: number) => {
     const isProfit = pnl >= 0;
     toast[isProfit ? 'success' : 'error'](
       <div className="flex items-start gap-3">
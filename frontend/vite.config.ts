@@ -16,7 +16,7 @@ export default defineConfig({
         target: 'http://localhost:5000',
         changeOrigin: true,
       },
-      '/socket.io': {
+      '/ws': {
         target: 'http://localhost:5000',
         ws: true,
       },
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Migration: paper-trading exchange
+ *
+ * - Extend bots.exchange enum with 'paper' (simulated exchange, no real orders)
+ * - Create paper_accounts table to persist simulated balance/orders/positions per bot
+ */
+async function readExchangeEnum(queryInterface) {
+  const [rows] = await queryInterface.sequelize.query(
+    "SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'bots' AND COLUMN_NAME = 'exchange' LIMIT 1"
+  );
+  const columnType = rows?.[0]?.COLUMN_TYPE || '';
+  const m = String(columnType).match(/^enum\((.*)\)$/i);
+  const raw = m?.[1] || '';
+  const values = raw
+    .split(',')
+    .map(s => s.trim())
+    .map(s => s.replace(/^'+|'+$/g, ''))
+    .filter(Boolean);
+  return values.length ? values : ['mexc', 'gate', 'binance'];
+}
+
+async function writeExchangeEnum(queryInterface, values) {
+  const enumSql = values.map(v => `'${v.replace(/'/g, "''")}'`).join(',');
+  await queryInterface.sequelize.query(`ALTER TABLE bots MODIFY exchange ENUM(${enumSql}) NOT NULL`);
+}
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'mysql') {
+      const current = await readExchangeEnum(queryInterface);
+      if (!current.includes('paper')) {
+        await writeExchangeEnum(queryInterface, [...current, 'paper']);
+      }
+    }
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('paper_accounts')) {
+      console.log('⚠️  Table paper_accounts already exists, skipping...');
+      return;
+    }
+
+    await queryInterface.createTable('paper_accounts', {
+      bot_id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: 'bots', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      balance: {
+        type: Sequelize.DECIMAL(20, 8),
+        allowNull: false,
+        defaultValue: 0
+      },
+      state: {
+        type: Sequelize.TEXT('long'),
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+  },
+
+  down: async (queryInterface) => {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('paper_accounts')) {
+      await queryInterface.dropTable('paper_accounts');
+    }
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect !== 'mysql') return;
+    await queryInterface.sequelize.query("DELETE FROM bots WHERE exchange = 'paper'");
+    const current = await readExchangeEnum(queryInterface);
+    if (current.includes('paper')) {
+      await writeExchangeEnum(queryInterface, current.filter(v => v !== 'paper'));
+    }
+  }
+};
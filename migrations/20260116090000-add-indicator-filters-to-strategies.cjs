@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Migration: Add indicator entry filters to strategies table
+ *
+ * Optional per-strategy filters evaluated on realtime OC matches (WebSocketOCConsumer)
+ * using EMA/ATR/VWAP from IncrementalMetrics. All filters are disabled by default.
+ * - vwap_filter: counter-trend longs only below VWAP / shorts only above VWAP
+ *   (trend-following: longs above VWAP / shorts below VWAP)
+ * - min_oc_atr_ratio: OC move (|price - open|) must be >= k × ATR of the strategy interval
+ * - ema_slope_filter: EMA slope must agree with the direction of trend-following entries
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tableDescription = await queryInterface.describeTable('strategies');
+
+    if (!tableDescription.vwap_filter) {
+      await queryInterface.addColumn('strategies', 'vwap_filter', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Require entry price on the correct side of VWAP (see WebSocketOCConsumer indicator filters)'
+      });
+    }
+
+    if (!tableDescription.min_oc_atr_ratio) {
+      await queryInterface.addColumn('strategies', 'min_oc_atr_ratio', {
+        type: Sequelize.DECIMAL(10, 4),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Require OC move >= k x ATR of the strategy interval. NULL or <= 0 disables the filter.'
+      });
+    }
+
+    if (!tableDescription.ema_slope_filter) {
+      await queryInterface.addColumn('strategies', 'ema_slope_filter', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Require EMA slope to agree with the direction of trend-following entries'
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const tableDescription = await queryInterface.describeTable('strategies');
+    if (tableDescription.ema_slope_filter) {
+      await queryInterface.removeColumn('strategies', 'ema_slope_filter');
+    }
+    if (tableDescription.min_oc_atr_ratio) {
+      await queryInterface.removeColumn('strategies', 'min_oc_atr_ratio');
+    }
+    if (tableDescription.vwap_filter) {
+      await queryInterface.removeColumn('strategies', 'vwap_filter');
+    }
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Migration: Add min_volume_ratio column to strategies table
+ *
+ * Volume-confirmed OC: a match is only executed when the current bucket volume
+ * is >= min_volume_ratio × the trailing average bucket volume of the strategy interval.
+ * NULL or <= 0 disables the check.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tableDescription = await queryInterface.describeTable('strategies');
+
+    if (!tableDescription.min_volume_ratio) {
+      await queryInterface.addColumn('strategies', 'min_volume_ratio', {
+        type: Sequelize.DECIMAL(10, 4),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Require current bucket volume >= N x trailing average volume. NULL or <= 0 disables the check.'
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('strategies', 'min_volume_ratio');
+  }
+};
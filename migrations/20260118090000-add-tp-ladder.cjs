@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Migration: Add multi-level take-profit ladders
+ *
+ * - strategies.tp_ladder: JSON array of legs [{ tp, percent }] (tp uses the take_profit unit).
+ *   Leg percents sum to < 100; the remainder is closed by the unified trailing exit order.
+ * - positions.exit_legs: JSON array of placed reduce-only leg orders with fill state and realized PnL.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const strategiesTable = await queryInterface.describeTable('strategies');
+    if (!strategiesTable.tp_ladder) {
+      await queryInterface.addColumn('strategies', 'tp_ladder', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'JSON TP ladder [{"tp":20,"percent":40}]. NULL disables partial take-profits.'
+      });
+    }
+
+    const positionsTable = await queryInterface.describeTable('positions');
+    if (!positionsTable.exit_legs) {
+      await queryInterface.addColumn('positions', 'exit_legs', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'JSON partial exit legs (order_id, status, filled_qty, avg_price, realized_pnl)'
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const positionsTable = await queryInterface.describeTable('positions');
+    if (positionsTable.exit_legs) {
+      await queryInterface.removeColumn('positions', 'exit_legs');
+    }
+    const strategiesTable = await queryInterface.describeTable('strategies');
+    if (strategiesTable.tp_ladder) {
+      await queryInterface.removeColumn('strategies', 'tp_ladder');
+    }
+  }
+};
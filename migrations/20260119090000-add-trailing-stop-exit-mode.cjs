@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Migration: Add price-based trailing stop exit mode
+ *
+ * strategies.exit_mode:
+ * - time_tp (default): existing time-based trailing TP (reduce/up_reduce)
+ * - trailing_stop: classic trailing stop evaluated on realtime ticks (PositionService.evaluateTrailingStop)
+ *   - trail_activation_pct: favourable move from entry (%) before the stop is armed (NULL/0 = immediately)
+ *   - trail_callback_pct: stop distance from the best price (%)
+ *   - trail_atr_mult: if > 0, stop distance = k x ATR of the strategy interval (callback % while ATR warms up)
+ *
+ * positions.trail_best_price / trail_stop_price track the best price seen and the current stop level.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const strategiesTable = await queryInterface.describeTable('strategies');
+
+    if (!strategiesTable.exit_mode) {
+      await queryInterface.addColumn('strategies', 'exit_mode', {
+        type: Sequelize.ENUM('time_tp', 'trailing_stop'),
+        allowNull: false,
+        defaultValue: 'time_tp',
+        comment: 'Exit mode: time_tp (time-based trailing TP) or trailing_stop (price-based trailing stop)'
+      });
+    }
+
+    if (!strategiesTable.trail_activation_pct) {
+      await queryInterface.addColumn('strategies', 'trail_activation_pct', {
+        type: Sequelize.DECIMAL(10, 4),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'trailing_stop: favourable move from entry (%) before the stop is armed'
+      });
+    }
+
+    if (!strategiesTable.trail_callback_pct) {
+      await queryInterface.addColumn('strategies', 'trail_callback_pct', {
+        type: Sequelize.DECIMAL(10, 4),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'trailing_stop: stop distance from the best price (%)'
+      });
+    }
+
+    if (!strategiesTable.trail_atr_mult) {
+      await queryInterface.addColumn('strategies', 'trail_atr_mult', {
+        type: Sequelize.DECIMAL(10, 4),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'trailing_stop: stop distance = k x ATR of the strategy interval. NULL or <= 0 uses trail_callback_pct.'
+      });
+    }
+
+    const positionsTable = await queryInterface.describeTable('positions');
+
+    if (!positionsTable.trail_best_price) {
+      await queryInterface.addColumn('positions', 'trail_best_price', {
+        type: Sequelize.DECIMAL(20, 8),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'trailing_stop: best price seen since entry'
+      });
+    }
+
+    if (!positionsTable.trail_stop_price) {
+      await queryInterface.addColumn('positions', 'trail_stop_price', {
+        type: Sequelize.DECIMAL(20, 8),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'trailing_stop: current stop level of the exit order (NULL until armed)'
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const positionsTable = await queryInterface.describeTable('positions');
+    if (positionsTable.trail_stop_price) {
+      await queryInterface.removeColumn('positions', 'trail_stop_price');
+    }
+    if (positionsTable.trail_best_price) {
+      await queryInterface.removeColumn('positions', 'trail_best_price');
+    }
+
+    const strategiesTable = await queryInterface.describeTable('strategies');
+    if (strategiesTable.trail_atr_mult) {
+      await queryInterface.removeColumn('strategies', 'trail_atr_mult');
+    }
+    if (strategiesTable.trail_callback_pct) {
+      await queryInterface.removeColumn('strategies', 'trail_callback_pct');
+    }
+    if (strategiesTable.trail_activation_pct) {
+      await queryInterface.removeColumn('strategies', 'trail_activation_pct');
+    }
+    if (strategiesTable.exit_mode) {
+      await queryInterface.removeColumn('strategies', 'exit_mode');
+    }
+  }
+};
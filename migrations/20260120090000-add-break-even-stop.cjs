@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Migration: Add break-even stop
+ *
+ * - strategies.break_even_pct: favourable move from entry (%) that moves the stop to entry + fees (NULL/0 disables)
+ * - positions.break_even_armed_at: when the break-even stop was armed (NULL = not armed); armed once per position
+ * - positions.break_even_price: break-even stop level (entry ± BREAK_EVEN_FEE_PCT)
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const strategiesTable = await queryInterface.describeTable('strategies');
+    if (!strategiesTable.break_even_pct) {
+      await queryInterface.addColumn('strategies', 'break_even_pct', {
+        type: Sequelize.DECIMAL(10, 4),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Favourable move from entry (%) that arms the break-even stop. NULL or <= 0 disables.'
+      });
+    }
+
+    const positionsTable = await queryInterface.describeTable('positions');
+    if (!positionsTable.break_even_armed_at) {
+      await queryInterface.addColumn('positions', 'break_even_armed_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'When the break-even stop was armed (NULL = not armed)'
+      });
+    }
+    if (!positionsTable.break_even_price) {
+      await queryInterface.addColumn('positions', 'break_even_price', {
+        type: Sequelize.DECIMAL(20, 8),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Break-even stop level (entry +/- BREAK_EVEN_FEE_PCT)'
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const positionsTable = await queryInterface.describeTable('positions');
+    if (positionsTable.break_even_price) {
+      await queryInterface.removeColumn('positions', 'break_even_price');
+    }
+    if (positionsTable.break_even_armed_at) {
+      await queryInterface.removeColumn('positions', 'break_even_armed_at');
+    }
+    const strategiesTable = await queryInterface.describeTable('strategies');
+    if (strategiesTable.break_even_pct) {
+      await queryInterface.removeColumn('strategies', 'break_even_pct');
+    }
+  }
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Migration: Per-bot daily loss limit (kill switch)
+ *
+ * bots.daily_loss_limit / daily_loss_limit_pct:
+ * - realized positions.pnl since UTC midnight (or since the last manual reset) is compared against the limit
+ * - USDT and/or % of the futures balance; when both are set the tighter one applies (NULL/0 = disabled)
+ * - once breached the bot stops opening new entries until the next UTC day or a manual reset
+ *
+ * bots.daily_loss_flatten: also close all open positions of the bot when the limit is breached
+ * bots.daily_loss_halted_at: time the kill switch tripped (NULL = not halted)
+ * bots.daily_loss_reset_at: time of the last manual reset (losses before it are ignored for the day)
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const botsTable = await queryInterface.describeTable('bots');
+
+    if (!botsTable.daily_loss_limit) {
+      await queryInterface.addColumn('bots', 'daily_loss_limit', {
+        type: Sequelize.DECIMAL(20, 8),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Max realized loss per UTC day in USDT (NULL/0 = no limit)'
+      });
+    }
+
+    if (!botsTable.daily_loss_limit_pct) {
+      await queryInterface.addColumn('bots', 'daily_loss_limit_pct', {
+        type: Sequelize.DECIMAL(10, 4),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Max realized loss per UTC day in % of the futures balance (NULL/0 = no limit)'
+      });
+    }
+
+    if (!botsTable.daily_loss_flatten) {
+      await queryInterface.addColumn('bots', 'daily_loss_flatten', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Close all open positions when the daily loss limit is breached'
+      });
+    }
+
+    if (!botsTable.daily_loss_halted_at) {
+      await queryInterface.addColumn('bots', 'daily_loss_halted_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Time the daily loss kill switch tripped (NULL = not halted)'
+      });
+    }
+
+    if (!botsTable.daily_loss_reset_at) {
+      await queryInterface.addColumn('bots', 'daily_loss_reset_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Time of the last manual daily loss reset'
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const botsTable = await queryInterface.describeTable('bots');
+    for (const column of ['daily_loss_reset_at', 'daily_loss_halted_at', 'daily_loss_flatten', 'daily_loss_limit_pct', 'daily_loss_limit']) {
+      if (botsTable[column]) {
+        await queryInterface.removeColumn('bots', column);
+      }
+    }
+  }
+};
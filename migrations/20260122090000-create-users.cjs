@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Migration: API users (authentication + role-based access)
+ *
+ * - role: viewer (read-only), operator (strategies/positions), admin (bots, credentials, transfers/withdrawals, users)
+ * - password_hash: scrypt hash (see AuthService.hashPassword)
+ * - the first admin is bootstrapped from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD when the table is empty
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('users')) {
+      console.log('⚠️  Table users already exists, skipping...');
+      return;
+    }
+
+    await queryInterface.createTable('users', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      username: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      password_hash: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      role: {
+        type: Sequelize.ENUM('viewer', 'operator', 'admin'),
+        allowNull: false,
+        defaultValue: 'viewer'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      last_login_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        defaultValue: null
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+  },
+
+  down: async (queryInterface) => {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('users')) {
+      await queryInterface.dropTable('users');
+    }
+  }
+};
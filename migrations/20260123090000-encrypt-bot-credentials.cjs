@@ -0,0 +1,56 @@
+'use strict';
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Migration: Encrypt exchange credentials at rest
+ *
+ * bots.access_key / secret_key / proxy are widened to TEXT (envelope ciphertext is longer than 255 chars)
+ * and existing plaintext rows are encrypted with CREDENTIALS_MASTER_KEY (see src/utils/credentialCrypto.js).
+ * down decrypts the rows back to plaintext (the master key is required both ways).
+ */
+
+const loadCrypto = () => import(pathToFileURL(path.join(__dirname, '../src/utils/credentialCrypto.js')).href);
+
+const CREDENTIAL_COLUMNS = ['access_key', 'secret_key', 'proxy'];
+
+async function transformRows(queryInterface, transform) {
+  const [rows] = await queryInterface.sequelize.query('SELECT id, access_key, secret_key, proxy FROM bots');
+  for (const row of rows) {
+    const values = CREDENTIAL_COLUMNS.map(column => transform(row[column], column));
+    await queryInterface.sequelize.query(
+      'UPDATE bots SET access_key = ?, secret_key = ?, proxy = ? WHERE id = ?',
+      { replacements: [...values, row.id] }
+    );
+  }
+  return rows.length;
+}
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    if (!process.env.CREDENTIALS_MASTER_KEY) {
+      throw new Error('CREDENTIALS_MASTER_KEY must be set to encrypt existing bot credentials');
+    }
+    const { encryptCredential, CREDENTIAL_HINT_FIELDS } = await loadCrypto();
+
+    await queryInterface.changeColumn('bots', 'access_key', { type: Sequelize.TEXT, allowNull: false });
+    await queryInterface.changeColumn('bots', 'secret_key', { type: Sequelize.TEXT, allowNull: false });
+    await queryInterface.changeColumn('bots', 'proxy', { type: Sequelize.TEXT, allowNull: true });
+
+    // encryptCredential skips values that are already encrypted, so re-running is safe
+    const count = await transformRows(queryInterface, (value, column) =>
+      encryptCredential(value, { hint: CREDENTIAL_HINT_FIELDS.includes(column) })
+    );
+    console.log(`Encrypted credentials of ${count} bot(s)`);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const { decryptCredential } = await loadCrypto();
+    await transformRows(queryInterface, decryptCredential);
+
+    await queryInterface.changeColumn('bots', 'access_key', { type: Sequelize.STRING(255), allowNull: false });
+    await queryInterface.changeColumn('bots', 'secret_key', { type: Sequelize.STRING(255), allowNull: false });
+    await queryInterface.changeColumn('bots', 'proxy', { type: Sequelize.STRING(255), allowNull: true });
+  }
+};
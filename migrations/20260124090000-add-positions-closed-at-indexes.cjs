@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Indexes for the analytics API (src/services/AnalyticsService.js):
+ * every aggregation filters closed positions by closed_at, optionally per bot.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const indexes = await queryInterface.showIndex('positions');
+    const has = (name) => indexes.some(idx => idx.name === name);
+
+    if (!has('idx_positions_status_closed_at')) {
+      await queryInterface.addIndex('positions', ['status', 'closed_at'], { name: 'idx_positions_status_closed_at' });
+    }
+    if (!has('idx_positions_bot_status_closed_at')) {
+      await queryInterface.addIndex('positions', ['bot_id', 'status', 'closed_at'], { name: 'idx_positions_bot_status_closed_at' });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const indexes = await queryInterface.showIndex('positions');
+    for (const name of ['idx_positions_bot_status_closed_at', 'idx_positions_status_closed_at']) {
+      if (indexes.some(idx => idx.name === name)) {
+        await queryInterface.removeIndex('positions', name);
+      }
+    }
+  }
+};
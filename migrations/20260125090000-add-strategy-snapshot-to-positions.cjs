@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Migration: Snapshot of the strategy parameters at entry time
+ *
+ * positions.strategy_snapshot: JSON copy of the strategy parameters (oc, extend, take_profit, reduce, stoploss,
+ * exit mode, filters...) written by Position.create, so the trade journal export reports the parameters a trade
+ * was opened with even after the strategy has been edited. NULL for positions opened before this migration.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const positionsTable = await queryInterface.describeTable('positions');
+    if (!positionsTable.strategy_snapshot) {
+      await queryInterface.addColumn('positions', 'strategy_snapshot', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'JSON strategy parameters at entry time'
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const positionsTable = await queryInterface.describeTable('positions');
+    if (positionsTable.strategy_snapshot) {
+      await queryInterface.removeColumn('positions', 'strategy_snapshot');
+    }
+  }
+};
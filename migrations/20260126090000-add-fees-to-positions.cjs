@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Migration: Real fees and funding on positions
+ *
+ * - positions.entry_fee / exit_fee: commission (USDT) of the entry and exit fills, summed from the `n` field of
+ *   ORDER_TRADE_UPDATE user-data events (PositionFeeService.recordTradeFee)
+ * - positions.funding_fee: funding income while the position was open (Binance FUNDING_FEE income, < 0 = paid),
+ *   refreshed periodically by PositionSync
+ * - positions.net_pnl: pnl - entry_fee - exit_fee + funding_fee, set when the position closes and kept up to date
+ *   when fees arrive later. NULL for positions closed before this migration (reports fall back to pnl).
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const positionsTable = await queryInterface.describeTable('positions');
+
+    for (const [column, comment] of [
+      ['entry_fee', 'Commission of the entry fills (USDT)'],
+      ['exit_fee', 'Commission of the exit fills (USDT)'],
+      ['funding_fee', 'Funding income while open (USDT, negative = paid)']
+    ]) {
+      if (!positionsTable[column]) {
+        await queryInterface.addColumn('positions', column, {
+          type: Sequelize.DECIMAL(20, 8),
+          allowNull: false,
+          defaultValue: 0,
+          comment
+        });
+      }
+    }
+
+    if (!positionsTable.net_pnl) {
+      await queryInterface.addColumn('positions', 'net_pnl', {
+        type: Sequelize.DECIMAL(20, 8),
+        allowNull: true,
+        defaultValue: null,
+        comment: 'pnl - entry_fee - exit_fee + funding_fee (NULL until closed)'
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const positionsTable = await queryInterface.describeTable('positions');
+    for (const column of ['net_pnl', 'funding_fee', 'exit_fee', 'entry_fee']) {
+      if (positionsTable[column]) {
+        await queryInterface.removeColumn('positions', column);
+      }
+    }
+  }
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Migration: Strategy optimizer runs
+ *
+ * One row per grid/random parameter sweep (StrategyOptimizerService):
+ * - request: symbols, interval, replay window, parameter ranges, objective and engine options (JSON)
+ * - progress: status pending → running → completed | failed, combinations / evaluated counters
+ * - results: ranked top combinations with their backtest metrics (JSON), importable as strategies
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('optimizer_runs')) {
+      console.log('⚠️  Table optimizer_runs already exists, skipping...');
+      return;
+    }
+
+    await queryInterface.createTable('optimizer_runs', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      bot_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Bot whose exchange provides the historical klines'
+      },
+      exchange: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      symbols: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'JSON array of symbols'
+      },
+      interval: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      method: {
+        type: Sequelize.ENUM('grid', 'random'),
+        allowNull: false,
+        defaultValue: 'grid'
+      },
+      objective: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'net_pnl'
+      },
+      min_trades: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      param_ranges: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'JSON parameter ranges (value lists or {min,max,step})'
+      },
+      options: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'JSON engine options (trade_type, amount, fee_rate, slippage, samples, top_n)'
+      },
+      from_time: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      to_time: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'running', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      combinations: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      evaluated: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      results: {
+        type: Sequelize.TEXT('long'),
+        allowNull: true,
+        comment: 'JSON ranked results'
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        defaultValue: null
+      }
+    });
+
+    await queryInterface.addIndex('optimizer_runs', ['created_at'], { name: 'idx_optimizer_runs_created_at' });
+  },
+
+  down: async (queryInterface) => {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('optimizer_runs')) {
+      await queryInterface.dropTable('optimizer_runs');
+    }
+  }
+};
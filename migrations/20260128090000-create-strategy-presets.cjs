@@ -0,0 +1,91 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Migration: Strategy presets library
+ *
+ * - config: JSON strategy parameters (oc, extend, take_profit, stoploss, reduce, up_reduce, amount, interval, trade_type...)
+ *   applied by POST /api/strategies/bulk-apply
+ * - meta: JSON extra information shown with the preset (risk_reward, win_rate_needed, notes)
+ * Seeded from STRATEGY_CONFIG_PRESETS.json (repo root).
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('strategy_presets')) {
+      console.log('⚠️  Table strategy_presets already exists, skipping...');
+      return;
+    }
+
+    await queryInterface.createTable('strategy_presets', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'Preset key (e.g. recommended_default)'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      config: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'JSON strategy parameters'
+      },
+      meta: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'JSON risk_reward, win_rate_needed, notes'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    const file = path.resolve(__dirname, '..', 'STRATEGY_CONFIG_PRESETS.json');
+    if (!fs.existsSync(file)) return;
+
+    const { presets = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const rows = Object.entries(presets).map(([name, preset]) => {
+      const { name: title, description, config, ...meta } = preset;
+      return {
+        name,
+        title: title || null,
+        description: description || null,
+        config: JSON.stringify(config || {}),
+        meta: Object.keys(meta).length > 0 ? JSON.stringify(meta) : null
+      };
+    });
+    if (rows.length > 0) {
+      await queryInterface.bulkInsert('strategy_presets', rows);
+      console.log(`✅ Seeded ${rows.length} strategy presets from STRATEGY_CONFIG_PRESETS.json`);
+    }
+  },
+
+  down: async (queryInterface) => {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('strategy_presets')) {
+      await queryInterface.dropTable('strategy_presets');
+    }
+  }
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Migration: Audit log of strategy/bot changes and strategy versioning
+ *
+ * - audit_log: one row per create/update/delete (single or bulk) of a strategy or bot, with the user
+ *   and the before/after JSON (bot credentials masked)
+ * - strategies.version: bumped by Strategy.update when a strategy parameter changes (is_active toggles keep it)
+ * - positions.strategy_version: strategy version active when the position was opened (NULL before this migration)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('audit_log')) {
+      await queryInterface.createTable('audit_log', {
+        id: {
+          type: Sequelize.BIGINT,
+          primaryKey: true,
+          autoIncrement: true,
+          allowNull: false
+        },
+        entity_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          comment: 'strategy | bot'
+        },
+        entity_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        action: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          comment: 'create | update | delete | bulk_apply | bulk_update | rollback'
+        },
+        version: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          comment: 'Strategy version after the change'
+        },
+        user_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        username: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        before_data: {
+          type: Sequelize.TEXT('medium'),
+          allowNull: true
+        },
+        after_data: {
+          type: Sequelize.TEXT('medium'),
+          allowNull: true
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      await queryInterface.addIndex('audit_log', ['entity_type', 'entity_id', 'id'], { name: 'idx_audit_log_entity' });
+      await queryInterface.addIndex('audit_log', ['created_at'], { name: 'idx_audit_log_created_at' });
+    } else {
+      console.log('⚠️  Table audit_log already exists, skipping...');
+    }
+
+    const strategiesTable = await queryInterface.describeTable('strategies');
+    if (!strategiesTable.version) {
+      await queryInterface.addColumn('strategies', 'version', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Parameter version, bumped on every parameter change'
+      });
+    }
+
+    const positionsTable = await queryInterface.describeTable('positions');
+    if (!positionsTable.strategy_version) {
+      await queryInterface.addColumn('positions', 'strategy_version', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Strategy version at entry time'
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    const positionsTable = await queryInterface.describeTable('positions');
+    if (positionsTable.strategy_version) {
+      await queryInterface.removeColumn('positions', 'strategy_version');
+    }
+
+    const strategiesTable = await queryInterface.describeTable('strategies');
+    if (strategiesTable.version) {
+      await queryInterface.removeColumn('strategies', 'version');
+    }
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('audit_log')) {
+      await queryInterface.dropTable('audit_log');
+    }
+  }
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Migration: Bybit exchange
+ *
+ * - Extend bots.exchange enum with 'bybit' (USDT perpetuals)
+ */
+async function readExchangeEnum(queryInterface) {
+  const [rows] = await queryInterface.sequelize.query(
+    "SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'bots' AND COLUMN_NAME = 'exchange' LIMIT 1"
+  );
+  const m = String(rows?.[0]?.COLUMN_TYPE || '').match(/^enum\((.*)\)$/i);
+  const values = (m?.[1] || '')
+    .split(',')
+    .map(s => s.trim().replace(/^'+|'+$/g, ''))
+    .filter(Boolean);
+  return values.length ? values : ['mexc', 'gate', 'binance', 'paper'];
+}
+
+async function writeExchangeEnum(queryInterface, values) {
+  const enumSql = values.map(v => `'${v.replace(/'/g, "''")}'`).join(',');
+  await queryInterface.sequelize.query(`ALTER TABLE bots MODIFY exchange ENUM(${enumSql}) NOT NULL`);
+}
+
+module.exports = {
+  up: async (queryInterface) => {
+    if (queryInterface.sequelize.getDialect() !== 'mysql') return;
+    const current = await readExchangeEnum(queryInterface);
+    if (current.includes('bybit')) {
+      console.log('⚠️  bots.exchange already includes bybit, skipping...');
+      return;
+    }
+    await writeExchangeEnum(queryInterface, [...current, 'bybit']);
+  },
+
+  down: async (queryInterface) => {
+    if (queryInterface.sequelize.getDialect() !== 'mysql') return;
+    await queryInterface.sequelize.query("DELETE FROM bots WHERE exchange = 'bybit'");
+    const current = await readExchangeEnum(queryInterface);
+    if (current.includes('bybit')) {
+      await writeExchangeEnum(queryInterface, current.filter(v => v !== 'bybit'));
+    }
+  }
+};
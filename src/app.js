@@ -6,13 +6,16 @@ import { testConnection } from './config/database.js';
 import { TelegramService } from './services/TelegramService.js';
 import { TelegramBot } from './telegram/bot.js';
 import { exchangeInfoService } from './services/ExchangeInfoService.js';
+import { listExchangeAdapters, getExchangeAdapter } from './services/exchanges/index.js';
 import { SymbolsUpdater } from './jobs/SymbolsUpdater.js';
 import { configService } from './services/ConfigService.js';
 import { AppConfig } from './models/AppConfig.js';
+import { authService } from './services/AuthService.js';
 
 import routes from './routes/index.js';
 import logger from './utils/logger.js';
 import { webSocketManager } from './services/WebSocketManager.js';
+import { realtimeHub } from './services/RealtimeHub.js';
 
 // Load environment variables
 dotenv.config();
@@ -120,24 +123,58 @@ async function start() {
 
       // Position service and SL/TP update configs
       await AppConfig.set('SL_UPDATE_THRESHOLD_TICKS', '1', 'Minimum price ticks change to trigger SL update');
+      await AppConfig.set('BREAK_EVEN_FEE_PCT', '0.1', 'Fees (%) added to entry for the break-even stop (strategies.break_even_pct), e.g. 0.1 = round-trip taker fees');
       await AppConfig.set('TP_UPDATE_THRESHOLD_TICKS', '1', 'Minimum price ticks change to trigger TP update');
       await AppConfig.set('TP_SL_PLACEMENT_DELAY_MS', '1000', 'Delay (ms) between TP and SL order placements to avoid rate limits');
       await AppConfig.set('WS_TICK_MIN_INTERVAL_MS', '50', 'Delay (ms) between TP and SL order placements to avoid rate limits');
       await AppConfig.set('WS_TICK_BATCH_SIZE', '150', 'Delay (ms) between TP and SL order placements to avoid rate limits');
       await AppConfig.set('WS_TICK_CONCURRENCY', '20', 'Delay (ms) between TP and SL order placements to avoid rate limits');
+      await AppConfig.set('VOLUME_RATIO_LOOKBACK', '20', 'Number of previous buckets averaged for volume-confirmed OC (strategies.min_volume_ratio)');
+      await AppConfig.set('VOLUME_RATIO_MIN_SAMPLES', '5', 'Minimum previous buckets with volume data before min_volume_ratio can pass a signal');
+      await AppConfig.set('LOSS_COOLDOWN_STRATEGY_STREAK', '0', 'Consecutive losing closes of a strategy before its new entries are paused (0 = disabled)');
+      await AppConfig.set('LOSS_COOLDOWN_STRATEGY_MINUTES', '60', 'Minutes a strategy stays paused after LOSS_COOLDOWN_STRATEGY_STREAK consecutive losses');
+      await AppConfig.set('LOSS_COOLDOWN_SYMBOL_STREAK', '0', 'Consecutive losing closes of a bot on one symbol (any strategy) before new entries on that symbol are paused (0 = disabled)');
+      await AppConfig.set('LOSS_COOLDOWN_SYMBOL_MINUTES', '60', 'Minutes a bot+symbol stays paused after LOSS_COOLDOWN_SYMBOL_STREAK consecutive losses');
+      await AppConfig.set('STRATEGY_BULK_MAX_SYMBOLS', '500', 'Maximum symbols one POST /api/strategies/bulk-apply may create/update (and strategies one bulk-update may change)');
+      await AppConfig.set('OPTIMIZER_MAX_COMBINATIONS', '5000', 'Maximum parameter combinations of one strategy optimizer run (grid size or random samples)');
+      await AppConfig.set('INDICATOR_FILTER_MIN_BARS', '14', 'Closed bars required per symbol/interval before strategy indicator filters (VWAP/ATR/EMA slope) can pass a signal');
 
       // WebSocket and connection configs
+      await AppConfig.set('BINANCE_WS_KLINE_INTERVALS', 'auto', 'Binance WS kline intervals subscribed per symbol for bucket opens and volume tracking (auto = 1m + intervals of the strategies on the symbol, list e.g. 1m,5m, empty = disabled; each interval is one stream per symbol)');
       await AppConfig.set('BINANCE_TESTNET_WS_BASE', 'wss://stream.binancefuture.com/ws', 'Binance testnet WebSocket base URL');
       await AppConfig.set('LISTEN_KEY_KEEPALIVE_MS', '1800000', 'Interval (ms) to refresh WebSocket listen key (30 minutes)');
       await AppConfig.set('WS_RECONNECT_BACKOFF_MS', '3000', 'Backoff (ms) for WebSocket reconnection attempts');
       await AppConfig.set('MEXC_FUTURES_WS_URL', 'wss://contract.mexc.co/edge', 'MEXC Futures WebSocket endpoint (using .co domain for better connectivity)');
       await AppConfig.set('MEXC_WS_COM_FAILOVER_THRESHOLD', '2', 'After N consecutive .com connection failures, prefer .co endpoints until a .com connects successfully');
+      await AppConfig.set('MEXC_WS_KLINE_INTERVALS', 'auto', 'MEXC WS kline intervals subscribed per symbol for bucket opens and volume tracking (auto = 1m + intervals of the strategies on the symbol, list e.g. 1m,5m, empty = disabled)');
       await AppConfig.set('MEXC_FUTURES_DIRECT', 'false', 'Use direct REST client for MEXC Futures (bypass CCXT)');
       await AppConfig.set('MEXC_FUTURES_REST_BASE', 'https://contract.mexc.co', 'MEXC Futures REST base URL (using .co domain for better connectivity)');
+      await AppConfig.set('BYBIT_WS_URL', 'wss://stream.bybit.com/v5/public/linear', 'Bybit public linear WebSocket endpoint (tickers + klines)');
+      await AppConfig.set('BYBIT_WS_KLINE_INTERVALS', 'auto', 'Bybit WS kline intervals subscribed per symbol for bucket opens and volume tracking (auto = 1m + intervals of the strategies on the symbol, list e.g. 1m,5m, empty = disabled)');
+      await AppConfig.set('BYBIT_WS_MAX_SYMBOLS_PER_CONN', '100', 'Symbols per Bybit public WebSocket connection (Bybit caps subscription args per connection)');
+      await AppConfig.set('BYBIT_PRIVATE_WS_URL', 'wss://stream.bybit.com/v5/private', 'Bybit private WebSocket endpoint (order stream)');
+      await AppConfig.set('BYBIT_TESTNET_PRIVATE_WS_URL', 'wss://stream-testnet.bybit.com/v5/private', 'Bybit testnet private WebSocket endpoint (used with BYBIT_SANDBOX)');
+      await AppConfig.set('GATE_WS_URL', 'wss://fx-ws.gateio.ws/v4/ws/usdt', 'Gate.io USDT futures public WebSocket endpoint (tickers + candlesticks)');
+      await AppConfig.set('GATE_WS_KLINE_INTERVALS', 'auto', 'Gate.io WS candlestick intervals subscribed per symbol for bucket opens and volume tracking (auto = 1m + intervals of the strategies on the symbol, list e.g. 1m,5m, empty = disabled)');
+      await AppConfig.set('GATE_PRIVATE_WS_URL', 'wss://fx-ws.gateio.ws/v4/ws/usdt', 'Gate.io USDT futures private WebSocket endpoint (orders + user trades)');
+      await AppConfig.set('GATE_TESTNET_PRIVATE_WS_URL', 'wss://fx-ws-testnet.gateio.ws/v4/ws/usdt', 'Gate.io testnet private WebSocket endpoint (used with GATE_SANDBOX)');
+
+      // Candle recorder (closed WS klines -> candles table)
+      await AppConfig.set('CANDLE_RECORDER_ENABLED', 'false', 'Persist closed WebSocket klines into the candles table (market-data recorder)');
+      await AppConfig.set('CANDLE_RECORDER_INTERVALS', '1m,5m,15m,30m,1h,4h,1d', 'Kline intervals recorded into candles (only intervals subscribed on the WS kline streams are received)');
+      await AppConfig.set('CANDLE_RECORDER_FLUSH_MS', '5000', 'Interval (ms) between candle recorder batch writes');
+      await AppConfig.set('CANDLE_RECORDER_BATCH_SIZE', '500', 'Candles per INSERT batch (a full buffer is flushed immediately)');
+      await AppConfig.set('CANDLE_RECORDER_MAX_BUFFER', '50000', 'Max candles kept in memory while writes fail (oldest dropped above it)');
+      await AppConfig.set('CANDLE_RECORDER_BACKFILL', 'true', 'Backfill gaps in recorded candles over REST (ExchangeService.fetchOHLCV)');
+      await AppConfig.set('CANDLE_RECORDER_MAX_BACKFILL', '1000', 'Max candles fetched per gap (most recent part of the gap)');
+      await AppConfig.set('CANDLE_RECORDER_RETENTION_DAYS', '1m:7,5m:30,15m:90,30m:180,1h:365,4h:730', 'Retention in days per interval (interval:days, comma separated; intervals not listed are kept)');
+      await AppConfig.set('CANDLE_RECORDER_PRUNE_CRON', '17 * * * *', 'Cron (UTC) of the candle retention cleanup');
       await AppConfig.set('WS_SUB_BATCH_SIZE', '150', 'Number of symbols/streams per subscribe batch');
       await AppConfig.set('WS_SUB_BATCH_DELAY_MS', '50', 'Delay between subscribe batches (ms)');
       await AppConfig.set('POSITION_MONITOR_INTERVAL_MS', '40000', 'Interval (ms) between position monitor cycles (increased from 25s to reduce rate limit)');
       await AppConfig.set('POSITION_SYNC_INTERVAL_MS', '60000', 'Interval (ms) between position sync cycles (increased from 40s to reduce rate limit)');
+      await AppConfig.set('POSITION_FUNDING_SYNC_INTERVAL_MS', '600000', 'Interval (ms) between funding fee refreshes of open/recently closed positions (0 = disabled)');
+      await AppConfig.set('POSITION_FUNDING_LOOKBACK_HOURS', '24', 'Closed positions younger than this still get their funding_fee / net_pnl refreshed');
 
       // REST ticker fallbacks when WS has no price
       await AppConfig.set('BINANCE_TICKER_REST_FALLBACK', 'false', 'Enable REST fallback for Binance ticker price when WS has no price');
@@ -148,6 +185,8 @@ async function start() {
       await AppConfig.set('CCXT_SANDBOX', 'false', 'Use CCXT sandbox mode');
       await AppConfig.set('GATE_SANDBOX', 'false', 'Use Gate.io sandbox mode');
       await AppConfig.set('MEXC_SANDBOX', 'false', 'Use MEXC sandbox mode');
+      await AppConfig.set('BYBIT_SANDBOX', 'false', 'Use Bybit testnet (REST + private order stream)');
+      await AppConfig.set('BYBIT_DEFAULT_LEVERAGE', '5', 'Default leverage for Bybit positions (when bot has no default_leverage and symbol_filters has no max)');
       await AppConfig.set('MEXC_ENABLED', 'true', 'Enable MEXC exchange for trading and price alerts');
       await AppConfig.set('MEXC_DEFAULT_LEVERAGE', '5', 'Default leverage for MEXC positions');
       await AppConfig.set('MEXC_FUTURES_ONLY', 'true', 'Futures-only mode for MEXC: disable all spot fallbacks');
@@ -187,6 +226,14 @@ async function start() {
       // Symbols refresh configs
       await AppConfig.set('ENABLE_SYMBOLS_REFRESH', 'true', 'Enable periodic symbols/filters refresh for exchanges');
       await AppConfig.set('SYMBOLS_REFRESH_CRON', '*/15 * * * *', 'Cron for symbols refresh job (default every 15 minutes)');
+
+      // Paper trading (bots.exchange = 'paper')
+      await AppConfig.set('PAPER_PRICE_SOURCE', 'binance', 'Live WS price feed used by paper bots for OC detection and simulated fills (binance | mexc)');
+      await AppConfig.set('PAPER_INITIAL_BALANCE', '10000', 'Starting USDT balance for a new paper account');
+      await AppConfig.set('PAPER_MAKER_FEE_RATE', '0.0002', 'Simulated maker fee rate for paper LIMIT fills (fraction of notional)');
+      await AppConfig.set('PAPER_TAKER_FEE_RATE', '0.0005', 'Simulated taker fee rate for paper MARKET/STOP/TP fills (fraction of notional)');
+      await AppConfig.set('PAPER_SLIPPAGE_PERCENT', '0.02', 'Simulated slippage (%) applied to paper MARKET/STOP/TP fills');
+      await AppConfig.set('PAPER_ORDER_HISTORY_LIMIT', '500', 'Number of finished paper orders kept for order status lookups');
     } catch (e) {
       logger.warn(`Failed seeding default configs: ${e?.message || e}`);
     }
@@ -204,22 +251,34 @@ async function start() {
       }
     } catch (_) { }
 
+    // API authentication: create the first admin from env if there are no users yet
+    if (authService.isDisabled()) {
+      logger.warn('[Auth] ⚠️ AUTH_DISABLED=true - the REST API is NOT protected');
+    } else {
+      await authService.ensureBootstrapAdmin();
+    }
+
+    // Optimizer runs execute in-process: runs left pending/running by the previous process will never finish
+    try {
+      const { OptimizerRun } = await import('./models/OptimizerRun.js');
+      const interrupted = await OptimizerRun.failInterrupted();
+      if (interrupted > 0) logger.warn(`[StrategyOptimizer] Marked ${interrupted} interrupted optimizer run(s) as failed`);
+    } catch (error) {
+      logger.debug(`[StrategyOptimizer] Could not check interrupted runs: ${error?.message || error}`);
+    }
+
     // Initialize exchange info service (load symbol filters)
     logger.info('Initializing exchange info service...');
     await exchangeInfoService.loadFiltersFromDB();
 
     // Delay API updates to reduce startup CPU load - run after critical services
-    setTimeout(() => {
-      // Update symbol filters from Binance API (async, don't wait)
-      exchangeInfoService.updateFiltersFromExchange()
-        .catch(error => logger.error('Failed to update symbol filters from Binance:', error));
-    }, 10000); // Delay 10 seconds
-
-    setTimeout(() => {
-      // Update symbol filters from MEXC API (async, don't wait)
-      exchangeInfoService.updateMexcFiltersFromExchange()
-        .catch(error => logger.error('Failed to update symbol filters from MEXC:', error));
-    }, 15000); // Delay 15 seconds
+    // Symbol filters of every exchange adapter (async, don't wait), staggered 5s apart from 10s
+    listExchangeAdapters().forEach((exchange, index) => {
+      setTimeout(() => {
+        getExchangeAdapter(exchange).syncSymbolFilters()
+          .catch(error => logger.error(`Failed to update symbol filters from ${exchange}:`, error));
+      }, 10000 + index * 5000);
+    });
 
 
     // Initialize Telegram service
@@ -312,6 +371,8 @@ async function start() {
         const { StrategiesWorker } = await import('./workers/StrategiesWorker.js');
         strategiesWorker = new StrategiesWorker();
         await strategiesWorker.initialize(telegramService);
+        // Exposed to StrategyController.bulkApply to reload WebSocket subscriptions after bulk changes
+        app.locals.strategiesWorker = strategiesWorker;
         // Strategies worker will auto-start when active strategies are detected
         logger.info('✅ Strategies Worker initialized (will start when active strategies are detected)');
       } catch (error) {
@@ -328,6 +389,14 @@ async function start() {
       symbolsUpdaterJob.start();
     }, 7000); // Delay 7 seconds
 
+    // Candle Recorder (optional, CANDLE_RECORDER_ENABLED) - closed WS klines -> candles table
+    try {
+      const { candleRecorder } = await import('./services/CandleRecorder.js');
+      candleRecorder.start();
+    } catch (error) {
+      logger.error('❌ Failed to start Candle Recorder:', error?.message || error);
+    }
+
     // Position Sync Job - Sync positions from exchange to database
     // Delay to reduce startup CPU load - initialize bots sequentially
     setTimeout(async () => {
@@ -360,7 +429,7 @@ async function start() {
     }
 
     // Start HTTP server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`Server started on port ${PORT}`);
       logger.info(`API available at http://localhost:${PORT}/api`);
       logger.info('Bot trading system is running...');
@@ -375,6 +444,9 @@ async function start() {
       }
     });
 
+    // Realtime push channel for the dashboard (ws://host:PORT/ws)
+    realtimeHub.attach(server);
+
     // Graceful shutdown
     process.on('SIGTERM', async () => {
       logger.info('SIGTERM received, shutting down gracefully...');
@@ -406,7 +478,16 @@ async function start() {
         }
       }
       
+      // Write buffered candles before the streams go away
+      try {
+        const { candleRecorder } = await import('./services/CandleRecorder.js');
+        await candleRecorder.stop();
+      } catch (e) {
+        logger.warn('Failed to stop Candle Recorder:', e?.message || e);
+      }
+
       // Cleanup WebSocket connections
+      realtimeHub.close();
       webSocketManager.disconnect();
       // Cleanup MEXC WebSocket
       try {
@@ -416,6 +497,20 @@ async function start() {
       } catch (e) {
         logger.warn('Failed to disconnect MEXC WebSocket:', e?.message || e);
       }
+      try {
+        const { bybitPriceWs } = await import('./services/BybitWebSocketManager.js');
+        bybitPriceWs.disconnect();
+        logger.info('Disconnected Bybit WebSocket');
+      } catch (e) {
+        logger.warn('Failed to disconnect Bybit WebSocket:', e?.message || e);
+      }
+      try {
+        const { gatePriceWs } = await import('./services/GateWebSocketManager.js');
+        gatePriceWs.disconnect();
+        logger.info('Disconnected Gate WebSocket');
+      } catch (e) {
+        logger.warn('Failed to disconnect Gate WebSocket:', e?.message || e);
+      }
       
       // Cleanup all caches to free memory
       try {
@@ -473,7 +568,16 @@ async function start() {
         }
       }
       
+      // Write buffered candles before the streams go away
+      try {
+        const { candleRecorder } = await import('./services/CandleRecorder.js');
+        await candleRecorder.stop();
+      } catch (e) {
+        logger.warn('Failed to stop Candle Recorder:', e?.message || e);
+      }
+
       // Cleanup WebSocket connections
+      realtimeHub.close();
       webSocketManager.disconnect();
       // Cleanup MEXC WebSocket
       try {
@@ -483,6 +587,20 @@ async function start() {
       } catch (e) {
         logger.warn('Failed to disconnect MEXC WebSocket:', e?.message || e);
       }
+      try {
+        const { bybitPriceWs } = await import('./services/BybitWebSocketManager.js');
+        bybitPriceWs.disconnect();
+        logger.info('Disconnected Bybit WebSocket');
+      } catch (e) {
+        logger.warn('Failed to disconnect Bybit WebSocket:', e?.message || e);
+      }
+      try {
+        const { gatePriceWs } = await import('./services/GateWebSocketManager.js');
+        gatePriceWs.disconnect();
+        logger.info('Disconnected Gate WebSocket');
+      } catch (e) {
+        logger.warn('Failed to disconnect Gate WebSocket:', e?.message || e);
+      }
       
       // Cleanup all caches to free memory
       try {
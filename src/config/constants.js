@@ -5,7 +5,9 @@
 export const EXCHANGES = {
   BINANCE: 'binance',
   MEXC: 'mexc',
-  GATE: 'gate'
+  GATE: 'gate',
+  BYBIT: 'bybit',
+  PAPER: 'paper' // Simulated exchange (paper trading), market data from PAPER_PRICE_SOURCE
 };
 
 export const TRADE_TYPES = {
@@ -36,10 +38,28 @@ export const CLOSE_REASONS = {
   TP_HIT: 'tp_hit',
   SL_HIT: 'sl_hit',
   MANUAL: 'manual',
-  CANDLE_END: 'candle_end'
+  CANDLE_END: 'candle_end',
+  TRAILING_STOP: 'trailing_stop',
+  BREAK_EVEN_STOP: 'break_even_stop',
+  DAILY_LOSS_LIMIT: 'daily_loss_limit'
 };
 
-export const INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h'];
+export const EXIT_MODES = {
+  TIME_TP: 'time_tp', // Default: TP trails from initial TP towards entry over time (reduce/up_reduce)
+  TRAILING_STOP: 'trailing_stop' // Stop follows the best price (activation %, callback % or k x ATR)
+};
+
+// API user roles, lowest to highest privilege (a role includes all lower ones)
+export const USER_ROLES = {
+  VIEWER: 'viewer', // Read-only (bot credentials are never returned)
+  OPERATOR: 'operator', // Manage strategies and positions
+  ADMIN: 'admin' // Manage bots/credentials, transfers/withdrawals and users
+};
+
+export const INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '4h', '1d'];
+
+// Kline intervals tracked per symbol by the WebSocket managers (CandleAggregator buckets)
+export const KLINE_INTERVALS = ['1m', '5m', '15m', '30m', '1h', '4h', '1d'];
 
 export const MIN_WITHDRAW_AMOUNT = 10.00; // USDT
 
@@ -2,10 +2,25 @@ import { realtimeOCDetector } from '../services/RealtimeOCDetector.js';
 import { strategyCache } from '../services/StrategyCache.js';
 import { OrderService } from '../services/OrderService.js';
 import { mexcPriceWs } from '../services/MexcWebSocketManager.js';
+import { bybitPriceWs } from '../services/BybitWebSocketManager.js';
+import { gatePriceWs } from '../services/GateWebSocketManager.js';
 import { webSocketManager } from '../services/WebSocketManager.js';
 import { configService } from '../services/ConfigService.js';
+import { lossCooldownService } from '../services/LossCooldownService.js';
+import { realtimeHub } from '../services/RealtimeHub.js';
+import { symbolMetricsManager } from '../utils/IncrementalMetrics.js';
+import { hasIndicatorFilters, evaluateIndicatorFilters, evaluateVolumeFilter } from '../utils/indicatorFilters.js';
+import { EXIT_MODES } from '../config/constants.js';
 import logger from '../utils/logger.js';
 
+// Kline source (OHLCV of closed buckets) per price feed
+const KLINE_FEEDS = {
+  binance: webSocketManager,
+  mexc: mexcPriceWs,
+  bybit: bybitPriceWs,
+  gate: gatePriceWs
+};
+
 /**
  * WebSocketOCConsumer
  * 
@@ -27,6 +42,8 @@ export class WebSocketOCConsumer {
     this.processedCount = 0;
     this.matchCount = 0;
     this.skippedCount = 0; // Track skipped ticks due to throttling
+    this.filterRejectedCount = 0; // Matches rejected by strategy volume/indicator filters
+    this.filterRejections = {}; // filter name -> rejected count
     
     // Cache for open positions to avoid excessive DB queries
     this.openPositionsCache = new Map(); // strategyId -> { hasOpenPosition: boolean, lastCheck: timestamp }
@@ -42,6 +59,10 @@ export class WebSocketOCConsumer {
     // ✅ OPTIMIZED: Throttling per symbol
     this._lastProcessed = new Map(); // exchange|symbol -> timestamp
     this._minTickInterval = Number(configService.getNumber('WS_TICK_MIN_INTERVAL_MS', 100));
+
+    // Indicator filters: bars built from ticks per exchange|symbol|interval, fed into symbolMetricsManager on close
+    this._indicatorBars = new Map(); // exchange|symbol|interval -> { bucketStart, high, low, close }
+    this._indicatorMinBars = Number(configService.getNumber('INDICATOR_FILTER_MIN_BARS', 14));
   }
 
   /**
@@ -117,6 +138,30 @@ export class WebSocketOCConsumer {
     } catch (error) {
       logger.warn('[WebSocketOCConsumer] Failed to register Binance handler:', error?.message || error);
     }
+
+    // Bybit WebSocket handler
+    try {
+      bybitPriceWs.onPrice(({ symbol, price, ts }) => {
+        this.handlePriceTick('bybit', symbol, price, ts).catch(error => {
+          logger.error(`[WebSocketOCConsumer] Error handling Bybit price tick:`, error?.message || error);
+        });
+      });
+      logger.info('[WebSocketOCConsumer] Registered Bybit WebSocket price handler');
+    } catch (error) {
+      logger.warn('[WebSocketOCConsumer] Failed to register Bybit handler:', error?.message || error);
+    }
+
+    // Gate.io WebSocket handler
+    try {
+      gatePriceWs.onPrice(({ symbol, price, ts }) => {
+        this.handlePriceTick('gate', symbol, price, ts).catch(error => {
+          logger.error(`[WebSocketOCConsumer] Error handling Gate price tick:`, error?.message || error);
+        });
+      });
+      logger.info('[WebSocketOCConsumer] Registered Gate WebSocket price handler');
+    } catch (error) {
+      logger.warn('[WebSocketOCConsumer] Failed to register Gate handler:', error?.message || error);
+    }
   }
 
   /**
@@ -233,8 +278,11 @@ export class WebSocketOCConsumer {
     try {
       const { exchange, symbol, price, timestamp } = tick;
 
+      // Keep EMA/ATR/VWAP up to date for strategies that use indicator filters
+      this._updateIndicatorMetrics(exchange, symbol, price, timestamp);
+
       // Detect OC and match with strategies
-      const matches = await realtimeOCDetector.detectOC(exchange, symbol, price, timestamp, 'WebSocketOCConsumer');
+      let matches = await realtimeOCDetector.detectOC(exchange, symbol, price, timestamp, 'WebSocketOCConsumer');
 
       if (matches.length === 0) {
         return; // No matches
@@ -244,6 +292,12 @@ export class WebSocketOCConsumer {
 
       logger.info(`[WebSocketOCConsumer] 🎯 Found ${matches.length} match(es) for ${exchange} ${symbol}: ${matches.map(m => `strategy ${m.strategy.id} (OC=${m.oc.toFixed(2)}%)`).join(', ')}`);
 
+      const allowed = await Promise.all(matches.map(match => this._passesEntryFilters(exchange, symbol, match, timestamp)));
+      matches = matches.filter((_, i) => allowed[i]);
+      if (matches.length === 0) {
+        return; // All matches rejected by entry filters
+      }
+
       // PRIORITY QUEUE: Sort matches by mainnet/testnet priority
       // Mainnet (binance_testnet=false/null) = priority 1 (highest), Testnet = priority 0 (lower)
       matches.sort((matchA, matchB) => {
@@ -290,6 +344,81 @@ export class WebSocketOCConsumer {
     }
   }
 
+  /**
+   * Feed tick into per-interval bars and push closed bars into symbolMetricsManager.
+   * Only intervals used by strategies with indicator filters or ATR-based trailing stops are tracked.
+   */
+  _updateIndicatorMetrics(exchange, symbol, price, timestamp) {
+    try {
+      const intervals = new Set();
+      for (const strategy of strategyCache.getStrategies(exchange, symbol, false)) {
+        const usesTrailingAtr = strategy.exit_mode === EXIT_MODES.TRAILING_STOP && Number(strategy.trail_atr_mult) > 0;
+        if ((hasIndicatorFilters(strategy) || usesTrailingAtr) && strategy.interval) {
+          intervals.add(String(strategy.interval).toLowerCase());
+        }
+      }
+
+      for (const interval of intervals) {
+        const key = `${exchange}|${symbol}|${interval}`;
+        const bucketStart = realtimeOCDetector.getBucketStart(interval, timestamp);
+        const bar = this._indicatorBars.get(key);
+
+        if (bar && bar.bucketStart === bucketStart) {
+          bar.high = Math.max(bar.high, price);
+          bar.low = Math.min(bar.low, price);
+          bar.close = price;
+          continue;
+        }
+
+        if (bar && bar.bucketStart < bucketStart) {
+          // Prefer the feed's kline for the closed bucket (real OHLCV): tick bars carry no volume, so VWAP needs it
+          const kline = KLINE_FEEDS[exchange]?.getKlineCandle?.(symbol, interval, bar.bucketStart) || null;
+          if (kline && Number.isFinite(kline.close) && kline.close > 0) {
+            symbolMetricsManager.update(exchange, symbol, interval, kline.close, kline.high, kline.low, kline.volume);
+          } else {
+            symbolMetricsManager.update(exchange, symbol, interval, bar.close, bar.high, bar.low, 0);
+          }
+        }
+
+        this._indicatorBars.set(key, { bucketStart, high: price, low: price, close: price });
+      }
+    } catch (error) {
+      logger.debug(`[WebSocketOCConsumer] Failed to update indicator metrics for ${exchange} ${symbol}: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Evaluate strategy entry filters (volume confirmation, indicators) for a match; count and log rejections
+   * @param {string} exchange - Exchange name
+   * @param {string} symbol - Symbol
+   * @param {Object} match - Match object from detectOC
+   * @param {number} timestamp - Tick timestamp
+   * @returns {Promise<boolean>} true if match may be processed
+   */
+  async _passesEntryFilters(exchange, symbol, match, timestamp = Date.now()) {
+    const { strategy } = match;
+    const interval = String(match.interval || strategy.interval || '').toLowerCase();
+
+    let result = { passed: true };
+    if (Number(strategy.min_volume_ratio) > 0) {
+      const volumeInfo = await realtimeOCDetector.getVolumeRatio(exchange, symbol, interval, timestamp);
+      match.volumeRatio = volumeInfo?.ratio ?? null;
+      result = evaluateVolumeFilter(strategy, volumeInfo);
+    }
+    if (result.passed && hasIndicatorFilters(strategy)) {
+      const metrics = symbolMetricsManager.getMetrics(exchange, symbol, interval);
+      result = evaluateIndicatorFilters(match, metrics, { minBars: this._indicatorMinBars });
+    }
+    if (result.passed) return true;
+
+    this.filterRejectedCount++;
+    this.filterRejections[result.filter] = (this.filterRejections[result.filter] || 0) + 1;
+    logger.info(
+      `[WebSocketOCConsumer] 🚫 Strategy ${strategy.id} (${exchange} ${symbol} ${interval}) rejected by ${result.filter} filter: ${result.reason}`
+    );
+    return false;
+  }
+
   /**
    * Process matched strategy and trigger order
    * @param {Object} match - Match object from detectOC
@@ -300,6 +429,15 @@ export class WebSocketOCConsumer {
       const botId = strategy.bot_id;
 
       logger.info(`[WebSocketOCConsumer] 🔍 Processing match: strategy ${strategy.id}, bot_id=${botId}, symbol=${strategy.symbol}, OC=${oc.toFixed(2)}%`);
+      realtimeHub.publish('oc:match', {
+        strategyId: strategy.id,
+        symbol: strategy.symbol,
+        interval,
+        oc,
+        direction,
+        currentPrice,
+        timestamp: match.timestamp
+      }, { botId, throttleKey: `oc:${strategy.id}`, throttleMs: 1000 });
 
       // Get OrderService for this bot
       const orderService = this.orderServices.get(botId);
@@ -317,6 +455,20 @@ export class WebSocketOCConsumer {
       
       logger.info(`[WebSocketOCConsumer] ✅ Strategy ${strategy.id} has no open position, proceeding...`);
 
+      // Consecutive-loss cooldown (per strategy / per bot+symbol)
+      const cooldown = await lossCooldownService.getCooldown(strategy);
+      if (cooldown) {
+        logger.info(
+          `[WebSocketOCConsumer] ⏸️ Strategy ${strategy.id} (${strategy.symbol}) in ${cooldown.scope} loss cooldown ` +
+          `after ${cooldown.streak} losses, ${lossCooldownService.formatRemaining(cooldown.remainingMs)} remaining, skipping`
+        );
+        if (lossCooldownService.shouldAlert(cooldown)) {
+          // Fire-and-forget: sendLossCooldownAlert never throws
+          orderService.telegramService?.sendLossCooldownAlert?.(strategy, cooldown);
+        }
+        return;
+      }
+
       // Import calculator functions for TP/SL calculation
       const { calculateTakeProfit, calculateInitialStopLoss, calculateInitialStopLossByAmount, calculateLongEntryPrice, calculateShortEntryPrice } = await import('../utils/calculator.js');
       const { determineSide } = await import('../utils/sideSelector.js');
@@ -536,6 +688,8 @@ export class WebSocketOCConsumer {
       // Collect symbols by exchange
       const mexcSymbols = new Set();
       const binanceSymbols = new Set();
+      const bybitSymbols = new Set();
+      const gateSymbols = new Set();
 
       for (const [key, strategy] of strategyCache.cache.entries()) {
         const [exchange, symbol] = key.split('|');
@@ -543,6 +697,10 @@ export class WebSocketOCConsumer {
           mexcSymbols.add(symbol);
         } else if (exchange === 'binance') {
           binanceSymbols.add(symbol);
+        } else if (exchange === 'bybit') {
+          bybitSymbols.add(symbol);
+        } else if (exchange === 'gate') {
+          gateSymbols.add(symbol);
         }
         
         // Log PIPPIN strategies (debug only)
@@ -563,7 +721,19 @@ export class WebSocketOCConsumer {
         webSocketManager.subscribe(Array.from(binanceSymbols));
       }
 
-      logger.info(`[WebSocketOCConsumer] WebSocket subscriptions updated: MEXC=${mexcSymbols.size}, Binance=${binanceSymbols.size}`);
+      // Subscribe Bybit
+      if (bybitSymbols.size > 0) {
+        logger.debug(`[WebSocketOCConsumer] Subscribing Bybit WS to ${bybitSymbols.size} strategy symbols`);
+        bybitPriceWs.subscribe(Array.from(bybitSymbols));
+      }
+
+      // Subscribe Gate.io
+      if (gateSymbols.size > 0) {
+        logger.debug(`[WebSocketOCConsumer] Subscribing Gate WS to ${gateSymbols.size} strategy symbols`);
+        gatePriceWs.subscribe(Array.from(gateSymbols));
+      }
+
+      logger.info(`[WebSocketOCConsumer] WebSocket subscriptions updated: MEXC=${mexcSymbols.size}, Binance=${binanceSymbols.size}, Bybit=${bybitSymbols.size}, Gate=${gateSymbols.size}`);
     } catch (error) {
       logger.error('[WebSocketOCConsumer] Error subscribing WebSockets:', error?.message || error, error?.stack);
     }
@@ -619,6 +789,8 @@ export class WebSocketOCConsumer {
       isRunning: this.isRunning,
       processedCount: this.processedCount,
       matchCount: this.matchCount,
+      filterRejectedCount: this.filterRejectedCount,
+      filterRejections: { ...this.filterRejections },
       ocDetectorStats: realtimeOCDetector.getStats(),
       strategyCacheSize: strategyCache.size()
     };
@@ -0,0 +1,65 @@
+import { analyticsService } from '../services/AnalyticsService.js';
+import { sendError } from '../utils/httpError.js';
+
+/**
+ * Analytics Controller
+ *
+ * All endpoints accept the same filters: bot_id, strategy_id, symbol, interval, side, from, to (ISO dates, closed_at)
+ */
+export class AnalyticsController {
+  /**
+   * Performance summary (win rate, profit factor, expectancy, max drawdown, hold time, close reasons)
+   */
+  static async getSummary(req, res) {
+    try {
+      const filters = analyticsService.normalizeFilters(req.query);
+      const summary = await analyticsService.getSummary(filters);
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      sendError(res, error, 'getting analytics summary');
+    }
+  }
+
+  /**
+   * Daily or weekly PnL series with equity curve (?period=day|week)
+   */
+  static async getPnlSeries(req, res) {
+    try {
+      const period = req.query.period || 'day';
+      if (period !== 'day' && period !== 'week') {
+        return res.status(400).json({ success: false, error: 'Invalid period (day|week)' });
+      }
+      const filters = analyticsService.normalizeFilters(req.query);
+      const series = await analyticsService.getPnlSeries(filters, period);
+      res.json({ success: true, data: series });
+    } catch (error) {
+      sendError(res, error, 'getting pnl series');
+    }
+  }
+
+  /**
+   * Close reason distribution
+   */
+  static async getCloseReasons(req, res) {
+    try {
+      const filters = analyticsService.normalizeFilters(req.query);
+      const closeReasons = await analyticsService.getCloseReasons(filters);
+      res.json({ success: true, data: closeReasons });
+    } catch (error) {
+      sendError(res, error, 'getting close reasons');
+    }
+  }
+
+  /**
+   * Metrics per strategy/bot/symbol/side/interval (?group_by=strategy)
+   */
+  static async getBreakdown(req, res) {
+    try {
+      const filters = analyticsService.normalizeFilters(req.query);
+      const rows = await analyticsService.getBreakdown(filters, req.query.group_by || 'strategy');
+      res.json({ success: true, data: rows });
+    } catch (error) {
+      sendError(res, error, 'getting analytics breakdown');
+    }
+  }
+}
@@ -0,0 +1,137 @@
+import { User } from '../models/User.js';
+import { authService } from '../services/AuthService.js';
+import logger from '../utils/logger.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Auth Controller - login and API user management
+ */
+export class AuthController {
+  /**
+   * Log in with username/password, returns a bearer token
+   */
+  static async login(req, res) {
+    try {
+      const { username, password } = req.body || {};
+      if (!username || !password) {
+        return res.status(400).json({ success: false, error: 'Missing username or password' });
+      }
+
+      const session = await authService.login(username, password);
+      if (!session) {
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+      }
+
+      res.json({ success: true, data: session });
+    } catch (error) {
+      logger.error('Error logging in:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get the current user
+   */
+  static async me(req, res) {
+    res.json({ success: true, data: req.user });
+  }
+
+  /**
+   * Get all users
+   */
+  static async getUsers(req, res) {
+    try {
+      const users = await User.findAll();
+      res.json({ success: true, data: users });
+    } catch (error) {
+      logger.error('Error getting users:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Create user
+   */
+  static async createUser(req, res) {
+    try {
+      const { username, password, role } = req.body || {};
+
+      if (!username || !password) {
+        return res.status(400).json({ success: false, error: 'Missing required fields' });
+      }
+      if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (role !== undefined && !authService.isValidRole(role)) {
+        return res.status(400).json({ success: false, error: 'Invalid role (viewer, operator, admin)' });
+      }
+      if (await User.findByUsername(username)) {
+        return res.status(400).json({ success: false, error: 'Username already exists' });
+      }
+
+      const user = await authService.createUser({ username, password, role });
+      res.status(201).json({ success: true, data: user });
+    } catch (error) {
+      logger.error('Error creating user:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Update user (role, is_active, password)
+   */
+  static async updateUser(req, res) {
+    try {
+      const { id } = req.params;
+      const { role, is_active, password } = req.body || {};
+
+      if (role !== undefined && !authService.isValidRole(role)) {
+        return res.status(400).json({ success: false, error: 'Invalid role (viewer, operator, admin)' });
+      }
+      if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (Number(id) === Number(req.user?.id) && (role !== undefined || is_active === false)) {
+        return res.status(400).json({ success: false, error: 'Cannot change your own role or deactivate yourself' });
+      }
+
+      const user = await User.update(id, {
+        role,
+        is_active,
+        password_hash: password !== undefined ? await authService.hashPassword(password) : undefined
+      });
+
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+
+      res.json({ success: true, data: user });
+    } catch (error) {
+      logger.error('Error updating user:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Delete user
+   */
+  static async deleteUser(req, res) {
+    try {
+      const { id } = req.params;
+      if (Number(id) === Number(req.user?.id)) {
+        return res.status(400).json({ success: false, error: 'Cannot delete yourself' });
+      }
+
+      const deleted = await User.delete(id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+
+      res.json({ success: true, message: 'User deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting user:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
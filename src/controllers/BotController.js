@@ -1,6 +1,24 @@
 import { Bot } from '../models/Bot.js';
-import { validateExchange, validateProxy } from '../utils/validator.js';
-import logger from '../utils/logger.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { dailyLossLimitService } from '../services/DailyLossLimitService.js';
+import { realtimeHub } from '../services/RealtimeHub.js';
+import { validateExchange, validateProxy, validateDailyLossLimit } from '../utils/validator.js';
+import { maskCredential, isMaskedCredential, CREDENTIAL_HINT_FIELDS } from '../utils/credentialCrypto.js';
+import { sendError } from '../utils/httpError.js';
+
+const CREDENTIAL_FIELDS = ['access_key', 'secret_key', 'proxy'];
+
+/**
+ * Mask exchange credentials on a bot row before returning it ("****abcd" for access_key, "****" for secrets).
+ * @param {Object} bot - Bot row
+ * @returns {Object}
+ */
+function sanitizeBot(bot) {
+  if (!bot) return bot;
+  const masked = { ...bot };
+  for (const field of CREDENTIAL_FIELDS) masked[field] = maskCredential(bot[field], { hint: CREDENTIAL_HINT_FIELDS.includes(field) });
+  return masked;
+}
 
 /**
  * Bot Controller
@@ -13,10 +31,9 @@ export class BotController {
     try {
       const activeOnly = req.query.active === 'true';
       const bots = await Bot.findAll(activeOnly);
-      res.json({ success: true, data: bots });
+      res.json({ success: true, data: bots.map(bot => sanitizeBot(bot)) });
     } catch (error) {
-      logger.error('Error getting bots:', error);
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error, 'getting bots');
     }
   }
 
@@ -32,10 +49,10 @@ export class BotController {
         return res.status(404).json({ success: false, error: 'Bot not found' });
       }
 
-      res.json({ success: true, data: bot });
+      const dailyLoss = await dailyLossLimitService.getState(bot, { useCache: false });
+      res.json({ success: true, data: { ...sanitizeBot(bot), daily_loss: dailyLoss } });
     } catch (error) {
-      logger.error('Error getting bot:', error);
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error, 'getting bot');
     }
   }
 
@@ -56,16 +73,21 @@ export class BotController {
         return res.status(400).json({ success: false, error: 'Invalid proxy format (IP:PORT:USER:PASS)' });
       }
 
+      // Validate daily loss limit if provided
+      if (!validateDailyLossLimit(data)) {
+        return res.status(400).json({ success: false, error: 'Invalid daily loss limit (daily_loss_limit >= 0, daily_loss_limit_pct 0-100)' });
+      }
+
       // Required fields
       if (!data.bot_name || !data.access_key || !data.secret_key) {
         return res.status(400).json({ success: false, error: 'Missing required fields' });
       }
 
       const bot = await Bot.create(data);
-      res.status(201).json({ success: true, data: bot });
+      await AuditLog.record({ entityType: 'bot', entityId: bot.id, action: 'create', actor: req.user, after: sanitizeBot(bot) });
+      res.status(201).json({ success: true, data: sanitizeBot(bot) });
     } catch (error) {
-      logger.error('Error creating bot:', error);
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error, 'creating bot');
     }
   }
 
@@ -75,7 +97,12 @@ export class BotController {
   static async update(req, res) {
     try {
       const { id } = req.params;
-      const data = req.body;
+      const data = { ...req.body };
+
+      // Masked (or empty) keys echoed back by the client mean "keep the stored credential"
+      for (const field of CREDENTIAL_FIELDS) {
+        if (isMaskedCredential(data[field]) || (field !== 'proxy' && data[field] === '')) delete data[field];
+      }
 
       // Validate exchange if provided
       if (data.exchange && !validateExchange(data.exchange)) {
@@ -87,16 +114,56 @@ export class BotController {
         return res.status(400).json({ success: false, error: 'Invalid proxy format' });
       }
 
+      // Validate daily loss limit if provided
+      if (!validateDailyLossLimit(data)) {
+        return res.status(400).json({ success: false, error: 'Invalid daily loss limit (daily_loss_limit >= 0, daily_loss_limit_pct 0-100)' });
+      }
+
+      const before = await Bot.findById(id);
+      if (!before) {
+        return res.status(404).json({ success: false, error: 'Bot not found' });
+      }
+
       const bot = await Bot.update(id, data);
-      
-      if (!bot) {
+      await AuditLog.record({
+        entityType: 'bot',
+        entityId: bot.id,
+        action: 'update',
+        actor: req.user,
+        before: sanitizeBot(before),
+        after: sanitizeBot(bot)
+      });
+      dailyLossLimitService.invalidate(bot.id);
+      if (data.is_active !== undefined) {
+        realtimeHub.publish('bot:health', {
+          botId: bot.id,
+          status: bot.is_active ? 'ok' : 'paused',
+          reason: bot.is_active ? 'bot_activated' : 'bot_deactivated',
+          message: `Bot ${bot.is_active ? 'activated' : 'deactivated'} by ${req.user?.username || 'api'}`
+        }, { botId: bot.id });
+      }
+
+      res.json({ success: true, data: sanitizeBot(bot) });
+    } catch (error) {
+      sendError(res, error, 'updating bot');
+    }
+  }
+
+  /**
+   * Reset the daily loss kill switch of a bot (clears the halt and restarts the loss window from now)
+   */
+  static async resetDailyLoss(req, res) {
+    try {
+      const { id } = req.params;
+      const dailyLoss = await dailyLossLimitService.reset(id);
+
+      if (!dailyLoss) {
         return res.status(404).json({ success: false, error: 'Bot not found' });
       }
 
-      res.json({ success: true, data: bot });
+      res.json({ success: true, data: dailyLoss });
     } catch (error) {
-      logger.error('Error updating bot:', error);
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error, 'resetting bot daily loss');
     }
   }
 
@@ -106,16 +173,18 @@ export class BotController {
   static async delete(req, res) {
     try {
       const { id } = req.params;
-      const deleted = await Bot.delete(id);
+      const before = await Bot.findById(id);
+      const deleted = before ? await Bot.delete(id) : false;
 
       if (!deleted) {
         return res.status(404).json({ success: false, error: 'Bot not found' });
       }
 
+      await AuditLog.record({ entityType: 'bot', entityId: before.id, action: 'delete', actor: req.user, before: sanitizeBot(before) });
+
       res.json({ success: true, message: 'Bot deleted successfully' });
     } catch (error) {
-      logger.error('Error deleting bot:', error);
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error, 'deleting bot');
     }
   }
 }
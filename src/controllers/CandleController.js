@@ -0,0 +1,56 @@
+import { Candle } from '../models/Candle.js';
+import { candleRecorder } from '../services/CandleRecorder.js';
+import { validateExchange, validateInterval } from '../utils/validator.js';
+import { badRequest, sendError } from '../utils/httpError.js';
+
+const MAX_LIMIT = 1500;
+
+/**
+ * Candle Controller (stored candles of the candles table, see CandleRecorder)
+ */
+export class CandleController {
+  /**
+   * Parse a query time (ms timestamp or ISO date), null when absent
+   */
+  static _parseTime(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const ms = Number.isFinite(Number(value)) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(ms)) throw badRequest(`Invalid ${name}: ${value}`);
+    return ms;
+  }
+
+  /**
+   * Stored candles, chronological: ?exchange=binance&symbol=BTCUSDT&interval=1m&from=&to=&limit=500
+   * (latest `limit` candles with open_time in [from, to])
+   */
+  static async getCandles(req, res) {
+    try {
+      const { exchange, symbol, interval } = req.query;
+      if (!validateExchange(exchange)) throw badRequest('Invalid exchange');
+      const normalizedSymbol = String(symbol || '').toUpperCase().replace(/:USDT$/, '').replace(/[\/:_]/g, '');
+      if (!/^[A-Z0-9]{2,30}$/.test(normalizedSymbol)) throw badRequest('Invalid symbol (e.g. BTCUSDT)');
+      if (!validateInterval(interval)) throw badRequest('Invalid interval');
+
+      const from = CandleController._parseTime(req.query.from, 'from');
+      const to = CandleController._parseTime(req.query.to, 'to');
+      if (from !== null && to !== null && from > to) throw badRequest('from must be before to');
+      const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit ?? 500, 10) || 500));
+
+      const candles = await Candle.getCandlesInRange(exchange.toLowerCase(), normalizedSymbol, interval, from, to, { limit });
+      res.json({ success: true, data: candles });
+    } catch (error) {
+      sendError(res, error, 'getting candles');
+    }
+  }
+
+  /**
+   * Recorder state (buffered/written/backfilled/pruned counters)
+   */
+  static async getRecorderStatus(req, res) {
+    try {
+      res.json({ success: true, data: candleRecorder.getStatus() });
+    } catch (error) {
+      sendError(res, error, 'getting candle recorder status');
+    }
+  }
+}
@@ -0,0 +1,111 @@
+import { OptimizerRun } from '../models/OptimizerRun.js';
+import { Bot } from '../models/Bot.js';
+import { strategyOptimizerService } from '../services/StrategyOptimizerService.js';
+import { StrategyController } from './StrategyController.js';
+import { sendError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Optimizer Controller (strategy parameter sweeps, see StrategyOptimizerService)
+ */
+export class OptimizerController {
+  /**
+   * Latest runs (without results)
+   */
+  static async getAll(req, res) {
+    try {
+      const runs = await OptimizerRun.findAll(req.query.limit);
+      res.json({ success: true, data: runs });
+    } catch (error) {
+      sendError(res, error, 'getting optimizer runs');
+    }
+  }
+
+  /**
+   * Run with progress and ranked results
+   */
+  static async getById(req, res) {
+    try {
+      const run = await OptimizerRun.findById(req.params.id);
+      if (!run) {
+        return res.status(404).json({ success: false, error: 'Optimizer run not found' });
+      }
+      res.json({ success: true, data: run });
+    } catch (error) {
+      sendError(res, error, 'getting optimizer run');
+    }
+  }
+
+  /**
+   * Start a run in the background (202 + pending run; poll GET /optimizer/runs/:id)
+   */
+  static async create(req, res) {
+    try {
+      const run = await strategyOptimizerService.start(req.body || {});
+      res.status(202).json({ success: true, data: run });
+    } catch (error) {
+      sendError(res, error, 'starting optimizer run');
+    }
+  }
+
+  /**
+   * Import ranked results as strategies through StrategyController.create (same validation and duplicate check)
+   * Body: { bot_id, ranks = [1], amount, is_active = false }
+   */
+  static async importResults(req, res) {
+    try {
+      const run = await OptimizerRun.findById(req.params.id);
+      if (!run) {
+        return res.status(404).json({ success: false, error: 'Optimizer run not found' });
+      }
+      if (run.status !== 'completed') {
+        return res.status(400).json({ success: false, error: `Optimizer run is ${run.status}, only completed runs can be imported` });
+      }
+
+      const botId = parseInt(req.body?.bot_id ?? run.bot_id, 10);
+      const bot = botId ? await Bot.findById(botId) : null;
+      if (!bot) {
+        return res.status(404).json({ success: false, error: 'Bot not found' });
+      }
+
+      const ranks = (Array.isArray(req.body?.ranks) ? req.body.ranks : [req.body?.ranks ?? 1]).map(Number);
+      const items = strategyOptimizerService.buildStrategyPayloads(run, {
+        botId: bot.id,
+        ranks,
+        amount: req.body?.amount,
+        isActive: req.body?.is_active === true
+      });
+      if (items.length === 0) {
+        return res.status(400).json({ success: false, error: 'No results match the requested ranks' });
+      }
+
+      const created = [];
+      const skipped = [];
+      for (const item of items) {
+        // is_reverse_strategy is a bot setting: results tuned for the other mode would not trade the same way
+        if (item.isReverseStrategy !== Boolean(bot.is_reverse_strategy)) {
+          skipped.push({ rank: item.rank, symbol: item.symbol, error: `Bot ${bot.id} is_reverse_strategy=${Boolean(bot.is_reverse_strategy)} differs from the result` });
+          continue;
+        }
+        const { status, body } = await OptimizerController._callCreate(item.payload, req.user);
+        if (status === 201) created.push(body.data);
+        else skipped.push({ rank: item.rank, symbol: item.symbol, error: body?.error || `HTTP ${status}` });
+      }
+
+      logger.info(`[OptimizerController] Run ${run.id}: imported ${created.length} strategies into bot ${bot.id}, skipped ${skipped.length}`);
+      res.status(created.length > 0 ? 201 : 200).json({ success: true, data: { created, skipped } });
+    } catch (error) {
+      sendError(res, error, 'importing optimizer results');
+    }
+  }
+
+  static async _callCreate(payload, user = null) {
+    const result = { status: 200, body: null };
+    const res = {
+      status(code) { result.status = code; return this; },
+      json(data) { result.body = data; return this; }
+    };
+    await StrategyController.create({ body: payload, user }, res);
+    return result;
+  }
+}
@@ -3,6 +3,11 @@ import { OrderService } from '../services/OrderService.js';
 import { ExchangeService } from '../services/ExchangeService.js';
 import { TelegramService } from '../services/TelegramService.js';
 import { Bot } from '../models/Bot.js';
+import { analyticsService } from '../services/AnalyticsService.js';
+import { tradeJournalService, toCsv } from '../services/TradeJournalService.js';
+import { authService } from '../services/AuthService.js';
+import { USER_ROLES } from '../config/constants.js';
+import { sendError } from '../utils/httpError.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -36,6 +41,45 @@ export class PositionController {
     }
   }
 
+  /**
+   * Export closed positions as a trade journal (?format=csv|json, fees=true to reconcile commission/funding with the exchange,
+   * limit, plus the analytics filters bot_id, strategy_id, symbol, interval, side, from, to)
+   * fees=true needs OPERATOR. Warning messages are only in the JSON body; CSV carries their count in X-Export-Warnings.
+   */
+  static async export(req, res) {
+    try {
+      const format = String(req.query.format || 'csv').toLowerCase();
+      if (format !== 'csv' && format !== 'json') {
+        return res.status(400).json({ success: false, error: 'Invalid format (csv|json)' });
+      }
+
+      // Opt-in: reconciliation makes signed exchange calls on the key live trading uses
+      const fees = req.query.fees === 'true';
+      if (fees && !authService.hasRole(req.user?.role, USER_ROLES.OPERATOR)) {
+        return res.status(403).json({ success: false, error: 'Insufficient permissions (fees=true needs operator)' });
+      }
+
+      const filters = analyticsService.normalizeFilters(req.query);
+      const { rows, warnings } = await tradeJournalService.buildJournal(filters, {
+        fees,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined
+      });
+
+      const filename = `trade-journal-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      if (warnings.length > 0) {
+        res.setHeader('X-Export-Warnings', String(warnings.length));
+      }
+
+      if (format === 'json') {
+        return res.json({ success: true, data: { count: rows.length, warnings, trades: rows } });
+      }
+      res.type('text/csv').send(toCsv(rows));
+    } catch (error) {
+      sendError(res, error, 'exporting trade journal');
+    }
+  }
+
   /**
    * Get position by ID
    */
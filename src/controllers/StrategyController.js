@@ -1,8 +1,32 @@
-import { Strategy } from '../models/Strategy.js';
+import pool from '../config/database.js';
+import { Strategy, strategyAuditState } from '../models/Strategy.js';
 import { Bot } from '../models/Bot.js';
-import { validateSymbol, validateInterval, validateTradeType, validateAmount, validatePercentage } from '../utils/validator.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { STRATEGY_SNAPSHOT_FIELDS } from '../models/Position.js';
+import { strategyBulkService } from '../services/StrategyBulkService.js';
+import { validateSymbol, validateInterval, validateTradeType, validateAmount, validatePercentage, validateIndicatorFilters, validateTpLadder, validateExitMode, validateStrategyConfig } from '../utils/validator.js';
+import { badRequest, sendError } from '../utils/httpError.js';
 import logger from '../utils/logger.js';
 
+// Snapshot fields stored as text; every other snapshot field is numeric (DECIMAL columns come back as strings)
+const TEXT_SNAPSHOT_FIELDS = ['symbol', 'trade_type', 'interval', 'exit_mode', 'tp_ladder'];
+
+/**
+ * Strategy parameters of a row or audit snapshot, with numeric strings converted so they pass validation
+ * @param {Object} source - Strategy row or audit after_data
+ * @returns {Object} STRATEGY_SNAPSHOT_FIELDS present on the source
+ */
+function restoredParams(source) {
+  const params = {};
+  for (const field of STRATEGY_SNAPSHOT_FIELDS) {
+    const value = source?.[field];
+    if (value === undefined) continue;
+    const numeric = !TEXT_SNAPSHOT_FIELDS.includes(field) && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+    params[field] = numeric ? Number(value) : value;
+  }
+  return params;
+}
+
 /**
  * Strategy Controller
  */
@@ -17,8 +41,7 @@ export class StrategyController {
       const strategies = await Strategy.findAll(botId, activeOnly);
       res.json({ success: true, data: strategies });
     } catch (error) {
-      logger.error('Error getting strategies:', error);
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error, 'getting strategies');
     }
   }
 
@@ -36,8 +59,7 @@ export class StrategyController {
 
       res.json({ success: true, data: strategy });
     } catch (error) {
-      logger.error('Error getting strategy:', error);
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error, 'getting strategy');
     }
   }
 
@@ -88,6 +110,18 @@ export class StrategyController {
         return res.status(400).json({ success: false, error: 'Invalid take profit value' });
       }
 
+      if (!validateIndicatorFilters(data)) {
+        return res.status(400).json({ success: false, error: 'Invalid indicator filter values' });
+      }
+
+      if (!validateTpLadder(data.tp_ladder, data.take_profit)) {
+        return res.status(400).json({ success: false, error: 'Invalid TP ladder (legs need 0 < tp < take_profit, percent > 0, total percent < 100)' });
+      }
+
+      if (!validateExitMode(data)) {
+        return res.status(400).json({ success: false, error: 'Invalid exit settings (trailing_stop needs trail_callback_pct or trail_atr_mult; trail/break-even values 0-100)' });
+      }
+
       // Check if strategy already exists for this bot with the same unique key
       const existing = await Strategy.findByUniqueKey(
         data.bot_id,
@@ -101,10 +135,17 @@ export class StrategyController {
       }
 
       const strategy = await Strategy.create(data);
+      await AuditLog.record({
+        entityType: 'strategy',
+        entityId: strategy.id,
+        action: 'create',
+        actor: req.user,
+        after: strategyAuditState(strategy),
+        version: strategy.version
+      });
       res.status(201).json({ success: true, data: strategy });
     } catch (error) {
-      logger.error('Error creating strategy:', error);
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error, 'creating strategy');
     }
   }
 
@@ -133,16 +174,54 @@ export class StrategyController {
         return res.status(400).json({ success: false, error: 'Invalid amount' });
       }
 
-      const strategy = await Strategy.update(id, data);
-      
-      if (!strategy) {
-        return res.status(404).json({ success: false, error: 'Strategy not found' });
+      if (!validateIndicatorFilters(data)) {
+        return res.status(400).json({ success: false, error: 'Invalid indicator filter values' });
+      }
+
+      if (!validateExitMode(data)) {
+        return res.status(400).json({ success: false, error: 'Invalid exit settings (trailing_stop needs trail_callback_pct or trail_atr_mult; trail/break-even values 0-100)' });
+      }
+
+      // Read, update and audit the locked row in one transaction so concurrent updates cannot interleave
+      let strategy;
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        const before = await Strategy.findById(id, connection, { forUpdate: true });
+        if (!before) throw badRequest('Strategy not found', 404);
+
+        // Ladder legs must stay below take_profit, checked against the stored value of whichever side is not patched
+        if (data.tp_ladder !== undefined || data.take_profit !== undefined) {
+          const ladder = data.tp_ladder !== undefined ? data.tp_ladder : before.tp_ladder;
+          const takeProfit = data.take_profit !== undefined ? data.take_profit : before.take_profit;
+          if (!validateTpLadder(ladder, takeProfit)) {
+            throw badRequest('Invalid TP ladder (legs need 0 < tp < take_profit, percent > 0, total percent < 100)');
+          }
+        }
+
+        strategy = await Strategy.update(id, data, connection);
+        await AuditLog.create({
+          entityType: 'strategy',
+          entityId: strategy.id,
+          action: 'update',
+          actor: req.user,
+          before: strategyAuditState(before),
+          after: strategyAuditState(strategy),
+          version: strategy.version
+        }, connection);
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
       }
 
       res.json({ success: true, data: strategy });
     } catch (error) {
-      logger.error('Error updating strategy:', error);
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error, 'updating strategy');
     }
   }
 
@@ -152,16 +231,134 @@ export class StrategyController {
   static async delete(req, res) {
     try {
       const { id } = req.params;
-      const deleted = await Strategy.delete(id);
+      const before = await Strategy.findById(id);
+      const deleted = before ? await Strategy.delete(id) : false;
 
       if (!deleted) {
         return res.status(404).json({ success: false, error: 'Strategy not found' });
       }
 
+      await AuditLog.record({
+        entityType: 'strategy',
+        entityId: before.id,
+        action: 'delete',
+        actor: req.user,
+        before: strategyAuditState(before),
+        version: before.version
+      });
+
       res.json({ success: true, message: 'Strategy deleted successfully' });
     } catch (error) {
-      logger.error('Error deleting strategy:', error);
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error, 'deleting strategy');
+    }
+  }
+
+  /**
+   * Change history of a strategy (audit rows, newest first)
+   */
+  static async getHistory(req, res) {
+    try {
+      const history = await AuditLog.findByEntity('strategy', req.params.id, req.query.limit);
+      res.json({ success: true, data: history });
+    } catch (error) {
+      sendError(res, error, 'getting strategy history');
+    }
+  }
+
+  /**
+   * Restore the parameters a strategy had at a prior version (creates a new version)
+   * Body: { version }
+   */
+  static async rollback(req, res) {
+    try {
+      const { id } = req.params;
+      const version = parseInt(req.body?.version, 10);
+      if (!version || version < 1) {
+        return res.status(400).json({ success: false, error: 'version is required' });
+      }
+
+      // Lock, restore and audit in one transaction (same as update) so a rollback cannot interleave with edits
+      let strategy;
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        const before = await Strategy.findById(id, connection, { forUpdate: true });
+        if (!before) throw badRequest('Strategy not found', 404);
+        if (version === Number(before.version)) throw badRequest(`Strategy is already at version ${version}`);
+
+        const entry = await AuditLog.findStrategyVersion(before.id, version);
+        if (!entry) throw badRequest(`Version ${version} not found in strategy history`, 404);
+
+        const params = restoredParams(entry.after_data);
+        const restored = { ...restoredParams(before), ...params };
+        const configError = validateStrategyConfig(restored);
+        if (configError) throw badRequest(`Cannot restore version ${version}: ${configError}`);
+
+        const conflict = await Strategy.findByUniqueKey(
+          before.bot_id, restored.symbol, restored.interval, restored.trade_type || 'both', restored.oc, connection
+        );
+        if (conflict && Number(conflict.id) !== Number(before.id)) {
+          throw badRequest(`Cannot restore version ${version}: strategy ${conflict.id} already uses this bot/symbol/interval/trade_type/oc`, 409);
+        }
+
+        strategy = await Strategy.update(before.id, params, connection);
+        await AuditLog.create({
+          entityType: 'strategy',
+          entityId: strategy.id,
+          action: 'rollback',
+          actor: req.user,
+          before: strategyAuditState(before),
+          after: { ...strategyAuditState(strategy), rolled_back_to: version },
+          version: strategy.version
+        }, connection);
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      logger.info(`[StrategyController] Strategy ${strategy.id} rolled back to version ${version} (now version ${strategy.version}) by ${req.user?.username || 'api'}`);
+      res.json({ success: true, data: strategy });
+    } catch (error) {
+      sendError(res, error, 'rolling back strategy');
+    }
+  }
+
+  /**
+   * Apply a preset to many symbols of a bot in one transaction (see StrategyBulkService)
+   * Body: { preset, bot_id, selector: { type: list|all_usdt|top_volume, symbols, limit }, exclude, overrides, is_active }
+   */
+  static async bulkApply(req, res) {
+    try {
+      const result = await strategyBulkService.bulkApply(req.body || {}, {
+        strategiesWorker: req.app.locals.strategiesWorker || null,
+        actor: req.user
+      });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error, 'applying strategy preset');
+    }
+  }
+
+  /**
+   * Apply a patch to all strategies matching a filter in one transaction (see StrategyBulkService.bulkUpdate)
+   * Body: { filter: { bot_id, symbol, interval, trade_type, oc_min, oc_max, is_active },
+   *   patch: { is_active, amount | amount_multiplier, take_profit }, dry_run }
+   * dry_run=true returns the matched IDs and the diff without writing
+   */
+  static async bulkUpdate(req, res) {
+    try {
+      const result = await strategyBulkService.bulkUpdate(req.body || {}, {
+        strategiesWorker: req.app.locals.strategiesWorker || null,
+        actor: req.user
+      });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error, 'bulk updating strategies');
     }
   }
 }
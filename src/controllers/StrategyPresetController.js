@@ -0,0 +1,118 @@
+import { StrategyPreset } from '../models/StrategyPreset.js';
+import { validateStrategyConfig } from '../utils/validator.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Strategy Preset Controller (strategy_presets library used by POST /strategies/bulk-apply)
+ */
+export class StrategyPresetController {
+  /**
+   * Get all presets
+   */
+  static async getAll(req, res) {
+    try {
+      const presets = await StrategyPreset.findAll();
+      res.json({ success: true, data: presets });
+    } catch (error) {
+      logger.error('Error getting strategy presets:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get preset by ID
+   */
+  static async getById(req, res) {
+    try {
+      const preset = await StrategyPreset.findById(req.params.id);
+      if (!preset) {
+        return res.status(404).json({ success: false, error: 'Preset not found' });
+      }
+      res.json({ success: true, data: preset });
+    } catch (error) {
+      logger.error('Error getting strategy preset:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Create preset
+   * Body: { name, title, description, config, meta }
+   */
+  static async create(req, res) {
+    try {
+      const data = req.body || {};
+
+      if (!data.name || !/^[a-z0-9_-]{1,100}$/i.test(data.name)) {
+        return res.status(400).json({ success: false, error: 'name is required (letters, digits, _ or -)' });
+      }
+
+      const configError = validateStrategyConfig(data.config);
+      if (configError) {
+        return res.status(400).json({ success: false, error: configError });
+      }
+
+      if (await StrategyPreset.findByName(data.name)) {
+        return res.status(409).json({ success: false, error: `Preset ${data.name} already exists` });
+      }
+
+      const preset = await StrategyPreset.create(data);
+      res.status(201).json({ success: true, data: preset });
+    } catch (error) {
+      logger.error('Error creating strategy preset:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Update preset (config is replaced as a whole)
+   */
+  static async update(req, res) {
+    try {
+      const { id } = req.params;
+      const data = req.body || {};
+
+      const existing = await StrategyPreset.findById(id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Preset not found' });
+      }
+
+      if (data.name !== undefined && !/^[a-z0-9_-]{1,100}$/i.test(data.name)) {
+        return res.status(400).json({ success: false, error: 'Invalid name (letters, digits, _ or -)' });
+      }
+
+      if (data.config !== undefined) {
+        const configError = validateStrategyConfig(data.config);
+        if (configError) {
+          return res.status(400).json({ success: false, error: configError });
+        }
+      }
+
+      if (data.name && data.name !== existing.name && await StrategyPreset.findByName(data.name)) {
+        return res.status(409).json({ success: false, error: `Preset ${data.name} already exists` });
+      }
+
+      const preset = await StrategyPreset.update(id, data);
+      res.json({ success: true, data: preset });
+    } catch (error) {
+      logger.error('Error updating strategy preset:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Delete preset (strategies created from it are not touched)
+   */
+  static async delete(req, res) {
+    try {
+      const deleted = await StrategyPreset.delete(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Preset not found' });
+      }
+      res.json({ success: true, message: 'Preset deleted' });
+    } catch (error) {
+      logger.error('Error deleting strategy preset:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+}
@@ -3,22 +3,26 @@ import cron from 'node-cron';
 // import { EntryOrder } from '../models/EntryOrder.js';
 import { Position } from '../models/Position.js';
 import { ExchangeService } from '../services/ExchangeService.js';
-import { PositionWebSocketClient } from '../services/PositionWebSocketClient.js';
 import { orderStatusCache } from '../services/OrderStatusCache.js';
+import { dailyLossLimitService } from '../services/DailyLossLimitService.js';
+import { realtimeHub } from '../services/RealtimeHub.js';
+import { positionFeeService } from '../services/PositionFeeService.js';
 import { DEFAULT_CRON_PATTERNS } from '../config/constants.js';
 import { configService } from '../services/ConfigService.js';
 import logger from '../utils/logger.js';
+import { parseExitLegs, findExitLeg, applyExitLegFill } from '../utils/tpLadder.js';
 
 /**
  * EntryOrderMonitor
  * - Tracks pending entry orders (especially LIMIT) stored in entry_orders table
- * - Prefers Binance Futures user-data WebSocket (ORDER_TRADE_UPDATE)
- * - Fallback to REST polling for all exchanges when WS is not available
+ * - Prefers the exchange adapter's user-data stream (ORDER_TRADE_UPDATE)
+ * - Fallback to REST polling for all exchanges when no stream is available
  */
 export class EntryOrderMonitor {
   constructor() {
     this.exchangeServices = new Map(); // botId -> ExchangeService
-    this.wsClients = new Map(); // botId -> PositionWebSocketClient (Binance only)
+    this.wsClients = new Map(); // botId -> dedicated user-data connection (e.g. Binance PositionWebSocketClient)
+    this.streamHandlers = new Map(); // botId -> { stream, handler } attached ORDER_TRADE_UPDATE listener
     this.bots = new Map(); // botId -> Bot (for exchange lookup)
     this.telegramService = null;
     this.isRunning = false;
@@ -57,42 +61,25 @@ export class EntryOrderMonitor {
       await exchangeService.initialize();
       this.exchangeServices.set(bot.id, exchangeService);
 
-      // Binance-only: start user-data WebSocket for ORDER_TRADE_UPDATE
-      // IMPORTANT: Skip WS user-data stream for bots missing API credentials to avoid listenKey retry storms
-      // (which can spam logs, waste CPU, and indirectly affect other bots)
-      const isBinance = (bot.exchange || '').toLowerCase() === 'binance';
-      const hasApiCreds = !!(bot?.access_key && String(bot.access_key).trim()) && !!(bot?.secret_key && String(bot.secret_key).trim());
-
-      if (isBinance && !hasApiCreds) {
-        logger.warn(`[EntryOrderMonitor] Bot ${bot.id} is Binance but missing access_key/secret_key. Skipping user-data WebSocket initialization.`);
-      }
-
-      if (isBinance && hasApiCreds && exchangeService.binanceDirectClient) {
-        const restMakeRequest = exchangeService.binanceDirectClient.makeRequest.bind(exchangeService.binanceDirectClient);
-        const isTestnet = !!exchangeService.binanceDirectClient.isTestnet;
-        const wsClient = new PositionWebSocketClient(restMakeRequest, isTestnet);
-
-        wsClient.on('ORDER_TRADE_UPDATE', (evt) => {
+      // User-data stream of the exchange adapter (Binance listenKey WS, Bybit and Gate.io order streams, paper in-process events);
+      // exchanges without one are covered by REST polling
+      const stream = await exchangeService.createUserDataStream();
+      if (stream) {
+        const previous = this.streamHandlers.get(bot.id);
+        if (previous) {
+          previous.stream.off('ORDER_TRADE_UPDATE', previous.handler);
+          if (previous.stream !== stream && typeof previous.stream.stop === 'function') previous.stream.stop();
+        }
+        const handler = (evt) => {
           this._handleBinanceOrderTradeUpdate(bot.id, evt).catch(err => {
             logger.error(`[EntryOrderMonitor] Error in ORDER_TRADE_UPDATE handler for bot ${bot.id}:`, err?.message || err);
           });
-        });
-
-        wsClient.on('listenKeyExpired', () => {
-          logger.warn(`[EntryOrderMonitor] listenKeyExpired for bot ${bot.id}, WS client will reconnect.`);
-        });
-
-        wsClient.on('raw', (evt) => {
-          // Optional raw logging / debugging
-          const eType = evt?.e || evt?.eventType;
-          if (eType === 'ORDER_TRADE_UPDATE') {
-            logger.debug(`[EntryOrderMonitor] ORDER_TRADE_UPDATE raw event received for bot ${bot.id}`);
-          }
-        });
-
-        await wsClient.connect();
-        this.wsClients.set(bot.id, wsClient);
-        logger.info(`[EntryOrderMonitor] User-data WebSocket connected for bot ${bot.id}`);
+        };
+        stream.on('ORDER_TRADE_UPDATE', handler);
+        this.streamHandlers.set(bot.id, { stream, handler });
+        // Dedicated connections (not shared in-process emitters) are stopped with the monitor
+        if (typeof stream.stop === 'function') this.wsClients.set(bot.id, stream);
+        logger.info(`[EntryOrderMonitor] User-data stream attached for bot ${bot.id} (${bot.exchange})`);
       }
 
       logger.info(`[EntryOrderMonitor] Initialized for bot ${bot.id}`);
@@ -160,6 +147,16 @@ export class EntryOrderMonitor {
         symbol: symbol
       }, exchange);
 
+      // Book the commission of this fill (recordTradeFee never throws and retries fills whose position row is not there yet).
+      // Exit/reduce-only fills are awaited so the close below (PnL, Telegram summary, position:closed) sees the exit fee;
+      // entry fills are not held up by it.
+      const isReduceFill = o.R === true || o.cp === true || parsedPositionId !== null;
+      if (isReduceFill) {
+        await positionFeeService.recordTradeFee(botId, evt);
+      } else {
+        positionFeeService.recordTradeFee(botId, evt);
+      }
+
       const isFilled = status === 'FILLED';
       const isCanceled = status === 'CANCELED' || status === 'CANCELLED' || status === 'EXPIRED';
 
@@ -259,6 +256,11 @@ export class EntryOrderMonitor {
           dbPos = dbPosSl;
         }
       }
+
+      // Strategy 4: Match by partial TP leg order (exit_legs)
+      if (!dbPos) {
+        dbPos = await Position.findOpenByExitLegOrderId(botId, exitOrderId);
+      }
       
       if (!dbPos) {
           logger.warn(`[EntryOrderMonitor] ❌ No open DB position found for exitOrderId=${exitOrderId} bot=${botId} symbol=${symbol}`);
@@ -343,6 +345,11 @@ export class EntryOrderMonitor {
           return;
       }
       
+      // Partial TP leg: reduce remaining amount, position stays open
+      if (findExitLeg(dbPos.exit_legs, exitOrderId)) {
+        return await this._applyExitLegFill(dbPos, exitOrderId, avgPrice, filledQty);
+      }
+
       // Found position - close it
       logger.info(`[EntryOrderMonitor] Found position ${dbPos.id} with exit_order_id=${exitOrderId} or sl_order_id=${exitOrderId}`);
       return await this._finalizeDbClose(botId, dbPos, avgPrice, exitOrderId);
@@ -351,6 +358,42 @@ export class EntryOrderMonitor {
     }
   }
 
+  /**
+   * Record a filled partial TP leg: realized PnL is stored on the leg and the remaining
+   * amount is reduced. The position stays open; the rest is closed by the unified exit order.
+   * @param {Object} position - DB position
+   * @param {string|number} legOrderId - Exchange orderId of the leg
+   * @param {number} avgPrice
+   * @param {number|null} filledQty
+   * @returns {Promise<Object>} Updated position
+   */
+  async _applyExitLegFill(position, legOrderId, avgPrice, filledQty) {
+    const current = (await Position.findById(position.id)) || position;
+    const legs = parseExitLegs(current.exit_legs);
+    const leg = applyExitLegFill(legs, legOrderId, {
+      entryPrice: current.entry_price,
+      side: current.side,
+      avgPrice,
+      filledQty
+    });
+    if (!leg) {
+      logger.debug(`[EntryOrderMonitor] TP leg order ${legOrderId} of position ${current.id} already processed. Skipping.`);
+      return current;
+    }
+
+    const closedAmount = Number(leg.filled_qty) * Number(current.entry_price);
+    const remainingAmount = Math.max(0, Number(current.amount) - closedAmount);
+    const updated = await Position.update(current.id, {
+      exit_legs: JSON.stringify(legs),
+      amount: remainingAmount
+    });
+    logger.info(
+      `[EntryOrderMonitor] 🪜 TP leg ${leg.level} FILLED for position ${current.id} | ` +
+      `qty=${leg.filled_qty} price=${leg.avg_price} pnl=${Number(leg.realized_pnl).toFixed(4)} remainingAmount=${remainingAmount.toFixed(4)}`
+    );
+    return updated;
+  }
+
   async _finalizeDbClose(botId, position, avgPrice, exitOrderId) {
     // Determine reason
     const reason = (String(exitOrderId) === String(position.exit_order_id)) ? 'tp_hit' : 'sl_hit';
@@ -361,11 +404,18 @@ export class EntryOrderMonitor {
 
     // Close in DB
     const closed = await Position.close(position.id, closePrice, pnl, reason);
+    realtimeHub.publishPosition('closed', closed);
     logger.info(`[EntryOrderMonitor] ✅ Closed DB position ${position.id} via WS exit fill | reason=${reason} closePrice=${closePrice} pnl=${pnl}`);
 
+    const positionService = await this._getPositionServiceForBot(botId);
+
+    // Reduce-only TP ladder legs left on the exchange could fill against a later position on this symbol
+    if (positionService) {
+      await positionService.cancelOpenExitLegOrders(position);
+    }
+
     // Telegram notify
     try {
-      const positionService = await this._getPositionServiceForBot(botId);
       if (positionService?.sendTelegramCloseNotification) {
         await positionService.sendTelegramCloseNotification(closed);
       } else {
@@ -654,7 +704,7 @@ export class EntryOrderMonitor {
   }
 
   /**
-   * Check if orderId matches exit_order_id or sl_order_id (exit order)
+   * Check if orderId matches exit_order_id, sl_order_id or a TP leg order (exit order)
    * @param {number} botId
    * @param {number|string} orderId
    * @returns {Promise<boolean>}
@@ -663,8 +713,11 @@ export class EntryOrderMonitor {
     try {
       const { default: pool } = await import('../config/database.js');
       const [rows] = await pool.execute(
-        `SELECT id FROM positions WHERE bot_id = ? AND (exit_order_id = ? OR sl_order_id = ?) AND status = 'open' LIMIT 1`,
-        [botId, String(orderId), String(orderId)]
+        `SELECT id FROM positions
+         WHERE bot_id = ? AND status = 'open'
+           AND (exit_order_id = ? OR sl_order_id = ? OR JSON_SEARCH(exit_legs, 'one', ?, NULL, '$[*].order_id') IS NOT NULL)
+         LIMIT 1`,
+        [botId, String(orderId), String(orderId), String(orderId)]
       );
       return rows.length > 0;
     } catch (error) {
@@ -703,6 +756,7 @@ export class EntryOrderMonitor {
 
       // Update position status to 'open'
       const updated = await Position.update(position.id, updates);
+      realtimeHub.publishPosition('opened', updated);
       logger.info(`[EntryOrderMonitor] ✅ Promoted entry_pending position ${position.id} to 'open' (orderId=${position.order_id}, ${position.symbol})`);
 
       // Send Telegram notification
@@ -730,7 +784,11 @@ export class EntryOrderMonitor {
   async pollEntryPendingPositions() {
     try {
       // New flow: poll positions that are waiting for entry fill confirmation
-      const pendingPositions = await Position.findAll({ status: 'entry_pending' });
+      const allPendingPositions = await Position.findAll({ status: 'entry_pending' });
+      if (!allPendingPositions.length) return;
+
+      // Daily loss kill switch: cancel pending entries of halted bots instead of polling them
+      const pendingPositions = await this._cancelEntryPendingForHaltedBots(allPendingPositions);
       if (!pendingPositions.length) return;
 
       logger.debug(`[EntryOrderMonitor] Polling ${pendingPositions.length} entry_pending positions via REST.`);
@@ -757,6 +815,56 @@ export class EntryOrderMonitor {
     }
   }
 
+  /**
+   * Cancel entry_pending positions of bots halted by the daily loss limit
+   * @param {Array<Object>} pendingPositions - entry_pending positions
+   * @returns {Promise<Array<Object>>} Positions of bots that are not halted (still to be polled)
+   */
+  async _cancelEntryPendingForHaltedBots(pendingPositions) {
+    const haltedBots = new Set();
+    const botIds = [...new Set(pendingPositions.map(p => p.bot_id))];
+    for (const botId of botIds) {
+      if (await dailyLossLimitService.isHalted(botId, this.exchangeServices.get(botId) || null)) {
+        haltedBots.add(botId);
+      }
+    }
+    if (haltedBots.size === 0) return pendingPositions;
+
+    const remaining = [];
+    for (const position of pendingPositions) {
+      if (!haltedBots.has(position.bot_id)) {
+        remaining.push(position);
+        continue;
+      }
+
+      const exchangeService = this.exchangeServices.get(position.bot_id);
+      if (!exchangeService) continue;
+
+      try {
+        // Re-check before cancelling: a fill that raced the kill switch is promoted and left to PositionMonitor
+        const st = await exchangeService.getOrderStatus(position.symbol, position.order_id);
+        const status = (st?.status || '').toLowerCase();
+        if ((status === 'closed' || status === 'filled') && Number(st?.filled || 0) > 0) {
+          await this._confirmEntryFill(position, null);
+          continue;
+        }
+
+        try {
+          await exchangeService.cancelOrder(position.order_id, position.symbol);
+        } catch (cancelErr) {
+          logger.warn(`[EntryOrderMonitor] Failed to cancel entry order ${position.order_id} of halted bot ${position.bot_id}: ${cancelErr?.message || cancelErr}`);
+        }
+
+        const cancelled = await Position.update(position.id, { status: 'cancelled', close_reason: 'daily_loss_limit', closed_at: new Date() });
+        realtimeHub.publishPosition('updated', cancelled);
+        logger.info(`[EntryOrderMonitor] 🛑 Cancelled entry position ${position.id} (orderId=${position.order_id}, ${position.symbol}): bot ${position.bot_id} hit its daily loss limit.`);
+      } catch (error) {
+        logger.warn(`[EntryOrderMonitor] Failed to cancel entry position ${position.id} of halted bot ${position.bot_id}: ${error?.message || error}`);
+      }
+    }
+    return remaining;
+  }
+
   /**
    * Poll a single entry order (extracted for batch processing)
    * @param {Object} entry - Entry order object
@@ -774,7 +882,8 @@ export class EntryOrderMonitor {
             // Confirmed filled via REST: promote to open
             await this._confirmEntryFill(position, null);
           } else if ((status === 'canceled' || status === 'cancelled' || status === 'expired') && filled === 0) {
-            await Position.update(position.id, { status: 'cancelled', close_reason: 'entry_order_canceled', closed_at: new Date() });
+            const cancelled = await Position.update(position.id, { status: 'cancelled', close_reason: 'entry_order_canceled', closed_at: new Date() });
+            realtimeHub.publishPosition('updated', cancelled);
             logger.debug(`[EntryOrderMonitor] entry_pending position ${position.id} (orderId=${position.order_id}, ${position.symbol}) canceled/expired via REST polling.`);
           } else {
         // TTL-based auto-cancel for stale pending entry positions
@@ -801,7 +910,8 @@ export class EntryOrderMonitor {
               logger.warn(`[EntryOrderMonitor] Failed to cancel stale entry order ${position.order_id} on exchange: ${cancelErr?.message || cancelErr}`);
             }
 
-            await Position.update(position.id, { status: 'cancelled', close_reason: 'entry_order_ttl', closed_at: new Date() });
+            const cancelled = await Position.update(position.id, { status: 'cancelled', close_reason: 'entry_order_ttl', closed_at: new Date() });
+            realtimeHub.publishPosition('updated', cancelled);
             logger.info(`[EntryOrderMonitor] ⏱️ Auto-canceled stale entry position ${position.id} (orderId=${position.order_id}) after TTL.`);
           } catch (recheckErr) {
             logger.warn(`[EntryOrderMonitor] Failed to re-check order status before TTL cancel for position ${position.id}: ${recheckErr?.message || recheckErr}`);
@@ -923,6 +1033,7 @@ export class EntryOrderMonitor {
       await EntryOrder.markFilled(entry.id);
 
       logger.debug(`[EntryOrderMonitor] ✅ Confirmed entry order ${entry.id} as Position ${position.id} (${entry.symbol}) at entry=${effectiveEntryPrice}`);
+      realtimeHub.publishPosition('opened', position);
 
       // NEW: Place TP immediately after entry is filled (do not wait for PositionMonitor interval)
       // This anchors a TP on the exchange ASAP to reduce risk in highly volatile markets.
@@ -1057,6 +1168,10 @@ export class EntryOrderMonitor {
       } catch (_) {}
     }
     this.wsClients.clear();
+    for (const [, { stream, handler }] of this.streamHandlers.entries()) {
+      stream.off('ORDER_TRADE_UPDATE', handler);
+    }
+    this.streamHandlers.clear();
 
     logger.info('[EntryOrderMonitor] Stopped');
   }
@@ -4,10 +4,13 @@ import { ExchangeService } from '../services/ExchangeService.js';
 import { PositionService } from '../services/PositionService.js';
 import { OrderService } from '../services/OrderService.js';
 import { TelegramService } from '../services/TelegramService.js';
-import { SCAN_INTERVALS } from '../config/constants.js';
+import { SCAN_INTERVALS, EXIT_MODES } from '../config/constants.js';
 import { configService } from '../services/ConfigService.js';
 import logger from '../utils/logger.js';
 import { ScanCycleCache } from '../utils/ScanCycleCache.js';
+import { buildExitLegs, parseExitLegs } from '../utils/tpLadder.js';
+import { resolveMarketDataExchange } from '../utils/marketDataExchange.js';
+import { dailyLossLimitService } from '../services/DailyLossLimitService.js';
 
 /**
  * Position Monitor Job - Monitor and update open positions
@@ -25,6 +28,10 @@ export class PositionMonitor {
     this._scanCache = new ScanCycleCache();
     this._priceCache = new ScanCycleCache();
     this._closableQtyCache = new ScanCycleCache();
+
+    // Price-based trailing stops are evaluated on every realtime tick (not only each monitor cycle)
+    this._trailingStopPositions = new Map(); // SYMBOL -> Map(positionId -> { position, feed })
+    this._trailingStopHandlersRegistered = false;
   }
 
   /**
@@ -413,6 +420,22 @@ export class PositionMonitor {
         }
       }
 
+      // exit_mode = 'trailing_stop': once armed, the exit order is the trailing stop, not the TP
+      const trailStopPrice = strategy.exit_mode === EXIT_MODES.TRAILING_STOP ? Number(position.trail_stop_price || 0) : 0;
+      if (needsTp && Number.isFinite(trailStopPrice) && trailStopPrice > 0) {
+        const positionService = this.positionServices.get(position.bot_id);
+        const currentPrice = positionService ? await exchangeService.getTickerPrice(position.symbol) : null;
+        if (currentPrice) {
+          logger.info(`[Place TP/SL] 🎯 Re-placing trailing stop | pos=${position.id} stop=${trailStopPrice}`);
+          const trailed = await positionService.evaluateTrailingStop(position, currentPrice, { force: true });
+          if (trailed?.status === 'closed') {
+            await this._releasePositionLock(position.id);
+            return;
+          }
+          needsTp = false;
+        }
+      }
+
       // Place TP order if needed and tpPrice is valid
       if (needsTp && tpPrice && Number.isFinite(tpPrice) && tpPrice > 0) {
         try {
@@ -635,6 +658,9 @@ export class PositionMonitor {
         // This is better than having no protection at all
       }
 
+      // Partial take-profit legs (strategies.tp_ladder), placed once per position
+      await this._placeTpLadderLegs(exchangeService, position, strategy, fillPrice, quantity, tpPrice);
+
       // Delay before placing SL order to avoid rate limits
       const delayMs = configService.getNumber('TP_SL_PLACEMENT_DELAY_MS', 10000);
       if (delayMs > 0) {
@@ -642,6 +668,18 @@ export class PositionMonitor {
         await new Promise(resolve => setTimeout(resolve, delayMs));
       }
 
+      // Break-even armed: the SL slot holds the break-even stop, never re-place the wider initial SL
+      const breakEvenPrice = Number(position.break_even_price || 0);
+      if (needsSl && position.break_even_armed_at && Number.isFinite(breakEvenPrice) && breakEvenPrice > 0) {
+        const positionService = this.positionServices.get(position.bot_id);
+        if (positionService) {
+          logger.info(`[Place TP/SL] 🛡️ Re-placing break-even stop | pos=${position.id} stop=${breakEvenPrice}`);
+          const updated = await positionService.placeBreakEvenStop(position, breakEvenPrice);
+          if (updated?.status === 'closed') return;
+        }
+        needsSl = false;
+      }
+
       // Place SL order (only if slPrice is valid, i.e., stoploss > 0)
       if (needsSl && slPrice !== null && Number.isFinite(slPrice) && slPrice > 0) {
         // Safety check: If SL is invalid (SL <= entry for SHORT or SL >= entry for LONG), force close position immediately
@@ -739,6 +777,51 @@ export class PositionMonitor {
     }
   }
 
+  /**
+   * Place reduce-only partial TP orders for a strategy TP ladder (e.g. 40% @ TP1, 30% @ TP2).
+   * The remainder stays on the unified exit order; leg fills are handled by EntryOrderMonitor.
+   * @param {ExchangeService} exchangeService
+   * @param {Object} position - DB position
+   * @param {Object} strategy - Strategy row (tp_ladder)
+   * @param {number} fillPrice - Actual entry price
+   * @param {number} quantity - Closable position quantity
+   * @param {number} [tpPrice] - Current exit TP price; legs at or beyond it (or past entry) are skipped
+   */
+  async _placeTpLadderLegs(exchangeService, position, strategy, fillPrice, quantity, tpPrice) {
+    if (parseExitLegs(position.exit_legs).length > 0) return;
+    const legs = buildExitLegs(strategy?.tp_ladder, { entryPrice: fillPrice, side: position.side, quantity, tpPrice });
+    if (legs.length === 0) return;
+
+    for (const leg of legs) {
+      if (leg.status === 'skipped') {
+        logger.warn(`[Place TP/SL] ⚠️ TP leg ${leg.level} for position ${position.id} not placed (price ${leg.price} not between entry ${fillPrice} and TP ${tpPrice})`);
+        continue;
+      }
+      try {
+        const res = await exchangeService.createTakeProfitLimit(position.symbol, position.side, leg.price, leg.quantity, {
+          clientOrderId: `OC_B${position.bot_id}_P${position.id}_TP${leg.level}`
+        });
+        if (res?.orderId) {
+          leg.order_id = String(res.orderId);
+          leg.status = 'open';
+        } else {
+          leg.status = 'skipped';
+          logger.warn(`[Place TP/SL] ⚠️ TP leg ${leg.level} for position ${position.id} not placed (price ${leg.price} too close to market)`);
+        }
+      } catch (e) {
+        leg.status = 'skipped';
+        logger.error(`[Place TP/SL] ❌ Failed to place TP leg ${leg.level} for position ${position.id}: ${e?.message || e}`);
+      }
+    }
+
+    await Position.update(position.id, { exit_legs: JSON.stringify(legs) });
+    position.exit_legs = legs;
+    logger.info(
+      `[Place TP/SL] 🪜 TP ladder for position ${position.id}: ` +
+      legs.map(l => `TP${l.level} ${l.percent}% @ ${Number(l.price).toFixed(8)} (${l.status}${l.order_id ? ` #${l.order_id}` : ''})`).join(', ')
+    );
+  }
+
   /**
    * Release soft lock for position
    * @param {number} positionId - Position ID
@@ -1060,6 +1143,137 @@ export class PositionMonitor {
     }
   }
 
+  /**
+   * Close all open positions of bots halted by the daily loss limit (only bots with daily_loss_flatten)
+   * @param {Array<Object>} openPositions - Result of Position.findOpen()
+   * @returns {Promise<Array<Object>>} Open positions that were not flattened
+   */
+  async _flattenDailyLossHaltedBots(openPositions) {
+    const flattenBots = new Set();
+    const botIds = [...new Set(openPositions.map(p => p.bot_id).filter(Boolean))];
+    for (const botId of botIds) {
+      try {
+        const state = await dailyLossLimitService.getState(botId, { exchangeService: this.exchangeServices.get(botId) || null });
+        if (state?.halted && state.flatten) {
+          flattenBots.add(botId);
+        }
+      } catch (error) {
+        logger.warn(`[PositionMonitor] Failed to check daily loss state for bot ${botId}: ${error?.message || error}`);
+      }
+    }
+    if (flattenBots.size === 0) return openPositions;
+
+    const remaining = [];
+    for (const position of openPositions) {
+      if (!flattenBots.has(position.bot_id)) {
+        remaining.push(position);
+        continue;
+      }
+
+      const exchangeService = this.exchangeServices.get(position.bot_id);
+      const positionService = this.positionServices.get(position.bot_id);
+      if (!exchangeService || !positionService) {
+        logger.error(`[PositionMonitor] Services not found for bot ${position.bot_id}, cannot flatten position ${position.id}`);
+        remaining.push(position);
+        continue;
+      }
+
+      try {
+        // Close first: the exit / SL / TP leg orders keep protecting the position until the market close went through
+        const currentPrice = await exchangeService.getTickerPrice(position.symbol);
+        const pnl = positionService.calculatePnL(position, currentPrice);
+        const closed = await positionService.closePosition(position, currentPrice, pnl, 'daily_loss_limit');
+        if (closed?.status !== 'closed') {
+          logger.error(`[PositionMonitor] Flatten of position ${position.id} for bot ${position.bot_id} was blocked, keeping its exit orders`);
+          remaining.push(position);
+          continue;
+        }
+        logger.warn(`[PositionMonitor] 🛑 Flattened position ${position.id} (${position.symbol}): bot ${position.bot_id} hit its daily loss limit`);
+      } catch (error) {
+        logger.error(`[PositionMonitor] Failed to flatten position ${position.id} for bot ${position.bot_id}: ${error?.message || error}`);
+        remaining.push(position);
+        continue;
+      }
+
+      // Open TP ladder legs are cancelled by closePosition
+      for (const orderId of [position.exit_order_id, position.sl_order_id]) {
+        if (!orderId) continue;
+        try {
+          await exchangeService.cancelOrder(orderId, position.symbol);
+        } catch (e) {
+          logger.warn(`[PositionMonitor] Failed to cancel order ${orderId} after flattening position ${position.id}: ${e?.message || e}`);
+        }
+      }
+    }
+    return remaining;
+  }
+
+  /**
+   * Rebuild the symbol -> open trailing_stop positions index used by the realtime tick handler
+   * @param {Array<Object>} openPositions - Result of Position.findOpen()
+   */
+  async _refreshTrailingStopPositions(openPositions) {
+    const index = new Map();
+    for (const pos of openPositions) {
+      if (pos.exit_mode !== EXIT_MODES.TRAILING_STOP || !this.positionServices.has(pos.bot_id)) continue;
+      const exchange = this.exchangeServices.get(pos.bot_id)?.bot?.exchange || pos.exchange;
+      const symbol = String(pos.symbol || '').toUpperCase().replace(/:USDT$/, '').replace(/[\/:_]/g, '');
+      if (!index.has(symbol)) index.set(symbol, new Map());
+      index.get(symbol).set(pos.id, { position: pos, feed: resolveMarketDataExchange(exchange) });
+    }
+    this._trailingStopPositions = index;
+
+    // Positions closed outside closePosition (exchange TP/SL fills, sync, manual) leave trailing state behind
+    const openIds = new Set(openPositions.map(p => p.id));
+    for (const positionService of this.positionServices.values()) {
+      for (const id of positionService.trailingStopState?.keys() || []) {
+        if (!openIds.has(id)) positionService.trailingStopState.delete(id);
+      }
+    }
+
+    if (index.size > 0 && !this._trailingStopHandlersRegistered) {
+      this._trailingStopHandlersRegistered = true;
+      const { webSocketManager } = await import('../services/WebSocketManager.js');
+      const { mexcPriceWs } = await import('../services/MexcWebSocketManager.js');
+      const { bybitPriceWs } = await import('../services/BybitWebSocketManager.js');
+      const { gatePriceWs } = await import('../services/GateWebSocketManager.js');
+      webSocketManager.onPrice((tick) => this._onTrailingStopTick('binance', tick));
+      mexcPriceWs.onPrice((tick) => this._onTrailingStopTick('mexc', tick));
+      bybitPriceWs.onPrice((tick) => this._onTrailingStopTick('bybit', tick));
+      gatePriceWs.onPrice((tick) => this._onTrailingStopTick('gate', tick));
+      logger.info('[PositionMonitor] Registered realtime price handlers for trailing stops');
+    }
+  }
+
+  /**
+   * Realtime tick: evaluate trailing stops of open positions on this symbol
+   * @param {string} feed - 'binance' | 'mexc' | 'bybit' | 'gate'
+   * @param {{symbol: string, price: number}} tick
+   */
+  _onTrailingStopTick(feed, tick) {
+    const entries = this._trailingStopPositions.get(String(tick?.symbol || '').toUpperCase());
+    const price = Number(tick?.price);
+    if (!entries || !Number.isFinite(price) || price <= 0) return;
+
+    for (const [positionId, entry] of entries) {
+      if (entry.feed !== feed) continue;
+      const positionService = this.positionServices.get(entry.position.bot_id);
+      if (!positionService) continue;
+      positionService.evaluateTrailingStop(entry.position, price)
+        .then((updated) => {
+          if (!updated) return;
+          if (updated.status !== 'open') {
+            entries.delete(positionId);
+          } else if (updated !== entry.position) {
+            entry.position = { ...entry.position, ...updated };
+          }
+        })
+        .catch((error) => {
+          logger.debug(`[PositionMonitor] Trailing stop tick failed for position ${positionId}: ${error?.message || error}`);
+        });
+    }
+  }
+
   /**
    * Monitor all open positions
    */
@@ -1077,7 +1291,9 @@ export class PositionMonitor {
     this._closableQtyCache.clear();
 
     try {
-      const openPositions = await Position.findOpen();
+      // Daily loss kill switch: flatten halted bots first so their positions are not managed this cycle
+      const openPositions = await this._flattenDailyLossHaltedBots(await Position.findOpen());
+      await this._refreshTrailingStopPositions(openPositions);
       
       // DEBUG: Log position IDs being monitored (use info level for visibility)
       if (openPositions.length > 0) {
@@ -4,6 +4,7 @@ import { EntryOrder } from '../models/EntryOrder.js';
 import { ExchangeService } from '../services/ExchangeService.js';
 import { SCAN_INTERVALS } from '../config/constants.js';
 import { configService } from '../services/ConfigService.js';
+import { positionFeeService } from '../services/PositionFeeService.js';
 import logger from '../utils/logger.js';
 import pool from '../config/database.js';
 
@@ -17,6 +18,7 @@ export class PositionSync {
     this.telegramService = null; // TelegramService for sending alerts
     this.isRunning = false;
     this.task = null;
+    this.fundingTask = null;
   }
 
   /**
@@ -833,6 +835,27 @@ export class PositionSync {
     }, intervalMs);
 
     logger.info(`[PositionSync] Started sync job with interval: ${intervalMs}ms (${intervalMs / 1000}s)`);
+
+    // Funding fees settle every few hours; refresh positions.funding_fee / net_pnl on a slower cadence
+    const fundingIntervalMs = Number(configService.getNumber('POSITION_FUNDING_SYNC_INTERVAL_MS', 600000));
+    if (fundingIntervalMs > 0) {
+      this.fundingTask = setInterval(async () => {
+        await this.syncFundingFees();
+      }, fundingIntervalMs);
+    }
+  }
+
+  /**
+   * Refresh funding fees of open / recently closed positions for every bot
+   */
+  async syncFundingFees() {
+    for (const [botId, exchangeService] of this.exchangeServices) {
+      try {
+        await positionFeeService.syncFunding(botId, exchangeService);
+      } catch (error) {
+        logger.warn(`[PositionSync] Funding fee sync failed for bot ${botId}: ${error?.message || error}`);
+      }
+    }
   }
 
   /**
@@ -842,6 +865,8 @@ export class PositionSync {
     if (this.task) {
       clearInterval(this.task); // Clear setInterval timer
       this.task = null;
+      if (this.fundingTask) clearInterval(this.fundingTask);
+      this.fundingTask = null;
       logger.info('[PositionSync] Stopped sync job');
     }
   }
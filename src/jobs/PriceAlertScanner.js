@@ -6,6 +6,11 @@ import { priceAlertSymbolTracker } from '../services/PriceAlertSymbolTracker.js'
 import { strategyCache } from '../services/StrategyCache.js';
 import { webSocketManager } from '../services/WebSocketManager.js';
 import { mexcPriceWs } from '../services/MexcWebSocketManager.js';
+import { realtimeOCDetector } from '../services/RealtimeOCDetector.js';
+import { lossCooldownService } from '../services/LossCooldownService.js';
+import { realtimeHub } from '../services/RealtimeHub.js';
+import { evaluateVolumeFilter } from '../utils/indicatorFilters.js';
+import { INTERVALS } from '../config/constants.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -22,7 +27,7 @@ export class PriceAlertScanner {
     this.alertStates = new Map(); // key: exch|symbol|interval -> state
 
     // ✅ DEDUPE: prevent multiple signals for same (exchange|symbol|interval|strategy) within the same candle bucket
-    this.signalStates = new Map(); // key: exch|symbol|interval|strategyId -> { bucket, lastSentAt }
+    this.signalStates = new Map(); // key: exch|symbol|interval|strategyId -> { bucket, bucketEnd, lastSentAt }
     this.signalMinIntervalMs = 15000; // safety: at most 1 signal per 15s even if bucket calc is jittery
     this.priceCache = new Map(); // Cache prices to avoid excessive API calls
     this.priceCacheTime = new Map(); // Track cache time
@@ -245,7 +250,7 @@ export class PriceAlertScanner {
     }
 
     // Determine intervals from config; default to ['1m'] if empty
-    // Normalize and keep only supported intervals (1m, 5m, 15m, 30m)
+    // Normalize and keep only supported intervals (INTERVALS: 1m ... 1d)
     const rawIntervals = Array.isArray(config.intervals) && config.intervals.length > 0
       ? config.intervals
       : ['1m'];
@@ -255,7 +260,7 @@ export class PriceAlertScanner {
       .filter(Boolean);
 
     if (intervals.length === 0) {
-      logger.warn(`[PriceAlertScanner] Config ${id} has no valid intervals. Expected one of: 1m, 5m, 15m, 30m`);
+      logger.warn(`[PriceAlertScanner] Config ${id} has no valid intervals. Expected one of: ${INTERVALS.join(', ')}`);
       return;
     }
 
@@ -316,8 +321,16 @@ export class PriceAlertScanner {
       // State per exchange-symbol-interval
       const stateKey = `${exchange}_${symbol}_${interval}`;
       if (!this.alertStates.has(stateKey)) {
+        // Joining mid-bucket (startup, new symbol): the first tick is not the bucket open, which matters
+        // for 1h/4h/1d buckets. Use the WS kline open, or wait for it (at worst until the next bucket starts).
+        let openPrice = price;
+        if (now - bucket * intervalMs > 60_000) {
+          const accurate = await realtimeOCDetector.getAccurateOpen(exchange, symbol, interval, price, now);
+          if (!Number.isFinite(accurate?.open) || accurate.open <= 0) return;
+          openPrice = accurate.open;
+        }
         this.alertStates.set(stateKey, {
-          openPrice: price,
+          openPrice,
           bucket,
           lastAlertTime: 0,
           alerted: false,
@@ -361,6 +374,17 @@ export class PriceAlertScanner {
       if (ocAbs >= threshold) {
         const timeSinceLastAlert = nowMs - state.lastAlertTime;
         if (!state.alerted || timeSinceLastAlert >= minAlertInterval) {
+          realtimeHub.publish('price-alert:fired', {
+            configId,
+            exchange,
+            symbol,
+            interval,
+            oc,
+            openPrice,
+            currentPrice: price,
+            direction: oc >= 0 ? 'bullish' : 'bearish'
+          });
+
           // Fire-and-forget: do not block strategy execution
           this.sendPriceAlert(
             exchange,
@@ -504,10 +528,13 @@ export class PriceAlertScanner {
     }
 
     // Cleanup signalStates (dedupe cache)
-    // Remove entries older than stateMaxIdleMs to prevent memory growth
+    // An entry must live until its bucket ends (a 1d bucket outlasts stateMaxIdleMs), after that only the
+    // signalMinIntervalMs guard reads it
     for (const [key, v] of this.signalStates.entries()) {
-      const lastSentAt = v?.lastSentAt || 0;
-      if (now - lastSentAt > this.stateMaxIdleMs) {
+      const expiresAt = Number.isFinite(v?.bucketEnd)
+        ? Math.max(v.bucketEnd, (v.lastSentAt || 0) + this.signalMinIntervalMs)
+        : (v?.lastSentAt || 0) + this.stateMaxIdleMs;
+      if (now > expiresAt) {
         this.signalStates.delete(key);
       }
     }
@@ -571,6 +598,7 @@ export class PriceAlertScanner {
 
     const ocAbs = Math.abs(oc);
     const direction = oc >= 0 ? 'bullish' : 'bearish';
+    let volumeInfo; // lazily resolved, only for strategies with min_volume_ratio
 
     for (const strategy of strategies) {
       // Skip if strategy is not active or interval doesn't match exactly
@@ -598,14 +626,40 @@ export class PriceAlertScanner {
         continue;
       }
 
+      // Volume confirmation: current bucket volume must be >= min_volume_ratio × trailing average
+      if (Number(strategy.min_volume_ratio) > 0) {
+        if (volumeInfo === undefined) {
+          volumeInfo = await realtimeOCDetector.getVolumeRatio(exchange, symbol, normalizedInterval, now);
+        }
+        const volumeCheck = evaluateVolumeFilter(strategy, volumeInfo);
+        if (!volumeCheck.passed) {
+          logger.debug(`[PriceAlertScanner] ⏭️ Strategy ${strategy.id} rejected by ${volumeCheck.filter} filter: ${volumeCheck.reason}`);
+          continue;
+        }
+      }
+
       const orderService = this.orderServices.get(strategy.bot_id);
       if (!orderService) {
         logger.warn(`[PriceAlertScanner] No OrderService for bot ${strategy.bot_id}`);
         continue;
       }
 
+      // Consecutive-loss cooldown (per strategy / per bot+symbol)
+      const cooldown = await lossCooldownService.getCooldown(strategy);
+      if (cooldown) {
+        logger.debug(
+          `[PriceAlertScanner] ⏸️ Strategy ${strategy.id} in ${cooldown.scope} loss cooldown ` +
+          `(${lossCooldownService.formatRemaining(cooldown.remainingMs)} remaining)`
+        );
+        if (lossCooldownService.shouldAlert(cooldown)) {
+          // Fire-and-forget: sendLossCooldownAlert never throws
+          orderService.telegramService?.sendLossCooldownAlert?.(strategy, cooldown);
+        }
+        continue;
+      }
+
       // mark as sent BEFORE execute to prevent concurrent duplicate fires
-      this.signalStates.set(dedupeKey, { bucket, lastSentAt: now });
+      this.signalStates.set(dedupeKey, { bucket, bucketEnd: (bucket + 1) * intervalMs, lastSentAt: now });
 
       try {
         const signal = await this.createSignalFromMatch({
@@ -638,9 +692,8 @@ export class PriceAlertScanner {
     if (!interval) return null;
     // Convert to lowercase and remove any non-alphanumeric characters
     const normalized = String(interval).toLowerCase().replace(/[^a-z0-9]/g, '');
-    // Only allow specific intervals
-    const validIntervals = ['1m', '5m', '15m', '30m'];
-    return validIntervals.includes(normalized) ? normalized : null;
+    // Only allow strategy intervals
+    return INTERVALS.includes(normalized) ? normalized : null;
   }
 
   /**
@@ -662,19 +715,25 @@ export class PriceAlertScanner {
       const bullish = Number(currentPrice) >= Number(openPrice);
       const direction = bullish ? 'bullish' : 'bearish';
 
+      // Volume multiple of the current bucket vs trailing average (null if no volume data yet)
+      const normalizedInterval = this.normalizeInterval(interval) || '1m';
+      const volumeInfo = await realtimeOCDetector.getVolumeRatio(exchange, symbol, normalizedInterval);
+      const volumeRatio = volumeInfo?.ratio ?? null;
+
       // Use compact line format via TelegramService
       logger.info(`[PriceAlertScanner] Sending alert for ${exchange.toUpperCase()} ${symbol} ${interval} (OC: ${ocPercent.toFixed(2)}%) to chat_id=${telegramChatId} (config_id=${configId})`);
 
       try {
         await this.telegramService.sendVolatilityAlert(telegramChatId, {
           symbol,
-          interval: this.normalizeInterval(interval) || '1m',
+          interval: normalizedInterval,
           oc: ocPercent,
           open: openPrice,
           currentPrice,
-          direction
+          direction,
+          volumeRatio
         });
-        logger.info(`[PriceAlertScanner] ✅ Alert queued: ${exchange.toUpperCase()} ${symbol} ${interval} (OC: ${ocPercent.toFixed(2)}%, open=${openPrice}, current=${currentPrice}) to chat_id=${telegramChatId}`);
+        logger.info(`[PriceAlertScanner] ✅ Alert queued: ${exchange.toUpperCase()} ${symbol} ${interval} (OC: ${ocPercent.toFixed(2)}%, open=${openPrice}, current=${currentPrice}, volume=${volumeRatio !== null ? `x${volumeRatio.toFixed(2)}` : 'n/a'}) to chat_id=${telegramChatId}`);
       } catch (error) {
         logger.error(`[PriceAlertScanner] ❌ Failed to send alert to chat_id=${telegramChatId}:`, error?.message || error);
       }
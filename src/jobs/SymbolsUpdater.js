@@ -1,11 +1,11 @@
 import cron from 'node-cron';
-import { exchangeInfoService } from '../services/ExchangeInfoService.js';
+import { listExchangeAdapters, getExchangeAdapter } from '../services/exchanges/index.js';
 import { configService } from '../services/ConfigService.js';
 import logger from '../utils/logger.js';
 
 /**
  * SymbolsUpdater Job
- * - Refreshes tradable symbols/filters for Binance & MEXC on a schedule
+ * - Refreshes tradable symbols/filters of every exchange adapter (Binance, MEXC, Bybit, Gate.io) on a schedule
  * - Keeps symbol_filters table and in-memory cache up to date
  * 
  * Features:
@@ -52,7 +52,7 @@ export class SymbolsUpdater {
   
   /**
    * CRITICAL FIX: Check if exchange should be skipped due to backoff
-   * @param {string} exchange - Exchange name (binance, mexc)
+   * @param {string} exchange - Exchange name (binance, mexc, ...)
    * @returns {boolean} True if exchange should be skipped
    */
   _shouldSkipExchange(exchange) {
@@ -81,7 +81,7 @@ export class SymbolsUpdater {
   
   /**
    * CRITICAL FIX: Record exchange failure for backoff tracking
-   * @param {string} exchange - Exchange name (binance, mexc)
+   * @param {string} exchange - Exchange name (binance, mexc, ...)
    */
   _recordExchangeFailure(exchange) {
     if (!this._exchangeFailures[exchange]) {
@@ -93,7 +93,7 @@ export class SymbolsUpdater {
   
   /**
    * CRITICAL FIX: Record exchange success (reset failure count)
-   * @param {string} exchange - Exchange name (binance, mexc)
+   * @param {string} exchange - Exchange name (binance, mexc, ...)
    */
   _recordExchangeSuccess(exchange) {
     if (this._exchangeFailures[exchange]) {
@@ -126,39 +126,23 @@ export class SymbolsUpdater {
         return;
       }
 
-      logger.info('[SymbolsUpdater] Refreshing Binance and MEXC symbol filters...');
+      logger.info('[SymbolsUpdater] Refreshing symbol filters of every exchange adapter...');
 
-      // CRITICAL FIX: Check backoff before updating
-      const shouldSkipBinance = this._shouldSkipExchange('binance');
-      const shouldSkipMexc = this._shouldSkipExchange('mexc');
-
-      // CRITICAL FIX: Run updates in parallel for better performance
+      // CRITICAL FIX: Run updates in parallel for better performance (per-exchange backoff)
       const updatePromises = [];
-      
-      if (!shouldSkipBinance) {
-        updatePromises.push(
-          exchangeInfoService.updateFiltersFromExchange()
-            .then(() => {
-              this._recordExchangeSuccess('binance');
-        logger.info('[SymbolsUpdater] Binance symbol filters updated');
-            })
-            .catch((e) => {
-              this._recordExchangeFailure('binance');
-        logger.error('[SymbolsUpdater] Binance update failed:', e?.message || e);
-            })
-        );
-      }
 
-      if (!shouldSkipMexc) {
+      for (const exchange of listExchangeAdapters()) {
+        if (this._shouldSkipExchange(exchange)) continue;
         updatePromises.push(
-          exchangeInfoService.updateMexcFiltersFromExchange()
-            .then(() => {
-              this._recordExchangeSuccess('mexc');
-        logger.info('[SymbolsUpdater] MEXC symbol filters updated');
+          getExchangeAdapter(exchange).syncSymbolFilters()
+            .then((synced) => {
+              if (!synced) return; // venue without a symbol filter source
+              this._recordExchangeSuccess(exchange);
+              logger.info(`[SymbolsUpdater] ${exchange} symbol filters updated`);
             })
             .catch((e) => {
-              this._recordExchangeFailure('mexc');
-        logger.error('[SymbolsUpdater] MEXC update failed:', e?.message || e);
+              this._recordExchangeFailure(exchange);
+              logger.error(`[SymbolsUpdater] ${exchange} update failed:`, e?.message || e);
             })
         );
       }
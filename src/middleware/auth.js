@@ -0,0 +1,46 @@
+import { authService } from '../services/AuthService.js';
+import { User } from '../models/User.js';
+import { USER_ROLES } from '../config/constants.js';
+
+/**
+ * Authenticate requests with `Authorization: Bearer <token>` and attach req.user ({ id, username, role }).
+ * The user is re-loaded on each request so deactivation and role changes apply immediately.
+ */
+export async function authenticate(req, res, next) {
+  if (authService.isDisabled()) {
+    req.user = { id: null, username: 'auth-disabled', role: USER_ROLES.ADMIN };
+    return next();
+  }
+
+  try {
+    const header = req.headers?.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    const claims = token ? authService.verifyToken(token) : null;
+    if (!claims) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    const user = await User.findById(claims.sub);
+    if (!user || !user.is_active) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    req.user = { id: user.id, username: user.username, role: user.role };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require at least the given role (viewer < operator < admin). Use after authenticate.
+ * @param {string} role - Minimum role
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !authService.hasRole(req.user.role, role)) {
+      return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
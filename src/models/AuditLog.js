@@ -0,0 +1,91 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+}
+
+function parseRow(row) {
+  if (!row) return null;
+  return { ...row, before_data: parseJson(row.before_data), after_data: parseJson(row.after_data) };
+}
+
+/**
+ * AuditLog model (audit_log: who changed which strategy/bot, with before/after JSON)
+ */
+export class AuditLog {
+  /**
+   * Write an audit row
+   * @param {Object} entry - { entityType, entityId, action, actor: { id, username }, before, after, version }
+   * @param {Object} connection - Optional connection (transaction), defaults to the pool
+   * @returns {Promise<number>} Inserted id
+   */
+  static async create({ entityType, entityId, action, actor = null, before = null, after = null, version = null }, connection = pool) {
+    const [result] = await connection.execute(
+      `INSERT INTO audit_log (entity_type, entity_id, action, version, user_id, username, before_data, after_data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entityType,
+        entityId,
+        action,
+        version ?? null,
+        actor?.id ?? null,
+        actor?.username ?? null,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null
+      ]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Write an audit row outside a transaction: failures are logged, never thrown (the change itself already succeeded)
+   * @param {Object} entry - See create()
+   * @returns {Promise<number|null>} Inserted id, null on failure
+   */
+  static async record(entry) {
+    try {
+      return await this.create(entry);
+    } catch (error) {
+      logger.error(`[AuditLog] Failed to record ${entry.action} of ${entry.entityType} ${entry.entityId}: ${error?.message || error}`);
+      return null;
+    }
+  }
+
+  /**
+   * History of an entity, newest first
+   * @param {string} entityType - strategy | bot
+   * @param {number} entityId
+   * @param {number} limit - Max rows (default 100, max 1000)
+   * @returns {Promise<Array>}
+   */
+  static async findByEntity(entityType, entityId, limit = 100) {
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+    const [rows] = await pool.execute(
+      `SELECT * FROM audit_log WHERE entity_type = ? AND entity_id = ? ORDER BY id DESC LIMIT ${safeLimit}`,
+      [entityType, entityId]
+    );
+    return rows.map(parseRow);
+  }
+
+  /**
+   * Latest audit row that left a strategy at the given version
+   * @param {number} strategyId
+   * @param {number} version
+   * @returns {Promise<Object|null>}
+   */
+  static async findStrategyVersion(strategyId, version) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM audit_log
+       WHERE entity_type = 'strategy' AND entity_id = ? AND version = ? AND after_data IS NOT NULL
+       ORDER BY id DESC LIMIT 1`,
+      [strategyId, version]
+    );
+    return parseRow(rows[0]);
+  }
+}
@@ -1,8 +1,15 @@
 import pool from '../config/database.js';
 import logger from '../utils/logger.js';
+import { encryptCredential, CREDENTIAL_HINT_FIELDS } from '../utils/credentialCrypto.js';
+
+// Columns stored encrypted at rest (see utils/credentialCrypto.js)
+const CREDENTIAL_FIELDS = ['access_key', 'secret_key', 'proxy'];
 
 /**
  * Bot model
+ *
+ * Credential columns (access_key, secret_key, proxy) are encrypted on write and returned
+ * as ciphertext by the finders; ExchangeService decrypts them when it is constructed.
  */
 export class Bot {
   /**
@@ -59,6 +66,9 @@ export class Bot {
       telegram_alert_channel_id = null,
       binance_testnet = null,
       concurrency_lock_timeout = null,
+      daily_loss_limit = null,
+      daily_loss_limit_pct = null,
+      daily_loss_flatten = false,
       is_active = true,
       is_reverse_strategy = true // Default to reverse strategy
     } = data;
@@ -69,14 +79,16 @@ export class Bot {
         telegram_chat_id, future_balance_target, spot_transfer_threshold,
         transfer_frequency, withdraw_enabled, withdraw_address,
         withdraw_network, spot_balance_threshold, max_concurrent_trades,
-        telegram_alert_channel_id, binance_testnet, concurrency_lock_timeout, is_active, is_reverse_strategy
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        telegram_alert_channel_id, binance_testnet, concurrency_lock_timeout,
+        daily_loss_limit, daily_loss_limit_pct, daily_loss_flatten, is_active, is_reverse_strategy
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
-        bot_name, exchange, uid, access_key, secret_key, proxy,
+        bot_name, exchange, uid, encryptCredential(access_key, { hint: true }), encryptCredential(secret_key), encryptCredential(proxy),
         telegram_chat_id, future_balance_target, spot_transfer_threshold,
         transfer_frequency, withdraw_enabled, withdraw_address,
         withdraw_network, spot_balance_threshold, max_concurrent_trades,
-        telegram_alert_channel_id, binance_testnet, concurrency_lock_timeout, is_active, is_reverse_strategy
+        telegram_alert_channel_id, binance_testnet, concurrency_lock_timeout,
+        daily_loss_limit, daily_loss_limit_pct, daily_loss_flatten, is_active, is_reverse_strategy
       ]
     );
 
@@ -96,7 +108,7 @@ export class Bot {
     Object.keys(data).forEach(key => {
       if (data[key] !== undefined) {
         fields.push(`${key} = ?`);
-        values.push(data[key]);
+        values.push(CREDENTIAL_FIELDS.includes(key) ? encryptCredential(data[key], { hint: CREDENTIAL_HINT_FIELDS.includes(key) }) : data[key]);
       }
     });
 
@@ -79,6 +79,43 @@ export class Candle {
     return rows.reverse(); // Return in chronological order
   }
 
+  /**
+   * Get candles within a time range (chronological order)
+   * @param {string} exchange - Exchange name (mexc, gate, binance, bybit)
+   * @param {string} symbol - Trading symbol
+   * @param {string} interval - Time interval
+   * @param {number|null} fromMs - Inclusive lower bound on open_time (ms), null = no bound
+   * @param {number|null} toMs - Inclusive upper bound on open_time (ms), null = no bound
+   * @param {Object} options - { limit } to keep only the latest `limit` candles of the range
+   * @returns {Promise<Array>}
+   */
+  static async getCandlesInRange(exchange, symbol, interval, fromMs = null, toMs = null, { limit = null } = {}) {
+    const conditions = ['exchange = ?', 'symbol = ?', '`interval` = ?'];
+    const params = [exchange, symbol, interval];
+    if (Number.isFinite(Number(fromMs)) && fromMs !== null) {
+      conditions.push('open_time >= ?');
+      params.push(Number(fromMs));
+    }
+    if (Number.isFinite(Number(toMs)) && toMs !== null) {
+      conditions.push('open_time <= ?');
+      params.push(Number(toMs));
+    }
+    if (limit === null || limit === undefined) {
+      const [rows] = await pool.execute(
+        `SELECT * FROM candles WHERE ${conditions.join(' AND ')} ORDER BY open_time ASC`,
+        params
+      );
+      return rows;
+    }
+    // LIMIT inlined as an integer (see getCandles)
+    const safeLimit = Math.max(1, parseInt(limit, 10) || 1);
+    const [rows] = await pool.execute(
+      `SELECT * FROM candles WHERE ${conditions.join(' AND ')} ORDER BY open_time DESC LIMIT ${safeLimit}`,
+      params
+    );
+    return rows.reverse();
+  }
+
   /**
    * Insert or update candle
    * @param {Object} candle - Candle data (must include exchange)
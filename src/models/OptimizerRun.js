@@ -0,0 +1,115 @@
+import pool from '../config/database.js';
+
+const JSON_COLUMNS = ['symbols', 'param_ranges', 'options', 'results'];
+
+/**
+ * Parse JSON columns of an optimizer_runs row
+ * @param {Object|null} row
+ * @returns {Object|null}
+ */
+function parseRow(row) {
+  if (!row) return null;
+  const parsed = { ...row };
+  for (const column of JSON_COLUMNS) {
+    if (typeof parsed[column] === 'string') {
+      try {
+        parsed[column] = JSON.parse(parsed[column]);
+      } catch (_) {
+        parsed[column] = null;
+      }
+    }
+  }
+  return parsed;
+}
+
+/**
+ * OptimizerRun model (strategy parameter sweeps, see StrategyOptimizerService)
+ */
+export class OptimizerRun {
+  /**
+   * Get latest runs (without results)
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  static async findAll(limit = 50) {
+    const safeLimit = Math.max(1, Math.min(500, parseInt(limit, 10) || 50));
+    const [rows] = await pool.execute(
+      `SELECT id, bot_id, exchange, symbols, \`interval\`, method, objective, min_trades, param_ranges, options,
+              from_time, to_time, status, combinations, evaluated, error, created_at, finished_at
+       FROM optimizer_runs ORDER BY id DESC LIMIT ${safeLimit}`
+    );
+    return rows.map(parseRow);
+  }
+
+  /**
+   * Get run by ID (with results)
+   * @param {number} id - Run ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM optimizer_runs WHERE id = ?', [id]);
+    return parseRow(rows[0]);
+  }
+
+  /**
+   * Create a pending run
+   * @param {Object} data - { bot_id, exchange, symbols, interval, method, objective, min_trades, param_ranges, options, from_time, to_time, combinations }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const [result] = await pool.execute(
+      `INSERT INTO optimizer_runs (
+        bot_id, exchange, symbols, \`interval\`, method, objective, min_trades, param_ranges, options,
+        from_time, to_time, status, combinations
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)`,
+      [
+        data.bot_id ?? null,
+        data.exchange,
+        JSON.stringify(data.symbols || []),
+        data.interval,
+        data.method || 'grid',
+        data.objective || 'net_pnl',
+        data.min_trades || 0,
+        JSON.stringify(data.param_ranges || {}),
+        data.options ? JSON.stringify(data.options) : null,
+        data.from_time,
+        data.to_time,
+        data.combinations || 0
+      ]
+    );
+    return this.findById(result.insertId);
+  }
+
+  /**
+   * Update run (JSON columns are serialized)
+   * @param {number} id - Run ID
+   * @param {Object} data - Update data
+   * @returns {Promise<void>}
+   */
+  static async update(id, data) {
+    const fields = [];
+    const values = [];
+
+    Object.keys(data).forEach(key => {
+      if (data[key] === undefined) return;
+      fields.push(`\`${key}\` = ?`);
+      values.push(JSON_COLUMNS.includes(key) && data[key] !== null ? JSON.stringify(data[key]) : data[key]);
+    });
+    if (fields.length === 0) return;
+
+    values.push(id);
+    await pool.execute(`UPDATE optimizer_runs SET ${fields.join(', ')} WHERE id = ?`, values);
+  }
+
+  /**
+   * Mark runs left running by a previous process as failed
+   * @returns {Promise<number>} Number of runs marked failed
+   */
+  static async failInterrupted() {
+    const [result] = await pool.execute(
+      `UPDATE optimizer_runs SET status = 'failed', error = 'Interrupted by restart', finished_at = NOW()
+       WHERE status IN ('pending', 'running')`
+    );
+    return result?.affectedRows || 0;
+  }
+}
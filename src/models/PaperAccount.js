@@ -0,0 +1,50 @@
+import pool from '../config/database.js';
+
+/**
+ * PaperAccount model - persisted state of the simulated (paper) exchange per bot
+ */
+export class PaperAccount {
+  /**
+   * Get paper account by bot ID
+   * @param {number} botId - Bot ID
+   * @returns {Promise<Object|null>} { bot_id, balance, state } with state parsed from JSON
+   */
+  static async findByBotId(botId) {
+    const [rows] = await pool.execute('SELECT * FROM paper_accounts WHERE bot_id = ?', [botId]);
+    const row = rows[0];
+    if (!row) return null;
+    let state = null;
+    try {
+      state = row.state ? JSON.parse(row.state) : null;
+    } catch (_) {
+      state = null;
+    }
+    return { ...row, balance: Number(row.balance), state };
+  }
+
+  /**
+   * Insert or update paper account
+   * @param {number} botId - Bot ID
+   * @param {number} balance - Wallet balance (USDT)
+   * @param {Object} state - Serializable state (orders, positions, counters)
+   * @returns {Promise<void>}
+   */
+  static async save(botId, balance, state) {
+    await pool.execute(
+      `INSERT INTO paper_accounts (bot_id, balance, state)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE balance = VALUES(balance), state = VALUES(state)`,
+      [botId, balance, JSON.stringify(state || {})]
+    );
+  }
+
+  /**
+   * Delete paper account (reset)
+   * @param {number} botId - Bot ID
+   * @returns {Promise<boolean>}
+   */
+  static async delete(botId) {
+    const [result] = await pool.execute('DELETE FROM paper_accounts WHERE bot_id = ?', [botId]);
+    return result.affectedRows > 0;
+  }
+}
@@ -1,4 +1,41 @@
 import pool from '../config/database.js';
+import { getRealizedLegsPnl } from '../utils/tpLadder.js';
+
+/**
+ * Net PnL of a closed position: gross pnl - entry/exit commission + funding (funding_fee < 0 = paid).
+ * MySQL evaluates SET assignments left to right, so this must come after any pnl/status/fee assignment.
+ */
+const NET_PNL_ASSIGNMENT = `net_pnl = CASE WHEN status = 'closed' AND pnl IS NOT NULL
+  THEN pnl - COALESCE(entry_fee, 0) - COALESCE(exit_fee, 0) + COALESCE(funding_fee, 0)
+  ELSE net_pnl END`;
+
+/**
+ * PnL expression for reports: net pnl when known, else the gross estimate (positions closed before fee tracking)
+ */
+export const NET_PNL_SQL = 'COALESCE(p.net_pnl, p.pnl)';
+
+/**
+ * Strategy columns copied into positions.strategy_snapshot when a position is opened
+ */
+export const STRATEGY_SNAPSHOT_FIELDS = [
+  'symbol', 'trade_type', 'interval', 'oc', 'extend', 'amount', 'take_profit', 'reduce', 'up_reduce', 'ignore',
+  'stoploss', 'tp_ladder', 'exit_mode', 'trail_activation_pct', 'trail_callback_pct', 'trail_atr_mult', 'break_even_pct',
+  'ema_slope_filter', 'vwap_filter', 'min_oc_atr_ratio', 'min_volume_ratio'
+];
+
+/**
+ * JSON snapshot of the strategy parameters (only columns present on the row)
+ * @param {Object|null} strategy - Strategy row
+ * @returns {string|null}
+ */
+export function buildStrategySnapshot(strategy) {
+  if (!strategy) return null;
+  const snapshot = {};
+  for (const field of STRATEGY_SNAPSHOT_FIELDS) {
+    if (strategy[field] !== undefined) snapshot[field] = strategy[field];
+  }
+  return JSON.stringify(snapshot);
+}
 
 /**
  * Position model
@@ -53,6 +90,7 @@ export class Position {
     const [rows] = await pool.execute(
       `SELECT p.*, s.symbol, s.interval, s.oc, s.take_profit,
               s.reduce, s.up_reduce, s.extend, s.stoploss, s.bot_id,
+              s.exit_mode, s.trail_activation_pct, s.trail_callback_pct, s.trail_atr_mult, s.break_even_pct,
               b.bot_name, b.exchange, b.telegram_chat_id, b.telegram_alert_channel_id
        FROM positions p
        JOIN strategies s ON p.strategy_id = s.id
@@ -70,7 +108,8 @@ export class Position {
    */
   static async findOpen(strategyId = null) {
     let query = `SELECT p.*, s.symbol, s.\`interval\`, s.oc, s.take_profit,
-                        s.reduce, s.up_reduce, s.stoploss, s.bot_id, b.bot_name, b.exchange
+                        s.reduce, s.up_reduce, s.stoploss, s.bot_id, b.bot_name, b.exchange,
+                        s.exit_mode, s.trail_activation_pct, s.trail_callback_pct, s.trail_atr_mult, s.break_even_pct
                  FROM positions p
                  JOIN strategies s ON p.strategy_id = s.id
                  JOIN bots b ON p.bot_id = b.id
@@ -121,6 +160,27 @@ export class Position {
     return rows[0] || null;
   }
 
+  /**
+   * Find open position owning a partial TP leg order (positions.exit_legs[].order_id)
+   * @param {number} botId
+   * @param {string|number} orderId
+   * @returns {Promise<Object|null>}
+   */
+  static async findOpenByExitLegOrderId(botId, orderId) {
+    const [rows] = await pool.execute(
+      `SELECT p.*, s.symbol, s.\`interval\`, s.oc, s.take_profit,
+              s.reduce, s.up_reduce, s.stoploss, s.bot_id, b.bot_name, b.exchange, b.telegram_chat_id, b.telegram_alert_channel_id
+       FROM positions p
+       JOIN strategies s ON p.strategy_id = s.id
+       JOIN bots b ON p.bot_id = b.id
+       WHERE p.bot_id = ? AND p.status = 'open'
+         AND JSON_SEARCH(p.exit_legs, 'one', ?, NULL, '$[*].order_id') IS NOT NULL
+       LIMIT 1`,
+      [botId, String(orderId)]
+    );
+    return rows[0] || null;
+  }
+
   static async findOpenBySymbol(symbol) {
     const [rows] = await pool.execute(
       `SELECT p.*, s.oc, s.take_profit, s.reduce, s.up_reduce, s.stoploss
@@ -150,18 +210,27 @@ export class Position {
       stop_loss_price,
       current_reduce,
       exit_order_id = null,
-      sl_order_id = null
+      sl_order_id = null,
+      strategy_snapshot = null,
+      strategy_version = null
     } = data;
 
     const safe = (v) => (v === undefined ? null : v);
 
-    // Resolve bot_id from strategies if not provided
-    if ((bot_id === undefined || bot_id === null) && strategy_id) {
+    // Resolve bot_id, the strategy parameter snapshot and version from strategies if not provided
+    const needsBotId = bot_id === undefined || bot_id === null;
+    if ((needsBotId || !strategy_snapshot || strategy_version === null) && strategy_id) {
       try {
-        const [rows] = await pool.execute('SELECT bot_id FROM strategies WHERE id = ? LIMIT 1', [strategy_id]);
-        bot_id = rows?.[0]?.bot_id ?? null;
+        const [rows] = await pool.execute('SELECT * FROM strategies WHERE id = ? LIMIT 1', [strategy_id]);
+        const strategy = rows?.[0] || null;
+        if (needsBotId) bot_id = strategy?.bot_id ?? null;
+        if (!strategy_snapshot) strategy_snapshot = buildStrategySnapshot(strategy);
+        if (strategy_version === null) strategy_version = strategy?.version ?? null;
       } catch (_) {}
     }
+    if (strategy_snapshot && typeof strategy_snapshot !== 'string') {
+      strategy_snapshot = JSON.stringify(strategy_snapshot);
+    }
 
     // Set opened_at explicitly using JavaScript Date to ensure correct timezone
     const openedAt = new Date();
@@ -169,12 +238,13 @@ export class Position {
     const [result] = await pool.execute(
       `INSERT INTO positions (
         strategy_id, bot_id, order_id, symbol, side, entry_price, amount,
-        take_profit_price, stop_loss_price, current_reduce, exit_order_id, sl_order_id, opened_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        take_profit_price, stop_loss_price, current_reduce, exit_order_id, sl_order_id, strategy_snapshot, opened_at,
+        strategy_version
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         safe(strategy_id), safe(bot_id), safe(order_id), safe(symbol), safe(side), safe(entry_price), safe(amount),
         safe(take_profit_price), safe(stop_loss_price), safe(current_reduce), safe(exit_order_id), safe(sl_order_id),
-        openedAt
+        safe(strategy_snapshot), openedAt, safe(strategy_version)
       ]
     );
 
@@ -213,9 +283,10 @@ export class Position {
 
   /**
    * Close position
+   * Realized PnL of filled partial TP legs (exit_legs) is added to the PnL of the remaining amount.
    * @param {number} id - Position ID
    * @param {number} closePrice - Close price
-   * @param {number} pnl - PnL amount
+   * @param {number} pnl - PnL amount of the remaining position
    * @param {string} reason - Close reason
    * @returns {Promise<Object>}
    */
@@ -226,13 +297,48 @@ export class Position {
       return current;
     }
 
-    return this.update(id, {
-      status: 'closed',
-      close_price: closePrice,
-      pnl: pnl,
-      close_reason: reason,
-      closed_at: new Date()
-    });
+    const legsPnl = getRealizedLegsPnl(current?.exit_legs);
+    const finalPnl = legsPnl !== 0 ? Number(pnl || 0) + legsPnl : pnl;
+    const data = { status: 'closed', close_price: closePrice, pnl: finalPnl, close_reason: reason, closed_at: new Date() };
+    const keys = Object.keys(data).filter(key => data[key] !== undefined);
+
+    // net_pnl is derived in the same statement so fees recorded concurrently are never lost
+    await pool.execute(
+      `UPDATE positions SET ${keys.map(key => `\`${key}\` = ?`).join(', ')}, ${NET_PNL_ASSIGNMENT} WHERE id = ?`,
+      [...keys.map(key => data[key]), id]
+    );
+    return this.findById(id);
+  }
+
+  /**
+   * Add commission paid on entry/exit fills (from ORDER_TRADE_UPDATE); net_pnl is refreshed for closed positions
+   * @param {number} id - Position ID
+   * @param {Object} fees
+   * @param {number} [fees.entryFee=0] - USDT
+   * @param {number} [fees.exitFee=0] - USDT
+   * @returns {Promise<boolean>} Whether the position exists
+   */
+  static async addFees(id, { entryFee = 0, exitFee = 0 } = {}) {
+    const [result] = await pool.execute(
+      `UPDATE positions
+       SET entry_fee = COALESCE(entry_fee, 0) + ?, exit_fee = COALESCE(exit_fee, 0) + ?, ${NET_PNL_ASSIGNMENT}
+       WHERE id = ?`,
+      [Number(entryFee) || 0, Number(exitFee) || 0, id]
+    );
+    return (result?.affectedRows || 0) > 0;
+  }
+
+  /**
+   * Set the total funding fee of a position (positive = received); net_pnl is refreshed for closed positions
+   * @param {number} id - Position ID
+   * @param {number} fundingFee - USDT
+   * @returns {Promise<void>}
+   */
+  static async setFundingFee(id, fundingFee) {
+    await pool.execute(
+      `UPDATE positions SET funding_fee = ?, ${NET_PNL_ASSIGNMENT} WHERE id = ?`,
+      [Number(fundingFee) || 0, id]
+    );
   }
 
   /**
@@ -252,8 +358,8 @@ export class Position {
   /**
    * Get bot-level stats.
    *
-   * WIN:  pnl > 0
-   * LOSE: pnl < 0
+   * WIN:  net pnl > 0
+   * LOSE: net pnl < 0
    * (pnl === 0 is not counted as win/lose)
    *
    * @param {number} botId
@@ -262,9 +368,9 @@ export class Position {
   static async getBotStats(botId) {
     const [rows] = await pool.execute(
       `SELECT 
-         SUM(CASE WHEN COALESCE(p.pnl,0) > 0 THEN 1 ELSE 0 END) AS wins,
-         SUM(CASE WHEN COALESCE(p.pnl,0) < 0 THEN 1 ELSE 0 END) AS loses,
-         SUM(COALESCE(p.pnl,0)) AS total_pnl
+         SUM(CASE WHEN COALESCE(${NET_PNL_SQL},0) > 0 THEN 1 ELSE 0 END) AS wins,
+         SUM(CASE WHEN COALESCE(${NET_PNL_SQL},0) < 0 THEN 1 ELSE 0 END) AS loses,
+         SUM(COALESCE(${NET_PNL_SQL},0)) AS total_pnl
        FROM positions p
        JOIN strategies s ON p.strategy_id = s.id
        WHERE s.bot_id = ? AND p.status='closed'`,
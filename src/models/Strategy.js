@@ -1,4 +1,22 @@
 import pool from '../config/database.js';
+import { serializeTpLadder } from '../utils/tpLadder.js';
+import { STRATEGY_SNAPSHOT_FIELDS } from './Position.js';
+
+/**
+ * Strategy state written to audit_log (parameters + activation + version)
+ * @param {Object|null} strategy - Strategy row
+ * @returns {Object|null}
+ */
+export function strategyAuditState(strategy) {
+  if (!strategy) return null;
+  const state = { bot_id: strategy.bot_id };
+  for (const field of STRATEGY_SNAPSHOT_FIELDS) {
+    if (strategy[field] !== undefined) state[field] = strategy[field];
+  }
+  state.is_active = strategy.is_active;
+  state.version = strategy.version;
+  return state;
+}
 
 /**
  * Strategy model
@@ -43,14 +61,16 @@ export class Strategy {
   /**
    * Get strategy by ID
    * @param {number} id - Strategy ID
+   * @param {Object} connection - Optional connection (transaction), defaults to the pool
+   * @param {Object} options - { forUpdate = false } to lock the strategy row (needs a transaction connection)
    * @returns {Promise<Object|null>}
    */
-  static async findById(id) {
-    const [rows] = await pool.execute(
+  static async findById(id, connection = pool, { forUpdate = false } = {}) {
+    const [rows] = await connection.execute(
       `SELECT s.*, b.bot_name, b.exchange, b.is_reverse_strategy, b.max_amount_per_coin, b.max_concurrent_trades 
        FROM strategies s 
        JOIN bots b ON s.bot_id = b.id 
-       WHERE s.id = ?`,
+       WHERE s.id = ?${forUpdate ? ' FOR UPDATE OF s' : ''}`,
       [id]
     );
     return rows[0] || null;
@@ -90,22 +110,121 @@ export class Strategy {
    * @param {string} interval
    * @param {string} tradeType
    * @param {number} oc
+   * @param {Object} connection - Optional connection (transaction), defaults to the pool
    * @returns {Promise<Object|null>}
    */
-  static async findByUniqueKey(botId, symbol, interval, tradeType, oc) {
-    const [rows] = await pool.execute(
+  static async findByUniqueKey(botId, symbol, interval, tradeType, oc, connection = pool) {
+    const [rows] = await connection.execute(
       'SELECT * FROM strategies WHERE bot_id = ? AND symbol = ? AND `interval` = ? AND trade_type = ? AND oc = ?',
       [botId, symbol, interval, tradeType, oc]
     );
     return rows[0] || null;
   }
 
+  /**
+   * Get a bot's strategies for a set of symbols (BTCUSDT and BTC/USDT match each other)
+   * @param {number} botId
+   * @param {Array<string>} symbols - Normalized symbols (BTCUSDT)
+   * @param {Object} filters - Optional { interval, tradeType }
+   * @param {Object} connection - Optional connection (transaction), defaults to the pool
+   * @returns {Promise<Array>}
+   */
+  static async findByBotAndSymbols(botId, symbols, { interval = null, tradeType = null } = {}, connection = pool) {
+    if (!Array.isArray(symbols) || symbols.length === 0) return [];
+
+    const placeholders = symbols.map(() => '?').join(',');
+    const params = [botId, ...symbols];
+    let query = `SELECT * FROM strategies WHERE bot_id = ? AND REPLACE(REPLACE(symbol, '/', ''), ':', '') IN (${placeholders})`;
+    if (interval) {
+      query += ' AND `interval` = ?';
+      params.push(interval);
+    }
+    if (tradeType) {
+      query += ' AND trade_type = ?';
+      params.push(tradeType);
+    }
+
+    const [rows] = await connection.execute(query, params);
+    return rows;
+  }
+
+  /**
+   * Get strategies matching a bulk filter (with bot columns, like findAll)
+   * @param {Object} filter - { botId, symbolPattern (LIKE on BTCUSDT form), interval, tradeType, ocMin, ocMax, isActive }
+   * @param {Object} options - { connection = pool, forUpdate = false }
+   * @returns {Promise<Array>}
+   */
+  static async findByFilter(filter = {}, { connection = pool, forUpdate = false } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.botId) {
+      conditions.push('s.bot_id = ?');
+      params.push(filter.botId);
+    }
+    if (filter.symbolPattern) {
+      conditions.push('REPLACE(REPLACE(s.symbol, "/", ""), ":", "") LIKE ?');
+      params.push(filter.symbolPattern);
+    }
+    if (filter.interval) {
+      conditions.push('s.`interval` = ?');
+      params.push(filter.interval);
+    }
+    if (filter.tradeType) {
+      conditions.push('s.trade_type = ?');
+      params.push(filter.tradeType);
+    }
+    if (filter.ocMin !== undefined && filter.ocMin !== null) {
+      conditions.push('s.oc >= ?');
+      params.push(filter.ocMin);
+    }
+    if (filter.ocMax !== undefined && filter.ocMax !== null) {
+      conditions.push('s.oc <= ?');
+      params.push(filter.ocMax);
+    }
+    if (filter.isActive !== undefined && filter.isActive !== null) {
+      conditions.push('s.is_active = ?');
+      params.push(filter.isActive ? 1 : 0);
+    }
+
+    let query = 'SELECT s.*, b.bot_name, b.exchange, b.is_reverse_strategy, b.max_amount_per_coin, b.max_concurrent_trades FROM strategies s';
+    query += ' JOIN bots b ON s.bot_id = b.id';
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    query += ' ORDER BY s.id ASC';
+    if (forUpdate) {
+      query += ' FOR UPDATE OF s';
+    }
+
+    const [rows] = await connection.execute(query, params);
+    return rows;
+  }
+
+  /**
+   * Get strategies by IDs (with bot columns, like findAll)
+   * @param {Array<number>} ids
+   * @returns {Promise<Array>}
+   */
+  static async findByIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) return [];
+    const [rows] = await pool.execute(
+      `SELECT s.*, b.bot_name, b.exchange, b.is_reverse_strategy, b.max_amount_per_coin, b.max_concurrent_trades
+       FROM strategies s
+       JOIN bots b ON s.bot_id = b.id
+       WHERE s.id IN (${ids.map(() => '?').join(',')})`,
+      ids
+    );
+    return rows;
+  }
+
   /**
    * Create new strategy
    * @param {Object} data - Strategy data
+   * @param {Object} connection - Optional connection (transaction), defaults to the pool
    * @returns {Promise<Object>}
    */
-  static async create(data) {
+  static async create(data, connection = pool) {
     const {
       bot_id,
       symbol,
@@ -117,52 +236,83 @@ export class Strategy {
       take_profit,
       reduce,
       up_reduce,
-      ignore,
-      is_active = true
+      ignore = 50, // NOT NULL column not set by presets / optimizer imports (StrategyForm default)
+      stoploss = null,
+      is_active = true,
+      vwap_filter = false,
+      min_oc_atr_ratio = null,
+      ema_slope_filter = false,
+      min_volume_ratio = null,
+      tp_ladder = null,
+      exit_mode = 'time_tp',
+      trail_activation_pct = null,
+      trail_callback_pct = null,
+      trail_atr_mult = null,
+      break_even_pct = null
     } = data;
 
-    const [result] = await pool.execute(
+    const [result] = await connection.execute(
       `INSERT INTO strategies (
         bot_id, symbol, trade_type, \`interval\`, oc, extend,
-        amount, take_profit, reduce, up_reduce, \`ignore\`, is_active
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        amount, take_profit, reduce, up_reduce, \`ignore\`, stoploss, is_active,
+        vwap_filter, min_oc_atr_ratio, ema_slope_filter, min_volume_ratio, tp_ladder,
+        exit_mode, trail_activation_pct, trail_callback_pct, trail_atr_mult, break_even_pct
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         bot_id, symbol, trade_type, interval, oc, extend,
-        amount, take_profit, reduce, up_reduce, ignore, is_active
+        amount, take_profit, reduce, up_reduce, ignore, stoploss, is_active,
+        vwap_filter, min_oc_atr_ratio, ema_slope_filter, min_volume_ratio, serializeTpLadder(tp_ladder),
+        exit_mode, trail_activation_pct, trail_callback_pct, trail_atr_mult, break_even_pct
       ]
     );
 
-    return this.findById(result.insertId);
+    return this.findById(result.insertId, connection);
   }
 
   /**
    * Update strategy
+   * The version is bumped when a parameter (STRATEGY_SNAPSHOT_FIELDS) actually changes; MySQL evaluates SET
+   * assignments left to right, so the version assignment comes first and compares against the old values.
    * @param {number} id - Strategy ID
    * @param {Object} data - Update data
+   * @param {Object} connection - Optional connection (transaction), defaults to the pool
    * @returns {Promise<Object>}
    */
-  static async update(id, data) {
+  static async update(id, data, connection = pool) {
     const fields = [];
     const values = [];
+    const changed = [];
+    const changedValues = [];
 
     Object.keys(data).forEach(key => {
-      if (data[key] !== undefined) {
-        fields.push(`${key} = ?`);
-        values.push(data[key]);
+      if (data[key] !== undefined && key !== 'version') {
+        const value = key === 'tp_ladder' ? serializeTpLadder(data[key]) : data[key];
+        // Backticks: interval / ignore are reserved words
+        fields.push(`\`${key}\` = ?`);
+        values.push(value);
+        if (STRATEGY_SNAPSHOT_FIELDS.includes(key)) {
+          changed.push(`NOT (\`${key}\` <=> ?)`);
+          changedValues.push(value);
+        }
       }
     });
 
     if (fields.length === 0) {
-      return this.findById(id);
+      return this.findById(id, connection);
+    }
+
+    if (changed.length > 0) {
+      fields.unshift(`version = version + IF(${changed.join(' OR ')}, 1, 0)`);
+      values.unshift(...changedValues);
     }
 
     values.push(id);
-    await pool.execute(
+    await connection.execute(
       `UPDATE strategies SET ${fields.join(', ')} WHERE id = ?`,
       values
     );
 
-    return this.findById(id);
+    return this.findById(id, connection);
   }
 
   /**
@@ -0,0 +1,109 @@
+import pool from '../config/database.js';
+import { STRATEGY_SNAPSHOT_FIELDS } from './Position.js';
+
+/**
+ * Strategy columns a preset can set (everything but the symbol, which comes from the bulk-apply selector)
+ */
+export const PRESET_CONFIG_FIELDS = STRATEGY_SNAPSHOT_FIELDS.filter(field => field !== 'symbol');
+
+function parseJson(value, fallback) {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function parseRow(row) {
+  if (!row) return null;
+  return { ...row, config: parseJson(row.config, {}), meta: parseJson(row.meta, null) };
+}
+
+/**
+ * StrategyPreset model (strategy_presets, seeded from STRATEGY_CONFIG_PRESETS.json)
+ */
+export class StrategyPreset {
+  /**
+   * Get all presets
+   * @returns {Promise<Array>}
+   */
+  static async findAll() {
+    const [rows] = await pool.execute('SELECT * FROM strategy_presets ORDER BY name ASC');
+    return rows.map(parseRow);
+  }
+
+  /**
+   * Get preset by ID
+   * @param {number} id - Preset ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM strategy_presets WHERE id = ?', [id]);
+    return parseRow(rows[0]);
+  }
+
+  /**
+   * Get preset by name
+   * @param {string} name - Preset key
+   * @returns {Promise<Object|null>}
+   */
+  static async findByName(name) {
+    const [rows] = await pool.execute('SELECT * FROM strategy_presets WHERE name = ?', [name]);
+    return parseRow(rows[0]);
+  }
+
+  /**
+   * Create preset
+   * @param {Object} data - { name, title, description, config, meta }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const [result] = await pool.execute(
+      'INSERT INTO strategy_presets (name, title, description, config, meta) VALUES (?, ?, ?, ?, ?)',
+      [
+        data.name,
+        data.title ?? null,
+        data.description ?? null,
+        JSON.stringify(data.config || {}),
+        data.meta ? JSON.stringify(data.meta) : null
+      ]
+    );
+    return this.findById(result.insertId);
+  }
+
+  /**
+   * Update preset
+   * @param {number} id - Preset ID
+   * @param {Object} data - Update data (config / meta are serialized)
+   * @returns {Promise<Object|null>}
+   */
+  static async update(id, data) {
+    const fields = [];
+    const values = [];
+
+    ['name', 'title', 'description', 'config', 'meta'].forEach(key => {
+      if (data[key] === undefined) return;
+      fields.push(`${key} = ?`);
+      values.push((key === 'config' || key === 'meta') && data[key] !== null ? JSON.stringify(data[key]) : data[key]);
+    });
+
+    if (fields.length === 0) {
+      return this.findById(id);
+    }
+
+    values.push(id);
+    await pool.execute(`UPDATE strategy_presets SET ${fields.join(', ')} WHERE id = ?`, values);
+    return this.findById(id);
+  }
+
+  /**
+   * Delete preset
+   * @param {number} id - Preset ID
+   * @returns {Promise<boolean>}
+   */
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM strategy_presets WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
@@ -0,0 +1,97 @@
+import pool from '../config/database.js';
+
+const PUBLIC_COLUMNS = 'id, username, role, is_active, last_login_at, created_at, updated_at';
+
+/**
+ * User model (API users)
+ * password_hash is only returned by findByUsername (used for login)
+ */
+export class User {
+  /**
+   * Get all users (without password hashes)
+   * @returns {Promise<Array>}
+   */
+  static async findAll() {
+    const [rows] = await pool.execute(`SELECT ${PUBLIC_COLUMNS} FROM users ORDER BY created_at DESC`);
+    return rows;
+  }
+
+  /**
+   * Get user by ID (without password hash)
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const [rows] = await pool.execute(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Get user by username (including password hash)
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>}
+   */
+  static async findByUsername(username) {
+    const [rows] = await pool.execute('SELECT * FROM users WHERE username = ?', [username]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Count users
+   * @returns {Promise<number>}
+   */
+  static async count() {
+    const [rows] = await pool.execute('SELECT COUNT(*) AS count FROM users');
+    return Number(rows[0]?.count || 0);
+  }
+
+  /**
+   * Create new user
+   * @param {Object} data - { username, password_hash, role, is_active }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const { username, password_hash, role = 'viewer', is_active = true } = data;
+    const [result] = await pool.execute(
+      'INSERT INTO users (username, password_hash, role, is_active) VALUES (?, ?, ?, ?)',
+      [username, password_hash, role, is_active]
+    );
+    return this.findById(result.insertId);
+  }
+
+  /**
+   * Update user
+   * @param {number} id - User ID
+   * @param {Object} data - Update data
+   * @returns {Promise<Object>}
+   */
+  static async update(id, data) {
+    const fields = [];
+    const values = [];
+
+    Object.keys(data).forEach(key => {
+      if (data[key] !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(data[key]);
+      }
+    });
+
+    if (fields.length === 0) {
+      return this.findById(id);
+    }
+
+    values.push(id);
+    await pool.execute(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`, values);
+    return this.findById(id);
+  }
+
+  /**
+   * Delete user
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>}
+   */
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM users WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
@@ -0,0 +1,13 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { USER_ROLES } from '../config/constants.js';
+import { AnalyticsController } from '../controllers/AnalyticsController.js';
+
+const router = express.Router();
+
+router.get('/summary', requireRole(USER_ROLES.VIEWER), AnalyticsController.getSummary);
+router.get('/pnl-series', requireRole(USER_ROLES.VIEWER), AnalyticsController.getPnlSeries);
+router.get('/close-reasons', requireRole(USER_ROLES.VIEWER), AnalyticsController.getCloseReasons);
+router.get('/breakdown', requireRole(USER_ROLES.VIEWER), AnalyticsController.getBreakdown);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import { AuthController } from '../controllers/AuthController.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { USER_ROLES } from '../config/constants.js';
+
+const router = express.Router();
+
+// Public
+router.post('/login', AuthController.login);
+
+// Authenticated
+router.get('/me', authenticate, AuthController.me);
+router.get('/users', authenticate, requireRole(USER_ROLES.ADMIN), AuthController.getUsers);
+router.post('/users', authenticate, requireRole(USER_ROLES.ADMIN), AuthController.createUser);
+router.put('/users/:id', authenticate, requireRole(USER_ROLES.ADMIN), AuthController.updateUser);
+router.delete('/users/:id', authenticate, requireRole(USER_ROLES.ADMIN), AuthController.deleteUser);
+
+export default router;
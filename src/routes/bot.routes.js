@@ -1,13 +1,16 @@
 import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { USER_ROLES } from '../config/constants.js';
 import { BotController } from '../controllers/BotController.js';
 
 const router = express.Router();
 
-router.get('/', BotController.getAll);
-router.get('/:id', BotController.getById);
-router.post('/', BotController.create);
-router.put('/:id', BotController.update);
-router.delete('/:id', BotController.delete);
+router.get('/', requireRole(USER_ROLES.VIEWER), BotController.getAll);
+router.get('/:id', requireRole(USER_ROLES.VIEWER), BotController.getById);
+router.post('/', requireRole(USER_ROLES.ADMIN), BotController.create);
+router.put('/:id', requireRole(USER_ROLES.ADMIN), BotController.update);
+router.post('/:id/daily-loss/reset', requireRole(USER_ROLES.ADMIN), BotController.resetDailyLoss);
+router.delete('/:id', requireRole(USER_ROLES.ADMIN), BotController.delete);
 
 export default router;
 
@@ -0,0 +1,11 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { USER_ROLES } from '../config/constants.js';
+import { CandleController } from '../controllers/CandleController.js';
+
+const router = express.Router();
+
+router.get('/', requireRole(USER_ROLES.VIEWER), CandleController.getCandles);
+router.get('/recorder', requireRole(USER_ROLES.VIEWER), CandleController.getRecorderStatus);
+
+export default router;
@@ -1,8 +1,15 @@
 import express from 'express';
 import botRoutes from './bot.routes.js';
 import strategyRoutes from './strategy.routes.js';
+import strategyPresetRoutes from './strategyPreset.routes.js';
 import positionRoutes from './position.routes.js';
 import priceAlertRoutes from './priceAlert.routes.js';
+import authRoutes from './auth.routes.js';
+import analyticsRoutes from './analytics.routes.js';
+import optimizerRoutes from './optimizer.routes.js';
+import candleRoutes from './candle.routes.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { USER_ROLES } from '../config/constants.js';
 import { Bot } from '../models/Bot.js';
 import { ExchangeService } from '../services/ExchangeService.js';
 import { TransferService } from '../services/TransferService.js';
@@ -12,14 +19,24 @@ import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Auth routes (login is public)
+router.use('/auth', authRoutes);
+
+// Everything below requires a valid bearer token; roles are enforced per route
+router.use(authenticate);
+
 // API routes
 router.use('/bots', botRoutes);
 router.use('/strategies', strategyRoutes);
+router.use('/strategy-presets', strategyPresetRoutes);
 router.use('/positions', positionRoutes);
 router.use('/price-alerts', priceAlertRoutes);
+router.use('/analytics', analyticsRoutes);
+router.use('/optimizer', optimizerRoutes);
+router.use('/candles', candleRoutes);
 
 // Manual transfer endpoint
-router.post('/transfer', async (req, res) => {
+router.post('/transfer', requireRole(USER_ROLES.ADMIN), async (req, res) => {
   try {
     const { bot_id, type, amount } = req.body;
 
@@ -57,7 +74,7 @@ router.post('/transfer', async (req, res) => {
 });
 
 // Manual withdraw endpoint
-router.post('/withdraw', async (req, res) => {
+router.post('/withdraw', requireRole(USER_ROLES.ADMIN), async (req, res) => {
   try {
     const { bot_id, amount, address, network } = req.body;
 
@@ -86,33 +103,12 @@ router.post('/withdraw', async (req, res) => {
   }
 });
 
-// Stats endpoint
-router.get('/stats', async (req, res) => {
+// Stats endpoint (dashboard counters; detailed metrics live under /analytics)
+router.get('/stats', requireRole(USER_ROLES.VIEWER), async (req, res) => {
   try {
-    const { Position } = await import('../models/Position.js');
-    const { Strategy } = await import('../models/Strategy.js');
-    const { Bot } = await import('../models/Bot.js');
-
-    const totalBots = (await Bot.findAll()).length;
-    const activeBots = (await Bot.findAll(true)).length;
-    const totalStrategies = (await Strategy.findAll()).length;
-    const activeStrategies = (await Strategy.findAll(null, true)).length;
-    const openPositions = (await Position.findOpen()).length;
-    const closedPositions = (await Position.findAll({ status: 'closed' })).length;
-
-    // Calculate total PnL
-    const allPositions = await Position.findAll({ status: 'closed' });
-    const totalPnL = allPositions.reduce((sum, p) => sum + (parseFloat(p.pnl) || 0), 0);
-
-    res.json({
-      success: true,
-      data: {
-        bots: { total: totalBots, active: activeBots },
-        strategies: { total: totalStrategies, active: activeStrategies },
-        positions: { open: openPositions, closed: closedPositions },
-        totalPnL: totalPnL.toFixed(2)
-      }
-    });
+    const { analyticsService } = await import('../services/AnalyticsService.js');
+    const stats = await analyticsService.getOverview();
+    res.json({ success: true, data: stats });
   } catch (error) {
     logger.error('Error getting stats:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -0,0 +1,13 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { USER_ROLES } from '../config/constants.js';
+import { OptimizerController } from '../controllers/OptimizerController.js';
+
+const router = express.Router();
+
+router.get('/runs', requireRole(USER_ROLES.VIEWER), OptimizerController.getAll);
+router.get('/runs/:id', requireRole(USER_ROLES.VIEWER), OptimizerController.getById);
+router.post('/runs', requireRole(USER_ROLES.OPERATOR), OptimizerController.create);
+router.post('/runs/:id/import', requireRole(USER_ROLES.OPERATOR), OptimizerController.importResults);
+
+export default router;
@@ -1,11 +1,14 @@
 import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { USER_ROLES } from '../config/constants.js';
 import { PositionController } from '../controllers/PositionController.js';
 
 const router = express.Router();
 
-router.get('/', PositionController.getAll);
-router.get('/:id', PositionController.getById);
-router.post('/:id/close', PositionController.close);
+router.get('/', requireRole(USER_ROLES.VIEWER), PositionController.getAll);
+router.get('/export', requireRole(USER_ROLES.VIEWER), PositionController.export);
+router.get('/:id', requireRole(USER_ROLES.VIEWER), PositionController.getById);
+router.post('/:id/close', requireRole(USER_ROLES.OPERATOR), PositionController.close);
 
 export default router;
 
@@ -1,4 +1,6 @@
 import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { USER_ROLES } from '../config/constants.js';
 import { PriceAlertConfig } from '../models/PriceAlertConfig.js';
 import logger from '../utils/logger.js';
 
@@ -8,7 +10,7 @@ const router = express.Router();
  * GET /api/price-alerts
  * Get all price alert configs
  */
-router.get('/', async (req, res) => {
+router.get('/', requireRole(USER_ROLES.VIEWER), async (req, res) => {
   try {
     const { exchange } = req.query;
     const configs = await PriceAlertConfig.findAll(exchange);
@@ -23,7 +25,7 @@ router.get('/', async (req, res) => {
  * GET /api/price-alerts/:id
  * Get price alert config by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireRole(USER_ROLES.VIEWER), async (req, res) => {
   try {
     const config = await PriceAlertConfig.findById(parseInt(req.params.id));
     if (!config) {
@@ -40,7 +42,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/price-alerts
  * Create new price alert config
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole(USER_ROLES.OPERATOR), async (req, res) => {
   try {
     const { exchange, symbols, intervals, threshold, telegram_chat_id, is_active } = req.body;
 
@@ -79,7 +81,7 @@ router.post('/', async (req, res) => {
  * PUT /api/price-alerts/:id
  * Update price alert config
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole(USER_ROLES.OPERATOR), async (req, res) => {
   try {
     const { symbols, intervals, threshold, telegram_chat_id, is_active } = req.body;
 
@@ -106,7 +108,7 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/price-alerts/:id
  * Delete price alert config
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole(USER_ROLES.OPERATOR), async (req, res) => {
   try {
     const deleted = await PriceAlertConfig.delete(parseInt(req.params.id));
     if (!deleted) {
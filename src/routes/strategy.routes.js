@@ -1,13 +1,19 @@
 import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { USER_ROLES } from '../config/constants.js';
 import { StrategyController } from '../controllers/StrategyController.js';
 
 const router = express.Router();
 
-router.get('/', StrategyController.getAll);
-router.get('/:id', StrategyController.getById);
-router.post('/', StrategyController.create);
-router.put('/:id', StrategyController.update);
-router.delete('/:id', StrategyController.delete);
+router.get('/', requireRole(USER_ROLES.VIEWER), StrategyController.getAll);
+router.post('/bulk-apply', requireRole(USER_ROLES.OPERATOR), StrategyController.bulkApply);
+router.post('/bulk-update', requireRole(USER_ROLES.OPERATOR), StrategyController.bulkUpdate);
+router.get('/:id', requireRole(USER_ROLES.VIEWER), StrategyController.getById);
+router.get('/:id/history', requireRole(USER_ROLES.VIEWER), StrategyController.getHistory);
+router.post('/:id/rollback', requireRole(USER_ROLES.OPERATOR), StrategyController.rollback);
+router.post('/', requireRole(USER_ROLES.OPERATOR), StrategyController.create);
+router.put('/:id', requireRole(USER_ROLES.OPERATOR), StrategyController.update);
+router.delete('/:id', requireRole(USER_ROLES.OPERATOR), StrategyController.delete);
 
 export default router;
 
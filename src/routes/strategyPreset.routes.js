@@ -0,0 +1,14 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { USER_ROLES } from '../config/constants.js';
+import { StrategyPresetController } from '../controllers/StrategyPresetController.js';
+
+const router = express.Router();
+
+router.get('/', requireRole(USER_ROLES.VIEWER), StrategyPresetController.getAll);
+router.get('/:id', requireRole(USER_ROLES.VIEWER), StrategyPresetController.getById);
+router.post('/', requireRole(USER_ROLES.OPERATOR), StrategyPresetController.create);
+router.put('/:id', requireRole(USER_ROLES.OPERATOR), StrategyPresetController.update);
+router.delete('/:id', requireRole(USER_ROLES.OPERATOR), StrategyPresetController.delete);
+
+export default router;
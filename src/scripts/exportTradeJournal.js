@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/*
+Trade Journal Export
+
+Exports closed positions (entry/exit, size, realized PnL, close reason, strategy parameters at entry, order ids,
+timestamps) as CSV or JSON. Binance bots are reconciled with the exchange (userTrades commission, FUNDING_FEE income)
+so net_pnl matches the exchange statement; other exchanges keep the estimated pnl (fees_source=estimate).
+
+Usage:
+  node src/scripts/exportTradeJournal.js [options]
+
+Options:
+  --format <csv|json>    Output format (default csv)
+  --out <path>           Output file (default: stdout)
+  --bot <id>             Only positions of this bot
+  --strategy <id>        Only positions of this strategy
+  --symbol <symbol>      Only this symbol (e.g. BTCUSDT)
+  --interval <i>         Only strategies with this interval
+  --side <long|short>    Only this side
+  --from <ISO>           Closed at or after
+  --to <ISO>             Closed at or before
+  --limit <n>            Max positions (default 5000)
+  --no-fees              Skip exchange commission/funding reconciliation
+*/
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs/promises';
+import { analyticsService } from '../services/AnalyticsService.js';
+import { tradeJournalService, toCsv } from '../services/TradeJournalService.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { format: 'csv', out: null, fees: true, limit: 5000, query: {} };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--format') opts.format = String(args[++i] || 'csv').toLowerCase();
+    else if (a === '--out') opts.out = args[++i];
+    else if (a === '--bot') opts.query.bot_id = args[++i];
+    else if (a === '--strategy') opts.query.strategy_id = args[++i];
+    else if (a === '--symbol') opts.query.symbol = args[++i];
+    else if (a === '--interval') opts.query.interval = args[++i];
+    else if (a === '--side') opts.query.side = args[++i];
+    else if (a === '--from') opts.query.from = args[++i];
+    else if (a === '--to') opts.query.to = args[++i];
+    else if (a === '--limit') opts.limit = parseInt(args[++i] || '5000', 10);
+    else if (a === '--no-fees') opts.fees = false;
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs();
+  if (opts.format !== 'csv' && opts.format !== 'json') {
+    console.error('Invalid --format (csv|json)');
+    process.exit(1);
+  }
+
+  const filters = analyticsService.normalizeFilters(opts.query);
+  const { rows, warnings } = await tradeJournalService.buildJournal(filters, { fees: opts.fees, limit: opts.limit });
+
+  const output = opts.format === 'json'
+    ? JSON.stringify({ count: rows.length, warnings, trades: rows }, null, 2)
+    : toCsv(rows);
+
+  if (opts.out) {
+    await fs.writeFile(opts.out, output);
+    console.error(`Exported ${rows.length} positions to ${opts.out}`);
+  } else {
+    // Wait for the flush: process.exit() would truncate large exports written to a pipe
+    await new Promise(resolve => process.stdout.write(output, resolve));
+  }
+
+  for (const warning of warnings) {
+    console.error(`⚠️  ${warning}`);
+  }
+}
+
+main().then(() => process.exit(0)).catch(err => { console.error(err); process.exit(1); });
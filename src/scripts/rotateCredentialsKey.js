@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/*
+Rotate Credentials Master Key Script
+
+Re-wraps the data keys of all bot credentials (access_key, secret_key, proxy) with the current
+master key. Ciphertext is unchanged; plaintext rows left over from before encryption are encrypted.
+Last-4 hints are dropped from secret_key / proxy (only access_key keeps one for masked display).
+
+Rotation:
+  1. Generate a new key:   node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+  2. Move the old key to   CREDENTIALS_PREVIOUS_MASTER_KEYS="<old id>:<old key>"
+  3. Set the new key in    CREDENTIALS_MASTER_KEY / CREDENTIALS_MASTER_KEY_ID (new id)
+  4. Run this script with --execute, then drop the old key from CREDENTIALS_PREVIOUS_MASTER_KEYS
+
+Usage:
+  node src/scripts/rotateCredentialsKey.js [--execute]
+
+Notes:
+- Without --execute the script runs in dry-run mode and only reports what would change.
+*/
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import pool from '../config/database.js';
+import { getMasterKeys, rewrapCredential, CREDENTIAL_HINT_FIELDS } from '../utils/credentialCrypto.js';
+
+const CREDENTIAL_FIELDS = ['access_key', 'secret_key', 'proxy'];
+
+async function main() {
+  const execute = process.argv.slice(2).includes('--execute');
+  const { currentId } = getMasterKeys();
+  if (!currentId) {
+    throw new Error('CREDENTIALS_MASTER_KEY is not set');
+  }
+  console.log(`Rotate Credentials Key - execute=${execute} currentKeyId=${currentId}`);
+
+  const [bots] = await pool.execute('SELECT id, bot_name, access_key, secret_key, proxy FROM bots');
+  let changed = 0;
+  let failed = 0;
+
+  for (const bot of bots) {
+    try {
+      const values = CREDENTIAL_FIELDS.map(field => rewrapCredential(bot[field], { hint: CREDENTIAL_HINT_FIELDS.includes(field) }));
+      if (values.every((value, i) => value === bot[CREDENTIAL_FIELDS[i]])) continue;
+
+      changed++;
+      console.log(`  bot ${bot.id} (${bot.bot_name}) -> ${currentId}`);
+      if (execute) {
+        await pool.execute(
+          'UPDATE bots SET access_key = ?, secret_key = ?, proxy = ? WHERE id = ?',
+          [...values, bot.id]
+        );
+      }
+    } catch (error) {
+      failed++;
+      console.error(`  bot ${bot.id} (${bot.bot_name}) failed: ${error?.message || error}`);
+    }
+  }
+
+  console.log(`${execute ? 'Rotated' : 'Would rotate'} ${changed}/${bots.length} bot(s), failed=${failed}`);
+  if (failed > 0) process.exitCode = 1;
+  console.log('Done.');
+}
+
+main().then(() => process.exit(process.exitCode || 0)).catch(err => { console.error(err); process.exit(1); });
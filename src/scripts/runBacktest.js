@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/*
+Backtest Script
+
+Replays stored candles (candles table) or an exported kline file through the OC strategy pipeline
+(determineSide → entry/extend → TP/SL → time-based TP trailing). No exchange is touched.
+
+Usage:
+  node src/scripts/runBacktest.js (--strategy <id> [--strategy <id> ...] | --bot <id>) [options]
+
+Options:
+  --file <path>          Use a .json/.csv kline file instead of the candles table (same file for every strategy)
+  --candle-interval <i>  Interval of the replayed candles (default: strategy interval)
+  --from <ISO|ms>        Start of the replay window (DB only)
+  --to <ISO|ms>          End of the replay window (DB only)
+  --limit <n>            Number of latest candles when no window is given (default 1000)
+  --fee <rate>           Fee per side as a fraction of notional (e.g. 0.0004)
+  --slippage <percent>   Slippage for MARKET entries in percent (e.g. 0.05)
+  --entry-ttl <minutes>  TTL for pending LIMIT entries (default 30)
+  --out <path>           Write full results (trades + stats) as JSON
+*/
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs/promises';
+import { Strategy } from '../models/Strategy.js';
+import { BacktestService } from '../services/BacktestService.js';
+
+function parseTime(value) {
+  if (value === undefined || value === null) return null;
+  const asNumber = Number(value);
+  if (Number.isFinite(asNumber)) return asNumber;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { strategyIds: [], botId: null, file: null, candleInterval: null, from: null, to: null, limit: 1000, out: null, engine: {} };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--strategy') opts.strategyIds.push(parseInt(args[++i], 10));
+    else if (a === '--bot') opts.botId = parseInt(args[++i], 10);
+    else if (a === '--file') opts.file = args[++i];
+    else if (a === '--candle-interval') opts.candleInterval = args[++i];
+    else if (a === '--from') opts.from = parseTime(args[++i]);
+    else if (a === '--to') opts.to = parseTime(args[++i]);
+    else if (a === '--limit') opts.limit = parseInt(args[++i] || '1000', 10);
+    else if (a === '--fee') opts.engine.feeRate = Number(args[++i]);
+    else if (a === '--slippage') opts.engine.slippagePercent = Number(args[++i]);
+    else if (a === '--entry-ttl') opts.engine.entryTtlMinutes = Number(args[++i]);
+    else if (a === '--out') opts.out = args[++i];
+  }
+  return opts;
+}
+
+async function loadStrategies(opts) {
+  if (opts.strategyIds.length > 0) {
+    const rows = await Promise.all(opts.strategyIds.map(id => Strategy.findById(id)));
+    return rows.filter(Boolean);
+  }
+  if (opts.botId) {
+    return await Strategy.findAll(opts.botId, true);
+  }
+  return [];
+}
+
+async function main() {
+  const opts = parseArgs();
+  const strategies = await loadStrategies(opts);
+  if (strategies.length === 0) {
+    console.error('No strategies found. Use --strategy <id> or --bot <id>.');
+    process.exit(1);
+  }
+
+  const engine = new BacktestService(opts.engine);
+  const fileCache = new Map();
+
+  const results = await engine.runStrategies(strategies, async (strategy) => {
+    const interval = opts.candleInterval || strategy.interval;
+    if (opts.file) {
+      if (!fileCache.has(interval)) {
+        fileCache.set(interval, await engine.loadCandlesFromFile(opts.file, interval));
+      }
+      return fileCache.get(interval);
+    }
+    return await engine.loadCandlesFromDb({
+      exchange: strategy.exchange,
+      symbol: strategy.symbol,
+      interval,
+      from: opts.from,
+      to: opts.to,
+      limit: opts.limit
+    });
+  });
+
+  console.log(`Backtest - strategies=${strategies.length} source=${opts.file || 'candles table'}`);
+  console.table(results.map(r => ({
+    strategy: r.strategyId,
+    symbol: r.symbol,
+    interval: r.interval,
+    trades: r.stats.totalTrades,
+    winRate: `${r.stats.winRate.toFixed(2)}%`,
+    pnl: Number(r.stats.totalPnl.toFixed(4)),
+    maxDrawdown: Number(r.stats.maxDrawdown.toFixed(4)),
+    avgHoldMin: Number(r.stats.avgHoldMinutes.toFixed(1))
+  })));
+
+  if (opts.out) {
+    await fs.writeFile(opts.out, JSON.stringify(results, null, 2));
+    console.log(`Results written to ${opts.out}`);
+  }
+
+  console.log('Done.');
+}
+
+main().then(() => process.exit(0)).catch(err => { console.error(err); process.exit(1); });
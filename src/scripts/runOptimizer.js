@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/*
+Strategy Optimizer Script
+
+Sweeps strategy parameters (grid or random search) over historical klines and ranks the combinations.
+Klines are read from the candles table; missing ranges are fetched from the bot's exchange and cached there.
+The run and its ranked results are stored in optimizer_runs (import with POST /api/optimizer/runs/:id/import).
+
+Usage:
+  node src/scripts/runOptimizer.js --bot <id> --symbols BTCUSDT,ETHUSDT --ranges '<json>' [options]
+
+Options:
+  --ranges <json>          Parameter ranges, e.g. '{"oc":{"min":1,"max":2,"step":0.5},"take_profit":[40,60,80]}'
+  --ranges-file <path>     Same, from a JSON file
+  --interval <i>           Strategy interval (default: preset interval)
+  --candle-interval <i>    Interval of the replayed klines (default: strategy interval)
+  --from <ISO|ms>          Start of the window (default: 7 days before --to)
+  --to <ISO|ms>            End of the window (default: now)
+  --method <grid|random>   Search method (default grid)
+  --samples <n>            Combinations drawn by random search (default 100)
+  --objective <name>       net_pnl | sharpe | profit_factor (default net_pnl)
+  --min-trades <n>         Combinations with fewer trades are not ranked (default 0)
+  --preset <name>          STRATEGY_CONFIG_PRESETS.json preset for parameters not swept (default recommended_default)
+  --fee <rate>             Fee per side as a fraction of notional (e.g. 0.0004)
+  --slippage <percent>     Slippage for MARKET entries in percent
+  --top <n>                Number of ranked results kept (default 20)
+  --out <path>             Write the ranked results as JSON
+*/
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs/promises';
+import { Bot } from '../models/Bot.js';
+import { strategyOptimizerService } from '../services/StrategyOptimizerService.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const body = {};
+  const opts = { rangesFile: null, out: null };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--bot') body.bot_id = parseInt(args[++i], 10);
+    else if (a === '--symbols') body.symbols = args[++i];
+    else if (a === '--ranges') body.ranges = JSON.parse(args[++i]);
+    else if (a === '--ranges-file') opts.rangesFile = args[++i];
+    else if (a === '--interval') body.interval = args[++i];
+    else if (a === '--candle-interval') body.candle_interval = args[++i];
+    else if (a === '--from') body.from = args[++i];
+    else if (a === '--to') body.to = args[++i];
+    else if (a === '--method') body.method = args[++i];
+    else if (a === '--samples') body.samples = parseInt(args[++i], 10);
+    else if (a === '--objective') body.objective = args[++i];
+    else if (a === '--min-trades') body.min_trades = parseInt(args[++i], 10);
+    else if (a === '--preset') body.base_preset = args[++i];
+    else if (a === '--fee') body.fee_rate = Number(args[++i]);
+    else if (a === '--slippage') body.slippage = Number(args[++i]);
+    else if (a === '--top') body.top_n = parseInt(args[++i], 10);
+    else if (a === '--out') opts.out = args[++i];
+  }
+  return { body, opts };
+}
+
+async function main() {
+  const { body, opts } = parseArgs();
+  if (opts.rangesFile) {
+    body.ranges = JSON.parse(await fs.readFile(opts.rangesFile, 'utf8'));
+  }
+
+  const bot = body.bot_id ? await Bot.findById(body.bot_id) : null;
+  if (!bot) {
+    console.error('Bot not found. Use --bot <id> (its exchange provides the historical klines).');
+    process.exit(1);
+  }
+
+  const request = await strategyOptimizerService.normalizeRequest(body, bot);
+  const run = await strategyOptimizerService.createRun(request);
+  console.log(`Optimizer run ${run.id} - ${request.combinations.length} combinations, ${request.symbols.join(',')} ${request.interval}, objective=${request.objective}`);
+
+  const results = await strategyOptimizerService.execute(run.id, request, bot);
+
+  console.table(results.map(r => ({
+    rank: r.rank,
+    ...r.params,
+    score: r.score,
+    trades: r.metrics.trades,
+    winRate: `${r.metrics.winRate}%`,
+    netPnl: r.metrics.netPnl,
+    profitFactor: r.metrics.profitFactor,
+    maxDrawdown: r.metrics.maxDrawdown
+  })));
+
+  if (opts.out) {
+    await fs.writeFile(opts.out, JSON.stringify(results, null, 2));
+    console.log(`Results written to ${opts.out}`);
+  }
+
+  console.log(`Done. Import with POST /api/optimizer/runs/${run.id}/import`);
+}
+
+main().then(() => process.exit(0)).catch(err => { console.error(err?.message || err); process.exit(1); });
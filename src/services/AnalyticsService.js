@@ -0,0 +1,341 @@
+import pool from '../config/database.js';
+import { NET_PNL_SQL } from '../models/Position.js';
+import { badRequest } from '../utils/httpError.js';
+
+/**
+ * Close reason groups reported by the analytics API.
+ * Raw positions.close_reason values are written by many paths (PositionService, PositionSync, ExitOrderManager,
+ * scripts...), so they are bucketed here instead of in every writer.
+ */
+export const CLOSE_REASON_GROUPS = ['tp_hit', 'sl_hit', 'candle_end', 'manual', 'sync_closed', 'other'];
+
+const BREAKDOWN_GROUPS = {
+  strategy: { key: 'p.strategy_id', label: "CONCAT(MAX(p.symbol), ' ', COALESCE(MAX(s.`interval`), ''))" },
+  bot: { key: 'p.bot_id', label: 'MAX(b.bot_name)' },
+  symbol: { key: 'p.symbol', label: 'p.symbol' },
+  side: { key: 'p.side', label: 'p.side' },
+  interval: { key: 's.`interval`', label: 's.`interval`' }
+};
+
+/**
+ * Map a raw close_reason to one of CLOSE_REASON_GROUPS
+ * @param {string|null} reason - positions.close_reason
+ * @returns {string}
+ */
+export function classifyCloseReason(reason) {
+  const r = String(reason || '').toLowerCase();
+  if (!r) return 'other';
+  if (r === 'tp_hit' || r.startsWith('tp_') || r.includes('take_profit') || r === 'price_exceeded_initial_tp') return 'tp_hit';
+  if (r === 'sl_hit' || r.startsWith('sl_') || r.includes('stop') || r === 'price_crossed_break_even') return 'sl_hit';
+  if (r === 'candle_end') return 'candle_end';
+  if (r === 'manual' || r.startsWith('force_close') || r === 'daily_loss_limit') return 'manual';
+  if (r.startsWith('sync_') || r === 'no_exchange_position') return 'sync_closed';
+  return 'other';
+}
+
+/**
+ * AnalyticsService
+ *
+ * Performance analytics over closed positions, computed with SQL aggregations (no row loading):
+ * summary (win rate, profit factor, expectancy, max drawdown, hold time, close reasons),
+ * daily/weekly PnL series with equity curve, and per strategy/bot/symbol/side/interval breakdown.
+ * PnL is net of fees and funding (positions.net_pnl), falling back to the gross pnl for older positions.
+ *
+ * Filters (all optional): bot_id, strategy_id, symbol, interval, side, from, to (closed_at range).
+ * Requires MySQL 8 (window functions).
+ */
+export class AnalyticsService {
+  /**
+   * Validate and normalize query filters
+   * @param {Object} query - Request query (snake_case keys)
+   * @returns {{bot_id?: number, strategy_id?: number, symbol?: string, interval?: string, side?: string, from?: Date, to?: Date}}
+   * @throws {Error} with status 400 on invalid values
+   */
+  normalizeFilters(query = {}) {
+    const filters = {};
+    for (const key of ['bot_id', 'strategy_id']) {
+      if (query[key] === undefined || query[key] === '') continue;
+      const id = Number(query[key]);
+      if (!Number.isInteger(id) || id <= 0) throw badRequest(`Invalid ${key}`);
+      filters[key] = id;
+    }
+
+    if (query.symbol) filters.symbol = String(query.symbol).toUpperCase();
+    if (query.interval) filters.interval = String(query.interval);
+
+    if (query.side) {
+      const side = String(query.side).toLowerCase();
+      if (side !== 'long' && side !== 'short') throw badRequest('Invalid side (long|short)');
+      filters.side = side;
+    }
+
+    for (const key of ['from', 'to']) {
+      if (!query[key]) continue;
+      const date = query[key] instanceof Date ? query[key] : new Date(query[key]);
+      if (Number.isNaN(date.getTime())) throw badRequest(`Invalid ${key} date`);
+      filters[key] = date;
+    }
+
+    if (filters.from && filters.to && filters.from > filters.to) throw badRequest('from must be before to');
+    return filters;
+  }
+
+  /**
+   * FROM/WHERE clause shared by all queries
+   * @param {Object} filters - Normalized filters
+   * @returns {{sql: string, params: Array}}
+   */
+  buildWhere(filters = {}) {
+    const conditions = ["p.status = 'closed'", 'p.closed_at IS NOT NULL'];
+    const params = [];
+
+    if (filters.bot_id) { conditions.push('p.bot_id = ?'); params.push(filters.bot_id); }
+    if (filters.strategy_id) { conditions.push('p.strategy_id = ?'); params.push(filters.strategy_id); }
+    if (filters.symbol) { conditions.push('p.symbol = ?'); params.push(filters.symbol); }
+    if (filters.interval) { conditions.push('s.`interval` = ?'); params.push(filters.interval); }
+    if (filters.side) { conditions.push('p.side = ?'); params.push(filters.side); }
+    if (filters.from) { conditions.push('p.closed_at >= ?'); params.push(filters.from); }
+    if (filters.to) { conditions.push('p.closed_at <= ?'); params.push(filters.to); }
+
+    return {
+      sql: `FROM positions p
+            LEFT JOIN strategies s ON p.strategy_id = s.id
+            LEFT JOIN bots b ON p.bot_id = b.id
+            WHERE ${conditions.join(' AND ')}`,
+      params
+    };
+  }
+
+  /**
+   * Aggregate columns of a trade set (used by summary and breakdown)
+   */
+  _aggregateColumns() {
+    return `COUNT(*) AS trades,
+            COALESCE(SUM(${NET_PNL_SQL}), 0) AS total_pnl,
+            SUM(CASE WHEN ${NET_PNL_SQL} > 0 THEN 1 ELSE 0 END) AS wins,
+            SUM(CASE WHEN ${NET_PNL_SQL} < 0 THEN 1 ELSE 0 END) AS losses,
+            COALESCE(SUM(CASE WHEN ${NET_PNL_SQL} > 0 THEN ${NET_PNL_SQL} ELSE 0 END), 0) AS gross_profit,
+            COALESCE(SUM(CASE WHEN ${NET_PNL_SQL} < 0 THEN -${NET_PNL_SQL} ELSE 0 END), 0) AS gross_loss,
+            MAX(${NET_PNL_SQL}) AS best_trade,
+            MIN(${NET_PNL_SQL}) AS worst_trade,
+            AVG(TIMESTAMPDIFF(SECOND, p.opened_at, p.closed_at)) AS avg_hold_seconds`;
+  }
+
+  /**
+   * Derived metrics from an aggregate row
+   * @param {Object} row - Row with the _aggregateColumns() fields
+   * @returns {Object}
+   */
+  computeMetrics(row = {}) {
+    const trades = Number(row.trades || 0);
+    const wins = Number(row.wins || 0);
+    const losses = Number(row.losses || 0);
+    const grossProfit = Number(row.gross_profit || 0);
+    const grossLoss = Number(row.gross_loss || 0);
+    const totalPnl = Number(row.total_pnl || 0);
+    const avgWin = wins > 0 ? grossProfit / wins : 0;
+    const avgLoss = losses > 0 ? grossLoss / losses : 0;
+    const winRate = trades > 0 ? wins / trades : 0;
+    const lossRate = trades > 0 ? losses / trades : 0;
+    const avgHold = row.avg_hold_seconds === null || row.avg_hold_seconds === undefined ? null : Number(row.avg_hold_seconds);
+
+    return {
+      trades,
+      wins,
+      losses,
+      breakeven: trades - wins - losses,
+      totalPnl,
+      grossProfit,
+      grossLoss,
+      winRate: winRate * 100,
+      // null = no losing trade (infinite profit factor)
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? null : 0),
+      avgWin,
+      avgLoss,
+      expectancy: winRate * avgWin - lossRate * avgLoss,
+      bestTrade: row.best_trade === null || row.best_trade === undefined ? null : Number(row.best_trade),
+      worstTrade: row.worst_trade === null || row.worst_trade === undefined ? null : Number(row.worst_trade),
+      avgHoldSeconds: avgHold === null || !Number.isFinite(avgHold) ? null : Math.round(avgHold)
+    };
+  }
+
+  /**
+   * Max drawdown of the realized equity curve (trade by trade, starting at 0)
+   * @param {Object} filters - Normalized filters
+   * @returns {Promise<number>} Positive USDT amount
+   */
+  async getMaxDrawdown(filters = {}) {
+    const where = this.buildWhere(filters);
+    const [rows] = await pool.execute(
+      `SELECT COALESCE(MAX(peak - equity), 0) AS max_drawdown
+       FROM (
+         SELECT equity, GREATEST(0, MAX(equity) OVER (ORDER BY closed_at, id ROWS UNBOUNDED PRECEDING)) AS peak
+         FROM (
+           SELECT p.id, p.closed_at, SUM(COALESCE(${NET_PNL_SQL}, 0)) OVER (ORDER BY p.closed_at, p.id) AS equity
+           ${where.sql}
+         ) e
+       ) d`,
+      where.params
+    );
+    return Math.max(0, Number(rows?.[0]?.max_drawdown || 0));
+  }
+
+  /**
+   * Close reason distribution (raw reasons and grouped)
+   * @param {Object} filters - Normalized filters
+   * @returns {Promise<{groups: Object, reasons: Array}>}
+   */
+  async getCloseReasons(filters = {}) {
+    const where = this.buildWhere(filters);
+    const [rows] = await pool.execute(
+      `SELECT COALESCE(p.close_reason, 'unknown') AS reason, COUNT(*) AS trades, COALESCE(SUM(${NET_PNL_SQL}), 0) AS pnl
+       ${where.sql}
+       GROUP BY COALESCE(p.close_reason, 'unknown')
+       ORDER BY trades DESC`,
+      where.params
+    );
+
+    const groups = Object.fromEntries(CLOSE_REASON_GROUPS.map(g => [g, { trades: 0, pnl: 0 }]));
+    const reasons = (rows || []).map(row => {
+      const group = classifyCloseReason(row.reason === 'unknown' ? null : row.reason);
+      const trades = Number(row.trades || 0);
+      const pnl = Number(row.pnl || 0);
+      groups[group].trades += trades;
+      groups[group].pnl += pnl;
+      return { reason: row.reason, group, trades, pnl };
+    });
+
+    return { groups, reasons };
+  }
+
+  /**
+   * Performance summary
+   * @param {Object} filters - Normalized filters
+   * @returns {Promise<Object>}
+   */
+  async getSummary(filters = {}) {
+    const where = this.buildWhere(filters);
+    const [rows] = await pool.execute(
+      `SELECT ${this._aggregateColumns()},
+              MIN(p.closed_at) AS first_closed_at,
+              MAX(p.closed_at) AS last_closed_at
+       ${where.sql}`,
+      where.params
+    );
+    const row = rows?.[0] || {};
+    const metrics = this.computeMetrics(row);
+
+    const [maxDrawdown, closeReasons] = metrics.trades > 0
+      ? await Promise.all([this.getMaxDrawdown(filters), this.getCloseReasons(filters)])
+      : [0, { groups: Object.fromEntries(CLOSE_REASON_GROUPS.map(g => [g, { trades: 0, pnl: 0 }])), reasons: [] }];
+
+    return {
+      ...metrics,
+      maxDrawdown,
+      firstClosedAt: row.first_closed_at || null,
+      lastClosedAt: row.last_closed_at || null,
+      closeReasons
+    };
+  }
+
+  /**
+   * PnL series bucketed by UTC day or week (weeks start on Monday), with the cumulative equity curve
+   * and the drawdown from the running equity peak at each point
+   * @param {Object} filters - Normalized filters
+   * @param {'day'|'week'} period
+   * @returns {Promise<Array<{date: string, pnl: number, trades: number, wins: number, equity: number, drawdown: number}>>}
+   */
+  async getPnlSeries(filters = {}, period = 'day') {
+    const bucket = period === 'week'
+      ? 'DATE_SUB(DATE(p.closed_at), INTERVAL WEEKDAY(p.closed_at) DAY)'
+      : 'DATE(p.closed_at)';
+    const where = this.buildWhere(filters);
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(${bucket}, '%Y-%m-%d') AS bucket,
+              COALESCE(SUM(${NET_PNL_SQL}), 0) AS pnl,
+              COUNT(*) AS trades,
+              SUM(CASE WHEN ${NET_PNL_SQL} > 0 THEN 1 ELSE 0 END) AS wins
+       ${where.sql}
+       GROUP BY bucket
+       ORDER BY bucket ASC`,
+      where.params
+    );
+
+    let equity = 0;
+    let peak = 0;
+    return (rows || []).map(row => {
+      const pnl = Number(row.pnl || 0);
+      equity += pnl;
+      peak = Math.max(peak, equity);
+      return {
+        date: row.bucket,
+        pnl,
+        trades: Number(row.trades || 0),
+        wins: Number(row.wins || 0),
+        equity,
+        drawdown: peak - equity
+      };
+    });
+  }
+
+  /**
+   * Dashboard counters for GET /api/stats (COUNT/SUM queries, no row loading)
+   * @returns {Promise<Object>}
+   */
+  async getOverview() {
+    const [rows] = await pool.execute(
+      `SELECT (SELECT COUNT(*) FROM bots) AS bots_total,
+              (SELECT COUNT(*) FROM bots WHERE is_active = TRUE) AS bots_active,
+              (SELECT COUNT(*) FROM strategies) AS strategies_total,
+              (SELECT COUNT(*) FROM strategies WHERE is_active = TRUE) AS strategies_active,
+              (SELECT COUNT(*) FROM positions WHERE status = 'open') AS positions_open,
+              c.closed, c.wins, c.total_pnl
+       FROM (
+         SELECT COUNT(*) AS closed, SUM(CASE WHEN COALESCE(net_pnl, pnl) > 0 THEN 1 ELSE 0 END) AS wins,
+                COALESCE(SUM(COALESCE(net_pnl, pnl)), 0) AS total_pnl
+         FROM positions
+         WHERE status = 'closed'
+       ) c`
+    );
+    const row = rows?.[0] || {};
+    const closed = Number(row.closed || 0);
+
+    return {
+      bots: { total: Number(row.bots_total || 0), active: Number(row.bots_active || 0) },
+      strategies: { total: Number(row.strategies_total || 0), active: Number(row.strategies_active || 0) },
+      positions: { open: Number(row.positions_open || 0), closed },
+      totalPnL: Number(row.total_pnl || 0).toFixed(2),
+      winRate: closed > 0 ? Number(row.wins || 0) / closed * 100 : 0
+    };
+  }
+
+  /**
+   * Metrics grouped by strategy, bot, symbol, side or interval (sorted by total pnl)
+   * @param {Object} filters - Normalized filters
+   * @param {'strategy'|'bot'|'symbol'|'side'|'interval'} groupBy
+   * @returns {Promise<Array<Object>>}
+   */
+  async getBreakdown(filters = {}, groupBy = 'strategy') {
+    const group = BREAKDOWN_GROUPS[groupBy];
+    if (!group) {
+      throw badRequest(`Invalid groupBy (${Object.keys(BREAKDOWN_GROUPS).join('|')})`);
+    }
+
+    const where = this.buildWhere(filters);
+    const [rows] = await pool.execute(
+      `SELECT ${group.key} AS group_key, ${group.label} AS group_label, ${this._aggregateColumns()}
+       ${where.sql}
+       GROUP BY ${group.key}
+       ORDER BY total_pnl DESC`,
+      where.params
+    );
+
+    return (rows || []).map(row => ({
+      key: row.group_key,
+      label: row.group_label ?? String(row.group_key ?? ''),
+      ...this.computeMetrics(row)
+    }));
+  }
+}
+
+export const analyticsService = new AnalyticsService();
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { User } from '../models/User.js';
+import { USER_ROLES } from '../config/constants.js';
+import logger from '../utils/logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLE_RANK = {
+  [USER_ROLES.VIEWER]: 1,
+  [USER_ROLES.OPERATOR]: 2,
+  [USER_ROLES.ADMIN]: 3
+};
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+/**
+ * AuthService - API users, password hashing and signed access tokens
+ *
+ * - Passwords: scrypt with a random salt, stored as `scrypt$<salt>$<hash>`
+ * - Tokens: HS256 JWT signed with AUTH_JWT_SECRET (env), valid AUTH_TOKEN_TTL_HOURS (env, default 12)
+ * - AUTH_DISABLED=true (env) turns authentication off (local development only)
+ */
+export class AuthService {
+  constructor() {
+    this._secret = null;
+  }
+
+  /**
+   * Whether authentication is disabled (AUTH_DISABLED=true)
+   * @returns {boolean}
+   */
+  isDisabled() {
+    return String(process.env.AUTH_DISABLED || '').toLowerCase() === 'true';
+  }
+
+  /**
+   * Token signing secret. Falls back to a per-process random secret (tokens die on restart).
+   * @returns {string}
+   */
+  getSecret() {
+    if (process.env.AUTH_JWT_SECRET) return process.env.AUTH_JWT_SECRET;
+    if (!this._secret) {
+      this._secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('[AuthService] ⚠️ AUTH_JWT_SECRET is not set, using a random secret (tokens are invalidated on restart)');
+    }
+    return this._secret;
+  }
+
+  /**
+   * Whether a role grants at least the required role
+   * @param {string} role - User role
+   * @param {string} requiredRole - Minimum role
+   * @returns {boolean}
+   */
+  hasRole(role, requiredRole) {
+    return (ROLE_RANK[role] || 0) >= (ROLE_RANK[requiredRole] || Infinity);
+  }
+
+  /**
+   * Whether a role name is valid
+   * @param {string} role
+   * @returns {boolean}
+   */
+  isValidRole(role) {
+    return Object.values(USER_ROLES).includes(role);
+  }
+
+  /**
+   * Hash a password with scrypt
+   * @param {string} password - Plain password
+   * @returns {Promise<string>} `scrypt$<saltHex>$<hashHex>`
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(String(password), salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * Verify a password against a stored hash (constant-time)
+   * @param {string} password - Plain password
+   * @param {string} stored - Stored hash
+   * @returns {Promise<boolean>}
+   */
+  async verifyPassword(password, stored) {
+    const [scheme, salt, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Sign an access token for a user
+   * @param {Object} user - { id, username, role }
+   * @returns {{token: string, expiresAt: Date}}
+   */
+  signToken(user) {
+    const ttlHours = Number(process.env.AUTH_TOKEN_TTL_HOURS || 12);
+    const iat = Math.floor(Date.now() / 1000);
+    const exp = iat + Math.max(1, Math.floor(ttlHours * 3600));
+
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ sub: user.id, username: user.username, role: user.role, iat, exp }));
+    const signature = crypto.createHmac('sha256', this.getSecret()).update(`${header}.${payload}`).digest('base64url');
+
+    return { token: `${header}.${payload}.${signature}`, expiresAt: new Date(exp * 1000) };
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - Bearer token
+   * @returns {Object|null} Token payload or null if invalid/expired
+   */
+  verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = crypto.createHmac('sha256', this.getSecret()).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!claims?.sub || !claims?.exp || claims.exp * 1000 <= Date.now()) return null;
+      return claims;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Log in with username/password
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<{token: string, expiresAt: Date, user: Object}|null>} null on invalid credentials
+   */
+  async login(username, password) {
+    const user = await User.findByUsername(username);
+    if (!user || !user.is_active || !(await this.verifyPassword(password, user.password_hash))) {
+      logger.warn(`[AuthService] Failed login for user '${username}'`);
+      return null;
+    }
+
+    await User.update(user.id, { last_login_at: new Date() });
+    const { token, expiresAt } = this.signToken(user);
+    logger.info(`[AuthService] ✅ User '${user.username}' (${user.role}) logged in`);
+    return { token, expiresAt, user: { id: user.id, username: user.username, role: user.role } };
+  }
+
+  /**
+   * Create a user
+   * @param {Object} data - { username, password, role }
+   * @returns {Promise<Object>}
+   */
+  async createUser({ username, password, role = USER_ROLES.VIEWER }) {
+    const password_hash = await this.hashPassword(password);
+    return User.create({ username, password_hash, role });
+  }
+
+  /**
+   * Create the first admin from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD when there are no users yet
+   * @returns {Promise<void>}
+   */
+  async ensureBootstrapAdmin() {
+    try {
+      if (await User.count() > 0) return;
+
+      const username = process.env.AUTH_ADMIN_USERNAME;
+      const password = process.env.AUTH_ADMIN_PASSWORD;
+      if (!username || !password) {
+        logger.warn('[AuthService] ⚠️ No API users exist. Set AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD to create the first admin.');
+        return;
+      }
+
+      await this.createUser({ username, password, role: USER_ROLES.ADMIN });
+      logger.info(`[AuthService] ✅ Created bootstrap admin user '${username}'`);
+    } catch (error) {
+      logger.error('[AuthService] Failed to bootstrap admin user:', error?.message || error);
+    }
+  }
+}
+
+// Export singleton instance
+export const authService = new AuthService();
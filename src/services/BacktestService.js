@@ -0,0 +1,418 @@
+import fs from 'fs/promises';
+import { Candle } from '../models/Candle.js';
+import {
+  calculatePnL,
+  calculateTakeProfit,
+  calculateInitialStopLossByAmount,
+  calculateLongEntryPrice,
+  calculateShortEntryPrice,
+  calculateNextTrailingTakeProfit
+} from '../utils/calculator.js';
+import { determineSide } from '../utils/sideSelector.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_OPTIONS = {
+  feeRate: 0,            // Fee per side as a fraction of notional (e.g. 0.0004 = 0.04%)
+  slippagePercent: 0,    // Slippage applied to MARKET entries, in percent
+  entryTtlMinutes: 30,   // Same default as ENTRY_ORDER_TTL_MINUTES for pending LIMIT entries
+  defaultAmount: 1000    // Same fallback as WebSocketOCConsumer.processMatch
+};
+
+/**
+ * Backtest Service - Offline replay of candles through the OC strategy pipeline
+ *
+ * Mirrors WebSocketOCConsumer.processMatch + PositionService TP trailing without touching any exchange:
+ * - OC is measured against the open of the strategy interval bucket
+ * - Side is picked by determineSide (trend-following vs counter-trend)
+ * - Counter-trend entries are LIMIT orders at the extend price, trend-following entries fill at market
+ * - TP/SL come from calculateTakeProfit / calculateInitialStopLossByAmount
+ * - TP trails towards entry minute by minute with calculateNextTrailingTakeProfit
+ */
+export class BacktestService {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Load candles from the candles table
+   * @param {Object} params - { exchange, symbol, interval, from, to, limit }
+   * @returns {Promise<Array>} Normalized candles in chronological order
+   */
+  async loadCandlesFromDb({ exchange, symbol, interval, from = null, to = null, limit = null }) {
+    const rows = (from !== null || to !== null)
+      ? await Candle.getCandlesInRange(exchange, symbol, interval, from, to)
+      : await Candle.getCandles(exchange, symbol, interval, limit || 1000);
+    return BacktestService.normalizeCandles(rows, interval);
+  }
+
+  /**
+   * Load candles from an exported kline file (.json or .csv)
+   * Supports Binance kline arrays ([openTime, open, high, low, close, volume, closeTime, ...])
+   * and objects/CSV headers using open_time/openTime/timestamp, open, high, low, close, volume.
+   * @param {string} filePath - Path to the file
+   * @param {string} interval - Interval of the candles in the file
+   * @returns {Promise<Array>} Normalized candles in chronological order
+   */
+  async loadCandlesFromFile(filePath, interval = '1m') {
+    const content = await fs.readFile(filePath, 'utf8');
+    const rows = filePath.toLowerCase().endsWith('.csv')
+      ? BacktestService.parseCsv(content)
+      : JSON.parse(content);
+    if (!Array.isArray(rows)) {
+      throw new Error(`Invalid kline file ${filePath}: expected an array of candles`);
+    }
+    return BacktestService.normalizeCandles(rows, interval);
+  }
+
+  /**
+   * Parse CSV kline content. Header row is optional (Binance column order is assumed without it).
+   * @param {string} content - CSV text
+   * @returns {Array<Object|Array>}
+   */
+  static parseCsv(content) {
+    const lines = String(content || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines.length === 0) return [];
+    const first = lines[0].split(',').map(c => c.trim());
+    const hasHeader = !Number.isFinite(Number(first[0]));
+    if (!hasHeader) {
+      return lines.map(line => line.split(',').map(c => c.trim()));
+    }
+    const headers = first;
+    return lines.slice(1).map(line => {
+      const cols = line.split(',').map(c => c.trim());
+      const row = {};
+      headers.forEach((h, i) => { row[h] = cols[i]; });
+      return row;
+    });
+  }
+
+  /**
+   * Normalize raw candles (DB rows, Binance arrays, CCXT-style objects) to
+   * { open_time, close_time, open, high, low, close, volume } with numbers, sorted and de-duplicated.
+   * @param {Array} rows - Raw candles
+   * @param {string} interval - Interval used to derive close_time when missing
+   * @returns {Array<Object>}
+   */
+  static normalizeCandles(rows, interval = '1m') {
+    const intervalMs = Candle.getTimeframeMs(interval);
+    const seen = new Set();
+    const candles = [];
+
+    for (const row of rows || []) {
+      let c;
+      if (Array.isArray(row)) {
+        c = {
+          open_time: Number(row[0]),
+          open: Number(row[1]),
+          high: Number(row[2]),
+          low: Number(row[3]),
+          close: Number(row[4]),
+          volume: Number(row[5] || 0),
+          close_time: row[6] !== undefined ? Number(row[6]) : NaN
+        };
+      } else if (row && typeof row === 'object') {
+        c = {
+          open_time: Number(row.open_time ?? row.openTime ?? row.timestamp ?? row.t),
+          open: Number(row.open ?? row.o),
+          high: Number(row.high ?? row.h),
+          low: Number(row.low ?? row.l),
+          close: Number(row.close ?? row.c),
+          volume: Number(row.volume ?? row.v ?? 0),
+          close_time: Number(row.close_time ?? row.closeTime ?? NaN)
+        };
+      } else {
+        continue;
+      }
+
+      if (![c.open_time, c.open, c.high, c.low, c.close].every(Number.isFinite) || c.open <= 0) continue;
+      if (!Number.isFinite(c.close_time)) c.close_time = c.open_time + intervalMs - 1;
+      if (!Number.isFinite(c.volume)) c.volume = 0;
+      if (seen.has(c.open_time)) continue;
+      seen.add(c.open_time);
+      candles.push(c);
+    }
+
+    return candles.sort((a, b) => a.open_time - b.open_time);
+  }
+
+  /**
+   * Expand a candle into synthetic ticks.
+   * Bullish candles go open → low → high → close, bearish candles open → high → low → close,
+   * which is the conventional worst-case path for intra-candle ordering.
+   * @param {Object} candle - Normalized candle
+   * @returns {Array<{price:number, timestamp:number, isOpen:boolean}>}
+   */
+  static buildTicks(candle) {
+    const span = Math.max(1, candle.close_time - candle.open_time);
+    const bullish = candle.close >= candle.open;
+    const mid1 = bullish ? candle.low : candle.high;
+    const mid2 = bullish ? candle.high : candle.low;
+    return [
+      { price: candle.open, timestamp: candle.open_time, isOpen: true },
+      { price: mid1, timestamp: candle.open_time + Math.floor(span * 0.25), isOpen: false },
+      { price: mid2, timestamp: candle.open_time + Math.floor(span * 0.75), isOpen: false },
+      { price: candle.close, timestamp: candle.close_time, isOpen: false }
+    ];
+  }
+
+  /**
+   * Run a single strategy over candles
+   * @param {Object} strategy - Strategy row (with is_reverse_strategy from the bot join)
+   * @param {Array<Object>} candles - Normalized candles (any interval <= strategy.interval)
+   * @returns {{strategyId:number, symbol:string, interval:string, trades:Array, stats:Object}}
+   */
+  runStrategy(strategy, candles) {
+    const interval = strategy.interval || '1m';
+    const intervalMs = Candle.getTimeframeMs(interval);
+    const ocThreshold = Math.abs(Number(strategy.oc || 0));
+    const isReverse = strategy.is_reverse_strategy === true || strategy.is_reverse_strategy === 1 || strategy.is_reverse_strategy === '1';
+    const { entryTtlMinutes } = this.options;
+
+    const trades = [];
+    let bucketStart = null;
+    let bucketOpen = null;
+    let bucketFired = false;
+    let pending = null; // pending LIMIT entry
+    let position = null; // open position
+    let lastTick = null;
+
+    for (const candle of candles) {
+      for (const tick of BacktestService.buildTicks(candle)) {
+        lastTick = tick;
+        const { price, timestamp } = tick;
+
+        // Track interval bucket open (same as RealtimeOCDetector.getBucketStart)
+        const currentBucket = Math.floor(timestamp / intervalMs) * intervalMs;
+        if (currentBucket !== bucketStart) {
+          bucketStart = currentBucket;
+          bucketOpen = tick.isOpen ? candle.open : price;
+          bucketFired = false;
+        }
+
+        // 1) Manage open position (exit checks first so a fill and exit can't happen on the same tick)
+        if (position) {
+          this._trailTakeProfit(position, timestamp);
+          const exit = this._checkExit(position, tick);
+          if (exit) {
+            trades.push(this._closePosition(position, exit.price, exit.reason, timestamp));
+            position = null;
+          }
+          continue;
+        }
+
+        // 2) Pending LIMIT entry: fill or expire
+        if (pending) {
+          if (timestamp - pending.createdAt > entryTtlMinutes * 60 * 1000) {
+            pending = null;
+          } else {
+            const filled = pending.side === 'long' ? price <= pending.entryPrice : price >= pending.entryPrice;
+            if (filled) {
+              const fillPrice = tick.isOpen
+                ? (pending.side === 'long' ? Math.min(price, pending.entryPrice) : Math.max(price, pending.entryPrice))
+                : pending.entryPrice;
+              position = this._openPosition(strategy, pending, fillPrice, timestamp);
+              pending = null;
+            }
+            continue;
+          }
+        }
+
+        // 3) OC detection (once per bucket, one position per strategy like checkOpenPosition)
+        if (bucketFired || ocThreshold <= 0 || !(bucketOpen > 0)) continue;
+        const oc = ((price - bucketOpen) / bucketOpen) * 100;
+        if (Math.abs(oc) < ocThreshold) continue;
+        bucketFired = true;
+
+        const direction = oc >= 0 ? 'bullish' : 'bearish';
+        const side = determineSide(direction, strategy.trade_type, strategy.is_reverse_strategy);
+        if (!side) continue;
+
+        const signal = { side, oc: Math.abs(oc), direction, signalPrice: price, openPrice: bucketOpen, createdAt: timestamp };
+        if (isReverse) {
+          signal.entryPrice = side === 'long'
+            ? calculateLongEntryPrice(price, bucketOpen, strategy.extend || 0)
+            : calculateShortEntryPrice(price, bucketOpen, strategy.extend || 0);
+          pending = signal;
+        } else {
+          const slip = (Number(this.options.slippagePercent) || 0) / 100;
+          const fillPrice = side === 'long' ? price * (1 + slip) : price * (1 - slip);
+          signal.entryPrice = price;
+          position = this._openPosition(strategy, signal, fillPrice, timestamp);
+        }
+      }
+    }
+
+    // Close whatever is still open at the last seen price
+    if (position && lastTick) {
+      trades.push(this._closePosition(position, lastTick.price, 'backtest_end', lastTick.timestamp));
+    }
+
+    return {
+      strategyId: strategy.id ?? null,
+      symbol: strategy.symbol,
+      interval,
+      trades,
+      stats: BacktestService.computeStats(trades)
+    };
+  }
+
+  /**
+   * Run several strategies. Candles are resolved per strategy by the loader callback.
+   * @param {Array<Object>} strategies - Strategy rows
+   * @param {Function} candleLoader - async (strategy) => normalized candles
+   * @returns {Promise<Array>} Per-strategy results
+   */
+  async runStrategies(strategies, candleLoader) {
+    const results = [];
+    for (const strategy of strategies) {
+      try {
+        const candles = await candleLoader(strategy);
+        if (!candles || candles.length === 0) {
+          logger.warn(`[BacktestService] ⚠️ No candles for strategy ${strategy.id} (${strategy.symbol} ${strategy.interval}), skipping`);
+          continue;
+        }
+        const result = this.runStrategy(strategy, candles);
+        logger.info(
+          `[BacktestService] ✅ Strategy ${strategy.id} ${strategy.symbol} ${strategy.interval}: ` +
+          `trades=${result.stats.totalTrades} winRate=${result.stats.winRate.toFixed(2)}% ` +
+          `pnl=${result.stats.totalPnl.toFixed(4)} maxDD=${result.stats.maxDrawdown.toFixed(4)}`
+        );
+        results.push(result);
+      } catch (error) {
+        logger.error(`[BacktestService] ❌ Backtest failed for strategy ${strategy.id}:`, error?.message || error);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Aggregate trade statistics
+   * @param {Array<Object>} trades - Closed trades (chronological)
+   * @returns {Object} { totalTrades, wins, losses, winRate, totalPnl, grossProfit, grossLoss, maxDrawdown, avgHoldMinutes, closeReasons }
+   */
+  static computeStats(trades) {
+    const stats = {
+      totalTrades: trades.length,
+      wins: 0,
+      losses: 0,
+      winRate: 0,
+      totalPnl: 0,
+      grossProfit: 0,
+      grossLoss: 0,
+      maxDrawdown: 0,
+      avgHoldMinutes: 0,
+      closeReasons: {}
+    };
+    if (trades.length === 0) return stats;
+
+    let equity = 0;
+    let peak = 0;
+    let totalHold = 0;
+    for (const t of trades) {
+      if (t.pnl > 0) {
+        stats.wins++;
+        stats.grossProfit += t.pnl;
+      } else {
+        stats.losses++;
+        stats.grossLoss += Math.abs(t.pnl);
+      }
+      equity += t.pnl;
+      peak = Math.max(peak, equity);
+      stats.maxDrawdown = Math.max(stats.maxDrawdown, peak - equity);
+      totalHold += t.holdMinutes;
+      stats.closeReasons[t.closeReason] = (stats.closeReasons[t.closeReason] || 0) + 1;
+    }
+    stats.totalPnl = equity;
+    stats.winRate = (stats.wins / trades.length) * 100;
+    stats.avgHoldMinutes = totalHold / trades.length;
+    return stats;
+  }
+
+  _openPosition(strategy, signal, fillPrice, timestamp) {
+    const { side } = signal;
+    const amount = Number(strategy.amount) || this.options.defaultAmount;
+    const takeProfitPrice = calculateTakeProfit(fillPrice, strategy.take_profit || 55, side);
+    const rawStoploss = strategy.stoploss !== undefined && strategy.stoploss !== null ? Number(strategy.stoploss) : NaN;
+    let stopLossPrice = null;
+    if (Number.isFinite(rawStoploss) && rawStoploss > 0 && fillPrice > 0) {
+      stopLossPrice = calculateInitialStopLossByAmount(fillPrice, amount / fillPrice, rawStoploss, side);
+    }
+    return {
+      side,
+      oc: signal.oc,
+      signalPrice: signal.signalPrice,
+      openPrice: signal.openPrice,
+      entryPrice: fillPrice,
+      amount,
+      initialTP: takeProfitPrice,
+      takeProfitPrice,
+      stopLossPrice,
+      trailingPercent: Number(side === 'long' ? strategy.up_reduce : strategy.reduce) || 0,
+      openedAt: timestamp,
+      minutesProcessed: 0
+    };
+  }
+
+  _trailTakeProfit(position, timestamp) {
+    if (position.trailingPercent <= 0) return;
+    const minutesElapsed = Math.floor((timestamp - position.openedAt) / 60000);
+    const minutesToProcess = minutesElapsed - position.minutesProcessed;
+    if (minutesToProcess <= 0) return;
+    position.takeProfitPrice = calculateNextTrailingTakeProfit(
+      position.takeProfitPrice,
+      position.entryPrice,
+      position.initialTP,
+      position.trailingPercent,
+      position.side,
+      minutesToProcess
+    );
+    position.minutesProcessed = minutesElapsed;
+  }
+
+  /**
+   * Exit semantics follow ExitOrderManager: the trailing TP is a TAKE_PROFIT_MARKET while it is on the
+   * profit side of entry and a STOP_MARKET once it has crossed entry.
+   */
+  _checkExit(position, tick) {
+    const { side, entryPrice, takeProfitPrice: tp, stopLossPrice: sl } = position;
+    const { price } = tick;
+    const fill = level => (tick.isOpen ? price : level); // gaps at candle open fill at the open
+
+    if (sl !== null && Number.isFinite(sl)) {
+      if ((side === 'long' && price <= sl) || (side === 'short' && price >= sl)) {
+        return { price: fill(sl), reason: 'sl_hit' };
+      }
+    }
+
+    const tpIsProfit = side === 'long' ? tp > entryPrice : tp < entryPrice;
+    const hit = side === 'long'
+      ? (tpIsProfit ? price >= tp : price <= tp)
+      : (tpIsProfit ? price <= tp : price >= tp);
+    if (hit) return { price: fill(tp), reason: 'tp_hit' };
+    return null;
+  }
+
+  _closePosition(position, exitPrice, reason, timestamp) {
+    const grossPnl = calculatePnL(position.entryPrice, exitPrice, position.amount, position.side);
+    const feeRate = Number(this.options.feeRate) || 0;
+    const exitNotional = position.amount * (exitPrice / position.entryPrice);
+    const fees = (position.amount + exitNotional) * feeRate;
+    return {
+      side: position.side,
+      oc: position.oc,
+      entryPrice: position.entryPrice,
+      exitPrice,
+      amount: position.amount,
+      initialTP: position.initialTP,
+      stopLossPrice: position.stopLossPrice,
+      pnl: grossPnl - fees,
+      fees,
+      closeReason: reason,
+      openedAt: position.openedAt,
+      closedAt: timestamp,
+      holdMinutes: (timestamp - position.openedAt) / 60000
+    };
+  }
+}
+
+export const backtestService = new BacktestService();
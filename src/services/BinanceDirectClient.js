@@ -54,7 +54,8 @@ export class BinanceDirectClient {
     this._timeSyncTTL = Number(configService.getNumber('BINANCE_TIME_SYNC_TTL_MS', 600000)); // 10 minutes default
     
     // Production data URL (always use production for market data)
-    this.productionDataURL = 'https://fapi.binance.com';
+    // BINANCE_MARKET_DATA_ENDPOINT override is meant for local stand-ins (e.g. tests/utils/mockBinanceFuturesServer.js)
+    this.productionDataURL = configService.getString('BINANCE_MARKET_DATA_ENDPOINT', 'https://fapi.binance.com');
     
     // Trading URL (testnet or production)
     this.baseURL = isTestnet 
@@ -892,6 +893,7 @@ export class BinanceDirectClient {
 
     // CRITICAL FIX: Make request with retries and error classification
     let useDirectServerTime = false;
+    let lastTimestampError = null;
     for (let i = 0; i < retries; i++) {
       // Check rate limit block before each attempt
       if (!this._checkRateLimitBlock()) {
@@ -1010,6 +1012,11 @@ export class BinanceDirectClient {
           }
           
           if (data.code && data.msg) {
+            if (data.code === -1021 || data.code === -1022) {
+              lastTimestampError = new Error(`Binance API Error ${data.code}: ${data.msg}`);
+              lastTimestampError.code = data.code;
+              lastTimestampError.status = response.status;
+            }
             // CRITICAL FIX: Enhanced timestamp error handling with auto-recovery
             if (data.code === -1021) {
               logger.warn('Binance -1021 timestamp outside recvWindow. Syncing time and retrying...');
@@ -1099,6 +1106,9 @@ export class BinanceDirectClient {
         await new Promise(resolve => setTimeout(resolve, backoff));
       }
     }
+
+    // -1021/-1022 retries `continue` past the catch; surface the error instead of resolving undefined
+    if (lastTimestampError) throw lastTimestampError;
   }
 
   /**
@@ -1237,6 +1247,13 @@ export class BinanceDirectClient {
     return await this.makeMarketDataRequest('/fapi/v1/ticker/24hr', 'GET', { symbol: normalizedSymbol });
   }
 
+  /**
+   * Get 24h tickers for all symbols (weight 40)
+   */
+  async getTickers24h() {
+    return await this.makeMarketDataRequest('/fapi/v1/ticker/24hr', 'GET', {});
+  }
+
   /**
    * Normalize symbol to Binance format
    * Converts formats like BTC/USDT, BTCUSD_PERP, BTCUSD-PERP to BTCUSDT
@@ -1772,6 +1789,46 @@ export class BinanceDirectClient {
     }
   }
 
+  /**
+   * Account trades (fills) of a symbol, optionally of a single order
+   * Each trade carries price, qty, realizedPnl, commission and commissionAsset.
+   * @param {string} symbol
+   * @param {Object} [options]
+   * @param {string|number} [options.orderId]
+   * @param {number} [options.startTime] - ms
+   * @param {number} [options.endTime] - ms
+   * @param {number} [options.limit=1000]
+   * @returns {Promise<Array>}
+   */
+  async getUserTrades(symbol, { orderId = null, startTime = null, endTime = null, limit = 1000 } = {}) {
+    const params = { symbol: this.normalizeSymbol(symbol), limit };
+    if (orderId !== null && orderId !== undefined) params.orderId = orderId;
+    if (startTime) params.startTime = startTime;
+    if (endTime) params.endTime = endTime;
+    const trades = await this.makeRequest('/fapi/v1/userTrades', 'GET', params, true);
+    return Array.isArray(trades) ? trades : [];
+  }
+
+  /**
+   * Income history (FUNDING_FEE, COMMISSION, REALIZED_PNL...)
+   * @param {Object} [options]
+   * @param {string} [options.incomeType]
+   * @param {string} [options.symbol]
+   * @param {number} [options.startTime] - ms
+   * @param {number} [options.endTime] - ms
+   * @param {number} [options.limit=1000]
+   * @returns {Promise<Array>} [{ symbol, incomeType, income, asset, time, tranId, tradeId }]
+   */
+  async getIncomeHistory({ incomeType = null, symbol = null, startTime = null, endTime = null, limit = 1000 } = {}) {
+    const params = { limit };
+    if (incomeType) params.incomeType = incomeType;
+    if (symbol) params.symbol = this.normalizeSymbol(symbol);
+    if (startTime) params.startTime = startTime;
+    if (endTime) params.endTime = endTime;
+    const rows = await this.makeRequest('/fapi/v1/income', 'GET', params, true);
+    return Array.isArray(rows) ? rows : [];
+  }
+
   /**
    * Place market order
    * CRITICAL FIX: Added parameter validation before submission
@@ -2070,6 +2127,7 @@ export class BinanceDirectClient {
    * @param {string} side - 'long' or 'short' (original position side)
    * @param {number} tpPrice - Take profit price
    * @param {number} quantity - Order quantity (optional, use closePosition=true if not provided)
+   * @param {Object} options - { clientOrderId }
    * @returns {Promise<Object>} Order response
    */
   async createTpLimitOrder(symbol, side, tpPrice, quantity = null, options = {}) {
@@ -2164,6 +2222,10 @@ export class BinanceDirectClient {
         throw new Error(`Invalid quantity after formatting: ${formattedQuantity}`);
       }
       params.quantity = formattedQuantity; // Pass as string
+      // Partial close (TP ladder legs) must never open a position in one-way mode
+      if (!dualSide) {
+        params.reduceOnly = 'true';
+      }
     }
 
     logger.info(`Creating TP limit order: ${orderSide} ${normalizedSymbol} @ stopPrice=${stopPriceStr}, limitPrice=${limitPriceStr}${dualSide ? ` (${positionSide})` : ''}`);
@@ -2194,6 +2256,9 @@ export class BinanceDirectClient {
           timeInForce: 'GTC',
           reduceOnly: 'true'
         };
+        if (params.newClientOrderId) {
+          fallbackParams.newClientOrderId = params.newClientOrderId;
+        }
         
         // Only include positionSide in dual-side (hedge) mode
         if (dualSide) {
@@ -2649,8 +2714,9 @@ export class BinanceDirectClient {
   /**
    * Create CLOSE-POSITION STOP_MARKET
    * LONG closes with SELL; SHORT closes with BUY.
+   * options.clientOrderSuffix: clientOrderId suffix ('EXIT' for the unified exit order, 'SL' for the break-even stop)
    */
-  async createCloseStopMarket(symbol, side, stopPrice, position = null, bot = null) {
+  async createCloseStopMarket(symbol, side, stopPrice, position = null, bot = null, options = {}) {
     const normalizedSymbol = this.normalizeSymbol(symbol);
 
     const [tickSize, dualSide, currentPrice] = await Promise.all([
@@ -2691,7 +2757,7 @@ export class BinanceDirectClient {
       const botId = bot?.id;
       const posId = position?.id;
       if (botId && posId) {
-        params.newClientOrderId = `OC_B${botId}_P${posId}_EXIT`;
+        params.newClientOrderId = `OC_B${botId}_P${posId}_${options?.clientOrderSuffix || 'EXIT'}`;
       }
     } catch (_) {}
 
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+import { configService } from './ConfigService.js';
+import { LRUCache } from '../utils/LRUCache.js';
+
+/**
+ * Bybit v5 order status -> Binance order status (X)
+ */
+const ORDER_STATUS_MAP = {
+  New: 'NEW',
+  Untriggered: 'NEW',
+  Triggered: 'NEW',
+  PartiallyFilled: 'PARTIALLY_FILLED',
+  Filled: 'FILLED',
+  Cancelled: 'CANCELED',
+  PartiallyFilledCanceled: 'CANCELED',
+  Deactivated: 'CANCELED',
+  Rejected: 'EXPIRED'
+};
+
+/**
+ * Bybit private order stream (v5 `order` topic)
+ * - Authenticates with HMAC-SHA256 over `GET/realtime{expires}`
+ * - Re-emits every linear order update as a Binance-shaped ORDER_TRADE_UPDATE event, so
+ *   EntryOrderMonitor and PositionFeeService handle Bybit fills like Binance ones
+ *
+ * Events: 'ORDER_TRADE_UPDATE', 'raw', 'connected', 'disconnected', 'error', 'stopped'
+ */
+export class BybitPrivateStream extends EventEmitter {
+  /**
+   * @param {Object} options - { apiKey, secret, isTestnet }
+   */
+  constructor({ apiKey, secret, isTestnet = false }) {
+    super();
+    this.apiKey = apiKey;
+    this.secret = secret;
+    this.isTestnet = isTestnet;
+    this.ws = null;
+    this.pingTimer = null;
+    this.reconnectTimer = null;
+    this._isStopped = false;
+    this.state = 'idle'; // 'idle' | 'connecting' | 'connected' | 'stopped'
+    this._fills = new LRUCache(2000); // orderId -> { qty, fee } cumulative, to derive per-update fills
+  }
+
+  getWsUrl() {
+    return this.isTestnet
+      ? configService.getString('BYBIT_TESTNET_PRIVATE_WS_URL', 'wss://stream-testnet.bybit.com/v5/private')
+      : configService.getString('BYBIT_PRIVATE_WS_URL', 'wss://stream.bybit.com/v5/private');
+  }
+
+  _authArgs() {
+    const expires = Date.now() + 10_000;
+    const signature = crypto.createHmac('sha256', this.secret).update(`GET/realtime${expires}`).digest('hex');
+    return [this.apiKey, expires, signature];
+  }
+
+  async connect() {
+    if (this._isStopped || this.state === 'connecting' || this.state === 'connected') return;
+    this.state = 'connecting';
+
+    this.ws = new WebSocket(this.getWsUrl());
+
+    this.ws.on('open', () => {
+      this._send({ op: 'auth', args: this._authArgs() });
+      this.pingTimer = setInterval(() => this._send({ op: 'ping' }), 20_000);
+    });
+
+    this.ws.on('message', (data) => {
+      try {
+        this._handleMessage(JSON.parse(data));
+      } catch (err) {
+        logger.debug(`[Bybit-Private] parse error: ${err?.message || err}`);
+      }
+    });
+
+    this.ws.on('close', () => {
+      this.state = 'idle';
+      logger.warn('[Bybit-Private] Order stream closed');
+      this.emit('disconnected');
+      this._clearTimers();
+      if (!this._isStopped) this._scheduleReconnect();
+    });
+
+    this.ws.on('error', (err) => {
+      logger.error('[Bybit-Private] Order stream error:', err?.message || err);
+      this.emit('error', err);
+    });
+  }
+
+  _send(msg) {
+    try {
+      if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(msg));
+    } catch (e) {
+      logger.debug(`[Bybit-Private] Send failed: ${e?.message || e}`);
+    }
+  }
+
+  _handleMessage(msg) {
+    this.emit('raw', msg);
+
+    if (msg?.op === 'auth') {
+      if (msg.success) {
+        this._send({ op: 'subscribe', args: ['order'] });
+      } else {
+        // Bad credentials: reconnecting would only repeat the failure
+        logger.error(`[Bybit-Private] Auth failed: ${msg.ret_msg || 'unknown error'}`);
+        this.emit('error', new Error(`Bybit auth failed: ${msg.ret_msg || 'unknown error'}`));
+        this.stop();
+      }
+      return;
+    }
+    if (msg?.op === 'subscribe' && msg.success) {
+      this.state = 'connected';
+      logger.debug('[Bybit-Private] Order stream connected');
+      this.emit('connected');
+      return;
+    }
+
+    if (msg?.topic !== 'order' || !Array.isArray(msg.data)) return;
+    for (const order of msg.data) {
+      if (order.category && order.category !== 'linear') continue;
+      this.emit('ORDER_TRADE_UPDATE', this.toOrderTradeUpdate(order, msg.creationTime));
+    }
+  }
+
+  /**
+   * Bybit order row -> Binance futures ORDER_TRADE_UPDATE event.
+   * Bybit only sends cumulative fill qty/fee: the delta since the previous update is the fill (x=TRADE, l, n).
+   * @param {Object} order - Bybit v5 order stream row
+   * @param {number} [eventTime]
+   * @returns {Object}
+   */
+  toOrderTradeUpdate(order, eventTime = Date.now()) {
+    const orderId = String(order.orderId);
+    const cumQty = Number(order.cumExecQty || 0);
+    const cumFee = Number(order.cumExecFee || 0);
+    const previous = this._fills.get(orderId) || { qty: 0, fee: 0 };
+    const lastQty = Math.max(0, cumQty - previous.qty);
+    const lastFee = Math.max(0, cumFee - previous.fee);
+    this._fills.set(orderId, { qty: cumQty, fee: cumFee });
+
+    const status = ORDER_STATUS_MAP[order.orderStatus] || String(order.orderStatus || '').toUpperCase();
+    let execType = lastQty > 0 ? 'TRADE' : 'NEW';
+    if (lastQty === 0 && (status === 'CANCELED' || status === 'EXPIRED')) execType = status;
+
+    const positionSide = { 1: 'LONG', 2: 'SHORT' }[Number(order.positionIdx)] || 'BOTH';
+    const updateTime = Number(order.updatedTime) || Number(eventTime) || Date.now();
+
+    return {
+      e: 'ORDER_TRADE_UPDATE',
+      E: Number(eventTime) || updateTime,
+      T: updateTime,
+      o: {
+        s: order.symbol,
+        c: order.orderLinkId || null,
+        S: String(order.side || '').toUpperCase(),
+        o: String(order.orderType || '').toUpperCase(),
+        ot: order.stopOrderType ? `${String(order.orderType).toUpperCase()}_${order.stopOrderType}` : String(order.orderType || '').toUpperCase(),
+        q: order.qty,
+        p: order.price,
+        ap: order.avgPrice || '0',
+        sp: order.triggerPrice || '0',
+        x: execType,
+        X: status,
+        i: orderId,
+        l: String(lastQty),
+        z: order.cumExecQty || '0',
+        n: String(lastFee),
+        N: 'USDT',
+        T: updateTime,
+        t: lastQty > 0 ? `${orderId}:${cumQty}` : null,
+        R: Boolean(order.reduceOnly),
+        ps: positionSide
+      }
+    };
+  }
+
+  _clearTimers() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  _scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    const baseBackoff = Number(configService.getNumber('WS_RECONNECT_BACKOFF_MS', 3000));
+    const backoff = baseBackoff + Math.random() * 1000;
+    logger.debug(`[Bybit-Private] Reconnecting in ${Math.floor(backoff)}ms...`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(err => logger.error('[Bybit-Private] Reconnect failed:', err?.message || err));
+    }, backoff);
+  }
+
+  async stop() {
+    this._isStopped = true;
+    this.state = 'stopped';
+    this._clearTimers();
+    try {
+      if (this.ws) this.ws.terminate();
+    } catch (_) {}
+    this.ws = null;
+    logger.debug('[Bybit-Private] Order stream stopped');
+    this.emit('stopped');
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  isConnected() {
+    return this.state === 'connected' && this.ws?.readyState === WebSocket.OPEN;
+  }
+}
@@ -0,0 +1,349 @@
+import WebSocket from 'ws';
+import logger from '../utils/logger.js';
+import { configService } from './ConfigService.js';
+import { CandleAggregator } from './CandleAggregator.js';
+import { KLINE_INTERVALS } from '../config/constants.js';
+import { strategyCache } from './StrategyCache.js';
+
+/**
+ * BybitWebSocketManager - Bybit v5 public linear stream (USDT perpetuals)
+ *
+ * Ticker topics feed realtime prices, kline topics feed exact bucket opens/closes and per-bucket volume,
+ * the same way MexcWebSocketManager does for MEXC. Symbols are sharded over several connections
+ * because Bybit caps the total length of subscription args per connection.
+ */
+export class BybitWebSocketManager {
+  constructor() {
+    this.connections = []; // [{ id, ws, symbols: Set, topics: Set, connecting, reconnectAttempts, pingTimer, reconnectTimer }]
+    this.subscribed = new Set(); // Normalized symbols (e.g., BTCUSDT)
+    this.priceCache = new Map(); // symbol -> { price, ts }
+    this.klineOpenCache = new Map(); // symbol|interval|bucketStart -> { open, lastUpdate }
+    this.klineCloseCache = new Map(); // symbol|interval|bucketStart -> { close, lastUpdate }
+    this.candleAggregator = new CandleAggregator(KLINE_INTERVALS); // OHLCV per bucket (volume tracking)
+    this._priceHandlers = new Set();
+    this.cacheTtlMs = 5 * 60 * 1000;
+    this.cleanupIntervalMs = 60 * 1000;
+    this._cleanupTimer = null;
+    this.baseUrl = configService.getString('BYBIT_WS_URL', 'wss://stream.bybit.com/v5/public/linear');
+    this.maxSymbolsPerConnection = Number(configService.getNumber('BYBIT_WS_MAX_SYMBOLS_PER_CONN', 100));
+    this.maxReconnectAttempts = 10;
+    this.pingInterval = 20000; // Bybit drops connections without a ping for ~30s
+    this.subscribeBatchSize = 10; // args per subscribe request
+    this._startCleanup();
+  }
+
+  // --- Utility Methods ---
+
+  normalizeSymbol(symbol) {
+    if (!symbol) return null;
+    return symbol.toString().toUpperCase().replace(/:USDT$/, '').replace(/[/:_]/g, '').replace(/USD$/, 'USDT');
+  }
+
+  // Bybit kline interval names (1, 5, 60, D) <-> 1m, 5m, 1h, 1d
+  _toBybitInterval(interval) {
+    const map = { '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30', '1h': '60', '4h': '240', '1d': 'D' };
+    return map[String(interval).toLowerCase()] || null;
+  }
+
+  _fromBybitInterval(bybitInterval) {
+    const map = { '1': '1m', '3': '3m', '5': '5m', '15': '15m', '30': '30m', '60': '1h', '240': '4h', D: '1d' };
+    return map[String(bybitInterval)] || null;
+  }
+
+  /**
+   * Bybit kline intervals for a symbol: BYBIT_WS_KLINE_INTERVALS=auto (default) is 1m plus the intervals
+   * of the strategies on the symbol
+   * @param {string} symbol - Normalized symbol
+   * @returns {string[]} Bybit interval names (1, 5, 60, D...)
+   */
+  _getKlineIntervals(symbol) {
+    return strategyCache.getKlineIntervals(configService.getString('BYBIT_WS_KLINE_INTERVALS', 'auto'), 'bybit', symbol)
+      .map(s => this._toBybitInterval(s))
+      .filter(Boolean);
+  }
+
+  _topicsFor(symbol) {
+    return [`tickers.${symbol}`, ...this._getKlineIntervals(symbol).map(i => `kline.${i}.${symbol}`)];
+  }
+
+  // --- Public API ---
+
+  onPrice(handler) {
+    if (typeof handler === 'function') this._priceHandlers.add(handler);
+  }
+
+  getPrice(symbol) {
+    const norm = this.normalizeSymbol(symbol);
+    return this.priceCache.get(norm)?.price || null;
+  }
+
+  getKlineOpen(symbol, interval, bucketStart) {
+    const cached = this.klineOpenCache.get(`${String(symbol).toUpperCase()}|${interval}|${bucketStart}`);
+    if (!cached || !Number.isFinite(cached.open) || cached.open <= 0) return null;
+    cached.lastUpdate = Date.now();
+    return cached.open;
+  }
+
+  getKlineClose(symbol, interval, bucketStart) {
+    const cached = this.klineCloseCache.get(`${String(symbol).toUpperCase()}|${interval}|${bucketStart}`);
+    if (!cached || !Number.isFinite(cached.close) || cached.close <= 0) return null;
+    cached.lastUpdate = Date.now();
+    return cached.close;
+  }
+
+  getKlineCandle(symbol, interval, bucketStart) {
+    return this.candleAggregator.getCandle(symbol, interval, bucketStart);
+  }
+
+  getVolumeRatio(symbol, interval, bucketStart, lookback) {
+    return this.candleAggregator.getVolumeRatio(symbol, interval, bucketStart, lookback);
+  }
+
+  subscribe(symbols) {
+    if (!Array.isArray(symbols) || symbols.length === 0) return;
+    for (const s of symbols) {
+      const norm = this.normalizeSymbol(s);
+      if (!norm) continue;
+      if (this.subscribed.has(norm)) {
+        // Known symbol: add klines of intervals that strategies started using since its subscription
+        const known = this.connections.find(c => c.symbols.has(norm));
+        if (known?.ws?.readyState === WebSocket.OPEN) this._subscribeTopics(known, this._topicsFor(norm));
+        continue;
+      }
+      this.subscribed.add(norm);
+
+      let conn = this.connections.find(c => c.symbols.size < this.maxSymbolsPerConnection);
+      if (!conn) {
+        conn = {
+          id: this.connections.length + 1,
+          ws: null,
+          symbols: new Set(),
+          topics: new Set(),
+          connecting: false,
+          reconnectAttempts: 0,
+          pingTimer: null,
+          reconnectTimer: null
+        };
+        this.connections.push(conn);
+      }
+      conn.symbols.add(norm);
+      if (conn.ws?.readyState === WebSocket.OPEN) {
+        this._subscribeTopics(conn, this._topicsFor(norm));
+      }
+    }
+    this.ensureConnected();
+  }
+
+  ensureConnected() {
+    for (const conn of this.connections) {
+      if (conn.ws?.readyState === WebSocket.OPEN || conn.connecting || conn.reconnectTimer) continue;
+      this._connect(conn);
+    }
+  }
+
+  // --- WebSocket Core ---
+
+  _connect(conn) {
+    if (conn.connecting || conn.ws?.readyState === WebSocket.OPEN) return;
+    conn.connecting = true;
+    logger.info(`[Bybit-WS] Connecting #${conn.id} to ${this.baseUrl} (${conn.symbols.size} symbols)...`);
+
+    try {
+      conn.ws = new WebSocket(this.baseUrl);
+    } catch (e) {
+      logger.error(`[Bybit-WS] Failed to create WebSocket #${conn.id}:`, e?.message || e);
+      conn.connecting = false;
+      this._scheduleReconnect(conn);
+      return;
+    }
+
+    conn.ws.on('open', () => {
+      logger.info(`[Bybit-WS] ✅ WebSocket #${conn.id} connected`);
+      conn.connecting = false;
+      conn.reconnectAttempts = 0;
+      this._startPing(conn);
+      this._resubscribe(conn);
+    });
+
+    conn.ws.on('message', (raw) => {
+      try {
+        this._handleMessage(raw);
+      } catch (e) {
+        logger.error('[Bybit-WS] Message handle error:', e?.message || e);
+      }
+    });
+
+    conn.ws.on('close', (code, reason) => {
+      logger.warn(`[Bybit-WS] WebSocket #${conn.id} disconnected (code: ${code}, reason: ${reason?.toString() || 'none'})`);
+      this._stopPing(conn);
+      conn.connecting = false;
+      if (this.connections.includes(conn)) this._scheduleReconnect(conn);
+    });
+
+    conn.ws.on('error', (err) => {
+      logger.error(`[Bybit-WS] WebSocket #${conn.id} error:`, err?.message || err, err?.code || '');
+      conn.connecting = false;
+    });
+  }
+
+  _send(conn, msg) {
+    try {
+      conn.ws.send(JSON.stringify(msg));
+    } catch (e) {
+      logger.debug(`[Bybit-WS] Send failed on #${conn.id}:`, e?.message || e);
+    }
+  }
+
+  _resubscribe(conn) {
+    conn.topics.clear(); // new connection: nothing is subscribed yet
+    const topics = Array.from(conn.symbols).flatMap(sym => this._topicsFor(sym));
+    this._subscribeTopics(conn, topics);
+    logger.info(`[Bybit-WS] #${conn.id} subscribed ${conn.symbols.size} symbols (${topics.length} topics)`);
+  }
+
+  // Subscribe the topics not yet subscribed on this connection
+  _subscribeTopics(conn, topics) {
+    const missing = topics.filter(topic => !conn.topics.has(topic));
+    for (const topic of missing) conn.topics.add(topic);
+    for (let i = 0; i < missing.length; i += this.subscribeBatchSize) {
+      this._send(conn, { op: 'subscribe', args: missing.slice(i, i + this.subscribeBatchSize) });
+    }
+  }
+
+  _startPing(conn) {
+    this._stopPing(conn);
+    conn.pingTimer = setInterval(() => {
+      if (conn.ws?.readyState === WebSocket.OPEN) this._send(conn, { op: 'ping' });
+    }, this.pingInterval);
+  }
+
+  _stopPing(conn) {
+    if (conn.pingTimer) {
+      clearInterval(conn.pingTimer);
+      conn.pingTimer = null;
+    }
+  }
+
+  _scheduleReconnect(conn) {
+    if (conn.reconnectTimer) return;
+    if (conn.reconnectAttempts >= this.maxReconnectAttempts) {
+      logger.error(`[Bybit-WS] Max reconnect attempts reached for #${conn.id}`);
+      return;
+    }
+    conn.reconnectAttempts += 1;
+    const delay = Math.min(1000 * Math.pow(2, conn.reconnectAttempts), 15000);
+    logger.info(`[Bybit-WS] Scheduling reconnect #${conn.id} in ${delay}ms (attempt ${conn.reconnectAttempts}/${this.maxReconnectAttempts})`);
+    conn.reconnectTimer = setTimeout(() => {
+      conn.reconnectTimer = null;
+      this._connect(conn);
+    }, delay);
+  }
+
+  _handleMessage(raw) {
+    const text = Buffer.isBuffer(raw) ? raw.toString('utf8') : raw;
+    if (typeof text !== 'string') return;
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      logger.debug(`[Bybit-WS] Non-JSON message (length: ${text.length})`);
+      return;
+    }
+
+    // Command responses: { op: 'subscribe'|'ping'|'pong', success, ret_msg }
+    if (data?.op) {
+      if (data.op === 'subscribe' && data.success === false) {
+        logger.error(`[Bybit-WS] ❌ Subscription failed: ${data.ret_msg || JSON.stringify(data)}`);
+      }
+      return;
+    }
+
+    const topic = String(data?.topic || '');
+    if (topic.startsWith('tickers.')) {
+      this._handleTicker(data.data, Number(data.ts) || Date.now());
+    } else if (topic.startsWith('kline.')) {
+      const [, bybitInterval, symbol] = topic.split('.');
+      for (const k of Array.isArray(data.data) ? data.data : []) {
+        this._handleKline(symbol, bybitInterval, k);
+      }
+    }
+  }
+
+  _handleTicker(ticker, ts) {
+    // Deltas only carry changed fields: no lastPrice means the price did not move
+    if (!ticker?.symbol || ticker.lastPrice === undefined) return;
+    const price = Number(ticker.lastPrice);
+    if (!Number.isFinite(price) || price <= 0) return;
+    const symbol = this.normalizeSymbol(ticker.symbol);
+    this.priceCache.set(symbol, { price, ts });
+    for (const h of this._priceHandlers) {
+      try { h({ symbol, price, ts }); } catch (e) { logger.error('[Bybit-WS] Price handler error', { message: e?.message }); }
+    }
+  }
+
+  _handleKline(rawSymbol, bybitInterval, k) {
+    const symbol = this.normalizeSymbol(rawSymbol);
+    const interval = this._fromBybitInterval(k?.interval ?? bybitInterval);
+    const startTime = Number(k?.start);
+    if (!symbol || !interval || !(startTime > 0)) return;
+
+    const open = parseFloat(k.open);
+    const close = parseFloat(k.close);
+    const isClosed = Boolean(k.confirm);
+
+    this.candleAggregator.ingestKline({
+      symbol, interval, startTime, open, high: k.high, low: k.low, close, volume: k.volume, isClosed
+    });
+
+    const now = Date.now();
+    if (Number.isFinite(open) && open > 0) {
+      this.klineOpenCache.set(`${symbol}|${interval}|${startTime}`, { open, lastUpdate: now });
+    }
+    if (isClosed && Number.isFinite(close) && close > 0) {
+      this.klineCloseCache.set(`${symbol}|${interval}|${startTime}`, { close, lastUpdate: now });
+    }
+  }
+
+  // --- Cleanup ---
+
+  _startCleanup() {
+    this._cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [k, v] of this.priceCache) {
+        if (now - v.ts > this.cacheTtlMs) this.priceCache.delete(k);
+      }
+      for (const cache of [this.klineOpenCache, this.klineCloseCache]) {
+        for (const [k, v] of cache) {
+          if (now - v.lastUpdate > this.cacheTtlMs) cache.delete(k);
+        }
+      }
+    }, this.cleanupIntervalMs);
+  }
+
+  disconnect() {
+    clearInterval(this._cleanupTimer);
+    const connections = this.connections;
+    this.connections = [];
+    for (const conn of connections) {
+      this._stopPing(conn);
+      if (conn.reconnectTimer) clearTimeout(conn.reconnectTimer);
+      try { conn.ws?.close(); } catch (_) {}
+    }
+    this.subscribed.clear();
+    this.priceCache.clear();
+    this.klineOpenCache.clear();
+    this.klineCloseCache.clear();
+    logger.info('[Bybit-WS] Disconnected');
+  }
+
+  getStatus() {
+    return {
+      connected: this.connections.length > 0 && this.connections.every(c => c.ws?.readyState === WebSocket.OPEN),
+      connections: this.connections.length,
+      openConnections: this.connections.filter(c => c.ws?.readyState === WebSocket.OPEN).length,
+      subscribedSymbols: this.subscribed.size
+    };
+  }
+}
+
+export const bybitPriceWs = new BybitWebSocketManager();
@@ -1,11 +1,52 @@
 import logger from '../utils/logger.js';
+import { KLINE_INTERVALS } from '../config/constants.js';
+
+// A bucket first seen from ticks later than this is missing its real open (e.g. 1d bucket after a restart)
+const TICK_OPEN_MAX_LAG_MS = 60_000;
 
 export class CandleAggregator {
-  constructor(intervals = ['1m', '5m', '15m', '30m']) {
+  constructor(intervals = KLINE_INTERVALS) {
     this.intervals = Array.from(new Set(intervals.map(i => String(i).toLowerCase())));
     this._candles = new Map(); // key: symbol|interval|bucketStart -> candle
     this._latest = new Map(); // key: symbol|interval -> candle
     this._maxCandles = 50000; // soft cap
+    this._lastKline = new Map(); // key: symbol|interval -> latest kline candle (bucket rollover)
+    this._lastClosedStart = new Map(); // key: symbol|interval -> startTime of the last emitted closed candle
+    this._closeHandlers = new Set();
+  }
+
+  /**
+   * Register a handler for closed kline candles ({ symbol, interval, startTime, open, high, low, close, volume }).
+   * A candle closes when the stream flags it closed or, for streams without a close flag, when the next bucket starts.
+   * @param {Function} handler
+   */
+  onCandleClose(handler) {
+    if (typeof handler === 'function') this._closeHandlers.add(handler);
+  }
+
+  _emitClosed(c) {
+    const latestKey = this._latestKey(c.symbol, c.interval);
+    if ((this._lastClosedStart.get(latestKey) || 0) >= c.startTime) return; // already emitted
+    this._lastClosedStart.set(latestKey, c.startTime);
+    if (this._closeHandlers.size === 0) return;
+
+    const closed = {
+      symbol: c.symbol,
+      interval: c.interval,
+      startTime: c.startTime,
+      open: c.open,
+      high: c.high,
+      low: c.low,
+      close: c.close,
+      volume: c.volume
+    };
+    for (const handler of this._closeHandlers) {
+      try {
+        handler(closed);
+      } catch (e) {
+        logger.debug(`[CandleAggregator] Close handler failed: ${e?.message || e}`);
+      }
+    }
   }
 
   _intervalMs(interval) {
@@ -54,7 +95,8 @@ export class CandleAggregator {
           close: p,
           volume: 0,
           ticks: 0,
-          lastUpdate: t
+          lastUpdate: t,
+          openFromTick: t - bucketStart > TICK_OPEN_MAX_LAG_MS // open is a mid-bucket price until a kline replaces it
         };
         this._candles.set(k, c);
       }
@@ -99,8 +141,16 @@ export class CandleAggregator {
     if (!Number.isFinite(c.open) || c.open <= 0) return;
     if (!Number.isFinite(c.close) || c.close <= 0) return;
 
+    const latestKey = this._latestKey(sym, itv);
+    const previous = this._lastKline.get(latestKey);
+    if (previous && previous.startTime < bucketStart) {
+      this._emitClosed(previous); // next bucket started: the previous one is complete
+    }
+    if (!previous || previous.startTime <= bucketStart) this._lastKline.set(latestKey, c);
+
     this._candles.set(k, c);
-    this._latest.set(this._latestKey(sym, itv), c);
+    this._latest.set(latestKey, c);
+    if (c.isClosed) this._emitClosed(c);
 
     if (this._candles.size > this._maxCandles) {
       this._evictOldest(Math.floor(this._maxCandles * 0.1));
@@ -113,11 +163,46 @@ export class CandleAggregator {
     return this._latest.get(this._latestKey(sym, itv)) || null;
   }
 
+  getCandle(symbol, interval, bucketStart) {
+    const sym = String(symbol).toUpperCase();
+    const itv = String(interval).toLowerCase();
+    return this._candles.get(this._key(sym, itv, Number(bucketStart))) || null;
+  }
+
+  /**
+   * Volume of a bucket relative to the average of up to `lookback` previous buckets
+   * @returns {{ volume: number, avgVolume: number, ratio: number|null, samples: number }|null}
+   */
+  getVolumeRatio(symbol, interval, bucketStart, lookback = 20) {
+    const current = this.getCandle(symbol, interval, bucketStart);
+    if (!current) return null;
+
+    const ms = this._intervalMs(interval);
+    let sum = 0;
+    let samples = 0;
+    for (let i = 1; i <= lookback; i++) {
+      const prev = this.getCandle(symbol, interval, Number(bucketStart) - i * ms);
+      if (!prev) continue;
+      sum += Number(prev.volume) || 0;
+      samples++;
+    }
+
+    const volume = Number(current.volume) || 0;
+    const avgVolume = samples > 0 ? sum / samples : 0;
+    return {
+      volume,
+      avgVolume,
+      ratio: avgVolume > 0 ? volume / avgVolume : null,
+      samples
+    };
+  }
+
   getOpen(symbol, interval, bucketStart) {
     const sym = String(symbol).toUpperCase();
     const itv = String(interval).toLowerCase();
     const bs = Number(bucketStart);
     const c = this._candles.get(this._key(sym, itv, bs));
+    if (c?.openFromTick) return null;
     const o = c?.open;
     return Number.isFinite(o) && o > 0 ? o : null;
   }
@@ -133,8 +218,15 @@ export class CandleAggregator {
 
   _evictOldest(n) {
     try {
-      const entries = Array.from(this._candles.entries());
-      entries.sort((a, b) => (a[1]?.startTime || 0) - (b[1]?.startTime || 0));
+      // Oldest in buckets, not in time: the open 1d/4h buckets started long before the latest 1m ones
+      // and must outlive them, while every interval keeps about the same number of recent buckets
+      const now = Date.now();
+      const msByInterval = new Map(this.intervals.map(i => [i, this._intervalMs(i)]));
+      const entries = Array.from(this._candles.entries(), ([key, c]) => [
+        key,
+        (now - (c?.startTime || 0)) / (msByInterval.get(c?.interval) || this._intervalMs(c?.interval))
+      ]);
+      entries.sort((a, b) => b[1] - a[1]);
       for (let i = 0; i < Math.min(n, entries.length); i++) {
         this._candles.delete(entries[i][0]);
       }
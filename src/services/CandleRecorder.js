@@ -0,0 +1,352 @@
+import cron from 'node-cron';
+import { Candle } from '../models/Candle.js';
+import { BacktestService } from './BacktestService.js';
+import { configService } from './ConfigService.js';
+import { webSocketManager } from './WebSocketManager.js';
+import { mexcPriceWs } from './MexcWebSocketManager.js';
+import { bybitPriceWs } from './BybitWebSocketManager.js';
+import { gatePriceWs } from './GateWebSocketManager.js';
+import logger from '../utils/logger.js';
+
+const BACKFILL_PAGE_SIZE = 500;
+
+/**
+ * Parse "1m:7,5m:30" into interval -> retention in ms (days per interval)
+ * @param {string} raw
+ * @returns {Map<string, number>}
+ */
+export function parseRetention(raw) {
+  const retention = new Map();
+  for (const part of String(raw || '').split(',')) {
+    const [interval, days] = part.split(':').map(s => s?.trim());
+    const value = Number(days);
+    if (interval && Number.isFinite(value) && value > 0) {
+      retention.set(interval.toLowerCase(), value * 24 * 60 * 60 * 1000);
+    }
+  }
+  return retention;
+}
+
+/**
+ * CandleRecorder - continuous market-data recorder (optional, CANDLE_RECORDER_ENABLED)
+ *
+ * - Closed candles of the kline streams (CandleAggregator.onCandleClose of each price stream) are batched
+ *   into the candles table (Candle.bulkInsert: INSERT ... ON DUPLICATE KEY UPDATE on unique_candle)
+ * - A jump between two recorded candles (or between the stored history and the first candle after a restart)
+ *   is backfilled over REST with ExchangeService.fetchOHLCV
+ * - Old candles of the recorded series are pruned per interval (CANDLE_RECORDER_RETENTION_DAYS)
+ */
+export class CandleRecorder {
+  /**
+   * @param {Object} [sources] - exchange -> price stream exposing candleAggregator
+   */
+  constructor(sources = null) {
+    this.sources = sources || {
+      binance: webSocketManager,
+      mexc: mexcPriceWs,
+      bybit: bybitPriceWs,
+      gate: gatePriceWs
+    };
+    this.buffer = new Map(); // exchange|symbol|interval|open_time -> row
+    this._lastOpenTime = new Map(); // exchange|symbol|interval -> open_time of the last recorded candle
+    this._backfillPending = new Set();
+    this._backfillChain = Promise.resolve();
+    this._exchangeServices = new Map();
+    this._flushTimer = null;
+    this._flushing = null;
+    this._pruneTask = null;
+    this._attached = false;
+    this.running = false;
+    this.stats = { recorded: 0, written: 0, dropped: 0, backfilled: 0, pruned: 0, lastFlushAt: null, lastError: null };
+  }
+
+  getConfig() {
+    const intervals = configService.getString('CANDLE_RECORDER_INTERVALS', '1m,5m,15m,30m,1h,4h,1d')
+      .split(',')
+      .map(s => s.trim().toLowerCase())
+      .filter(Boolean);
+    return {
+      enabled: configService.getBoolean('CANDLE_RECORDER_ENABLED', false),
+      intervals: new Set(intervals),
+      flushMs: Number(configService.getNumber('CANDLE_RECORDER_FLUSH_MS', 5000)),
+      batchSize: Number(configService.getNumber('CANDLE_RECORDER_BATCH_SIZE', 500)),
+      maxBuffer: Number(configService.getNumber('CANDLE_RECORDER_MAX_BUFFER', 50000)),
+      backfill: configService.getBoolean('CANDLE_RECORDER_BACKFILL', true),
+      maxBackfillCandles: Number(configService.getNumber('CANDLE_RECORDER_MAX_BACKFILL', 1000)),
+      retention: parseRetention(configService.getString('CANDLE_RECORDER_RETENTION_DAYS', '1m:7,5m:30,15m:90,30m:180,1h:365,4h:730')),
+      pruneCron: configService.getString('CANDLE_RECORDER_PRUNE_CRON', '17 * * * *')
+    };
+  }
+
+  /**
+   * Attach to the price streams and start the flush / prune schedules
+   * @returns {boolean} false when disabled by config
+   */
+  start() {
+    const config = this.getConfig();
+    if (!config.enabled) {
+      logger.info('[CandleRecorder] Not starting (disabled by config CANDLE_RECORDER_ENABLED=false)');
+      return false;
+    }
+    if (this.running) return true;
+    this.running = true;
+
+    // Handlers stay registered on the streams (CandleAggregator has no off); record() ignores them once stopped
+    if (!this._attached) {
+      this._attached = true;
+      for (const [exchange, stream] of Object.entries(this.sources)) {
+        stream?.candleAggregator?.onCandleClose((candle) => this.record(exchange, candle));
+      }
+    }
+
+    this._flushTimer = setInterval(() => {
+      this.flush().catch(() => {});
+    }, Math.max(1000, config.flushMs));
+
+    if (config.retention.size > 0 && cron.validate(config.pruneCron)) {
+      this._pruneTask = cron.schedule(config.pruneCron, () => {
+        this.prune().catch(() => {});
+      }, { scheduled: true, timezone: 'UTC' });
+    }
+
+    logger.info(`[CandleRecorder] Started (intervals: ${Array.from(config.intervals).join(',')}, sources: ${Object.keys(this.sources).join(',')})`);
+    return true;
+  }
+
+  /**
+   * Stop schedules and write what is still buffered
+   */
+  async stop() {
+    this.running = false;
+    if (this._flushTimer) {
+      clearInterval(this._flushTimer);
+      this._flushTimer = null;
+    }
+    if (this._pruneTask) {
+      this._pruneTask.stop();
+      this._pruneTask = null;
+    }
+    await this.flush().catch(() => {});
+    logger.info('[CandleRecorder] Stopped');
+  }
+
+  _seriesKey(exchange, symbol, interval) {
+    return `${exchange}|${symbol}|${interval}`;
+  }
+
+  /**
+   * Buffer a closed candle; flushes when the batch is full and queues a backfill on gaps
+   * @param {string} exchange
+   * @param {Object} candle - { symbol, interval, startTime, open, high, low, close, volume }
+   */
+  record(exchange, candle) {
+    if (!this.running) return;
+    const config = this.getConfig();
+    const interval = String(candle?.interval || '').toLowerCase();
+    if (!config.intervals.has(interval)) return;
+
+    const symbol = String(candle.symbol || '').toUpperCase();
+    const openTime = Number(candle.startTime);
+    const intervalMs = Candle.getTimeframeMs(interval);
+    if (!symbol || !(openTime > 0)) return;
+
+    const row = {
+      exchange,
+      symbol,
+      interval,
+      open_time: openTime,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume || 0,
+      close_time: openTime + intervalMs - 1
+    };
+    this.buffer.set(`${this._seriesKey(exchange, symbol, interval)}|${openTime}`, row);
+    this.stats.recorded += 1;
+    this._trimBuffer(config);
+
+    if (config.backfill) this._checkGap(exchange, symbol, interval, openTime, intervalMs);
+
+    if (this.buffer.size >= config.batchSize) {
+      this.flush().catch(() => {});
+    }
+  }
+
+  /**
+   * Queue a backfill when candles are missing before openTime.
+   * The first candle of a series after a restart is compared with the latest stored candle.
+   */
+  _checkGap(exchange, symbol, interval, openTime, intervalMs) {
+    const key = this._seriesKey(exchange, symbol, interval);
+    const last = this._lastOpenTime.get(key);
+    this._lastOpenTime.set(key, Math.max(last || 0, openTime));
+
+    // Pending keys are per gap: a live gap must not be dropped while the restart check of its series is queued
+    if (last === undefined) {
+      this._enqueueBackfill(`${key}|history`, async () => {
+        const [latest] = await Candle.getCandlesInRange(exchange, symbol, interval, null, openTime - 1, { limit: 1 });
+        const stored = Number(latest?.open_time);
+        if (stored > 0 && openTime - stored > intervalMs) {
+          await this.backfill(exchange, symbol, interval, stored + intervalMs, openTime - intervalMs);
+        }
+      });
+    } else if (openTime - last > intervalMs) {
+      this._enqueueBackfill(`${key}|${last}`, () => this.backfill(exchange, symbol, interval, last + intervalMs, openTime - intervalMs));
+    }
+  }
+
+  _enqueueBackfill(key, task) {
+    if (this._backfillPending.has(key)) return;
+    this._backfillPending.add(key);
+    // One backfill at a time: REST weight stays low while live trading shares the process
+    this._backfillChain = this._backfillChain
+      .then(task)
+      .catch((error) => {
+        logger.warn(`[CandleRecorder] Backfill failed for ${key}: ${error?.message || error}`);
+      })
+      .finally(() => this._backfillPending.delete(key));
+    return this._backfillChain;
+  }
+
+  /**
+   * Public (keyless) ExchangeService per exchange for REST backfills
+   */
+  async _getExchangeService(exchange) {
+    if (this._exchangeServices.has(exchange)) return this._exchangeServices.get(exchange);
+    const { ExchangeService } = await import('./ExchangeService.js');
+    const exchangeService = new ExchangeService({ id: `recorder_${exchange}`, exchange, access_key: '', secret_key: '' });
+    await exchangeService.initialize();
+    this._exchangeServices.set(exchange, exchangeService);
+    return exchangeService;
+  }
+
+  /**
+   * Fetch missing candles [from, to] (open_time, inclusive) over REST and store them.
+   * Capped to the CANDLE_RECORDER_MAX_BACKFILL most recent candles of the gap.
+   * @returns {Promise<number>} Stored candles
+   */
+  async backfill(exchange, symbol, interval, from, to) {
+    const { maxBackfillCandles } = this.getConfig();
+    const intervalMs = Candle.getTimeframeMs(interval);
+    const start = Math.max(from, to - (Math.max(1, maxBackfillCandles) - 1) * intervalMs);
+    if (to < start) return 0;
+
+    const exchangeService = await this._getExchangeService(exchange);
+    const expected = Math.floor((to - start) / intervalMs) + 1;
+    const fetched = [];
+    let endTime = to;
+    for (let page = 0; page <= Math.ceil(expected / BACKFILL_PAGE_SIZE) && endTime >= start; page++) {
+      const batch = BacktestService.normalizeCandles(
+        await exchangeService.fetchOHLCV(symbol, interval, Math.min(BACKFILL_PAGE_SIZE, expected), 'swap', endTime),
+        interval
+      );
+      if (batch.length === 0) break;
+      fetched.push(...batch);
+      if (batch[0].open_time <= start) break;
+      endTime = batch[0].open_time - 1;
+    }
+
+    const rows = fetched
+      .filter(c => c.open_time >= start && c.open_time <= to)
+      .map(c => ({ ...c, exchange, symbol, interval }));
+    for (let i = 0; i < rows.length; i += BACKFILL_PAGE_SIZE) {
+      await Candle.bulkInsert(rows.slice(i, i + BACKFILL_PAGE_SIZE));
+    }
+    this.stats.backfilled += rows.length;
+    logger.info(`[CandleRecorder] Backfilled ${rows.length}/${expected} ${interval} candles of ${symbol} (${exchange})`);
+    return rows.length;
+  }
+
+  /**
+   * Drop the oldest buffered candles above CANDLE_RECORDER_MAX_BUFFER (writes failing for a long time)
+   * @param {Object} config - getConfig()
+   */
+  _trimBuffer(config) {
+    const maxBuffer = Math.max(config.batchSize, config.maxBuffer);
+    const excess = this.buffer.size - maxBuffer;
+    if (!(excess > 0)) return;
+
+    const keys = this.buffer.keys();
+    for (let i = 0; i < excess; i++) this.buffer.delete(keys.next().value);
+    this.stats.dropped += excess;
+    logger.warn(`[CandleRecorder] Buffer above ${maxBuffer} candles, dropped the ${excess} oldest (last error: ${this.stats.lastError || 'n/a'})`);
+  }
+
+  /**
+   * Write buffered candles (one flush at a time; failed batches go back to the buffer, capped by CANDLE_RECORDER_MAX_BUFFER)
+   * @returns {Promise<number>} Written candles
+   */
+  async flush() {
+    if (this._flushing) return this._flushing;
+    if (this.buffer.size === 0) return 0;
+
+    const config = this.getConfig();
+    const { batchSize } = config;
+    const entries = Array.from(this.buffer.entries());
+    this.buffer.clear();
+
+    this._flushing = (async () => {
+      let written = 0;
+      const failed = [];
+      for (let i = 0; i < entries.length; i += batchSize) {
+        const chunk = entries.slice(i, i + batchSize);
+        try {
+          await Candle.bulkInsert(chunk.map(([, row]) => row));
+          written += chunk.length;
+        } catch (error) {
+          this.stats.lastError = error?.message || String(error);
+          logger.error(`[CandleRecorder] Failed to write ${chunk.length} candles: ${this.stats.lastError}`);
+          failed.push(...chunk);
+        }
+      }
+      if (failed.length > 0) {
+        // Keep them for the next flush (ahead of the candles recorded meanwhile, so the cap drops the oldest)
+        // unless newer updates of the same candles arrived meanwhile
+        this.buffer = new Map([...failed.filter(([key]) => !this.buffer.has(key)), ...this.buffer]);
+        this._trimBuffer(config);
+      }
+      this.stats.written += written;
+      this.stats.lastFlushAt = new Date().toISOString();
+      return written;
+    })();
+
+    try {
+      return await this._flushing;
+    } finally {
+      this._flushing = null;
+    }
+  }
+
+  /**
+   * Apply the per-interval retention policy to the series this recorder writes.
+   * Candles of other series (e.g. klines cached by the optimizer or backtests) are left alone.
+   * @returns {Promise<number>} Deleted candles
+   */
+  async prune() {
+    const { retention } = this.getConfig();
+    let deleted = 0;
+    for (const key of this._lastOpenTime.keys()) {
+      const [exchange, symbol, interval] = key.split('|');
+      const retentionMs = retention.get(interval);
+      if (!retentionMs) continue;
+      // pruneByAge logs and returns 0 on failure
+      deleted += await Candle.pruneByAge(exchange, symbol, interval, retentionMs);
+    }
+    this.stats.pruned += deleted;
+    if (deleted > 0) logger.info(`[CandleRecorder] Pruned ${deleted} candles past retention`);
+    return deleted;
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      buffered: this.buffer.size,
+      series: this._lastOpenTime.size,
+      backfillsPending: this._backfillPending.size,
+      ...this.stats
+    };
+  }
+}
+
+export const candleRecorder = new CandleRecorder();
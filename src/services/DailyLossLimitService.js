@@ -0,0 +1,240 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+import { Bot } from '../models/Bot.js';
+import { realtimeHub } from './RealtimeHub.js';
+
+/**
+ * DailyLossLimitService
+ *
+ * Per-bot kill switch based on realized PnL of the current UTC day.
+ * - bots.daily_loss_limit (USDT) and/or bots.daily_loss_limit_pct (% of futures balance)
+ * - realized pnl = SUM(positions.net_pnl, i.e. after fees/funding; gross pnl when unknown) of positions closed
+ *   since UTC midnight (or since the last manual reset)
+ * - once breached, bots.daily_loss_halted_at is set and the bot stays halted until the next UTC day or reset()
+ *
+ * Consumers: OrderService.executeSignal (refuse entries), EntryOrderMonitor (cancel pending entries),
+ * PositionMonitor (flatten when bots.daily_loss_flatten), BotController and the /status Telegram command.
+ */
+export class DailyLossLimitService {
+  constructor() {
+    // botId -> { state, timestamp }
+    this._stateCache = new Map();
+    this._cacheTTL = 5000; // 5 seconds TTL (same as OrderService position count cache)
+
+    // botId -> { windowStart, balance } - futures balance at the start of the window (for % limits)
+    this._baselineBalances = new Map();
+  }
+
+  /**
+   * Start of the current UTC day
+   * @param {Date} now
+   * @returns {Date}
+   */
+  getUtcDayStart(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  /**
+   * Start of the loss window: UTC midnight, or the last manual reset if it happened today
+   * @param {Object} bot - Bot row
+   * @param {Date} now
+   * @returns {Date}
+   */
+  getWindowStart(bot, now = new Date()) {
+    const dayStart = this.getUtcDayStart(now);
+    const resetAt = bot?.daily_loss_reset_at ? new Date(bot.daily_loss_reset_at) : null;
+    if (resetAt && !Number.isNaN(resetAt.getTime()) && resetAt > dayStart) {
+      return resetAt;
+    }
+    return dayStart;
+  }
+
+  /**
+   * Whether the bot has any daily loss limit configured
+   * @param {Object} bot - Bot row
+   * @returns {boolean}
+   */
+  isEnabled(bot) {
+    return Number(bot?.daily_loss_limit || 0) > 0 || Number(bot?.daily_loss_limit_pct || 0) > 0;
+  }
+
+  /**
+   * Effective loss limit in USDT (the tighter of the USDT and % limits)
+   * @param {Object} bot - Bot row
+   * @param {number|null} baselineBalance - Futures balance at the start of the window
+   * @returns {number|null} Positive USDT amount, or null if no usable limit
+   */
+  resolveLimit(bot, baselineBalance = null) {
+    const limits = [];
+    const limitUsdt = Number(bot?.daily_loss_limit || 0);
+    if (Number.isFinite(limitUsdt) && limitUsdt > 0) {
+      limits.push(limitUsdt);
+    }
+
+    const limitPct = Number(bot?.daily_loss_limit_pct || 0);
+    const balance = Number(baselineBalance);
+    if (Number.isFinite(limitPct) && limitPct > 0 && Number.isFinite(balance) && balance > 0) {
+      limits.push(balance * limitPct / 100);
+    }
+
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  /**
+   * Sum of realized net pnl of closed positions since a given time
+   * @param {number} botId - Bot ID
+   * @param {Date} since - Window start
+   * @returns {Promise<number>}
+   */
+  async getRealizedPnl(botId, since) {
+    const [rows] = await pool.execute(
+      `SELECT COALESCE(SUM(COALESCE(net_pnl, pnl)), 0) AS realized_pnl
+       FROM positions
+       WHERE bot_id = ? AND status = 'closed' AND closed_at >= ?`,
+      [botId, since]
+    );
+    return Number(rows?.[0]?.realized_pnl || 0);
+  }
+
+  /**
+   * Futures balance at the start of the window, derived from the first balance seen in the window
+   * (current total - realized pnl since window start). Only needed for % limits.
+   * @param {Object} bot - Bot row
+   * @param {Date} windowStart
+   * @param {number} realizedPnl
+   * @param {Object|null} exchangeService - ExchangeService of the bot (optional)
+   * @returns {Promise<number|null>}
+   */
+  async _getBaselineBalance(bot, windowStart, realizedPnl, exchangeService = null) {
+    const cached = this._baselineBalances.get(bot.id);
+    if (cached && cached.windowStart === windowStart.getTime()) {
+      return cached.balance;
+    }
+    if (!exchangeService) return null;
+
+    try {
+      const balance = await exchangeService.getBalance('future');
+      const total = Number(balance?.total || 0);
+      if (!Number.isFinite(total) || total <= 0) return null;
+
+      const baseline = total - realizedPnl;
+      this._baselineBalances.set(bot.id, { windowStart: windowStart.getTime(), balance: baseline });
+      return baseline;
+    } catch (error) {
+      logger.warn(`[DailyLossLimitService] Failed to get futures balance for bot ${bot.id}: ${error?.message || error}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the daily loss state of a bot. Trips the kill switch (persists daily_loss_halted_at) on breach.
+   * @param {Object|number} botOrId - Bot row or Bot ID
+   * @param {Object} options
+   * @param {Object|null} options.exchangeService - Used to fetch the futures balance for % limits
+   * @param {boolean} options.useCache - Use the short-lived state cache (default true)
+   * @returns {Promise<Object|null>} State or null if the bot does not exist
+   */
+  async getState(botOrId, { exchangeService = null, useCache = true } = {}) {
+    const botId = typeof botOrId === 'object' ? botOrId?.id : botOrId;
+    const cached = this._stateCache.get(Number(botId));
+    if (useCache && cached && (Date.now() - cached.timestamp) < this._cacheTTL) {
+      return cached.state;
+    }
+
+    const bot = typeof botOrId === 'object' && botOrId ? botOrId : await Bot.findById(botId);
+    if (!bot) return null;
+
+    const now = new Date();
+    const windowStart = this.getWindowStart(bot, now);
+    const haltedAt = bot.daily_loss_halted_at ? new Date(bot.daily_loss_halted_at) : null;
+    const enabled = this.isEnabled(bot);
+
+    const state = {
+      enabled,
+      limit_usdt: bot.daily_loss_limit != null ? Number(bot.daily_loss_limit) : null,
+      limit_pct: bot.daily_loss_limit_pct != null ? Number(bot.daily_loss_limit_pct) : null,
+      flatten: bot.daily_loss_flatten === true || bot.daily_loss_flatten === 1,
+      window_start: windowStart,
+      realized_pnl: 0,
+      baseline_balance: null,
+      effective_limit: null,
+      halted: !!(haltedAt && haltedAt >= windowStart),
+      halted_at: haltedAt && haltedAt >= windowStart ? haltedAt : null
+    };
+
+    if (enabled) {
+      state.realized_pnl = await this.getRealizedPnl(bot.id, windowStart);
+      state.baseline_balance = Number(state.limit_pct || 0) > 0
+        ? await this._getBaselineBalance(bot, windowStart, state.realized_pnl, exchangeService)
+        : null;
+      state.effective_limit = this.resolveLimit(bot, state.baseline_balance);
+
+      if (!state.halted && state.effective_limit !== null && state.realized_pnl <= -state.effective_limit) {
+        state.halted = true;
+        state.halted_at = now;
+        await Bot.update(bot.id, { daily_loss_halted_at: now });
+        logger.warn(
+          `[DailyLossLimitService] 🛑 Daily loss limit breached for bot ${bot.id} (${bot.bot_name || 'N/A'}): ` +
+          `realized=${state.realized_pnl.toFixed(2)} limit=-${state.effective_limit.toFixed(2)} USDT. New entries are blocked` +
+          `${state.flatten ? ', open positions will be flattened' : ''}.`
+        );
+        realtimeHub.publish('bot:health', {
+          botId: bot.id,
+          status: 'halted',
+          reason: 'daily_loss_limit',
+          message: `Daily loss limit breached (realized ${state.realized_pnl.toFixed(2)} USDT)`
+        }, { botId: bot.id });
+      }
+    }
+
+    this._stateCache.set(Number(bot.id), { state, timestamp: Date.now() });
+    return state;
+  }
+
+  /**
+   * Whether new entries must be refused for the bot.
+   * Fails open (returns false) when the state cannot be read so a DB hiccup does not block trading.
+   * @param {number} botId - Bot ID
+   * @param {Object|null} exchangeService - ExchangeService of the bot (optional)
+   * @returns {Promise<boolean>}
+   */
+  async isHalted(botId, exchangeService = null) {
+    try {
+      const state = await this.getState(botId, { exchangeService });
+      return !!state?.halted;
+    } catch (error) {
+      logger.warn(`[DailyLossLimitService] Failed to check daily loss state for bot ${botId}: ${error?.message || error}`);
+      return false;
+    }
+  }
+
+  /**
+   * Manually reset the kill switch: clears the halt and restarts the loss window from now
+   * @param {number} botId - Bot ID
+   * @returns {Promise<Object|null>} Fresh state or null if the bot does not exist
+   */
+  async reset(botId) {
+    const bot = await Bot.update(botId, {
+      daily_loss_halted_at: null,
+      daily_loss_reset_at: new Date()
+    });
+    this.invalidate(botId);
+    if (!bot) return null;
+
+    logger.info(`[DailyLossLimitService] ✅ Daily loss kill switch reset for bot ${botId}`);
+    realtimeHub.publish('bot:health', { botId: bot.id, status: 'ok', reason: 'daily_loss_reset', message: 'Daily loss kill switch reset' }, { botId: bot.id });
+    return this.getState(bot, { useCache: false });
+  }
+
+  /**
+   * Drop cached state of a bot (e.g. after a position close or a bot update)
+   * @param {number} botId - Bot ID
+   */
+  invalidate(botId) {
+    this._stateCache.delete(Number(botId));
+    this._baselineBalances.delete(Number(botId));
+  }
+}
+
+// Export singleton instance
+export const dailyLossLimitService = new DailyLossLimitService();
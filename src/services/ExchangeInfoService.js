@@ -41,12 +41,13 @@ async function getFetchImpl() {
  * Exchange Info Service - Manages fetching and caching of symbol filters
  */
 class ExchangeInfoService {
-  constructor({ symbolFilterDAO = SymbolFilter, binanceClientFactory = (apiKey, secretKey, isTestnet = false, exInfoSvc = null) => new BinanceDirectClient(apiKey, secretKey, isTestnet, exInfoSvc), mexcFactory = () => new ccxt.mexc({ enableRateLimit: true, options: { defaultType: 'swap' } }), loggerInst = logger, config = configService } = {}) {
+  constructor({ symbolFilterDAO = SymbolFilter, binanceClientFactory = (apiKey, secretKey, isTestnet = false, exInfoSvc = null) => new BinanceDirectClient(apiKey, secretKey, isTestnet, exInfoSvc), mexcFactory = () => new ccxt.mexc({ enableRateLimit: true, options: { defaultType: 'swap' } }), fetchFactory = getFetchImpl, loggerInst = logger, config = configService } = {}) {
     this.filtersCache = new Map(); // symbol -> { tickSize, stepSize, minNotional, maxLeverage, lastAccess }
     this.isInitialized = false;
     this.symbolFilterDAO = symbolFilterDAO;
     this.binanceClientFactory = binanceClientFactory;
     this.mexcFactory = mexcFactory;
+    this.fetchFactory = fetchFactory;
     this.logger = loggerInst;
     this.config = config;
     this.maxCacheSize = 2000; // Maximum number of symbols to cache (reduced from 10000 to save memory)
@@ -555,6 +556,130 @@ class ExchangeInfoService {
     }
   }
 
+  /**
+   * Fetch all Bybit USDT perpetuals (v5 instruments-info, linear category) and update symbol_filters.
+   */
+  async updateBybitFiltersFromExchange() {
+    this.logger.info('Updating symbol filters from Bybit...');
+    try {
+      const fetchFn = await this.fetchFactory();
+      if (!fetchFn) {
+        throw new Error('fetch not available. Cannot fetch Bybit instruments.');
+      }
+      // Paginated by cursor (up to 1000 instruments per page)
+      const instruments = [];
+      let cursor = '';
+      do {
+        const url = `https://api.bybit.com/v5/market/instruments-info?category=linear&limit=1000${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+        const res = await fetchFn(url, { method: 'GET', headers: { 'Accept': 'application/json' } });
+        if (!res.ok) {
+          const text = await res.text();
+          throw new Error(`HTTP ${res.status}: ${text}`);
+        }
+        const data = await res.json();
+        if (data?.retCode !== 0) {
+          throw new Error(`Bybit retCode ${data?.retCode}: ${data?.retMsg}`);
+        }
+        instruments.push(...(data.result?.list || []));
+        cursor = data.result?.nextPageCursor || '';
+      } while (cursor);
+
+      const filtersToSave = [];
+      for (const inst of instruments) {
+        // Only trading USDT-margined perpetual contracts
+        if (inst.status !== 'Trading' || inst.contractType !== 'LinearPerpetual') continue;
+        if ((inst.settleCoin || '').toUpperCase() !== 'USDT') continue;
+
+        const minNotional = Number(inst.lotSizeFilter?.minNotionalValue);
+        const maxLeverage = Number(inst.leverageFilter?.maxLeverage);
+        filtersToSave.push({
+          exchange: 'bybit',
+          symbol: String(inst.symbol).toUpperCase(),
+          tick_size: inst.priceFilter?.tickSize || '0.0001',
+          step_size: inst.lotSizeFilter?.qtyStep || '0.001',
+          min_notional: Number.isFinite(minNotional) && minNotional > 0 ? minNotional : 5,
+          max_leverage: Number.isFinite(maxLeverage) && maxLeverage > 0 ? maxLeverage : 25
+        });
+      }
+
+      if (filtersToSave.length === 0) {
+        this.logger.warn('Bybit returned no USDT perpetuals. Skipping update.');
+        return;
+      }
+
+      await this.syncDelistedSymbols('bybit', filtersToSave.map(f => f.symbol));
+
+      await this.symbolFilterDAO.bulkUpsert(filtersToSave);
+      this.logger.info(`Successfully updated ${filtersToSave.length} Bybit symbol filters in the database.`);
+
+      // Refresh cache
+      this.filtersCache.clear();
+      await this.loadFiltersFromDB();
+    } catch (err) {
+      this.logger.error('Error updating symbol filters (Bybit):', err?.message || err);
+    }
+  }
+
+  /**
+   * Fetch Gate.io USDT futures contracts and update symbol_filters.
+   * Gate sizes orders in contracts: step_size is the contract size (quanto_multiplier) in base units,
+   * min_notional is the minimum order (order_size_min contracts) valued at mark price.
+   */
+  async updateGateFiltersFromExchange() {
+    this.logger.info('Updating symbol filters from Gate.io...');
+    try {
+      const fetchFn = await this.fetchFactory();
+      if (!fetchFn) {
+        throw new Error('fetch not available. Cannot fetch Gate.io contracts.');
+      }
+      const res = await fetchFn('https://api.gateio.ws/api/v4/futures/usdt/contracts', { method: 'GET', headers: { 'Accept': 'application/json' } });
+      if (!res.ok) {
+        const text = await res.text();
+        throw new Error(`HTTP ${res.status}: ${text}`);
+      }
+      const contracts = await res.json();
+      if (!Array.isArray(contracts)) {
+        throw new Error('Unexpected Gate.io contracts payload');
+      }
+
+      const filtersToSave = [];
+      for (const c of contracts) {
+        // Only listed USDT perpetuals (BTC_USDT -> BTCUSDT)
+        if (!c?.name || c.in_delisting || !String(c.name).toUpperCase().endsWith('_USDT')) continue;
+
+        const contractSize = Number(c.quanto_multiplier);
+        const minContracts = Number(c.order_size_min) || 1;
+        const markPrice = Number(c.mark_price);
+        const minNotional = contractSize * minContracts * markPrice;
+        const maxLeverage = Number(c.leverage_max);
+        filtersToSave.push({
+          exchange: 'gate',
+          symbol: String(c.name).toUpperCase().replace('_', ''),
+          tick_size: c.order_price_round || '0.0001',
+          step_size: Number.isFinite(contractSize) && contractSize > 0 ? String(c.quanto_multiplier) : '1',
+          min_notional: Number.isFinite(minNotional) && minNotional > 0 ? minNotional : 1,
+          max_leverage: Number.isFinite(maxLeverage) && maxLeverage > 0 ? maxLeverage : 20
+        });
+      }
+
+      if (filtersToSave.length === 0) {
+        this.logger.warn('Gate.io returned no USDT contracts. Skipping update.');
+        return;
+      }
+
+      await this.syncDelistedSymbols('gate', filtersToSave.map(f => f.symbol));
+
+      await this.symbolFilterDAO.bulkUpsert(filtersToSave);
+      this.logger.info(`Successfully updated ${filtersToSave.length} Gate.io symbol filters in the database.`);
+
+      // Refresh cache
+      this.filtersCache.clear();
+      await this.loadFiltersFromDB();
+    } catch (err) {
+      this.logger.error('Error updating symbol filters (Gate):', err?.message || err);
+    }
+  }
+
   /**
    * CRITICAL FIX: Sync delisted symbols - query BEFORE delete, then delete from symbol_filters and strategies
    * This prevents the bug where delisted symbols are not properly identified after deletion
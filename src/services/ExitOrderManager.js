@@ -1,8 +1,28 @@
 import logger from '../utils/logger.js';
 import { configService } from './ConfigService.js';
+import { parseExitLegs } from '../utils/tpLadder.js';
+import { realtimeHub } from './RealtimeHub.js';
 // NOTE: avoid importing DB model here to keep manager easily unit-testable.
 // Callers are responsible for persisting exit_order_id to DB if needed.
 
+/**
+ * Push a TP/SL order move to the dashboard
+ * @param {Object} position - Position
+ * @param {'exit'|'stop_loss'} slot - exit_order_id or sl_order_id
+ */
+function publishExitMoved(position, slot, orderType, stopPrice, orderId, previousOrderId) {
+  realtimeHub.publish('exit:moved', {
+    positionId: position.id,
+    symbol: position.symbol,
+    side: position.side,
+    slot,
+    orderType,
+    stopPrice: Number(stopPrice),
+    orderId: orderId ?? null,
+    previousOrderId: previousOrderId ?? null
+  }, { botId: position.bot_id ?? null });
+}
+
 /**
  * ExitOrderManager
  *
@@ -73,7 +93,18 @@ export class ExitOrderManager {
     return type === 'TAKE_PROFIT_MARKET' ? cur * (1 - pct) : cur * (1 + pct);
   }
 
-  async placeOrReplaceExitOrder(position, desiredExitPrice) {
+  /**
+   * Place or replace the unified exit order of a position
+   * @param {Object} position - Open position
+   * @param {number} desiredExitPrice - Desired exit (trigger) price
+   * @param {Object} [options]
+   * @param {boolean} [options.stop=false] - Protective stop mode (exit_mode = 'trailing_stop'):
+   *   always STOP_MARKET (even above entry for LONG / below entry for SHORT), no TP-exceeded handling.
+   *   If the market has already crossed the stop, returns { shouldCloseImmediately: true, reason: 'price_crossed_stop' }.
+   * @returns {Promise<Object|null>}
+   */
+  async placeOrReplaceExitOrder(position, desiredExitPrice, options = {}) {
+    const isStopMode = options?.stop === true;
     const startTime = Date.now();
     const timestamp = new Date().toISOString();
     
@@ -134,6 +165,8 @@ export class ExitOrderManager {
           const existingIds = existingExits.map(o => String(o?.orderId || '')).filter(Boolean);
           const dbOrderId = position?.exit_order_id ? String(position.exit_order_id) : null;
           const dbSlOrderId = position?.sl_order_id ? String(position.sl_order_id) : null;
+          // Partial TP ladder legs (positions.exit_legs) are managed separately and must survive exit order replacement
+          const legOrderIds = new Set(parseExitLegs(position?.exit_legs).map(l => String(l.order_id || '')).filter(Boolean));
           
           // Cancel orphaned TP/exit orders ONLY (not SL orders)
           // CRITICAL: Never cancel SL orders under any circumstances
@@ -150,6 +183,14 @@ export class ExitOrderManager {
               continue; // Skip SL orders - never cancel them under any circumstances
             }
             
+            if (legOrderIds.has(orderId) || /_TP\d+$/.test(String(order?.clientOrderId || ''))) {
+              continue; // TP ladder leg
+            }
+
+            if (/_SL$/.test(String(order?.clientOrderId || ''))) {
+              continue; // Break-even stop (SL slot), may not be in this position snapshot yet
+            }
+            
             // If strategy has hard SL requirement, skip canceling any orders to be safe
             if (hasHardSL) {
               logger.info(
@@ -183,16 +224,38 @@ export class ExitOrderManager {
     }
 
     const desiredExit = Number(desiredExitPrice);
-    let orderType = this._decideExitType(side, entry, desiredExit);
+    let orderType = isStopMode ? 'STOP_MARKET' : this._decideExitType(side, entry, desiredExit);
 
     const currentPrice = await this.exchangeService.getTickerPrice(position.symbol);
     let stopPrice = Number(desiredExitPrice);
 
+    if (isStopMode) {
+      // Protective stop: LONG stop must stay below market, SHORT stop above market
+      const hasPriceCrossedStop = (side === 'long' && currentPrice <= desiredExit) ||
+                                  (side === 'short' && currentPrice >= desiredExit);
+      if (hasPriceCrossedStop) {
+        logger.warn(
+          `[ExitOrderManager] 🚨 Price already crossed trailing stop | pos=${position.id} ` +
+          `stop=${desiredExit.toFixed(8)} currentPrice=${currentPrice.toFixed(8)} side=${side} ` +
+          `→ Returning shouldCloseImmediately flag (caller should close with MARKET order)`
+        );
+        return {
+          shouldCloseImmediately: true,
+          currentPrice: currentPrice,
+          desiredStop: desiredExit,
+          reason: 'price_crossed_stop',
+          orderType: null,
+          stopPrice: null,
+          orderId: null
+        };
+      }
+    }
+
     // CRITICAL: Check if price has already exceeded TP before placing order
     // LONG: currentPrice > desiredTP means we're already past TP (more profit than expected)
     // SHORT: currentPrice < desiredTP means we're already past TP (more profit than expected)
-    const hasPriceExceededTP = (side === 'long' && currentPrice > desiredExit) ||
-                               (side === 'short' && currentPrice < desiredExit);
+    const hasPriceExceededTP = !isStopMode && ((side === 'long' && currentPrice > desiredExit) ||
+                               (side === 'short' && currentPrice < desiredExit));
 
     if (hasPriceExceededTP) {
       // Distinguish between initial TP vs trailing TP
@@ -481,6 +544,77 @@ export class ExitOrderManager {
       `[ExitOrderManager] ✅ COMPLETE | pos=${position.id} oldOrderId=${oldOrderId || 'null'} newOrderId=${newOrderId || 'null'} type=${orderType} stopPrice=${Number(stopPrice).toFixed(8)} totalDuration=${totalDuration}ms timestamp=${new Date().toISOString()}`
     );
 
+    publishExitMoved(position, 'exit', orderType, stopPrice, newOrderId, oldOrderId);
     return { orderType, stopPrice, orderId: newOrderId };
   }
+
+  /**
+   * Place or replace the break-even stop (strategies.break_even_pct).
+   * The break-even stop is a closePosition STOP_MARKET kept in the SL slot (sl_order_id), so the unified exit
+   * order (exit_order_id) keeps trailing. The new stop is created first; the previous SL order (initial hard SL
+   * or an older break-even stop) is cancelled afterwards so the position is never left unprotected.
+   * @param {Object} position - Open position
+   * @param {number} stopPrice - Break-even price (entry ± fees)
+   * @returns {Promise<Object|null>} { orderType, stopPrice, orderId } or { shouldCloseImmediately: true, reason: 'price_crossed_break_even' }
+   */
+  async placeOrReplaceBreakEvenStop(position, stopPrice) {
+    if (!position || position.status !== 'open') {
+      logger.warn(`[ExitOrderManager] ⚠️ SKIP break-even: position not open. pos=${position?.id} status=${position?.status}`);
+      return null;
+    }
+
+    const side = position?.side;
+    if (side !== 'long' && side !== 'short') throw new Error(`Invalid position.side: ${side}`);
+    const stop = Number(stopPrice);
+    if (!Number.isFinite(stop) || stop <= 0) {
+      throw new Error(`Invalid break-even stopPrice for pos=${position.id}: ${stopPrice}`);
+    }
+
+    const currentPrice = await this.exchangeService.getTickerPrice(position.symbol);
+    const hasPriceCrossedStop = (side === 'long' && currentPrice <= stop) ||
+                                (side === 'short' && currentPrice >= stop);
+    if (hasPriceCrossedStop) {
+      logger.warn(
+        `[ExitOrderManager] 🚨 Price already crossed break-even stop | pos=${position.id} ` +
+        `stop=${stop.toFixed(8)} currentPrice=${Number(currentPrice).toFixed(8)} side=${side} ` +
+        `→ Returning shouldCloseImmediately flag (caller should close with MARKET order)`
+      );
+      return {
+        shouldCloseImmediately: true,
+        currentPrice: currentPrice,
+        desiredStop: stop,
+        reason: 'price_crossed_break_even',
+        orderType: null,
+        stopPrice: null,
+        orderId: null
+      };
+    }
+
+    const res = await this.exchangeService.createCloseStopMarket(position.symbol, side, stop, position, { clientOrderSuffix: 'SL' });
+    const newOrderId = res?.orderId != null ? String(res.orderId) : null;
+    if (!newOrderId) {
+      throw new Error(`No orderId in break-even stop response for pos=${position.id}: ${JSON.stringify(res)}`);
+    }
+
+    const oldSlOrderId = position?.sl_order_id ? String(position.sl_order_id) : null;
+    if (oldSlOrderId && oldSlOrderId !== newOrderId) {
+      try {
+        await this.exchangeService.cancelOrder(oldSlOrderId, position.symbol);
+        logger.info(`[ExitOrderManager] ✅ Cancelled previous SL order ${oldSlOrderId} (replaced by break-even stop ${newOrderId}) | pos=${position.id}`);
+      } catch (cancelError) {
+        const errorMsg = String(cancelError?.message || cancelError);
+        if (!errorMsg.includes('does not exist') && !errorMsg.includes('Unknown order') && !errorMsg.includes('-2011')) {
+          logger.warn(`[ExitOrderManager] ⚠️ Failed to cancel previous SL order ${oldSlOrderId} | pos=${position.id} error=${errorMsg}`);
+        }
+      }
+    }
+
+    position.sl_order_id = newOrderId;
+    logger.info(
+      `[ExitOrderManager] 🛡️ Break-even stop placed | pos=${position.id} side=${side} stop=${stop.toFixed(8)} ` +
+      `orderId=${newOrderId} oldSlOrderId=${oldSlOrderId || 'null'}`
+    );
+    publishExitMoved(position, 'stop_loss', 'STOP_MARKET', stop, newOrderId, oldSlOrderId);
+    return { orderType: 'STOP_MARKET', stopPrice: stop, orderId: newOrderId };
+  }
 }
@@ -0,0 +1,285 @@
+import crypto from 'crypto';
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+import { configService } from './ConfigService.js';
+
+const PRIVATE_CHANNELS = ['futures.orders', 'futures.usertrades'];
+
+/**
+ * Gate.io finish_as -> Binance order status (X) of finished orders
+ */
+const FINISH_STATUS_MAP = {
+  filled: 'FILLED',
+  cancelled: 'CANCELED',
+  ioc: 'CANCELED',
+  reduce_only: 'CANCELED',
+  position_close: 'CANCELED',
+  stp: 'CANCELED',
+  liquidated: 'FILLED',
+  auto_deleveraged: 'FILLED'
+};
+
+/**
+ * Gate.io USDT futures private stream (futures.orders + futures.usertrades)
+ * - Every subscribe request is signed: HMAC-SHA512 over `channel={channel}&event=subscribe&time={time}`
+ * - Re-emits updates as Binance-shaped ORDER_TRADE_UPDATE events, so EntryOrderMonitor and
+ *   PositionFeeService handle Gate fills like Binance ones:
+ *   futures.orders carries the order status, futures.usertrades the fills with their commission
+ * - Gate sizes are in contracts; quantities are converted to base units with contractSize(contract)
+ *
+ * Events: 'ORDER_TRADE_UPDATE', 'raw', 'connected', 'disconnected', 'error', 'stopped'
+ */
+export class GatePrivateStream extends EventEmitter {
+  /**
+   * @param {Object} options - { apiKey, secret, userId, isTestnet, contractSize: (contract) => number }
+   */
+  constructor({ apiKey, secret, userId, isTestnet = false, contractSize = null }) {
+    super();
+    this.apiKey = apiKey;
+    this.secret = secret;
+    this.userId = String(userId);
+    this.isTestnet = isTestnet;
+    this.contractSize = typeof contractSize === 'function' ? contractSize : () => 1;
+    this.ws = null;
+    this.pingTimer = null;
+    this.reconnectTimer = null;
+    this._isStopped = false;
+    this._subscribed = new Set();
+    this.state = 'idle'; // 'idle' | 'connecting' | 'connected' | 'stopped'
+  }
+
+  getWsUrl() {
+    return this.isTestnet
+      ? configService.getString('GATE_TESTNET_PRIVATE_WS_URL', 'wss://fx-ws-testnet.gateio.ws/v4/ws/usdt')
+      : configService.getString('GATE_PRIVATE_WS_URL', 'wss://fx-ws.gateio.ws/v4/ws/usdt');
+  }
+
+  _subscribeMessage(channel) {
+    const time = Math.floor(Date.now() / 1000);
+    const sign = crypto.createHmac('sha512', this.secret)
+      .update(`channel=${channel}&event=subscribe&time=${time}`)
+      .digest('hex');
+    return {
+      time,
+      channel,
+      event: 'subscribe',
+      payload: [this.userId, '!all'],
+      auth: { method: 'api_key', KEY: this.apiKey, SIGN: sign }
+    };
+  }
+
+  async connect() {
+    if (this._isStopped || this.state === 'connecting' || this.state === 'connected') return;
+    this.state = 'connecting';
+    this._subscribed.clear();
+
+    this.ws = new WebSocket(this.getWsUrl());
+
+    this.ws.on('open', () => {
+      for (const channel of PRIVATE_CHANNELS) this._send(this._subscribeMessage(channel));
+      this.pingTimer = setInterval(() => this._send({ time: Math.floor(Date.now() / 1000), channel: 'futures.ping' }), 15_000);
+    });
+
+    this.ws.on('message', (data) => {
+      try {
+        this._handleMessage(JSON.parse(data));
+      } catch (err) {
+        logger.debug(`[Gate-Private] parse error: ${err?.message || err}`);
+      }
+    });
+
+    this.ws.on('close', () => {
+      this.state = 'idle';
+      logger.warn('[Gate-Private] Order stream closed');
+      this.emit('disconnected');
+      this._clearTimers();
+      if (!this._isStopped) this._scheduleReconnect();
+    });
+
+    this.ws.on('error', (err) => {
+      logger.error('[Gate-Private] Order stream error:', err?.message || err);
+      this.emit('error', err);
+    });
+  }
+
+  _send(msg) {
+    try {
+      if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(msg));
+    } catch (e) {
+      logger.debug(`[Gate-Private] Send failed: ${e?.message || e}`);
+    }
+  }
+
+  _handleMessage(msg) {
+    this.emit('raw', msg);
+
+    if (msg?.event === 'subscribe') {
+      if (msg.error) {
+        // Bad credentials or user id: reconnecting would only repeat the failure
+        const reason = msg.error.message || JSON.stringify(msg.error);
+        logger.error(`[Gate-Private] Subscribe to ${msg.channel} failed: ${reason}`);
+        this.emit('error', new Error(`Gate.io subscribe failed: ${reason}`));
+        this.stop();
+        return;
+      }
+      this._subscribed.add(msg.channel);
+      if (PRIVATE_CHANNELS.every(c => this._subscribed.has(c)) && this.state !== 'connected') {
+        this.state = 'connected';
+        logger.debug('[Gate-Private] Order stream connected');
+        this.emit('connected');
+      }
+      return;
+    }
+
+    if (msg?.event !== 'update' || !Array.isArray(msg.result)) return;
+    const eventTime = Number(msg.time_ms) || Date.now();
+    for (const row of msg.result) {
+      if (msg.channel === 'futures.orders') {
+        this.emit('ORDER_TRADE_UPDATE', this.orderToOrderTradeUpdate(row, eventTime));
+      } else if (msg.channel === 'futures.usertrades') {
+        this.emit('ORDER_TRADE_UPDATE', this.tradeToOrderTradeUpdate(row, eventTime));
+      }
+    }
+  }
+
+  _baseQty(contract, contracts) {
+    const qty = Math.abs(Number(contracts || 0)) * (Number(this.contractSize(contract)) || 1);
+    return Number(qty.toPrecision(12)); // drop float noise (6 * 0.0001)
+  }
+
+  /**
+   * futures.orders row -> status-only ORDER_TRADE_UPDATE (l=0: fills and commission come from futures.usertrades)
+   * @param {Object} order - Gate futures order
+   * @param {number} [eventTime]
+   * @returns {Object}
+   */
+  orderToOrderTradeUpdate(order, eventTime = Date.now()) {
+    const size = Number(order.size || 0);
+    const filledContracts = Math.abs(size) - Math.abs(Number(order.left || 0));
+
+    let status;
+    if (order.status === 'finished') {
+      status = FINISH_STATUS_MAP[order.finish_as] || 'CANCELED';
+    } else {
+      status = filledContracts > 0 ? 'PARTIALLY_FILLED' : 'NEW';
+    }
+    const execType = status === 'FILLED' || status === 'PARTIALLY_FILLED' ? 'TRADE' : status;
+
+    const isMarket = Number(order.price) === 0;
+    const updateTime = Number(order.finish_time_ms) || Number(order.update_time_ms) || Number(order.create_time_ms) || eventTime;
+
+    return {
+      e: 'ORDER_TRADE_UPDATE',
+      E: eventTime,
+      T: updateTime,
+      o: {
+        s: order.contract,
+        c: order.text && order.text !== '-' ? order.text : null,
+        S: size >= 0 ? 'BUY' : 'SELL',
+        o: isMarket ? 'MARKET' : 'LIMIT',
+        ot: isMarket ? 'MARKET' : 'LIMIT',
+        q: String(this._baseQty(order.contract, size)),
+        p: String(order.price ?? '0'),
+        ap: String(order.fill_price ?? '0'),
+        sp: '0',
+        x: execType,
+        X: status,
+        i: String(order.id),
+        l: '0',
+        z: String(this._baseQty(order.contract, filledContracts)),
+        n: '0',
+        N: 'USDT',
+        T: updateTime,
+        t: null,
+        R: Boolean(order.is_reduce_only || order.is_close),
+        ps: 'BOTH'
+      }
+    };
+  }
+
+  /**
+   * futures.usertrades row -> fill ORDER_TRADE_UPDATE (x=TRADE with l and commission n).
+   * X stays PARTIALLY_FILLED: the terminal status is reported by futures.orders.
+   * @param {Object} trade - Gate futures user trade
+   * @param {number} [eventTime]
+   * @returns {Object}
+   */
+  tradeToOrderTradeUpdate(trade, eventTime = Date.now()) {
+    const size = Number(trade.size || 0);
+    const tradeTime = Number(trade.create_time_ms) || eventTime;
+    const lastQty = this._baseQty(trade.contract, size);
+
+    return {
+      e: 'ORDER_TRADE_UPDATE',
+      E: eventTime,
+      T: tradeTime,
+      o: {
+        s: trade.contract,
+        c: trade.text && trade.text !== '-' ? trade.text : null,
+        S: size >= 0 ? 'BUY' : 'SELL',
+        o: 'LIMIT',
+        ot: 'LIMIT',
+        q: String(lastQty),
+        p: String(trade.price ?? '0'),
+        ap: '0',
+        sp: '0',
+        x: 'TRADE',
+        X: 'PARTIALLY_FILLED',
+        i: String(trade.order_id),
+        l: String(lastQty),
+        z: '0',
+        L: String(trade.price ?? '0'),
+        n: String(Number(trade.fee || 0)),
+        N: 'USDT',
+        T: tradeTime,
+        t: trade.id != null ? String(trade.id) : null,
+        m: trade.role === 'maker',
+        R: false,
+        ps: 'BOTH'
+      }
+    };
+  }
+
+  _clearTimers() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  _scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    const baseBackoff = Number(configService.getNumber('WS_RECONNECT_BACKOFF_MS', 3000));
+    const backoff = baseBackoff + Math.random() * 1000;
+    logger.debug(`[Gate-Private] Reconnecting in ${Math.floor(backoff)}ms...`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(err => logger.error('[Gate-Private] Reconnect failed:', err?.message || err));
+    }, backoff);
+  }
+
+  async stop() {
+    this._isStopped = true;
+    this.state = 'stopped';
+    this._clearTimers();
+    try {
+      if (this.ws) this.ws.terminate();
+    } catch (_) {}
+    this.ws = null;
+    logger.debug('[Gate-Private] Order stream stopped');
+    this.emit('stopped');
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  isConnected() {
+    return this.state === 'connected' && this.ws?.readyState === WebSocket.OPEN;
+  }
+}
@@ -0,0 +1,348 @@
+import WebSocket from 'ws';
+import logger from '../utils/logger.js';
+import { configService } from './ConfigService.js';
+import { CandleAggregator } from './CandleAggregator.js';
+import { KLINE_INTERVALS } from '../config/constants.js';
+import { strategyCache } from './StrategyCache.js';
+
+/**
+ * GateWebSocketManager - Gate.io USDT futures public stream (futures.tickers + futures.candlesticks)
+ *
+ * Same surface as MexcWebSocketManager: realtime prices for OC detection and trailing stops,
+ * exact bucket opens/closes and per-bucket volume from candlesticks.
+ */
+export class GateWebSocketManager {
+  constructor() {
+    this.ws = null;
+    this._connecting = false;
+    this._reconnectAttempts = 0;
+    this.subscribed = new Set(); // Normalized symbols (e.g., BTCUSDT)
+    this._klineSubs = new Map(); // symbol -> Set<interval> subscribed on the current connection
+    this.priceCache = new Map(); // symbol -> { price, ts }
+    this.klineOpenCache = new Map(); // symbol|interval|bucketStart -> { open, lastUpdate }
+    this.klineCloseCache = new Map(); // symbol|interval|bucketStart -> { close, lastUpdate }
+    this.candleAggregator = new CandleAggregator(KLINE_INTERVALS); // OHLCV per bucket (volume tracking)
+    this._priceHandlers = new Set();
+    this.cacheTtlMs = 5 * 60 * 1000;
+    this.cleanupIntervalMs = 60 * 1000;
+    this._cleanupTimer = null;
+    this._reconnectTimer = null;
+    this._pingTimer = null;
+    this.baseUrl = configService.getString('GATE_WS_URL', 'wss://fx-ws.gateio.ws/v4/ws/usdt');
+    this.maxReconnectAttempts = 10;
+    this.pingInterval = 15000;
+    this.subscribeBatchSize = 50; // contracts per futures.tickers subscribe request
+    this._startCleanup();
+  }
+
+  // --- Utility Methods ---
+
+  normalizeSymbol(symbol) {
+    if (!symbol) return null;
+    return symbol.toString().toUpperCase().replace(/:USDT$/, '').replace(/[/:_]/g, '').replace(/USD$/, 'USDT');
+  }
+
+  toGateContract(symbol) {
+    return `${this.normalizeSymbol(symbol).replace(/USDT$/, '')}_USDT`;
+  }
+
+  /**
+   * Candlestick intervals for a symbol: GATE_WS_KLINE_INTERVALS=auto (default) is 1m plus the intervals
+   * of the strategies on the symbol
+   * @param {string} symbol - Normalized symbol
+   * @returns {string[]}
+   */
+  _getKlineIntervals(symbol) {
+    return strategyCache.getKlineIntervals(configService.getString('GATE_WS_KLINE_INTERVALS', 'auto'), 'gate', symbol);
+  }
+
+  // --- Public API ---
+
+  onPrice(handler) {
+    if (typeof handler === 'function') this._priceHandlers.add(handler);
+  }
+
+  getPrice(symbol) {
+    const norm = this.normalizeSymbol(symbol);
+    return this.priceCache.get(norm)?.price || null;
+  }
+
+  getKlineOpen(symbol, interval, bucketStart) {
+    const cached = this.klineOpenCache.get(`${String(symbol).toUpperCase()}|${interval}|${bucketStart}`);
+    if (!cached || !Number.isFinite(cached.open) || cached.open <= 0) return null;
+    cached.lastUpdate = Date.now();
+    return cached.open;
+  }
+
+  getKlineClose(symbol, interval, bucketStart) {
+    const cached = this.klineCloseCache.get(`${String(symbol).toUpperCase()}|${interval}|${bucketStart}`);
+    if (!cached || !Number.isFinite(cached.close) || cached.close <= 0) return null;
+    cached.lastUpdate = Date.now();
+    return cached.close;
+  }
+
+  getKlineCandle(symbol, interval, bucketStart) {
+    return this.candleAggregator.getCandle(symbol, interval, bucketStart);
+  }
+
+  getVolumeRatio(symbol, interval, bucketStart, lookback) {
+    return this.candleAggregator.getVolumeRatio(symbol, interval, bucketStart, lookback);
+  }
+
+  subscribe(symbols) {
+    if (!Array.isArray(symbols) || symbols.length === 0) return;
+    const newly = [];
+    const known = [];
+    for (const s of symbols) {
+      const norm = this.normalizeSymbol(s);
+      if (!norm) continue;
+      if (this.subscribed.has(norm)) {
+        known.push(norm);
+      } else {
+        this.subscribed.add(norm);
+        newly.push(norm);
+      }
+    }
+    this.ensureConnected();
+    if (this.ws?.readyState !== WebSocket.OPEN) return;
+    if (newly.length > 0) this._subscribeSymbols(newly);
+    // Known symbols: add candlesticks of intervals that strategies started using since their subscription
+    for (const norm of known) this._subscribeKlines(norm);
+  }
+
+  ensureConnected() {
+    if (this.ws?.readyState === WebSocket.OPEN || this._connecting || this._reconnectTimer) return;
+    this._connect();
+  }
+
+  // --- WebSocket Core ---
+
+  _connect() {
+    if (this._connecting || this.ws?.readyState === WebSocket.OPEN) return;
+    this._connecting = true;
+    logger.info(`[Gate-WS] Connecting to ${this.baseUrl}...`);
+
+    try {
+      this.ws = new WebSocket(this.baseUrl);
+    } catch (e) {
+      logger.error('[Gate-WS] Failed to create WebSocket:', e?.message || e);
+      this._connecting = false;
+      this._scheduleReconnect();
+      return;
+    }
+
+    this.ws.on('open', () => {
+      logger.info('[Gate-WS] ✅ WebSocket connected');
+      this._connecting = false;
+      this._reconnectAttempts = 0;
+      this._startPing();
+      this._klineSubs.clear(); // new connection: nothing is subscribed yet
+      if (this.subscribed.size > 0) this._subscribeSymbols(Array.from(this.subscribed));
+    });
+
+    this.ws.on('message', (raw) => {
+      try {
+        this._handleMessage(raw);
+      } catch (e) {
+        logger.error('[Gate-WS] Message handle error:', e?.message || e);
+      }
+    });
+
+    this.ws.on('close', (code, reason) => {
+      logger.warn(`[Gate-WS] WebSocket disconnected (code: ${code}, reason: ${reason?.toString() || 'none'})`);
+      this._stopPing();
+      this._connecting = false;
+      if (this._cleanupTimer) this._scheduleReconnect();
+    });
+
+    this.ws.on('error', (err) => {
+      logger.error('[Gate-WS] WebSocket error:', err?.message || err, err?.code || '');
+      this._connecting = false;
+    });
+  }
+
+  _send(channel, event, payload) {
+    try {
+      const msg = { time: Math.floor(Date.now() / 1000), channel };
+      if (event) msg.event = event;
+      if (payload) msg.payload = payload;
+      this.ws.send(JSON.stringify(msg));
+    } catch (e) {
+      logger.debug(`[Gate-WS] Send failed (${channel}):`, e?.message || e);
+    }
+  }
+
+  _subscribeSymbols(symbols) {
+    const contracts = symbols.map(s => this.toGateContract(s));
+    for (let i = 0; i < contracts.length; i += this.subscribeBatchSize) {
+      this._send('futures.tickers', 'subscribe', contracts.slice(i, i + this.subscribeBatchSize));
+    }
+    let klines = 0;
+    for (const symbol of symbols) klines += this._subscribeKlines(symbol);
+    logger.info(`[Gate-WS] Subscribed ${contracts.length} contracts (${klines} candlestick streams)`);
+  }
+
+  /**
+   * Subscribe the candlestick intervals of a symbol not yet subscribed on this connection
+   * (candlesticks take one interval + contract per request)
+   * @returns {number} New subscriptions
+   */
+  _subscribeKlines(symbol) {
+    let subscribed = this._klineSubs.get(symbol);
+    if (!subscribed) {
+      subscribed = new Set();
+      this._klineSubs.set(symbol, subscribed);
+    }
+    let added = 0;
+    for (const interval of this._getKlineIntervals(symbol)) {
+      if (subscribed.has(interval)) continue;
+      this._send('futures.candlesticks', 'subscribe', [interval, this.toGateContract(symbol)]);
+      subscribed.add(interval);
+      added++;
+    }
+    return added;
+  }
+
+  _startPing() {
+    this._stopPing();
+    this._pingTimer = setInterval(() => {
+      if (this.ws?.readyState === WebSocket.OPEN) this._send('futures.ping');
+    }, this.pingInterval);
+  }
+
+  _stopPing() {
+    if (this._pingTimer) {
+      clearInterval(this._pingTimer);
+      this._pingTimer = null;
+    }
+  }
+
+  _scheduleReconnect() {
+    if (this._reconnectTimer) return;
+    if (this._reconnectAttempts >= this.maxReconnectAttempts) {
+      logger.error('[Gate-WS] Max reconnect attempts reached');
+      return;
+    }
+    this._reconnectAttempts += 1;
+    const delay = Math.min(1000 * Math.pow(2, this._reconnectAttempts), 15000);
+    logger.info(`[Gate-WS] Scheduling reconnect in ${delay}ms (attempt ${this._reconnectAttempts}/${this.maxReconnectAttempts})`);
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._connect();
+    }, delay);
+  }
+
+  _handleMessage(raw) {
+    const text = Buffer.isBuffer(raw) ? raw.toString('utf8') : raw;
+    if (typeof text !== 'string') return;
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      logger.debug(`[Gate-WS] Non-JSON message (length: ${text.length})`);
+      return;
+    }
+
+    if (data?.event === 'subscribe') {
+      if (data.error) {
+        logger.error(`[Gate-WS] ❌ Subscription failed (${data.channel}): ${data.error.message || JSON.stringify(data.error)}`);
+      }
+      return;
+    }
+    if (data?.event !== 'update') return;
+
+    const ts = Number(data.time_ms) || Date.now();
+    const rows = Array.isArray(data.result) ? data.result : [data.result];
+    if (data.channel === 'futures.tickers') {
+      for (const t of rows) this._handleTicker(t, ts);
+    } else if (data.channel === 'futures.candlesticks') {
+      for (const k of rows) this._handleCandle(k);
+    }
+  }
+
+  _handleTicker(ticker, ts) {
+    const price = Number(ticker?.last);
+    if (!ticker?.contract || !Number.isFinite(price) || price <= 0) return;
+    const symbol = this.normalizeSymbol(ticker.contract);
+    this.priceCache.set(symbol, { price, ts });
+    for (const h of this._priceHandlers) {
+      try { h({ symbol, price, ts }); } catch (e) { logger.error('[Gate-WS] Price handler error', { message: e?.message }); }
+    }
+  }
+
+  _handleCandle(k) {
+    // n: "<interval>_<contract>", e.g. "1m_BTC_USDT"; t in seconds; w: window closed
+    const name = String(k?.n || '');
+    const sep = name.indexOf('_');
+    if (sep <= 0) return;
+    const interval = name.slice(0, sep);
+    const symbol = this.normalizeSymbol(name.slice(sep + 1));
+    const startTime = Number(k.t) * 1000;
+    if (!symbol || !(startTime > 0)) return;
+
+    const open = parseFloat(k.o);
+    const close = parseFloat(k.c);
+    const isClosed = Boolean(k.w);
+
+    this.candleAggregator.ingestKline({
+      symbol, interval, startTime, open, high: k.h, low: k.l, close, volume: k.v, isClosed
+    });
+
+    const now = Date.now();
+    if (Number.isFinite(open) && open > 0) {
+      this.klineOpenCache.set(`${symbol}|${interval}|${startTime}`, { open, lastUpdate: now });
+    }
+    if (isClosed && Number.isFinite(close) && close > 0) {
+      this.klineCloseCache.set(`${symbol}|${interval}|${startTime}`, { close, lastUpdate: now });
+    }
+  }
+
+  // --- Cleanup ---
+
+  _startCleanup() {
+    this._cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [k, v] of this.priceCache) {
+        if (now - v.ts > this.cacheTtlMs) this.priceCache.delete(k);
+      }
+      for (const cache of [this.klineOpenCache, this.klineCloseCache]) {
+        for (const [k, v] of cache) {
+          if (now - v.lastUpdate > this.cacheTtlMs) cache.delete(k);
+        }
+      }
+    }, this.cleanupIntervalMs);
+  }
+
+  disconnect() {
+    clearInterval(this._cleanupTimer);
+    this._cleanupTimer = null;
+    this._stopPing();
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    if (this.ws) {
+      try { this.ws.close(); } catch (_) {}
+      this.ws = null;
+    }
+    this.subscribed.clear();
+    this._klineSubs.clear();
+    this.priceCache.clear();
+    this.klineOpenCache.clear();
+    this.klineCloseCache.clear();
+    this._connecting = false;
+    this._reconnectAttempts = 0;
+    logger.info('[Gate-WS] Disconnected');
+  }
+
+  getStatus() {
+    return {
+      connected: this.ws?.readyState === WebSocket.OPEN,
+      readyState: this.ws?.readyState || 'null',
+      subscribedSymbols: this.subscribed.size,
+      reconnectAttempts: this._reconnectAttempts
+    };
+  }
+}
+
+export const gatePriceWs = new GateWebSocketManager();
@@ -0,0 +1,175 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+import { configService } from './ConfigService.js';
+
+// Upper bound on the losing run replayed per scope
+const MAX_RUN_ROWS = 500;
+
+/**
+ * LossCooldownService
+ *
+ * Pauses new entries after N consecutive losing closes:
+ * - per strategy:      LOSS_COOLDOWN_STRATEGY_STREAK / LOSS_COOLDOWN_STRATEGY_MINUTES
+ * - per bot + symbol:  LOSS_COOLDOWN_SYMBOL_STREAK / LOSS_COOLDOWN_SYMBOL_MINUTES (all strategies of the bot on that coin)
+ * A streak of 0 disables the scope.
+ *
+ * The streak is derived from the latest closed positions (net pnl / closed_at), so cooldowns survive restarts
+ * without extra state: the cooldown lasts until the last losing close + duration. Closes are replayed oldest
+ * first and the count restarts once a cooldown has been served, so the next pause needs N fresh losses.
+ */
+export class LossCooldownService {
+  constructor() {
+    // scopeKey -> { cooldown, timestamp }
+    this._cache = new Map();
+    this._cacheTTL = 10000; // 10 seconds TTL
+
+    // scopeKey -> cooldown until (ms) already reported to Telegram
+    this._alerted = new Map();
+  }
+
+  /**
+   * Evaluate a loss streak from the most recent closes (newest first)
+   * Losses after the end of a served cooldown start a new count; losses during a cooldown extend it.
+   * @param {Array<{pnl: number, closed_at: Date|string}>} closes - Latest closes, newest first
+   * @param {number} streak - Consecutive losses required (<= 0 disables)
+   * @param {number} cooldownMs - Cooldown duration after the last losing close
+   * @param {number} now - Current time (ms)
+   * @returns {{streak: number, until: Date, remainingMs: number}|null} Active cooldown or null
+   */
+  evaluateStreak(closes, streak, cooldownMs, now = Date.now()) {
+    const n = Math.floor(Number(streak));
+    if (!Number.isFinite(n) || n <= 0 || !(cooldownMs > 0)) return null;
+    if (!Array.isArray(closes) || closes.length < n) return null;
+
+    let losses = 0;
+    let until = null;
+    for (let i = closes.length - 1; i >= 0; i--) {
+      const closedAt = new Date(closes[i].closed_at).getTime();
+      if (!Number.isFinite(closedAt)) continue;
+
+      // Cooldown served: only closes after its end count towards the next one
+      if (until !== null && closedAt > until) {
+        until = null;
+        losses = 0;
+      }
+
+      if (Number(closes[i].pnl) < 0) {
+        losses += 1;
+        if (losses >= n) until = closedAt + cooldownMs;
+      } else {
+        losses = 0;
+        until = null;
+      }
+    }
+
+    if (until === null || until <= now) return null;
+
+    return { streak: n, until: new Date(until), remainingMs: until - now };
+  }
+
+  /**
+   * Get the active cooldown for a strategy (strategy scope first, then bot + symbol scope)
+   * @param {Object} strategy - Strategy row (id, bot_id, symbol)
+   * @returns {Promise<Object|null>} { scope, key, streak, until, remainingMs } or null
+   */
+  async getCooldown(strategy) {
+    if (!strategy) return null;
+
+    const scopes = [
+      {
+        scope: 'strategy',
+        key: `strategy|${strategy.id}`,
+        streak: configService.getNumber('LOSS_COOLDOWN_STRATEGY_STREAK', 0),
+        minutes: configService.getNumber('LOSS_COOLDOWN_STRATEGY_MINUTES', 60),
+        where: 'strategy_id = ?',
+        params: [strategy.id]
+      },
+      {
+        scope: 'symbol',
+        key: `symbol|${strategy.bot_id}|${String(strategy.symbol).toUpperCase()}`,
+        streak: configService.getNumber('LOSS_COOLDOWN_SYMBOL_STREAK', 0),
+        minutes: configService.getNumber('LOSS_COOLDOWN_SYMBOL_MINUTES', 60),
+        where: 'bot_id = ? AND symbol = ?',
+        params: [strategy.bot_id, strategy.symbol]
+      }
+    ];
+
+    for (const s of scopes) {
+      const streak = Math.floor(Number(s.streak));
+      if (!Number.isFinite(streak) || streak <= 0) continue;
+
+      try {
+        const cooldown = await this._getScopeCooldown(s, streak, Number(s.minutes) * 60 * 1000);
+        if (cooldown) {
+          return { scope: s.scope, key: s.key, ...cooldown, remainingMs: cooldown.until.getTime() - Date.now() };
+        }
+      } catch (error) {
+        // Fail open: a DB hiccup must not block trading
+        logger.warn(`[LossCooldownService] Failed to check ${s.scope} cooldown for strategy ${strategy.id}: ${error?.message || error}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  async _getScopeCooldown(scope, streak, cooldownMs) {
+    const now = Date.now();
+    const cached = this._cache.get(scope.key);
+    if (cached && (now - cached.timestamp) < this._cacheTTL) {
+      return cached.cooldown && cached.cooldown.until.getTime() > now ? cached.cooldown : null;
+    }
+
+    // Replay the current losing run (closes after the latest win) so served cooldowns reset the count.
+    // LIMIT is inlined (integer) - mysql2 prepared statements reject numeric LIMIT placeholders
+    const [rows] = await pool.execute(
+      `SELECT COALESCE(net_pnl, pnl) AS pnl, closed_at FROM positions
+       WHERE ${scope.where} AND status = 'closed' AND closed_at IS NOT NULL
+         AND closed_at > COALESCE((
+           SELECT MAX(closed_at) FROM positions
+           WHERE ${scope.where} AND status = 'closed' AND COALESCE(net_pnl, pnl) >= 0
+         ), '1970-01-01')
+       ORDER BY closed_at DESC
+       LIMIT ${Math.max(streak, MAX_RUN_ROWS)}`,
+      [...scope.params, ...scope.params]
+    );
+
+    const cooldown = this.evaluateStreak(rows, streak, cooldownMs, now);
+    this._cache.set(scope.key, { cooldown, timestamp: now });
+    return cooldown;
+  }
+
+  /**
+   * Whether a cooldown still has to be reported (once per cooldown window)
+   * @param {Object} cooldown - Result of getCooldown()
+   * @returns {boolean}
+   */
+  shouldAlert(cooldown) {
+    if (!cooldown) return false;
+    const until = cooldown.until.getTime();
+    if (this._alerted.get(cooldown.key) === until) return false;
+
+    this._alerted.set(cooldown.key, until);
+    // Drop expired entries to keep the map bounded
+    for (const [key, value] of this._alerted.entries()) {
+      if (value <= Date.now()) this._alerted.delete(key);
+    }
+    return true;
+  }
+
+  /**
+   * Format remaining cooldown time (e.g. "1h 05m", "12m")
+   * @param {number} remainingMs
+   * @returns {string}
+   */
+  formatRemaining(remainingMs) {
+    const totalMinutes = Math.max(1, Math.ceil(Number(remainingMs || 0) / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+  }
+}
+
+// Export singleton instance
+export const lossCooldownService = new LossCooldownService();
@@ -1,6 +1,9 @@
 import WebSocket from 'ws';
 import logger from '../utils/logger.js';
 import { configService } from './ConfigService.js';
+import { CandleAggregator } from './CandleAggregator.js';
+import { KLINE_INTERVALS } from '../config/constants.js';
+import { strategyCache } from './StrategyCache.js';
 
 /**
  * MexcWebSocketManager - Pure WebSocket implementation (no SDK dependency)
@@ -18,6 +21,8 @@ class MexcWebSocketManager {
     this.openCache = new Map(); // Caches the open price for each symbol|interval|bucket
     this.klineOpenCache = new Map(); // Caches kline open prices
     this.klineCloseCache = new Map(); // Caches kline close prices
+    this._klineSubs = new Map(); // symbol -> Set<MEXC interval> subscribed on the current connection
+    this.candleAggregator = new CandleAggregator(KLINE_INTERVALS); // OHLCV per bucket (volume tracking)
     this._priceHandlers = new Set();
     this.openTtlMs = 5 * 60 * 1000; // 5 minutes for open price cache
     this.cleanupIntervalMs = 60 * 1000; // 1 minute
@@ -53,6 +58,17 @@ class MexcWebSocketManager {
     return 60000;
   }
 
+  // MEXC kline interval names (Min1, Min5, ...) <-> 1m, 5m, ...
+  _toMexcInterval(interval) {
+    const map = { '1m': 'Min1', '5m': 'Min5', '15m': 'Min15', '30m': 'Min30', '1h': 'Min60', '4h': 'Hour4', '1d': 'Day1' };
+    return map[String(interval).toLowerCase()] || null;
+  }
+
+  _fromMexcInterval(mexcInterval) {
+    const map = { Min1: '1m', Min5: '5m', Min15: '15m', Min30: '30m', Min60: '1h', Hour4: '4h', Day1: '1d' };
+    return map[mexcInterval] || null;
+  }
+
   _getBucketStart(ts, interval) {
     const intervalMs = this._getIntervalMs(interval);
     return Math.floor(ts / intervalMs) * intervalMs;
@@ -227,6 +243,11 @@ class MexcWebSocketManager {
       if (data && data.channel && data.channel.includes('kline') && data.data && data.data.c && data.data.k) {
         this._handleKline(data.data);
       }
+
+      // Handle native MEXC kline push: { channel: "push.kline", data: { symbol, interval: "Min1", t, o, h, l, c, q } }
+      if (data && data.channel === 'push.kline' && data.data && data.data.interval) {
+        this._handlePushKline(data.data);
+      }
     } catch (e) {
       logger.debug(`[MEXC-WS] Message parse error:`, e?.message || e);
     }
@@ -244,6 +265,10 @@ class MexcWebSocketManager {
       const close = parseFloat(k.c);
       const isClosed = Boolean(k.x);
 
+      this.candleAggregator.ingestKline({
+        symbol, interval, startTime, open, high: k.h, low: k.l, close, volume: k.v, isClosed
+      });
+
       if (Number.isFinite(open) && open > 0 && startTime > 0 && (interval === '1m' || interval === '5m')) {
         this._storeKlineOpen(symbol, interval, open, startTime);
       }
@@ -256,6 +281,34 @@ class MexcWebSocketManager {
     }
   }
 
+  _handlePushKline(data) {
+    try {
+      const symbol = this.normalizeSymbol(data.symbol);
+      const interval = this._fromMexcInterval(data.interval);
+      const startTime = Number(data.t) * 1000; // MEXC kline time is in seconds
+      const open = parseFloat(data.o);
+      if (!symbol || !interval || !(startTime > 0)) return;
+
+      this.candleAggregator.ingestKline({
+        symbol,
+        interval,
+        startTime,
+        open,
+        high: data.h,
+        low: data.l,
+        close: data.c,
+        volume: data.q, // contracts traded in this bucket
+        isClosed: false
+      });
+
+      if (Number.isFinite(open) && open > 0) {
+        this._storeKlineOpen(symbol, interval, open, startTime);
+      }
+    } catch (e) {
+      logger.error('[MEXC-WS] Push kline handle error:', e?.message || e);
+    }
+  }
+
   _storeKlineOpen(symbol, interval, open, startTime) {
     if (!Number.isFinite(open) || open <= 0 || !startTime) return;
     const sym = String(symbol).toUpperCase();
@@ -287,6 +340,14 @@ class MexcWebSocketManager {
     return cached.open;
   }
 
+  getKlineCandle(symbol, interval, bucketStart) {
+    return this.candleAggregator.getCandle(symbol, interval, bucketStart);
+  }
+
+  getVolumeRatio(symbol, interval, bucketStart, lookback) {
+    return this.candleAggregator.getVolumeRatio(symbol, interval, bucketStart, lookback);
+  }
+
   getKlineClose(symbol, interval, bucketStart) {
     const sym = String(symbol).toUpperCase();
     const key = `${sym}|${interval}|${bucketStart}`;
@@ -369,12 +430,18 @@ class MexcWebSocketManager {
       }
     }
     this.ensureConnected();
-    if (this.ws?.readyState === WebSocket.OPEN && newly.size > 0) {
+    if (this.ws?.readyState !== WebSocket.OPEN) return;
+    if (newly.size > 0) {
       logger.info(`[MEXC-WS] Subscribing to ${newly.size} new symbols...`);
       for (const sym of newly) {
         this._subscribeToTicker(sym);
       }
     }
+    // Known symbols: add klines of intervals that strategies started using since their subscription
+    for (const s of symbols) {
+      const norm = this.normalizeSymbol(s);
+      if (norm && !newly.has(norm)) this._subscribeKlines(norm);
+    }
   }
 
   _subscribeToTicker(symbol) {
@@ -397,6 +464,9 @@ class MexcWebSocketManager {
       
       const msgStr = JSON.stringify(subMsg);
       this.ws.send(msgStr);
+
+      // Kline subscriptions feed per-bucket opens and volume (volume-confirmed OC)
+      this._subscribeKlines(symbol);
       
       // Only log first few subscriptions to avoid spam
       if (!this._subscriptionLogCount) this._subscriptionLogCount = 0;
@@ -412,7 +482,36 @@ class MexcWebSocketManager {
     }
   }
 
+  /**
+   * MEXC kline intervals to subscribe for a symbol.
+   * MEXC_WS_KLINE_INTERVALS=auto (default) keeps the single connection small: 1m (price alerts) plus the
+   * intervals of the cached strategies on the symbol, instead of all seven intervals for every symbol.
+   * @param {string} symbol - Normalized symbol
+   * @returns {string[]} MEXC interval names (Min1, Hour4...)
+   */
+  _getKlineIntervals(symbol) {
+    return strategyCache.getKlineIntervals(configService.getString('MEXC_WS_KLINE_INTERVALS', 'auto'), 'mexc', symbol)
+      .map(s => this._toMexcInterval(s))
+      .filter(Boolean);
+  }
+
+  _subscribeKlines(symbol) {
+    if (this.ws?.readyState !== WebSocket.OPEN) return;
+    const mexcSymbol = this.toMexcWsSymbol(symbol);
+    let subscribed = this._klineSubs.get(symbol);
+    if (!subscribed) {
+      subscribed = new Set();
+      this._klineSubs.set(symbol, subscribed);
+    }
+    for (const interval of this._getKlineIntervals(symbol)) {
+      if (subscribed.has(interval)) continue;
+      this.ws.send(JSON.stringify({ method: 'sub.kline', param: { symbol: mexcSymbol, interval } }));
+      subscribed.add(interval);
+    }
+  }
+
   _resubscribeAll() {
+    this._klineSubs.clear(); // new connection: nothing is subscribed yet
     if (this.subscribed.size > 0 && this.ws?.readyState === WebSocket.OPEN) {
       logger.info(`[MEXC-WS] Resubscribing to ${this.subscribed.size} symbols...`);
       let count = 0;
@@ -474,6 +573,7 @@ class MexcWebSocketManager {
       this.ws = null;
     }
     this.subscribed.clear();
+    this._klineSubs.clear();
     this.priceCache.clear();
     this.openCache.clear();
     this.klineOpenCache.clear();
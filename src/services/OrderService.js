@@ -3,6 +3,8 @@ import { Position } from '../models/Position.js';
 // import { EntryOrder } from '../models/EntryOrder.js';
 import { TelegramService } from './TelegramService.js';
 import { positionLimitService } from './PositionLimitService.js';
+import { dailyLossLimitService } from './DailyLossLimitService.js';
+import { realtimeHub } from './RealtimeHub.js';
 
 import logger from '../utils/logger.js';
 import { configService } from './ConfigService.js';
@@ -126,6 +128,16 @@ export class OrderService {
         return null;
       }
 
+      // Daily loss kill switch: refuse new entries once the bot breached its daily loss limit
+      if (await dailyLossLimitService.isHalted(strategy.bot_id, this.exchangeService)) {
+        logger.warn(`[OrderService] [DAILY_LOSS_LIMIT] bot=${strategy?.bot_id} is halted for today, skipping strategy ${strategy?.id} ${strategy?.symbol}`);
+        await this.sendCentralLog(
+          `Order SkipDailyLossLimit | bot=${strategy?.bot_id} strat=${strategy?.id} ${strategy?.symbol} side=${String(side).toUpperCase()}`,
+          'warn'
+        );
+        return null;
+      }
+
       // Simple position limit check (with cache)
       // max_concurrent_trades MUST come from bots table (JOINed into strategy as a top-level field)
       // Do not rely on strategy.bot here because strategy objects are often plain rows.
@@ -410,6 +422,8 @@ export class OrderService {
       }
 
       if (position) {
+        realtimeHub.publishPosition(position.status === 'open' ? 'opened' : 'updated', position);
+
         // Only treat as opened when status is open (entry filled confirmed)
         if (position.status === 'open') {
           logger.info(`Position opened:`, {
@@ -615,6 +629,7 @@ export class OrderService {
 
       // Update position
       const updated = await Position.close(position.id, currentPrice, pnl, 'manual');
+      realtimeHub.publishPosition('closed', updated);
 
       logger.info(`Position closed manually:`, {
         positionId: position.id,
@@ -0,0 +1,587 @@
+import { EventEmitter } from 'events';
+import { PaperAccount } from '../models/PaperAccount.js';
+import { webSocketManager } from './WebSocketManager.js';
+import { mexcPriceWs } from './MexcWebSocketManager.js';
+import { configService } from './ConfigService.js';
+import { resolveMarketDataExchange } from '../utils/marketDataExchange.js';
+import logger from '../utils/logger.js';
+
+// One simulated account per bot, shared by every ExchangeService instance of that bot
+// (StrategiesWorker, PositionMonitor, EntryOrderMonitor, PositionSync each create their own ExchangeService).
+const clients = new Map(); // botId -> PaperExchangeClient
+
+/**
+ * Paper Exchange Client - Simulated USDT-M futures exchange (no real orders)
+ *
+ * - Prices come from the live WebSocket feed of PAPER_PRICE_SOURCE (binance | mexc)
+ * - MARKET orders fill immediately with PAPER_SLIPPAGE_PERCENT slippage and taker fee
+ * - LIMIT orders rest until the price crosses, then fill at the limit price with maker fee
+ * - STOP_MARKET / TAKE_PROFIT_MARKET (closePosition) trigger on price ticks and fill with slippage + taker fee
+ * - Every order change is emitted as a Binance-shaped ORDER_TRADE_UPDATE event, so the
+ *   user-data handlers in EntryOrderMonitor work unchanged
+ * - Balance, orders and positions are persisted in paper_accounts
+ */
+export class PaperExchangeClient extends EventEmitter {
+  /**
+   * Get (or create) the shared client for a bot
+   * @param {Object} bot - Bot row
+   * @returns {PaperExchangeClient}
+   */
+  static forBot(bot) {
+    const botId = Number(bot?.id);
+    let client = clients.get(botId);
+    if (!client) {
+      client = new PaperExchangeClient(bot);
+      clients.set(botId, client);
+    } else {
+      client.bot = bot; // keep latest bot config (leverage, name...)
+    }
+    return client;
+  }
+
+  constructor(bot) {
+    super();
+    this.bot = bot;
+    this.balance = 0; // wallet balance (realized), USDT
+    this.orders = new Map(); // orderId -> order (Binance-shaped)
+    this.positions = new Map(); // `${symbol}|${positionSide}` -> { symbol, positionSide, qty, entryPrice }
+    this.lastPrices = new Map(); // symbol -> last seen price
+    this.orderSeq = Date.now();
+    this._loadPromise = null;
+    this._saveTimer = null;
+    this._listening = false;
+  }
+
+  /**
+   * Load persisted state and start listening to price ticks
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this._loadPromise) {
+      this._loadPromise = (async () => {
+        try {
+          const account = await PaperAccount.findByBotId(this.bot.id);
+          if (account) {
+            this._restore(account.balance, account.state);
+            logger.info(`[PaperExchange] Loaded paper account for bot ${this.bot.id}: balance=${this.balance.toFixed(4)} openOrders=${this.getOpenOrders().length} positions=${this.positions.size}`);
+          } else {
+            this.balance = Number(configService.getNumber('PAPER_INITIAL_BALANCE', 10000));
+            await this._save();
+            logger.info(`[PaperExchange] Created paper account for bot ${this.bot.id} with balance ${this.balance}`);
+          }
+        } catch (error) {
+          this.balance = this.balance || Number(configService.getNumber('PAPER_INITIAL_BALANCE', 10000));
+          logger.warn(`[PaperExchange] Failed to load paper account for bot ${this.bot.id}, using in-memory state: ${error?.message || error}`);
+        }
+        this._listen();
+      })();
+    }
+    return this._loadPromise;
+  }
+
+  _listen() {
+    if (this._listening) return;
+    this._listening = true;
+    const handler = (tick) => {
+      if (!tick?.symbol) return;
+      this.onPrice(tick.symbol, Number(tick.price));
+    };
+    if (resolveMarketDataExchange('paper') === 'mexc') {
+      mexcPriceWs.onPrice(handler);
+    } else {
+      webSocketManager.onPrice(handler);
+    }
+  }
+
+  normalizeSymbol(symbol) {
+    return String(symbol || '').toUpperCase().replace(/:USDT$/, '').replace(/[\/:_]/g, '');
+  }
+
+  /**
+   * Latest price from the WS feed (falls back to the last price seen by this client)
+   * @param {string} symbol
+   * @returns {number|null}
+   */
+  getPrice(symbol) {
+    const sym = this.normalizeSymbol(symbol);
+    const feed = resolveMarketDataExchange('paper') === 'mexc' ? mexcPriceWs : webSocketManager;
+    const wsPrice = Number(feed.getPrice(sym));
+    if (Number.isFinite(wsPrice) && wsPrice > 0) {
+      this.lastPrices.set(sym, wsPrice);
+      return wsPrice;
+    }
+    try { feed.subscribe([sym]); } catch (_) {}
+    return this.lastPrices.get(sym) ?? null;
+  }
+
+  _requirePrice(symbol) {
+    const price = this.getPrice(symbol);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error(`[PaperExchange] No live price for ${this.normalizeSymbol(symbol)} yet (WS not subscribed?)`);
+    }
+    return price;
+  }
+
+  _feeRate(isMaker) {
+    return isMaker
+      ? Number(configService.getNumber('PAPER_MAKER_FEE_RATE', 0.0002))
+      : Number(configService.getNumber('PAPER_TAKER_FEE_RATE', 0.0005));
+  }
+
+  _applySlippage(price, orderSide) {
+    const slip = Number(configService.getNumber('PAPER_SLIPPAGE_PERCENT', 0.02)) / 100;
+    return orderSide === 'BUY' ? price * (1 + slip) : price * (1 - slip);
+  }
+
+  _nextOrderId() {
+    this.orderSeq += 1;
+    return this.orderSeq;
+  }
+
+  _positionKey(symbol, positionSide) {
+    return `${symbol}|${positionSide}`;
+  }
+
+  _getPosition(symbol, positionSide) {
+    return this.positions.get(this._positionKey(symbol, positionSide)) || null;
+  }
+
+  /**
+   * Create entry order (amount is USDT, like ExchangeService.createOrder)
+   * @param {Object} params - { symbol, side: 'buy'|'sell', amount, type: 'market'|'limit', price, positionSide }
+   * @returns {Promise<Object>} Binance-shaped order
+   */
+  async createOrder({ symbol, side, amount, type = 'limit', price, positionSide }) {
+    await this.load();
+    const sym = this.normalizeSymbol(symbol);
+    const orderSide = String(side).toUpperCase() === 'BUY' ? 'BUY' : 'SELL';
+    const posSide = positionSide ? String(positionSide).toUpperCase() : (orderSide === 'BUY' ? 'LONG' : 'SHORT');
+    const marketPrice = this._requirePrice(sym);
+    const refPrice = type === 'limit' && Number(price) > 0 ? Number(price) : marketPrice;
+    const quantity = Number(amount) / refPrice;
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new Error(`[PaperExchange] Invalid quantity for ${sym}: amount=${amount}, price=${refPrice}`);
+    }
+
+    // Initial margin must fit the available balance, like a live account (Binance rejects with -2019)
+    const requiredMargin = (quantity * refPrice) / this._leverage();
+    const { free } = await this.getBalance();
+    if (requiredMargin > free) {
+      throw new Error(`-2019 Margin is insufficient. (paper ${sym}: required=${requiredMargin.toFixed(4)}, available=${free.toFixed(4)})`);
+    }
+
+    const order = this._newOrder({
+      symbol: sym,
+      side: orderSide,
+      positionSide: posSide,
+      type: type === 'market' ? 'MARKET' : 'LIMIT',
+      price: type === 'market' ? 0 : refPrice,
+      origQty: quantity
+    });
+
+    if (order.type === 'MARKET') {
+      this._fill(order, this._applySlippage(marketPrice, orderSide), false);
+    } else {
+      // Marketable LIMIT fills immediately as taker at the better of market/limit
+      const marketable = orderSide === 'BUY' ? marketPrice <= refPrice : marketPrice >= refPrice;
+      if (marketable) {
+        this._fill(order, orderSide === 'BUY' ? Math.min(marketPrice, refPrice) : Math.max(marketPrice, refPrice), false);
+      } else {
+        this._emitOrderUpdate(order);
+      }
+    }
+    this._scheduleSave();
+    return { ...order };
+  }
+
+  /**
+   * Create closePosition conditional order (STOP_MARKET or TAKE_PROFIT_MARKET)
+   * LONG closes with SELL; SHORT closes with BUY.
+   * @param {string} symbol
+   * @param {'long'|'short'} side - Position side
+   * @param {number} stopPrice
+   * @param {'STOP_MARKET'|'TAKE_PROFIT_MARKET'} type
+   * @param {Object|null} position - DB position (for deterministic clientOrderId)
+   * @param {Object} options - { clientOrderSuffix } (default 'EXIT')
+   * @returns {Promise<Object>} Binance-shaped order
+   */
+  async createCloseOrder(symbol, side, stopPrice, type, position = null, options = {}) {
+    await this.load();
+    const sym = this.normalizeSymbol(symbol);
+    const stop = Number(stopPrice);
+    if (!Number.isFinite(stop) || stop <= 0) {
+      throw new Error(`[PaperExchange] Invalid stopPrice for ${sym}: ${stopPrice}`);
+    }
+    const order = this._newOrder({
+      symbol: sym,
+      side: side === 'long' ? 'SELL' : 'BUY',
+      positionSide: side === 'long' ? 'LONG' : 'SHORT',
+      type,
+      stopPrice: stop,
+      closePosition: true,
+      reduceOnly: true,
+      clientOrderId: position?.id ? `OC_B${this.bot.id}_P${position.id}_${options.clientOrderSuffix || 'EXIT'}` : null
+    });
+    this._emitOrderUpdate(order);
+
+    // Evaluate right away: a trigger already crossed fires on the current price
+    const price = this.getPrice(sym);
+    if (Number.isFinite(price) && price > 0) this._evaluateOrder(order, price);
+    this._scheduleSave();
+    return { ...order };
+  }
+
+  /**
+   * Create reduce-only LIMIT take-profit for part of the position (TP ladder legs)
+   * @param {string} symbol
+   * @param {'long'|'short'} side - Position side
+   * @param {number} tpPrice
+   * @param {number} quantity - Base quantity to close
+   * @param {Object} options - { clientOrderId }
+   * @returns {Promise<Object>} Binance-shaped order
+   */
+  async createTakeProfitLimit(symbol, side, tpPrice, quantity, options = {}) {
+    await this.load();
+    const sym = this.normalizeSymbol(symbol);
+    const price = Number(tpPrice);
+    const qty = Number(quantity);
+    if (!Number.isFinite(price) || price <= 0 || !Number.isFinite(qty) || qty <= 0) {
+      throw new Error(`[PaperExchange] Invalid TP limit for ${sym}: price=${tpPrice}, quantity=${quantity}`);
+    }
+    const order = this._newOrder({
+      symbol: sym,
+      side: side === 'long' ? 'SELL' : 'BUY',
+      positionSide: side === 'long' ? 'LONG' : 'SHORT',
+      type: 'LIMIT',
+      price,
+      origQty: qty,
+      reduceOnly: true,
+      clientOrderId: options.clientOrderId || null
+    });
+    this._emitOrderUpdate(order);
+
+    const last = this.getPrice(sym);
+    if (Number.isFinite(last) && last > 0) this._evaluateOrder(order, last);
+    this._scheduleSave();
+    return { ...order };
+  }
+
+  /**
+   * Close position at market (reduceOnly)
+   * @param {string} symbol
+   * @param {'long'|'short'} side
+   * @param {number|null} quantity - Optional partial quantity (defaults to full position)
+   * @returns {Promise<Object>}
+   */
+  async closePosition(symbol, side, quantity = null) {
+    await this.load();
+    const sym = this.normalizeSymbol(symbol);
+    const posSide = side === 'long' ? 'LONG' : 'SHORT';
+    const pos = this._getPosition(sym, posSide);
+    if (!pos || pos.qty <= 0) {
+      return { skipped: true };
+    }
+    const qty = Number(quantity) > 0 ? Math.min(Number(quantity), pos.qty) : pos.qty;
+    const orderSide = side === 'long' ? 'SELL' : 'BUY';
+    const order = this._newOrder({ symbol: sym, side: orderSide, positionSide: posSide, type: 'MARKET', origQty: qty, reduceOnly: true });
+    this._fill(order, this._applySlippage(this._requirePrice(sym), orderSide), false);
+    this._scheduleSave();
+    return { ...order, avgFillPrice: order.avgPrice };
+  }
+
+  async cancelOrder(symbol, orderId) {
+    await this.load();
+    const order = this.orders.get(String(orderId));
+    if (!order || order.status !== 'NEW') {
+      throw new Error(`-2011 Unknown order sent. (paper orderId=${orderId})`);
+    }
+    order.status = 'CANCELED';
+    order.updateTime = Date.now();
+    this._emitOrderUpdate(order);
+    this._scheduleSave();
+    return { ...order };
+  }
+
+  async cancelAllOpenOrders(symbol) {
+    await this.load();
+    const sym = symbol ? this.normalizeSymbol(symbol) : null;
+    let cancelled = 0;
+    for (const order of this.orders.values()) {
+      if (order.status !== 'NEW' || (sym && order.symbol !== sym)) continue;
+      order.status = 'CANCELED';
+      order.updateTime = Date.now();
+      this._emitOrderUpdate(order);
+      cancelled++;
+    }
+    if (cancelled > 0) this._scheduleSave();
+    return { success: true, cancelled };
+  }
+
+  getOpenOrders(symbol = null) {
+    const sym = symbol ? this.normalizeSymbol(symbol) : null;
+    return Array.from(this.orders.values())
+      .filter(o => o.status === 'NEW' && (!sym || o.symbol === sym))
+      .map(o => ({ ...o }));
+  }
+
+  async getOrder(symbol, orderId) {
+    await this.load();
+    const order = this.orders.get(String(orderId));
+    if (!order) {
+      throw new Error(`-2013 Order does not exist. (paper orderId=${orderId})`);
+    }
+    return { ...order };
+  }
+
+  /**
+   * Open positions in Binance positionRisk shape (positionAmt is signed)
+   * @param {string|null} symbol
+   * @returns {Promise<Array>}
+   */
+  async getOpenPositions(symbol = null) {
+    await this.load();
+    const sym = symbol ? this.normalizeSymbol(symbol) : null;
+    const result = [];
+    for (const pos of this.positions.values()) {
+      if (pos.qty <= 0 || (sym && pos.symbol !== sym)) continue;
+      const markPrice = this.getPrice(pos.symbol) || pos.entryPrice;
+      const sign = pos.positionSide === 'LONG' ? 1 : -1;
+      result.push({
+        symbol: pos.symbol,
+        positionSide: pos.positionSide,
+        positionAmt: String(sign * pos.qty),
+        entryPrice: String(pos.entryPrice),
+        markPrice: String(markPrice),
+        unRealizedProfit: String(sign * (markPrice - pos.entryPrice) * pos.qty),
+        leverage: String(this._leverage())
+      });
+    }
+    return result;
+  }
+
+  async getClosableQuantity(symbol, side) {
+    await this.load();
+    const pos = this._getPosition(this.normalizeSymbol(symbol), side === 'long' ? 'LONG' : 'SHORT');
+    return pos ? pos.qty : 0;
+  }
+
+  /**
+   * Futures balance (used = initial margin of open positions and resting entry orders)
+   * @returns {Promise<{free:number, used:number, total:number}>}
+   */
+  async getBalance() {
+    await this.load();
+    let unrealized = 0;
+    let margin = 0;
+    const leverage = this._leverage();
+    for (const pos of this.positions.values()) {
+      if (pos.qty <= 0) continue;
+      const markPrice = this.getPrice(pos.symbol) || pos.entryPrice;
+      const sign = pos.positionSide === 'LONG' ? 1 : -1;
+      unrealized += sign * (markPrice - pos.entryPrice) * pos.qty;
+      margin += (pos.entryPrice * pos.qty) / leverage;
+    }
+    for (const order of this.orders.values()) {
+      if (order.status !== 'NEW' || order.reduceOnly || order.closePosition) continue;
+      margin += (order.price * order.origQty) / leverage;
+    }
+    const total = this.balance + unrealized;
+    return { free: total - margin, used: margin, total };
+  }
+
+  _leverage() {
+    const lev = Number(this.bot?.default_leverage);
+    return Number.isFinite(lev) && lev > 0 ? lev : 1;
+  }
+
+  /**
+   * Price tick handler: match resting/conditional orders for this symbol
+   * @param {string} symbol
+   * @param {number} price
+   */
+  onPrice(symbol, price) {
+    if (!Number.isFinite(price) || price <= 0) return;
+    const sym = this.normalizeSymbol(symbol);
+    this.lastPrices.set(sym, price);
+    let changed = false;
+    for (const order of this.orders.values()) {
+      if (order.status !== 'NEW' || order.symbol !== sym) continue;
+      if (this._evaluateOrder(order, price)) changed = true;
+    }
+    if (changed) this._scheduleSave();
+  }
+
+  _evaluateOrder(order, price) {
+    const isBuy = order.side === 'BUY';
+    if (order.type === 'LIMIT') {
+      const crossed = isBuy ? price <= order.price : price >= order.price;
+      if (crossed) {
+        this._fill(order, order.price, true);
+        return true;
+      }
+      return false;
+    }
+    if (order.type === 'STOP_MARKET' || order.type === 'TAKE_PROFIT_MARKET') {
+      // STOP: SELL triggers below, BUY above. TAKE_PROFIT: SELL triggers above, BUY below.
+      const isStop = order.type === 'STOP_MARKET';
+      const triggered = isStop
+        ? (isBuy ? price >= order.stopPrice : price <= order.stopPrice)
+        : (isBuy ? price <= order.stopPrice : price >= order.stopPrice);
+      if (triggered) {
+        this._fill(order, this._applySlippage(price, order.side), false);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  _newOrder(fields) {
+    const now = Date.now();
+    const orderId = this._nextOrderId();
+    const order = {
+      orderId,
+      clientOrderId: fields.clientOrderId || `paper_${orderId}`,
+      symbol: fields.symbol,
+      side: fields.side,
+      positionSide: fields.positionSide,
+      type: fields.type,
+      price: fields.price || 0,
+      stopPrice: fields.stopPrice || 0,
+      origQty: fields.origQty || 0,
+      executedQty: 0,
+      avgPrice: 0,
+      status: 'NEW',
+      reduceOnly: !!fields.reduceOnly,
+      closePosition: !!fields.closePosition,
+      commission: 0,
+      realizedPnl: 0,
+      time: now,
+      updateTime: now
+    };
+    this.orders.set(String(orderId), order);
+    return order;
+  }
+
+  _fill(order, fillPrice, isMaker) {
+    const key = this._positionKey(order.symbol, order.positionSide);
+    const pos = this.positions.get(key);
+    const isClosing = order.reduceOnly || order.closePosition;
+
+    let qty = order.origQty;
+    let realized = 0;
+    if (isClosing) {
+      if (!pos || pos.qty <= 0) {
+        // Binance expires closePosition/reduceOnly orders when there is nothing to close
+        order.status = 'EXPIRED';
+        order.updateTime = Date.now();
+        this._emitOrderUpdate(order);
+        return;
+      }
+      qty = order.closePosition ? pos.qty : Math.min(qty, pos.qty);
+      const sign = pos.positionSide === 'LONG' ? 1 : -1;
+      realized = sign * (fillPrice - pos.entryPrice) * qty;
+      pos.qty -= qty;
+      if (pos.qty <= 1e-12) this.positions.delete(key);
+    } else if (pos) {
+      const newQty = pos.qty + qty;
+      pos.entryPrice = (pos.entryPrice * pos.qty + fillPrice * qty) / newQty;
+      pos.qty = newQty;
+    } else {
+      this.positions.set(key, { symbol: order.symbol, positionSide: order.positionSide, qty, entryPrice: fillPrice });
+    }
+
+    const fee = fillPrice * qty * this._feeRate(isMaker);
+    this.balance += realized - fee;
+
+    order.executedQty = qty;
+    order.avgPrice = fillPrice;
+    order.commission = fee;
+    order.realizedPnl = realized;
+    order.status = 'FILLED';
+    order.updateTime = Date.now();
+    this._emitOrderUpdate(order, { lastPrice: fillPrice, lastQty: qty, isMaker });
+
+    logger.info(
+      `[PaperExchange] ✅ ${order.type} ${order.side} ${order.symbol} ${order.positionSide} FILLED ` +
+      `qty=${qty} price=${fillPrice} fee=${fee.toFixed(6)} realized=${realized.toFixed(6)} bot=${this.bot.id} balance=${this.balance.toFixed(4)}`
+    );
+
+    // Position fully closed → remaining closePosition/reduceOnly orders on the same side expire (Binance behaviour)
+    if (isClosing && !this.positions.has(key)) {
+      for (const other of this.orders.values()) {
+        if (other === order || other.status !== 'NEW') continue;
+        if (other.symbol === order.symbol && other.positionSide === order.positionSide && (other.closePosition || other.reduceOnly)) {
+          other.status = 'EXPIRED';
+          other.updateTime = Date.now();
+          this._emitOrderUpdate(other);
+        }
+      }
+    }
+  }
+
+  _emitOrderUpdate(order, fill = null) {
+    const now = Date.now();
+    this.emit('ORDER_TRADE_UPDATE', {
+      e: 'ORDER_TRADE_UPDATE',
+      E: now,
+      T: now,
+      o: {
+        s: order.symbol,
+        c: order.clientOrderId,
+        S: order.side,
+        o: order.type,
+        q: String(order.origQty),
+        p: String(order.price),
+        ap: String(order.avgPrice),
+        sp: String(order.stopPrice),
+        X: order.status,
+        i: order.orderId,
+        l: String(fill?.lastQty ?? 0),
+        z: String(order.executedQty),
+        L: String(fill?.lastPrice ?? 0),
+        N: 'USDT',
+        n: String(fill ? order.commission : 0),
+        m: !!fill?.isMaker,
+        R: order.reduceOnly,
+        ps: order.positionSide,
+        cp: order.closePosition,
+        rp: String(fill ? order.realizedPnl : 0)
+      }
+    });
+  }
+
+  _serialize() {
+    // Keep only live orders + a bounded tail of finished ones (for getOrder lookups by monitors)
+    const maxHistory = Number(configService.getNumber('PAPER_ORDER_HISTORY_LIMIT', 500));
+    const all = Array.from(this.orders.values());
+    const live = all.filter(o => o.status === 'NEW');
+    const done = all.filter(o => o.status !== 'NEW').slice(-maxHistory);
+    return {
+      orderSeq: this.orderSeq,
+      orders: [...done, ...live],
+      positions: Array.from(this.positions.values())
+    };
+  }
+
+  _restore(balance, state) {
+    this.balance = Number(balance) || 0;
+    this.orderSeq = Math.max(this.orderSeq, Number(state?.orderSeq) || 0);
+    this.orders = new Map((state?.orders || []).map(o => [String(o.orderId), o]));
+    this.positions = new Map((state?.positions || []).map(p => [this._positionKey(p.symbol, p.positionSide), p]));
+  }
+
+  _scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this._save().catch(err => logger.warn(`[PaperExchange] Failed to persist paper account for bot ${this.bot.id}: ${err?.message || err}`));
+    }, 500);
+    if (typeof this._saveTimer.unref === 'function') this._saveTimer.unref();
+  }
+
+  async _save() {
+    const state = this._serialize();
+    this.orders = new Map(state.orders.map(o => [String(o.orderId), o]));
+    await PaperAccount.save(this.bot.id, this.balance, state);
+  }
+}
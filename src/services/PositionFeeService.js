@@ -0,0 +1,213 @@
+import pool from '../config/database.js';
+import { Position } from '../models/Position.js';
+import { attributeFunding } from './TradeJournalService.js';
+import { configService } from './ConfigService.js';
+import { LRUCache } from '../utils/LRUCache.js';
+import logger from '../utils/logger.js';
+
+// Commission assets booked as USDT (others, e.g. BNB fee discount, are not converted)
+const QUOTE_ASSETS = new Set(['USDT', 'USDC', 'BUSD', 'FDUSD']);
+
+/**
+ * PositionFeeService
+ *
+ * Records real trading costs on positions so net PnL matches the exchange:
+ * - commission of every fill from ORDER_TRADE_UPDATE (`n` / `N`, execution type TRADE) → entry_fee / exit_fee
+ * - funding income (Binance FUNDING_FEE) while the position is open → funding_fee, refreshed by PositionSync
+ * Position.addFees / setFundingFee keep positions.net_pnl in sync once the position is closed.
+ *
+ * Fills can arrive before the position row exists (market entries are inserted after the order returns),
+ * so unmatched fills are retried for a few minutes before being dropped.
+ */
+export class PositionFeeService {
+  constructor() {
+    this._seenTrades = new LRUCache(5000);
+    this._pending = new Map(); // tradeKey -> { botId, fill, firstSeen }
+    this._retryTimer = null;
+    this.retryIntervalMs = 5000;
+    this.pendingTtlMs = 5 * 60 * 1000;
+  }
+
+  /**
+   * Fill of an ORDER_TRADE_UPDATE event (null when the event is not a trade)
+   * @param {Object} evt - Raw user-data event ({ e, E, T, o })
+   * @returns {Object|null} { orderId, clientOrderId, symbol, tradeId, lastQty, commission, asset, time }
+   */
+  parseFill(evt) {
+    const o = evt?.o || evt?.order || {};
+    const execType = o.x ? String(o.x).toUpperCase() : null;
+    if (execType && execType !== 'TRADE') return null;
+
+    const lastQty = Number(o.l || 0);
+    const orderId = o.i ?? o.orderId;
+    if (!(lastQty > 0) || orderId === undefined || orderId === null) return null;
+
+    return {
+      orderId: String(orderId),
+      clientOrderId: o.c ?? null,
+      symbol: o.s ? String(o.s).replace(/_/g, '') : null,
+      tradeId: o.t ?? null,
+      lastQty,
+      commission: Number(o.n || 0),
+      asset: String(o.N || 'USDT').toUpperCase(),
+      time: Number(evt?.T || evt?.E || Date.now())
+    };
+  }
+
+  /**
+   * Position owning an order and whether the order is its entry or an exit
+   * @param {number} botId
+   * @param {string} orderId
+   * @param {string|null} clientOrderId - OC_B{botId}_P{positionId}_EXIT|TP|SL for exit orders
+   * @returns {Promise<{id: number, role: 'entry'|'exit'}|null>}
+   */
+  async findPositionForOrder(botId, orderId, clientOrderId = null) {
+    const match = typeof clientOrderId === 'string' ? clientOrderId.match(/OC_B\d+_P(\d+)_(EXIT|TP|SL)/) : null;
+    if (match) {
+      return { id: parseInt(match[1], 10), role: 'exit' };
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT id, order_id FROM positions
+       WHERE bot_id = ? AND (order_id = ? OR exit_order_id = ? OR sl_order_id = ? OR tp_order_id = ?)
+       ORDER BY id DESC LIMIT 1`,
+      [botId, orderId, orderId, orderId, orderId]
+    );
+    if (rows?.[0]) {
+      return { id: rows[0].id, role: String(rows[0].order_id) === String(orderId) ? 'entry' : 'exit' };
+    }
+
+    const legPosition = await Position.findOpenByExitLegOrderId(botId, orderId);
+    return legPosition ? { id: legPosition.id, role: 'exit' } : null;
+  }
+
+  /**
+   * Book the commission of a fill on its position (never throws)
+   * @param {number} botId
+   * @param {Object} evt - ORDER_TRADE_UPDATE event
+   * @returns {Promise<boolean>} Whether the fee was booked now (false = ignored or queued for retry)
+   */
+  async recordTradeFee(botId, evt) {
+    try {
+      const fill = this.parseFill(evt);
+      if (!fill || !(fill.commission > 0)) return false;
+
+      const key = `${botId}:${fill.orderId}:${fill.tradeId ?? `${fill.lastQty}@${fill.time}`}`;
+      if (this._seenTrades.has(key)) return false;
+      this._seenTrades.set(key, true);
+
+      if (!QUOTE_ASSETS.has(fill.asset)) {
+        logger.debug(`[PositionFeeService] Commission of order ${fill.orderId} paid in ${fill.asset}, not booked as USDT`);
+        return false;
+      }
+
+      if (await this._apply(botId, fill)) return true;
+
+      this._pending.set(key, { botId, fill, firstSeen: Date.now() });
+      this._scheduleRetry();
+      return false;
+    } catch (error) {
+      logger.warn(`[PositionFeeService] Failed to record fee for bot ${botId}: ${error?.message || error}`);
+      return false;
+    }
+  }
+
+  async _apply(botId, fill) {
+    const target = await this.findPositionForOrder(botId, fill.orderId, fill.clientOrderId);
+    if (!target) return false;
+
+    const fees = target.role === 'entry' ? { entryFee: fill.commission } : { exitFee: fill.commission };
+    const updated = await Position.addFees(target.id, fees);
+    if (updated) {
+      logger.debug(`[PositionFeeService] Booked ${target.role} fee ${fill.commission} ${fill.asset} on position ${target.id} (order ${fill.orderId})`);
+    }
+    return updated;
+  }
+
+  _scheduleRetry() {
+    if (this._retryTimer) return;
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this.flushPending().catch(error => logger.warn(`[PositionFeeService] Retry failed: ${error?.message || error}`));
+    }, this.retryIntervalMs);
+    this._retryTimer.unref?.();
+  }
+
+  /**
+   * Retry fills whose position did not exist yet
+   * @param {number} now
+   * @returns {Promise<number>} Number of fees booked
+   */
+  async flushPending(now = Date.now()) {
+    let booked = 0;
+    for (const [key, entry] of [...this._pending]) {
+      try {
+        if (await this._apply(entry.botId, entry.fill)) {
+          this._pending.delete(key);
+          booked++;
+          continue;
+        }
+      } catch (error) {
+        logger.debug(`[PositionFeeService] Pending fee ${key} retry error: ${error?.message || error}`);
+      }
+
+      if (now - entry.firstSeen >= this.pendingTtlMs) {
+        this._pending.delete(key);
+        logger.warn(`[PositionFeeService] Dropping fee ${entry.fill.commission} ${entry.fill.asset} of order ${entry.fill.orderId} (bot ${entry.botId}): no matching position`);
+      }
+    }
+    if (this._pending.size > 0) this._scheduleRetry();
+    return booked;
+  }
+
+  /**
+   * Recompute funding_fee of the bot's open positions and of positions closed recently, from the exchange
+   * FUNDING_FEE income history (idempotent: totals are recomputed, not incremented)
+   * @param {number} botId
+   * @param {Object} exchangeService - ExchangeService of the bot
+   * @param {number} now
+   * @returns {Promise<number>} Number of positions updated
+   */
+  async syncFunding(botId, exchangeService, now = Date.now()) {
+    const lookbackMs = Number(configService.getNumber('POSITION_FUNDING_LOOKBACK_HOURS', 24)) * 3600 * 1000;
+    const [rows] = await pool.execute(
+      `SELECT id, symbol, amount, opened_at, closed_at, status, funding_fee FROM positions
+       WHERE bot_id = ? AND (status = 'open' OR (status = 'closed' AND closed_at >= ?))`,
+      [botId, new Date(now - lookbackMs)]
+    );
+    const positions = (rows || []).filter(p => p.opened_at);
+    if (positions.length === 0) return 0;
+
+    const startTime = Math.min(...positions.map(p => new Date(p.opened_at).getTime()));
+    const income = await exchangeService.getIncomeHistory({ incomeType: 'FUNDING_FEE', startTime, endTime: now });
+    if (!income) return 0; // exchange without income history
+
+    const funding = attributeFunding(income, positions.map(p => ({
+      ...p,
+      closed_at: p.status === 'open' || !p.closed_at ? new Date(now) : p.closed_at
+    })));
+
+    let updated = 0;
+    for (const position of positions) {
+      const value = Number((funding.get(position.id) || 0).toFixed(8));
+      if (Math.abs(value - Number(position.funding_fee || 0)) < 1e-8) continue;
+      await Position.setFundingFee(position.id, value);
+      updated++;
+    }
+    if (updated > 0) {
+      logger.debug(`[PositionFeeService] Funding fees refreshed for ${updated} position(s) of bot ${botId}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Stop the retry timer and drop pending fills
+   */
+  stop() {
+    if (this._retryTimer) clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._pending.clear();
+  }
+}
+
+export const positionFeeService = new PositionFeeService();
@@ -1,10 +1,35 @@
 import { Position } from '../models/Position.js';
-import { calculatePnL, calculatePnLPercent, calculateDynamicStopLoss, calculateTakeProfit, calculateInitialStopLoss, calculateInitialStopLossByAmount, calculateNextTrailingStop, calculateNextTrailingTakeProfit } from '../utils/calculator.js';
+import { calculatePnL, calculatePnLPercent, calculateDynamicStopLoss, calculateTakeProfit, calculateInitialStopLoss, calculateInitialStopLossByAmount, calculateNextTrailingStop, calculateNextTrailingTakeProfit, calculatePriceTrailingStop, calculateBreakEvenPrice, calculateFavourableMovePct } from '../utils/calculator.js';
 import { exchangeInfoService } from './ExchangeInfoService.js';
 import { configService } from './ConfigService.js';
 import { orderStatusCache } from './OrderStatusCache.js';
+import { symbolMetricsManager } from '../utils/IncrementalMetrics.js';
+import { resolveMarketDataExchange } from '../utils/marketDataExchange.js';
+import { EXIT_MODES } from '../config/constants.js';
+import { realtimeHub } from './RealtimeHub.js';
+import { getOpenExitLegOrderIds } from '../utils/tpLadder.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Close reasons that are intentional and bypass CloseGuard verification in closePosition
+ * - tp_cross_entry_force_close: TP crossed entry, force close to prevent loss
+ * - price_exceeded_initial_tp: Price exceeded initial TP, close with MARKET to lock in better profit
+ * - tp_trailing_loss_zone: TP trailing into loss zone, force close to prevent worse loss
+ * - tp_sl_cancelled_force_close: TP/SL order cancelled but position needs to be closed (risk management)
+ * - trailing_stop: price crossed the trailing stop before the stop order could be moved
+ * - break_even_stop: price fell back through break-even before the break-even stop could be placed
+ * - daily_loss_limit: bot breached its daily loss limit with daily_loss_flatten enabled
+ */
+const FORCE_CLOSE_REASONS = new Set([
+  'tp_cross_entry_force_close',
+  'price_exceeded_initial_tp',
+  'tp_trailing_loss_zone',
+  'tp_sl_cancelled_force_close',
+  'trailing_stop',
+  'break_even_stop',
+  'daily_loss_limit'
+]);
+
 /**
  * Position Service - Position tracking and updates
  */
@@ -17,6 +42,11 @@ export class PositionService {
     // A) Memory map for cross-entry exit deduplication
     this.crossEntryExitPending = new Map(); // position.id -> timestamp
     this.crossEntryExitTTL = 60 * 1000; // 60 seconds cooldown
+    // Price-based trailing stop (exit_mode = 'trailing_stop')
+    this.trailingStopState = new Map(); // position.id -> { bestPrice, stopPrice }
+    this.trailingStopInFlight = new Set(); // position.id
+    // Break-even stop (strategies.break_even_pct)
+    this.breakEvenInFlight = new Set(); // position.id
   }
 
   /**
@@ -104,6 +134,9 @@ export class PositionService {
         return position; // Return original position without changes
       }
 
+      // exit_mode = 'trailing_stop': the exit order is a protective stop, TP-based logic below does not apply
+      const isTrailingStopMode = position.exit_mode === EXIT_MODES.TRAILING_STOP;
+
       // CRITICAL FIX: Check if price has exceeded initial TP and should close immediately
       // This handles the case where position already has TP order but price exceeded initial TP
       // Logic: If initial_tp_price exists OR we can calculate it from strategy, and current price exceeded it, close immediately
@@ -126,7 +159,7 @@ export class PositionService {
       }
       
       // Check if price exceeded initial TP
-      if (initialTP && Number.isFinite(initialTP) && initialTP > 0) {
+      if (!isTrailingStopMode && initialTP && Number.isFinite(initialTP) && initialTP > 0) {
         const hasPriceExceededInitialTP = (position.side === 'long' && currentPrice > initialTP) ||
                                          (position.side === 'short' && currentPrice < initialTP);
         
@@ -172,6 +205,10 @@ export class PositionService {
         position.side
       );
 
+      // Break-even stop: move the stop to entry + fees once the position moved break_even_pct% in our favour
+      const afterBreakEven = await this.evaluateBreakEven(position, currentPrice);
+      if (afterBreakEven?.status === 'closed') return afterBreakEven;
+
       // Check if TP hit (price-based check as fallback) - DISABLED to prevent premature closing
       // if (this.isTakeProfitHit(position, currentPrice)) {
       //   // Guard: ensure there is an actual exchange position to close
@@ -312,6 +349,10 @@ export class PositionService {
         }
       }
 
+      if (isTrailingStopMode) {
+        const trailed = await this.evaluateTrailingStop(position, currentPrice);
+        if (trailed?.status === 'closed') return trailed;
+      } else {
         // NEW LOGIC: Trailing Take Profit from initial TP towards entry
         try {
           const prevTP = Number(position.take_profit_price || 0);
@@ -666,8 +707,9 @@ export class PositionService {
         } catch (e) {
           logger.warn(`[TP Trail] Error processing TP trail: ${e?.message || e}`);
         }
-        
-        // NOTE: minutes_elapsed is updated in final updatePayload below (not here) to avoid double update
+      }
+
+      // NOTE: minutes_elapsed is updated in final updatePayload below (not here) to avoid double update
 
       // Calculate current_reduce and clamp to prevent overflow (computed above)
       // Re-use clampedReduce computed from reduce + actualMinutesElapsed * up_reduce
@@ -758,6 +800,7 @@ export class PositionService {
       }
         
       const updated = await Position.update(position.id, updatePayload);
+      realtimeHub.publishPosition('updated', updated);
       return updated;
       } finally {
         // Always release lock if acquired (CRITICAL: prevents stuck locks)
@@ -1036,6 +1079,180 @@ export class PositionService {
     }
   }
 
+  /**
+   * Price-based trailing stop (strategies.exit_mode = 'trailing_stop').
+   * Tracks the best price since entry, ratchets the stop (activation %, callback % or k × ATR) and moves the
+   * unified exit order (STOP_MARKET) once the stop has moved at least SL_UPDATE_THRESHOLD_TICKS ticks.
+   * Called by updatePosition and by PositionMonitor on every realtime price tick.
+   * @param {Object} position - Open position (joined with strategy exit_mode / trail_* fields)
+   * @param {number} currentPrice - Latest price
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Re-place the exit order even if the stop did not move (missing order)
+   * @returns {Promise<Object>} Updated position, or the closed position if the stop was already crossed
+   */
+  async evaluateTrailingStop(position, currentPrice, options = {}) {
+    const price = Number(currentPrice);
+    if (!position || position.status !== 'open') {
+      if (position?.id) this.trailingStopState.delete(position.id);
+      return position;
+    }
+    if (!Number.isFinite(price) || price <= 0) return position;
+    // Ticks arrive faster than orders can be replaced: skip while a previous evaluation is still running
+    if (this.trailingStopInFlight.has(position.id)) return position;
+    this.trailingStopInFlight.add(position.id);
+
+    try {
+      const state = this.trailingStopState.get(position.id) || {
+        bestPrice: Number(position.trail_best_price) > 0 ? Number(position.trail_best_price) : null,
+        stopPrice: Number(position.trail_stop_price) > 0 ? Number(position.trail_stop_price) : null
+      };
+
+      const { bestPrice, stopPrice } = calculatePriceTrailingStop({
+        side: position.side,
+        entryPrice: position.entry_price,
+        currentPrice: price,
+        bestPrice: state.bestPrice,
+        prevStop: state.stopPrice,
+        activationPct: Number(position.trail_activation_pct || 0),
+        callbackPct: Number(position.trail_callback_pct || 0),
+        atr: this._getTrailingAtr(position),
+        atrMult: Number(position.trail_atr_mult || 0)
+      });
+      state.bestPrice = bestPrice;
+      this.trailingStopState.set(position.id, state);
+
+      if (stopPrice === null || !Number.isFinite(stopPrice) || stopPrice <= 0) {
+        return position; // Not armed yet
+      }
+
+      if (state.stopPrice !== null && !options.force) {
+        const thresholdTicks = Number(configService.getNumber('SL_UPDATE_THRESHOLD_TICKS', 1));
+        const tickSizeStr = exchangeInfoService.getTickSize(position.symbol) || await this.exchangeService.getTickSize(position.symbol);
+        const tick = parseFloat(tickSizeStr || '0') || 0;
+        const movedStop = Math.abs(stopPrice - state.stopPrice);
+        if (movedStop <= 0 || movedStop < thresholdTicks * tick) {
+          return position;
+        }
+      }
+
+      const { ExitOrderManager } = await import('./ExitOrderManager.js');
+      const mgr = new ExitOrderManager(this.exchangeService);
+      const placed = await mgr.placeOrReplaceExitOrder(position, stopPrice, { stop: true });
+
+      if (placed?.shouldCloseImmediately) {
+        const closePrice = Number(placed.currentPrice) || price;
+        const pnl = calculatePnL(position.entry_price, closePrice, position.amount, position.side);
+        logger.warn(
+          `[TrailingStop] 🚨 Price crossed trailing stop before order update | pos=${position.id} symbol=${position.symbol} ` +
+          `side=${position.side} stop=${stopPrice.toFixed(8)} price=${closePrice.toFixed(8)} → closing with MARKET order`
+        );
+        const closed = await this.closePosition(position, closePrice, pnl, 'trailing_stop');
+        this.trailingStopState.delete(position.id);
+        return closed;
+      }
+
+      const newExitOrderId = placed?.orderId ? String(placed.orderId) : null;
+      const updatePayload = { trail_best_price: bestPrice, trail_stop_price: stopPrice };
+      if (newExitOrderId) updatePayload.exit_order_id = newExitOrderId;
+      const updated = await Position.update(position.id, updatePayload);
+      const wasArmed = state.stopPrice !== null;
+      state.stopPrice = stopPrice;
+
+      logger.info(
+        `[TrailingStop] ${wasArmed ? '📈 Moved' : '🎯 Armed'} trailing stop | pos=${position.id} symbol=${position.symbol} ` +
+        `side=${position.side} best=${bestPrice.toFixed(8)} stop=${stopPrice.toFixed(8)} exit_order_id=${newExitOrderId || 'null'}`
+      );
+      return updated || position;
+    } catch (error) {
+      logger.warn(`[TrailingStop] Failed to evaluate trailing stop for position ${position.id}: ${error?.message || error}`);
+      return position;
+    } finally {
+      this.trailingStopInFlight.delete(position.id);
+    }
+  }
+
+  /**
+   * Break-even stop (strategies.break_even_pct): once the position has moved break_even_pct% in our favour,
+   * move its stop to entry ± BREAK_EVEN_FEE_PCT. Armed once per position (positions.break_even_armed_at).
+   * @param {Object} position - Open position (joined with strategy break_even_pct)
+   * @param {number} currentPrice - Latest price
+   * @returns {Promise<Object>} Updated position, or the closed position if price already fell back through break-even
+   */
+  async evaluateBreakEven(position, currentPrice) {
+    const triggerPct = Number(position?.break_even_pct || 0);
+    if (!(triggerPct > 0) || position.break_even_armed_at || position.status !== 'open') return position;
+    if (calculateFavourableMovePct(position.entry_price, currentPrice, position.side) < triggerPct) return position;
+
+    const feePct = Number(configService.getNumber('BREAK_EVEN_FEE_PCT', 0.1));
+    const breakEvenPrice = calculateBreakEvenPrice(position.entry_price, position.side, feePct);
+    if (!breakEvenPrice) return position;
+
+    logger.info(
+      `[BreakEven] 🎯 Arming break-even stop | pos=${position.id} symbol=${position.symbol} side=${position.side} ` +
+      `entry=${position.entry_price} price=${currentPrice} trigger=${triggerPct}% stop=${breakEvenPrice.toFixed(8)} (fees ${feePct}%)`
+    );
+    const updated = await this.placeBreakEvenStop(position, breakEvenPrice);
+    if (updated?.status === 'open' && updated.break_even_armed_at && this.telegramService?.sendBreakEvenAlert) {
+      await this.telegramService.sendBreakEvenAlert(updated, currentPrice);
+    }
+    return updated;
+  }
+
+  /**
+   * Place (or re-place) the break-even stop through ExitOrderManager and record it on the position
+   * @param {Object} position - Open position
+   * @param {number} breakEvenPrice - Stop level
+   * @returns {Promise<Object>} Updated position, or the closed position if the stop was already crossed
+   */
+  async placeBreakEvenStop(position, breakEvenPrice) {
+    if (this.breakEvenInFlight.has(position.id)) return position;
+    this.breakEvenInFlight.add(position.id);
+
+    try {
+      const { ExitOrderManager } = await import('./ExitOrderManager.js');
+      const mgr = new ExitOrderManager(this.exchangeService);
+      const placed = await mgr.placeOrReplaceBreakEvenStop(position, breakEvenPrice);
+
+      if (placed?.shouldCloseImmediately) {
+        const closePrice = Number(placed.currentPrice);
+        const pnl = calculatePnL(position.entry_price, closePrice, position.amount, position.side);
+        return await this.closePosition(position, closePrice, pnl, 'break_even_stop');
+      }
+      if (!placed?.orderId) return position;
+
+      const payload = {
+        sl_order_id: placed.orderId,
+        stop_loss_price: breakEvenPrice,
+        break_even_price: breakEvenPrice,
+        break_even_armed_at: position.break_even_armed_at || new Date()
+      };
+      // Keep the caller's snapshot in sync (updatePosition continues with it)
+      Object.assign(position, payload);
+      return await Position.update(position.id, payload);
+    } catch (error) {
+      logger.warn(`[BreakEven] Failed to place break-even stop for position ${position.id}: ${error?.message || error}`);
+      return position;
+    } finally {
+      this.breakEvenInFlight.delete(position.id);
+    }
+  }
+
+  /**
+   * ATR of the strategy interval for ATR-based trailing stops (null while warming up / not configured)
+   * @param {Object} position
+   * @returns {number|null}
+   */
+  _getTrailingAtr(position) {
+    if (!(Number(position.trail_atr_mult) > 0) || !position.interval) return null;
+    const exchange = resolveMarketDataExchange(this.exchangeService?.bot?.exchange || position.exchange || 'binance');
+    const symbol = String(position.symbol || '').toUpperCase().replace(/:USDT$/, '').replace(/[\/:_]/g, '');
+    const metrics = symbolMetricsManager.getMetrics(exchange, symbol, String(position.interval).toLowerCase());
+    const minBars = Number(configService.getNumber('INDICATOR_FILTER_MIN_BARS', 14));
+    if (!metrics || metrics.count < minBars) return null;
+    const atr = Number(metrics.getATR());
+    return Number.isFinite(atr) && atr > 0 ? atr : null;
+  }
+
   /**
    * Calculate updated stop loss based on previous SL and up_reduce (trailing stop)
    * This function calculates the next SL step by moving from the previous SL towards entry price
@@ -1218,19 +1435,27 @@ export class PositionService {
     }
   }
 
+  /**
+   * Cancel the partial TP ladder leg orders (positions.exit_legs) still open on the exchange.
+   * Best-effort: a failed cancel is logged and does not fail the caller.
+   * @param {Object} position - Position with exit_legs
+   */
+  async cancelOpenExitLegOrders(position) {
+    for (const orderId of getOpenExitLegOrderIds(position?.exit_legs)) {
+      try {
+        await this.exchangeService.cancelOrder(orderId, position.symbol);
+      } catch (e) {
+        logger.warn(`[Close Position] Failed to cancel TP leg order ${orderId} of position ${position.id}: ${e?.message || e}`);
+      }
+    }
+  }
+
   async closePosition(position, currentPrice, pnl, reason) {
     try {
 
       // CRITICAL FIX: Skip CloseGuard for force close reasons
-      // Force close reasons are intentional and should bypass verification checks
-      // - tp_cross_entry_force_close: TP crossed entry, force close to prevent loss
-      // - price_exceeded_initial_tp: Price exceeded initial TP, close with MARKET to lock in better profit
-      // - tp_trailing_loss_zone: TP trailing into loss zone, force close to prevent worse loss
-      // - tp_sl_cancelled_force_close: TP/SL order cancelled but position needs to be closed (risk management)
-      const isForceClose = reason === 'tp_cross_entry_force_close' || 
-                          reason === 'price_exceeded_initial_tp' ||
-                          reason === 'tp_trailing_loss_zone' ||
-                          reason === 'tp_sl_cancelled_force_close';
+      // Force close reasons are intentional and should bypass verification checks (see FORCE_CLOSE_REASONS)
+      const isForceClose = FORCE_CLOSE_REASONS.has(reason);
       
       if (isForceClose) {
         logger.info(`[CloseGuard] ⚠️ FORCE CLOSE: Skipping CloseGuard for position ${position.id} (reason: ${reason})`);
@@ -1305,7 +1530,7 @@ export class PositionService {
                     // Order was cancelled, not filled
                     // If this is a force close reason, allow it (TP/SL cancelled but position needs to be closed)
                     // Otherwise, block to prevent false alerts
-                    if (reason && (reason === 'tp_trailing_loss_zone' || reason === 'price_exceeded_initial_tp' || reason === 'tp_sl_cancelled_force_close')) {
+                    if (FORCE_CLOSE_REASONS.has(reason)) {
                       logger.warn(
                         `[CloseGuard] ⚠️ TP order ${position.exit_order_id} for position ${position.id} was ${normalizedStatus}, but allowing force close (reason: ${reason})`
                       );
@@ -1342,7 +1567,7 @@ export class PositionService {
                     // Order was cancelled, not filled
                     // If this is a force close reason, allow it (TP/SL cancelled but position needs to be closed)
                     // Otherwise, block to prevent false alerts
-                    if (reason && (reason === 'tp_trailing_loss_zone' || reason === 'price_exceeded_initial_tp' || reason === 'tp_sl_cancelled_force_close')) {
+                    if (FORCE_CLOSE_REASONS.has(reason)) {
                       logger.warn(
                         `[CloseGuard] ⚠️ SL order ${position.sl_order_id} for position ${position.id} was ${normalizedStatus}, but allowing force close (reason: ${reason})`
                       );
@@ -1365,7 +1590,7 @@ export class PositionService {
             // If position has exposure but no verified fill, check if this is a force close reason
             if (!verifiedClose) {
               // Allow force close even if TP/SL orders were cancelled (for risk management)
-              if (reason && (reason === 'tp_trailing_loss_zone' || reason === 'price_exceeded_initial_tp' || reason === 'tp_sl_cancelled_force_close')) {
+              if (FORCE_CLOSE_REASONS.has(reason)) {
                 logger.warn(
                   `[CloseGuard] ⚠️ Position ${position.id} has exposure but TP/SL orders cancelled, allowing force close (reason: ${reason})`
                 );
@@ -1482,6 +1707,8 @@ export class PositionService {
 
       // Update in database
       const closed = await Position.close(position.id, safeClosePrice, recomputedPnL, reason);
+      this.trailingStopState.delete(position.id);
+      realtimeHub.publishPosition('closed', closed);
 
       logger.info(`Position closed:`, {
         positionId: position.id,
@@ -1491,6 +1718,9 @@ export class PositionService {
         closePrice: safeClosePrice
       });
 
+      // Reduce-only TP ladder legs left on the exchange could fill against a later position on this symbol
+      await this.cancelOpenExitLegOrders(closed?.exit_legs ? closed : position);
+
       // After position is confirmed closed, cancel any remaining TP/SL orders
       try {
         logger.info(`[Close Position] Cleaning up any remaining open orders for symbol ${position.symbol}`);
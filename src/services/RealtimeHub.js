@@ -0,0 +1,356 @@
+import { WebSocketServer } from 'ws';
+import { USER_ROLES } from '../config/constants.js';
+import logger from '../utils/logger.js';
+
+const ALL_BOTS_ROOM = 'bots:*';
+const botRoom = (botId) => `bot:${Number(botId)}`;
+
+/**
+ * Realtime Hub - WebSocket push channel from the backend to the dashboard
+ *
+ * Endpoint: ws(s)://<host>/ws?token=<JWT> (same token as the REST API, viewer role or above).
+ * Server → client: { event, data, botId, ts }
+ *   position:opened | position:updated | position:closed  - PositionService, EntryOrderMonitor, OrderService
+ *   exit:moved                                            - TP/SL order placed or moved (ExitOrderManager)
+ *   oc:match                                              - OC match picked up by WebSocketOCConsumer
+ *   price-alert:fired                                     - volatility alert (PriceAlertScanner)
+ *   bot:health                                            - bot halted/resumed/errored
+ * Client → server:
+ *   { type: 'subscribe', botIds: [1, 2] }  - only receive events of these bots (empty/missing = all bots)
+ *   { type: 'unsubscribe', botIds: [1] }
+ *   { type: 'ping' }
+ * Events without a botId (price alerts) go to every client.
+ * The heartbeat re-checks connected users and closes sockets of deactivated users or users below viewer.
+ *
+ * publish() is fire-and-forget and never throws, so callers on the trading path can use it inline.
+ */
+export class RealtimeHub {
+  constructor() {
+    this.wss = null;
+    this.path = '/ws';
+    this.rooms = new Map(); // room -> Set<ws>
+    this._throttle = new Map(); // throttleKey -> { lastSent, timer, pending }
+    this._heartbeatTimer = null;
+    this.heartbeatMs = 30000;
+  }
+
+  /**
+   * Attach the hub to the HTTP server (handles upgrade requests on `path`)
+   * @param {import('http').Server} server
+   * @param {Object} [options]
+   * @param {string} [options.path='/ws']
+   */
+  attach(server, { path = '/ws' } = {}) {
+    if (this.wss) return;
+    this.path = path;
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+    this.wss.on('connection', (ws, req, user) => this._onConnection(ws, user));
+
+    server.on('upgrade', (req, socket, head) => {
+      this._handleUpgrade(req, socket, head).catch((error) => {
+        logger.warn(`[RealtimeHub] Upgrade failed: ${error?.message || error}`);
+        socket.destroy();
+      });
+    });
+
+    this._heartbeatTimer = setInterval(() => this._heartbeat(), this.heartbeatMs);
+    this._heartbeatTimer.unref?.();
+    logger.info(`[RealtimeHub] ✅ Realtime WebSocket endpoint listening on ${this.path}`);
+  }
+
+  /**
+   * Resolve the user of a connection token (viewer role or above)
+   * @param {string|null} token - JWT from the query string
+   * @returns {Promise<Object|null>} { id, username, role } or null
+   */
+  async authenticateToken(token) {
+    // Lazy imports keep the hub free of DB dependencies for publishers (e.g. ExitOrderManager)
+    const { authService } = await import('./AuthService.js');
+    if (authService.isDisabled()) {
+      return { id: null, username: 'auth-disabled', role: USER_ROLES.ADMIN };
+    }
+
+    const claims = token ? authService.verifyToken(token) : null;
+    if (!claims) return null;
+
+    const { User } = await import('../models/User.js');
+    const user = await User.findById(claims.sub);
+    if (!user || !user.is_active || !authService.hasRole(user.role, USER_ROLES.VIEWER)) return null;
+    return { id: user.id, username: user.username, role: user.role };
+  }
+
+  async _handleUpgrade(req, socket, head) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (url.pathname !== this.path) {
+      socket.destroy();
+      return;
+    }
+
+    const user = await this.authenticateToken(url.searchParams.get('token'));
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit('connection', ws, req, user));
+  }
+
+  _onConnection(ws, user) {
+    ws.user = user;
+    ws.rooms = new Set();
+    ws.isAlive = true;
+    this._join(ws, ALL_BOTS_ROOM);
+
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', (raw) => this._onMessage(ws, raw));
+    ws.on('close', () => this._leaveAll(ws));
+    ws.on('error', (error) => logger.debug(`[RealtimeHub] Client error (${user.username}): ${error?.message || error}`));
+
+    logger.debug(`[RealtimeHub] Client connected: ${user.username} (${user.role}), clients=${this.getClientCount()}`);
+    this._send(ws, 'hello', { user: { username: user.username, role: user.role }, rooms: [...ws.rooms] });
+  }
+
+  _onMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(String(raw));
+    } catch (_) {
+      return;
+    }
+
+    const botIds = Array.isArray(message?.botIds)
+      ? message.botIds.map(Number).filter(id => Number.isInteger(id) && id > 0)
+      : [];
+
+    if (message?.type === 'subscribe') {
+      this._leaveAll(ws);
+      if (botIds.length === 0) {
+        this._join(ws, ALL_BOTS_ROOM);
+      } else {
+        botIds.forEach(id => this._join(ws, botRoom(id)));
+      }
+      this._send(ws, 'subscribed', { rooms: [...ws.rooms] });
+    } else if (message?.type === 'unsubscribe') {
+      botIds.forEach(id => this._leave(ws, botRoom(id)));
+      this._send(ws, 'subscribed', { rooms: [...ws.rooms] });
+    } else if (message?.type === 'ping') {
+      this._send(ws, 'pong', {});
+    }
+  }
+
+  _join(ws, room) {
+    if (!this.rooms.has(room)) this.rooms.set(room, new Set());
+    this.rooms.get(room).add(ws);
+    ws.rooms.add(room);
+  }
+
+  _leave(ws, room) {
+    const members = this.rooms.get(room);
+    if (members) {
+      members.delete(ws);
+      if (members.size === 0) this.rooms.delete(room);
+    }
+    ws.rooms.delete(room);
+  }
+
+  _leaveAll(ws) {
+    for (const room of [...(ws.rooms || [])]) this._leave(ws, room);
+  }
+
+  _heartbeat() {
+    for (const ws of this.wss?.clients || []) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      try { ws.ping(); } catch (_) {}
+    }
+    this.revalidateClients().catch((error) => {
+      logger.warn(`[RealtimeHub] Client revalidation failed: ${error?.message || error}`);
+    });
+  }
+
+  /**
+   * Re-check the users of open connections (checked once at upgrade otherwise): close the sockets of
+   * deactivated users or users below viewer, and pick up role changes. DB errors keep the sockets open.
+   * @returns {Promise<number>} Closed connections
+   */
+  async revalidateClients() {
+    const clients = [...(this.wss?.clients || [])].filter(ws => ws.user?.id !== null && ws.user?.id !== undefined);
+    if (clients.length === 0) return 0;
+
+    const { authService } = await import('./AuthService.js');
+    const { User } = await import('../models/User.js');
+    const users = new Map();
+    for (const id of new Set(clients.map(ws => ws.user.id))) {
+      users.set(id, await User.findById(id));
+    }
+
+    let closed = 0;
+    for (const ws of clients) {
+      const user = users.get(ws.user.id);
+      if (!user || !user.is_active || !authService.hasRole(user.role, USER_ROLES.VIEWER)) {
+        logger.info(`[RealtimeHub] Closing connection of ${ws.user.username}: user deactivated or no longer allowed`);
+        this._leaveAll(ws);
+        try { ws.close(4403, 'Access revoked'); } catch (_) {}
+        closed++;
+      } else {
+        ws.user.role = user.role;
+      }
+    }
+    return closed;
+  }
+
+  _send(ws, event, data, botId = null) {
+    if (ws.readyState !== 1) return; // WebSocket.OPEN
+    try {
+      ws.send(JSON.stringify({ event, data, botId, ts: Date.now() }));
+    } catch (error) {
+      logger.debug(`[RealtimeHub] Send failed: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Number of connected clients
+   * @returns {number}
+   */
+  getClientCount() {
+    return this.wss?.clients?.size || 0;
+  }
+
+  /**
+   * Clients that should receive an event of the given bot
+   * @param {number|null} botId
+   * @returns {Set}
+   */
+  getRecipients(botId) {
+    if (botId === null || botId === undefined) return new Set(this.wss?.clients || []);
+    return new Set([...(this.rooms.get(ALL_BOTS_ROOM) || []), ...(this.rooms.get(botRoom(botId)) || [])]);
+  }
+
+  /**
+   * Broadcast an event to the clients subscribed to the bot (fire-and-forget, never throws)
+   * @param {string} event - Event name (e.g. 'position:closed')
+   * @param {Object} data - Payload
+   * @param {Object} [options]
+   * @param {number|null} [options.botId=null] - Bot room (null = every client)
+   * @param {string|null} [options.throttleKey=null] - Coalesce bursts per key; the latest payload is sent
+   * @param {number} [options.throttleMs=0] - Minimum interval between sends for throttleKey
+   */
+  publish(event, data, { botId = null, throttleKey = null, throttleMs = 0 } = {}) {
+    try {
+      if (this.getClientCount() === 0) return;
+
+      if (throttleKey && throttleMs > 0) {
+        const now = Date.now();
+        const entry = this._throttle.get(throttleKey) || { lastSent: 0, timer: null, pending: null };
+        this._throttle.set(throttleKey, entry);
+
+        if (now - entry.lastSent < throttleMs) {
+          entry.pending = { event, data, botId };
+          if (!entry.timer) {
+            entry.timer = setTimeout(() => {
+              const pending = entry.pending;
+              entry.timer = null;
+              entry.pending = null;
+              entry.lastSent = Date.now();
+              if (pending) this._broadcast(pending.event, pending.data, pending.botId);
+            }, throttleMs - (now - entry.lastSent));
+            entry.timer.unref?.();
+          }
+          return;
+        }
+        entry.lastSent = now;
+      }
+
+      this._broadcast(event, data, botId);
+    } catch (error) {
+      logger.warn(`[RealtimeHub] Failed to publish ${event}: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Publish a position event with a compact payload
+   * @param {'opened'|'updated'|'closed'} action
+   * @param {Object} position - Position row
+   * @param {Object} [extra] - Extra fields merged into the payload (e.g. { pnl })
+   */
+  publishPosition(action, position, extra = {}) {
+    if (!position || this.getClientCount() === 0) return;
+    const payload = { position: toPositionPayload(position), ...extra };
+    if (action === 'closed' && payload.pnl === undefined) payload.pnl = payload.position.pnl;
+
+    // Updates of open positions fire on every monitor tick and are coalesced per position.
+    // Terminal states (closed/cancelled) are sent right away and drop any pending update.
+    const throttleKey = `position:${position.id}`;
+    const isTerminal = position.status === 'closed' || position.status === 'cancelled';
+    if (isTerminal) this._dropThrottle(throttleKey);
+
+    const coalesce = action === 'updated' && !isTerminal;
+    this.publish(`position:${action}`, payload, {
+      botId: position.bot_id ?? null,
+      throttleKey: coalesce ? throttleKey : null,
+      throttleMs: coalesce ? 2000 : 0
+    });
+  }
+
+  _dropThrottle(key) {
+    const entry = this._throttle.get(key);
+    if (entry?.timer) clearTimeout(entry.timer);
+    this._throttle.delete(key);
+  }
+
+  _broadcast(event, data, botId) {
+    for (const ws of this.getRecipients(botId)) {
+      this._send(ws, event, data, botId ?? null);
+    }
+  }
+
+  /**
+   * Close all connections and stop timers
+   */
+  close() {
+    if (this._heartbeatTimer) clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+    for (const entry of this._throttle.values()) {
+      if (entry.timer) clearTimeout(entry.timer);
+    }
+    this._throttle.clear();
+    for (const ws of this.wss?.clients || []) {
+      try { ws.terminate(); } catch (_) {}
+    }
+    this.rooms.clear();
+    this.wss?.close();
+    this.wss = null;
+  }
+}
+
+/**
+ * Position row → dashboard payload (camelCase, numeric)
+ * @param {Object} position - Position row
+ * @returns {Object}
+ */
+export function toPositionPayload(position) {
+  const num = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+  return {
+    id: position.id,
+    strategyId: position.strategy_id ?? null,
+    botId: position.bot_id ?? null,
+    symbol: position.symbol,
+    side: position.side,
+    status: position.status,
+    entryPrice: num(position.entry_price),
+    currentPrice: num(position.close_price ?? position.current_price ?? position.entry_price),
+    takeProfitPrice: num(position.take_profit_price),
+    stopLossPrice: num(position.stop_loss_price),
+    amount: num(position.amount),
+    pnl: num(position.net_pnl ?? position.pnl) ?? 0,
+    openedAt: position.opened_at ?? position.created_at ?? null,
+    closedAt: position.closed_at ?? null,
+    closeReason: position.close_reason ?? null
+  };
+}
+
+export const realtimeHub = new RealtimeHub();
@@ -33,11 +33,20 @@ export class RealtimeOCDetector {
     this.alertState = new Map();
     this.alertWatchers = [];
     this.maxAlertStateCacheSize = 1000;
+    this._cacheCleanupTimer = null;
     this.startCacheCleanup();
   }
 
   startCacheCleanup() {
-    setInterval(() => this.cleanupOldCacheEntries(), 5 * 60 * 1000);
+    if (this._cacheCleanupTimer) return;
+    this._cacheCleanupTimer = setInterval(() => this.cleanupOldCacheEntries(), 5 * 60 * 1000);
+  }
+
+  stopCacheCleanup() {
+    if (this._cacheCleanupTimer) {
+      clearInterval(this._cacheCleanupTimer);
+      this._cacheCleanupTimer = null;
+    }
   }
 
   cleanupOldCacheEntries() {
@@ -45,7 +54,9 @@ export class RealtimeOCDetector {
     const maxAge = 15 * 60 * 1000;
     let cleaned = 0;
     for (const [key, value] of this.openPriceCache.entries()) {
-      if (now - value.lastUpdate > maxAge) {
+      // An open is valid until its bucket ends: 1h/4h/1d opens outlive maxAge, past buckets are never read again
+      const interval = key.split('|')[2];
+      if (now >= Number(value.bucketStart) + this.getIntervalMs(interval)) {
         this.openPriceCache.delete(key);
         cleaned++;
       }
@@ -110,7 +121,7 @@ export class RealtimeOCDetector {
 
         // 2) If we have latest candle for this interval and it matches the bucketStart, use its open
         const latest = webSocketManager.getLatestCandle(sym, interval);
-        if (latest && Number(latest.startTime) === Number(bucketStart)) {
+        if (latest && Number(latest.startTime) === Number(bucketStart) && !latest.openFromTick) {
           const lo = Number(latest.open);
           if (Number.isFinite(lo) && lo > 0) {
             this.openPriceCache.set(key, { open: lo, bucketStart, lastUpdate: timestamp, source: 'binance_ws_latest_candle_open' });
@@ -140,6 +151,32 @@ export class RealtimeOCDetector {
           this.openPriceCache.set(key, { open: prevClose, bucketStart, lastUpdate: timestamp, source: 'mexc_ws_prev_close' });
           return { open: prevClose, error: null, source: 'mexc_ws_prev_close' };
         }
+      } else if (ex === 'bybit') {
+        const { bybitPriceWs } = await import('./BybitWebSocketManager.js');
+        const wsOpen = bybitPriceWs.getKlineOpen(sym, interval, bucketStart);
+        if (Number.isFinite(wsOpen) && wsOpen > 0) {
+          this.openPriceCache.set(key, { open: wsOpen, bucketStart, lastUpdate: timestamp, source: 'bybit_ws_kline' });
+          return { open: wsOpen, error: null, source: 'bybit_ws_kline' };
+        }
+        const intervalMs = this.getIntervalMs(interval);
+        const prevClose = bybitPriceWs.getKlineClose(sym, interval, bucketStart - intervalMs);
+        if (Number.isFinite(prevClose) && prevClose > 0) {
+          this.openPriceCache.set(key, { open: prevClose, bucketStart, lastUpdate: timestamp, source: 'bybit_ws_prev_close' });
+          return { open: prevClose, error: null, source: 'bybit_ws_prev_close' };
+        }
+      } else if (ex === 'gate') {
+        const { gatePriceWs } = await import('./GateWebSocketManager.js');
+        const wsOpen = gatePriceWs.getKlineOpen(sym, interval, bucketStart);
+        if (Number.isFinite(wsOpen) && wsOpen > 0) {
+          this.openPriceCache.set(key, { open: wsOpen, bucketStart, lastUpdate: timestamp, source: 'gate_ws_kline' });
+          return { open: wsOpen, error: null, source: 'gate_ws_kline' };
+        }
+        const intervalMs = this.getIntervalMs(interval);
+        const prevClose = gatePriceWs.getKlineClose(sym, interval, bucketStart - intervalMs);
+        if (Number.isFinite(prevClose) && prevClose > 0) {
+          this.openPriceCache.set(key, { open: prevClose, bucketStart, lastUpdate: timestamp, source: 'gate_ws_prev_close' });
+          return { open: prevClose, error: null, source: 'gate_ws_prev_close' };
+        }
       }
     } catch (wsErr) {
       logger.debug(`[RealtimeOCDetector] WS open fallback failed for ${ex} ${sym} ${interval}: ${wsErr?.message || wsErr}`);
@@ -148,6 +185,42 @@ export class RealtimeOCDetector {
     return { open: null, error: new Error('No WebSocket open price available') };
   }
 
+  /**
+   * Volume of the current bucket vs trailing average (from WS kline/trade volume)
+   * @returns {Promise<{ volume: number, avgVolume: number, ratio: number|null, samples: number }|null>}
+   *          null when the exchange has no volume data or too few previous buckets
+   */
+  async getVolumeRatio(exchange, symbol, interval, timestamp = Date.now()) {
+    const ex = (exchange || '').toLowerCase();
+    const sym = String(symbol || '').toUpperCase().replace(/[/:_]/g, '');
+    const itv = String(interval || '').toLowerCase();
+    const bucketStart = this.getBucketStart(itv, timestamp);
+    const lookback = Number(configService.getNumber('VOLUME_RATIO_LOOKBACK', 20));
+    const minSamples = Number(configService.getNumber('VOLUME_RATIO_MIN_SAMPLES', 5));
+
+    try {
+      let info = null;
+      if (ex === 'binance') {
+        const { webSocketManager } = await import('./WebSocketManager.js');
+        info = webSocketManager.getVolumeRatio(sym, itv, bucketStart, lookback);
+      } else if (ex === 'mexc') {
+        const { mexcPriceWs } = await import('./MexcWebSocketManager.js');
+        info = mexcPriceWs.getVolumeRatio(sym, itv, bucketStart, lookback);
+      } else if (ex === 'bybit') {
+        const { bybitPriceWs } = await import('./BybitWebSocketManager.js');
+        info = bybitPriceWs.getVolumeRatio(sym, itv, bucketStart, lookback);
+      } else if (ex === 'gate') {
+        const { gatePriceWs } = await import('./GateWebSocketManager.js');
+        info = gatePriceWs.getVolumeRatio(sym, itv, bucketStart, lookback);
+      }
+      if (!info || info.samples < minSamples || !Number.isFinite(info.ratio)) return null;
+      return info;
+    } catch (e) {
+      logger.debug(`[RealtimeOCDetector] Volume ratio lookup failed for ${ex} ${sym} ${itv}: ${e?.message || e}`);
+      return null;
+    }
+  }
+
   normalizeSymbolForAlert(symbol) {
     if (!symbol) return symbol;
     return symbol.toUpperCase().replace(/[/:_]/g, '').replace(/USD$/, 'USDT');
@@ -274,9 +347,11 @@ export class RealtimeOCDetector {
               `source=${source || 'unknown'}, thr=${absThreshold}%, step=${stepPercent}%)`
             );
             if (this.telegramService) {
+              const volumeInfo = await this.getVolumeRatio(w.exchange, sym, interval, ts);
               this.telegramService.sendVolatilityAlert(w.chatId, {
                 symbol: sym, interval, oc, open, currentPrice: p,
-                direction: oc >= 0 ? 'bullish' : 'bearish'
+                direction: oc >= 0 ? 'bullish' : 'bearish',
+                volumeRatio: volumeInfo?.ratio ?? null
               }).catch(e => logger.error(`[Telegram] Failed to send alert to ${w.chatId}:`, e));
             }
             state.lastAlertTime = Date.now();
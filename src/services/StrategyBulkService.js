@@ -0,0 +1,488 @@
+import pool from '../config/database.js';
+import { Bot } from '../models/Bot.js';
+import { Strategy, strategyAuditState } from '../models/Strategy.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { StrategyPreset, PRESET_CONFIG_FIELDS } from '../models/StrategyPreset.js';
+import { SymbolFilter } from '../models/SymbolFilter.js';
+import { strategyCache } from './StrategyCache.js';
+import { configService } from './ConfigService.js';
+import { toStrategySymbol } from './StrategyOptimizerService.js';
+import { resolveMarketDataExchange } from '../utils/marketDataExchange.js';
+import { validateStrategyConfig, validateInterval, validateTradeType, validateAmount, validatePercentage, validateTpLadder } from '../utils/validator.js';
+import { badRequest } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+export const SYMBOL_SELECTORS = ['list', 'all_usdt', 'top_volume'];
+export const BULK_PATCH_FIELDS = ['is_active', 'amount', 'amount_multiplier', 'take_profit'];
+
+function normalizeSymbols(symbols) {
+  const list = Array.isArray(symbols) ? symbols : String(symbols || '').split(',');
+  return [...new Set(list
+    .map(s => String(s).trim().toUpperCase().replace('/', '').split(':')[0])
+    .filter(Boolean))];
+}
+
+/**
+ * Symbol glob (BTC*, *USDT, BTC/USDT) -> LIKE pattern on the BTCUSDT form
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function toSymbolLike(pattern) {
+  return String(pattern).trim().toUpperCase()
+    .replace(/[/:]/g, '')
+    .replace(/[%_\\]/g, c => `\\${c}`)
+    .replace(/\*/g, '%')
+    .replace(/\?/g, '_');
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * StrategyBulkService
+ *
+ * Applies a strategy preset to many symbols of a bot at once:
+ * - symbols come from a selector: explicit list, all USDT perps in symbol_filters, or top-N by 24h quote volume
+ * - a strategy with the same bot/symbol/interval/trade_type/oc (the strategies unique key) is updated, otherwise created
+ * - everything is written in one transaction, then StrategyCache and the WebSocket subscriptions are refreshed
+ * - every created/updated strategy gets an audit_log row in the same transaction
+ *
+ * Bulk edits of existing strategies (bulkUpdate) select them by filter, apply a patch in one transaction
+ * and hot-update StrategyCache entry by entry.
+ */
+export class StrategyBulkService {
+  /**
+   * Load the preset named (or with the id) given in the request
+   * @param {string|number} preset - Preset name or id
+   * @returns {Promise<Object>}
+   * @throws {Error} with status 400/404
+   */
+  async loadPreset(preset) {
+    if (preset === undefined || preset === null || preset === '') {
+      throw badRequest('preset is required (name or id)');
+    }
+    const row = /^\d+$/.test(String(preset))
+      ? await StrategyPreset.findById(Number(preset))
+      : await StrategyPreset.findByName(String(preset));
+    if (!row) throw badRequest(`Preset ${preset} not found`, 404);
+    return row;
+  }
+
+  /**
+   * Resolve the symbols targeted by a selector
+   * @param {Object} bot - Bot row (its exchange provides symbol_filters / 24h volumes)
+   * @param {Object} selector - { type: 'list', symbols } | { type: 'all_usdt' } | { type: 'top_volume', limit }
+   * @param {Array<string>} exclude - Symbols to leave out
+   * @returns {Promise<Array<string>>} Normalized symbols (BTCUSDT)
+   * @throws {Error} with status 400 on invalid selector or too many symbols
+   */
+  async resolveSymbols(bot, selector = {}, exclude = []) {
+    const type = selector?.type || 'list';
+    if (!SYMBOL_SELECTORS.includes(type)) {
+      throw badRequest(`selector.type must be one of ${SYMBOL_SELECTORS.join(', ')}`);
+    }
+    const maxSymbols = Number(configService.getNumber('STRATEGY_BULK_MAX_SYMBOLS', 500));
+
+    let symbols;
+    if (type === 'list') {
+      symbols = normalizeSymbols(selector.symbols);
+      if (!symbols.every(s => /^[A-Z0-9]{2,30}$/.test(s))) {
+        throw badRequest('selector.symbols must list symbols (e.g. ["BTCUSDT", "ETH/USDT"])');
+      }
+    } else {
+      const limit = parseInt(selector.limit, 10);
+      if (type === 'top_volume' && (!Number.isFinite(limit) || limit < 1 || limit > maxSymbols)) {
+        throw badRequest(`selector.limit must be between 1 and ${maxSymbols}`);
+      }
+
+      const exchange = resolveMarketDataExchange(bot.exchange);
+      const usdtPerps = (await SymbolFilter.getSymbolsByExchange(exchange)).filter(s => s.endsWith('USDT'));
+
+      if (type === 'all_usdt') {
+        symbols = usdtPerps;
+      } else {
+        const volumes = await this.get24hQuoteVolumes(bot);
+        const tradable = new Set(usdtPerps);
+        symbols = [...volumes.entries()]
+          .filter(([symbol]) => symbol.endsWith('USDT') && (tradable.size === 0 || tradable.has(symbol)))
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, limit)
+          .map(([symbol]) => symbol);
+      }
+    }
+
+    const excluded = new Set(normalizeSymbols(exclude));
+    symbols = symbols.filter(s => !excluded.has(s));
+
+    if (symbols.length === 0) {
+      throw badRequest('Selector matched no symbols');
+    }
+    if (symbols.length > maxSymbols) {
+      throw badRequest(`Selector matched ${symbols.length} symbols, max ${maxSymbols} (STRATEGY_BULK_MAX_SYMBOLS)`);
+    }
+    return symbols;
+  }
+
+  /**
+   * 24h quote volumes from the bot's exchange
+   * @param {Object} bot
+   * @returns {Promise<Map<string, number>>}
+   */
+  async get24hQuoteVolumes(bot) {
+    const { ExchangeService } = await import('./ExchangeService.js');
+    const exchangeService = new ExchangeService(bot);
+    await exchangeService.initialize();
+    return exchangeService.get24hQuoteVolumes();
+  }
+
+  /**
+   * Strategy parameters applied to every symbol: preset config + overrides
+   * @param {Object} preset - strategy_presets row
+   * @param {Object} overrides - Request overrides (e.g. { amount: 20 })
+   * @returns {Object} Strategy columns (PRESET_CONFIG_FIELDS only) with trade_type defaulted
+   * @throws {Error} with status 400 when the result is not a valid strategy
+   */
+  buildConfig(preset, overrides = {}) {
+    const merged = { ...(preset.config || {}), ...(overrides || {}) };
+    const config = {};
+    for (const field of PRESET_CONFIG_FIELDS) {
+      if (merged[field] !== undefined) config[field] = merged[field];
+    }
+    config.trade_type = config.trade_type || 'both';
+
+    const error = validateStrategyConfig(config);
+    if (error) throw badRequest(`${error} (preset ${preset.name})`);
+    return config;
+  }
+
+  /**
+   * Apply a preset to the selected symbols of a bot
+   * @param {Object} body - { preset, bot_id, selector, exclude, overrides, is_active = true }
+   * @param {Object} options - { strategiesWorker } to refresh WebSocket subscriptions after the write, { actor } for audit_log
+   * @returns {Promise<Object>} { preset, bot_id, symbols, created: [{ id, symbol }], updated: [{ id, symbol }] }
+   * @throws {Error} with status 400/404
+   */
+  async bulkApply(body = {}, { strategiesWorker = null, actor = null } = {}) {
+    if (body.is_active !== undefined && ![true, false, 0, 1].includes(body.is_active)) {
+      throw badRequest('Invalid is_active');
+    }
+
+    const botId = parseInt(body.bot_id, 10);
+    const bot = botId ? await Bot.findById(botId) : null;
+    if (!bot) throw badRequest('Bot not found', 404);
+
+    const preset = await this.loadPreset(body.preset ?? body.preset_id);
+    const config = this.buildConfig(preset, body.overrides);
+    const isActive = body.is_active === undefined ? true : Boolean(body.is_active);
+    const symbols = await this.resolveSymbols(bot, body.selector, body.exclude);
+
+    const created = [];
+    const updated = [];
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const existing = await Strategy.findByBotAndSymbols(
+        bot.id,
+        symbols,
+        { interval: config.interval, tradeType: config.trade_type },
+        connection
+      );
+      const bySymbol = new Map();
+      for (const row of existing) {
+        if (Number(row.oc) !== Number(config.oc)) continue;
+        bySymbol.set(String(row.symbol).replace('/', '').split(':')[0].toUpperCase(), row);
+      }
+
+      for (const symbol of symbols) {
+        const match = bySymbol.get(symbol);
+        if (match) {
+          const strategy = await Strategy.update(match.id, { ...config, is_active: isActive }, connection);
+          await AuditLog.create({
+            entityType: 'strategy',
+            entityId: match.id,
+            action: 'bulk_apply',
+            actor,
+            before: strategyAuditState(match),
+            after: { ...strategyAuditState(strategy), preset: preset.name },
+            version: strategy.version
+          }, connection);
+          updated.push({ id: match.id, symbol: match.symbol });
+        } else {
+          const strategy = await Strategy.create({
+            ...config,
+            bot_id: bot.id,
+            symbol: toStrategySymbol(symbol),
+            is_active: isActive
+          }, connection);
+          await AuditLog.create({
+            entityType: 'strategy',
+            entityId: strategy.id,
+            action: 'bulk_apply',
+            actor,
+            after: { ...strategyAuditState(strategy), preset: preset.name },
+            version: strategy.version
+          }, connection);
+          created.push({ id: strategy.id, symbol: strategy.symbol });
+        }
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    logger.info(`[StrategyBulkService] ✅ Preset ${preset.name} applied to bot ${bot.id}: ${created.length} created, ${updated.length} updated`);
+
+    await this.reloadStrategies(strategiesWorker);
+
+    return { preset: preset.name, bot_id: bot.id, symbols, created, updated };
+  }
+
+  /**
+   * Validate a bulk filter
+   * @param {Object} filter - { bot_id, symbol (glob), interval, trade_type, oc_min, oc_max, is_active }
+   * @returns {Object} Strategy.findByFilter filter
+   * @throws {Error} with status 400
+   */
+  normalizeFilter(filter = {}) {
+    if (!filter || typeof filter !== 'object') throw badRequest('filter must be an object');
+
+    const normalized = {};
+    if (filter.bot_id !== undefined) {
+      normalized.botId = parseInt(filter.bot_id, 10);
+      if (!normalized.botId) throw badRequest('Invalid filter.bot_id');
+    }
+    if (filter.symbol !== undefined) {
+      if (!/^[A-Za-z0-9/:*?]{1,30}$/.test(String(filter.symbol))) {
+        throw badRequest('Invalid filter.symbol (use * and ? wildcards, e.g. "*USDT", "BTC*")');
+      }
+      normalized.symbolPattern = toSymbolLike(filter.symbol);
+    }
+    if (filter.interval !== undefined) {
+      if (!validateInterval(filter.interval)) throw badRequest('Invalid filter.interval');
+      normalized.interval = filter.interval;
+    }
+    if (filter.trade_type !== undefined) {
+      if (!validateTradeType(filter.trade_type)) throw badRequest('Invalid filter.trade_type');
+      normalized.tradeType = filter.trade_type;
+    }
+    for (const [field, key] of [['oc_min', 'ocMin'], ['oc_max', 'ocMax']]) {
+      if (filter[field] === undefined) continue;
+      if (!validatePercentage(filter[field], 0, 100)) throw badRequest(`Invalid filter.${field}`);
+      normalized[key] = filter[field];
+    }
+    if (normalized.ocMin !== undefined && normalized.ocMax !== undefined && normalized.ocMin > normalized.ocMax) {
+      throw badRequest('filter.oc_min must be <= filter.oc_max');
+    }
+    if (filter.is_active !== undefined) {
+      normalized.isActive = Boolean(filter.is_active);
+    }
+
+    if (Object.keys(normalized).length === 0) {
+      throw badRequest('filter needs at least one of bot_id, symbol, interval, trade_type, oc_min, oc_max, is_active');
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate a bulk patch
+   * @param {Object} patch - { is_active, amount | amount_multiplier, take_profit }
+   * @returns {Object}
+   * @throws {Error} with status 400
+   */
+  normalizePatch(patch = {}) {
+    if (!patch || typeof patch !== 'object') throw badRequest('patch must be an object');
+
+    const unknown = Object.keys(patch).filter(key => !BULK_PATCH_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown patch fields: ${unknown.join(', ')} (allowed: ${BULK_PATCH_FIELDS.join(', ')})`);
+    }
+    if (Object.keys(patch).length === 0) throw badRequest('patch is empty');
+    if (patch.amount !== undefined && patch.amount_multiplier !== undefined) {
+      throw badRequest('Use either patch.amount or patch.amount_multiplier');
+    }
+
+    const normalized = {};
+    if (patch.is_active !== undefined) {
+      if (![true, false, 0, 1].includes(patch.is_active)) throw badRequest('Invalid patch.is_active');
+      normalized.is_active = Boolean(patch.is_active);
+    }
+    if (patch.amount !== undefined) {
+      if (!validateAmount(patch.amount)) throw badRequest('Invalid patch.amount');
+      normalized.amount = patch.amount;
+    }
+    if (patch.amount_multiplier !== undefined) {
+      if (!(typeof patch.amount_multiplier === 'number' && patch.amount_multiplier > 0 && patch.amount_multiplier <= 100)) {
+        throw badRequest('Invalid patch.amount_multiplier (0 < x <= 100)');
+      }
+      normalized.amount_multiplier = patch.amount_multiplier;
+    }
+    if (patch.take_profit !== undefined) {
+      if (!validatePercentage(patch.take_profit, 0, 1000)) throw badRequest('Invalid patch.take_profit');
+      normalized.take_profit = patch.take_profit;
+    }
+    return normalized;
+  }
+
+  /**
+   * Column changes the patch makes on one strategy
+   * @param {Object} strategy - Strategy row
+   * @param {Object} patch - normalizePatch result
+   * @returns {{ before: Object, after: Object }} Only the columns that change (empty when nothing changes)
+   */
+  diffStrategy(strategy, patch) {
+    const target = {};
+    if (patch.is_active !== undefined) target.is_active = patch.is_active;
+    if (patch.amount !== undefined) target.amount = patch.amount;
+    if (patch.amount_multiplier !== undefined) target.amount = round2(Number(strategy.amount) * patch.amount_multiplier);
+    if (patch.take_profit !== undefined) target.take_profit = patch.take_profit;
+
+    const before = {};
+    const after = {};
+    for (const [field, value] of Object.entries(target)) {
+      const current = field === 'is_active' ? Boolean(Number(strategy.is_active)) : Number(strategy[field]);
+      if (current === value) continue;
+      before[field] = current;
+      after[field] = value;
+    }
+    return { before, after };
+  }
+
+  /**
+   * Apply a patch to every strategy matching a filter, atomically
+   * @param {Object} body - { filter, patch, dry_run = false }
+   * @param {Object} options - { strategiesWorker } to resubscribe when strategies are enabled, { actor } for audit_log
+   * @returns {Promise<Object>} { dry_run, matched, ids, changes: [{ id, bot_id, symbol, interval, oc, before, after }] }
+   * @throws {Error} with status 400 (invalid filter/patch, amount scaled below the minimum, take_profit not above a TP ladder or too many matches)
+   */
+  async bulkUpdate(body = {}, { strategiesWorker = null, actor = null } = {}) {
+    const filter = this.normalizeFilter(body.filter);
+    const patch = this.normalizePatch(body.patch);
+    const dryRun = body.dry_run === true || body.dry_run === 'true';
+    const maxSymbols = Number(configService.getNumber('STRATEGY_BULK_MAX_SYMBOLS', 500));
+
+    const collectChanges = (strategies) => {
+      if (strategies.length > maxSymbols) {
+        throw badRequest(`Filter matched ${strategies.length} strategies, max ${maxSymbols} (STRATEGY_BULK_MAX_SYMBOLS)`);
+      }
+      return strategies
+        .map(strategy => ({
+          id: strategy.id,
+          bot_id: strategy.bot_id,
+          symbol: strategy.symbol,
+          interval: strategy.interval,
+          oc: Number(strategy.oc),
+          ...this.diffStrategy(strategy, patch)
+        }))
+        .filter(change => Object.keys(change.after).length > 0);
+    };
+    const summarize = (strategies, changes) => ({
+      dry_run: dryRun,
+      matched: strategies.length,
+      ids: strategies.map(s => s.id),
+      changes
+    });
+
+    if (dryRun) {
+      const strategies = await Strategy.findByFilter(filter);
+      return summarize(strategies, collectChanges(strategies));
+    }
+
+    let strategies;
+    let changes;
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      strategies = await Strategy.findByFilter(filter, { connection, forUpdate: true });
+      changes = collectChanges(strategies);
+      const invalid = changes.find(change => change.after.amount !== undefined && !validateAmount(change.after.amount));
+      if (invalid) {
+        throw badRequest(`amount_multiplier makes strategy ${invalid.id} amount ${invalid.after.amount}, must be > 0`);
+      }
+      // Ladder legs must stay below the new take_profit on every locked row
+      if (patch.take_profit !== undefined) {
+        const badLadder = strategies.find(strategy => !validateTpLadder(strategy.tp_ladder, patch.take_profit));
+        if (badLadder) {
+          throw badRequest(`take_profit ${patch.take_profit} is not above the TP ladder of strategy ${badLadder.id} (legs need 0 < tp < take_profit)`);
+        }
+      }
+
+      const byId = new Map(strategies.map(strategy => [strategy.id, strategy]));
+      for (const change of changes) {
+        const strategy = await Strategy.update(change.id, change.after, connection);
+        await AuditLog.create({
+          entityType: 'strategy',
+          entityId: change.id,
+          action: 'bulk_update',
+          actor,
+          before: strategyAuditState(byId.get(change.id)),
+          after: strategyAuditState(strategy),
+          version: strategy?.version
+        }, connection);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (changes.length > 0) {
+      logger.info(`[StrategyBulkService] ✅ Bulk update applied to ${changes.length}/${strategies.length} strategies: ${JSON.stringify(patch)}`);
+      await this.hotUpdateCache(changes.map(change => change.id), strategiesWorker);
+    }
+
+    return summarize(strategies, changes);
+  }
+
+  /**
+   * Apply updated strategies to StrategyCache one by one (no full refresh)
+   * Newly enabled strategies may need new WebSocket subscriptions: StrategiesWorker.checkAndSubscribe
+   * @param {Array<number>} ids - Updated strategy IDs
+   * @param {Object|null} strategiesWorker
+   */
+  async hotUpdateCache(ids, strategiesWorker) {
+    try {
+      const strategies = await Strategy.findByIds(ids);
+      let enabled = 0;
+      for (const strategy of strategies) {
+        if (Number(strategy.is_active)) {
+          strategyCache.updateStrategy(strategy);
+          enabled++;
+        } else {
+          strategyCache.removeStrategy(strategy);
+        }
+      }
+      if (enabled > 0 && strategiesWorker) {
+        await strategiesWorker.checkAndSubscribe();
+      }
+    } catch (error) {
+      // The write is committed; the periodic refresh will pick it up
+      logger.warn(`[StrategyBulkService] ⚠️ Failed to hot-update strategy cache: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Reload StrategyCache and the WebSocket subscriptions without a restart
+   * @param {Object|null} strategiesWorker - Running StrategiesWorker (null when the worker is not started)
+   */
+  async reloadStrategies(strategiesWorker) {
+    try {
+      await strategyCache.refresh(true);
+      if (strategiesWorker) {
+        await strategiesWorker.checkAndSubscribe();
+      }
+    } catch (error) {
+      // The write is committed; the periodic refresh will pick it up
+      logger.warn(`[StrategyBulkService] ⚠️ Failed to reload strategies: ${error?.message || error}`);
+    }
+  }
+}
+
+export const strategyBulkService = new StrategyBulkService();
@@ -1,27 +1,33 @@
 import { Strategy } from '../models/Strategy.js';
 import logger from '../utils/logger.js';
+import { resolveMarketDataExchange } from '../utils/marketDataExchange.js';
+import { KLINE_INTERVALS } from '../config/constants.js';
 
 /**
  * StrategyCache
  * 
  * In-memory cache cho strategies để tối ưu hiệu năng realtime detection.
- * Cache key: exchange|symbol|oc|bot_id
+ * Cache key: exchange|symbol|interval|oc|bot_id (exchange = market data exchange, paper bots map to PAPER_PRICE_SOURCE)
  * 
  * Optimized for O(1) lookup with secondary indexes:
  * - byKey: Map<key, strategy> - primary cache
  * - bySymbol: Map<exchange|symbol, Set<key>> - secondary index for getStrategies()
+ * - keyById: Map<strategy id, key> - finds the old entry when a hot-update changes the key
  * 
  * Thread-safe với Map operations (JavaScript single-threaded nhưng async-safe)
  */
 export class StrategyCache {
   constructor() {
     // Primary cache: key -> strategy
-    // key = `${exchange}|${symbol}|${oc}|${bot_id}`
+    // key = `${exchange}|${symbol}|${interval}|${oc}|${bot_id}`
     this.cache = new Map();
     
     // Secondary index: exchange|symbol -> Set<key>
     // Enables O(1) lookup for getStrategies() instead of O(n)
     this.indexBySymbol = new Map();
+
+    // Strategy id -> key (hot-updates of oc/interval/symbol move the entry)
+    this.keyById = new Map();
     
     this.lastRefreshTime = 0;
     this.refreshTTL = 1800000; // 30 minutes
@@ -33,6 +39,7 @@ export class StrategyCache {
    * Generate cache key for strategy
    * @param {string} exchange - Exchange name
    * @param {string} symbol - Symbol (normalized)
+   * @param {string} interval - Strategy interval
    * @param {number} oc - OC threshold
    * @param {number} botId - Bot ID
    * @returns {string} Cache key
@@ -56,6 +63,25 @@ export class StrategyCache {
     return `${normalizedExchange}|${normalizedSymbol}`;
   }
 
+  /**
+   * Cache key of a strategy row
+   * @private
+   * @param {Object} strategy - Strategy object (exchange, symbol, interval, oc, bot_id)
+   * @returns {string|null} Cache key, null when the strategy cannot be cached
+   */
+  _keyOf(strategy) {
+    const exchange = resolveMarketDataExchange(strategy.exchange);
+    const symbol = String(strategy.symbol || '').toUpperCase().replace(/[\/:_]/g, '');
+    const oc = Number(strategy.oc || 0);
+    const botId = Number(strategy.bot_id || 0);
+
+    // CRITICAL FIX: Allow oc === 0
+    if (!exchange || !symbol || Number.isNaN(oc) || !botId) {
+      return null;
+    }
+    return this.generateKey(exchange, symbol, strategy.interval, oc, botId);
+  }
+
   /**
    * Add strategy to indexes
    * @private
@@ -65,9 +91,10 @@ export class StrategyCache {
   _addToIndexes(key, strategy) {
     // Add to primary cache
     this.cache.set(key, strategy);
+    this.keyById.set(Number(strategy.id), key);
     
     // Add to secondary index
-    const exchange = (strategy.exchange || '').toLowerCase();
+    const exchange = resolveMarketDataExchange(strategy.exchange);
     const symbol = String(strategy.symbol || '').toUpperCase().replace(/[\/:_]/g, '');
     const symKey = this.generateSymbolKey(exchange, symbol);
     
@@ -88,9 +115,12 @@ export class StrategyCache {
     
     // Remove from primary cache
     this.cache.delete(key);
+    if (this.keyById.get(Number(strategy.id)) === key) {
+      this.keyById.delete(Number(strategy.id));
+    }
     
     // Remove from secondary index
-    const exchange = (strategy.exchange || '').toLowerCase();
+    const exchange = resolveMarketDataExchange(strategy.exchange);
     const symbol = String(strategy.symbol || '').toUpperCase().replace(/[\/:_]/g, '');
     const symKey = this.generateSymbolKey(exchange, symbol);
     
@@ -129,6 +159,7 @@ export class StrategyCache {
     // This prevents cache from being empty if refresh fails
     const newCache = new Map();
     const newIndexBySymbol = new Map();
+    const newKeyById = new Map();
 
     // Create refresh promise to prevent concurrent refreshes
     this._refreshPromise = (async () => {
@@ -140,7 +171,7 @@ export class StrategyCache {
       
         // Build new cache and index
       for (const strategy of strategies) {
-        const exchange = (strategy.exchange || '').toLowerCase();
+        const exchange = resolveMarketDataExchange(strategy.exchange);
         const symbol = String(strategy.symbol || '').toUpperCase().replace(/[\/:_]/g, '');
         const oc = Number(strategy.oc || 0);
         const botId = Number(strategy.bot_id || 0);
@@ -153,6 +184,7 @@ export class StrategyCache {
 
         const key = this.generateKey(exchange, symbol, strategy.interval, oc, botId);
           newCache.set(key, strategy);
+          newKeyById.set(Number(strategy.id), key);
           
           // Build secondary index
           const symKey = this.generateSymbolKey(exchange, symbol);
@@ -165,6 +197,7 @@ export class StrategyCache {
         // Atomic swap: only replace if build succeeded
         this.cache = newCache;
         this.indexBySymbol = newIndexBySymbol;
+        this.keyById = newKeyById;
       this.lastRefreshTime = Date.now();
       const duration = Date.now() - startTime;
 
@@ -220,16 +253,40 @@ export class StrategyCache {
     return matches;
   }
 
+  /**
+   * Kline intervals a price stream subscribes for a symbol (<EXCHANGE>_WS_KLINE_INTERVALS)
+   * - 'auto': 1m (price alerts) plus the intervals of the cached strategies on the symbol
+   * - otherwise a comma-separated list (e.g. '1m,5m'); empty disables klines
+   * @param {string} setting - Config value
+   * @param {string} exchange - Market data exchange of the stream
+   * @param {string} symbol - Symbol (normalized)
+   * @returns {string[]} Intervals of KLINE_INTERVALS (1m, 5m, 1h...)
+   */
+  getKlineIntervals(setting, exchange, symbol) {
+    const raw = String(setting ?? '').trim().toLowerCase();
+    const intervals = new Set();
+    if (raw === 'auto') {
+      intervals.add('1m');
+      for (const strategy of this.getStrategies(exchange, symbol, false)) {
+        intervals.add(String(strategy.interval || '').toLowerCase());
+      }
+    } else {
+      for (const interval of raw.split(',')) intervals.add(interval.trim());
+    }
+    return Array.from(intervals).filter(interval => KLINE_INTERVALS.includes(interval));
+  }
+
   /**
    * Get strategy by key
    * @param {string} exchange - Exchange name
    * @param {string} symbol - Symbol
+   * @param {string} interval - Strategy interval
    * @param {number} oc - OC threshold
    * @param {number} botId - Bot ID
    * @returns {Object|null} Strategy or null
    */
-  getStrategy(exchange, symbol, oc, botId) {
-    const key = this.generateKey(exchange, symbol, strategy.interval, oc, botId);
+  getStrategy(exchange, symbol, interval, oc, botId) {
+    const key = this.generateKey(exchange, symbol, interval, oc, botId);
     return this.cache.get(key) || null;
   }
 
@@ -255,6 +312,7 @@ export class StrategyCache {
   clear() {
     this.cache.clear();
     this.indexBySymbol.clear();
+    this.keyById.clear();
     this.lastRefreshTime = 0;
     logger.info('[StrategyCache] Cache cleared');
   }
@@ -274,18 +332,12 @@ export class StrategyCache {
    * @returns {boolean} True if added/updated, false if invalid
    */
   addStrategy(strategy) {
-    const exchange = (strategy.exchange || '').toLowerCase();
-    const symbol = String(strategy.symbol || '').toUpperCase().replace(/[\/:_]/g, '');
-    const oc = Number(strategy.oc || 0);
-    const botId = Number(strategy.bot_id || 0);
-
-    // CRITICAL FIX: Allow oc === 0
-    if (!exchange || !symbol || Number.isNaN(oc) || !botId) {
-      logger.warn(`[StrategyCache] Cannot add invalid strategy ${strategy.id}: exchange=${exchange}, symbol=${symbol}, oc=${oc}, botId=${botId}`);
+    const key = this._keyOf(strategy);
+    if (!key) {
+      logger.warn(`[StrategyCache] Cannot add invalid strategy ${strategy.id}: exchange=${strategy.exchange}, symbol=${strategy.symbol}, oc=${strategy.oc}, botId=${strategy.bot_id}`);
       return false;
     }
 
-    const key = this.generateKey(exchange, symbol, strategy.interval, oc, botId);
     this._addToIndexes(key, strategy);
     logger.debug(`[StrategyCache] Added strategy ${strategy.id} to cache (key: ${key})`);
     return true;
@@ -298,19 +350,19 @@ export class StrategyCache {
    * @returns {boolean} True if removed, false if not found
    */
   removeStrategy(strategy) {
-    const exchange = (strategy.exchange || '').toLowerCase();
-    const symbol = String(strategy.symbol || '').toUpperCase().replace(/[\/:_]/g, '');
-    const oc = Number(strategy.oc || 0);
-    const botId = Number(strategy.bot_id || 0);
-
-    if (!exchange || !symbol || Number.isNaN(oc) || !botId) {
+    const key = this._keyOf(strategy) || this.keyById.get(Number(strategy.id));
+    if (!key) {
       logger.warn(`[StrategyCache] Cannot remove invalid strategy ${strategy.id}`);
       return false;
     }
 
-    const key = this.generateKey(exchange, symbol, oc, botId);
-    const existed = this.cache.has(key);
+    // The cached entry may sit under an older key (oc/interval/symbol changed since it was cached)
+    const previousKey = this.keyById.get(Number(strategy.id));
+    const existed = this.cache.has(key) || previousKey !== undefined;
     this._removeFromIndexes(key);
+    if (previousKey && previousKey !== key) {
+      this._removeFromIndexes(previousKey);
+    }
     
     if (existed) {
       logger.debug(`[StrategyCache] Removed strategy ${strategy.id} from cache (key: ${key})`);
@@ -325,37 +377,34 @@ export class StrategyCache {
    * @returns {boolean} True if updated, false if invalid or not found
    */
   updateStrategy(strategy) {
-    const exchange = (strategy.exchange || '').toLowerCase();
-    const symbol = String(strategy.symbol || '').toUpperCase().replace(/[\/:_]/g, '');
-    const oc = Number(strategy.oc || 0);
-    const botId = Number(strategy.bot_id || 0);
-
-    // CRITICAL FIX: Allow oc === 0
-    if (!exchange || !symbol || Number.isNaN(oc) || !botId) {
+    const key = this._keyOf(strategy);
+    if (!key) {
       logger.warn(`[StrategyCache] Cannot update invalid strategy ${strategy.id}`);
       return false;
     }
 
-    const key = this.generateKey(exchange, symbol, oc, botId);
-    
-    // Check if key changed (exchange/symbol/oc/bot_id changed)
-    const oldStrategy = this.cache.get(key);
-    if (oldStrategy && oldStrategy.id === strategy.id) {
-      // Same key, just update
-      this._addToIndexes(key, strategy);
-      logger.debug(`[StrategyCache] Updated strategy ${strategy.id} in cache (key: ${key})`);
+    // Only active strategies are cached
+    if (strategy.is_active !== undefined && !Number(strategy.is_active)) {
+      this.removeStrategy(strategy);
       return true;
-    } else if (oldStrategy) {
+    }
+
+    // Key changed (symbol/interval/oc/bot_id updated): drop the old entry
+    const previousKey = this.keyById.get(Number(strategy.id));
+    if (previousKey && previousKey !== key) {
+      this._removeFromIndexes(previousKey);
+    }
+
+    const oldStrategy = this.cache.get(key);
+    if (oldStrategy && oldStrategy.id !== strategy.id) {
       // Key collision (different strategy with same key) - this shouldn't happen but handle it
       logger.warn(`[StrategyCache] Key collision for ${key}: existing strategy ${oldStrategy.id}, new strategy ${strategy.id}`);
-      this._addToIndexes(key, strategy);
-      return true;
-    } else {
-      // New key, add it
-      this._addToIndexes(key, strategy);
-      logger.debug(`[StrategyCache] Added strategy ${strategy.id} to cache (new key: ${key})`);
-      return true;
+      this._removeFromIndexes(key);
     }
+
+    this._addToIndexes(key, strategy);
+    logger.debug(`[StrategyCache] Updated strategy ${strategy.id} in cache (key: ${key})`);
+    return true;
   }
 
   /**
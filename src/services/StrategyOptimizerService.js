@@ -0,0 +1,506 @@
+import fs from 'fs/promises';
+import { Candle } from '../models/Candle.js';
+import { OptimizerRun } from '../models/OptimizerRun.js';
+import { BacktestService } from './BacktestService.js';
+import { configService } from './ConfigService.js';
+import { validateInterval, validateTradeType } from '../utils/validator.js';
+import { badRequest } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Strategy parameters the optimizer can sweep
+ */
+export const OPTIMIZABLE_PARAMS = ['oc', 'extend', 'take_profit', 'reduce', 'up_reduce', 'stoploss', 'is_reverse_strategy'];
+
+/**
+ * Ranking objectives: net PnL (after fee_rate), per-trade Sharpe ratio, profit factor
+ */
+export const OBJECTIVES = ['net_pnl', 'sharpe', 'profit_factor'];
+
+const PRESETS_FILE = new URL('../../STRATEGY_CONFIG_PRESETS.json', import.meta.url);
+const DEFAULT_PRESET = 'recommended_default';
+const KLINE_PAGE_SIZE = 1000;
+const round = (value, digits = 6) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+/**
+ * Expand one parameter range to its values
+ * @param {Array|Object|number|boolean} spec - Value list, { min, max, step } or a single value
+ * @param {string} param - Parameter name (for error messages)
+ * @returns {Array<number|boolean>}
+ * @throws {Error} with status 400 on invalid ranges
+ */
+export function expandRange(spec, param = 'value') {
+  if (param === 'is_reverse_strategy') {
+    const values = (Array.isArray(spec) ? spec : [spec]).map(v => v === true || v === 1 || v === '1' || v === 'true');
+    return [...new Set(values)];
+  }
+
+  let values;
+  if (Array.isArray(spec)) {
+    values = spec.map(Number);
+  } else if (spec && typeof spec === 'object') {
+    const min = Number(spec.min);
+    const max = Number(spec.max);
+    const step = Number(spec.step);
+    if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min) {
+      throw badRequest(`Invalid range for ${param}: expected { min, max, step } with step > 0 and max >= min`);
+    }
+    // Round to the step precision so 0.1 steps do not drift (0.30000000000000004)
+    const decimals = Math.min(8, Math.max(...[step, min].map(v => (String(v).split('.')[1] || '').length)));
+    values = [];
+    for (let i = 0; min + i * step <= max + 1e-9; i++) {
+      values.push(Number((min + i * step).toFixed(decimals)));
+    }
+  } else {
+    values = [Number(spec)];
+  }
+
+  if (values.length === 0 || !values.every(v => Number.isFinite(v) && v >= 0)) {
+    throw badRequest(`Invalid values for ${param}: expected non-negative numbers`);
+  }
+  return [...new Set(values)];
+}
+
+/**
+ * Cartesian product of parameter values
+ * @param {Object<string, Array>} values - { param: [values] }
+ * @returns {Array<Object>} Combinations
+ */
+export function buildGrid(values) {
+  return Object.entries(values).reduce(
+    (combos, [param, list]) => combos.flatMap(combo => list.map(value => ({ ...combo, [param]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Random distinct combinations drawn from the parameter values
+ * @param {Object<string, Array>} values - { param: [values] }
+ * @param {number} samples - Wanted combinations (capped by the grid size)
+ * @param {Function} [random=Math.random]
+ * @returns {Array<Object>}
+ */
+export function sampleCombinations(values, samples, random = Math.random) {
+  const entries = Object.entries(values);
+  const gridSize = entries.reduce((size, [, list]) => size * list.length, 1);
+  const wanted = Math.min(samples, gridSize);
+  const seen = new Map();
+  let attempts = 0;
+  while (seen.size < wanted && attempts < wanted * 50) {
+    attempts++;
+    const combo = {};
+    for (const [param, list] of entries) combo[param] = list[Math.floor(random() * list.length)];
+    const key = JSON.stringify(combo);
+    if (!seen.has(key)) seen.set(key, combo);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Backtest metrics used for ranking
+ * @param {Array<Object>} trades - Trades of BacktestService.runStrategy (any order)
+ * @returns {Object} BacktestService.computeStats + profitFactor (null = no losing trade) and per-trade sharpe
+ */
+export function computeMetrics(trades) {
+  const ordered = [...trades].sort((a, b) => a.closedAt - b.closedAt);
+  const stats = BacktestService.computeStats(ordered);
+  const returns = ordered.map(t => (t.amount > 0 ? t.pnl / t.amount : 0));
+  const mean = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+  const variance = returns.length > 1
+    ? returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1)
+    : 0;
+  const std = Math.sqrt(variance);
+
+  return {
+    ...stats,
+    profitFactor: stats.grossLoss > 0 ? stats.grossProfit / stats.grossLoss : (stats.grossProfit > 0 ? null : 0),
+    sharpe: std > 0 ? mean / std : 0
+  };
+}
+
+/**
+ * Objective value of a combination (null when it has fewer than minTrades trades)
+ * @param {Object} metrics - computeMetrics result
+ * @param {string} objective - One of OBJECTIVES
+ * @param {number} minTrades
+ * @returns {number|null} Infinity for a profit factor without losing trades
+ */
+export function scoreMetrics(metrics, objective, minTrades = 0) {
+  if (metrics.totalTrades === 0 || metrics.totalTrades < minTrades) return null;
+  if (objective === 'sharpe') return metrics.sharpe;
+  if (objective === 'profit_factor') return metrics.profitFactor === null ? Infinity : metrics.profitFactor;
+  return metrics.totalPnl;
+}
+
+/**
+ * Strategy symbol format expected by StrategyController.create (BTCUSDT → BTC/USDT)
+ * @param {string} symbol
+ * @returns {string}
+ */
+export function toStrategySymbol(symbol) {
+  const s = String(symbol || '').toUpperCase();
+  if (s.includes('/')) return s;
+  const quote = ['USDT', 'USDC'].find(q => s.endsWith(q) && s.length > q.length);
+  return quote ? `${s.slice(0, -quote.length)}/${quote}` : s;
+}
+
+/**
+ * StrategyOptimizerService
+ *
+ * Sweeps OC strategy parameters (grid or random search) over historical klines and ranks the combinations:
+ * - klines come from the candles table; missing ranges are fetched with ExchangeService.fetchOHLCV and cached there
+ * - every combination is replayed with BacktestService.runStrategy on each symbol, trades are pooled across symbols
+ * - combinations with fewer than min_trades trades are not ranked
+ * Parameters not swept come from a STRATEGY_CONFIG_PRESETS.json preset (`base_preset`) overridden by `base`.
+ * Runs are stored in optimizer_runs; top results can be imported as strategies (OptimizerController.importResults).
+ */
+export class StrategyOptimizerService {
+  constructor() {
+    this.activeRunId = null;
+  }
+
+  /**
+   * Preset config from STRATEGY_CONFIG_PRESETS.json
+   * @param {string} name - Preset key
+   * @returns {Promise<Object>}
+   */
+  async loadPreset(name = DEFAULT_PRESET) {
+    const { presets = {} } = JSON.parse(await fs.readFile(PRESETS_FILE, 'utf8'));
+    if (!presets[name]) {
+      throw badRequest(`Unknown preset ${name}. Available: ${Object.keys(presets).join(', ')}`);
+    }
+    return { ...presets[name].config };
+  }
+
+  /**
+   * Validate an optimizer request and expand its combinations
+   * @param {Object} body - { bot_id, symbols, interval, candle_interval, from, to, method, samples, objective,
+   *   min_trades, ranges, base_preset, base, fee_rate, slippage, entry_ttl, top_n }
+   * @param {Object} bot - Bot row providing the exchange
+   * @returns {Promise<Object>} Normalized request with `combinations`
+   * @throws {Error} with status 400 on invalid values
+   */
+  async normalizeRequest(body = {}, bot) {
+    const base = { ...await this.loadPreset(body.base_preset || DEFAULT_PRESET), ...(body.base || {}) };
+
+    const symbols = (Array.isArray(body.symbols) ? body.symbols : String(body.symbols || '').split(','))
+      .map(s => String(s).trim().toUpperCase().replace('/', ''))
+      .filter(Boolean);
+    if (symbols.length === 0 || symbols.length > 20 || !symbols.every(s => /^[A-Z0-9]{2,30}$/.test(s))) {
+      throw badRequest('symbols must list 1-20 symbols (e.g. ["BTCUSDT", "ETHUSDT"])');
+    }
+
+    const interval = body.interval || base.interval;
+    const candleInterval = body.candle_interval || interval;
+    if (!validateInterval(interval) || !validateInterval(candleInterval)
+      || Candle.getTimeframeMs(candleInterval) > Candle.getTimeframeMs(interval)) {
+      throw badRequest('Invalid interval / candle_interval (candle_interval must not be longer than interval)');
+    }
+
+    const tradeType = body.trade_type || base.trade_type || 'both';
+    if (!validateTradeType(tradeType)) throw badRequest('Invalid trade_type');
+
+    const parseTime = (value) => {
+      if (value === undefined || value === null || value === '') return null;
+      const ms = Number.isFinite(Number(value)) ? Number(value) : Date.parse(value);
+      if (!Number.isFinite(ms)) throw badRequest(`Invalid date: ${value}`);
+      return ms;
+    };
+    const to = parseTime(body.to) ?? Date.now();
+    const from = parseTime(body.from) ?? to - 7 * 24 * 3600 * 1000;
+    if (from >= to) throw badRequest('from must be before to');
+
+    const method = body.method || 'grid';
+    if (!['grid', 'random'].includes(method)) throw badRequest('method must be grid or random');
+    const objective = body.objective || 'net_pnl';
+    if (!OBJECTIVES.includes(objective)) throw badRequest(`objective must be one of ${OBJECTIVES.join(', ')}`);
+    const minTrades = Math.max(0, parseInt(body.min_trades ?? 0, 10) || 0);
+
+    const ranges = body.ranges || {};
+    if (typeof ranges !== 'object' || Array.isArray(ranges)) throw badRequest('ranges must be an object');
+    const unknown = Object.keys(ranges).filter(key => !OPTIMIZABLE_PARAMS.includes(key));
+    if (unknown.length > 0) throw badRequest(`Unknown parameters in ranges: ${unknown.join(', ')}`);
+    if (Object.keys(ranges).length === 0) throw badRequest(`ranges must sweep at least one of ${OPTIMIZABLE_PARAMS.join(', ')}`);
+
+    const values = {};
+    for (const param of OPTIMIZABLE_PARAMS) {
+      if (ranges[param] !== undefined) {
+        values[param] = expandRange(ranges[param], param);
+      } else if (param === 'is_reverse_strategy') {
+        values[param] = [bot?.is_reverse_strategy === undefined ? true : expandRange(bot.is_reverse_strategy, param)[0]];
+      } else {
+        values[param] = [Number(base[param] || 0)];
+      }
+    }
+    if (values.oc.some(v => v <= 0)) throw badRequest('oc values must be > 0');
+
+    const maxCombinations = Number(configService.getNumber('OPTIMIZER_MAX_COMBINATIONS', 5000));
+    const gridSize = Object.values(values).reduce((size, list) => size * list.length, 1);
+    let combinations;
+    if (method === 'random') {
+      const samples = Math.max(1, parseInt(body.samples ?? 100, 10) || 100);
+      if (samples > maxCombinations) throw badRequest(`samples must be <= ${maxCombinations}`);
+      combinations = sampleCombinations(values, samples);
+    } else {
+      if (gridSize > maxCombinations) {
+        throw badRequest(`Grid has ${gridSize} combinations (max ${maxCombinations}); narrow the ranges or use method=random`);
+      }
+      combinations = buildGrid(values);
+    }
+
+    return {
+      botId: bot?.id ?? null,
+      exchange: bot?.exchange || 'binance',
+      symbols,
+      interval,
+      candleInterval,
+      from,
+      to,
+      method,
+      objective,
+      minTrades,
+      ranges,
+      base: { ...base, interval, trade_type: tradeType, amount: Number(base.amount) || null },
+      engine: {
+        feeRate: Number(body.fee_rate ?? 0) || 0,
+        slippagePercent: Number(body.slippage ?? 0) || 0,
+        entryTtlMinutes: Number(body.entry_ttl ?? 30) || 30
+      },
+      topN: Math.min(200, Math.max(1, parseInt(body.top_n ?? 20, 10) || 20)),
+      combinations
+    };
+  }
+
+  /**
+   * Historical klines for a symbol: candles table first, missing ranges fetched from the exchange and cached
+   * @param {Object} params - { exchangeService, exchange, symbol, interval, from, to }
+   * @returns {Promise<Array>} Normalized candles in [from, to]
+   */
+  async loadCandles({ exchangeService, exchange, symbol, interval, from, to }) {
+    const intervalMs = Candle.getTimeframeMs(interval);
+    const expected = Math.floor((to - from) / intervalMs);
+    const cached = await Candle.getCandlesInRange(exchange, symbol, interval, from, to);
+    if (!exchangeService || cached.length >= expected * 0.99) {
+      return BacktestService.normalizeCandles(cached, interval);
+    }
+
+    const fetched = [];
+    let endTime = to;
+    for (let page = 0; page <= Math.ceil(expected / KLINE_PAGE_SIZE) && endTime >= from; page++) {
+      const batch = BacktestService.normalizeCandles(
+        await exchangeService.fetchOHLCV(symbol, interval, KLINE_PAGE_SIZE, 'swap', endTime),
+        interval
+      );
+      if (batch.length === 0) break;
+      fetched.push(...batch);
+      endTime = batch[0].open_time - 1;
+    }
+
+    // Only closed candles inside the window are cached
+    const now = Date.now();
+    const rows = fetched
+      .filter(c => c.open_time >= from && c.open_time <= to && c.close_time < now)
+      .map(c => ({ ...c, exchange, symbol, interval }));
+    for (let i = 0; i < rows.length; i += 500) {
+      await Candle.bulkInsert(rows.slice(i, i + 500));
+    }
+    logger.info(`[StrategyOptimizer] Cached ${rows.length} ${interval} klines of ${symbol} (${exchange}), ${cached.length} already stored`);
+
+    return BacktestService.normalizeCandles([...rows, ...cached], interval);
+  }
+
+  /**
+   * Backtest every combination and rank them
+   * @param {Object} request - normalizeRequest result
+   * @param {Object<string, Array>} candlesBySymbol - Normalized candles per symbol
+   * @param {Function} [onProgress] - async (evaluated) => void, called every 25 combinations
+   * @returns {Promise<Array>} Top request.topN ranked results
+   */
+  async evaluate(request, candlesBySymbol, onProgress = null) {
+    const engine = new BacktestService(request.engine);
+    const ranked = [];
+
+    for (let i = 0; i < request.combinations.length; i++) {
+      const params = request.combinations[i];
+      const strategy = { ...request.base, ...params, interval: request.interval };
+      const trades = [];
+      const perSymbol = {};
+      for (const [symbol, candles] of Object.entries(candlesBySymbol)) {
+        const result = engine.runStrategy({ ...strategy, symbol }, candles);
+        trades.push(...result.trades);
+        perSymbol[symbol] = { trades: result.stats.totalTrades, pnl: round(result.stats.totalPnl) };
+      }
+
+      const metrics = computeMetrics(trades);
+      const score = scoreMetrics(metrics, request.objective, request.minTrades);
+      if (score !== null) ranked.push({ params, score, metrics, perSymbol });
+
+      // Long sweeps share the process with live trading: yield to the event loop between combinations
+      await new Promise(resolve => setImmediate(resolve));
+      if (onProgress && (i + 1) % 25 === 0) await onProgress(i + 1);
+    }
+
+    ranked.sort((a, b) => (b.score - a.score) || (b.metrics.totalPnl - a.metrics.totalPnl));
+    return ranked.slice(0, request.topN).map((entry, index) => ({
+      rank: index + 1,
+      params: entry.params,
+      score: round(entry.score),
+      metrics: {
+        trades: entry.metrics.totalTrades,
+        wins: entry.metrics.wins,
+        losses: entry.metrics.losses,
+        winRate: round(entry.metrics.winRate, 2),
+        netPnl: round(entry.metrics.totalPnl),
+        profitFactor: round(entry.metrics.profitFactor),
+        sharpe: round(entry.metrics.sharpe),
+        maxDrawdown: round(entry.metrics.maxDrawdown),
+        avgHoldMinutes: round(entry.metrics.avgHoldMinutes, 2)
+      },
+      perSymbol: entry.perSymbol
+    }));
+  }
+
+  async createExchangeService(bot) {
+    const { ExchangeService } = await import('./ExchangeService.js');
+    const exchangeService = new ExchangeService(bot);
+    await exchangeService.initialize();
+    return exchangeService;
+  }
+
+  /**
+   * Create a run and execute it in the background (one run at a time per process)
+   * @param {Object} body - Optimizer request (see normalizeRequest)
+   * @returns {Promise<Object>} Pending optimizer_runs row
+   * @throws {Error} with status 400/404/409
+   */
+  async start(body = {}) {
+    if (this.activeRunId) throw badRequest(`Optimizer run ${this.activeRunId} is still running`, 409);
+
+    const { Bot } = await import('../models/Bot.js');
+    const bot = body.bot_id ? await Bot.findById(body.bot_id) : null;
+    if (!bot) throw badRequest('Bot not found (bot_id provides the exchange for historical klines)', 404);
+
+    const request = await this.normalizeRequest(body, bot);
+    const run = await this.createRun(request);
+
+    this.activeRunId = run.id;
+    this.execute(run.id, request, bot)
+      .catch(() => {}) // already recorded on the run
+      .finally(() => { this.activeRunId = null; });
+    return run;
+  }
+
+  /**
+   * Store a pending run for a normalized request
+   * @param {Object} request - normalizeRequest result
+   * @returns {Promise<Object>}
+   */
+  async createRun(request) {
+    return await OptimizerRun.create({
+      bot_id: request.botId,
+      exchange: request.exchange,
+      symbols: request.symbols,
+      interval: request.interval,
+      method: request.method,
+      objective: request.objective,
+      min_trades: request.minTrades,
+      param_ranges: request.ranges,
+      options: {
+        base: request.base,
+        candle_interval: request.candleInterval,
+        fee_rate: request.engine.feeRate,
+        slippage: request.engine.slippagePercent,
+        entry_ttl: request.engine.entryTtlMinutes,
+        top_n: request.topN
+      },
+      from_time: request.from,
+      to_time: request.to,
+      combinations: request.combinations.length
+    });
+  }
+
+  /**
+   * Load klines, evaluate the combinations and store the ranked results on the run
+   * @param {number} runId
+   * @param {Object} request - normalizeRequest result
+   * @param {Object} bot - Bot row (klines source)
+   * @returns {Promise<Array>} Ranked results
+   */
+  async execute(runId, request, bot) {
+    const startedAt = Date.now();
+    try {
+      await OptimizerRun.update(runId, { status: 'running' });
+      const exchangeService = await this.createExchangeService(bot);
+
+      const candlesBySymbol = {};
+      for (const symbol of request.symbols) {
+        const candles = await this.loadCandles({
+          exchangeService,
+          exchange: request.exchange,
+          symbol,
+          interval: request.candleInterval,
+          from: request.from,
+          to: request.to
+        });
+        if (candles.length === 0) {
+          logger.warn(`[StrategyOptimizer] ⚠️ Run ${runId}: no klines for ${symbol}, skipping symbol`);
+          continue;
+        }
+        candlesBySymbol[symbol] = candles;
+      }
+      if (Object.keys(candlesBySymbol).length === 0) throw new Error('No klines available for any symbol');
+
+      const results = await this.evaluate(request, candlesBySymbol, (evaluated) => OptimizerRun.update(runId, { evaluated }));
+      await OptimizerRun.update(runId, {
+        status: 'completed',
+        evaluated: request.combinations.length,
+        results,
+        finished_at: new Date()
+      });
+      logger.info(
+        `[StrategyOptimizer] ✅ Run ${runId}: ${request.combinations.length} combinations in ${((Date.now() - startedAt) / 1000).toFixed(1)}s, ` +
+        `best ${request.objective}=${results[0]?.score ?? 'n/a'}`
+      );
+      return results;
+    } catch (error) {
+      logger.error(`[StrategyOptimizer] ❌ Run ${runId} failed:`, error?.message || error);
+      await OptimizerRun.update(runId, { status: 'failed', error: String(error?.message || error), finished_at: new Date() })
+        .catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Strategy payloads (StrategyController.create body, same shape as a preset config) for ranked results
+   * @param {Object} run - Completed optimizer_runs row
+   * @param {Object} options - { botId, ranks (default [1]), amount, isActive }
+   * @returns {Array<{rank: number, symbol: string, isReverseStrategy: boolean, payload: Object}>}
+   */
+  buildStrategyPayloads(run, { botId, ranks = [1], amount = null, isActive = false } = {}) {
+    const results = Array.isArray(run?.results) ? run.results : [];
+    const base = run?.options?.base || {};
+    const selected = results.filter(r => ranks.includes(r.rank));
+
+    return selected.flatMap(result => (run.symbols || []).map(symbol => ({
+      rank: result.rank,
+      symbol,
+      isReverseStrategy: Boolean(result.params.is_reverse_strategy),
+      payload: {
+        bot_id: botId,
+        symbol: toStrategySymbol(symbol),
+        interval: run.interval,
+        trade_type: base.trade_type || 'both',
+        oc: result.params.oc,
+        extend: result.params.extend,
+        take_profit: result.params.take_profit,
+        reduce: result.params.reduce,
+        up_reduce: result.params.up_reduce,
+        stoploss: result.params.stoploss,
+        amount: Number(amount) || base.amount || 100,
+        is_active: isActive
+      }
+    })));
+  }
+}
+
+export const strategyOptimizerService = new StrategyOptimizerService();
@@ -1,6 +1,7 @@
 import { Telegraf } from 'telegraf';
 import logger from '../utils/logger.js';
 import { configService } from './ConfigService.js';
+import { parseExitLegs } from '../utils/tpLadder.js';
 
 /**
  * Telegram Service - Send notifications via Telegram
@@ -518,7 +519,9 @@ Amount: ${amountStr} (100%)`.trim();
       logger.debug(`[CloseSummaryAlert] Queue status: queues.size=${this._queues.size}, clients.size=${this.clients.size}, initialized=${this.initialized}`);
 
       const symbol = this.formatSymbolUnderscore(position.symbol);
-      const pnlVal = Number(position.pnl || 0);
+      // Net of recorded fees/funding (positions.net_pnl); gross pnl when fees are unknown
+      const hasNet = position.net_pnl !== null && position.net_pnl !== undefined;
+      const pnlVal = Number((hasNet ? position.net_pnl : position.pnl) || 0);
       const isWin = pnlVal > 0; // WIN if PNL > 0, LOSE if PNL <= 0
       const sideTitle = position.side === 'long' ? 'Long' : 'Short';
       const emoji = isWin ? '🏆' : '😡';
@@ -541,7 +544,18 @@ Amount: ${amountStr} (100%)`.trim();
 
       const pnlPct = this.calculatePercent(position.entry_price, position.close_price, position.side);
       
-      const pnlLine = `${pnlVal >= 0 ? '' : ''}${pnlVal.toFixed(2)}$ ~ ${pnlPct >= 0 ? '' : ''}${pnlPct.toFixed(2)}% (before fees)`;
+      const pnlLine = `${pnlVal.toFixed(2)}$ ~ ${pnlPct.toFixed(2)}% ${hasNet ? '(net)' : '(before fees)'}`;
+      const fees = Number(position.entry_fee || 0) + Number(position.exit_fee || 0);
+      const funding = Number(position.funding_fee || 0);
+      const feesLine = hasNet && (fees !== 0 || funding !== 0)
+        ? `\n🧾 Fees: ${fees.toFixed(4)}$ | Funding: ${funding.toFixed(4)}$ | Gross PNL: ${Number(position.pnl || 0).toFixed(2)}$`
+        : '';
+
+      // Partial TP ladder legs (pnl above already includes their realized PnL)
+      const legLines = parseExitLegs(position.exit_legs)
+        .filter(leg => leg.status === 'filled')
+        .map(leg => `🪜 TP${leg.level} ${Number(leg.percent)}% @ ${this.formatPriceAdaptive(leg.avg_price)}$ | PNL: ${Number(leg.realized_pnl || 0).toFixed(2)}$`);
+      const legsBlock = legLines.length > 0 ? `\n${legLines.join('\n')}` : '';
 
       const msg = `
 ${title}
@@ -549,8 +563,8 @@ ${wins} WIN, ${loses} LOSE | Total PNL: ${totalPnl.toFixed(2)}$
 Bot: ${botName}
 Strategy: ${intervalLabel} | OC: ${ocStr}% | Extend: ${extendStr}% | TP: ${tpStr}% | Reduce: ${reduceStr}% | Up Reduce: ${upReduceStr}%
 Close price: ${closePrice}$
-Amount: ${amountStr}
-💰 PNL: ${pnlLine}`.trim();
+Amount: ${amountStr}${legsBlock}
+💰 PNL: ${pnlLine}${feesLine}`.trim();
 
       await this.sendMessage(channelId, msg, { alertType: 'order' });
       logger.info(`[CloseSummaryAlert] ✅ Message queued for position ${position.id} (actual send happens in _processQueue)`);
@@ -559,6 +573,39 @@ Amount: ${amountStr}
     }
   }
 
+  /**
+   * Send break-even armed alert (once per position, when positions.break_even_armed_at is first set)
+   * @param {Object} position - Position row (with bot telegram ids)
+   * @param {number} currentPrice - Price that armed the break-even stop
+   */
+  async sendBreakEvenAlert(position, currentPrice) {
+    try {
+      if (!position) return;
+      const channelId = position.telegram_alert_channel_id || position.telegram_chat_id || this.alertChannelId;
+      if (!channelId) {
+        logger.debug(`[BreakEvenAlert] No alert/chat ID for position ${position.id}, skipping alert`);
+        return;
+      }
+
+      const symbol = this.formatSymbolUnderscore(position.symbol);
+      const side = position.side === 'long' ? 'Long' : 'Short';
+      const movePct = this.calculatePercent(position.entry_price, currentPrice, position.side);
+
+      const msg = `
+🛡️ ${symbol} | ${side} BREAK-EVEN
+Bot: ${position.bot_name || 'N/A'}
+Strategy: ${this.formatIntervalLabel(position.interval)} | Trigger: ${Number(position.break_even_pct || 0)}%
+Open price: ${this.formatPriceAdaptive(position.entry_price)}
+Price: ${this.formatPriceAdaptive(currentPrice)} (${movePct.toFixed(2)}%)
+Stop moved to: ${this.formatPriceAdaptive(position.break_even_price)}`.trim();
+
+      await this.sendMessage(channelId, msg, { alertType: 'order' });
+      logger.info(`[BreakEvenAlert] ✅ Message queued for position ${position.id}`);
+    } catch (e) {
+      logger.error(`[BreakEvenAlert] Failed to send break-even alert for position ${position?.id}:`, e?.message || e);
+    }
+  }
+
   /**
    * Send WebSocket exit order filled alert when DB position not found
    * This ensures we always notify about exit orders filled via WS, even if position lookup fails
@@ -614,7 +661,7 @@ Exchange: <b>${String(exchange || 'N/A').toUpperCase()}</b>
     const chatId = position.telegram_chat_id || originalPosition?.telegram_chat_id;
     if (!chatId) return;
 
-    const pnl = parseFloat(position.pnl || 0);
+    const pnl = parseFloat(position.net_pnl ?? position.pnl ?? 0);
     const pnlPercent = this.calculatePercent(
       position.entry_price,
       position.close_price,
@@ -722,7 +769,8 @@ Amount: <b>$${parseFloat(amount).toFixed(2)}</b>
       'tp_hit': 'Take Profit',
       'sl_hit': 'Stop Loss',
       'manual': 'Manual Close',
-      'candle_end': 'Candle End'
+      'candle_end': 'Candle End',
+      'daily_loss_limit': 'Daily Loss Limit'
     };
     return reasons[reason] || reason;
   }
@@ -778,7 +826,9 @@ Amount: <b>$${parseFloat(amount).toFixed(2)}</b>
       '5m': '5️⃣',
       '15m': '1️⃣5️⃣',
       '30m': '3️⃣0️⃣',
-      '1h': '1️⃣h'
+      '1h': '1️⃣h',
+      '4h': '4️⃣h',
+      '1d': '1️⃣d'
     };
     return map[interval] || interval;
   }
@@ -791,9 +841,9 @@ Amount: <b>$${parseFloat(amount).toFixed(2)}</b>
    * Send price volatility alert (compact format)
    * Format:
    * ┌🚀🚀🚀 SVSA ⚡️ 10.50% 🟢
-   * └ 0.003788 → 0.004186
+   * └ 0.003788 → 0.004186 📊 x3.2
    * @param {string} chatId - Chat ID
-   * @param {Object} alertData - Alert data (can include exchange)
+   * @param {Object} alertData - Alert data (can include exchange, volumeRatio = bucket volume / trailing avg)
    */
   async sendVolatilityAlert(chatId, alertData) {
     if (!chatId) {
@@ -813,7 +863,7 @@ Amount: <b>$${parseFloat(amount).toFixed(2)}</b>
       return;
     }
 
-    const { oc, open, currentPrice, direction, interval, symbol } = alertData;
+    const { oc, open, currentPrice, direction, interval, symbol, volumeRatio } = alertData;
     
     if (!symbol || oc === undefined || open === undefined || currentPrice === undefined) {
       logger.warn(`[VolatilityAlert] Missing required alert data: symbol=${symbol}, oc=${oc}, open=${open}, currentPrice=${currentPrice}`);
@@ -847,9 +897,14 @@ Amount: <b>$${parseFloat(amount).toFixed(2)}</b>
     // Format symbol for display (remove USDT suffix)
     const symbolDisplay = symbol ? symbol.replace(/USDT$/, '') : 'N/A';
 
+    // Volume multiple vs trailing average (only when volume data is available)
+    const volumeLabel = Number.isFinite(Number(volumeRatio)) && volumeRatio !== null
+      ? ` 📊 x${Number(volumeRatio).toFixed(1)}`
+      : '';
+
     const message = `
 ┌${rockets} ${symbolDisplay} ${intervalLabel} ⚡️ ${ocAbs}% ${directionEmoji}
-└ ${formatPrice(open)} → ${formatPrice(currentPrice)}
+└ ${formatPrice(open)} → ${formatPrice(currentPrice)}${volumeLabel}
     `.trim();
 
     // Extract exchange from alertData to use correct bot token and normalize to 'default' if empty/null
@@ -872,7 +927,7 @@ Amount: <b>$${parseFloat(amount).toFixed(2)}</b>
 
   /**
    * Get interval emoji representation
-   * @param {string} interval - Time interval (1m, 5m, 15m, 30m)
+   * @param {string} interval - Time interval (1m ... 1d)
    * @returns {string} Emoji representation
    */
   getIntervalEmoji(interval) {
@@ -882,7 +937,9 @@ Amount: <b>$${parseFloat(amount).toFixed(2)}</b>
       '5m': '5️⃣',
       '15m': '1️⃣5️⃣',
       '30m': '3️⃣0️⃣',
-      '1h': '1️⃣h'
+      '1h': '1️⃣h',
+      '4h': '4️⃣h',
+      '1d': '1️⃣d'
     };
     return map[interval] || interval;
   }
@@ -942,6 +999,61 @@ Utilization: ${utilizationBar} <b>${utilizationPercent}%</b>
     }
   }
 
+  /**
+   * Send loss cooldown alert (entries paused after N consecutive losing closes)
+   * @param {Object} strategy - Strategy object
+   * @param {Object} cooldown - { scope: 'strategy'|'symbol', streak, until, remainingMs }
+   */
+  async sendLossCooldownAlert(strategy, cooldown) {
+    try {
+      if (!this.initialized || this.clients.size === 0) {
+        logger.warn(`[LossCooldownAlert] Telegram bot not initialized`);
+        return;
+      }
+
+      let bot = strategy.bot || {};
+      let chatId = bot.telegram_alert_channel_id || bot.telegram_chat_id || this.alertChannelId;
+
+      if (!chatId) {
+        // Attempt to fetch bot info if missing
+        try {
+          const { Bot } = await import('../models/Bot.js');
+          const full = await Bot.findById(strategy.bot_id);
+          bot = full || bot;
+          chatId = bot?.telegram_alert_channel_id || bot?.telegram_chat_id || this.alertChannelId;
+        } catch (_) {}
+      }
+
+      if (!chatId) {
+        logger.debug(`[LossCooldownAlert] No alert/chat ID for bot ${bot?.id || strategy.bot_id}, skipping alert`);
+        return;
+      }
+
+      const { lossCooldownService } = await import('./LossCooldownService.js');
+      const scopeLabel = cooldown.scope === 'symbol' ? `Bot + ${strategy.symbol}` : `Strategy #${strategy.id}`;
+
+      const message = `
+⏸️ <b>TRADE REJECTED - LOSS COOLDOWN</b>
+
+Symbol: <b>${strategy.symbol}</b>
+Strategy: <b>${strategy.interval}</b> (OC: ${strategy.oc}%)
+Bot: <b>${bot.bot_name || 'N/A'}</b>
+
+Scope: <b>${scopeLabel}</b>
+Consecutive losses: <b>${cooldown.streak}</b>
+Remaining: <b>${lossCooldownService.formatRemaining(cooldown.remainingMs)}</b> (until ${cooldown.until.toISOString().slice(11, 16)} UTC)
+
+<i>Signal detected but new entries are paused after consecutive losses.</i>
+      `.trim();
+
+      logger.info(`[LossCooldownAlert] Sending loss cooldown alert for strategy ${strategy.id} (${strategy.symbol})`);
+      await this.sendMessage(chatId, message, { alertType: 'order' });
+      logger.info(`[LossCooldownAlert] ✅ Successfully sent loss cooldown alert`);
+    } catch (e) {
+      logger.error(`[LossCooldownAlert] Failed to send loss cooldown alert:`, e);
+    }
+  }
+
   /**
    * Create a simple progress bar for visualization
    * @param {number} percent - Percentage (0-100)
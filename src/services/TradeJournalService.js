@@ -0,0 +1,375 @@
+import pool from '../config/database.js';
+import { analyticsService } from './AnalyticsService.js';
+import { STRATEGY_SNAPSHOT_FIELDS } from '../models/Position.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Column order of the CSV export (JSON rows use the same keys)
+ */
+export const JOURNAL_COLUMNS = [
+  'position_id', 'bot_id', 'bot_name', 'exchange', 'strategy_id', 'strategy_version', 'symbol', 'side', 'interval',
+  'opened_at', 'closed_at', 'hold_seconds', 'entry_price', 'exit_price', 'amount_usdt', 'quantity',
+  'pnl', 'realized_pnl_exchange', 'commission', 'commission_other', 'funding_fee', 'net_pnl', 'fees_source',
+  'close_reason', 'order_id', 'exit_order_id', 'sl_order_id', 'tp_order_id',
+  'strategy_params_source', 'strategy_params'
+];
+
+// Commission assets counted as USDT
+const QUOTE_ASSETS = new Set(['USDT', 'USDC', 'BUSD', 'FDUSD']);
+// Fallback window around closed_at for exit fills when the closing order id is unknown (market closes)
+const EXIT_FILL_WINDOW_MS = 2 * 60 * 1000;
+
+const num = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+const round = (value, digits = 8) => (value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+const toIso = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+function parseJson(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Escape a CSV cell (RFC 4180)
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize journal rows as CSV
+ * @param {Array<Object>} rows
+ * @param {Array<string>} [columns=JOURNAL_COLUMNS]
+ * @returns {string}
+ */
+export function toCsv(rows, columns = JOURNAL_COLUMNS) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Sum fills into quote commission, other-asset commissions, realized pnl and quantity
+ * @param {Array<Object>} trades - Binance userTrades rows
+ * @returns {{commission: number, commissionOther: Object, realizedPnl: number, qty: number, count: number}}
+ */
+export function summarizeFills(trades = []) {
+  const result = { commission: 0, commissionOther: {}, realizedPnl: 0, qty: 0, count: 0 };
+  for (const trade of trades) {
+    const fee = Number(trade.commission || 0);
+    const asset = String(trade.commissionAsset || 'USDT').toUpperCase();
+    if (QUOTE_ASSETS.has(asset)) {
+      result.commission += fee;
+    } else if (fee) {
+      result.commissionOther[asset] = (result.commissionOther[asset] || 0) + fee;
+    }
+    result.realizedPnl += Number(trade.realizedPnl || 0);
+    result.qty += Number(trade.qty || 0);
+    result.count++;
+  }
+  return result;
+}
+
+/**
+ * Attribute funding income rows to the positions open at funding time (same symbol).
+ * Concurrent positions of the same symbol share a funding payment pro rata to their size.
+ * @param {Array<Object>} income - FUNDING_FEE rows { symbol, income, time }
+ * @param {Array<Object>} positions - Position rows of one bot
+ * @returns {Map<number, number>} positionId -> funding (positive = received)
+ */
+export function attributeFunding(income, positions) {
+  // BTC/USDT:USDT, BTC_USDT and BTCUSDT are the same contract
+  const normalize = (symbol) => String(symbol || '').toUpperCase().replace(/:USDT$/, '').replace(/[/_]/g, '');
+  const result = new Map(positions.map(p => [p.id, 0]));
+  for (const entry of income) {
+    const time = Number(entry.time);
+    const symbol = normalize(entry.symbol);
+    const open = positions.filter(p => normalize(p.symbol) === symbol
+      && new Date(p.opened_at).getTime() <= time
+      && new Date(p.closed_at).getTime() >= time);
+    const totalSize = open.reduce((sum, p) => sum + Math.abs(Number(p.amount || 0)), 0);
+    for (const p of open) {
+      const share = totalSize > 0 ? Math.abs(Number(p.amount || 0)) / totalSize : 1 / open.length;
+      result.set(p.id, result.get(p.id) + Number(entry.income || 0) * share);
+    }
+  }
+  return result;
+}
+
+/**
+ * TradeJournalService
+ *
+ * Exports closed positions (entry/exit, size, PnL, close reason, strategy parameters at entry, order ids, timestamps)
+ * as CSV or JSON. With fees enabled, Binance bots are reconciled against the exchange:
+ * - entry/exit fills (userTrades by order id) → actual commission and exchange realized pnl
+ * - FUNDING_FEE income while the position was open → funding_fee
+ * net_pnl = realized pnl (exchange, or the positions.pnl estimate) - commission + funding_fee.
+ * Otherwise the fees recorded on the position are used (fees_source='recorded'), else 'estimate'.
+ *
+ * Used by GET /api/positions/export and src/scripts/exportTradeJournal.js.
+ */
+export class TradeJournalService {
+  constructor() {
+    this.maxRows = 50000;
+    // Each reconciled position costs one signed userTrades call per entry/exit order: keep one export well under the weight limit
+    this.maxReconciledPositions = 200;
+  }
+
+  /**
+   * Closed positions matching the filters, oldest close first
+   * @param {Object} filters - Normalized filters (see AnalyticsService.normalizeFilters)
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async fetchClosedPositions(filters = {}, limit = 5000) {
+    const safeLimit = Math.max(1, Math.min(this.maxRows, Math.floor(Number(limit) || 5000)));
+    const where = analyticsService.buildWhere(filters);
+    // LIMIT is inlined: mysql2 prepared statements reject numeric LIMIT placeholders on some server versions
+    const [rows] = await pool.execute(
+      `SELECT p.*, s.\`interval\` AS strategy_interval, b.bot_name, b.exchange
+       ${where.sql}
+       ORDER BY p.closed_at ASC, p.id ASC
+       LIMIT ${safeLimit}`,
+      where.params
+    );
+    return rows || [];
+  }
+
+  /**
+   * Current strategy rows by id (fallback when a position has no strategy_snapshot)
+   * @param {Array<number>} ids
+   * @returns {Promise<Map<number, Object>>}
+   */
+  async fetchStrategies(ids) {
+    const unique = [...new Set(ids.filter(Boolean))];
+    if (unique.length === 0) return new Map();
+    const [rows] = await pool.execute(
+      `SELECT * FROM strategies WHERE id IN (${unique.map(() => '?').join(',')})`,
+      unique
+    );
+    return new Map((rows || []).map(row => [Number(row.id), row]));
+  }
+
+  /**
+   * Journal row of a closed position (without exchange fees)
+   * @param {Object} position - Position row (with strategy_interval, bot_name, exchange)
+   * @param {Object|null} strategy - Current strategy row (fallback for the parameters)
+   * @returns {Object}
+   */
+  buildRow(position, strategy = null) {
+    const snapshot = parseJson(position.strategy_snapshot);
+    let params = snapshot;
+    let source = snapshot ? 'entry_snapshot' : null;
+    if (!params && strategy) {
+      params = Object.fromEntries(STRATEGY_SNAPSHOT_FIELDS.filter(f => strategy[f] !== undefined).map(f => [f, strategy[f]]));
+      source = 'current_strategy';
+    }
+
+    const entryPrice = num(position.entry_price);
+    const amount = num(position.amount);
+    const openedAt = toIso(position.opened_at);
+    const closedAt = toIso(position.closed_at);
+    const pnl = num(position.pnl);
+    // Fees recorded from the user-data stream / funding sync (positions.net_pnl set on close)
+    const recorded = position.net_pnl !== null && position.net_pnl !== undefined;
+
+    return {
+      position_id: position.id,
+      bot_id: position.bot_id ?? null,
+      bot_name: position.bot_name ?? null,
+      exchange: position.exchange ?? null,
+      strategy_id: position.strategy_id ?? null,
+      strategy_version: position.strategy_version ?? null,
+      symbol: position.symbol,
+      side: position.side,
+      interval: position.strategy_interval ?? params?.interval ?? null,
+      opened_at: openedAt,
+      closed_at: closedAt,
+      hold_seconds: openedAt && closedAt ? Math.round((Date.parse(closedAt) - Date.parse(openedAt)) / 1000) : null,
+      entry_price: entryPrice,
+      exit_price: num(position.close_price),
+      amount_usdt: amount,
+      quantity: entryPrice > 0 && amount !== null ? round(amount / entryPrice) : null,
+      pnl,
+      realized_pnl_exchange: null,
+      commission: recorded ? round((num(position.entry_fee) || 0) + (num(position.exit_fee) || 0)) : null,
+      commission_other: null,
+      funding_fee: recorded ? num(position.funding_fee) : null,
+      net_pnl: recorded ? num(position.net_pnl) : pnl,
+      fees_source: recorded ? 'recorded' : 'estimate',
+      close_reason: position.close_reason ?? null,
+      order_id: position.order_id ?? null,
+      exit_order_id: position.exit_order_id ?? null,
+      sl_order_id: position.sl_order_id ?? null,
+      tp_order_id: position.tp_order_id ?? null,
+      strategy_params_source: source,
+      strategy_params: params
+    };
+  }
+
+  /**
+   * ExchangeService of a bot (overridable in tests)
+   * @param {number} botId
+   * @returns {Promise<Object|null>}
+   */
+  async createExchangeService(botId) {
+    const { Bot } = await import('../models/Bot.js');
+    const { ExchangeService } = await import('./ExchangeService.js');
+    const bot = await Bot.findById(botId);
+    if (!bot) return null;
+    const exchangeService = new ExchangeService(bot);
+    await exchangeService.initialize();
+    return exchangeService;
+  }
+
+  /**
+   * Exit fills of a position: by known exit order ids, else reduce fills around closed_at
+   * @param {Object} exchangeService
+   * @param {Object} position - Position row
+   * @returns {Promise<Array>}
+   */
+  async _fetchExitFills(exchangeService, position) {
+    const legIds = (parseJson(position.exit_legs) || []).map(leg => leg?.order_id);
+    const exitIds = [...new Set([position.exit_order_id, position.sl_order_id, position.tp_order_id, ...legIds]
+      .filter(id => id !== null && id !== undefined && id !== '')
+      .map(String))];
+
+    const fills = [];
+    for (const orderId of exitIds) {
+      const trades = await exchangeService.getOrderTrades(position.symbol, orderId);
+      if (trades?.length) fills.push(...trades);
+    }
+    if (fills.length > 0 || !position.closed_at || !exchangeService.binanceDirectClient) return fills;
+
+    const closedAt = new Date(position.closed_at).getTime();
+    const closeSide = position.side === 'long' ? 'SELL' : 'BUY';
+    const windowTrades = await exchangeService.binanceDirectClient.getUserTrades(position.symbol, {
+      startTime: closedAt - EXIT_FILL_WINDOW_MS,
+      endTime: closedAt + EXIT_FILL_WINDOW_MS
+    });
+    return windowTrades.filter(t => String(t.side).toUpperCase() === closeSide && Number(t.realizedPnl || 0) !== 0);
+  }
+
+  /**
+   * Fill commission / realized pnl / funding of a bot's rows from the exchange (mutates rows)
+   * @param {Object} exchangeService
+   * @param {Array<{row: Object, position: Object}>} items
+   * @returns {Promise<Array<string>>} warnings
+   */
+  async _enrichBot(exchangeService, items) {
+    const warnings = [];
+    const openedTimes = items.map(i => new Date(i.position.opened_at).getTime()).filter(Number.isFinite);
+    const closedTimes = items.map(i => new Date(i.position.closed_at).getTime()).filter(Number.isFinite);
+
+    let funding = null;
+    if (openedTimes.length && closedTimes.length) {
+      try {
+        const income = await exchangeService.getIncomeHistory({
+          incomeType: 'FUNDING_FEE',
+          startTime: Math.min(...openedTimes),
+          endTime: Math.max(...closedTimes)
+        });
+        funding = income ? attributeFunding(income, items.map(i => i.position)) : null;
+      } catch (error) {
+        warnings.push(`bot ${items[0].row.bot_id}: funding income unavailable (${error?.message || error})`);
+      }
+    }
+
+    for (const { row, position } of items) {
+      try {
+        const entryTrades = position.order_id ? await exchangeService.getOrderTrades(position.symbol, position.order_id) : null;
+        if (entryTrades === null && funding === null) continue; // exchange not supported
+
+        const entry = summarizeFills(entryTrades || []);
+        const exit = summarizeFills(await this._fetchExitFills(exchangeService, position));
+
+        const other = { ...entry.commissionOther };
+        for (const [asset, fee] of Object.entries(exit.commissionOther)) other[asset] = (other[asset] || 0) + fee;
+
+        const commission = entry.commission + exit.commission;
+        // Without the full income history keep the funding recorded on the position, and say the row is partial
+        const fundingFee = funding ? (funding.get(position.id) ?? 0) : Number(position.funding_fee || 0);
+        const realized = exit.count > 0 ? exit.realizedPnl : Number(row.pnl || 0);
+
+        if (entry.qty > 0) row.quantity = round(entry.qty);
+        row.realized_pnl_exchange = exit.count > 0 ? round(exit.realizedPnl) : null;
+        row.commission = round(commission);
+        row.commission_other = Object.keys(other).length
+          ? Object.entries(other).map(([asset, fee]) => `${round(fee)} ${asset}`).join('; ')
+          : null;
+        row.funding_fee = funding || position.funding_fee != null ? round(fundingFee) : null;
+        row.net_pnl = round(realized - commission + fundingFee);
+        row.fees_source = funding && exit.count > 0 && entry.count > 0 ? 'exchange' : 'partial';
+      } catch (error) {
+        warnings.push(`position ${position.id}: fees unavailable (${error?.message || error})`);
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * Build the trade journal
+   * @param {Object} filters - Normalized filters
+   * @param {Object} [options]
+   * @param {boolean} [options.fees=true] - Reconcile commission/funding with the exchange (at most maxReconciledPositions positions)
+   * @param {number} [options.limit=5000]
+   * @returns {Promise<{rows: Array<Object>, warnings: Array<string>}>}
+   */
+  async buildJournal(filters = {}, { fees = true, limit = 5000 } = {}) {
+    const positions = await this.fetchClosedPositions(filters, limit);
+    const missingSnapshot = positions.filter(p => !p.strategy_snapshot).map(p => Number(p.strategy_id));
+    const strategies = await this.fetchStrategies(missingSnapshot);
+    const items = positions.map(position => ({
+      position,
+      row: this.buildRow(position, strategies.get(Number(position.strategy_id)) || null)
+    }));
+
+    const warnings = [];
+    if (fees) {
+      // Rows are ordered by closed_at ASC: reconcile the most recent positions only
+      const binanceItems = items.filter(i => i.position.exchange === 'binance' && i.position.bot_id);
+      const reconciled = binanceItems.slice(-this.maxReconciledPositions);
+      if (reconciled.length < binanceItems.length) {
+        warnings.push(
+          `fees reconciled for the last ${reconciled.length} of ${binanceItems.length} Binance positions only, ` +
+          'narrow the filters to reconcile the others'
+        );
+      }
+
+      const byBot = new Map();
+      for (const item of reconciled) {
+        if (!byBot.has(item.position.bot_id)) byBot.set(item.position.bot_id, []);
+        byBot.get(item.position.bot_id).push(item);
+      }
+
+      for (const [botId, botItems] of byBot) {
+        try {
+          const exchangeService = await this.createExchangeService(botId);
+          if (!exchangeService) continue;
+          warnings.push(...await this._enrichBot(exchangeService, botItems));
+        } catch (error) {
+          logger.warn(`[TradeJournalService] Fee reconciliation failed for bot ${botId}: ${error?.message || error}`);
+          warnings.push(`bot ${botId}: fee reconciliation failed (${error?.message || error})`);
+        }
+      }
+    }
+
+    return { rows: items.map(i => i.row), warnings };
+  }
+}
+
+export const tradeJournalService = new TradeJournalService();
@@ -1,6 +1,9 @@
 import WebSocket from 'ws';
 import logger from '../utils/logger.js';
 import { CandleAggregator } from './CandleAggregator.js';
+import { configService } from './ConfigService.js';
+import { KLINE_INTERVALS } from '../config/constants.js';
+import { strategyCache } from './StrategyCache.js';
 
 /**
  * Binance Futures WebSocket Manager (public markPrice stream)
@@ -16,11 +19,12 @@ class WebSocketManager {
     this.klineOpenCache = new Map(); // key: symbol|interval|bucketStart -> { open, lastUpdate }
     this.klineCloseCache = new Map(); // key: symbol|interval|bucketStart -> { close, lastUpdate }
 
-    this.candleAggregator = new CandleAggregator(['1m', '5m', '15m', '30m']);
+    this.candleAggregator = new CandleAggregator(KLINE_INTERVALS);
 
     this.baseUrl = 'wss://fstream.binance.com/stream?streams=';
     this.maxStreamsPerConn = 180; // keep well below 200 limit and URL length issues
     this.maxReconnectAttempts = 10;
+    this._requestId = 0; // id of live SUBSCRIBE requests
     this.maxPriceCacheSize = 1000; // Maximum number of symbols to cache (reduced from 5000 to save memory)
     this.priceCacheCleanupInterval = 1 * 60 * 1000; // Cleanup every 1 minute (reduced from 5 minutes)
     this._cleanupTimer = null;
@@ -133,6 +137,24 @@ class WebSocketManager {
     return this.candleAggregator.getLatestCandle(symbol, interval);
   }
 
+  getKlineCandle(symbol, interval, bucketStart) {
+    return this.candleAggregator.getCandle(symbol, interval, bucketStart);
+  }
+
+  getVolumeRatio(symbol, interval, bucketStart, lookback) {
+    return this.candleAggregator.getVolumeRatio(symbol, interval, bucketStart, lookback);
+  }
+
+  /**
+   * Kline intervals streamed for a symbol: BINANCE_WS_KLINE_INTERVALS=auto (default) is 1m plus the intervals
+   * of the strategies on the symbol, so unused 1h/4h/1d streams do not take connection slots
+   * @param {string} symbol - e.g. 'BTCUSDT'
+   * @returns {string[]}
+   */
+  _getKlineIntervals(symbol) {
+    return strategyCache.getKlineIntervals(configService.getString('BINANCE_WS_KLINE_INTERVALS', 'auto'), 'binance', symbol);
+  }
+
   // Subscribe a list of symbols (normalized like BTCUSDT)
   subscribe(symbols) {
     if (!Array.isArray(symbols) || symbols.length === 0) {
@@ -145,16 +167,14 @@ class WebSocketManager {
     let hasNewStreams = false;
     let newStreamsCount = 0;
     let skippedCount = 0;
+    const liveStreams = new Map(); // open conn -> streams added to it (subscribed without reconnecting)
     for (const sym of normalized) {
       // Realtime streams: bookTicker for best bid/ask (maker entry) + trade for tick-level aggregation
       // Kline streams to get authoritative OHLC for multi-timeframes.
       const streamsForSymbol = [
         `${sym.toLowerCase()}@bookTicker`,
         `${sym.toLowerCase()}@trade`,
-        `${sym.toLowerCase()}@kline_1m`,
-        `${sym.toLowerCase()}@kline_5m`,
-        `${sym.toLowerCase()}@kline_15m`,
-        `${sym.toLowerCase()}@kline_30m`
+        ...this._getKlineIntervals(sym).map(i => `${sym.toLowerCase()}@kline_${i}`)
       ];
 
       for (const stream of streamsForSymbol) {
@@ -171,6 +191,10 @@ class WebSocketManager {
       for (const conn of this.connections) {
         if (conn.streams.size < this.maxStreamsPerConn) {
           conn.streams.add(stream);
+          if (conn.ws?.readyState === WebSocket.OPEN && !conn._needsReconnect) {
+            if (!liveStreams.has(conn)) liveStreams.set(conn, []);
+            liveStreams.get(conn).push(stream);
+          }
           placed = true;
           break;
         }
@@ -186,6 +210,15 @@ class WebSocketManager {
       logger.debug(`[Binance-WS] Added ${newStreamsCount} new streams, skipped ${skippedCount} existing streams. Total connections: ${this.connections.length}`);
     }
 
+    // Streams added to open connections (e.g. a strategy started using a new interval)
+    for (const [conn, streams] of liveStreams) {
+      try {
+        conn.ws.send(JSON.stringify({ method: 'SUBSCRIBE', params: streams, id: ++this._requestId }));
+      } catch (e) {
+        logger.warn(`[Binance-WS] Live subscribe of ${streams.length} streams failed: ${e?.message || e}`);
+      }
+    }
+
     // Reconnect connections that had stream changes
     for (const conn of this.connections) {
       if (conn._needsReconnect) {
@@ -215,6 +248,7 @@ class WebSocketManager {
       streams: new Set(),
       url: '',
       reconnectAttempts: 0,
+      reconnectTimer: null,
       _needsReconnect: true
     };
     this.connections.push(conn);
@@ -231,7 +265,9 @@ class WebSocketManager {
   _buildUrl(conn) {
     const streams = Array.from(conn.streams);
     const path = streams.join('/');
-    return this.baseUrl + path;
+    // Resolved per connect (not in constructor) so config loaded after import is honored
+    const base = configService.getString('BINANCE_MARKET_WS_BASE', this.baseUrl);
+    return base + path;
   }
 
   _connect(conn) {
@@ -239,8 +275,9 @@ class WebSocketManager {
       logger.debug(`[Binance-WS] Skipping connect: conn=${!!conn}, streams=${conn?.streams?.size || 0}`);
       return;
     }
-    if (conn.ws && conn.ws.readyState === WebSocket.OPEN) {
-      logger.debug(`[Binance-WS] Connection already open (${conn.streams.size} streams)`);
+    // A socket still connecting would be orphaned (its close handler keeps reconnecting) if replaced here
+    if (conn.ws && (conn.ws.readyState === WebSocket.OPEN || conn.ws.readyState === WebSocket.CONNECTING)) {
+      logger.debug(`[Binance-WS] Connection already open or connecting (${conn.streams.size} streams)`);
       return;
     }
 
@@ -362,7 +399,14 @@ class WebSocketManager {
   }
 
   _disconnect(conn) {
+    if (conn.reconnectTimer) {
+      clearTimeout(conn.reconnectTimer);
+      conn.reconnectTimer = null;
+    }
     if (conn.ws) {
+      // Detach first: the close event of a terminated socket must not schedule a reconnect
+      conn.ws.removeAllListeners();
+      conn.ws.on('error', () => {});
       try { conn.ws.terminate(); } catch (_) {}
       conn.ws = null;
     }
@@ -376,7 +420,10 @@ class WebSocketManager {
     }
     conn.reconnectAttempts += 1;
     const delay = Math.min(1000 * Math.pow(2, conn.reconnectAttempts), 15000);
-    setTimeout(() => this._connect(conn), delay);
+    conn.reconnectTimer = setTimeout(() => {
+      conn.reconnectTimer = null;
+      this._connect(conn);
+    }, delay);
   }
 
   _reconnect(conn) {
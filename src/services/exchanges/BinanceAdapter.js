@@ -0,0 +1,550 @@
+import { ExchangeAdapter, BINANCE_ORDER_STATUS_MAP } from './ExchangeAdapter.js';
+import { BinanceDirectClient } from '../BinanceDirectClient.js';
+import { PositionWebSocketClient } from '../PositionWebSocketClient.js';
+import { exchangeInfoService } from '../ExchangeInfoService.js';
+import { configService } from '../ConfigService.js';
+import { webSocketManager } from '../WebSocketManager.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Binance USDT-M futures through BinanceDirectClient (no CCXT)
+ * Trading on testnet/production per bot, market data always from production.
+ */
+export class BinanceAdapter extends ExchangeAdapter {
+  static id = 'binance';
+
+  static async syncSymbolFilters() {
+    await exchangeInfoService.updateFiltersFromExchange();
+    return true;
+  }
+
+  constructor(service) {
+    super(service);
+    this.binanceDirectClient = null;
+    this._binanceConfiguredSymbols = new Set(); // symbols configured with leverage/margin
+    this._binanceLeverageMap = new Map(); // symbol -> last applied leverage
+  }
+
+  async initialize() {
+    const botFlag = this.bot?.binance_testnet;
+    const isTestnet = (botFlag === null || botFlag === undefined)
+      ? configService.getBoolean('BINANCE_TESTNET', true)
+      : !!Number(botFlag); // per-bot override if provided
+    this.binanceDirectClient = new BinanceDirectClient(
+      this.bot.access_key,
+      this.bot.secret_key,
+      isTestnet,
+      exchangeInfoService // Inject cache service
+    );
+    logger.info(`Binance direct API client initialized for bot ${this.bot.id} - Trading from ${this.binanceDirectClient.baseURL}, Market data from ${this.binanceDirectClient.productionDataURL}`);
+    this.apiKeyValid = true; // Direct client doesn't need loadMarkets()
+  }
+
+  _normalize(symbol) {
+    return this.binanceDirectClient.normalizeSymbol(symbol);
+  }
+
+  async getBalance(type = 'spot') {
+    if (type === 'future') {
+      return await this.binanceDirectClient.getBalance();
+    }
+    // Spot balance not implemented in direct client yet
+    throw new Error('Spot balance not supported for Binance direct client');
+  }
+
+  /**
+   * Margin type once per symbol, leverage whenever it differs from the last applied value.
+   * Failures are logged only: the order itself decides whether the account setup is usable.
+   */
+  async _configureSymbol(normalizedSymbol) {
+    try {
+      // Only set margin type once per symbol (cache in _binanceConfiguredSymbols)
+      // CRITICAL: Handle -4046 error (margin type already configured) gracefully
+      if (!this._binanceConfiguredSymbols.has(normalizedSymbol)) {
+        const marginType = (configService.getString('BINANCE_DEFAULT_MARGIN_TYPE', 'CROSSED') || 'CROSSED').toUpperCase();
+        try {
+          await this.binanceDirectClient.setMarginType(normalizedSymbol, marginType);
+          this._binanceConfiguredSymbols.add(normalizedSymbol);
+          logger.debug(`[Cache] Set margin type for ${normalizedSymbol} to ${marginType} (cached)`);
+        } catch (marginErr) {
+          // Handle -4046: margin type already configured (can happen on restart or multi-instance)
+          const errMsg = marginErr?.message || '';
+          const errCode = marginErr?.code || '';
+          if (errMsg.includes('-4046') || errCode === '-4046' || errMsg.includes('No need to change margin type')) {
+            // Margin type already set - treat as success and cache it
+            this._binanceConfiguredSymbols.add(normalizedSymbol);
+            logger.debug(`[Cache] Margin type for ${normalizedSymbol} already configured (code -4046), cached`);
+          } else {
+            // Other error - log but don't fail order creation
+            logger.warn(`[Binance] Failed to set margin type for ${normalizedSymbol}: ${errMsg || marginErr}`);
+          }
+        }
+      }
+
+      // Use bot's default_leverage if set, otherwise use max leverage from symbol_filters cache
+      // If cache miss, try API call before falling back to default config
+      let desiredLev;
+      if (this.bot.default_leverage != null && Number.isFinite(Number(this.bot.default_leverage))) {
+        desiredLev = parseInt(this.bot.default_leverage);
+      } else {
+        let maxLeverageFromCache = exchangeInfoService.getMaxLeverage(normalizedSymbol);
+
+        if (maxLeverageFromCache == null) {
+          try {
+            maxLeverageFromCache = await this.binanceDirectClient.getMaxLeverage(normalizedSymbol);
+            logger.debug(`[Binance] Fetched max leverage from API for ${normalizedSymbol}: ${maxLeverageFromCache}`);
+          } catch (apiErr) {
+            logger.warn(`[Binance] Failed to fetch max leverage from API for ${normalizedSymbol}: ${apiErr?.message || apiErr}`);
+          }
+        }
+
+        // Only fallback to default config if both cache and API failed
+        if (maxLeverageFromCache != null && Number.isFinite(Number(maxLeverageFromCache))) {
+          desiredLev = parseInt(maxLeverageFromCache);
+        } else {
+          const defaultLeverage = parseInt(configService.getNumber('BINANCE_DEFAULT_LEVERAGE', 5));
+          desiredLev = defaultLeverage;
+          logger.warn(`[Binance] Using default leverage ${defaultLeverage} for ${normalizedSymbol} (cache and API both failed)`);
+        }
+      }
+
+      // Cache last applied leverage to avoid redundant calls
+      if (this._binanceLeverageMap.get(normalizedSymbol) !== desiredLev) {
+        await this.binanceDirectClient.setLeverage(normalizedSymbol, desiredLev);
+        this._binanceLeverageMap.set(normalizedSymbol, desiredLev);
+        const leverageSource = this.bot.default_leverage != null ? `bot default_leverage=${this.bot.default_leverage}` : 'max leverage from cache/default';
+        logger.info(`Set leverage for ${normalizedSymbol} to ${desiredLev} (${leverageSource}) for bot ${this.bot.id}`);
+      } else {
+        logger.debug(`[Cache] Leverage for ${normalizedSymbol} already set to ${desiredLev}, skipping`);
+      }
+    } catch (cfgErr) {
+      logger.warn(`Binance leverage/margin setup warning for ${normalizedSymbol}: ${cfgErr?.message || cfgErr}`);
+    }
+  }
+
+  async createOrder({ symbol, side, amount, type = 'limit', price, positionSide }) {
+    const normalizedSymbol = this._normalize(symbol);
+
+    // Validate symbol is tradable on Binance Futures (testnet/prod accordingly)
+    const symbolInfo = await this.binanceDirectClient.getTradingExchangeSymbol(normalizedSymbol);
+    if (!symbolInfo || symbolInfo.status !== 'TRADING') {
+      throw new Error(`Symbol ${normalizedSymbol} is not available for trading on Binance Futures.`);
+    }
+
+    // Calculate quantity and notional (USDT)
+    const currentPrice = price || await this.service.getTickerPrice(symbol);
+    if (!Number.isFinite(Number(currentPrice)) || Number(currentPrice) <= 0) {
+      throw new Error(`Invalid current/entry price for ${normalizedSymbol}: ${currentPrice}`);
+    }
+    if (!Number.isFinite(Number(amount)) || Number(amount) <= 0) {
+      throw new Error(`Invalid amount (USDT) for ${normalizedSymbol}: ${amount}`);
+    }
+    let quantity = Number(amount) / Number(currentPrice);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new Error(`Computed quantity invalid for ${normalizedSymbol}: amount=${amount}, price=${currentPrice}`);
+    }
+
+    // CRITICAL FIX (-4005): Validate and clamp quantity against maxQty from LOT_SIZE filter
+    const lotSizeFilter = (symbolInfo.filters || []).find(f => f.filterType === 'LOT_SIZE');
+    const maxQty = lotSizeFilter ? parseFloat(lotSizeFilter.maxQty) : null;
+
+    if (maxQty && Number.isFinite(maxQty) && quantity > maxQty) {
+      logger.warn(
+        `[MaxQty] Quantity ${quantity} for ${normalizedSymbol} exceeds maxQty ${maxQty}. Clamping to maxQty.`
+      );
+      quantity = maxQty;
+    }
+
+    await this._configureSymbol(normalizedSymbol);
+
+    // Respect strategy amount: do NOT auto-increase to meet min notional.
+    // Validate against MIN_NOTIONAL using EFFECTIVE notional after quantity formatting.
+    const minNotional = await this.binanceDirectClient.getMinNotional(normalizedSymbol);
+    if (minNotional) {
+      try {
+        const stepSize = await this.binanceDirectClient.getStepSize(normalizedSymbol);
+        const formattedQtyStr = this.binanceDirectClient.formatQuantity(quantity, stepSize);
+        const formattedQty = parseFloat(formattedQtyStr);
+        const effectiveNotional = (formattedQty || 0) * currentPrice;
+        logger.debug(`[MinNotionalCheck] ${normalizedSymbol}: amount=${amount}, price=${currentPrice}, rawQty=${quantity}, stepSize=${stepSize}, fmtQty=${formattedQty}, effectiveNotional=${effectiveNotional}, minNotional=${minNotional}`);
+        if (!Number.isFinite(effectiveNotional) || effectiveNotional + 1e-8 < Number(minNotional)) {
+          throw new Error(`Effective notional ${effectiveNotional.toFixed(8)} USDT is below minimum notional ${minNotional} USDT for ${normalizedSymbol} (amount=${amount}).`);
+        }
+      } catch (e) {
+        // If any issue computing step size, fall back to simple check on amount (still safer than skipping validation)
+        if (amount < Number(minNotional)) {
+          throw new Error(`Amount ${amount} USDT is below minimum notional ${minNotional} USDT for ${normalizedSymbol}.`);
+        }
+      }
+    }
+
+    // CRITICAL FIX: Format quantity according to stepSize BEFORE placing order
+    // Retry 3 times with slightly different quantities (in step units) to ensure validation passes
+    // and reduce floating/rounding edge cases.
+    const stepSize = await this.binanceDirectClient.getStepSize(normalizedSymbol);
+    const step = parseFloat(stepSize || '0');
+    if (!Number.isFinite(step) || step <= 0) {
+      throw new Error(`Invalid stepSize for ${normalizedSymbol}: ${stepSize}`);
+    }
+
+    const baseQty = parseFloat(this.binanceDirectClient.formatQuantity(quantity, stepSize));
+    if (!Number.isFinite(baseQty) || baseQty <= 0) {
+      throw new Error(`Invalid formatted quantity for ${normalizedSymbol}: ${baseQty} (original: ${quantity}, stepSize: ${stepSize})`);
+    }
+
+    // Try: baseQty, baseQty - 1 step, baseQty - 2 steps (never increase notional)
+    // Decreasing helps pass strict step validations and avoids min-notional inflation.
+    const candidates = [
+      baseQty,
+      parseFloat(this.binanceDirectClient.formatQuantity(Math.max(0, baseQty - step), stepSize)),
+      parseFloat(this.binanceDirectClient.formatQuantity(Math.max(0, baseQty - 2 * step), stepSize))
+    ].filter(q => Number.isFinite(q) && q > 0);
+
+    // Deduplicate (string compare to keep precision stable)
+    const uniq = [];
+    const seen = new Set();
+    for (const q of candidates) {
+      const key = String(q);
+      if (!seen.has(key)) {
+        seen.add(key);
+        uniq.push(q);
+      }
+    }
+
+    logger.debug(
+      `[OrderRetry] ${normalizedSymbol} candidates=${uniq.join(',')} rawQty=${quantity} stepSize=${stepSize} ` +
+      `amountUSDT=${amount} price=${currentPrice} bot=${this.bot.id}`
+    );
+
+    let order;
+    let avgFillPrice = null;
+    let lastErr = null;
+
+    for (let attempt = 0; attempt < Math.min(3, uniq.length); attempt++) {
+      const finalQuantity = uniq[attempt];
+
+      // Re-check min notional using effective notional for this candidate
+      if (minNotional) {
+        const effectiveNotional = finalQuantity * Number(currentPrice);
+        if (!Number.isFinite(effectiveNotional) || effectiveNotional + 1e-8 < Number(minNotional)) {
+          logger.warn(
+            `[OrderRetry] Skip candidate qty=${finalQuantity} for ${normalizedSymbol}: ` +
+            `effectiveNotional=${effectiveNotional} < minNotional=${minNotional}`
+          );
+          continue;
+        }
+      }
+
+      logger.info(
+        `[OrderRetry] Attempt ${attempt + 1}/3 placing ${type.toUpperCase()} order for ${normalizedSymbol} ` +
+        `side=${side} qty=${finalQuantity} stepSize=${stepSize} rawQty=${quantity}`
+      );
+
+      try {
+        if (type === 'market') {
+          order = await this.binanceDirectClient.placeMarketOrder(
+            normalizedSymbol,
+            side,
+            finalQuantity,
+            positionSide
+          );
+          try {
+            avgFillPrice = await this.binanceDirectClient.getOrderAverageFillPrice(normalizedSymbol, order.orderId);
+          } catch (_) {}
+        } else {
+          order = await this.binanceDirectClient.placeLimitOrder(
+            normalizedSymbol,
+            side,
+            finalQuantity,
+            price,
+            positionSide
+          );
+        }
+        // Success
+        lastErr = null;
+        break;
+      } catch (e) {
+        lastErr = e;
+        const msg = e?.message || String(e);
+        // Retry only for quantity/precision validation problems
+        const isQtyValidation = msg.includes('Order validation failed') || msg.includes('Invalid quantity') || msg.includes('-4131') || msg.includes('-1111');
+        logger.warn(
+          `[OrderRetry] Attempt ${attempt + 1}/3 failed for ${normalizedSymbol} qty=${finalQuantity}: ${msg}`
+        );
+        if (!isQtyValidation) {
+          throw e; // not a quantity validation issue => don't retry
+        }
+      }
+    }
+
+    if (!order) {
+      throw lastErr || new Error(`Failed to create ${type} order for ${normalizedSymbol} after 3 attempts`);
+    }
+
+    // CRITICAL FIX: Check actual order status after placing LIMIT order
+    // Binance LIMIT orders can fill immediately, partially, or be IOC
+    // Don't assume status='open' - check exchange response
+    if (type === 'limit') {
+      try {
+        const orderInfo = await this.binanceDirectClient.getOrder(normalizedSymbol, order.orderId);
+        const orderStatus = (orderInfo?.status || '').toUpperCase();
+        const executedQty = parseFloat(orderInfo?.executedQty || '0') || 0;
+
+        // If order is already filled or partially filled, update status
+        if (orderStatus === 'FILLED' || executedQty > 0) {
+          try {
+            avgFillPrice = await this.binanceDirectClient.getOrderAverageFillPrice(normalizedSymbol, order.orderId);
+          } catch (_) {
+            // Fallback to order price if avgFillPrice not available
+            avgFillPrice = parseFloat(orderInfo?.price || price || currentPrice);
+          }
+
+          logger.debug(
+            `[Binance LIMIT] Order ${order.orderId} for ${normalizedSymbol} status=${orderStatus}, ` +
+            `executedQty=${executedQty}, avgFillPrice=${avgFillPrice}`
+          );
+        }
+      } catch (statusErr) {
+        // If status check fails, log but continue with default assumption
+        logger.warn(
+          `[Binance LIMIT] Failed to check order status for ${order.orderId}: ${statusErr?.message || statusErr}. ` +
+          `Assuming order is open (will be verified by EntryOrderMonitor).`
+        );
+      }
+    }
+
+    // Convert to CCXT-like format
+    const isLimit = type === 'limit';
+    const isFilled = avgFillPrice !== null && avgFillPrice > 0;
+    const finalStatus = isLimit && !isFilled ? 'open' : 'closed';
+    const finalFilled = isFilled ? quantity : (isLimit ? 0 : quantity);
+    const finalRemaining = isLimit && !isFilled ? quantity : 0;
+
+    return {
+      id: order.orderId.toString(),
+      symbol: normalizedSymbol,
+      type: type,
+      side: side,
+      amount: quantity,
+      price: avgFillPrice || price || currentPrice,
+      avgFillPrice: avgFillPrice || undefined,
+      status: finalStatus,
+      filled: finalFilled,
+      remaining: finalRemaining,
+      timestamp: Date.now(),
+      datetime: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Position row of the given side (hedge mode), or any non-zero row (one-way mode)
+   */
+  async _findPosition(normalizedSymbol, side) {
+    const positions = await this.binanceDirectClient.getOpenPositions(normalizedSymbol);
+    const positionSide = side === 'long' ? 'LONG' : 'SHORT';
+    if (!Array.isArray(positions)) return null;
+    return positions.find(p => p.symbol === normalizedSymbol && (p.positionSide ? p.positionSide === positionSide : true))
+      || positions.find(p => p.symbol === normalizedSymbol && parseFloat(p.positionAmt) !== 0)
+      || null;
+  }
+
+  async closePosition(symbol, side) {
+    const normalizedSymbol = this._normalize(symbol);
+    const positionSide = side === 'long' ? 'LONG' : 'SHORT';
+    const pos = await this._findPosition(normalizedSymbol, side);
+
+    const posAmt = pos ? Math.abs(parseFloat(pos.positionAmt || 0)) : 0;
+    if (!pos || posAmt === 0) {
+      logger.warn(`No open position to close for ${normalizedSymbol}, skip close.`);
+      return { skipped: true };
+    }
+
+    // Use stepSize to floor quantity <= posAmt
+    const stepSize = await this.binanceDirectClient.getStepSize(normalizedSymbol);
+    const qty = parseFloat(this.binanceDirectClient.formatQuantity(posAmt, stepSize));
+    if (qty <= 0) {
+      logger.warn(`Computed close quantity <= 0 for ${normalizedSymbol}, skip.`);
+      return { skipped: true };
+    }
+
+    const closeSide = side === 'long' ? 'SELL' : 'BUY';
+    const order = await this.binanceDirectClient.placeMarketOrder(
+      normalizedSymbol,
+      closeSide,
+      qty,
+      positionSide,
+      true // reduceOnly
+    );
+    // Try to compute average fill price for the close
+    let avgFillPrice = null;
+    try {
+      avgFillPrice = await this.binanceDirectClient.getOrderAverageFillPrice(normalizedSymbol, order.orderId);
+    } catch (_) {}
+    logger.info(`Position closed for bot ${this.bot.id}:`, {
+      orderId: order.orderId,
+      symbol,
+      side,
+      amount: qty,
+      avgFillPrice
+    });
+    return { ...order, avgFillPrice };
+  }
+
+  async getClosableQuantity(symbol, side) {
+    const normalizedSymbol = this._normalize(symbol);
+    const pos = await this._findPosition(normalizedSymbol, side);
+    logger.debug(`[getClosableQuantity] Selected position:`, pos);
+    const posAmt = pos ? Math.abs(parseFloat(pos.positionAmt || 0)) : 0;
+    if (posAmt <= 0) return 0;
+    const stepSize = await this.binanceDirectClient.getStepSize(normalizedSymbol);
+    return parseFloat(this.binanceDirectClient.formatQuantity(posAmt, stepSize));
+  }
+
+  async createTakeProfitLimit(symbol, side, tpPrice, quantity, options = {}) {
+    return await this.binanceDirectClient.createTpLimitOrder(this._normalize(symbol), side, tpPrice, quantity, options);
+  }
+
+  async createCloseStopMarket(symbol, side, stopPrice, position = null, options = {}) {
+    return await this.binanceDirectClient.createCloseStopMarket(this._normalize(symbol), side, stopPrice, position, this.bot, options);
+  }
+
+  async createCloseTakeProfitMarket(symbol, side, stopPrice, position = null) {
+    return await this.binanceDirectClient.createCloseTakeProfitMarket(this._normalize(symbol), side, stopPrice, position, this.bot);
+  }
+
+  async createStopLossLimit(symbol, side, slPrice, quantity) {
+    return await this.binanceDirectClient.createSlLimitOrder(this._normalize(symbol), side, slPrice, quantity);
+  }
+
+  async createEntryTriggerOrder(symbol, side, entryPrice, quantity) {
+    return await this.binanceDirectClient.createEntryTriggerOrder(this._normalize(symbol), side, entryPrice, quantity);
+  }
+
+  async getTickSize(symbol) {
+    // Try cache first
+    const normalizedSymbol = this._normalize(symbol);
+    const cached = exchangeInfoService.getTickSize(normalizedSymbol);
+    if (cached) {
+      logger.debug(`[Cache Hit] ExchangeService.getTickSize for ${normalizedSymbol}: ${cached}`);
+      return cached;
+    }
+    // Fallback to REST API
+    return await this.binanceDirectClient.getTickSize(symbol);
+  }
+
+  async getOrderTrades(symbol, orderId) {
+    return await this.binanceDirectClient.getUserTrades(symbol, { orderId });
+  }
+
+  async getIncomeHistory({ incomeType, startTime, endTime, symbol = null }) {
+    const limit = 1000;
+    const rows = [];
+    const seen = new Set();
+    let cursor = startTime;
+    const maxPages = 50;
+    // Binance returns the oldest rows first. The next page starts AT the last row's time (funding rows of many
+    // symbols share one timestamp and may straddle the page boundary); rows already seen are dropped by tranId.
+    for (let page = 0; cursor <= endTime; page++) {
+      // Callers recompute totals from the result: a truncated list must not pass for the full history
+      if (page >= maxPages) {
+        throw new Error(`Income history exceeds ${maxPages} pages of ${limit} rows (${rows.length} fetched), narrow the time range`);
+      }
+      const batch = await this.binanceDirectClient.getIncomeHistory({ incomeType, symbol, startTime: cursor, endTime, limit });
+      for (const row of batch) {
+        const key = row.tranId !== undefined && row.tranId !== null
+          ? String(row.tranId)
+          : `${row.time}:${row.symbol}:${row.incomeType}:${row.income}:${row.asset}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        rows.push(row);
+      }
+      if (batch.length < limit) break;
+      const lastTime = Number(batch[batch.length - 1].time);
+      // A full page within one millisecond cannot be paged by time: move on rather than loop
+      cursor = lastTime > cursor ? lastTime : lastTime + 1;
+    }
+    return rows;
+  }
+
+  async getOpenPositions(symbol = null) {
+    return await this.binanceDirectClient.getOpenPositions(symbol);
+  }
+
+  async get24hQuoteVolumes() {
+    const volumes = new Map();
+    const tickers = await this.binanceDirectClient.getTickers24h();
+    for (const t of Array.isArray(tickers) ? tickers : []) {
+      const volume = Number(t?.quoteVolume);
+      if (t?.symbol && Number.isFinite(volume)) volumes.set(String(t.symbol).toUpperCase(), volume);
+    }
+    return volumes;
+  }
+
+  async fetchOHLCV(symbol, timeframe, limit = 100, marketType = null, endTime = null) {
+    const klines = await this.binanceDirectClient.getKlines(symbol, timeframe, limit, endTime);
+    // Convert to CCXT format
+    return klines.map(candle => [
+      candle.openTime,
+      candle.open,
+      candle.high,
+      candle.low,
+      candle.close,
+      candle.volume
+    ]);
+  }
+
+  async getTickerPrice(symbol) {
+    // Production data (WS cache first inside the client)
+    return await this.binanceDirectClient.getPrice(symbol);
+  }
+
+  async cancelAllOpenOrders(symbol, options = {}) {
+    return await this.binanceDirectClient.cancelAllOpenOrders(symbol, options);
+  }
+
+  async getOpenOrders(symbol) {
+    return await this.binanceDirectClient.getOpenOrders(symbol);
+  }
+
+  async cancelOrder(orderId, symbol) {
+    const normalizedSymbol = this._normalize(symbol);
+    const result = await this.binanceDirectClient.cancelOrder(normalizedSymbol, orderId);
+    logger.info(`Order cancelled for bot ${this.bot.id}:`, { orderId, symbol: normalizedSymbol });
+    return result;
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    const data = await this.binanceDirectClient.getOrder(this._normalize(symbol), orderId);
+    const status = BINANCE_ORDER_STATUS_MAP[data.status] || 'open';
+    const filled = parseFloat(data.executedQty || '0') || 0;
+    return { status, filled, raw: data };
+  }
+
+  async getOrderAverageFillPrice(symbol, orderId) {
+    return await this.binanceDirectClient.getOrderAverageFillPrice(symbol, orderId);
+  }
+
+  /**
+   * Futures user-data stream (listenKey) emitting ORDER_TRADE_UPDATE
+   * IMPORTANT: Skipped for bots missing API credentials to avoid listenKey retry storms
+   */
+  async createUserDataStream() {
+    const hasApiCreds = !!(this.bot?.access_key && String(this.bot.access_key).trim()) && !!(this.bot?.secret_key && String(this.bot.secret_key).trim());
+    if (!hasApiCreds) {
+      logger.warn(`[BinanceAdapter] Bot ${this.bot.id} is missing access_key/secret_key. Skipping user-data WebSocket initialization.`);
+      return null;
+    }
+
+    const restMakeRequest = this.binanceDirectClient.makeRequest.bind(this.binanceDirectClient);
+    const wsClient = new PositionWebSocketClient(restMakeRequest, !!this.binanceDirectClient.isTestnet);
+    wsClient.on('listenKeyExpired', () => {
+      logger.warn(`[BinanceAdapter] listenKeyExpired for bot ${this.bot.id}, WS client will reconnect.`);
+    });
+    await wsClient.connect();
+    return wsClient;
+  }
+
+  getPriceStream() {
+    return webSocketManager;
+  }
+}
@@ -0,0 +1,139 @@
+import { CcxtAdapter } from './CcxtAdapter.js';
+import { BybitPrivateStream } from '../BybitPrivateStream.js';
+import { bybitPriceWs } from '../BybitWebSocketManager.js';
+import { exchangeInfoService } from '../ExchangeInfoService.js';
+import { configService } from '../ConfigService.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Bybit USDT perpetuals (v5 linear) through CCXT, WebSocket-first prices and a private order stream
+ */
+export class BybitAdapter extends CcxtAdapter {
+  static id = 'bybit';
+  static ccxtId = 'bybit';
+
+  static async syncSymbolFilters() {
+    await exchangeInfoService.updateBybitFiltersFromExchange();
+    return true;
+  }
+
+  constructor(service) {
+    super(service);
+    this.priceStream = bybitPriceWs;
+  }
+
+  _clientConfig() {
+    const config = super._clientConfig();
+    return { ...config, options: { ...config.options, defaultSettle: 'USDT' } };
+  }
+
+  _normalize(symbol) {
+    return String(symbol || '').toUpperCase().replace(/:USDT$/, '').replace(/[\/:_]/g, '');
+  }
+
+  _isSandbox() {
+    return configService.getBoolean('CCXT_SANDBOX', false) || configService.getBoolean('BYBIT_SANDBOX', false);
+  }
+
+  /**
+   * Bot default_leverage, else max leverage from symbol_filters, else BYBIT_DEFAULT_LEVERAGE
+   */
+  _leverage(symbol) {
+    if (this.bot.default_leverage != null && Number.isFinite(Number(this.bot.default_leverage))) {
+      return Number(this.bot.default_leverage);
+    }
+    const maxLeverageFromCache = exchangeInfoService.getMaxLeverage(this._normalize(symbol), 'bybit');
+    if (maxLeverageFromCache != null && Number.isFinite(Number(maxLeverageFromCache))) {
+      return Number(maxLeverageFromCache);
+    }
+    return Number(configService.getNumber('BYBIT_DEFAULT_LEVERAGE', 5));
+  }
+
+  async _beforeOrder(symbol, marketSymbol) {
+    const leverage = this._leverage(symbol);
+    if (!Number.isFinite(leverage) || leverage <= 0) return;
+    try {
+      await this.exchange.setLeverage(leverage, marketSymbol);
+      logger.info(`[Bybit] Set leverage=${leverage} for ${symbol}`);
+    } catch (levErr) {
+      // 110043: leverage not modified (already set)
+      if (!/110043|not modified/i.test(levErr?.message || '')) {
+        logger.warn(`[Bybit] setLeverage failed for ${symbol}: ${levErr?.message || levErr}`);
+      }
+    }
+  }
+
+  async getClosableQuantity(symbol, side) {
+    const marketSymbol = this._marketSymbol(symbol);
+    const positions = await this.exchange.fetchPositions([marketSymbol]);
+    const pos = (positions || []).find(p => p.symbol === marketSymbol && (!p.side || p.side === side) && p.contracts > 0);
+    return pos ? Number(pos.contracts) : 0;
+  }
+
+  /**
+   * Reduce-only conditional market close (stopLossPrice / takeProfitPrice set Bybit's trigger direction)
+   * @returns {Promise<Object>} CCXT order with Binance-style orderId for the exit order flow
+   */
+  async _createCloseTrigger(symbol, side, triggerPrice, position, trigger, suffix) {
+    const marketSymbol = this._marketSymbol(symbol);
+    const quantity = await this.getClosableQuantity(symbol, side);
+    if (!(quantity > 0)) {
+      throw new Error(`No open ${side} position to protect for ${marketSymbol}`);
+    }
+
+    const params = {
+      reduceOnly: true,
+      [trigger]: parseFloat(this.exchange.priceToPrecision(marketSymbol, triggerPrice))
+    };
+    // Same OC_B{botId}_P{positionId}_{EXIT|TP|SL} mapping as Binance; Bybit needs unique orderLinkIds
+    if (position?.id) {
+      params.clientOrderId = `OC_B${this.bot.id}_P${position.id}_${suffix}_${Date.now().toString(36)}`;
+    }
+
+    const qty = parseFloat(this.exchange.amountToPrecision(marketSymbol, quantity));
+    const orderSide = side === 'long' ? 'sell' : 'buy';
+    const order = await this.exchange.createOrder(marketSymbol, 'market', orderSide, qty, undefined, params);
+    return { ...order, orderId: order.id };
+  }
+
+  async createCloseStopMarket(symbol, side, stopPrice, position = null, options = {}) {
+    return await this._createCloseTrigger(symbol, side, stopPrice, position, 'stopLossPrice', options?.clientOrderSuffix || 'EXIT');
+  }
+
+  async createCloseTakeProfitMarket(symbol, side, stopPrice, position = null) {
+    return await this._createCloseTrigger(symbol, side, stopPrice, position, 'takeProfitPrice', 'TP');
+  }
+
+  async getTickSize(symbol) {
+    return exchangeInfoService.getTickSize(this._normalize(symbol), 'bybit') || '0.01';
+  }
+
+  async getTickerPrice(symbol) {
+    // WebSocket-first, REST (cached) until the stream has a price
+    const wsPrice = Number(this.priceStream.getPrice(symbol));
+    if (Number.isFinite(wsPrice) && wsPrice > 0) return wsPrice;
+    try { this.priceStream.subscribe([symbol]); } catch (_) {}
+    return await super.getTickerPrice(symbol);
+  }
+
+  async createUserDataStream() {
+    if (!this.bot?.access_key || !this.bot?.secret_key) {
+      logger.warn(`[BybitAdapter] Bot ${this.bot.id} is missing access_key/secret_key. Skipping order stream.`);
+      return null;
+    }
+    const stream = new BybitPrivateStream({
+      apiKey: this.bot.access_key,
+      secret: this.bot.secret_key,
+      isTestnet: this._isSandbox()
+    });
+    stream.on('error', (err) => {
+      logger.warn(`[BybitAdapter] Order stream error for bot ${this.bot.id}: ${err?.message || err}`);
+    });
+    await stream.connect();
+    return stream;
+  }
+
+  getPriceStream() {
+    return this.priceStream;
+  }
+}
@@ -0,0 +1,380 @@
+import ccxt from 'ccxt';
+import { ExchangeAdapter } from './ExchangeAdapter.js';
+import { configService } from '../ConfigService.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * 24h quote volume of every swap market of a CCXT client
+ * @param {Object} exchange - CCXT client
+ * @returns {Promise<Map<string, number>>} BTCUSDT -> 24h quote volume
+ */
+export async function fetchCcxtQuoteVolumes(exchange) {
+  const volumes = new Map();
+  const tickers = await exchange.fetchTickers(undefined, { type: 'swap' });
+  for (const t of Object.values(tickers || {})) {
+    const volume = Number(t?.quoteVolume);
+    if (!t?.symbol || !Number.isFinite(volume)) continue;
+    // CCXT unified symbol BTC/USDT:USDT -> BTCUSDT
+    volumes.set(t.symbol.split(':')[0].replace('/', '').toUpperCase(), volume);
+  }
+  return volumes;
+}
+
+/**
+ * Candles of a CCXT client in the candles table shape
+ * @param {Object} exchange - CCXT client
+ * @param {Object} options - { symbol, marketSymbol, timeframe, limit, marketType, endTime, timeframeMs }
+ * @returns {Promise<Array>}
+ */
+export async function fetchCcxtOHLCV(exchange, { symbol, marketSymbol, timeframe, limit, marketType, endTime, timeframeMs }) {
+  const params = {};
+  if (marketType) {
+    params.type = marketType;
+  }
+  // CCXT pages forward from `since`: start `limit` candles before endTime
+  const since = endTime ? Number(endTime) - (limit - 1) * timeframeMs : undefined;
+  const candles = await exchange.fetchOHLCV(marketSymbol, timeframe, since, limit, params);
+
+  return candles.map(candle => ({
+    symbol,
+    interval: timeframe,
+    open_time: candle[0],
+    open: candle[1],
+    high: candle[2],
+    low: candle[3],
+    close: candle[4],
+    volume: candle[5],
+    close_time: candle[0] + timeframeMs - 1
+  }));
+}
+
+/**
+ * Base adapter for venues traded through a CCXT swap client (MEXC, Gate.io)
+ * Subclasses pick the CCXT class and hook into client setup, order preparation and submission.
+ */
+export class CcxtAdapter extends ExchangeAdapter {
+  /** CCXT exchange class name (ccxt[ccxtId]) */
+  static ccxtId = null;
+
+  /** CCXT account name of the futures wallet used by transfer() */
+  static futuresWallet = 'future';
+
+  /** loadMarkets attempts during initialize */
+  static loadMarketsRetries = 1;
+
+  /** Keep the client usable when loadMarkets keeps failing (markets are then loaded on demand) */
+  static continueWithoutMarkets = false;
+
+  constructor(service) {
+    super(service);
+    // Simple REST ticker cache to reduce CCXT calls
+    this._tickerCache = new Map(); // key: symbol -> price
+    this._tickerCacheTime = new Map(); // key: symbol -> timestamp
+    this._maxTickerCacheSize = 200; // Maximum number of symbols to cache
+    this._tickerCacheTTL = 30 * 1000; // 30 seconds TTL
+  }
+
+  /**
+   * CCXT client options
+   * @returns {Object}
+   */
+  _clientConfig() {
+    return {
+      apiKey: this.bot.access_key,
+      secret: this.bot.secret_key,
+      enableRateLimit: true,
+      options: {
+        defaultType: 'swap'
+      }
+    };
+  }
+
+  /**
+   * Venue-specific client setup, run after construction and before loadMarkets
+   */
+  async _configureClient() {}
+
+  async initialize() {
+    const ExchangeClass = ccxt[this.constructor.ccxtId];
+    this.exchange = new ExchangeClass(this._clientConfig());
+    await this._configureClient();
+
+    // Only enable sandbox mode if explicitly requested (globally or per venue, e.g. GATE_SANDBOX)
+    const sandboxEnabled =
+      configService.getBoolean('CCXT_SANDBOX', false) ||
+      configService.getBoolean(`${this.id.toUpperCase()}_SANDBOX`, false);
+
+    if (sandboxEnabled && typeof this.exchange.setSandboxMode === 'function') {
+      this.exchange.setSandboxMode(true);
+      logger.info(`Sandbox mode enabled for bot ${this.bot.id} on ${this.id}`);
+    }
+
+    // Add small delay before loadMarkets to reduce CPU spike during startup
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const maxRetries = this.constructor.loadMarketsRetries;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        await this.exchange.loadMarkets();
+        logger.info(`Exchange ${this.id} initialized for bot ${this.bot.id}`);
+        this.apiKeyValid = true;
+        return;
+      } catch (error) {
+        if (attempt < maxRetries) {
+          const delayMs = 2000 * attempt; // 2s, 4s, 6s
+          logger.warn(`[${this.id}] loadMarkets attempt ${attempt}/${maxRetries} failed, retrying in ${delayMs}ms: ${error?.message || error}`);
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+          continue;
+        }
+        logger.error(`[${this.id}] loadMarkets failed after ${maxRetries} attempts for bot ${this.bot.id}:`, error);
+        if (!this.constructor.continueWithoutMarkets) throw error;
+        logger.warn(`[${this.id}] Continuing without loadMarkets - will load markets on-demand`);
+        this.apiKeyValid = true; // Assume valid, will fail on actual trades if not
+      }
+    }
+  }
+
+  _requireClient() {
+    if (!this.exchange) {
+      throw new Error(`Exchange not initialized for bot ${this.bot.id}`);
+    }
+    return this.exchange;
+  }
+
+  _marketSymbol(symbol) {
+    return this.service.formatSymbolForExchange(symbol, 'swap');
+  }
+
+  async getBalance(type = 'spot') {
+    const exchange = this._requireClient();
+    const isFuture = type === 'future';
+    const balance = isFuture ? await exchange.fetchBalance({ type: 'swap' }) : await exchange.fetchBalance();
+
+    // MEXC returns balance in different structure, normalize it
+    const usdtBalance = balance.USDT || (isFuture ? balance.USDT_SWAP : balance.USDT_SPOT);
+    return {
+      free: usdtBalance?.free || 0,
+      used: usdtBalance?.used || 0,
+      total: usdtBalance?.total || 0
+    };
+  }
+
+  async transfer(amount, from, to) {
+    const wallet = (account) => (account === 'future' ? this.constructor.futuresWallet : account);
+    return await this._requireClient().transfer('USDT', amount, wallet(from), wallet(to));
+  }
+
+  async withdraw(amount, address, network) {
+    const params = { network: network.toLowerCase() };
+    return await this._requireClient().withdraw('USDT', amount, address, undefined, undefined, params);
+  }
+
+  /**
+   * Hook before sizing the order (e.g. leverage setup)
+   */
+  async _beforeOrder(symbol, marketSymbol) {}
+
+  /**
+   * Hook after sizing the order (e.g. margin check); throw to reject the order
+   */
+  async _checkOrder(symbol, notional) {}
+
+  /**
+   * Base units per contract of a market (1 when the venue sizes orders in base units)
+   * @param {Object} market - CCXT market
+   * @returns {number}
+   */
+  _contractSize(market) {
+    return 1;
+  }
+
+  /**
+   * Send the sized order to the venue
+   */
+  async _submitOrder({ symbol, marketSymbol, side, type, amount, qty, price, priceOut }) {
+    return await this.exchange.createOrder(marketSymbol, type, side, qty, priceOut, {});
+  }
+
+  async createOrder({ symbol, side, amount, type = 'limit', price }) {
+    const marketSymbol = this._marketSymbol(symbol);
+
+    // Convert USDT amount -> contracts quantity
+    const usePrice = price || await this.service.getTickerPrice(symbol);
+    if (!Number.isFinite(Number(usePrice)) || Number(usePrice) <= 0) {
+      throw new Error(`Invalid current/entry price for ${marketSymbol}: ${usePrice}`);
+    }
+
+    await this._beforeOrder(symbol, marketSymbol);
+
+    // Load market metadata for precision and limits
+    const market = this.exchange.market(marketSymbol);
+
+    // Calculate raw quantity in contracts from USDT notional
+    const contractSize = this._contractSize(market);
+    const rawQty = Number(amount) / (Number(usePrice) * contractSize);
+    if (!Number.isFinite(rawQty) || rawQty <= 0) {
+      throw new Error(`Computed quantity invalid for ${marketSymbol}: amount=${amount}, price=${usePrice}`);
+    }
+
+    // Apply amount precision (contracts) and price precision (for limit)
+    const qty = parseFloat(this.exchange.amountToPrecision(marketSymbol, rawQty));
+    let priceOut = undefined;
+    if (type === 'limit') {
+      priceOut = parseFloat(this.exchange.priceToPrecision(marketSymbol, usePrice));
+    }
+
+    // Validate against exchange limits
+    const minQty = market?.limits?.amount?.min;
+    const maxQty = market?.limits?.amount?.max;
+    const minCost = market?.limits?.cost?.min;
+    const notional = qty * Number(usePrice) * contractSize;
+
+    if (Number.isFinite(minQty) && qty + 1e-12 < Number(minQty)) {
+      throw new Error(`Order quantity ${qty} < minQty ${minQty} for ${marketSymbol}`);
+    }
+    if (Number.isFinite(maxQty) && qty - 1e-12 > Number(maxQty)) {
+      throw new Error(`Order quantity ${qty} > maxQty ${maxQty} for ${marketSymbol}`);
+    }
+    if (Number.isFinite(minCost) && notional + 1e-12 < Number(minCost)) {
+      throw new Error(`Order notional ${notional.toFixed(8)} < minCost ${minCost} for ${marketSymbol}`);
+    }
+
+    await this._checkOrder(symbol, notional);
+
+    const order = await this._submitOrder({ symbol, marketSymbol, side, type, amount, qty, price: usePrice, priceOut });
+
+    logger.info(`Order created for bot ${this.bot.id}:`, {
+      orderId: order.id,
+      symbol,
+      side,
+      amount,
+      qty,
+      price: priceOut || usePrice
+    });
+
+    return order;
+  }
+
+  async closePosition(symbol, side) {
+    // Compute actual position size and use reduceOnly
+    const marketSymbol = this._marketSymbol(symbol);
+    const positions = await this.exchange.fetchPositions();
+    const pos = Array.isArray(positions)
+      ? positions.find(p => (p.symbol === marketSymbol || p.symbol === symbol || p.info?.symbol === marketSymbol || p.info?.symbol === symbol) && ((p.contracts ?? Math.abs(parseFloat(p.positionAmt || 0))) > 0))
+      : null;
+
+    const contracts = pos ? (pos.contracts ?? Math.abs(parseFloat(pos.positionAmt || 0))) : 0;
+    if (!contracts || contracts <= 0) {
+      logger.warn(`No open position to close for ${marketSymbol}, skip close.`);
+      return { skipped: true };
+    }
+
+    // Respect precision
+    const qty = parseFloat(this.exchange.amountToPrecision(marketSymbol, contracts));
+    if (!qty || qty <= 0) {
+      logger.warn(`Computed close quantity <= 0 for ${marketSymbol}, skip.`);
+      return { skipped: true };
+    }
+
+    const orderSide = side === 'long' ? 'sell' : 'buy';
+    const order = await this.exchange.createOrder(marketSymbol, 'market', orderSide, qty, undefined, { reduceOnly: true });
+
+    logger.info(`Position closed for bot ${this.bot.id}:`, {
+      orderId: order.id,
+      symbol,
+      side,
+      qty
+    });
+
+    return order;
+  }
+
+  async getOpenPositions(symbol = null) {
+    const positions = await this.exchange.fetchPositions(symbol);
+    return positions.filter(p => p.contracts > 0);
+  }
+
+  async get24hQuoteVolumes() {
+    return await fetchCcxtQuoteVolumes(this.exchange);
+  }
+
+  async fetchOHLCV(symbol, timeframe, limit = 100, marketType = null, endTime = null) {
+    return await fetchCcxtOHLCV(this.exchange, {
+      symbol,
+      marketSymbol: this.service.formatSymbolForExchange(symbol, marketType),
+      timeframe,
+      limit,
+      marketType,
+      endTime,
+      timeframeMs: this.service.getTimeframeMs(timeframe)
+    });
+  }
+
+  /**
+   * fetchTicker through the short-lived ticker cache (NON_BINANCE_TICKER_CACHE_MS)
+   * @param {Object} client - CCXT client
+   * @param {string} key - Market symbol
+   * @returns {Promise<number|null>}
+   */
+  async _fetchCachedTicker(client, key) {
+    const cacheMs = Number(configService.getNumber('NON_BINANCE_TICKER_CACHE_MS', 2000));
+    const now = Date.now();
+    const lastTs = this._tickerCacheTime.get(key) || 0;
+    if (cacheMs > 0 && (now - lastTs) < cacheMs) {
+      const cached = this._tickerCache.get(key);
+      if (cached !== undefined) return cached;
+    }
+
+    const ticker = await client.fetchTicker(key);
+    const price = ticker?.last;
+    if (!Number.isFinite(Number(price))) return null;
+
+    // Enforce max cache size and cleanup old entries
+    this._cleanupTickerCache();
+    if (this._tickerCache.size >= this._maxTickerCacheSize && !this._tickerCache.has(key)) {
+      const oldest = Array.from(this._tickerCacheTime.entries())
+        .sort((a, b) => a[1] - b[1])[0];
+      if (oldest) {
+        this._tickerCache.delete(oldest[0]);
+        this._tickerCacheTime.delete(oldest[0]);
+      }
+    }
+    this._tickerCache.set(key, Number(price));
+    this._tickerCacheTime.set(key, now);
+    return price;
+  }
+
+  async getTickerPrice(symbol) {
+    return await this._fetchCachedTicker(this.exchange, this._marketSymbol(symbol));
+  }
+
+  /**
+   * Cleanup expired ticker cache entries
+   */
+  _cleanupTickerCache() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [symbol, timestamp] of this._tickerCacheTime.entries()) {
+      if (now - timestamp > this._tickerCacheTTL) {
+        this._tickerCache.delete(symbol);
+        this._tickerCacheTime.delete(symbol);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      logger.debug(`[ExchangeService] Cleaned up ${removed} expired ticker cache entries for bot ${this.bot.id}`);
+    }
+  }
+
+  async cancelOrder(orderId, symbol) {
+    const marketSymbol = this._marketSymbol(symbol);
+    const result = await this.exchange.cancelOrder(orderId, marketSymbol);
+    logger.info(`Order cancelled for bot ${this.bot.id}:`, { orderId, symbol: marketSymbol });
+    return result;
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    const order = await this.exchange.fetchOrder(orderId, this._marketSymbol(symbol));
+    return { status: order.status, filled: order.filled || 0, raw: order };
+  }
+}
@@ -0,0 +1,225 @@
+import logger from '../../utils/logger.js';
+
+/**
+ * Methods every exchange adapter exposes (the conformance suite checks them all).
+ * Optional features keep the base implementation: conditional exit orders throw "not supported",
+ * reporting helpers return null and the streams return null (callers fall back to REST polling).
+ */
+export const EXCHANGE_ADAPTER_METHODS = [
+  // lifecycle
+  'initialize',
+  // balances / wallets
+  'getBalance', 'transfer', 'withdraw',
+  // orders
+  'createOrder', 'closePosition', 'cancelOrder', 'cancelAllOpenOrders', 'getOpenOrders',
+  'getOrderStatus', 'getOrderAverageFillPrice', 'getOrderTrades', 'getIncomeHistory',
+  // conditional exit orders
+  'createTakeProfitLimit', 'createCloseStopMarket', 'createCloseTakeProfitMarket',
+  'createStopLossLimit', 'createEntryTriggerOrder',
+  // positions
+  'getOpenPositions', 'getClosableQuantity',
+  // market data / symbol filters
+  'getTickerPrice', 'getTickSize', 'get24hQuoteVolumes', 'fetchOHLCV',
+  // streams
+  'createUserDataStream', 'getPriceStream'
+];
+
+/**
+ * Order status map of Binance-shaped order payloads (Binance direct API and paper exchange)
+ */
+export const BINANCE_ORDER_STATUS_MAP = {
+  NEW: 'open',
+  PARTIALLY_FILLED: 'open',
+  FILLED: 'closed',
+  CANCELED: 'canceled',
+  CANCELLED: 'canceled',
+  EXPIRED: 'canceled'
+};
+
+/**
+ * Exchange adapter contract
+ *
+ * One subclass per venue, registered in ./index.js. ExchangeService owns the cross-exchange policy
+ * (soft-error logging, reduce-only race handling...) and delegates every venue call to its adapter.
+ * Symbols are accepted in any user format (BTCUSDT, BTC/USDT, BTC_USDT); each adapter normalizes them.
+ */
+export class ExchangeAdapter {
+  /** Exchange name as stored in bots.exchange */
+  static id = null;
+
+  /** Whether unqualified symbols default to the perpetual swap market (BTC/USDT -> BTC/USDT:USDT) */
+  static swapByDefault = true;
+
+  /**
+   * Sync this venue's symbol_filters (tick/step size, min notional, max leverage)
+   * @returns {Promise<boolean>} false when the venue has no symbol filter source
+   */
+  static async syncSymbolFilters() {
+    return false;
+  }
+
+  /**
+   * @param {ExchangeService} service - Owning service (decrypted bot, symbol formatting, timeframe helpers)
+   */
+  constructor(service) {
+    this.service = service;
+    this.bot = service.bot;
+    this.exchange = null; // CCXT trading client (CCXT-based venues)
+    this.publicExchange = null; // CCXT public market data client
+    this.apiKeyValid = true;
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  _notSupported(method) {
+    return new Error(`${method} not supported on this exchange`);
+  }
+
+  async initialize() {
+    throw this._notSupported('initialize');
+  }
+
+  /**
+   * @param {'spot'|'future'} type
+   * @returns {Promise<{free:number, used:number, total:number}>}
+   */
+  async getBalance(type = 'spot') {
+    throw this._notSupported('getBalance');
+  }
+
+  /**
+   * Move USDT between wallets
+   * @param {number} amount
+   * @param {'spot'|'future'} from
+   * @param {'spot'|'future'} to
+   */
+  async transfer(amount, from, to) {
+    throw this._notSupported('transfer');
+  }
+
+  async withdraw(amount, address, network) {
+    throw this._notSupported('withdraw');
+  }
+
+  /**
+   * Place an entry order sized in USDT
+   * @param {Object} params - { symbol, side: 'buy'|'sell', amount (USDT), type: 'market'|'limit', price, positionSide }
+   * @returns {Promise<Object>} CCXT-like order ({ id, status, filled, avgFillPrice, ... })
+   */
+  async createOrder(params) {
+    throw this._notSupported('createOrder');
+  }
+
+  /**
+   * Reduce-only market close of the whole position
+   * @returns {Promise<Object>} Order, or { skipped: true } when there is nothing to close
+   */
+  async closePosition(symbol, side, amount) {
+    throw this._notSupported('closePosition');
+  }
+
+  async cancelOrder(orderId, symbol) {
+    throw this._notSupported('cancelOrder');
+  }
+
+  async cancelAllOpenOrders(symbol, options = {}) {
+    logger.warn(`[ExchangeService] cancelAllOpenOrders not implemented for ${this.id}`);
+    return { success: true };
+  }
+
+  async getOpenOrders(symbol) {
+    logger.warn(`[ExchangeService] getOpenOrders not implemented for ${this.id}`);
+    return [];
+  }
+
+  /**
+   * @returns {Promise<{status:'open'|'closed'|'canceled', filled:number, raw:any}>}
+   */
+  async getOrderStatus(symbol, orderId) {
+    throw this._notSupported('getOrderStatus');
+  }
+
+  async getOrderAverageFillPrice(symbol, orderId) {
+    const { raw } = await this.getOrderStatus(symbol, orderId);
+    for (const value of [raw?.avgPrice, raw?.average, raw?.price]) {
+      if (value && Number.isFinite(Number(value))) return Number(value);
+    }
+    return null;
+  }
+
+  /** @returns {Promise<Array|null>} Binance userTrades-shaped fills, null when unsupported */
+  async getOrderTrades(symbol, orderId) {
+    return null;
+  }
+
+  /** @returns {Promise<Array|null>} Binance income-shaped rows, null when unsupported */
+  async getIncomeHistory(options) {
+    return null;
+  }
+
+  async createTakeProfitLimit(symbol, side, tpPrice, quantity, options = {}) {
+    throw this._notSupported('createTakeProfitLimit');
+  }
+
+  async createCloseStopMarket(symbol, side, stopPrice, position = null, options = {}) {
+    throw this._notSupported('createCloseStopMarket');
+  }
+
+  async createCloseTakeProfitMarket(symbol, side, stopPrice, position = null) {
+    throw this._notSupported('createCloseTakeProfitMarket');
+  }
+
+  async createStopLossLimit(symbol, side, slPrice, quantity) {
+    throw this._notSupported('createStopLossLimit');
+  }
+
+  async createEntryTriggerOrder(symbol, side, entryPrice, quantity) {
+    throw this._notSupported('createEntryTriggerOrder');
+  }
+
+  /** @returns {Promise<Array>} Open positions (Binance positionRisk or CCXT position shape) */
+  async getOpenPositions(symbol = null) {
+    throw this._notSupported('getOpenPositions');
+  }
+
+  /** @returns {Promise<number>} Quantity a reduce-only close can use, 0 when unknown */
+  async getClosableQuantity(symbol, side) {
+    return 0;
+  }
+
+  /** @returns {Promise<number|null>} Last price, null when temporarily unavailable */
+  async getTickerPrice(symbol) {
+    throw this._notSupported('getTickerPrice');
+  }
+
+  async getTickSize(symbol) {
+    return '0.01';
+  }
+
+  /** @returns {Promise<Map<string, number>>} BTCUSDT -> 24h quote volume */
+  async get24hQuoteVolumes() {
+    throw this._notSupported('get24hQuoteVolumes');
+  }
+
+  async fetchOHLCV(symbol, timeframe, limit = 100, marketType = null, endTime = null) {
+    throw this._notSupported('fetchOHLCV');
+  }
+
+  /**
+   * Private order stream emitting Binance-shaped ORDER_TRADE_UPDATE events
+   * @returns {Promise<EventEmitter|null>} Connected stream, null when the venue has none (REST polling)
+   */
+  async createUserDataStream() {
+    return null;
+  }
+
+  /**
+   * Shared public price stream ({ subscribe, getPrice, onPrice })
+   * @returns {Object|null}
+   */
+  getPriceStream() {
+    return null;
+  }
+}
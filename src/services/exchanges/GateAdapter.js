@@ -0,0 +1,119 @@
+import { CcxtAdapter } from './CcxtAdapter.js';
+import { GatePrivateStream } from '../GatePrivateStream.js';
+import { gatePriceWs } from '../GateWebSocketManager.js';
+import { exchangeInfoService } from '../ExchangeInfoService.js';
+import { configService } from '../ConfigService.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Gate.io USDT-M swaps through CCXT, WebSocket-first prices and a private order stream.
+ * Gate sizes orders and positions in contracts of `contractSize` (quanto_multiplier) base units.
+ */
+export class GateAdapter extends CcxtAdapter {
+  static id = 'gate';
+  static ccxtId = 'gateio';
+  // CCXT gate maps 'future' to the delivery account; USDT perpetuals live in 'swap'
+  static futuresWallet = 'swap';
+
+  static async syncSymbolFilters() {
+    await exchangeInfoService.updateGateFiltersFromExchange();
+    return true;
+  }
+
+  constructor(service) {
+    super(service);
+    this.priceStream = gatePriceWs;
+  }
+
+  _normalize(symbol) {
+    return String(symbol || '').toUpperCase().replace(/:USDT$/, '').replace(/[\/:_]/g, '');
+  }
+
+  _isSandbox() {
+    return configService.getBoolean('CCXT_SANDBOX', false) || configService.getBoolean('GATE_SANDBOX', false);
+  }
+
+  _contractSize(market) {
+    const size = Number(market?.contractSize);
+    return Number.isFinite(size) && size > 0 ? size : 1;
+  }
+
+  /**
+   * Base units per contract of a symbol: CCXT market, else step_size of symbol_filters (quanto_multiplier)
+   * @param {string} symbol - Any format (BTCUSDT, BTC_USDT, BTC/USDT:USDT)
+   * @returns {number}
+   */
+  _contractSizeOf(symbol) {
+    try {
+      const size = Number(this.exchange?.market(this._marketSymbol(symbol))?.contractSize);
+      if (Number.isFinite(size) && size > 0) return size;
+    } catch (_) {
+      // Markets not loaded yet
+    }
+    const step = Number(exchangeInfoService.getStepSize(this._normalize(symbol), 'gate'));
+    return Number.isFinite(step) && step > 0 ? step : 1;
+  }
+
+  async getClosableQuantity(symbol, side) {
+    const marketSymbol = this._marketSymbol(symbol);
+    const positions = await this.exchange.fetchPositions([marketSymbol]);
+    const pos = (positions || []).find(p => p.symbol === marketSymbol && (!p.side || p.side === side) && p.contracts > 0);
+    return pos ? Number(pos.contracts) * this._contractSizeOf(symbol) : 0;
+  }
+
+  async getTickSize(symbol) {
+    return exchangeInfoService.getTickSize(this._normalize(symbol), 'gate') || '0.01';
+  }
+
+  async getTickerPrice(symbol) {
+    // WebSocket-first, REST (cached) until the stream has a price
+    const wsPrice = Number(this.priceStream.getPrice(symbol));
+    if (Number.isFinite(wsPrice) && wsPrice > 0) return wsPrice;
+    try { this.priceStream.subscribe([symbol]); } catch (_) {}
+    return await super.getTickerPrice(symbol);
+  }
+
+  /**
+   * Gate user id for the private channels: bots.uid, else the account detail of the API key
+   * @returns {Promise<string|null>}
+   */
+  async _userId() {
+    if (this.bot.uid && /^\d+$/.test(String(this.bot.uid).trim())) return String(this.bot.uid).trim();
+    const detail = await this._requireClient().privateAccountGetDetail();
+    return detail?.user_id != null ? String(detail.user_id) : null;
+  }
+
+  async createUserDataStream() {
+    if (!this.bot?.access_key || !this.bot?.secret_key) {
+      logger.warn(`[GateAdapter] Bot ${this.bot.id} is missing access_key/secret_key. Skipping order stream.`);
+      return null;
+    }
+    let userId = null;
+    try {
+      userId = await this._userId();
+    } catch (e) {
+      logger.warn(`[GateAdapter] Failed to resolve Gate user id for bot ${this.bot.id}: ${e?.message || e}`);
+    }
+    if (!userId) {
+      logger.warn(`[GateAdapter] Bot ${this.bot.id} has no Gate user id. Skipping order stream.`);
+      return null;
+    }
+
+    const stream = new GatePrivateStream({
+      apiKey: this.bot.access_key,
+      secret: this.bot.secret_key,
+      userId,
+      isTestnet: this._isSandbox(),
+      contractSize: (contract) => this._contractSizeOf(contract)
+    });
+    stream.on('error', (err) => {
+      logger.warn(`[GateAdapter] Order stream error for bot ${this.bot.id}: ${err?.message || err}`);
+    });
+    await stream.connect();
+    return stream;
+  }
+
+  getPriceStream() {
+    return this.priceStream;
+  }
+}
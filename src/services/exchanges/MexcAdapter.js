@@ -0,0 +1,214 @@
+import ccxt from 'ccxt';
+import { CcxtAdapter } from './CcxtAdapter.js';
+import { MexcFuturesClient } from '../MexcFuturesClient.js';
+import { exchangeInfoService } from '../ExchangeInfoService.js';
+import { configService } from '../ConfigService.js';
+import { mexcPriceWs } from '../MexcWebSocketManager.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Force MEXC REST to the .co domain (mexc.com is blocked from VN)
+ * @param {Object} client - CCXT mexc client
+ */
+function forceMexcCoDomain(client) {
+  if ('hostname' in client) client.hostname = 'mexc.co';
+  const deepReplace = (obj) => {
+    if (!obj) return obj;
+    if (typeof obj === 'string') return obj.replace(/mexc\.com/g, 'mexc.co');
+    if (Array.isArray(obj)) return obj.map(deepReplace);
+    if (typeof obj === 'object') {
+      for (const k of Object.keys(obj)) obj[k] = deepReplace(obj[k]);
+      return obj;
+    }
+    return obj;
+  };
+  client.urls = deepReplace(client.urls || {});
+}
+
+/**
+ * MEXC USDT-M swaps through CCXT (optionally MexcFuturesClient), WebSocket-first prices
+ */
+export class MexcAdapter extends CcxtAdapter {
+  static id = 'mexc';
+  static ccxtId = 'mexc';
+  static futuresWallet = 'swap';
+  static loadMarketsRetries = 3;
+  static continueWithoutMarkets = true;
+
+  static async syncSymbolFilters() {
+    await exchangeInfoService.updateMexcFiltersFromExchange();
+    return true;
+  }
+
+  constructor(service) {
+    super(service);
+    this.mexcFuturesClient = null;
+    this.publicSpotExchange = null; // Spot REST fallback for symbols without a swap market
+    this.priceStream = mexcPriceWs;
+    // Cache for futures balance to reduce rate limits (short-term cache)
+    this._futuresBalanceCache = null; // { balance, timestamp }
+    this._futuresBalanceCacheTTL = 3000; // 3 seconds TTL
+  }
+
+  _clientConfig() {
+    // Set higher timeout for MEXC (slow connections from Vietnam)
+    const mexcTimeout = Number(configService.getNumber('MEXC_API_TIMEOUT_MS', 30000));
+    logger.debug(`MEXC API timeout set to ${mexcTimeout}ms`);
+    return { ...super._clientConfig(), timeout: mexcTimeout };
+  }
+
+  async _configureClient() {
+    try {
+      forceMexcCoDomain(this.exchange);
+    } catch (e) {
+      logger.warn(`[MEXC-URL] Failed to force .co domain: ${e?.message || e}`);
+    }
+
+    // Initialize direct futures client (delegates to CCXT for now)
+    try {
+      this.mexcFuturesClient = new MexcFuturesClient(this.bot, this.exchange);
+      logger.info('[MEXC] MexcFuturesClient initialized (delegating to CCXT)');
+    } catch (e) {
+      logger.warn(`[MEXC] Failed to init MexcFuturesClient: ${e?.message || e}`);
+    }
+
+    if (this.bot.uid) {
+      this.exchange.uid = this.bot.uid;
+      logger.debug(`MEXC UID configured for bot ${this.bot.id}`);
+    }
+
+    this.exchange.options.defaultType = 'swap';
+    // Increase recvWindow to tolerate time skew/network latency
+    const mexcRecv = Number(configService.getNumber('MEXC_RECV_WINDOW_MS', 60000));
+    this.exchange.options.recvWindow = mexcRecv;
+    this.exchange.recvWindow = mexcRecv; // some exchanges read from top-level
+    this.exchange.options.adjustForTimeDifference = true;
+    // If ccxt supports time-diff sync, use it (best-effort)
+    try {
+      if (typeof this.exchange.loadTimeDifference === 'function') {
+        await this.exchange.loadTimeDifference();
+        logger.debug(`MEXC time-diff synced: ${this.exchange.timeDifference || 0} ms`);
+      }
+    } catch (_) {}
+    logger.debug(`MEXC configured for swap trading (futures) for bot ${this.bot.id}, recvWindow=${mexcRecv}ms`);
+  }
+
+  /**
+   * Bot default_leverage, else max leverage from symbol_filters, else MEXC_DEFAULT_LEVERAGE
+   */
+  _leverage(symbol) {
+    if (this.bot.default_leverage != null && Number.isFinite(Number(this.bot.default_leverage))) {
+      return Number(this.bot.default_leverage);
+    }
+    const maxLeverageFromCache = exchangeInfoService.getMaxLeverage(symbol);
+    if (maxLeverageFromCache != null && Number.isFinite(Number(maxLeverageFromCache))) {
+      return Number(maxLeverageFromCache);
+    }
+    const fallback = Number(configService.getNumber('MEXC_DEFAULT_LEVERAGE', 5));
+    logger.warn(`[MEXC] Using default leverage ${fallback} for ${symbol} (cache miss)`);
+    return fallback;
+  }
+
+  async _beforeOrder(symbol, marketSymbol) {
+    try {
+      const maxLev = this._leverage(symbol);
+      if (!Number.isFinite(maxLev) || maxLev <= 0) return;
+      if (this.mexcFuturesClient) {
+        await this.mexcFuturesClient.setLeverage(symbol, maxLev);
+      } else if (typeof this.exchange.setLeverage === 'function') {
+        await this.exchange.setLeverage(maxLev, marketSymbol);
+      }
+      logger.info(`[MEXC] Set leverage=${maxLev} for ${symbol}`);
+    } catch (levErr) {
+      logger.warn(`[MEXC] setLeverage failed for ${symbol}: ${levErr?.message || levErr}`);
+    }
+  }
+
+  /**
+   * Margin check (amount = margin * leverage) so the order fails with a clear message instead of code 10101.
+   * Futures balance is cached briefly to reduce rate limits when placing multiple orders.
+   */
+  async _checkOrder(symbol, notional) {
+    const maxLev = this._leverage(symbol);
+    const feeBuffer = Number(configService.getNumber('MEXC_MARGIN_FEE_BUFFER', 0.002)); // 0.2% buffer
+    const marginNeeded = (notional / Math.max(maxLev, 1)) * (1 + Math.max(0, feeBuffer));
+
+    let futFree = 0;
+    const now = Date.now();
+    if (this._futuresBalanceCache && (now - this._futuresBalanceCache.timestamp) < this._futuresBalanceCacheTTL) {
+      futFree = Number(this._futuresBalanceCache.balance?.free || 0);
+      logger.debug(`[MEXC Margin] Using cached futures balance: ${futFree.toFixed(6)} USDT (age: ${now - this._futuresBalanceCache.timestamp}ms)`);
+    } else {
+      const futBal = await this.getBalance('future').catch(() => ({ free: 0 }));
+      futFree = Number(futBal?.free || 0);
+      this._futuresBalanceCache = { balance: futBal, timestamp: now };
+      logger.debug(`[MEXC Margin] Fetched fresh futures balance: ${futFree.toFixed(6)} USDT`);
+    }
+
+    if (futFree + 1e-8 < marginNeeded) {
+      throw new Error(`Insufficient futures margin: need ~${marginNeeded.toFixed(6)} USDT (amount=${notional.toFixed(6)} / lev=${maxLev}), free=${futFree.toFixed(6)} USDT`);
+    }
+  }
+
+  async _submitOrder(order) {
+    // Optionally route through direct MexcFuturesClient (delegates to CCXT for now)
+    if (this.mexcFuturesClient && configService.getBoolean('MEXC_FUTURES_DIRECT', false)) {
+      return await this.mexcFuturesClient.createOrder({
+        symbol: order.symbol,
+        side: order.side,
+        type: order.type,
+        amount: order.amount,
+        price: order.price,
+        extra: {}
+      });
+    }
+    return await super._submitOrder(order);
+  }
+
+  async getOpenPositions(symbol = null) {
+    const positions = await this.exchange.fetchPositions(symbol);
+    // MEXC: contracts or positionAmt field, normalized to match the Binance format
+    return positions
+      .filter(p => (p.contracts || Math.abs(parseFloat(p.positionAmt || 0))) > 0)
+      .map(p => ({
+        ...p,
+        contracts: p.contracts || Math.abs(parseFloat(p.positionAmt || 0)),
+        positionAmt: p.positionAmt || p.contracts
+      }));
+  }
+
+  async getTickerPrice(symbol) {
+    // WebSocket-first
+    const wsPrice = this.priceStream.getPrice(symbol);
+    if (Number.isFinite(Number(wsPrice))) return wsPrice;
+    // Ensure subscribed; skip the scan until a WS price is available unless REST fallback is enabled
+    try { this.priceStream.subscribe([symbol]); } catch (_) {}
+    if (!configService.getBoolean('MEXC_TICKER_REST_FALLBACK', false)) {
+      return null;
+    }
+
+    try {
+      const price = await super.getTickerPrice(symbol);
+      if (price !== null) return price;
+    } catch (e) {
+      // BadSymbol: some symbols may be spot-only, try spot below
+      if (!/BadSymbol|does not have market symbol/i.test(e?.message || '')) throw e;
+    }
+
+    if (!this.publicSpotExchange) {
+      const spot = new ccxt.mexc({ enableRateLimit: true });
+      try { forceMexcCoDomain(spot); } catch (_) {}
+      // Load spot markets once
+      try { await spot.loadMarkets(); } catch (_) {}
+      this.publicSpotExchange = spot;
+    }
+
+    let spotKey = symbol.toUpperCase();
+    if (!spotKey.includes('/') && spotKey.endsWith('USDT')) spotKey = `${spotKey.replace(/USDT$/, '')}/USDT`;
+    return await this._fetchCachedTicker(this.publicSpotExchange, spotKey);
+  }
+
+  getPriceStream() {
+    return this.priceStream;
+  }
+}
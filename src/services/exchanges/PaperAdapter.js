@@ -0,0 +1,151 @@
+import ccxt from 'ccxt';
+import { ExchangeAdapter, BINANCE_ORDER_STATUS_MAP } from './ExchangeAdapter.js';
+import { fetchCcxtQuoteVolumes, fetchCcxtOHLCV } from './CcxtAdapter.js';
+import { PaperExchangeClient } from '../PaperExchangeClient.js';
+import { exchangeInfoService } from '../ExchangeInfoService.js';
+import { mexcPriceWs } from '../MexcWebSocketManager.js';
+import { webSocketManager } from '../WebSocketManager.js';
+import { resolveMarketDataExchange } from '../../utils/marketDataExchange.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Paper trading: simulated fills against live WS prices, market data from PAPER_PRICE_SOURCE
+ */
+export class PaperAdapter extends ExchangeAdapter {
+  static id = 'paper';
+  static swapByDefault = false;
+
+  constructor(service) {
+    super(service);
+    this.paperClient = null; // Simulated exchange (shared per bot)
+  }
+
+  async initialize() {
+    this.paperClient = PaperExchangeClient.forBot(this.bot);
+    await this.paperClient.load();
+    const source = resolveMarketDataExchange('paper');
+    this.publicExchange = new (source === 'mexc' ? ccxt.mexc : ccxt.binanceusdm)({
+      enableRateLimit: true,
+      options: { defaultType: 'swap' }
+    });
+    this.apiKeyValid = true;
+    logger.info(`Paper exchange initialized for bot ${this.bot.id} (price source: ${source})`);
+  }
+
+  async getBalance() {
+    // Single simulated futures wallet
+    return await this.paperClient.getBalance();
+  }
+
+  async createOrder({ symbol, side, amount, type = 'limit', price, positionSide }) {
+    // Returned in the same CCXT-like format as the Binance adapter
+    const order = await this.paperClient.createOrder({ symbol, side, amount, type, price, positionSide });
+    const isFilled = order.status === 'FILLED';
+    return {
+      id: String(order.orderId),
+      symbol: order.symbol,
+      type,
+      side,
+      amount: order.origQty,
+      price: isFilled ? order.avgPrice : order.price,
+      avgFillPrice: isFilled ? order.avgPrice : undefined,
+      status: isFilled ? 'closed' : 'open',
+      filled: order.executedQty,
+      remaining: isFilled ? 0 : order.origQty,
+      timestamp: order.time,
+      datetime: new Date(order.time).toISOString()
+    };
+  }
+
+  async closePosition(symbol, side) {
+    const order = await this.paperClient.closePosition(symbol, side);
+    if (!order.skipped) {
+      logger.info(`Position closed for bot ${this.bot.id} (paper):`, { orderId: order.orderId, symbol, side, avgFillPrice: order.avgFillPrice });
+    }
+    return order;
+  }
+
+  async createTakeProfitLimit(symbol, side, tpPrice, quantity, options = {}) {
+    return await this.paperClient.createTakeProfitLimit(symbol, side, tpPrice, quantity, options);
+  }
+
+  async createCloseStopMarket(symbol, side, stopPrice, position = null, options = {}) {
+    return await this.paperClient.createCloseOrder(symbol, side, stopPrice, 'STOP_MARKET', position, options);
+  }
+
+  async createCloseTakeProfitMarket(symbol, side, stopPrice, position = null) {
+    return await this.paperClient.createCloseOrder(symbol, side, stopPrice, 'TAKE_PROFIT_MARKET', position);
+  }
+
+  async createStopLossLimit(symbol, side, slPrice, quantity) {
+    // Simulated as a close-all STOP_MARKET, like the Binance SL the same strategy would get
+    return await this.paperClient.createCloseOrder(symbol, side, slPrice, 'STOP_MARKET', null, { clientOrderSuffix: 'SL' });
+  }
+
+  async getTickSize(symbol) {
+    const normalizedSymbol = String(symbol || '').toUpperCase().replace(/:USDT$/, '').replace(/[\/:_]/g, '');
+    return exchangeInfoService.getTickSize(normalizedSymbol) || '0.01';
+  }
+
+  async getClosableQuantity(symbol, side) {
+    return await this.paperClient.getClosableQuantity(symbol, side);
+  }
+
+  async getOpenPositions(symbol = null) {
+    // Binance positionRisk shape
+    return await this.paperClient.getOpenPositions(symbol);
+  }
+
+  async get24hQuoteVolumes() {
+    return await fetchCcxtQuoteVolumes(this.publicExchange);
+  }
+
+  async fetchOHLCV(symbol, timeframe, limit = 100, marketType = null, endTime = null) {
+    return await fetchCcxtOHLCV(this.publicExchange, {
+      symbol,
+      marketSymbol: this.service.formatSymbolForExchange(symbol, 'swap'),
+      timeframe,
+      limit,
+      marketType,
+      endTime,
+      timeframeMs: this.service.getTimeframeMs(timeframe)
+    });
+  }
+
+  async getTickerPrice(symbol) {
+    // Live WS price from PAPER_PRICE_SOURCE
+    return this.paperClient.getPrice(symbol);
+  }
+
+  async cancelAllOpenOrders(symbol) {
+    return await this.paperClient.cancelAllOpenOrders(symbol);
+  }
+
+  async getOpenOrders(symbol) {
+    return this.paperClient.getOpenOrders(symbol);
+  }
+
+  async cancelOrder(orderId, symbol) {
+    const result = await this.paperClient.cancelOrder(symbol, orderId);
+    logger.info(`Order cancelled for bot ${this.bot.id} (paper):`, { orderId, symbol });
+    return result;
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    const data = await this.paperClient.getOrder(symbol, orderId);
+    const status = BINANCE_ORDER_STATUS_MAP[data.status] || 'open';
+    const filled = parseFloat(data.executedQty || '0') || 0;
+    return { status, filled, raw: data };
+  }
+
+  /**
+   * The simulated exchange emits Binance-shaped ORDER_TRADE_UPDATE events in-process
+   */
+  async createUserDataStream() {
+    return this.paperClient;
+  }
+
+  getPriceStream() {
+    return resolveMarketDataExchange('paper') === 'mexc' ? mexcPriceWs : webSocketManager;
+  }
+}
@@ -0,0 +1,48 @@
+import { ExchangeAdapter } from './ExchangeAdapter.js';
+import { BinanceAdapter } from './BinanceAdapter.js';
+import { MexcAdapter } from './MexcAdapter.js';
+import { GateAdapter } from './GateAdapter.js';
+import { BybitAdapter } from './BybitAdapter.js';
+import { PaperAdapter } from './PaperAdapter.js';
+
+export { ExchangeAdapter, EXCHANGE_ADAPTER_METHODS } from './ExchangeAdapter.js';
+
+/**
+ * Exchange adapter registry: bots.exchange -> adapter class
+ * Adding a venue = one ExchangeAdapter subclass registered here (plus its conformance fixture).
+ */
+const adapters = new Map();
+
+/**
+ * Register an adapter class under its static id
+ * @param {typeof ExchangeAdapter} AdapterClass
+ */
+export function registerExchangeAdapter(AdapterClass) {
+  if (!(AdapterClass?.prototype instanceof ExchangeAdapter)) {
+    throw new Error('Exchange adapter must extend ExchangeAdapter');
+  }
+  const id = String(AdapterClass.id || '').toLowerCase();
+  if (!id) {
+    throw new Error(`Exchange adapter ${AdapterClass.name} has no static id`);
+  }
+  adapters.set(id, AdapterClass);
+}
+
+/**
+ * @param {string} exchange - Exchange name (case-insensitive)
+ * @returns {typeof ExchangeAdapter|null}
+ */
+export function getExchangeAdapter(exchange) {
+  return adapters.get(String(exchange || '').toLowerCase()) || null;
+}
+
+/**
+ * @returns {string[]} Registered exchange names
+ */
+export function listExchangeAdapters() {
+  return Array.from(adapters.keys());
+}
+
+for (const AdapterClass of [BinanceAdapter, MexcAdapter, GateAdapter, BybitAdapter, PaperAdapter]) {
+  registerExchangeAdapter(AdapterClass);
+}
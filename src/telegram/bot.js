@@ -77,12 +77,25 @@ export class TelegramBot {
         const activeStrategies = (await Strategy.findAll(null, true)).length;
         const openPositions = (await Position.findOpen()).length;
 
+        // Daily loss kill switch per bot (only bots with a limit configured)
+        const { dailyLossLimitService } = await import('../services/DailyLossLimitService.js');
+        const dailyLossLines = [];
+        for (const bot of await Bot.findAll(true)) {
+          if (!dailyLossLimitService.isEnabled(bot)) continue;
+          const state = await dailyLossLimitService.getState(bot);
+          const limit = state.effective_limit !== null ? state.effective_limit.toFixed(2) : 'n/a';
+          dailyLossLines.push(
+            `${state.halted ? '🛑 HALTED' : '✅'} ${bot.bot_name}: ${state.realized_pnl.toFixed(2)} / -${limit} USDT`
+          );
+        }
+
         const status = `
 <b>System Status</b>
 
 Bots: ${activeBots}/${totalBots} active
 Strategies: ${activeStrategies}/${totalStrategies} active
 Open Positions: ${openPositions}
+${dailyLossLines.length > 0 ? `\n<b>Daily Loss Limit</b>\n${dailyLossLines.join('\n')}` : ''}
         `.trim();
 
         ctx.reply(status, { parse_mode: 'HTML' });
@@ -206,9 +219,11 @@ Futures: $${futureBalance.free.toFixed(2)} / $${futureBalance.total.toFixed(2)}
         const openPositions = await Position.findOpen();
         const closedPositions = await Position.findAll({ status: 'closed' });
 
-        const totalPnL = closedPositions.reduce((sum, p) => sum + (parseFloat(p.pnl) || 0), 0);
-        const winCount = closedPositions.filter(p => parseFloat(p.pnl || 0) > 0).length;
-        const lossCount = closedPositions.filter(p => parseFloat(p.pnl || 0) < 0).length;
+        // Net of fees/funding when recorded
+        const netPnl = (p) => parseFloat(p.net_pnl ?? p.pnl) || 0;
+        const totalPnL = closedPositions.reduce((sum, p) => sum + netPnl(p), 0);
+        const winCount = closedPositions.filter(p => netPnl(p) > 0).length;
+        const lossCount = closedPositions.filter(p => netPnl(p) < 0).length;
         const winRate = closedPositions.length > 0 ? (winCount / closedPositions.length * 100).toFixed(2) : 0;
 
         const stats = `
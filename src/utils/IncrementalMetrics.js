@@ -9,6 +9,7 @@
 export class IncrementalMetrics {
   constructor(options = {}) {
     this.ema = null;
+    this.prevEma = null; // EMA before the last update (for slope)
     this.atr = null;
     this.vwap = null;
     this.count = 0;
@@ -43,6 +44,7 @@ export class IncrementalMetrics {
     }
     
     // Incremental EMA calculation - O(1)
+    this.prevEma = this.ema;
     if (this.ema === null) {
       this.ema = price; // First value
     } else {
@@ -86,6 +88,15 @@ export class IncrementalMetrics {
     return this.ema;
   }
 
+  /**
+   * Get EMA slope (change of EMA over the last update)
+   * @returns {number|null} null until at least 2 updates
+   */
+  getEMASlope() {
+    if (this.ema === null || this.prevEma === null) return null;
+    return this.ema - this.prevEma;
+  }
+
   /**
    * Get current ATR
    * @returns {number|null}
@@ -107,6 +118,7 @@ export class IncrementalMetrics {
    */
   reset() {
     this.ema = null;
+    this.prevEma = null;
     this.atr = null;
     this.vwap = null;
     this.count = 0;
@@ -123,6 +135,7 @@ export class IncrementalMetrics {
     return {
       count: this.count,
       ema: this.ema,
+      emaSlope: this.getEMASlope(),
       atr: this.atr,
       vwap: this.vwap,
       emaPeriod: this.emaPeriod,
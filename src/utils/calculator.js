@@ -298,6 +298,87 @@ export function calculateNextTrailingTakeProfit(prevTP, entryPrice, initialTP, r
   return newTP;
 }
 
+/**
+ * Calculate the break-even stop price: entry shifted by round-trip fees in the position's favour
+ * @param {number} entryPrice - Entry price
+ * @param {'long'|'short'} side - Position side
+ * @param {number} feePct - Fees to cover (%, e.g. 0.1 = 0.1%)
+ * @returns {number|null} Break-even price, or null for invalid input
+ */
+export function calculateBreakEvenPrice(entryPrice, side, feePct = 0) {
+  const entry = Number(entryPrice);
+  if (!Number.isFinite(entry) || entry <= 0) return null;
+  const fee = Math.max(Number(feePct) || 0, 0) / 100;
+  return side === 'long' ? entry * (1 + fee) : entry * (1 - fee);
+}
+
+/**
+ * Favourable move from entry in percent (negative when the position is in loss)
+ * @param {number} entryPrice - Entry price
+ * @param {number} currentPrice - Current price
+ * @param {'long'|'short'} side - Position side
+ * @returns {number}
+ */
+export function calculateFavourableMovePct(entryPrice, currentPrice, side) {
+  const entry = Number(entryPrice);
+  const current = Number(currentPrice);
+  if (!Number.isFinite(entry) || entry <= 0 || !Number.isFinite(current)) return 0;
+  return side === 'long' ? ((current - entry) / entry) * 100 : ((entry - current) / entry) * 100;
+}
+
+/**
+ * Calculate a price-based trailing stop (exit_mode = 'trailing_stop').
+ * The stop is armed once the best price has moved activationPct% in our favour, then follows the
+ * best price at a fixed distance (atrMult × ATR when available, otherwise callbackPct% of the best price).
+ * The stop only ever ratchets in the position's favour.
+ *
+ * @param {Object} params
+ * @param {'long'|'short'} params.side - Position side
+ * @param {number} params.entryPrice - Entry price
+ * @param {number} params.currentPrice - Current market price
+ * @param {number|null} params.bestPrice - Best price seen so far (null = entry)
+ * @param {number|null} params.prevStop - Current stop level (null = not armed yet)
+ * @param {number} params.activationPct - Favourable move (%) required to arm the stop (0 = immediately)
+ * @param {number} params.callbackPct - Stop distance from the best price (%)
+ * @param {number|null} params.atr - ATR of the strategy interval (optional)
+ * @param {number|null} params.atrMult - ATR multiplier (optional, > 0 enables ATR distance)
+ * @returns {{ bestPrice: number, stopPrice: number|null }} stopPrice is null while not armed
+ */
+export function calculatePriceTrailingStop({ side, entryPrice, currentPrice, bestPrice = null, prevStop = null, activationPct = 0, callbackPct = 0, atr = null, atrMult = null }) {
+  const entry = Number(entryPrice);
+  const current = Number(currentPrice);
+  const prevBest = Number(bestPrice) > 0 ? Number(bestPrice) : entry;
+  const prev = Number(prevStop) > 0 ? Number(prevStop) : null;
+
+  if (!Number.isFinite(entry) || entry <= 0 || !Number.isFinite(current) || current <= 0) {
+    return { bestPrice: prevBest, stopPrice: prev };
+  }
+
+  const isLong = side === 'long';
+  const best = isLong ? Math.max(prevBest, current) : Math.min(prevBest, current);
+  const favourableMovePct = calculateFavourableMovePct(entry, best, side);
+
+  const activation = Math.max(Number(activationPct) || 0, 0);
+  if (prev === null && favourableMovePct < activation) {
+    return { bestPrice: best, stopPrice: null };
+  }
+
+  const k = Number(atrMult);
+  const atrValue = Number(atr);
+  const distance = k > 0 && Number.isFinite(atrValue) && atrValue > 0
+    ? k * atrValue
+    : best * (Number(callbackPct) || 0) / 100;
+  if (!Number.isFinite(distance) || distance <= 0) {
+    return { bestPrice: best, stopPrice: prev };
+  }
+
+  const candidate = isLong ? best - distance : best + distance;
+  if (prev === null) {
+    return { bestPrice: best, stopPrice: candidate > 0 ? candidate : null };
+  }
+  return { bestPrice: best, stopPrice: isLong ? Math.max(prev, candidate) : Math.min(prev, candidate) };
+}
+
 /**
  * Calculate next trailing stop loss price based on previous SL and reduce/up_reduce
  * @deprecated This function is DEPRECATED - SL should remain static after initial setup
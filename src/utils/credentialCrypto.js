@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+
+/**
+ * Envelope encryption for exchange credentials at rest (bots.access_key / secret_key / proxy)
+ *
+ * Each value gets its own random 256-bit data key (AES-256-GCM). The data key is wrapped with the master key
+ * from the environment, so rotating the master key only re-wraps data keys (see rewrapCredential).
+ *
+ * Stored format: enc:v1:<keyId>:<hint>:<wrappedKey>:<iv>:<tag>:<ciphertext> (base64url parts)
+ * - keyId: master key id that wrapped the data key
+ * - hint:  last 4 chars of the plaintext, used for masked display without decrypting.
+ *          Only stored for CREDENTIAL_HINT_FIELDS (access_key); secret_key / proxy have an empty hint and mask as "****".
+ *
+ * Env:
+ * - CREDENTIALS_MASTER_KEY: 32 bytes as 64 hex chars or base64 (required to write credentials)
+ * - CREDENTIALS_MASTER_KEY_ID: id of the current master key (default 'k1')
+ * - CREDENTIALS_PREVIOUS_MASTER_KEYS: "id:key,id:key" still accepted for decryption (key rotation)
+ *
+ * Values without the enc:v1: prefix are treated as legacy plaintext and returned as-is.
+ */
+
+const PREFIX = 'enc:v1:';
+const HINT_LENGTH = 4;
+const MASK = '****';
+
+/** Bot credential fields that keep a plaintext last-4 hint (secrets are masked as a fixed "****") */
+export const CREDENTIAL_HINT_FIELDS = ['access_key'];
+
+const b64 = (buf) => Buffer.from(buf).toString('base64url');
+const unb64 = (str) => Buffer.from(String(str), 'base64url');
+
+/**
+ * Parse a 32-byte master key given as hex or base64
+ * @param {string} value
+ * @returns {Buffer}
+ */
+export function parseMasterKey(value) {
+  const raw = String(value || '').trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Credentials master key must be 32 bytes (64 hex chars or base64)');
+  }
+  return key;
+}
+
+/**
+ * Master keys from the environment
+ * @returns {{currentId: string|null, keys: Map<string, Buffer>}}
+ */
+export function getMasterKeys() {
+  const keys = new Map();
+  for (const entry of String(process.env.CREDENTIALS_PREVIOUS_MASTER_KEYS || '').split(',')) {
+    const idx = entry.indexOf(':');
+    if (idx <= 0) continue;
+    keys.set(entry.slice(0, idx).trim(), parseMasterKey(entry.slice(idx + 1)));
+  }
+
+  let currentId = null;
+  if (process.env.CREDENTIALS_MASTER_KEY) {
+    currentId = String(process.env.CREDENTIALS_MASTER_KEY_ID || 'k1').trim();
+    keys.set(currentId, parseMasterKey(process.env.CREDENTIALS_MASTER_KEY));
+  }
+  return { currentId, keys };
+}
+
+/**
+ * Whether a stored value is encrypted
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEncryptedCredential(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Whether a value is a masked credential as returned by the API (e.g. "****abcd")
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isMaskedCredential(value) {
+  return typeof value === 'string' && value.startsWith(MASK);
+}
+
+function gcmEncrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function gcmDecrypt(key, iv, tag, ciphertext) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function wrapDataKey(masterKey, dataKey) {
+  const { iv, tag, ciphertext } = gcmEncrypt(masterKey, dataKey);
+  return b64(Buffer.concat([iv, tag, ciphertext]));
+}
+
+function unwrapDataKey(masterKey, wrapped) {
+  const buf = unb64(wrapped);
+  return gcmDecrypt(masterKey, buf.subarray(0, 12), buf.subarray(12, 28), buf.subarray(28));
+}
+
+function parseEnvelope(stored) {
+  const parts = stored.slice(PREFIX.length).split(':');
+  if (parts.length !== 6) throw new Error('Malformed encrypted credential');
+  const [keyId, hint, wrappedKey, iv, tag, ciphertext] = parts;
+  return { keyId, hint, wrappedKey, iv, tag, ciphertext };
+}
+
+function getKey(keys, keyId) {
+  const key = keys.get(keyId);
+  if (!key) throw new Error(`Unknown credentials master key id '${keyId}'`);
+  return key;
+}
+
+/**
+ * Encrypt a credential (null/empty and already-encrypted values are returned as-is)
+ * @param {string|null} plaintext
+ * @param {Object} [options]
+ * @param {boolean} [options.hint=false] - Store the last 4 chars for masked display (access_key only)
+ * @returns {string|null}
+ */
+export function encryptCredential(plaintext, { hint = false } = {}) {
+  if (plaintext === null || plaintext === undefined || plaintext === '') return plaintext;
+  if (isEncryptedCredential(plaintext)) return plaintext;
+
+  const { currentId, keys } = getMasterKeys();
+  if (!currentId) {
+    throw new Error('CREDENTIALS_MASTER_KEY is not set; refusing to store exchange credentials in plaintext');
+  }
+
+  const value = String(plaintext);
+  const dataKey = crypto.randomBytes(32);
+  const { iv, tag, ciphertext } = gcmEncrypt(dataKey, Buffer.from(value, 'utf8'));
+  const storedHint = hint ? b64(value.slice(-HINT_LENGTH)) : '';
+
+  return PREFIX + [currentId, storedHint, wrapDataKey(keys.get(currentId), dataKey), b64(iv), b64(tag), b64(ciphertext)].join(':');
+}
+
+/**
+ * Decrypt a stored credential (legacy plaintext values are returned as-is)
+ * @param {string|null} stored
+ * @returns {string|null}
+ */
+export function decryptCredential(stored) {
+  if (!isEncryptedCredential(stored)) return stored;
+
+  const env = parseEnvelope(stored);
+  const { keys } = getMasterKeys();
+  const dataKey = unwrapDataKey(getKey(keys, env.keyId), env.wrappedKey);
+  return gcmDecrypt(dataKey, unb64(env.iv), unb64(env.tag), unb64(env.ciphertext)).toString('utf8');
+}
+
+/**
+ * Re-wrap the data key of a stored credential with the current master key (ciphertext is unchanged).
+ * Legacy plaintext values are encrypted; hints are dropped unless options.hint is set.
+ * @param {string|null} stored
+ * @param {Object} [options]
+ * @param {boolean} [options.hint=false] - Keep the last-4 hint (access_key only)
+ * @returns {string|null}
+ */
+export function rewrapCredential(stored, { hint = false } = {}) {
+  if (!isEncryptedCredential(stored)) return encryptCredential(stored, { hint });
+
+  const env = parseEnvelope(stored);
+  const { currentId, keys } = getMasterKeys();
+  if (!currentId) throw new Error('CREDENTIALS_MASTER_KEY is not set');
+  const storedHint = hint ? env.hint : '';
+  if (env.keyId === currentId && env.hint === storedHint) return stored;
+
+  const wrappedKey = env.keyId === currentId
+    ? env.wrappedKey
+    : wrapDataKey(keys.get(currentId), unwrapDataKey(getKey(keys, env.keyId), env.wrappedKey));
+  return PREFIX + [currentId, storedHint, wrappedKey, env.iv, env.tag, env.ciphertext].join(':');
+}
+
+/**
+ * Masked display value without decrypting: "****" + last 4 chars with options.hint, a fixed "****" otherwise
+ * @param {string|null} stored
+ * @param {Object} [options]
+ * @param {boolean} [options.hint=false] - Show the last-4 hint (access_key only)
+ * @returns {string|null}
+ */
+export function maskCredential(stored, { hint = false } = {}) {
+  if (stored === null || stored === undefined || stored === '') return stored ?? null;
+  if (!hint) return MASK;
+  if (isEncryptedCredential(stored)) {
+    try {
+      return MASK + unb64(parseEnvelope(stored).hint).toString('utf8');
+    } catch (_) {
+      return MASK;
+    }
+  }
+  return MASK + String(stored).slice(-HINT_LENGTH);
+}
+
+/**
+ * Copy of a bot row with access_key / secret_key / proxy decrypted (for ExchangeService)
+ * @param {Object} bot - Bot row
+ * @returns {Object}
+ */
+export function decryptBotCredentials(bot) {
+  if (!bot) return bot;
+  try {
+    return {
+      ...bot,
+      access_key: decryptCredential(bot.access_key),
+      secret_key: decryptCredential(bot.secret_key),
+      proxy: decryptCredential(bot.proxy)
+    };
+  } catch (error) {
+    throw new Error(`Failed to decrypt credentials for bot ${bot.id}: ${error?.message || error}`);
+  }
+}
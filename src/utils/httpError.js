@@ -0,0 +1,36 @@
+import logger from './logger.js';
+
+/**
+ * Statuses of errors thrown on purpose by services / controllers (see badRequest), returned to the client as-is.
+ * MySQL duplicate-key errors answer 409; anything else (including exchange errors carrying an HTTP status) is a 500.
+ */
+const CLIENT_ERROR_STATUSES = [400, 404, 409];
+
+/**
+ * Error for an invalid request, carrying the HTTP status to answer with
+ * @param {string} message
+ * @param {number} [status=400] - 400, 404 or 409
+ * @returns {Error}
+ */
+export function badRequest(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Send a failed controller response: client errors keep their status and message, others are logged as 500
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} label - What failed, for the log line (e.g. 'getting candles')
+ */
+export function sendError(res, error, label) {
+  if (CLIENT_ERROR_STATUSES.includes(error?.status)) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  if (error?.code === 'ER_DUP_ENTRY') {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  logger.error(`Error ${label}:`, error);
+  return res.status(500).json({ success: false, error: error.message });
+}
@@ -0,0 +1,133 @@
+import { determineSide } from './sideSelector.js';
+
+/**
+ * Indicator-based entry filters for OC strategies.
+ *
+ * Filters are optional per strategy (strategies.vwap_filter, min_oc_atr_ratio, ema_slope_filter)
+ * and evaluated against IncrementalMetrics of the strategy interval (closed bars only).
+ * Volume confirmation (strategies.min_volume_ratio) compares the current bucket volume
+ * with the trailing average (RealtimeOCDetector.getVolumeRatio).
+ * If an enabled filter cannot be evaluated yet (warm-up, no volume data) the signal is rejected.
+ */
+
+export const INDICATOR_FILTERS = {
+  VWAP: 'vwap',
+  ATR: 'atr',
+  EMA_SLOPE: 'ema_slope',
+  VOLUME: 'volume'
+};
+
+function isEnabled(flag) {
+  return flag === true || flag === 1 || flag === '1' || flag === 'true';
+}
+
+function isReverse(raw) {
+  return raw === true || raw === 1 || raw === '1';
+}
+
+/**
+ * Check whether a strategy has any indicator filter enabled
+ * @param {Object} strategy - Strategy row
+ * @returns {boolean}
+ */
+export function hasIndicatorFilters(strategy) {
+  if (!strategy) return false;
+  return isEnabled(strategy.vwap_filter) ||
+    isEnabled(strategy.ema_slope_filter) ||
+    Number(strategy.min_oc_atr_ratio) > 0;
+}
+
+/**
+ * Evaluate indicator filters for an OC match
+ * @param {Object} match - Match from detectOC ({ strategy, direction, currentPrice, openPrice })
+ * @param {Object|null} metrics - IncrementalMetrics for exchange|symbol|interval
+ * @param {Object} options
+ * @param {number} options.minBars - Closed bars required before indicators are trusted
+ * @returns {{ passed: boolean, filter?: string, reason?: string }}
+ */
+export function evaluateIndicatorFilters(match, metrics, { minBars = 14 } = {}) {
+  const { strategy, direction } = match;
+  if (!hasIndicatorFilters(strategy)) return { passed: true };
+
+  const bars = metrics?.count || 0;
+  const price = Number(match.currentPrice);
+  const reverse = isReverse(strategy.is_reverse_strategy);
+  const side = determineSide(direction, strategy.trade_type, strategy.is_reverse_strategy);
+
+  const notReady = (filter, what) => ({
+    passed: false,
+    filter,
+    reason: `${what} not ready (${bars}/${minBars} bars)`
+  });
+
+  if (isEnabled(strategy.vwap_filter)) {
+    const vwap = metrics?.getVWAP?.();
+    if (bars < minBars || !Number.isFinite(vwap)) return notReady(INDICATOR_FILTERS.VWAP, 'VWAP');
+
+    // Counter-trend: buy below VWAP / sell above. Trend-following: buy above VWAP / sell below.
+    const wantBelow = (side === 'long') === reverse;
+    if (side && (wantBelow ? price >= vwap : price <= vwap)) {
+      return {
+        passed: false,
+        filter: INDICATOR_FILTERS.VWAP,
+        reason: `${reverse ? 'counter-trend' : 'trend'} ${side} needs price ${wantBelow ? '<' : '>'} VWAP (price=${price}, vwap=${vwap.toFixed(8)})`
+      };
+    }
+  }
+
+  const k = Number(strategy.min_oc_atr_ratio);
+  if (k > 0) {
+    const atr = metrics?.getATR?.();
+    if (bars < minBars || !Number.isFinite(atr)) return notReady(INDICATOR_FILTERS.ATR, 'ATR');
+
+    const move = Math.abs(price - Number(match.openPrice));
+    if (!(move >= k * atr)) {
+      return {
+        passed: false,
+        filter: INDICATOR_FILTERS.ATR,
+        reason: `OC move ${move.toFixed(8)} < ${k} × ATR ${atr.toFixed(8)}`
+      };
+    }
+  }
+
+  // EMA slope only applies to trend-following entries (counter-trend trades against the slope by design)
+  if (isEnabled(strategy.ema_slope_filter) && !reverse) {
+    const slope = metrics?.getEMASlope?.();
+    if (bars < minBars || !Number.isFinite(slope)) return notReady(INDICATOR_FILTERS.EMA_SLOPE, 'EMA');
+
+    const agrees = direction === 'bullish' ? slope > 0 : slope < 0;
+    if (!agrees) {
+      return {
+        passed: false,
+        filter: INDICATOR_FILTERS.EMA_SLOPE,
+        reason: `EMA slope ${slope.toFixed(8)} disagrees with ${direction} direction`
+      };
+    }
+  }
+
+  return { passed: true };
+}
+
+/**
+ * Evaluate volume confirmation for a strategy
+ * @param {Object} strategy - Strategy row (min_volume_ratio)
+ * @param {Object|null} volumeInfo - { volume, avgVolume, ratio, samples } or null if unavailable
+ * @returns {{ passed: boolean, filter?: string, reason?: string }}
+ */
+export function evaluateVolumeFilter(strategy, volumeInfo) {
+  const minRatio = Number(strategy?.min_volume_ratio);
+  if (!(minRatio > 0)) return { passed: true };
+
+  const ratio = volumeInfo?.ratio;
+  if (!Number.isFinite(ratio)) {
+    return { passed: false, filter: INDICATOR_FILTERS.VOLUME, reason: 'volume data not ready' };
+  }
+  if (ratio < minRatio) {
+    return {
+      passed: false,
+      filter: INDICATOR_FILTERS.VOLUME,
+      reason: `volume x${ratio.toFixed(2)} < x${minRatio} of trailing average (${volumeInfo.samples} buckets)`
+    };
+  }
+  return { passed: true };
+}
@@ -0,0 +1,14 @@
+import { configService } from '../services/ConfigService.js';
+
+/**
+ * Resolve which exchange provides market data (WS prices, klines, OC detection) for a bot exchange.
+ * Real exchanges use their own feed; paper bots trade against PAPER_PRICE_SOURCE (binance | mexc).
+ * @param {string} exchange - Bot exchange (binance, mexc, gate, paper)
+ * @returns {string} Market data exchange (lowercase)
+ */
+export function resolveMarketDataExchange(exchange) {
+  const normalized = String(exchange || '').toLowerCase();
+  if (normalized !== 'paper') return normalized;
+  const source = String(configService.getString('PAPER_PRICE_SOURCE', 'binance') || 'binance').toLowerCase();
+  return source === 'mexc' ? 'mexc' : 'binance';
+}
@@ -0,0 +1,198 @@
+import { calculateTakeProfit, calculatePnL } from './calculator.js';
+
+/**
+ * Multi-level take-profit ladders.
+ *
+ * strategies.tp_ladder is a JSON array of legs: [{ "tp": 20, "percent": 40 }, { "tp": 35, "percent": 30 }]
+ * - tp: same unit as strategies.take_profit (e.g. 20 = 2%)
+ * - percent: share of the entry quantity closed by this leg
+ * Leg percents must sum to < 100: the remainder is always closed by the unified (trailing) exit order.
+ * Leg tps must stay below the strategy take_profit, otherwise the exit order fills first.
+ *
+ * positions.exit_legs stores the placed legs with their fill state and realized PnL:
+ * [{ level, tp, price, percent, quantity, order_id, status: 'open'|'skipped'|'filled', filled_qty, avg_price, realized_pnl, filled_at }]
+ */
+
+export const MAX_TP_LADDER_LEGS = 5;
+
+function parseJsonArray(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (Array.isArray(raw)) return raw;
+  if (typeof raw !== 'string') return null;
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Validate a TP ladder definition (array or JSON string). Empty/null means "no ladder".
+ * @param {Array|string|null} raw
+ * @param {number} [takeProfit] - strategies.take_profit; when set, every leg tp must be below it
+ * @returns {boolean}
+ */
+export function isValidTpLadder(raw, takeProfit) {
+  if (raw === undefined || raw === null || raw === '') return true;
+  const legs = parseJsonArray(raw);
+  if (!legs || legs.length > MAX_TP_LADDER_LEGS) return false;
+
+  const maxTp = Number(takeProfit) > 0 ? Math.min(Number(takeProfit), 1000) : 1000;
+  let total = 0;
+  for (const leg of legs) {
+    const tp = Number(leg?.tp);
+    const percent = Number(leg?.percent);
+    if (!Number.isFinite(tp) || tp <= 0 || tp >= maxTp) return false;
+    if (!Number.isFinite(percent) || percent <= 0) return false;
+    total += percent;
+  }
+  return total < 100;
+}
+
+/**
+ * Parse strategies.tp_ladder into legs sorted by distance from entry.
+ * Invalid definitions are treated as "no ladder".
+ * @param {Array|string|null} raw
+ * @returns {Array<{tp:number, percent:number}>}
+ */
+export function parseTpLadder(raw) {
+  if (!isValidTpLadder(raw)) return [];
+  const legs = parseJsonArray(raw) || [];
+  return legs
+    .map(leg => ({ tp: Number(leg.tp), percent: Number(leg.percent) }))
+    .sort((a, b) => a.tp - b.tp);
+}
+
+/**
+ * Serialize a TP ladder for the strategies.tp_ladder column
+ * @param {Array|string|null} raw
+ * @returns {string|null}
+ */
+export function serializeTpLadder(raw) {
+  const legs = parseTpLadder(raw);
+  return legs.length > 0 ? JSON.stringify(legs) : null;
+}
+
+/**
+ * Whether a leg price lies strictly between the entry and the current exit TP price
+ * (a trailing TP can move inside a leg, which would then never fill before the exit).
+ * @param {number} price - Leg price
+ * @param {Object} params
+ * @param {number} params.entryPrice
+ * @param {'long'|'short'} params.side
+ * @param {number} [params.tpPrice] - Current exit TP price (ignored when not set)
+ * @returns {boolean}
+ */
+export function isLegPriceReachable(price, { entryPrice, side, tpPrice }) {
+  const p = Number(price);
+  const entry = Number(entryPrice);
+  if (!Number.isFinite(p) || p <= 0 || !Number.isFinite(entry)) return false;
+  const tp = Number(tpPrice);
+  const hasTp = Number.isFinite(tp) && tp > 0;
+  return side === 'long'
+    ? p > entry && (!hasTp || p < tp)
+    : p < entry && (!hasTp || p > tp);
+}
+
+/**
+ * Build exit legs for a freshly opened position
+ * Legs that are not between the entry and the current exit TP are marked 'skipped' and get no order.
+ * @param {Array|string|null} ladder - strategies.tp_ladder
+ * @param {Object} params
+ * @param {number} params.entryPrice
+ * @param {'long'|'short'} params.side
+ * @param {number} params.quantity - Position quantity (base asset)
+ * @param {number} [params.tpPrice] - Current exit TP price
+ * @returns {Array<Object>} Legs with status 'pending' (no order yet) or 'skipped'
+ */
+export function buildExitLegs(ladder, { entryPrice, side, quantity, tpPrice }) {
+  const qty = Number(quantity);
+  if (!Number.isFinite(qty) || qty <= 0) return [];
+
+  return parseTpLadder(ladder).map((leg, idx) => {
+    const price = calculateTakeProfit(entryPrice, leg.tp, side);
+    return {
+      level: idx + 1,
+      tp: leg.tp,
+      price,
+      percent: leg.percent,
+      quantity: qty * leg.percent / 100,
+      order_id: null,
+      status: isLegPriceReachable(price, { entryPrice, side, tpPrice }) ? 'pending' : 'skipped',
+      filled_qty: null,
+      avg_price: null,
+      realized_pnl: null,
+      filled_at: null
+    };
+  });
+}
+
+/**
+ * Parse positions.exit_legs
+ * @param {Array|string|null} raw
+ * @returns {Array<Object>}
+ */
+export function parseExitLegs(raw) {
+  return parseJsonArray(raw) || [];
+}
+
+/**
+ * Find the leg placed with the given exchange order id
+ * @param {Array|string|null} exitLegs - positions.exit_legs
+ * @param {string|number} orderId
+ * @returns {Object|null}
+ */
+export function findExitLeg(exitLegs, orderId) {
+  if (orderId === undefined || orderId === null) return null;
+  return parseExitLegs(exitLegs).find(leg => leg.order_id !== null && String(leg.order_id) === String(orderId)) || null;
+}
+
+/**
+ * Exchange order ids of the legs still resting on the exchange
+ * @param {Array|string|null} exitLegs - positions.exit_legs
+ * @returns {Array<string|number>}
+ */
+export function getOpenExitLegOrderIds(exitLegs) {
+  return parseExitLegs(exitLegs)
+    .filter(leg => leg.status === 'open' && leg.order_id)
+    .map(leg => leg.order_id);
+}
+
+/**
+ * Mark a leg as filled and compute its realized PnL
+ * @param {Array<Object>} legs - Parsed exit legs (mutated)
+ * @param {string|number} orderId
+ * @param {Object} fill
+ * @param {number} fill.entryPrice
+ * @param {'long'|'short'} fill.side
+ * @param {number} fill.avgPrice - Fill price (falls back to leg price)
+ * @param {number} fill.filledQty - Filled quantity (falls back to leg quantity)
+ * @returns {Object|null} Filled leg, or null if unknown / already filled
+ */
+export function applyExitLegFill(legs, orderId, { entryPrice, side, avgPrice, filledQty }) {
+  const leg = legs.find(l => l.order_id !== null && String(l.order_id) === String(orderId));
+  if (!leg || leg.status === 'filled') return null;
+
+  const price = Number(avgPrice) > 0 ? Number(avgPrice) : Number(leg.price);
+  const qty = Number(filledQty) > 0 ? Number(filledQty) : Number(leg.quantity);
+  const entry = Number(entryPrice);
+
+  leg.status = 'filled';
+  leg.avg_price = price;
+  leg.filled_qty = qty;
+  leg.realized_pnl = calculatePnL(entry, price, qty * entry, side);
+  leg.filled_at = new Date().toISOString();
+  return leg;
+}
+
+/**
+ * Sum of realized PnL over filled legs
+ * @param {Array|string|null} exitLegs - positions.exit_legs
+ * @returns {number}
+ */
+export function getRealizedLegsPnl(exitLegs) {
+  return parseExitLegs(exitLegs)
+    .filter(leg => leg.status === 'filled')
+    .reduce((sum, leg) => sum + (Number(leg.realized_pnl) || 0), 0);
+}
@@ -2,6 +2,9 @@
  * Input validation utilities
  */
 
+import { isValidTpLadder } from './tpLadder.js';
+import { EXIT_MODES, INTERVALS } from '../config/constants.js';
+
 /**
  * Validate proxy format: IP:PORT:USER:PASS
  * @param {string} proxy - Proxy string
@@ -19,7 +22,7 @@ export function validateProxy(proxy) {
  * @returns {boolean}
  */
 export function validateExchange(exchange) {
-  return ['mexc', 'gate', 'binance'].includes(exchange?.toLowerCase());
+  return ['mexc', 'gate', 'binance', 'bybit', 'paper'].includes(exchange?.toLowerCase());
 }
 
 /**
@@ -39,7 +42,7 @@ export function validateSymbol(symbol) {
  * @returns {boolean}
  */
 export function validateInterval(interval) {
-  return ['1m', '3m', '5m', '15m', '30m', '1h'].includes(interval);
+  return INTERVALS.includes(interval);
 }
 
 /**
@@ -71,6 +74,92 @@ export function validatePercentage(value, min = 0, max = 1000) {
   return typeof value === 'number' && value >= min && value <= max;
 }
 
+/**
+ * Validate strategy entry filter fields (all optional)
+ * - vwap_filter, ema_slope_filter: boolean (or 0/1)
+ * - min_oc_atr_ratio, min_volume_ratio: null or number in [0, 100]
+ * @param {Object} data - Strategy payload
+ * @returns {boolean}
+ */
+export function validateIndicatorFilters(data) {
+  if (!data) return true;
+  const isFlag = (v) => v === undefined || typeof v === 'boolean' || v === 0 || v === 1;
+  if (!isFlag(data.vwap_filter) || !isFlag(data.ema_slope_filter)) return false;
+  const isRatio = (v) => v === undefined || v === null || validatePercentage(v, 0, 100);
+  return isRatio(data.min_oc_atr_ratio) && isRatio(data.min_volume_ratio);
+}
+
+/**
+ * Validate strategy TP ladder (optional)
+ * - null/empty disables the ladder
+ * - up to 5 legs of { 0 < tp < take_profit, percent > 0 }, percents summing to < 100
+ * @param {Array|string|null} ladder - Array or JSON string
+ * @param {number} [takeProfit] - Strategy take_profit the legs must stay below
+ * @returns {boolean}
+ */
+export function validateTpLadder(ladder, takeProfit) {
+  return isValidTpLadder(ladder, takeProfit);
+}
+
+/**
+ * Validate strategy exit mode fields (all optional)
+ * - exit_mode: 'time_tp' (default) or 'trailing_stop'
+ * - trail_activation_pct, trail_callback_pct, trail_atr_mult, break_even_pct: null or number in [0, 100]
+ * - trailing_stop needs a stop distance: trail_callback_pct > 0 or trail_atr_mult > 0
+ * @param {Object} data - Strategy payload
+ * @returns {boolean}
+ */
+export function validateExitMode(data) {
+  if (!data) return true;
+  if (data.exit_mode !== undefined && !Object.values(EXIT_MODES).includes(data.exit_mode)) return false;
+  const isPct = (v) => v === undefined || v === null || validatePercentage(v, 0, 100);
+  if (!isPct(data.trail_activation_pct) || !isPct(data.trail_callback_pct) || !isPct(data.trail_atr_mult)) return false;
+  if (!isPct(data.break_even_pct)) return false;
+  if (data.exit_mode === EXIT_MODES.TRAILING_STOP) {
+    return Number(data.trail_callback_pct) > 0 || Number(data.trail_atr_mult) > 0;
+  }
+  return true;
+}
+
+/**
+ * Validate a full strategy parameter set (preset config or bulk-apply payload, symbol excluded)
+ * Same rules as strategy creation; interval, amount, oc, extend, take_profit, reduce and up_reduce are required.
+ * @param {Object} config - Strategy parameters
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateStrategyConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'Config must be an object';
+  if (!validateInterval(config.interval)) return 'Invalid interval';
+  if (config.trade_type && !validateTradeType(config.trade_type)) return 'Invalid trade type';
+  if (!validateAmount(config.amount)) return 'Invalid amount';
+  if (!validatePercentage(config.oc, 0, 100)) return 'Invalid OC value';
+  if (!validatePercentage(config.extend, 0, 1000)) return 'Invalid extend value';
+  if (!validatePercentage(config.take_profit, 0, 1000)) return 'Invalid take profit value';
+  if (!validatePercentage(config.reduce, 0, 1000) || !validatePercentage(config.up_reduce, 0, 1000)) return 'Invalid reduce / up_reduce value';
+  if (!validateIndicatorFilters(config)) return 'Invalid indicator filter values';
+  if (!validateTpLadder(config.tp_ladder, config.take_profit)) return 'Invalid TP ladder (legs need 0 < tp < take_profit, percent > 0, total percent < 100)';
+  if (!validateExitMode(config)) return 'Invalid exit settings (trailing_stop needs trail_callback_pct or trail_atr_mult; trail/break-even values 0-100)';
+  return null;
+}
+
+/**
+ * Validate bot daily loss limit fields (all optional)
+ * - daily_loss_limit: null or USDT amount >= 0 (0 = disabled)
+ * - daily_loss_limit_pct: null or % of futures balance in [0, 100]
+ * - daily_loss_flatten: boolean (or 0/1)
+ * @param {Object} data - Bot payload
+ * @returns {boolean}
+ */
+export function validateDailyLossLimit(data) {
+  if (!data) return true;
+  const limit = data.daily_loss_limit;
+  if (limit !== undefined && limit !== null && !(typeof limit === 'number' && limit >= 0)) return false;
+  const pct = data.daily_loss_limit_pct;
+  if (pct !== undefined && pct !== null && !validatePercentage(pct, 0, 100)) return false;
+  const flatten = data.daily_loss_flatten;
+  return flatten === undefined || typeof flatten === 'boolean' || flatten === 0 || flatten === 1;
+}
+
 /**
  * Validate wallet address format (basic check)
  * @param {string} address - Wallet address
@@ -10,6 +10,7 @@ import { strategyCache } from '../services/StrategyCache.js';
 import { configService } from '../services/ConfigService.js';
 // Concurrency management removed
 import logger from '../utils/logger.js';
+import { resolveMarketDataExchange } from '../utils/marketDataExchange.js';
 
 /**
  * StrategiesWorker
@@ -222,7 +223,7 @@ export class StrategiesWorker {
     const binanceSymbols = new Set();
 
     for (const strategy of strategies) {
-      const exchange = (strategy.exchange || '').toLowerCase();
+      const exchange = resolveMarketDataExchange(strategy.exchange);
       const symbol = this.normalizeSymbol(strategy.symbol);
 
       if (!symbol) continue;
@@ -0,0 +1,282 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import { MockBinanceFuturesServer } from '../utils/mockBinanceFuturesServer.js';
+
+/**
+ * Offline end-to-end flow against a local Binance Futures stand-in:
+ * real HTTP signing/recvWindow/error handling in BinanceDirectClient, real user-data WebSocket,
+ * entry -> TP/SL -> exit fill through EntryOrderMonitor._handleBinanceOrderTradeUpdate.
+ * Only the database layer is replaced (in-memory positions table).
+ */
+
+const BOT = {
+  id: 1,
+  bot_name: 'mock-bot',
+  exchange: 'binance',
+  access_key: 'test-api-key',
+  secret_key: 'test-secret-key',
+  binance_testnet: 1
+};
+
+// In-memory positions table backing both the raw pool queries and the Position model
+const positions = new Map();
+
+const pool = {
+  execute: jest.fn(async (sql, params = []) => {
+    const rows = Array.from(positions.values());
+    if (/FROM positions WHERE bot_id = \? AND order_id = \?/.test(sql)) {
+      return [rows.filter(p => p.bot_id === params[0] && String(p.order_id) === String(params[1]))];
+    }
+    if (/FROM positions WHERE bot_id = \? AND \(exit_order_id = \? OR sl_order_id = \?\)/.test(sql)) {
+      return [rows.filter(p => p.bot_id === params[0] && p.status === 'open' &&
+        (String(p.exit_order_id) === String(params[1]) || String(p.sl_order_id) === String(params[2])))];
+    }
+    if (/FROM positions WHERE id = \? AND bot_id = \? AND status = 'open'/.test(sql)) {
+      return [rows.filter(p => p.id === params[0] && p.bot_id === params[1] && p.status === 'open')];
+    }
+    return [[]];
+  }),
+  query: jest.fn(async () => [[]])
+};
+
+const findOpenBy = (field) => async (botId, orderId) =>
+  Array.from(positions.values()).find(p => p.bot_id === botId && p.status === 'open' && String(p[field]) === String(orderId)) || null;
+
+const PositionMock = {
+  update: jest.fn(async (id, updates) => {
+    const pos = { ...positions.get(id), ...updates };
+    positions.set(id, pos);
+    return pos;
+  }),
+  close: jest.fn(async (id, closePrice, pnl, reason) => {
+    const pos = { ...positions.get(id), status: 'closed', close_price: closePrice, pnl, close_reason: reason };
+    positions.set(id, pos);
+    return pos;
+  }),
+  findById: jest.fn(async (id) => {
+    const pos = positions.get(id);
+    return pos ? { ...pos, bot_name: BOT.bot_name, telegram_chat_id: '1' } : null;
+  }),
+  findOpenByExitOrderId: jest.fn(findOpenBy('exit_order_id')),
+  findOpenBySlOrderId: jest.fn(findOpenBy('sl_order_id')),
+  findOpen: jest.fn(async () => Array.from(positions.values()).filter(p => p.status === 'open')),
+  findAll: jest.fn(async () => []),
+  getBotStats: jest.fn(async () => ({}))
+};
+
+// Absolute paths: relative specifiers are resolved against tests/setup.js
+const srcPath = (rel) => new URL(`../../src/${rel}`, import.meta.url).pathname;
+jest.unstable_mockModule(srcPath('config/database.js'), () => ({ default: pool }));
+// Module-level exports other services import alongside Position (strategies are not edited in this flow)
+jest.unstable_mockModule(srcPath('models/Position.js'), () => ({
+  Position: PositionMock,
+  NET_PNL_SQL: 'COALESCE(p.net_pnl, p.pnl)',
+  STRATEGY_SNAPSHOT_FIELDS: [],
+  buildStrategySnapshot: () => null
+}));
+
+describe('Binance Futures flow against local mock server', () => {
+  let server;
+  let configService;
+  let webSocketManager;
+  let monitor;
+  let client;
+  let telegram;
+
+  beforeAll(async () => {
+    // validateOrderParams checks price % tickSize with float modulo, so 0.1-style ticks never validate;
+    // use a whole-number tick for the traded symbol
+    server = new MockBinanceFuturesServer({
+      prices: { BTCUSDT: 50000, ETHUSDT: 3000 },
+      filters: { BTCUSDT: { tickSize: '0.5' } }
+    });
+    await server.start();
+
+    // Must be applied before services read them (scheduler/clients cache intervals at construction)
+    ({ configService } = await import('../../src/services/ConfigService.js'));
+    const overrides = {
+      ...server.configOverrides,
+      BINANCE_TESTNET: 'true',
+      BINANCE_REQUEST_INTERVAL_MS: '0',
+      BINANCE_SIGNED_REQUEST_INTERVAL_MS: '0',
+      BINANCE_MARKET_DATA_MIN_INTERVAL_MS: '0',
+      BINANCE_MIN_REQUEST_INTERVAL_MS: '0',
+      BINANCE_RATE_LIMIT_BLOCK_DURATION_MS: '200'
+    };
+    for (const [key, value] of Object.entries(overrides)) configService.cache.set(key, value);
+
+    ({ webSocketManager } = await import('../../src/services/WebSocketManager.js'));
+    const { EntryOrderMonitor } = await import('../../src/jobs/EntryOrderMonitor.js');
+
+    telegram = {
+      sendEntryTradeAlert: jest.fn(async () => {}),
+      sendCloseSummaryAlert: jest.fn(async () => {}),
+      sendWsExitFilledAlert: jest.fn(async () => {})
+    };
+    monitor = new EntryOrderMonitor();
+    monitor.telegramService = telegram;
+    await monitor._addBot(BOT);
+    client = monitor.exchangeServices.get(BOT.id).binanceDirectClient;
+
+    await server.waitFor(() => server.userStreamConnections() === 1);
+  });
+
+  afterAll(async () => {
+    await monitor?.wsClients.get(BOT.id)?.stop();
+    // Imported after the module mocks above, like the services themselves
+    const { stopServiceTimers } = await import('../utils/stopServiceTimers.js');
+    stopServiceTimers();
+    await server?.stop();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('request signing and error payloads', () => {
+    it('accepts correctly signed requests and reports weight headers', async () => {
+      const balance = await client.getBalance();
+      expect(balance.total).toBe(10000);
+
+      const res = await fetch(`${server.urls.restUrl}/fapi/v1/exchangeInfo`);
+      expect(Number(res.headers.get('x-mbx-used-weight-1m'))).toBeGreaterThan(0);
+    });
+
+    it('rejects a bad signature with -1022', async () => {
+      const { BinanceDirectClient } = await import('../../src/services/BinanceDirectClient.js');
+      const badClient = new BinanceDirectClient(BOT.access_key, 'wrong-secret', true);
+
+      await expect(badClient.getOpenOrders('BTCUSDT')).rejects.toMatchObject({ code: -1022 });
+    });
+
+    it('recovers from -1021 by resyncing server time and retrying', async () => {
+      await client.getOpenPositions('BTCUSDT'); // time synced with server at skew 0
+      server.setClockSkew(-20000);
+      try {
+        const before = server.requests.filter(r => r.path === '/fapi/v2/positionRisk').length;
+        await expect(client.getOpenPositions('BTCUSDT')).resolves.toEqual([]);
+        const attempts = server.requests.filter(r => r.path === '/fapi/v2/positionRisk').length - before;
+        expect(attempts).toBe(2);
+      } finally {
+        server.setClockSkew(0);
+        await client.syncServerTime(true);
+      }
+    });
+
+    it('surfaces scripted order rejections without retrying order endpoints', async () => {
+      for (const code of [-2021, -4400]) {
+        server.failNext('POST /fapi/v1/order', code);
+        const before = server.requests.filter(r => r.path === '/fapi/v1/order').length;
+        await expect(client.placeMarketOrder('BTCUSDT', 'buy', 0.01)).rejects.toMatchObject({ code });
+        expect(server.requests.filter(r => r.path === '/fapi/v1/order').length - before).toBe(1);
+      }
+    });
+
+    it('rejects orders exceeding available margin with -2019', async () => {
+      await expect(client.placeLimitOrder('BTCUSDT', 'buy', 10, 49000)).rejects.toMatchObject({ code: -2019 });
+    });
+
+    it('backs off on 429, probes /fapi/v1/ping and retries once unblocked', async () => {
+      server.failNext('GET /fapi/v1/openOrders', -1003);
+      const count = (path) => server.requests.filter(r => r.path === path).length;
+      const [ordersBefore, pingsBefore] = [count('/fapi/v1/openOrders'), count('/fapi/v1/ping')];
+
+      await expect(client.getOpenOrders('BTCUSDT')).resolves.toEqual([]);
+
+      expect(count('/fapi/v1/openOrders') - ordersBefore).toBe(2);
+      expect(count('/fapi/v1/ping') - pingsBefore).toBeGreaterThanOrEqual(1);
+      expect(client._rateLimitBlocked).toBe(false);
+    }, 15000);
+  });
+
+  describe('market data', () => {
+    it('serves exchangeInfo filters and klines over REST', async () => {
+      expect(await client.getTickSize('BTCUSDT')).toBe('0.5');
+      expect(await client.getStepSize('BTCUSDT')).toBe('0.001');
+
+      const klines = await client.getKlines('BTCUSDT', '5m', 3);
+      expect(klines).toHaveLength(3);
+      expect(klines[2]).toMatchObject({ open: 50000, close: 50000 });
+      expect(klines[1].openTime - klines[0].openTime).toBe(300000);
+    });
+
+    it('streams bookTicker updates to WebSocketManager', async () => {
+      webSocketManager.subscribe(['ETHUSDT']);
+      await server.waitFor(() => webSocketManager.getPrice('ETHUSDT') === 3000);
+
+      server.setPrice('ETHUSDT', 3012.5);
+      await server.waitFor(() => webSocketManager.getPrice('ETHUSDT') === 3012.5);
+    });
+  });
+
+  describe('entry -> TP/SL -> exit fill', () => {
+    it('promotes the entry on LIMIT fill and closes the position when TP fills', async () => {
+      const entry = await client.placeLimitOrder('BTCUSDT', 'buy', 0.01, 49500);
+      expect(entry.status).toBe('NEW');
+      positions.set(7, {
+        id: 7, bot_id: BOT.id, strategy_id: 1, symbol: 'BTCUSDT', side: 'long', status: 'entry_pending',
+        order_id: String(entry.orderId), entry_price: 49500, amount: 495
+      });
+
+      server.setPrice('BTCUSDT', 49400);
+      await server.waitFor(() => positions.get(7).status === 'open');
+      expect(PositionMock.update).toHaveBeenCalledWith(7, { status: 'open', entry_price: 49500 });
+
+      const position = positions.get(7);
+      const tp = await client.createCloseTakeProfitMarket('BTCUSDT', 'long', 51000, position, BOT);
+      const sl = await client.createCloseStopMarket('BTCUSDT', 'long', 48000, position, BOT);
+      expect(tp.clientOrderId).toBe('OC_B1_P7_TP');
+      expect(sl.clientOrderId).toBe('OC_B1_P7_EXIT');
+      positions.set(7, { ...positions.get(7), exit_order_id: String(tp.orderId), sl_order_id: String(sl.orderId) });
+
+      server.setPrice('BTCUSDT', 50500);
+      expect(server.getOrder(tp.orderId).status).toBe('NEW');
+
+      server.setPrice('BTCUSDT', 51000);
+      await server.waitFor(() => positions.get(7).status === 'closed');
+
+      expect(PositionMock.close).toHaveBeenCalledWith(7, 51000, expect.any(Number), 'tp_hit');
+      expect(positions.get(7).pnl).toBeGreaterThan(0);
+      expect(server.getOrder(sl.orderId).status).toBe('EXPIRED');
+      expect(server.getPosition('BTCUSDT')).toBeNull();
+      expect(telegram.sendCloseSummaryAlert).toHaveBeenCalled();
+    });
+
+    it('closes a SHORT with sl_hit when the STOP_MARKET triggers', async () => {
+      server.setPrice('BTCUSDT', 50000);
+      const entry = await client.placeMarketOrder('BTCUSDT', 'sell', 0.02);
+      expect(entry.status).toBe('FILLED');
+      positions.set(8, {
+        id: 8, bot_id: BOT.id, strategy_id: 1, symbol: 'BTCUSDT', side: 'short', status: 'open',
+        order_id: String(entry.orderId), entry_price: 50000, amount: 1000
+      });
+
+      const position = positions.get(8);
+      const tp = await client.createCloseTakeProfitMarket('BTCUSDT', 'short', 48000, position, BOT);
+      const sl = await client.createCloseStopMarket('BTCUSDT', 'short', 51000, position, BOT);
+      positions.set(8, { ...positions.get(8), exit_order_id: String(tp.orderId), sl_order_id: String(sl.orderId) });
+
+      server.setPrice('BTCUSDT', 51200);
+      await server.waitFor(() => positions.get(8).status === 'closed');
+
+      expect(PositionMock.close).toHaveBeenCalledWith(8, 51200, expect.any(Number), 'sl_hit');
+      expect(positions.get(8).pnl).toBeLessThan(0);
+      expect(server.getOrder(tp.orderId).status).toBe('EXPIRED');
+    });
+
+    it('falls back to a reduce-only LIMIT when TAKE_PROFIT_MARKET is rejected with -4120', async () => {
+      server.setPrice('BTCUSDT', 50000);
+      await client.placeMarketOrder('BTCUSDT', 'buy', 0.01);
+      const position = { id: 9, bot_id: BOT.id, symbol: 'BTCUSDT', side: 'long' };
+
+      server.failNext('POST /fapi/v1/order', -4120);
+      const tp = await client.createCloseTakeProfitMarket('BTCUSDT', 'long', 52000, position, BOT);
+
+      expect(tp).toMatchObject({ type: 'LIMIT', reduceOnly: true, clientOrderId: 'OC_B1_P9_TP_FB', status: 'NEW' });
+      expect(Number(tp.origQty)).toBeCloseTo(0.01, 8);
+
+      await client.cancelAllOpenOrders('BTCUSDT');
+      await client.placeMarketOrder('BTCUSDT', 'sell', 0.01, 'BOTH', true);
+      expect(server.getPosition('BTCUSDT')).toBeNull();
+    });
+  });
+});
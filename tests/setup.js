@@ -27,3 +27,5 @@ if (typeof jest !== 'undefined') {
   };
 }
 
+// Test-only master key for credential encryption (src/utils/credentialCrypto.js)
+process.env.CREDENTIALS_MASTER_KEY = process.env.CREDENTIALS_MASTER_KEY || '11'.repeat(32);
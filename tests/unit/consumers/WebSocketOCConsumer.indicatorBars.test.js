@@ -0,0 +1,28 @@
+import { describe, it, expect, afterEach, afterAll, jest } from '@jest/globals';
+import { WebSocketOCConsumer } from '../../../src/consumers/WebSocketOCConsumer.js';
+import { strategyCache } from '../../../src/services/StrategyCache.js';
+import { mexcPriceWs } from '../../../src/services/MexcWebSocketManager.js';
+import { symbolMetricsManager } from '../../../src/utils/IncrementalMetrics.js';
+import { stopServiceTimers } from '../../utils/stopServiceTimers.js';
+
+afterAll(stopServiceTimers);
+
+describe('WebSocketOCConsumer - indicator bars', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should push the closed bucket with the feed kline volume on non-Binance feeds (VWAP)', () => {
+    const consumer = new WebSocketOCConsumer();
+    jest.spyOn(strategyCache, 'getStrategies').mockReturnValue([{ id: 1, interval: '1m', vwap_filter: 1 }]);
+    const getKlineCandle = jest.spyOn(mexcPriceWs, 'getKlineCandle')
+      .mockReturnValue({ open: 100, high: 102, low: 99, close: 101, volume: 250 });
+    const update = jest.spyOn(symbolMetricsManager, 'update').mockImplementation(() => {});
+
+    consumer._updateIndicatorMetrics('mexc', 'BTCUSDT', 100, 60_000);
+    consumer._updateIndicatorMetrics('mexc', 'BTCUSDT', 101, 120_000);
+
+    expect(getKlineCandle).toHaveBeenCalledWith('BTCUSDT', '1m', 60_000);
+    expect(update).toHaveBeenCalledWith('mexc', 'BTCUSDT', '1m', 101, 102, 99, 250);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { authenticate, requireRole } from '../../../src/middleware/auth.js';
+import { authService } from '../../../src/services/AuthService.js';
+import { User } from '../../../src/models/User.js';
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('auth middleware', () => {
+  let originalFindById;
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.AUTH_JWT_SECRET = 'test-secret';
+    delete process.env.AUTH_DISABLED;
+
+    originalFindById = User.findById;
+    User.findById = jest.fn();
+  });
+
+  afterEach(() => {
+    User.findById = originalFindById;
+    process.env = { ...originalEnv };
+  });
+
+  describe('authenticate', () => {
+    it('should attach req.user for a valid bearer token', async () => {
+      const { token } = authService.signToken({ id: 5, username: 'bob', role: 'viewer' });
+      User.findById.mockResolvedValue({ id: 5, username: 'bob', role: 'operator', is_active: 1 });
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockRes();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      // Role comes from the DB so changes apply without a new login
+      expect(req.user).toEqual({ id: 5, username: 'bob', role: 'operator' });
+    });
+
+    it('should return 401 without a token, with a bad token or for inactive users', async () => {
+      const next = jest.fn();
+
+      const res1 = mockRes();
+      await authenticate({ headers: {} }, res1, next);
+      expect(res1.status).toHaveBeenCalledWith(401);
+
+      const res2 = mockRes();
+      await authenticate({ headers: { authorization: 'Bearer garbage' } }, res2, next);
+      expect(res2.status).toHaveBeenCalledWith(401);
+
+      const { token } = authService.signToken({ id: 5, username: 'bob', role: 'admin' });
+      User.findById.mockResolvedValue({ id: 5, username: 'bob', role: 'admin', is_active: 0 });
+      const res3 = mockRes();
+      await authenticate({ headers: { authorization: `Bearer ${token}` } }, res3, next);
+      expect(res3.status).toHaveBeenCalledWith(401);
+
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should let everything through as admin when AUTH_DISABLED=true', async () => {
+      process.env.AUTH_DISABLED = 'true';
+      const req = { headers: {} };
+      const next = jest.fn();
+
+      await authenticate(req, mockRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.role).toBe('admin');
+    });
+  });
+
+  describe('requireRole', () => {
+    it('should allow equal or higher roles and reject lower ones with 403', () => {
+      const next = jest.fn();
+
+      requireRole('operator')({ user: { role: 'admin' } }, mockRes(), next);
+      requireRole('operator')({ user: { role: 'operator' } }, mockRes(), next);
+      expect(next).toHaveBeenCalledTimes(2);
+
+      const res = mockRes();
+      requireRole('operator')({ user: { role: 'viewer' } }, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+});
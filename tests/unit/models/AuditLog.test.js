@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { AuditLog } from '../../../src/models/AuditLog.js';
+import pool from '../../../src/config/database.js';
+
+describe('AuditLog Model', () => {
+  let originalDbExecute;
+
+  beforeEach(() => {
+    originalDbExecute = pool.execute;
+    pool.execute = jest.fn();
+  });
+
+  afterEach(() => {
+    pool.execute = originalDbExecute;
+  });
+
+  it('should store who changed what with before/after JSON', async () => {
+    pool.execute.mockResolvedValueOnce([{ insertId: 8 }]);
+
+    const id = await AuditLog.create({
+      entityType: 'strategy',
+      entityId: 3,
+      action: 'update',
+      actor: { id: 2, username: 'alice' },
+      before: { oc: 2 },
+      after: { oc: 3 },
+      version: 5
+    });
+
+    expect(id).toBe(8);
+    expect(pool.execute.mock.calls[0][1]).toEqual(['strategy', 3, 'update', 5, 2, 'alice', '{"oc":2}', '{"oc":3}']);
+  });
+
+  it('should log instead of throwing when recording fails', async () => {
+    pool.execute.mockRejectedValueOnce(new Error('table missing'));
+
+    await expect(AuditLog.record({ entityType: 'bot', entityId: 1, action: 'delete' })).resolves.toBeNull();
+  });
+
+  it('should parse the JSON columns of the history', async () => {
+    pool.execute.mockResolvedValueOnce([[{ id: 8, before_data: '{"oc":2}', after_data: null }]]);
+
+    const rows = await AuditLog.findByEntity('strategy', 3, 5000);
+
+    expect(rows).toEqual([{ id: 8, before_data: { oc: 2 }, after_data: null }]);
+    expect(pool.execute.mock.calls[0][0]).toContain('LIMIT 1000');
+  });
+});
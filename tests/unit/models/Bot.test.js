@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
 import { Bot } from '../../../src/models/Bot.js';
 import pool from '../../../src/config/database.js';
+import { decryptCredential, isEncryptedCredential } from '../../../src/utils/credentialCrypto.js';
 
 
 describe('Bot Model', () => {
@@ -109,6 +110,43 @@ describe('Bot Model', () => {
       const insertCall = pool.execute.mock.calls[0];
       expect(insertCall[1]).toContain(false);
     });
+
+    it('should encrypt credentials before inserting', async () => {
+      const botData = {
+        bot_name: 'New Bot',
+        exchange: 'mexc',
+        access_key: 'plain-access-key',
+        secret_key: 'plain-secret-key',
+      };
+
+      pool.execute
+        .mockResolvedValueOnce([[], { insertId: 1 }])
+        .mockResolvedValueOnce([[{ id: 1 }]]);
+
+      await Bot.create(botData);
+
+      const params = pool.execute.mock.calls[0][1];
+      expect(params).not.toContain('plain-access-key');
+      expect(params).not.toContain('plain-secret-key');
+      expect(decryptCredential(params[3])).toBe('plain-access-key');
+      expect(decryptCredential(params[4])).toBe('plain-secret-key');
+    });
+  });
+
+  describe('update', () => {
+    it('should encrypt credential fields and leave others untouched', async () => {
+      pool.execute
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([[{ id: 1 }]]);
+
+      await Bot.update(1, { bot_name: 'Renamed', secret_key: 'new-secret' });
+
+      const [sql, params] = pool.execute.mock.calls[0];
+      expect(sql).toBe('UPDATE bots SET bot_name = ?, secret_key = ? WHERE id = ?');
+      expect(params[0]).toBe('Renamed');
+      expect(isEncryptedCredential(params[1])).toBe(true);
+      expect(decryptCredential(params[1])).toBe('new-secret');
+    });
   });
 });
 
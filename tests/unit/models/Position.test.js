@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Position, buildStrategySnapshot } from '../../../src/models/Position.js';
+import pool from '../../../src/config/database.js';
+
+describe('Position Model', () => {
+  let originalDbExecute;
+
+  beforeEach(() => {
+    originalDbExecute = pool.execute;
+    pool.execute = jest.fn();
+  });
+
+  afterEach(() => {
+    pool.execute = originalDbExecute;
+  });
+
+  describe('buildStrategySnapshot', () => {
+    it('should keep only strategy parameters', () => {
+      const snapshot = JSON.parse(buildStrategySnapshot({
+        id: 3, bot_id: 1, is_active: true, created_at: '2026-01-01', symbol: 'BTCUSDT', interval: '5m', oc: '2.00', take_profit: '40.00'
+      }));
+      expect(snapshot).toEqual({ symbol: 'BTCUSDT', interval: '5m', oc: '2.00', take_profit: '40.00' });
+      expect(buildStrategySnapshot(null)).toBeNull();
+    });
+  });
+
+  describe('create', () => {
+    it('should store the strategy snapshot and resolve bot_id from the strategy', async () => {
+      pool.execute
+        .mockResolvedValueOnce([[{ id: 3, bot_id: 9, oc: '2.00', interval: '1m', version: 4 }]]) // strategy
+        .mockResolvedValueOnce([{ insertId: 42 }]) // insert
+        .mockResolvedValueOnce([[{ id: 42 }]]); // findById
+
+      const position = await Position.create({ strategy_id: 3, order_id: 'o1', symbol: 'BTCUSDT', side: 'long', entry_price: 100, amount: 10, take_profit_price: 110 });
+
+      expect(position).toEqual({ id: 42 });
+      const [sql, params] = pool.execute.mock.calls[1];
+      expect(sql).toContain('strategy_snapshot');
+      expect(params[1]).toBe(9);
+      expect(JSON.parse(params[12])).toEqual({ oc: '2.00', interval: '1m' });
+      expect(params[14]).toBe(4);
+    });
+  });
+
+  describe('fees and net pnl', () => {
+    it('should derive net_pnl in the close statement after pnl is set', async () => {
+      pool.execute
+        .mockResolvedValueOnce([[{ id: 5, status: 'open', exit_legs: null }]]) // findById
+        .mockResolvedValueOnce([{ affectedRows: 1 }]) // update
+        .mockResolvedValueOnce([[{ id: 5, status: 'closed' }]]); // findById
+
+      await Position.close(5, 101, 2.5, 'tp_hit');
+
+      const [sql, params] = pool.execute.mock.calls[1];
+      expect(sql.indexOf('`pnl` = ?')).toBeLessThan(sql.indexOf('net_pnl ='));
+      expect(sql).toContain('pnl - COALESCE(entry_fee, 0) - COALESCE(exit_fee, 0) + COALESCE(funding_fee, 0)');
+      expect(params).toEqual(['closed', 101, 2.5, 'tp_hit', expect.any(Date), 5]);
+    });
+
+    it('should add fees atomically and report whether the position exists', async () => {
+      pool.execute.mockResolvedValueOnce([{ affectedRows: 1 }]).mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+      expect(await Position.addFees(5, { exitFee: 0.04 })).toBe(true);
+      expect(await Position.addFees(6, { entryFee: 0.02 })).toBe(false);
+
+      const [sql, params] = pool.execute.mock.calls[0];
+      expect(sql).toContain('exit_fee = COALESCE(exit_fee, 0) + ?');
+      expect(sql).toContain('net_pnl = CASE');
+      expect(params).toEqual([0, 0.04, 5]);
+    });
+  });
+});
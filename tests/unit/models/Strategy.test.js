@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Strategy, strategyAuditState } from '../../../src/models/Strategy.js';
+import pool from '../../../src/config/database.js';
+
+describe('Strategy Model', () => {
+  let originalDbExecute;
+
+  beforeEach(() => {
+    originalDbExecute = pool.execute;
+    pool.execute = jest.fn();
+  });
+
+  afterEach(() => {
+    pool.execute = originalDbExecute;
+  });
+
+  describe('update', () => {
+    it('should bump the version before assigning changed parameters', async () => {
+      pool.execute
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([[{ id: 3, version: 2 }]]);
+
+      await Strategy.update(3, { oc: 2.5, interval: '5m', is_active: true, version: 9 });
+
+      const [sql, params] = pool.execute.mock.calls[0];
+      expect(sql).toBe(
+        'UPDATE strategies SET version = version + IF(NOT (`oc` <=> ?) OR NOT (`interval` <=> ?), 1, 0), '
+        + '`oc` = ?, `interval` = ?, `is_active` = ? WHERE id = ?'
+      );
+      expect(params).toEqual([2.5, '5m', 2.5, '5m', true, 3]);
+    });
+
+    it('should keep the version when only is_active changes', async () => {
+      pool.execute
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([[{ id: 3 }]]);
+
+      await Strategy.update(3, { is_active: false });
+
+      expect(pool.execute.mock.calls[0][0]).toBe('UPDATE strategies SET `is_active` = ? WHERE id = ?');
+    });
+  });
+
+  it('should build the audit state from parameters, activation and version', () => {
+    expect(strategyAuditState({ id: 3, bot_id: 1, bot_name: 'x', symbol: 'BTC/USDT', oc: '2.00', is_active: 1, version: 4 }))
+      .toEqual({ bot_id: 1, symbol: 'BTC/USDT', oc: '2.00', is_active: 1, version: 4 });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { AnalyticsService, classifyCloseReason } from '../../../src/services/AnalyticsService.js';
+import pool from '../../../src/config/database.js';
+
+describe('AnalyticsService', () => {
+  let service;
+  let originalDbExecute;
+
+  beforeEach(() => {
+    service = new AnalyticsService();
+    originalDbExecute = pool.execute;
+    pool.execute = jest.fn();
+  });
+
+  afterEach(() => {
+    pool.execute = originalDbExecute;
+  });
+
+  describe('classifyCloseReason', () => {
+    it('should bucket raw close reasons', () => {
+      expect(classifyCloseReason('tp_hit')).toBe('tp_hit');
+      expect(classifyCloseReason('price_exceeded_initial_tp')).toBe('tp_hit');
+      expect(classifyCloseReason('sl_hit')).toBe('sl_hit');
+      expect(classifyCloseReason('trailing_stop')).toBe('sl_hit');
+      expect(classifyCloseReason('break_even_stop')).toBe('sl_hit');
+      expect(classifyCloseReason('candle_end')).toBe('candle_end');
+      expect(classifyCloseReason('manual')).toBe('manual');
+      expect(classifyCloseReason('force_close_from_api')).toBe('manual');
+      expect(classifyCloseReason('sync_not_on_exchange')).toBe('sync_closed');
+      expect(classifyCloseReason('no_exchange_position')).toBe('sync_closed');
+      expect(classifyCloseReason(null)).toBe('other');
+      expect(classifyCloseReason('something_else')).toBe('other');
+    });
+  });
+
+  describe('normalizeFilters', () => {
+    it('should parse ids, side and dates', () => {
+      const filters = service.normalizeFilters({
+        bot_id: '3', strategy_id: '7', symbol: 'btcusdt', interval: '5m', side: 'LONG',
+        from: '2026-01-01', to: '2026-01-31T23:59:59Z'
+      });
+      expect(filters).toMatchObject({ bot_id: 3, strategy_id: 7, symbol: 'BTCUSDT', interval: '5m', side: 'long' });
+      expect(filters.from).toBeInstanceOf(Date);
+      expect(filters.to.toISOString()).toBe('2026-01-31T23:59:59.000Z');
+    });
+
+    it('should reject invalid values with status 400', () => {
+      for (const query of [{ bot_id: 'abc' }, { side: 'up' }, { from: 'not-a-date' }, { from: '2026-02-01', to: '2026-01-01' }]) {
+        expect(() => service.normalizeFilters(query)).toThrow();
+        try { service.normalizeFilters(query); } catch (error) { expect(error.status).toBe(400); }
+      }
+    });
+  });
+
+  describe('buildWhere', () => {
+    it('should only include closed positions and the given filters', () => {
+      const where = service.buildWhere({ bot_id: 1, interval: '1m', from: new Date('2026-01-01') });
+      expect(where.sql).toContain("p.status = 'closed'");
+      expect(where.sql).toContain('p.bot_id = ?');
+      expect(where.sql).toContain('s.`interval` = ?');
+      expect(where.sql).toContain('p.closed_at >= ?');
+      expect(where.sql).not.toContain('p.side = ?');
+      expect(where.params).toEqual([1, '1m', new Date('2026-01-01')]);
+    });
+  });
+
+  describe('computeMetrics', () => {
+    it('should derive win rate, profit factor and expectancy', () => {
+      const metrics = service.computeMetrics({
+        trades: 4, wins: 3, losses: 1, gross_profit: '30', gross_loss: '10', total_pnl: '20',
+        best_trade: '15', worst_trade: '-10', avg_hold_seconds: '90.4'
+      });
+      expect(metrics.winRate).toBe(75);
+      expect(metrics.profitFactor).toBe(3);
+      expect(metrics.avgWin).toBe(10);
+      expect(metrics.avgLoss).toBe(10);
+      expect(metrics.expectancy).toBeCloseTo(5);
+      expect(metrics.avgHoldSeconds).toBe(90);
+      expect(metrics.breakeven).toBe(0);
+    });
+
+    it('should handle empty sets and no losing trades', () => {
+      expect(service.computeMetrics({ trades: 0 })).toMatchObject({ trades: 0, winRate: 0, profitFactor: 0, avgHoldSeconds: null });
+      expect(service.computeMetrics({ trades: 2, wins: 2, gross_profit: 5 }).profitFactor).toBeNull();
+    });
+  });
+
+  describe('getSummary', () => {
+    it('should combine aggregates, drawdown and close reasons', async () => {
+      pool.execute
+        .mockResolvedValueOnce([[{ trades: 3, wins: 2, losses: 1, gross_profit: 8, gross_loss: 4, total_pnl: 4 }]])
+        .mockResolvedValueOnce([[{ max_drawdown: '4' }]])
+        .mockResolvedValueOnce([[
+          { reason: 'tp_hit', trades: 2, pnl: 8 },
+          { reason: 'trailing_stop', trades: 1, pnl: -4 }
+        ]]);
+
+      const summary = await service.getSummary({ bot_id: 1 });
+      expect(summary.profitFactor).toBe(2);
+      expect(summary.maxDrawdown).toBe(4);
+      expect(summary.closeReasons.groups.tp_hit).toEqual({ trades: 2, pnl: 8 });
+      expect(summary.closeReasons.groups.sl_hit).toEqual({ trades: 1, pnl: -4 });
+      expect(pool.execute).toHaveBeenCalledTimes(3);
+      expect(pool.execute.mock.calls[1][0]).toContain('OVER (ORDER BY');
+    });
+
+    it('should skip drawdown/close reason queries when there are no trades', async () => {
+      pool.execute.mockResolvedValueOnce([[{ trades: 0 }]]);
+      const summary = await service.getSummary({});
+      expect(summary.trades).toBe(0);
+      expect(summary.maxDrawdown).toBe(0);
+      expect(pool.execute).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getPnlSeries', () => {
+    it('should build the equity curve and drawdown from the buckets', async () => {
+      pool.execute.mockResolvedValueOnce([[
+        { bucket: '2026-01-01', pnl: '10', trades: 2, wins: 2 },
+        { bucket: '2026-01-02', pnl: '-15', trades: 1, wins: 0 },
+        { bucket: '2026-01-03', pnl: '8', trades: 1, wins: 1 }
+      ]]);
+
+      const series = await service.getPnlSeries({}, 'day');
+      expect(series.map(p => p.equity)).toEqual([10, -5, 3]);
+      expect(series.map(p => p.drawdown)).toEqual([0, 15, 7]);
+      expect(pool.execute.mock.calls[0][0]).toContain('DATE(p.closed_at)');
+    });
+
+    it('should bucket by week starting on Monday', async () => {
+      pool.execute.mockResolvedValueOnce([[]]);
+      await service.getPnlSeries({}, 'week');
+      expect(pool.execute.mock.calls[0][0]).toContain('WEEKDAY(p.closed_at)');
+    });
+  });
+
+  describe('getBreakdown', () => {
+    it('should group by the requested dimension', async () => {
+      pool.execute.mockResolvedValueOnce([[{ group_key: 5, group_label: 'BTCUSDT 1m', trades: 1, wins: 1, gross_profit: 2, total_pnl: 2 }]]);
+      const rows = await service.getBreakdown({}, 'strategy');
+      expect(rows[0]).toMatchObject({ key: 5, label: 'BTCUSDT 1m', totalPnl: 2, winRate: 100 });
+      expect(pool.execute.mock.calls[0][0]).toContain('GROUP BY p.strategy_id');
+    });
+
+    it('should reject unknown groupBy', async () => {
+      await expect(service.getBreakdown({}, 'exchange')).rejects.toMatchObject({ status: 400 });
+      expect(pool.execute).not.toHaveBeenCalled();
+    });
+  });
+});
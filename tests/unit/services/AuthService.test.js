@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { AuthService } from '../../../src/services/AuthService.js';
+import { User } from '../../../src/models/User.js';
+
+describe('AuthService', () => {
+  let authService;
+  let originalFindByUsername;
+  let originalUpdate;
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.AUTH_JWT_SECRET = 'test-secret';
+    delete process.env.AUTH_TOKEN_TTL_HOURS;
+    authService = new AuthService();
+
+    originalFindByUsername = User.findByUsername;
+    originalUpdate = User.update;
+    User.findByUsername = jest.fn();
+    User.update = jest.fn().mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    User.findByUsername = originalFindByUsername;
+    User.update = originalUpdate;
+    process.env = { ...originalEnv };
+  });
+
+  describe('passwords', () => {
+    it('should hash with a random salt and verify', async () => {
+      const hash1 = await authService.hashPassword('correct horse');
+      const hash2 = await authService.hashPassword('correct horse');
+
+      expect(hash1).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+      expect(hash1).not.toBe(hash2);
+      await expect(authService.verifyPassword('correct horse', hash1)).resolves.toBe(true);
+      await expect(authService.verifyPassword('wrong', hash1)).resolves.toBe(false);
+      await expect(authService.verifyPassword('correct horse', 'plain')).resolves.toBe(false);
+    });
+  });
+
+  describe('tokens', () => {
+    const user = { id: 3, username: 'alice', role: 'operator' };
+
+    it('should sign and verify a token', () => {
+      const { token, expiresAt } = authService.signToken(user);
+      const claims = authService.verifyToken(token);
+
+      expect(claims).toMatchObject({ sub: 3, username: 'alice', role: 'operator' });
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now() + 11 * 3600 * 1000);
+    });
+
+    it('should reject tampered, foreign and malformed tokens', () => {
+      const { token } = authService.signToken(user);
+      const [header, , signature] = token.split('.');
+      const forgedPayload = Buffer.from(JSON.stringify({ sub: 3, role: 'admin', exp: 9999999999 })).toString('base64url');
+
+      expect(authService.verifyToken(`${header}.${forgedPayload}.${signature}`)).toBeNull();
+      expect(authService.verifyToken('not-a-token')).toBeNull();
+
+      process.env.AUTH_JWT_SECRET = 'other-secret';
+      expect(authService.verifyToken(token)).toBeNull();
+    });
+
+    it('should reject expired tokens', () => {
+      const { token } = authService.signToken(user);
+      const realNow = Date.now;
+      Date.now = () => realNow() + 13 * 3600 * 1000;
+      try {
+        expect(authService.verifyToken(token)).toBeNull();
+      } finally {
+        Date.now = realNow;
+      }
+    });
+  });
+
+  describe('hasRole', () => {
+    it('should rank viewer < operator < admin', () => {
+      expect(authService.hasRole('admin', 'operator')).toBe(true);
+      expect(authService.hasRole('operator', 'operator')).toBe(true);
+      expect(authService.hasRole('viewer', 'operator')).toBe(false);
+      expect(authService.hasRole(undefined, 'viewer')).toBe(false);
+      expect(authService.hasRole('admin', 'superuser')).toBe(false);
+    });
+  });
+
+  describe('login', () => {
+    it('should return a session for valid credentials', async () => {
+      const password_hash = await authService.hashPassword('s3cret-pass');
+      User.findByUsername.mockResolvedValue({ id: 1, username: 'admin', role: 'admin', is_active: 1, password_hash });
+
+      const session = await authService.login('admin', 's3cret-pass');
+
+      expect(session.user).toEqual({ id: 1, username: 'admin', role: 'admin' });
+      expect(authService.verifyToken(session.token).sub).toBe(1);
+      expect(User.update).toHaveBeenCalledWith(1, { last_login_at: expect.any(Date) });
+    });
+
+    it('should reject wrong passwords, unknown and inactive users', async () => {
+      const password_hash = await authService.hashPassword('s3cret-pass');
+
+      User.findByUsername.mockResolvedValue({ id: 1, username: 'admin', role: 'admin', is_active: 1, password_hash });
+      await expect(authService.login('admin', 'nope')).resolves.toBeNull();
+
+      User.findByUsername.mockResolvedValue({ id: 1, username: 'admin', role: 'admin', is_active: 0, password_hash });
+      await expect(authService.login('admin', 's3cret-pass')).resolves.toBeNull();
+
+      User.findByUsername.mockResolvedValue(null);
+      await expect(authService.login('ghost', 's3cret-pass')).resolves.toBeNull();
+      expect(User.update).not.toHaveBeenCalled();
+    });
+  });
+});
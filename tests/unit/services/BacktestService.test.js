@@ -0,0 +1,124 @@
+import { describe, it, expect } from '@jest/globals';
+import { BacktestService } from '../../../src/services/BacktestService.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2025, 0, 1, 0, 0, 0);
+
+function candle(index, open, high, low, close) {
+  return { open_time: T0 + index * MINUTE, close_time: T0 + (index + 1) * MINUTE - 1, open, high, low, close, volume: 0 };
+}
+
+describe('BacktestService', () => {
+  describe('runStrategy', () => {
+    it('opens a trend-following LONG at market on OC and closes on TP', () => {
+      const engine = new BacktestService();
+      const strategy = { id: 1, symbol: 'BTCUSDT', interval: '1m', oc: 2, take_profit: 50, trade_type: 'both', is_reverse_strategy: 0, amount: 1000 };
+      const candles = [
+        candle(0, 100, 102.5, 99.9, 102),
+        candle(1, 102, 108, 101.5, 103.5)
+      ];
+
+      const { trades, stats } = engine.runStrategy(strategy, candles);
+
+      expect(trades).toHaveLength(1);
+      expect(trades[0].side).toBe('long');
+      expect(trades[0].entryPrice).toBe(102.5);
+      expect(trades[0].exitPrice).toBeCloseTo(107.625, 6);
+      expect(trades[0].closeReason).toBe('tp_hit');
+      expect(trades[0].pnl).toBeCloseTo(50, 6);
+      expect(stats.wins).toBe(1);
+      expect(stats.winRate).toBe(100);
+    });
+
+    it('places a counter-trend LIMIT at the extend price and stops out by USDT amount', () => {
+      const engine = new BacktestService();
+      const strategy = { id: 2, symbol: 'BTCUSDT', interval: '1m', oc: 2, extend: 50, take_profit: 50, stoploss: 20, trade_type: 'both', is_reverse_strategy: 1, amount: 1000 };
+      const candles = [
+        candle(0, 100, 103, 99.9, 102.5),
+        candle(1, 102.5, 105, 102, 104),
+        candle(2, 104, 107, 103, 103.5)
+      ];
+
+      const { trades } = engine.runStrategy(strategy, candles);
+
+      expect(trades).toHaveLength(1);
+      expect(trades[0].side).toBe('short');
+      expect(trades[0].entryPrice).toBeCloseTo(104.5, 6);
+      expect(trades[0].closeReason).toBe('sl_hit');
+      expect(trades[0].pnl).toBeCloseTo(-20, 6);
+    });
+
+    it('expires pending LIMIT entries after the entry TTL', () => {
+      const engine = new BacktestService({ entryTtlMinutes: 1 });
+      const strategy = { id: 3, symbol: 'BTCUSDT', interval: '1m', oc: 2, extend: 100, take_profit: 50, trade_type: 'both', is_reverse_strategy: 1 };
+      const candles = [
+        candle(0, 100, 103, 99.9, 102.5),
+        candle(1, 102.5, 104, 102, 103),
+        candle(2, 103, 104, 102.5, 103.5),
+        candle(3, 103.5, 106.5, 103, 104)
+      ];
+
+      const { trades } = engine.runStrategy(strategy, candles);
+
+      expect(trades).toHaveLength(0);
+    });
+
+    it('trails TP towards entry over time and exits at entry once TP has crossed', () => {
+      const engine = new BacktestService();
+      const strategy = { id: 4, symbol: 'BTCUSDT', interval: '1m', oc: 2, take_profit: 100, up_reduce: 50, trade_type: 'long', is_reverse_strategy: 0, amount: 1000 };
+      const candles = [
+        candle(0, 100, 102, 99.9, 101.5),
+        candle(1, 101.5, 101.6, 101.4, 101.5),
+        candle(2, 101.5, 101.6, 101.4, 101.5),
+        candle(3, 101.5, 101.6, 101.4, 101.5)
+      ];
+
+      const { trades } = engine.runStrategy(strategy, candles);
+
+      // initial TP = 112.2, trails 50% of range per minute → reaches entry after 2 minutes, then acts as a stop
+      expect(trades).toHaveLength(1);
+      expect(trades[0].initialTP).toBeCloseTo(112.2, 6);
+      expect(trades[0].closeReason).toBe('tp_hit');
+      expect(trades[0].exitPrice).toBeCloseTo(102, 6);
+    });
+
+    it('skips signals when trade_type does not match the side', () => {
+      const engine = new BacktestService();
+      const strategy = { id: 5, symbol: 'BTCUSDT', interval: '1m', oc: 2, take_profit: 50, trade_type: 'short', is_reverse_strategy: 0 };
+      const { trades } = engine.runStrategy(strategy, [candle(0, 100, 103, 99.9, 102.5)]);
+      expect(trades).toHaveLength(0);
+    });
+  });
+
+  describe('computeStats', () => {
+    it('computes win rate, PnL, max drawdown and average hold time', () => {
+      const trades = [
+        { pnl: 10, holdMinutes: 2, closeReason: 'tp_hit' },
+        { pnl: -5, holdMinutes: 4, closeReason: 'sl_hit' },
+        { pnl: -10, holdMinutes: 6, closeReason: 'sl_hit' },
+        { pnl: 20, holdMinutes: 8, closeReason: 'tp_hit' }
+      ];
+
+      const stats = BacktestService.computeStats(trades);
+
+      expect(stats.totalTrades).toBe(4);
+      expect(stats.winRate).toBe(50);
+      expect(stats.totalPnl).toBe(15);
+      expect(stats.maxDrawdown).toBe(15);
+      expect(stats.avgHoldMinutes).toBe(5);
+      expect(stats.closeReasons).toEqual({ tp_hit: 2, sl_hit: 2 });
+    });
+  });
+
+  describe('normalizeCandles', () => {
+    it('parses CSV with header and Binance kline arrays', () => {
+      const csv = 'open_time,open,high,low,close,volume\n120000,2,3,1,2.5,10\n60000,1,2,0.5,1.5,5\n';
+      const fromCsv = BacktestService.normalizeCandles(BacktestService.parseCsv(csv), '1m');
+      expect(fromCsv.map(c => c.open_time)).toEqual([60000, 120000]);
+      expect(fromCsv[0].close_time).toBe(119999);
+
+      const fromArrays = BacktestService.normalizeCandles([[0, '1', '2', '0.5', '1.5', '3', 59999]], '1m');
+      expect(fromArrays[0]).toMatchObject({ open: 1, high: 2, low: 0.5, close: 1.5, volume: 3 });
+    });
+  });
+});
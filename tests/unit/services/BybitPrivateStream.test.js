@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { BybitPrivateStream } from '../../../src/services/BybitPrivateStream.js';
+import { PositionFeeService } from '../../../src/services/PositionFeeService.js';
+
+const orderRow = (overrides = {}) => ({
+  category: 'linear',
+  symbol: 'BTCUSDT',
+  orderId: 'abc-1',
+  orderLinkId: 'OC_B7_P42_TP_lz1',
+  side: 'Sell',
+  orderType: 'Market',
+  stopOrderType: 'TakeProfit',
+  orderStatus: 'PartiallyFilled',
+  qty: '0.010',
+  price: '0',
+  avgPrice: '65000',
+  cumExecQty: '0.004',
+  cumExecFee: '0.143',
+  positionIdx: 0,
+  reduceOnly: true,
+  updatedTime: '1700000000000',
+  ...overrides
+});
+
+describe('BybitPrivateStream', () => {
+  let stream;
+
+  beforeEach(() => {
+    stream = new BybitPrivateStream({ apiKey: 'key', secret: 'secret' });
+  });
+
+  it('should map order updates to Binance ORDER_TRADE_UPDATE events with per-update fills', () => {
+    const first = stream.toOrderTradeUpdate(orderRow());
+    expect(first).toEqual(expect.objectContaining({ e: 'ORDER_TRADE_UPDATE', T: 1700000000000 }));
+    expect(first.o).toEqual(expect.objectContaining({
+      s: 'BTCUSDT', i: 'abc-1', c: 'OC_B7_P42_TP_lz1', S: 'SELL', X: 'PARTIALLY_FILLED', x: 'TRADE',
+      ap: '65000', z: '0.004', l: '0.004', n: '0.143', N: 'USDT', R: true, ps: 'BOTH'
+    }));
+
+    const second = stream.toOrderTradeUpdate(orderRow({ orderStatus: 'Filled', cumExecQty: '0.010', cumExecFee: '0.3575' }));
+    expect(second.o.X).toBe('FILLED');
+    expect(Number(second.o.l)).toBeCloseTo(0.006);
+    expect(Number(second.o.n)).toBeCloseTo(0.2145);
+
+    // Fee parsing and exit-order id parsing work unchanged on the mapped event
+    const fill = new PositionFeeService().parseFill(second);
+    expect(fill).toEqual(expect.objectContaining({ orderId: 'abc-1', clientOrderId: 'OC_B7_P42_TP_lz1', symbol: 'BTCUSDT' }));
+    expect(fill.commission).toBeCloseTo(0.2145);
+  });
+
+  it('should map cancellations and untriggered conditional orders without a fill', () => {
+    const canceled = stream.toOrderTradeUpdate(orderRow({ orderId: 'x-2', orderStatus: 'Cancelled', cumExecQty: '0', cumExecFee: '0' }));
+    expect(canceled.o).toEqual(expect.objectContaining({ X: 'CANCELED', x: 'CANCELED', l: '0', t: null }));
+
+    const untriggered = stream.toOrderTradeUpdate(orderRow({ orderId: 'x-3', orderStatus: 'Untriggered', cumExecQty: '0', positionIdx: 1 }));
+    expect(untriggered.o).toEqual(expect.objectContaining({ X: 'NEW', x: 'NEW', ps: 'LONG' }));
+  });
+
+  it('should subscribe after auth and emit linear order updates only', () => {
+    stream._send = jest.fn();
+    const onUpdate = jest.fn();
+    stream.on('ORDER_TRADE_UPDATE', onUpdate);
+
+    stream._handleMessage({ op: 'auth', success: true });
+    expect(stream._send).toHaveBeenCalledWith({ op: 'subscribe', args: ['order'] });
+
+    stream._handleMessage({
+      topic: 'order',
+      creationTime: 1700000000001,
+      data: [orderRow({ orderStatus: 'Filled' }), orderRow({ category: 'spot', orderId: 'spot-1' })]
+    });
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(onUpdate.mock.calls[0][0].o.i).toBe('abc-1');
+  });
+
+  it('should stop without reconnecting when authentication fails', async () => {
+    const onError = jest.fn();
+    stream.on('error', onError);
+
+    stream._handleMessage({ op: 'auth', success: false, ret_msg: 'Invalid apikey' });
+    await Promise.resolve();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Bybit auth failed: Invalid apikey' }));
+    expect(stream.getState()).toBe('stopped');
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach, afterAll, jest } from '@jest/globals';
+import WebSocket from 'ws';
+import { BybitWebSocketManager } from '../../../src/services/BybitWebSocketManager.js';
+import { strategyCache } from '../../../src/services/StrategyCache.js';
+import { stopServiceTimers } from '../../utils/stopServiceTimers.js';
+
+afterAll(stopServiceTimers);
+
+describe('BybitWebSocketManager', () => {
+  let ws;
+
+  beforeEach(() => {
+    ws = new BybitWebSocketManager();
+  });
+
+  afterEach(() => {
+    ws.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  it('should cache ticker prices and notify price handlers', () => {
+    const handler = jest.fn();
+    ws.onPrice(handler);
+
+    ws._handleMessage(JSON.stringify({ topic: 'tickers.BTCUSDT', type: 'snapshot', ts: 1000, data: { symbol: 'BTCUSDT', lastPrice: '65000.5' } }));
+    // Deltas without lastPrice keep the previous price
+    ws._handleMessage(JSON.stringify({ topic: 'tickers.BTCUSDT', type: 'delta', ts: 2000, data: { symbol: 'BTCUSDT', volume24h: '10' } }));
+
+    expect(ws.getPrice('BTC/USDT')).toBe(65000.5);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ symbol: 'BTCUSDT', price: 65000.5, ts: 1000 });
+  });
+
+  it('should store kline bucket opens and confirmed closes for getAccurateOpen', () => {
+    const start = 1_700_000_100_000 - (1_700_000_100_000 % 300_000);
+    ws._handleMessage(Buffer.from(JSON.stringify({
+      topic: 'kline.5.ETHUSDT',
+      data: [{ start, interval: '5', open: '3000', high: '3010', low: '2990', close: '3005', volume: '12', confirm: false }]
+    })));
+
+    expect(ws.getKlineOpen('ETHUSDT', '5m', start)).toBe(3000);
+    expect(ws.getKlineClose('ETHUSDT', '5m', start)).toBeNull();
+
+    ws._handleMessage(JSON.stringify({
+      topic: 'kline.5.ETHUSDT',
+      data: [{ start, interval: '5', open: '3000', high: '3010', low: '2990', close: '3008', volume: '15', confirm: true }]
+    }));
+
+    expect(ws.getKlineClose('ETHUSDT', '5m', start)).toBe(3008);
+    expect(ws.getKlineCandle('ETHUSDT', '5m', start)).toEqual(expect.objectContaining({ open: 3000, close: 3008 }));
+  });
+
+  it('should shard subscriptions over connections', () => {
+    ws.maxSymbolsPerConnection = 2;
+    ws.ensureConnected = jest.fn(); // no network
+
+    ws.subscribe(['BTCUSDT', 'ETH/USDT', 'SOL_USDT', 'BTCUSDT']);
+
+    expect(ws.subscribed).toEqual(new Set(['BTCUSDT', 'ETHUSDT', 'SOLUSDT']));
+    expect(ws.connections.map(c => Array.from(c.symbols))).toEqual([['BTCUSDT', 'ETHUSDT'], ['SOLUSDT']]);
+  });
+
+  it('should subscribe 1m and the strategy intervals of a symbol in auto mode', () => {
+    jest.spyOn(strategyCache, 'getStrategies').mockReturnValue([{ interval: '5m' }, { interval: '1d' }]);
+
+    expect(ws._topicsFor('BTCUSDT')).toEqual(['tickers.BTCUSDT', 'kline.1.BTCUSDT', 'kline.5.BTCUSDT', 'kline.D.BTCUSDT']);
+    expect(strategyCache.getStrategies).toHaveBeenCalledWith('bybit', 'BTCUSDT', false);
+  });
+
+  it('should top up topics of known symbols when a strategy starts using a new interval', () => {
+    const getStrategies = jest.spyOn(strategyCache, 'getStrategies').mockReturnValue([]);
+    ws.ensureConnected = jest.fn(); // no network
+    ws.subscribe(['BTCUSDT']);
+    const conn = ws.connections[0];
+    conn.ws = { readyState: WebSocket.OPEN, send: jest.fn(), close: jest.fn() };
+    ws._resubscribe(conn);
+
+    getStrategies.mockReturnValue([{ interval: '15m' }]);
+    ws.subscribe(['BTCUSDT']);
+
+    const args = conn.ws.send.mock.calls.map(([msg]) => JSON.parse(msg).args);
+    expect(args).toEqual([['tickers.BTCUSDT', 'kline.1.BTCUSDT'], ['kline.15.BTCUSDT']]);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { CandleAggregator } from '../../../src/services/CandleAggregator.js';
+
+const MIN = 60_000;
+const T0 = 1_700_000_040_000 - (1_700_000_040_000 % MIN);
+
+describe('CandleAggregator volume tracking', () => {
+  let agg;
+
+  beforeEach(() => {
+    agg = new CandleAggregator(['1m']);
+  });
+
+  it('accumulates trade volume per bucket', () => {
+    agg.ingestTick({ symbol: 'btcusdt', price: 100, volume: 2, ts: T0 + 1000 });
+    agg.ingestTick({ symbol: 'BTCUSDT', price: 101, volume: 3, ts: T0 + 2000 });
+
+    const candle = agg.getCandle('BTCUSDT', '1m', T0);
+    expect(candle).toMatchObject({ open: 100, high: 101, close: 101, volume: 5 });
+  });
+
+  it('computes current bucket volume vs trailing average', () => {
+    for (let i = 1; i <= 3; i++) {
+      agg.ingestKline({ symbol: 'BTCUSDT', interval: '1m', startTime: T0 - i * MIN, open: 100, high: 101, low: 99, close: 100, volume: 10, isClosed: true });
+    }
+    agg.ingestKline({ symbol: 'BTCUSDT', interval: '1m', startTime: T0, open: 100, high: 105, low: 100, close: 104, volume: 35, isClosed: false });
+
+    const info = agg.getVolumeRatio('BTCUSDT', '1m', T0, 20);
+    expect(info).toEqual({ volume: 35, avgVolume: 10, ratio: 3.5, samples: 3 });
+  });
+
+  it('limits the trailing window to lookback buckets', () => {
+    agg.ingestKline({ symbol: 'BTCUSDT', interval: '1m', startTime: T0 - 2 * MIN, open: 1, high: 1, low: 1, close: 1, volume: 100 });
+    agg.ingestKline({ symbol: 'BTCUSDT', interval: '1m', startTime: T0 - MIN, open: 1, high: 1, low: 1, close: 1, volume: 10 });
+    agg.ingestKline({ symbol: 'BTCUSDT', interval: '1m', startTime: T0, open: 1, high: 1, low: 1, close: 1, volume: 20 });
+
+    expect(agg.getVolumeRatio('BTCUSDT', '1m', T0, 1)).toMatchObject({ ratio: 2, samples: 1 });
+  });
+
+  it('returns null ratio without history and null without a current bucket', () => {
+    agg.ingestTick({ symbol: 'BTCUSDT', price: 100, volume: 1, ts: T0 });
+    expect(agg.getVolumeRatio('BTCUSDT', '1m', T0)).toMatchObject({ ratio: null, samples: 0 });
+    expect(agg.getVolumeRatio('ETHUSDT', '1m', T0)).toBeNull();
+  });
+});
+
+describe('CandleAggregator onCandleClose', () => {
+  let agg;
+  let closed;
+
+  beforeEach(() => {
+    agg = new CandleAggregator(['1m']);
+    closed = [];
+    agg.onCandleClose((candle) => closed.push(candle));
+  });
+
+  it('emits closed klines once', () => {
+    const kline = { symbol: 'BTCUSDT', interval: '1m', startTime: T0, open: 100, high: 102, low: 99, close: 101, volume: 7, isClosed: true };
+    agg.ingestKline(kline);
+    agg.ingestKline(kline);
+
+    expect(closed).toEqual([{ symbol: 'BTCUSDT', interval: '1m', startTime: T0, open: 100, high: 102, low: 99, close: 101, volume: 7 }]);
+  });
+
+  it('emits the previous kline when a newer bucket starts without a close flag', () => {
+    agg.ingestKline({ symbol: 'BTCUSDT', interval: '1m', startTime: T0, open: 100, high: 101, low: 100, close: 100.5, volume: 1 });
+    agg.ingestKline({ symbol: 'BTCUSDT', interval: '1m', startTime: T0, open: 100, high: 103, low: 100, close: 102, volume: 4 });
+    expect(closed).toHaveLength(0);
+
+    agg.ingestKline({ symbol: 'BTCUSDT', interval: '1m', startTime: T0 + MIN, open: 102, high: 102, low: 102, close: 102, volume: 1 });
+    expect(closed).toHaveLength(1);
+    expect(closed[0]).toMatchObject({ startTime: T0, high: 103, close: 102, volume: 4 });
+  });
+});
+
+describe('CandleAggregator higher timeframes', () => {
+  const HOUR = 3_600_000;
+  const DAY = 86_400_000;
+
+  it('does not report a tick-built open when the bucket was joined late', () => {
+    const agg = new CandleAggregator(['1m', '1d']);
+    const dayStart = Math.floor(T0 / DAY) * DAY;
+
+    agg.ingestTick({ symbol: 'BTCUSDT', price: 100, volume: 1, ts: dayStart + 5 * HOUR });
+    expect(agg.getOpen('BTCUSDT', '1d', dayStart)).toBeNull();
+    expect(agg.getOpen('BTCUSDT', '1m', dayStart + 5 * HOUR)).toBe(100);
+
+    agg.ingestKline({ symbol: 'BTCUSDT', interval: '1d', startTime: dayStart, open: 90, high: 101, low: 89, close: 100, volume: 500 });
+    expect(agg.getOpen('BTCUSDT', '1d', dayStart)).toBe(90);
+  });
+
+  it('evicts by bucket age so the open daily candle outlives older minute candles', () => {
+    const agg = new CandleAggregator(['1m', '1d']);
+    agg._maxCandles = 10;
+    const now = Date.now();
+    const minuteStart = Math.floor(now / MIN) * MIN;
+    const dayStart = Math.floor(now / DAY) * DAY;
+
+    agg.ingestKline({ symbol: 'BTCUSDT', interval: '1d', startTime: dayStart, open: 90, high: 100, low: 90, close: 95, volume: 1 });
+    for (let i = 10; i >= 0; i--) {
+      agg.ingestKline({ symbol: 'BTCUSDT', interval: '1m', startTime: minuteStart - i * MIN, open: 95, high: 95, low: 95, close: 95, volume: 1 });
+    }
+
+    expect(agg.getOpen('BTCUSDT', '1d', dayStart)).toBe(90);
+    expect(agg.getCandle('BTCUSDT', '1m', minuteStart - 10 * MIN)).toBeNull();
+    expect(agg.getCandle('BTCUSDT', '1m', minuteStart)).not.toBeNull();
+  });
+});
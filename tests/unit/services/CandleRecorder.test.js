@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach, afterAll, jest } from '@jest/globals';
+import { CandleRecorder, parseRetention } from '../../../src/services/CandleRecorder.js';
+import { CandleAggregator } from '../../../src/services/CandleAggregator.js';
+import { Candle } from '../../../src/models/Candle.js';
+import { configService } from '../../../src/services/ConfigService.js';
+import { stopServiceTimers } from '../../utils/stopServiceTimers.js';
+
+const MIN = 60_000;
+const T0 = 1_700_000_040_000 - (1_700_000_040_000 % MIN);
+
+const kline = (startTime, close = 100) => ({
+  symbol: 'BTCUSDT', interval: '1m', startTime, open: 100, high: 101, low: 99, close, volume: 5, isClosed: true
+});
+
+afterAll(stopServiceTimers);
+
+describe('CandleRecorder', () => {
+  let recorder;
+  let aggregator;
+  let config;
+  let originals;
+  let exchangeService;
+
+  beforeEach(() => {
+    config = {
+      CANDLE_RECORDER_ENABLED: true,
+      CANDLE_RECORDER_INTERVALS: '1m',
+      CANDLE_RECORDER_BATCH_SIZE: 500,
+      CANDLE_RECORDER_BACKFILL: true,
+      CANDLE_RECORDER_MAX_BACKFILL: 1000,
+      CANDLE_RECORDER_RETENTION_DAYS: '1m:7'
+    };
+    originals = { getNumber: configService.getNumber, getBoolean: configService.getBoolean, getString: configService.getString };
+    const get = (key, defVal) => (key in config ? config[key] : defVal);
+    configService.getNumber = jest.fn(get);
+    configService.getBoolean = jest.fn(get);
+    configService.getString = jest.fn(get);
+
+    jest.spyOn(Candle, 'bulkInsert').mockResolvedValue(undefined);
+    jest.spyOn(Candle, 'getCandlesInRange').mockResolvedValue([]);
+    jest.spyOn(Candle, 'pruneByAge').mockResolvedValue(0);
+
+    aggregator = new CandleAggregator(['1m']);
+    recorder = new CandleRecorder({ binance: { candleAggregator: aggregator } });
+    exchangeService = { fetchOHLCV: jest.fn().mockResolvedValue([]) };
+    recorder._getExchangeService = jest.fn().mockResolvedValue(exchangeService);
+  });
+
+  afterEach(async () => {
+    await recorder.stop();
+    Object.assign(configService, originals);
+    jest.restoreAllMocks();
+  });
+
+  it('should parse per-interval retention days', () => {
+    const retention = parseRetention('1m:7, 5M:30,bad,15m:0');
+    expect(Array.from(retention.entries())).toEqual([['1m', 7 * 86_400_000], ['5m', 30 * 86_400_000]]);
+  });
+
+  it('should not start when disabled', () => {
+    config.CANDLE_RECORDER_ENABLED = false;
+    expect(recorder.start()).toBe(false);
+    aggregator.ingestKline(kline(T0));
+    expect(recorder.getStatus()).toMatchObject({ running: false, buffered: 0 });
+  });
+
+  it('should buffer closed candles of recorded intervals and write them in one batch', async () => {
+    recorder.start();
+    aggregator.ingestKline(kline(T0));
+    aggregator.ingestKline(kline(T0 + MIN, 101));
+    recorder.record('binance', { ...kline(T0 + MIN), interval: '5m' }); // not recorded
+
+    expect(await recorder.flush()).toBe(2);
+    expect(Candle.bulkInsert).toHaveBeenCalledTimes(1);
+    expect(Candle.bulkInsert.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ exchange: 'binance', symbol: 'BTCUSDT', interval: '1m', open_time: T0, close_time: T0 + MIN - 1 }),
+      expect.objectContaining({ open_time: T0 + MIN, close: 101 })
+    ]);
+    expect(recorder.getStatus()).toMatchObject({ buffered: 0, recorded: 2, written: 2 });
+  });
+
+  it('should keep candles buffered when the write fails', async () => {
+    recorder.start();
+    Candle.bulkInsert.mockRejectedValueOnce(new Error('db down'));
+    aggregator.ingestKline(kline(T0));
+
+    expect(await recorder.flush()).toBe(0);
+    expect(recorder.getStatus()).toMatchObject({ buffered: 1, lastError: 'db down' });
+    expect(await recorder.flush()).toBe(1);
+  });
+
+  it('should drop the oldest candles above the buffer cap while writes keep failing', async () => {
+    config.CANDLE_RECORDER_BATCH_SIZE = 2;
+    config.CANDLE_RECORDER_MAX_BUFFER = 2;
+    config.CANDLE_RECORDER_BACKFILL = false;
+    Candle.bulkInsert.mockRejectedValue(new Error('db down'));
+    recorder.start();
+
+    for (let i = 0; i < 4; i++) recorder.record('binance', kline(T0 + i * MIN)); // the 2nd one starts a flush
+    expect(await recorder.flush()).toBe(0);
+
+    expect(Array.from(recorder.buffer.values()).map(r => r.open_time)).toEqual([T0 + 2 * MIN, T0 + 3 * MIN]);
+    expect(recorder.getStatus()).toMatchObject({ buffered: 2, dropped: 2, lastError: 'db down' });
+  });
+
+  it('should backfill the missing candles between two recorded candles', async () => {
+    recorder.start();
+    exchangeService.fetchOHLCV.mockResolvedValue([
+      [T0 + MIN, 1, 2, 0.5, 1.5, 10],
+      [T0 + 2 * MIN, 1.5, 2, 1, 1.8, 12]
+    ]);
+
+    aggregator.ingestKline(kline(T0));
+    aggregator.ingestKline(kline(T0 + 3 * MIN));
+    await recorder._backfillChain;
+
+    expect(exchangeService.fetchOHLCV).toHaveBeenCalledWith('BTCUSDT', '1m', 2, 'swap', T0 + 2 * MIN);
+    const rows = Candle.bulkInsert.mock.calls.flatMap(([batch]) => batch);
+    expect(rows.map(r => r.open_time)).toEqual([T0 + MIN, T0 + 2 * MIN]);
+    expect(rows[0]).toMatchObject({ exchange: 'binance', symbol: 'BTCUSDT', interval: '1m' });
+    expect(recorder.getStatus().backfilled).toBe(2);
+  });
+
+  it('should backfill from the stored history on the first candle after a restart', async () => {
+    recorder.start();
+    Candle.getCandlesInRange.mockResolvedValue([{ open_time: T0 - 3 * MIN }]);
+
+    aggregator.ingestKline(kline(T0));
+    await recorder._backfillChain;
+
+    expect(Candle.getCandlesInRange).toHaveBeenCalledWith('binance', 'BTCUSDT', '1m', null, T0 - 1, { limit: 1 });
+    expect(exchangeService.fetchOHLCV).toHaveBeenCalledWith('BTCUSDT', '1m', 2, 'swap', T0 - MIN);
+  });
+
+  it('should cap a backfill to the most recent candles of the gap', async () => {
+    config.CANDLE_RECORDER_MAX_BACKFILL = 3;
+    await recorder.backfill('binance', 'BTCUSDT', '1m', T0, T0 + 99 * MIN);
+    expect(exchangeService.fetchOHLCV).toHaveBeenCalledWith('BTCUSDT', '1m', 3, 'swap', T0 + 99 * MIN);
+  });
+
+  it('should prune only the recorded series of intervals with a retention', async () => {
+    config.CANDLE_RECORDER_RETENTION_DAYS = '1m:7,5m:30';
+    recorder._lastOpenTime.set('binance|BTCUSDT|1m', T0);
+    recorder._lastOpenTime.set('mexc|ETHUSDT|5m', T0);
+    recorder._lastOpenTime.set('binance|BTCUSDT|1d', T0);
+    Candle.pruneByAge.mockResolvedValue(2);
+
+    expect(await recorder.prune()).toBe(4);
+    expect(Candle.pruneByAge).toHaveBeenCalledTimes(2);
+    expect(Candle.pruneByAge).toHaveBeenCalledWith('binance', 'BTCUSDT', '1m', 7 * 86_400_000);
+    expect(Candle.pruneByAge).toHaveBeenCalledWith('mexc', 'ETHUSDT', '5m', 30 * 86_400_000);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { DailyLossLimitService } from '../../../src/services/DailyLossLimitService.js';
+import { Bot } from '../../../src/models/Bot.js';
+import pool from '../../../src/config/database.js';
+
+describe('DailyLossLimitService', () => {
+  let service;
+  let originalDbExecute;
+  let originalBotFindById;
+  let originalBotUpdate;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new DailyLossLimitService();
+
+    originalBotFindById = Bot.findById;
+    originalBotUpdate = Bot.update;
+    Bot.findById = jest.fn();
+    Bot.update = jest.fn();
+
+    originalDbExecute = pool.execute;
+    pool.execute = jest.fn();
+  });
+
+  afterEach(() => {
+    Bot.findById = originalBotFindById;
+    Bot.update = originalBotUpdate;
+    pool.execute = originalDbExecute;
+  });
+
+  describe('getWindowStart', () => {
+    it('should start at UTC midnight, or at a manual reset made today', () => {
+      const now = new Date('2026-01-21T15:30:00Z');
+      expect(service.getWindowStart({}, now).toISOString()).toBe('2026-01-21T00:00:00.000Z');
+      expect(service.getWindowStart({ daily_loss_reset_at: '2026-01-20T23:00:00Z' }, now).toISOString())
+        .toBe('2026-01-21T00:00:00.000Z');
+      expect(service.getWindowStart({ daily_loss_reset_at: '2026-01-21T10:00:00Z' }, now).toISOString())
+        .toBe('2026-01-21T10:00:00.000Z');
+    });
+  });
+
+  describe('resolveLimit', () => {
+    it('should use the tighter of the USDT and % limits', () => {
+      expect(service.resolveLimit({ daily_loss_limit: 50 })).toBe(50);
+      expect(service.resolveLimit({ daily_loss_limit_pct: 10 }, 200)).toBe(20);
+      expect(service.resolveLimit({ daily_loss_limit: 50, daily_loss_limit_pct: 10 }, 1000)).toBe(50);
+      expect(service.resolveLimit({ daily_loss_limit: 50, daily_loss_limit_pct: 10 }, 200)).toBe(20);
+    });
+
+    it('should return null when disabled or the balance is unknown', () => {
+      expect(service.resolveLimit({})).toBeNull();
+      expect(service.resolveLimit({ daily_loss_limit: 0, daily_loss_limit_pct: 0 }, 1000)).toBeNull();
+      expect(service.resolveLimit({ daily_loss_limit_pct: 10 }, null)).toBeNull();
+    });
+  });
+
+  describe('getState', () => {
+    it('should not query pnl when no limit is configured', async () => {
+      Bot.findById.mockResolvedValue({ id: 1, daily_loss_limit: null, daily_loss_limit_pct: null });
+
+      const state = await service.getState(1);
+
+      expect(state.enabled).toBe(false);
+      expect(state.halted).toBe(false);
+      expect(pool.execute).not.toHaveBeenCalled();
+    });
+
+    it('should trip the kill switch when realized loss reaches the limit', async () => {
+      Bot.findById.mockResolvedValue({ id: 1, bot_name: 'Test Bot', daily_loss_limit: 50, daily_loss_flatten: 1 });
+      pool.execute.mockResolvedValue([[{ realized_pnl: -55 }]]);
+
+      const state = await service.getState(1);
+
+      expect(state.halted).toBe(true);
+      expect(state.flatten).toBe(true);
+      expect(state.realized_pnl).toBe(-55);
+      expect(state.effective_limit).toBe(50);
+      expect(Bot.update).toHaveBeenCalledWith(1, { daily_loss_halted_at: expect.any(Date) });
+    });
+
+    it('should stay open while the loss is below the limit', async () => {
+      Bot.findById.mockResolvedValue({ id: 1, daily_loss_limit: 50 });
+      pool.execute.mockResolvedValue([[{ realized_pnl: -20 }]]);
+
+      const state = await service.getState(1);
+
+      expect(state.halted).toBe(false);
+      expect(Bot.update).not.toHaveBeenCalled();
+    });
+
+    it('should keep a bot halted earlier in the window even if pnl recovered', async () => {
+      Bot.findById.mockResolvedValue({ id: 1, daily_loss_limit: 50, daily_loss_halted_at: new Date() });
+      pool.execute.mockResolvedValue([[{ realized_pnl: -10 }]]);
+
+      const state = await service.getState(1);
+
+      expect(state.halted).toBe(true);
+      expect(Bot.update).not.toHaveBeenCalled();
+    });
+
+    it('should use the futures balance at window start for % limits', async () => {
+      Bot.findById.mockResolvedValue({ id: 1, daily_loss_limit_pct: 10 });
+      pool.execute.mockResolvedValue([[{ realized_pnl: -20 }]]);
+      const exchangeService = { getBalance: jest.fn().mockResolvedValue({ total: 180 }) };
+
+      const state = await service.getState(1, { exchangeService });
+
+      // baseline = 180 - (-20) = 200 => limit = 20 USDT => breached
+      expect(exchangeService.getBalance).toHaveBeenCalledWith('future');
+      expect(state.baseline_balance).toBe(200);
+      expect(state.effective_limit).toBe(20);
+      expect(state.halted).toBe(true);
+    });
+  });
+
+  describe('isHalted', () => {
+    it('should fail open when the state cannot be read', async () => {
+      Bot.findById.mockRejectedValue(new Error('DB down'));
+
+      await expect(service.isHalted(1)).resolves.toBe(false);
+    });
+  });
+
+  describe('reset', () => {
+    it('should clear the halt and restart the window from now', async () => {
+      const resetAt = new Date();
+      Bot.update.mockResolvedValue({ id: 1, daily_loss_limit: 50, daily_loss_halted_at: null, daily_loss_reset_at: resetAt });
+      pool.execute.mockResolvedValue([[{ realized_pnl: 0 }]]);
+
+      const state = await service.reset(1);
+
+      expect(Bot.update).toHaveBeenCalledWith(1, { daily_loss_halted_at: null, daily_loss_reset_at: expect.any(Date) });
+      expect(state.halted).toBe(false);
+      expect(state.window_start.getTime()).toBe(resetAt.getTime());
+    });
+  });
+});
@@ -265,4 +265,84 @@ describe('ExchangeInfoService - Symbol Sync (unit)', () => {
       expect(svc.loadFiltersFromDB).toHaveBeenCalled();
     });
   });
+
+  describe('Bybit: updateBybitFiltersFromExchange', () => {
+    const page = (list, nextPageCursor = '') => ({
+      ok: true,
+      json: async () => ({ retCode: 0, result: { list, nextPageCursor } }),
+    });
+    const instrument = (symbol, overrides = {}) => ({
+      symbol, status: 'Trading', contractType: 'LinearPerpetual', settleCoin: 'USDT',
+      priceFilter: { tickSize: '0.10' },
+      lotSizeFilter: { qtyStep: '0.001', minNotionalValue: '5' },
+      leverageFilter: { maxLeverage: '100.00' },
+      ...overrides,
+    });
+
+    it('pages through linear instruments and upserts only trading USDT perpetuals', async () => {
+      const fetchFn = jest.fn()
+        .mockResolvedValueOnce(page([instrument('BTCUSDT'), instrument('BTC-27DEC24', { contractType: 'LinearFutures' })], 'next'))
+        .mockResolvedValueOnce(page([instrument('ETHPERP', { settleCoin: 'USDC' }), instrument('ETHUSDT', { status: 'Settling' })]));
+      svc.fetchFactory = async () => fetchFn;
+      svc.loadFiltersFromDB = jest.fn().mockResolvedValue(undefined);
+
+      await svc.updateBybitFiltersFromExchange();
+
+      expect(fetchFn).toHaveBeenCalledTimes(2);
+      expect(fetchFn.mock.calls[1][0]).toContain('category=linear');
+      expect(fetchFn.mock.calls[1][0]).toContain('cursor=next');
+      expect(mockDAO.getSymbolsByExchange).toHaveBeenCalledWith('bybit', { includeDeleted: true });
+      expect(mockDAO.bulkUpsert).toHaveBeenCalledWith([
+        { exchange: 'bybit', symbol: 'BTCUSDT', tick_size: '0.10', step_size: '0.001', min_notional: 5, max_leverage: 100 },
+      ]);
+      expect(svc.loadFiltersFromDB).toHaveBeenCalled();
+    });
+
+    it('logs error and does not upsert when Bybit returns an error code', async () => {
+      svc.fetchFactory = async () => jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ retCode: 10006, retMsg: 'Too many visits!' }),
+      });
+
+      await svc.updateBybitFiltersFromExchange();
+
+      expect(mockDAO.bulkUpsert).not.toHaveBeenCalled();
+      expect(mockLogger.error).toHaveBeenCalledWith('Error updating symbol filters (Bybit):', 'Bybit retCode 10006: Too many visits!');
+    });
+  });
+
+  describe('Gate: updateGateFiltersFromExchange', () => {
+    const contract = (name, overrides = {}) => ({
+      name, quanto_multiplier: '0.0001', order_price_round: '0.1', order_size_min: 1,
+      mark_price: '60000', leverage_max: '125', in_delisting: false,
+      ...overrides,
+    });
+
+    it('upserts listed USDT contracts with the contract size as step and min notional at mark price', async () => {
+      const fetchFn = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => [contract('BTC_USDT'), contract('LUNA_USDT', { in_delisting: true }), contract('BTC_USD')],
+      });
+      svc.fetchFactory = async () => fetchFn;
+      svc.loadFiltersFromDB = jest.fn().mockResolvedValue(undefined);
+
+      await svc.updateGateFiltersFromExchange();
+
+      expect(fetchFn.mock.calls[0][0]).toBe('https://api.gateio.ws/api/v4/futures/usdt/contracts');
+      expect(mockDAO.getSymbolsByExchange).toHaveBeenCalledWith('gate', { includeDeleted: true });
+      expect(mockDAO.bulkUpsert).toHaveBeenCalledWith([
+        { exchange: 'gate', symbol: 'BTCUSDT', tick_size: '0.1', step_size: '0.0001', min_notional: 6, max_leverage: 125 },
+      ]);
+      expect(svc.loadFiltersFromDB).toHaveBeenCalled();
+    });
+
+    it('logs error and does not upsert on HTTP errors', async () => {
+      svc.fetchFactory = async () => jest.fn().mockResolvedValue({ ok: false, status: 502, text: async () => 'Bad Gateway' });
+
+      await svc.updateGateFiltersFromExchange();
+
+      expect(mockDAO.bulkUpsert).not.toHaveBeenCalled();
+      expect(mockLogger.error).toHaveBeenCalledWith('Error updating symbol filters (Gate):', 'HTTP 502: Bad Gateway');
+    });
+  });
 });
@@ -96,5 +96,49 @@ describe('ExitOrderManager', () => {
     // after nudge, stopPrice should be > 100
     expect(res.stopPrice).toBeGreaterThan(100);
   });
-});
 
+  it('stop mode: LONG stop above entry stays STOP_MARKET', async () => {
+    exchangeService.getTickerPrice.mockResolvedValue(110);
+    const position = { id: 7, status: 'open', symbol: 'BTC/USDT', side: 'long', entry_price: 100, exit_order_id: null };
+
+    const res = await mgr.placeOrReplaceExitOrder(position, 105, { stop: true });
+
+    expect(res.orderType).toBe('STOP_MARKET');
+    expect(res.stopPrice).toBe(105);
+    expect(exchangeService.createCloseStopMarket).toHaveBeenCalled();
+    expect(exchangeService.createCloseTakeProfitMarket).not.toHaveBeenCalled();
+  });
+
+  it('stop mode: signals immediate close when price already crossed the stop', async () => {
+    exchangeService.getTickerPrice.mockResolvedValue(94);
+    const position = { id: 8, status: 'open', symbol: 'BTC/USDT', side: 'short', entry_price: 100, exit_order_id: null };
+
+    const res = await mgr.placeOrReplaceExitOrder(position, 93, { stop: true });
+
+    expect(res).toMatchObject({ shouldCloseImmediately: true, reason: 'price_crossed_stop', currentPrice: 94 });
+    expect(exchangeService.createCloseStopMarket).not.toHaveBeenCalled();
+  });
+
+  it('break-even: creates the stop in the SL slot, then cancels the previous SL', async () => {
+    exchangeService.getTickerPrice.mockResolvedValue(103);
+    const position = { id: 9, status: 'open', symbol: 'BTC/USDT', side: 'long', entry_price: 100, exit_order_id: 'tp1', sl_order_id: 'sl_old' };
+
+    const res = await mgr.placeOrReplaceBreakEvenStop(position, 100.1);
+
+    expect(res).toEqual({ orderType: 'STOP_MARKET', stopPrice: 100.1, orderId: 'stop1' });
+    expect(exchangeService.createCloseStopMarket).toHaveBeenCalledWith('BTC/USDT', 'long', 100.1, position, { clientOrderSuffix: 'SL' });
+    expect(exchangeService.cancelOrder).toHaveBeenCalledWith('sl_old', 'BTC/USDT');
+    expect(position.sl_order_id).toBe('stop1');
+    expect(position.exit_order_id).toBe('tp1');
+  });
+
+  it('break-even: signals immediate close when price is back through break-even', async () => {
+    exchangeService.getTickerPrice.mockResolvedValue(100.05);
+    const position = { id: 10, status: 'open', symbol: 'BTC/USDT', side: 'long', entry_price: 100, sl_order_id: null };
+
+    const res = await mgr.placeOrReplaceBreakEvenStop(position, 100.1);
+
+    expect(res).toMatchObject({ shouldCloseImmediately: true, reason: 'price_crossed_break_even' });
+    expect(exchangeService.createCloseStopMarket).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { GatePrivateStream } from '../../../src/services/GatePrivateStream.js';
+import { PositionFeeService } from '../../../src/services/PositionFeeService.js';
+
+const orderRow = (overrides = {}) => ({
+  id: 93282759397,
+  contract: 'BTC_USDT',
+  size: -10,
+  left: 0,
+  price: '0',
+  fill_price: '65000',
+  status: 'finished',
+  finish_as: 'filled',
+  text: 't-OC_B7_P42_TP',
+  is_reduce_only: true,
+  finish_time_ms: 1700000000000,
+  ...overrides
+});
+
+describe('GatePrivateStream', () => {
+  let stream;
+
+  beforeEach(() => {
+    stream = new GatePrivateStream({ apiKey: 'key', secret: 'secret', userId: 123, contractSize: () => 0.0001 });
+  });
+
+  it('should map order updates to status-only ORDER_TRADE_UPDATE events in base units', () => {
+    const filled = stream.orderToOrderTradeUpdate(orderRow());
+    expect(filled).toEqual(expect.objectContaining({ e: 'ORDER_TRADE_UPDATE', T: 1700000000000 }));
+    expect(filled.o).toEqual(expect.objectContaining({
+      s: 'BTC_USDT', i: '93282759397', c: 't-OC_B7_P42_TP', S: 'SELL', o: 'MARKET', X: 'FILLED', x: 'TRADE',
+      ap: '65000', q: '0.001', z: '0.001', l: '0', n: '0', R: true
+    }));
+    // Fills are booked from futures.usertrades, not from the order status
+    expect(new PositionFeeService().parseFill(filled)).toBeNull();
+
+    const open = stream.orderToOrderTradeUpdate(orderRow({ size: 10, left: 4, price: '64000', status: 'open', finish_as: '' }));
+    expect(open.o).toEqual(expect.objectContaining({ S: 'BUY', o: 'LIMIT', X: 'PARTIALLY_FILLED', z: '0.0006' }));
+
+    const canceled = stream.orderToOrderTradeUpdate(orderRow({ left: -10, finish_as: 'cancelled', text: '-' }));
+    expect(canceled.o).toEqual(expect.objectContaining({ X: 'CANCELED', x: 'CANCELED', c: null }));
+  });
+
+  it('should map user trades to fills with their commission', () => {
+    const evt = stream.tradeToOrderTradeUpdate({
+      id: '3335259', create_time_ms: 1700000000500, contract: 'BTC_USDT', order_id: '93282759397',
+      size: -4, price: '65000', role: 'taker', text: 't-OC_B7_P42_TP', fee: 0.0143
+    });
+    expect(evt.o).toEqual(expect.objectContaining({ x: 'TRADE', X: 'PARTIALLY_FILLED', l: '0.0004', t: '3335259' }));
+
+    const fill = new PositionFeeService().parseFill(evt);
+    expect(fill).toEqual(expect.objectContaining({ orderId: '93282759397', clientOrderId: 't-OC_B7_P42_TP', symbol: 'BTCUSDT', tradeId: '3335259' }));
+    expect(fill.commission).toBeCloseTo(0.0143);
+  });
+
+  it('should sign every private channel subscription and report connected once both are acknowledged', () => {
+    const msg = stream._subscribeMessage('futures.orders');
+    const expected = crypto.createHmac('sha512', 'secret').update(`channel=futures.orders&event=subscribe&time=${msg.time}`).digest('hex');
+    expect(msg).toEqual(expect.objectContaining({ event: 'subscribe', payload: ['123', '!all'], auth: { method: 'api_key', KEY: 'key', SIGN: expected } }));
+
+    const onConnected = jest.fn();
+    const onUpdate = jest.fn();
+    stream.on('connected', onConnected);
+    stream.on('ORDER_TRADE_UPDATE', onUpdate);
+
+    stream._handleMessage({ channel: 'futures.orders', event: 'subscribe', error: null, result: { status: 'success' } });
+    expect(onConnected).not.toHaveBeenCalled();
+    stream._handleMessage({ channel: 'futures.usertrades', event: 'subscribe', error: null, result: { status: 'success' } });
+    expect(onConnected).toHaveBeenCalledTimes(1);
+
+    stream._handleMessage({ channel: 'futures.orders', event: 'update', time_ms: 1700000000001, result: [orderRow()] });
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(onUpdate.mock.calls[0][0].o.X).toBe('FILLED');
+  });
+
+  it('should stop without reconnecting when a subscription is rejected', async () => {
+    const onError = jest.fn();
+    stream.on('error', onError);
+
+    stream._handleMessage({ channel: 'futures.orders', event: 'subscribe', error: { code: 11, message: 'invalid key' } });
+    await Promise.resolve();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Gate.io subscribe failed: invalid key' }));
+    expect(stream.getState()).toBe('stopped');
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach, afterAll, jest } from '@jest/globals';
+import WebSocket from 'ws';
+import { GateWebSocketManager } from '../../../src/services/GateWebSocketManager.js';
+import { strategyCache } from '../../../src/services/StrategyCache.js';
+import { stopServiceTimers } from '../../utils/stopServiceTimers.js';
+
+afterAll(stopServiceTimers);
+
+describe('GateWebSocketManager', () => {
+  let ws;
+
+  beforeEach(() => {
+    ws = new GateWebSocketManager();
+  });
+
+  afterEach(() => {
+    ws.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  it('should cache ticker prices by normalized symbol and notify price handlers', () => {
+    const handler = jest.fn();
+    ws.onPrice(handler);
+
+    ws._handleMessage(JSON.stringify({
+      channel: 'futures.tickers', event: 'update', time_ms: 1000,
+      result: [{ contract: 'BTC_USDT', last: '65000.5' }, { contract: 'ETH_USDT', last: '' }]
+    }));
+
+    expect(ws.getPrice('BTC/USDT')).toBe(65000.5);
+    expect(ws.getPrice('ETHUSDT')).toBeNull();
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ symbol: 'BTCUSDT', price: 65000.5, ts: 1000 });
+  });
+
+  it('should store candlestick bucket opens and closed-window closes for getAccurateOpen', () => {
+    const start = 1_700_000_100_000 - (1_700_000_100_000 % 300_000);
+    const candle = (c, w) => ({ t: start / 1000, o: '3000', h: '3010', l: '2990', c, v: 12, n: '5m_ETH_USDT', w });
+
+    ws._handleMessage(Buffer.from(JSON.stringify({ channel: 'futures.candlesticks', event: 'update', result: [candle('3005', false)] })));
+    expect(ws.getKlineOpen('ETHUSDT', '5m', start)).toBe(3000);
+    expect(ws.getKlineClose('ETHUSDT', '5m', start)).toBeNull();
+
+    ws._handleMessage(JSON.stringify({ channel: 'futures.candlesticks', event: 'update', result: [candle('3008', true)] }));
+    expect(ws.getKlineClose('ETHUSDT', '5m', start)).toBe(3008);
+    expect(ws.getKlineCandle('ETHUSDT', '5m', start)).toEqual(expect.objectContaining({ open: 3000, close: 3008 }));
+  });
+
+  it('should subscribe tickers in batches and one candlestick channel per contract and interval', () => {
+    jest.spyOn(strategyCache, 'getStrategies').mockImplementation((exchange, symbol) => (
+      symbol === 'ETHUSDT' ? [{ interval: '30m' }, { interval: '1d' }] : []
+    ));
+    ws.ensureConnected = jest.fn(); // no network
+    ws.subscribe(['BTCUSDT', 'ETH/USDT', 'BTC_USDT']);
+    expect(ws.subscribed).toEqual(new Set(['BTCUSDT', 'ETHUSDT']));
+
+    ws._send = jest.fn();
+    ws._subscribeSymbols(Array.from(ws.subscribed));
+    expect(ws._send).toHaveBeenCalledWith('futures.tickers', 'subscribe', ['BTC_USDT', 'ETH_USDT']);
+    expect(ws._send).toHaveBeenCalledWith('futures.candlesticks', 'subscribe', ['1m', 'BTC_USDT']);
+    expect(ws._send).toHaveBeenCalledWith('futures.candlesticks', 'subscribe', ['30m', 'ETH_USDT']);
+    expect(ws._send).toHaveBeenCalledWith('futures.candlesticks', 'subscribe', ['1d', 'ETH_USDT']);
+    expect(ws._send).toHaveBeenCalledTimes(1 + 1 + 3);
+    expect(strategyCache.getStrategies).toHaveBeenCalledWith('gate', 'ETHUSDT', false);
+  });
+
+  it('should top up candlesticks of known contracts when a strategy starts using a new interval', () => {
+    const getStrategies = jest.spyOn(strategyCache, 'getStrategies').mockReturnValue([]);
+    ws.ensureConnected = jest.fn(); // no network
+    ws.subscribe(['BTCUSDT']);
+    ws.ws = { readyState: WebSocket.OPEN, send: jest.fn(), close: jest.fn() };
+    ws._send = jest.fn();
+    ws._subscribeSymbols(Array.from(ws.subscribed));
+
+    getStrategies.mockReturnValue([{ interval: '15m' }]);
+    ws.subscribe(['BTCUSDT']);
+
+    expect(ws._send.mock.calls).toEqual([
+      ['futures.tickers', 'subscribe', ['BTC_USDT']],
+      ['futures.candlesticks', 'subscribe', ['1m', 'BTC_USDT']],
+      ['futures.candlesticks', 'subscribe', ['15m', 'BTC_USDT']]
+    ]);
+  });
+});
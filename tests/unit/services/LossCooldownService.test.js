@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { LossCooldownService } from '../../../src/services/LossCooldownService.js';
+import { configService } from '../../../src/services/ConfigService.js';
+import pool from '../../../src/config/database.js';
+
+describe('LossCooldownService', () => {
+  let service;
+  let originalDbExecute;
+  let originalGetNumber;
+  let config;
+
+  const minutesAgo = (m) => new Date(Date.now() - m * 60 * 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new LossCooldownService();
+
+    config = {
+      LOSS_COOLDOWN_STRATEGY_STREAK: 3,
+      LOSS_COOLDOWN_STRATEGY_MINUTES: 60,
+      LOSS_COOLDOWN_SYMBOL_STREAK: 0,
+      LOSS_COOLDOWN_SYMBOL_MINUTES: 60
+    };
+    originalGetNumber = configService.getNumber;
+    configService.getNumber = jest.fn((key, defVal) => (key in config ? config[key] : defVal));
+
+    originalDbExecute = pool.execute;
+    pool.execute = jest.fn();
+  });
+
+  afterEach(() => {
+    configService.getNumber = originalGetNumber;
+    pool.execute = originalDbExecute;
+  });
+
+  describe('evaluateStreak', () => {
+    const now = Date.parse('2026-01-22T12:00:00Z');
+    const hour = 60 * 60 * 1000;
+
+    it('should start a cooldown from the last losing close', () => {
+      const closes = [
+        { pnl: -1, closed_at: '2026-01-22T11:30:00Z' },
+        { pnl: -2, closed_at: '2026-01-22T11:00:00Z' },
+        { pnl: -0.5, closed_at: '2026-01-22T10:00:00Z' }
+      ];
+
+      const cooldown = service.evaluateStreak(closes, 3, hour, now);
+
+      expect(cooldown.streak).toBe(3);
+      expect(cooldown.until.toISOString()).toBe('2026-01-22T12:30:00.000Z');
+      expect(cooldown.remainingMs).toBe(30 * 60 * 1000);
+    });
+
+    it('should not cool down when a win breaks the streak or there are not enough closes', () => {
+      const closes = [
+        { pnl: -1, closed_at: '2026-01-22T11:30:00Z' },
+        { pnl: 2, closed_at: '2026-01-22T11:00:00Z' },
+        { pnl: -0.5, closed_at: '2026-01-22T10:00:00Z' }
+      ];
+
+      expect(service.evaluateStreak(closes, 3, hour, now)).toBeNull();
+      expect(service.evaluateStreak(closes.slice(0, 1), 2, hour, now)).toBeNull();
+    });
+
+    it('should end the cooldown once the duration has elapsed or when disabled', () => {
+      const closes = [
+        { pnl: -1, closed_at: '2026-01-22T10:30:00Z' },
+        { pnl: -1, closed_at: '2026-01-22T10:00:00Z' }
+      ];
+
+      expect(service.evaluateStreak(closes, 2, hour, now)).toBeNull();
+      expect(service.evaluateStreak(closes, 0, 3 * hour, now)).toBeNull();
+    });
+
+    it('should need N fresh losses after a served cooldown', () => {
+      const closes = [
+        { pnl: -1, closed_at: '2026-01-22T11:50:00Z' },
+        { pnl: -1, closed_at: '2026-01-22T10:00:00Z' },
+        { pnl: -1, closed_at: '2026-01-22T09:30:00Z' },
+        { pnl: -1, closed_at: '2026-01-22T09:00:00Z' }
+      ];
+
+      // Cooldown from the 09:00-10:00 streak ended at 11:00; the 11:50 loss alone starts no new one
+      expect(service.evaluateStreak(closes, 3, hour, now)).toBeNull();
+
+      const cooldown = service.evaluateStreak([
+        { pnl: -1, closed_at: '2026-01-22T11:55:00Z' },
+        { pnl: -1, closed_at: '2026-01-22T11:52:00Z' },
+        ...closes
+      ], 3, hour, now);
+      expect(cooldown.until.toISOString()).toBe('2026-01-22T12:55:00.000Z');
+    });
+
+    it('should extend an active cooldown on further losses', () => {
+      const closes = [
+        { pnl: -1, closed_at: '2026-01-22T11:40:00Z' },
+        { pnl: -1, closed_at: '2026-01-22T11:00:00Z' },
+        { pnl: -1, closed_at: '2026-01-22T10:50:00Z' }
+      ];
+
+      const cooldown = service.evaluateStreak(closes, 2, hour, now);
+
+      expect(cooldown.until.toISOString()).toBe('2026-01-22T12:40:00.000Z');
+    });
+  });
+
+  describe('getCooldown', () => {
+    const strategy = { id: 7, bot_id: 2, symbol: 'BTCUSDT' };
+
+    it('should return the strategy cooldown after N consecutive losses', async () => {
+      pool.execute.mockResolvedValue([[
+        { pnl: -1, closed_at: minutesAgo(5) },
+        { pnl: -1, closed_at: minutesAgo(20) },
+        { pnl: -1, closed_at: minutesAgo(40) }
+      ]]);
+
+      const cooldown = await service.getCooldown(strategy);
+
+      expect(cooldown.scope).toBe('strategy');
+      expect(cooldown.key).toBe('strategy|7');
+      expect(cooldown.remainingMs).toBeGreaterThan(54 * 60 * 1000);
+      expect(pool.execute.mock.calls[0][0]).toContain('LIMIT 500');
+      expect(pool.execute.mock.calls[0][1]).toEqual([7, 7]);
+    });
+
+    it('should check the bot + symbol scope when enabled', async () => {
+      config.LOSS_COOLDOWN_STRATEGY_STREAK = 0;
+      config.LOSS_COOLDOWN_SYMBOL_STREAK = 2;
+      pool.execute.mockResolvedValue([[
+        { pnl: -1, closed_at: minutesAgo(5) },
+        { pnl: -3, closed_at: minutesAgo(10) }
+      ]]);
+
+      const cooldown = await service.getCooldown(strategy);
+
+      expect(cooldown.scope).toBe('symbol');
+      expect(pool.execute.mock.calls[0][1]).toEqual([2, 'BTCUSDT', 2, 'BTCUSDT']);
+    });
+
+    it('should not query when all scopes are disabled', async () => {
+      config.LOSS_COOLDOWN_STRATEGY_STREAK = 0;
+
+      await expect(service.getCooldown(strategy)).resolves.toBeNull();
+      expect(pool.execute).not.toHaveBeenCalled();
+    });
+
+    it('should fail open on DB errors', async () => {
+      pool.execute.mockRejectedValue(new Error('DB down'));
+
+      await expect(service.getCooldown(strategy)).resolves.toBeNull();
+    });
+  });
+
+  describe('shouldAlert', () => {
+    it('should report each cooldown window once', () => {
+      const cooldown = { key: 'strategy|7', until: new Date(Date.now() + 60000), remainingMs: 60000 };
+
+      expect(service.shouldAlert(cooldown)).toBe(true);
+      expect(service.shouldAlert(cooldown)).toBe(false);
+      expect(service.shouldAlert({ ...cooldown, until: new Date(Date.now() + 120000) })).toBe(true);
+    });
+  });
+
+  describe('formatRemaining', () => {
+    it('should format minutes and hours', () => {
+      expect(service.formatRemaining(12 * 60 * 1000)).toBe('12m');
+      expect(service.formatRemaining(65 * 60 * 1000)).toBe('1h 05m');
+      expect(service.formatRemaining(1000)).toBe('1m');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import WebSocket from 'ws';
+import { mexcPriceWs } from '../../../src/services/MexcWebSocketManager.js';
+import { strategyCache } from '../../../src/services/StrategyCache.js';
+import { configService } from '../../../src/services/ConfigService.js';
+
+describe('MexcWebSocketManager', () => {
+  let ws;
+  let originalGetString;
+  let klineConfig;
+
+  const klineSubs = () => ws.ws.send.mock.calls
+    .map(([msg]) => JSON.parse(msg))
+    .filter(msg => msg.method === 'sub.kline')
+    .map(msg => `${msg.param.symbol}:${msg.param.interval}`);
+
+  beforeEach(() => {
+    ws = mexcPriceWs;
+    ws.ensureConnected = jest.fn(); // no network
+    ws.ws = { readyState: WebSocket.OPEN, send: jest.fn(), close: jest.fn() };
+    klineConfig = 'auto';
+    originalGetString = configService.getString;
+    configService.getString = jest.fn((key, defVal) => (key === 'MEXC_WS_KLINE_INTERVALS' ? klineConfig : defVal));
+  });
+
+  afterEach(() => {
+    ws.disconnect();
+    delete ws.ensureConnected;
+    configService.getString = originalGetString;
+    jest.restoreAllMocks();
+  });
+
+  it('should subscribe 1m and the strategy intervals of a symbol in auto mode', async () => {
+    jest.spyOn(strategyCache, 'getStrategies').mockReturnValue([{ interval: '5m' }, { interval: '4h' }, { interval: '3m' }]);
+
+    await ws.subscribe(['BTC/USDT']);
+
+    expect(strategyCache.getStrategies).toHaveBeenCalledWith('mexc', 'BTCUSDT', false);
+    expect(klineSubs()).toEqual(['BTC_USDT:Min1', 'BTC_USDT:Min5', 'BTC_USDT:Hour4']);
+  });
+
+  it('should top up klines of known symbols when a strategy starts using a new interval', async () => {
+    const getStrategies = jest.spyOn(strategyCache, 'getStrategies').mockReturnValue([]);
+    await ws.subscribe(['BTCUSDT']);
+    expect(klineSubs()).toEqual(['BTC_USDT:Min1']);
+
+    getStrategies.mockReturnValue([{ interval: '15m' }]);
+    await ws.subscribe(['BTCUSDT']);
+
+    expect(klineSubs()).toEqual(['BTC_USDT:Min1', 'BTC_USDT:Min15']);
+    expect(ws.ws.send.mock.calls.filter(([msg]) => msg.includes('sub.ticker'))).toHaveLength(1);
+  });
+
+  it('should use an explicit interval list instead of the strategies', async () => {
+    klineConfig = '1m,1d';
+    jest.spyOn(strategyCache, 'getStrategies');
+
+    await ws.subscribe(['ETHUSDT']);
+
+    expect(strategyCache.getStrategies).not.toHaveBeenCalled();
+    expect(klineSubs()).toEqual(['ETH_USDT:Min1', 'ETH_USDT:Day1']);
+  });
+});
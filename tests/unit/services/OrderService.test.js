@@ -2,6 +2,7 @@ import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals
 import { OrderService } from '../../../src/services/OrderService.js';
 import { mockExchangeService, mockTelegramService } from '../../utils/mocks.js';
 import { positionLimitService } from '../../../src/services/PositionLimitService.js';
+import { dailyLossLimitService } from '../../../src/services/DailyLossLimitService.js';
 
 describe('OrderService', () => {
   let orderService;
@@ -51,6 +52,9 @@ describe('OrderService', () => {
     positionLimitService.canOpenNewPosition = jest.fn().mockResolvedValue(true);
     positionLimitService.getCurrentTotalAmount = jest.fn().mockResolvedValue(0);
 
+    // Mock DailyLossLimitService (kill switch off)
+    dailyLossLimitService.isHalted = jest.fn().mockResolvedValue(false);
+
     // Create OrderService instance
     orderService = new OrderService(mockExchangeService, mockTelegramService);
     
@@ -294,6 +298,18 @@ describe('OrderService', () => {
       expect(mockExchangeService.createOrder).not.toHaveBeenCalled();
     });
 
+    it('should skip when the bot is halted by the daily loss limit', async () => {
+      const signal = createMockSignal();
+      dailyLossLimitService.isHalted = jest.fn().mockResolvedValue(true);
+
+      const result = await orderService.executeSignal(signal);
+
+      expect(result).toBeNull();
+      expect(dailyLossLimitService.isHalted).toHaveBeenCalledWith(signal.strategy.bot_id, mockExchangeService);
+      expect(positionLimitService.canOpenNewPosition).not.toHaveBeenCalled();
+      expect(mockExchangeService.createOrder).not.toHaveBeenCalled();
+    });
+
     it('should skip when max_amount_per_coin exceeded', async () => {
       const signal = createMockSignal();
       signal.strategy.bot.max_amount_per_coin = 50; // Limit is 50
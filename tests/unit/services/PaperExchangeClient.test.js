@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach, afterAll, jest } from '@jest/globals';
+import { PaperExchangeClient } from '../../../src/services/PaperExchangeClient.js';
+import { PaperAdapter } from '../../../src/services/exchanges/PaperAdapter.js';
+import { stopServiceTimers } from '../../utils/stopServiceTimers.js';
+
+// Default fee/slippage configs (ConfigService not loaded in unit tests):
+// maker 0.0002, taker 0.0005, slippage 0.02%
+
+afterAll(stopServiceTimers);
+
+describe('PaperExchangeClient', () => {
+  let client;
+  let prices;
+  let events;
+
+  beforeEach(() => {
+    client = new PaperExchangeClient({ id: 7, exchange: 'paper' });
+    client.balance = 10000;
+    client._loadPromise = Promise.resolve(); // skip DB load
+    client._scheduleSave = jest.fn();
+    prices = { BTCUSDT: 100 };
+    client.getPrice = jest.fn((symbol) => prices[client.normalizeSymbol(symbol)] ?? null);
+    events = [];
+    client.on('ORDER_TRADE_UPDATE', (evt) => events.push(evt.o));
+  });
+
+  it('fills MARKET orders immediately with slippage and taker fee', async () => {
+    const order = await client.createOrder({ symbol: 'BTC/USDT', side: 'buy', amount: 1000, type: 'market', positionSide: 'LONG' });
+
+    expect(order.status).toBe('FILLED');
+    expect(order.avgPrice).toBeCloseTo(100.02, 8);
+    expect(order.executedQty).toBeCloseTo(10, 8);
+
+    const positions = await client.getOpenPositions('BTCUSDT');
+    expect(positions).toHaveLength(1);
+    expect(positions[0]).toMatchObject({ symbol: 'BTCUSDT', positionSide: 'LONG' });
+    expect(Number(positions[0].positionAmt)).toBeCloseTo(10, 8);
+    expect(client.balance).toBeCloseTo(10000 - 100.02 * 10 * 0.0005, 8);
+    expect(events[0]).toMatchObject({ X: 'FILLED', S: 'BUY', ps: 'LONG' });
+  });
+
+  it('rests LIMIT orders until price crosses, then fills at the limit price as maker', async () => {
+    const order = await client.createOrder({ symbol: 'BTCUSDT', side: 'sell', amount: 1000, type: 'limit', price: 105, positionSide: 'SHORT' });
+    expect(order.status).toBe('NEW');
+    expect(client.getOpenOrders('BTCUSDT')).toHaveLength(1);
+
+    client.onPrice('BTCUSDT', 104);
+    expect((await client.getOrder('BTCUSDT', order.orderId)).status).toBe('NEW');
+
+    client.onPrice('BTCUSDT', 105.5);
+    const filled = await client.getOrder('BTCUSDT', order.orderId);
+    expect(filled.status).toBe('FILLED');
+    expect(filled.avgPrice).toBe(105);
+    expect(await client.getClosableQuantity('BTCUSDT', 'short')).toBeCloseTo(1000 / 105, 8);
+  });
+
+  it('closes the position on TAKE_PROFIT_MARKET trigger, realizes PnL and expires sibling close orders', async () => {
+    await client.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 1000, type: 'limit', price: 100, positionSide: 'LONG' });
+    const balanceAfterEntry = client.balance;
+
+    const tp = await client.createCloseOrder('BTCUSDT', 'long', 110, 'TAKE_PROFIT_MARKET', { id: 55 });
+    const sl = await client.createCloseOrder('BTCUSDT', 'long', 95, 'STOP_MARKET', { id: 55 });
+    expect(tp.clientOrderId).toBe('OC_B7_P55_EXIT');
+
+    client.onPrice('BTCUSDT', 109);
+    expect((await client.getOrder('BTCUSDT', tp.orderId)).status).toBe('NEW');
+
+    client.onPrice('BTCUSDT', 110);
+    const tpFilled = await client.getOrder('BTCUSDT', tp.orderId);
+    const exitPrice = 110 * (1 - 0.0002);
+    expect(tpFilled.status).toBe('FILLED');
+    expect(tpFilled.avgPrice).toBeCloseTo(exitPrice, 8);
+    expect(tpFilled.realizedPnl).toBeCloseTo((exitPrice - 100) * 10, 8);
+    expect(client.balance).toBeCloseTo(balanceAfterEntry + (exitPrice - 100) * 10 - exitPrice * 10 * 0.0005, 8);
+
+    expect((await client.getOrder('BTCUSDT', sl.orderId)).status).toBe('EXPIRED');
+    expect(await client.getOpenPositions()).toHaveLength(0);
+
+    const tpEvent = events.find(e => e.i === tp.orderId && e.X === 'FILLED');
+    expect(tpEvent).toMatchObject({ c: 'OC_B7_P55_EXIT', o: 'TAKE_PROFIT_MARKET', cp: true });
+  });
+
+  it('partially closes on reduce-only TP limit legs and expires remaining legs when the position closes', async () => {
+    await client.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 1000, type: 'limit', price: 100, positionSide: 'LONG' });
+
+    const leg1 = await client.createTakeProfitLimit('BTCUSDT', 'long', 102, 4, { clientOrderId: 'OC_B7_P55_TP1' });
+    const leg2 = await client.createTakeProfitLimit('BTCUSDT', 'long', 105, 3, { clientOrderId: 'OC_B7_P55_TP2' });
+    const exit = await client.createCloseOrder('BTCUSDT', 'long', 103, 'TAKE_PROFIT_MARKET', { id: 55 });
+
+    client.onPrice('BTCUSDT', 102);
+    const leg1Filled = await client.getOrder('BTCUSDT', leg1.orderId);
+    expect(leg1Filled).toMatchObject({ status: 'FILLED', avgPrice: 102, reduceOnly: true });
+    expect(leg1Filled.realizedPnl).toBeCloseTo(8, 8);
+    expect(await client.getClosableQuantity('BTCUSDT', 'long')).toBeCloseTo(6, 8);
+    expect(events.find(e => e.i === leg1.orderId && e.X === 'FILLED')).toMatchObject({ c: 'OC_B7_P55_TP1', z: '4' });
+
+    client.onPrice('BTCUSDT', 103);
+    expect((await client.getOrder('BTCUSDT', exit.orderId)).executedQty).toBeCloseTo(6, 8);
+    expect((await client.getOrder('BTCUSDT', leg2.orderId)).status).toBe('EXPIRED');
+    expect(await client.getOpenPositions()).toHaveLength(0);
+  });
+
+  it('triggers STOP_MARKET for SHORT when price rises above the stop', async () => {
+    await client.createOrder({ symbol: 'BTCUSDT', side: 'sell', amount: 1000, type: 'market', positionSide: 'SHORT' });
+    const sl = await client.createCloseOrder('BTCUSDT', 'short', 102, 'STOP_MARKET');
+
+    client.onPrice('BTCUSDT', 101.9);
+    expect((await client.getOrder('BTCUSDT', sl.orderId)).status).toBe('NEW');
+
+    client.onPrice('BTCUSDT', 102.1);
+    const filled = await client.getOrder('BTCUSDT', sl.orderId);
+    expect(filled.status).toBe('FILLED');
+    expect(filled.realizedPnl).toBeLessThan(0);
+  });
+
+  it('fills the stop loss of the paper adapter at the trigger and realizes the loss', async () => {
+    const adapter = new PaperAdapter({ bot: client.bot });
+    adapter.paperClient = client;
+    await client.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 1000, type: 'limit', price: 100, positionSide: 'LONG' });
+    const balanceAfterEntry = client.balance;
+
+    const sl = await adapter.createStopLossLimit('BTCUSDT', 'long', 97, 10);
+    expect(sl).toMatchObject({ type: 'STOP_MARKET', status: 'NEW', side: 'SELL', closePosition: true });
+
+    client.onPrice('BTCUSDT', 97.5);
+    expect((await client.getOrder('BTCUSDT', sl.orderId)).status).toBe('NEW');
+
+    client.onPrice('BTCUSDT', 96.9);
+    const filled = await client.getOrder('BTCUSDT', sl.orderId);
+    expect(filled.status).toBe('FILLED');
+    expect(await client.getOpenPositions('BTCUSDT')).toHaveLength(0);
+    expect(client.balance).toBeLessThan(balanceAfterEntry - 30);
+  });
+
+  it('cancels open orders and rejects unknown ones with -2011', async () => {
+    const order = await client.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 1000, type: 'limit', price: 90 });
+    await client.cancelOrder('BTCUSDT', order.orderId);
+    expect((await client.getOrder('BTCUSDT', order.orderId)).status).toBe('CANCELED');
+    await expect(client.cancelOrder('BTCUSDT', order.orderId)).rejects.toThrow('-2011');
+  });
+
+  it('reports balance with unrealized PnL', async () => {
+    await client.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 1000, type: 'limit', price: 100, positionSide: 'LONG' });
+    prices.BTCUSDT = 110;
+
+    const balance = await client.getBalance();
+
+    expect(balance.total).toBeCloseTo(client.balance + 100, 8);
+    expect(balance.used).toBeCloseTo(1000, 8);
+  });
+
+  it('rejects entries whose margin exceeds the available balance, counting resting orders', async () => {
+    client.balance = 1500;
+    client.bot.default_leverage = 2;
+
+    await client.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 2000, type: 'limit', price: 90, positionSide: 'LONG' });
+    expect((await client.getBalance()).used).toBeCloseTo(1000, 8);
+
+    await expect(client.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 1200, type: 'market', positionSide: 'LONG' }))
+      .rejects.toThrow('-2019 Margin is insufficient');
+    expect(client.getOpenOrders('BTCUSDT')).toHaveLength(1);
+
+    const order = await client.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 900, type: 'market', positionSide: 'LONG' });
+    expect(order.status).toBe('FILLED');
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach, afterAll, jest } from '@jest/globals';
+import { PositionFeeService } from '../../../src/services/PositionFeeService.js';
+import { ExchangeService } from '../../../src/services/ExchangeService.js';
+import pool from '../../../src/config/database.js';
+import { stopServiceTimers } from '../../utils/stopServiceTimers.js';
+
+const tradeEvent = (overrides = {}) => ({
+  e: 'ORDER_TRADE_UPDATE',
+  E: 1768000000000,
+  T: 1768000000000,
+  o: { s: 'BTCUSDT', c: 'web_abc', x: 'TRADE', X: 'FILLED', i: 111, l: '0.01', n: '0.0400', N: 'USDT', t: 9001, ...overrides }
+});
+
+afterAll(stopServiceTimers);
+
+describe('PositionFeeService', () => {
+  let service;
+  let originalDbExecute;
+
+  beforeEach(() => {
+    service = new PositionFeeService();
+    originalDbExecute = pool.execute;
+    pool.execute = jest.fn();
+  });
+
+  afterEach(() => {
+    service.stop();
+    pool.execute = originalDbExecute;
+  });
+
+  describe('parseFill', () => {
+    it('should read commission of TRADE executions only', () => {
+      expect(service.parseFill(tradeEvent())).toEqual({
+        orderId: '111',
+        clientOrderId: 'web_abc',
+        symbol: 'BTCUSDT',
+        tradeId: 9001,
+        lastQty: 0.01,
+        commission: 0.04,
+        asset: 'USDT',
+        time: 1768000000000
+      });
+      expect(service.parseFill(tradeEvent({ x: 'NEW', l: '0' }))).toBeNull();
+      expect(service.parseFill(tradeEvent({ x: 'CANCELED' }))).toBeNull();
+    });
+  });
+
+  describe('recordTradeFee', () => {
+    it('should book the exit fee of a bot exit order from its client order id', async () => {
+      pool.execute.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+      const booked = await service.recordTradeFee(7, tradeEvent({ c: 'OC_B7_P12_TP', n: '0.05' }));
+
+      expect(booked).toBe(true);
+      const [sql, params] = pool.execute.mock.calls[0];
+      expect(sql).toContain('UPDATE positions');
+      expect(params).toEqual([0, 0.05, 12]);
+    });
+
+    it('should book the entry fee once per trade', async () => {
+      pool.execute
+        .mockResolvedValueOnce([[{ id: 3, order_id: '111' }]]) // position lookup
+        .mockResolvedValueOnce([{ affectedRows: 1 }]); // addFees
+
+      expect(await service.recordTradeFee(7, tradeEvent())).toBe(true);
+      expect(await service.recordTradeFee(7, tradeEvent())).toBe(false);
+
+      expect(pool.execute).toHaveBeenCalledTimes(2);
+      expect(pool.execute.mock.calls[1][1]).toEqual([0.04, 0, 3]);
+    });
+
+    it('should ignore commission paid in non-quote assets', async () => {
+      expect(await service.recordTradeFee(7, tradeEvent({ N: 'BNB' }))).toBe(false);
+      expect(pool.execute).not.toHaveBeenCalled();
+    });
+
+    it('should retry fills that arrive before the position exists', async () => {
+      pool.execute
+        .mockResolvedValueOnce([[]]) // position lookup
+        .mockResolvedValueOnce([[]]) // exit leg lookup
+        .mockResolvedValueOnce([[{ id: 4, order_id: '111' }]]) // retry lookup
+        .mockResolvedValueOnce([{ affectedRows: 1 }]); // addFees
+
+      expect(await service.recordTradeFee(7, tradeEvent())).toBe(false);
+      expect(await service.flushPending()).toBe(1);
+      expect(pool.execute.mock.calls[3][1]).toEqual([0.04, 0, 4]);
+    });
+
+    it('should drop pending fills after the TTL', async () => {
+      pool.execute.mockResolvedValue([[]]);
+
+      await service.recordTradeFee(7, tradeEvent());
+      expect(await service.flushPending(Date.now() + service.pendingTtlMs)).toBe(0);
+      expect(service._pending.size).toBe(0);
+    });
+  });
+
+  describe('syncFunding', () => {
+    it('should set the funding total of positions whose share changed', async () => {
+      const now = Date.parse('2026-01-10T12:00:00Z');
+      pool.execute
+        .mockResolvedValueOnce([[
+          { id: 1, symbol: 'BTCUSDT', amount: '100', opened_at: '2026-01-10T00:00:00Z', closed_at: null, status: 'open', funding_fee: '0' },
+          { id: 2, symbol: 'ETHUSDT', amount: '50', opened_at: '2026-01-10T00:00:00Z', closed_at: '2026-01-10T06:00:00Z', status: 'closed', funding_fee: '-0.2' }
+        ]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]); // setFundingFee
+      const exchangeService = {
+        getIncomeHistory: jest.fn().mockResolvedValue([
+          { symbol: 'BTCUSDT', income: '-0.1', time: Date.parse('2026-01-10T08:00:00Z') },
+          { symbol: 'ETHUSDT', income: '-0.2', time: Date.parse('2026-01-10T00:00:00Z') },
+          { symbol: 'ETHUSDT', income: '-0.3', time: Date.parse('2026-01-10T08:00:00Z') } // after close
+        ])
+      };
+
+      const updated = await service.syncFunding(7, exchangeService, now);
+
+      expect(updated).toBe(1);
+      expect(exchangeService.getIncomeHistory).toHaveBeenCalledWith(expect.objectContaining({ incomeType: 'FUNDING_FEE', endTime: now }));
+      const [sql, params] = pool.execute.mock.calls[1];
+      expect(sql).toContain('funding_fee = ?');
+      expect(params).toEqual([-0.1, 1]);
+    });
+
+    it('should total funding over every page of a Binance income history', async () => {
+      const now = Date.parse('2026-01-10T12:00:00Z');
+      const openedAt = Date.parse('2026-01-01T00:00:00Z');
+      pool.execute
+        .mockResolvedValueOnce([[
+          { id: 1, symbol: 'BTCUSDT', amount: '100', opened_at: new Date(openedAt), closed_at: null, status: 'open', funding_fee: '0' }
+        ]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]); // setFundingFee
+      const row = (tranId, time) => ({ tranId, time, symbol: 'BTCUSDT', incomeType: 'FUNDING_FEE', income: '-0.01', asset: 'USDT' });
+      const getIncomeHistory = jest.fn()
+        .mockResolvedValueOnce(Array.from({ length: 1000 }, (_, i) => row(i + 1, openedAt + (i + 1) * 1000)))
+        .mockResolvedValueOnce([row(1000, openedAt + 1000 * 1000), row(1001, openedAt + 1001 * 1000)]);
+      const exchangeService = new ExchangeService({ id: 7, exchange: 'binance' });
+      exchangeService.adapter.binanceDirectClient = { getIncomeHistory };
+
+      await service.syncFunding(7, exchangeService, now);
+
+      expect(getIncomeHistory).toHaveBeenCalledTimes(2);
+      expect(pool.execute.mock.calls[1][1]).toEqual([-10.01, 1]);
+    });
+
+    it('should keep stored totals when the income history cannot be fetched in full', async () => {
+      pool.execute.mockResolvedValueOnce([[{ id: 1, symbol: 'BTCUSDT', amount: '10', opened_at: '2026-01-10T00:00:00Z', status: 'open', funding_fee: '-0.5' }]]);
+      const exchangeService = { getIncomeHistory: jest.fn().mockRejectedValue(new Error('Income history exceeds 50 pages')) };
+
+      await expect(service.syncFunding(7, exchangeService)).rejects.toThrow('exceeds 50 pages');
+      expect(pool.execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip exchanges without income history', async () => {
+      pool.execute.mockResolvedValueOnce([[{ id: 1, symbol: 'BTCUSDT', amount: '10', opened_at: '2026-01-10T00:00:00Z', status: 'open', funding_fee: '0' }]]);
+
+      expect(await service.syncFunding(7, { getIncomeHistory: jest.fn().mockResolvedValue(null) })).toBe(0);
+      expect(pool.execute).toHaveBeenCalledTimes(1);
+    });
+  });
+});
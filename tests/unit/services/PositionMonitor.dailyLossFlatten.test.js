@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach, afterAll, jest } from '@jest/globals';
+import { PositionMonitor } from '../../../src/jobs/PositionMonitor.js';
+import { dailyLossLimitService } from '../../../src/services/DailyLossLimitService.js';
+import { stopServiceTimers } from '../../utils/stopServiceTimers.js';
+
+afterAll(stopServiceTimers);
+
+describe('PositionMonitor - daily loss limit flatten', () => {
+  let monitor;
+  let exchangeService;
+  let positionService;
+  let calls;
+
+  const position = {
+    id: 7,
+    bot_id: 1,
+    symbol: 'BTCUSDT',
+    side: 'long',
+    status: 'open',
+    exit_order_id: 'exit-1',
+    sl_order_id: 'sl-1',
+    exit_legs: JSON.stringify([
+      { level: 1, order_id: 'leg-1', status: 'open' },
+      { level: 2, order_id: 'leg-2', status: 'filled' },
+      { level: 3, order_id: null, status: 'skipped' }
+    ])
+  };
+
+  beforeEach(() => {
+    calls = [];
+    monitor = new PositionMonitor();
+    exchangeService = {
+      getTickerPrice: jest.fn().mockResolvedValue(95),
+      cancelOrder: jest.fn(async (orderId) => { calls.push(`cancel:${orderId}`); })
+    };
+    positionService = {
+      calculatePnL: jest.fn().mockReturnValue(-5),
+      closePosition: jest.fn(async (pos) => {
+        calls.push('close');
+        return { ...pos, status: 'closed' };
+      })
+    };
+    monitor.exchangeServices.set(1, exchangeService);
+    monitor.positionServices.set(1, positionService);
+    jest.spyOn(dailyLossLimitService, 'getState').mockResolvedValue({ halted: true, flatten: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should close the position first, then cancel the exit and SL orders', async () => {
+    const other = { id: 8, bot_id: 2, symbol: 'ETHUSDT' };
+    dailyLossLimitService.getState.mockImplementation(async (botId) => ({ halted: botId === 1, flatten: true }));
+
+    const remaining = await monitor._flattenDailyLossHaltedBots([position, other]);
+
+    expect(remaining).toEqual([other]);
+    expect(positionService.closePosition).toHaveBeenCalledWith(position, 95, -5, 'daily_loss_limit');
+    expect(calls).toEqual(['close', 'cancel:exit-1', 'cancel:sl-1']);
+  });
+
+  it('should keep the exit orders in place when the close fails', async () => {
+    positionService.closePosition.mockRejectedValueOnce(new Error('exchange down'));
+
+    const remaining = await monitor._flattenDailyLossHaltedBots([position]);
+
+    expect(remaining).toEqual([position]);
+    expect(exchangeService.cancelOrder).not.toHaveBeenCalled();
+  });
+
+  it('should keep the exit orders in place when the close is blocked', async () => {
+    positionService.closePosition.mockResolvedValueOnce(position); // CloseGuard returned the open position
+
+    const remaining = await monitor._flattenDailyLossHaltedBots([position]);
+
+    expect(remaining).toEqual([position]);
+    expect(exchangeService.cancelOrder).not.toHaveBeenCalled();
+  });
+});
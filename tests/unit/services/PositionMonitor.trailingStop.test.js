@@ -0,0 +1,22 @@
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { PositionMonitor } from '../../../src/jobs/PositionMonitor.js';
+import { stopServiceTimers } from '../../utils/stopServiceTimers.js';
+
+afterAll(stopServiceTimers);
+
+describe('PositionMonitor - trailing stop index', () => {
+  it('should drop trailing state of positions that are no longer open', async () => {
+    const monitor = new PositionMonitor();
+    const positionService = {
+      trailingStopState: new Map([
+        [7, { bestPrice: 105, stopPrice: 103 }],
+        [8, { bestPrice: 99, stopPrice: 101 }] // closed by an exchange fill, never seen by closePosition
+      ])
+    };
+    monitor.positionServices.set(1, positionService);
+
+    await monitor._refreshTrailingStopPositions([{ id: 7, bot_id: 1, symbol: 'BTCUSDT', exit_mode: 'time_tp' }]);
+
+    expect(Array.from(positionService.trailingStopState.keys())).toEqual([7]);
+  });
+});
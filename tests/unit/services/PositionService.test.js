@@ -78,5 +78,26 @@ describe('PositionService', () => {
       expect(updatedSL).toBeLessThan(55000); // SL should be below TP for long
     });
   });
-});
 
+  describe('cancelOpenExitLegOrders', () => {
+    it('should cancel only the open TP leg orders and survive a failed cancel', async () => {
+      mockExchangeService.cancelOrder.mockRejectedValueOnce(new Error('rate limited'));
+      const position = {
+        ...mockPosition,
+        exit_legs: JSON.stringify([
+          { level: 1, order_id: 'leg-1', status: 'open' },
+          { level: 2, order_id: 'leg-2', status: 'filled' },
+          { level: 3, order_id: 'leg-3', status: 'open' },
+          { level: 4, order_id: null, status: 'skipped' }
+        ])
+      };
+
+      await positionService.cancelOpenExitLegOrders(position);
+
+      expect(mockExchangeService.cancelOrder.mock.calls).toEqual([
+        ['leg-1', mockPosition.symbol],
+        ['leg-3', mockPosition.symbol]
+      ]);
+    });
+  });
+});
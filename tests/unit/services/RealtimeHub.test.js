@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { RealtimeHub, toPositionPayload } from '../../../src/services/RealtimeHub.js';
+import { User } from '../../../src/models/User.js';
+
+describe('RealtimeHub', () => {
+  let hub;
+
+  const createClient = () => {
+    const handlers = {};
+    return {
+      readyState: 1,
+      send: jest.fn(),
+      on: jest.fn((event, handler) => { handlers[event] = handler; }),
+      emit: (event, payload) => handlers[event]?.(payload),
+      terminate: jest.fn(),
+      close: jest.fn(),
+      ping: jest.fn()
+    };
+  };
+
+  const connect = (client) => {
+    hub.wss.clients.add(client);
+    hub._onConnection(client, { id: 1, username: 'alice', role: 'viewer' });
+    client.send.mockClear();
+    return client;
+  };
+
+  const events = (client) => client.send.mock.calls.map(([raw]) => JSON.parse(raw));
+
+  beforeEach(() => {
+    hub = new RealtimeHub();
+    hub.wss = { clients: new Set(), close: jest.fn() };
+  });
+
+  afterEach(() => {
+    hub.close();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should deliver bot events to subscribers of that bot and to all-bots clients', () => {
+    const all = connect(createClient());
+    const bot2 = connect(createClient());
+    bot2.emit('message', JSON.stringify({ type: 'subscribe', botIds: [2] }));
+    bot2.send.mockClear();
+
+    hub.publish('oc:match', { strategyId: 10 }, { botId: 1 });
+    hub.publish('oc:match', { strategyId: 20 }, { botId: 2 });
+
+    expect(events(all).map(e => e.data.strategyId)).toEqual([10, 20]);
+    expect(events(bot2).map(e => e.data.strategyId)).toEqual([20]);
+    expect(events(bot2)[0]).toMatchObject({ event: 'oc:match', botId: 2 });
+  });
+
+  it('should send events without a botId to every client', () => {
+    const bot2 = connect(createClient());
+    bot2.emit('message', JSON.stringify({ type: 'subscribe', botIds: [2] }));
+    bot2.send.mockClear();
+
+    hub.publish('price-alert:fired', { symbol: 'BTCUSDT' });
+
+    expect(events(bot2)).toHaveLength(1);
+  });
+
+  it('should go back to all bots on an empty subscribe and drop rooms on close', () => {
+    const client = connect(createClient());
+    client.emit('message', JSON.stringify({ type: 'subscribe', botIds: [3] }));
+    client.emit('message', JSON.stringify({ type: 'subscribe', botIds: [] }));
+
+    expect([...client.rooms]).toEqual(['bots:*']);
+
+    client.emit('close');
+    expect(hub.rooms.size).toBe(0);
+  });
+
+  it('should ignore malformed client messages', () => {
+    const client = connect(createClient());
+
+    expect(() => client.emit('message', 'not json')).not.toThrow();
+    expect(client.send).not.toHaveBeenCalled();
+  });
+
+  it('should coalesce position updates and send the latest payload', () => {
+    jest.useFakeTimers();
+    const client = connect(createClient());
+    const position = { id: 7, bot_id: 1, symbol: 'BTCUSDT', status: 'open', pnl: '1' };
+
+    hub.publishPosition('updated', position);
+    hub.publishPosition('updated', { ...position, pnl: '2' });
+    hub.publishPosition('updated', { ...position, pnl: '3' });
+    expect(events(client).map(e => e.data.position.pnl)).toEqual([1]);
+
+    jest.advanceTimersByTime(2000);
+    expect(events(client).map(e => e.data.position.pnl)).toEqual([1, 3]);
+  });
+
+  it('should drop a pending update when the position closes', () => {
+    jest.useFakeTimers();
+    const client = connect(createClient());
+    const position = { id: 8, bot_id: 1, symbol: 'ETHUSDT', status: 'open', pnl: '1' };
+
+    hub.publishPosition('updated', position);
+    hub.publishPosition('updated', { ...position, pnl: '2' });
+    hub.publishPosition('closed', { ...position, status: 'closed', pnl: '-4.5' });
+    jest.advanceTimersByTime(5000);
+
+    expect(events(client).map(e => e.event)).toEqual(['position:updated', 'position:closed']);
+    expect(events(client)[1].data.pnl).toBe(-4.5);
+  });
+
+  it('should close sockets of deactivated or demoted users and keep the others', async () => {
+    const alice = connect(createClient());
+    const bob = createClient();
+    hub.wss.clients.add(bob);
+    hub._onConnection(bob, { id: 2, username: 'bob', role: 'viewer' });
+    const carol = createClient();
+    hub.wss.clients.add(carol);
+    hub._onConnection(carol, { id: 3, username: 'carol', role: 'viewer' });
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => ({
+      1: { id: 1, role: 'admin', is_active: 1 },
+      2: { id: 2, role: 'viewer', is_active: 0 },
+      3: { id: 3, role: 'none', is_active: 1 }
+    })[id]);
+
+    const closed = await hub.revalidateClients();
+
+    expect(closed).toBe(2);
+    expect(alice.close).not.toHaveBeenCalled();
+    expect(alice.user.role).toBe('admin');
+    expect(bob.close).toHaveBeenCalledWith(4403, 'Access revoked');
+    expect(carol.close).toHaveBeenCalled();
+    alice.send.mockClear();
+    bob.send.mockClear();
+    hub.publish('oc:match', { strategyId: 10 }, { botId: 1 });
+    expect(events(alice)).toHaveLength(1);
+    expect(bob.send).not.toHaveBeenCalled();
+  });
+
+  it('should keep sockets open when the user lookup fails', async () => {
+    const client = connect(createClient());
+    jest.spyOn(User, 'findById').mockRejectedValue(new Error('db down'));
+
+    await expect(hub.revalidateClients()).rejects.toThrow('db down');
+    expect(client.close).not.toHaveBeenCalled();
+  });
+
+  it('should not throw when nobody is connected', () => {
+    hub.wss = null;
+    expect(() => hub.publish('bot:health', { botId: 1 }, { botId: 1 })).not.toThrow();
+    expect(() => hub.publishPosition('opened', { id: 1 })).not.toThrow();
+  });
+
+  it('should map position rows to the dashboard payload', () => {
+    const payload = toPositionPayload({
+      id: 1,
+      strategy_id: 2,
+      bot_id: 3,
+      symbol: 'BTCUSDT',
+      side: 'long',
+      status: 'closed',
+      entry_price: '100.5',
+      close_price: '101',
+      take_profit_price: null,
+      stop_loss_price: '99',
+      amount: '50',
+      pnl: '0.25',
+      opened_at: '2026-01-01T00:00:00Z',
+      closed_at: '2026-01-01T01:00:00Z',
+      close_reason: 'tp_hit'
+    });
+
+    expect(payload).toEqual({
+      id: 1,
+      strategyId: 2,
+      botId: 3,
+      symbol: 'BTCUSDT',
+      side: 'long',
+      status: 'closed',
+      entryPrice: 100.5,
+      currentPrice: 101,
+      takeProfitPrice: null,
+      stopLossPrice: 99,
+      amount: 50,
+      pnl: 0.25,
+      openedAt: '2026-01-01T00:00:00Z',
+      closedAt: '2026-01-01T01:00:00Z',
+      closeReason: 'tp_hit'
+    });
+  });
+});
@@ -0,0 +1,253 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { StrategyBulkService, toSymbolLike } from '../../../src/services/StrategyBulkService.js';
+import { strategyCache } from '../../../src/services/StrategyCache.js';
+import pool from '../../../src/config/database.js';
+
+const PRESET = {
+  id: 1,
+  name: 'recommended_default',
+  config: { oc: 2, extend: 50, take_profit: 50, stoploss: 25, reduce: 5, up_reduce: 5, amount: 10, interval: '5m', trade_type: 'both' }
+};
+
+describe('StrategyBulkService', () => {
+  let service;
+  let originalDbExecute;
+  let originalGetConnection;
+  let connection;
+
+  beforeEach(() => {
+    service = new StrategyBulkService();
+    originalDbExecute = pool.execute;
+    originalGetConnection = pool.getConnection;
+    pool.execute = jest.fn();
+    connection = {
+      execute: jest.fn(),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    pool.getConnection = jest.fn().mockResolvedValue(connection);
+    jest.spyOn(strategyCache, 'refresh').mockResolvedValue(new Map());
+  });
+
+  afterEach(() => {
+    pool.execute = originalDbExecute;
+    pool.getConnection = originalGetConnection;
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveSymbols', () => {
+    const bot = { id: 1, exchange: 'binance' };
+
+    it('should normalize an explicit list and drop excluded symbols', async () => {
+      const symbols = await service.resolveSymbols(bot, { type: 'list', symbols: ['btc/usdt', 'ETHUSDT', 'BTCUSDT', 'SOLUSDT'] }, 'sol/usdt');
+      expect(symbols).toEqual(['BTCUSDT', 'ETHUSDT']);
+    });
+
+    it('should select every USDT perp of symbol_filters', async () => {
+      pool.execute.mockResolvedValueOnce([[{ symbol: 'BTCUSDT' }, { symbol: 'ETHUSDC' }, { symbol: 'xrpusdt' }]]);
+
+      const symbols = await service.resolveSymbols(bot, { type: 'all_usdt' });
+
+      expect(symbols).toEqual(['BTCUSDT', 'XRPUSDT']);
+      expect(pool.execute.mock.calls[0][1]).toEqual(['binance']);
+    });
+
+    it('should rank tradable symbols by 24h quote volume', async () => {
+      pool.execute.mockResolvedValueOnce([[{ symbol: 'BTCUSDT' }, { symbol: 'ETHUSDT' }, { symbol: 'DOGEUSDT' }]]);
+      jest.spyOn(service, 'get24hQuoteVolumes').mockResolvedValue(new Map([
+        ['BTCUSDT', 900], ['ETHUSDT', 500], ['DOGEUSDT', 700], ['BTCUSDC', 1000], ['DELISTEDUSDT', 800]
+      ]));
+
+      const symbols = await service.resolveSymbols(bot, { type: 'top_volume', limit: 2 });
+
+      expect(symbols).toEqual(['BTCUSDT', 'DOGEUSDT']);
+    });
+
+    it('should reject unknown selectors and empty results', async () => {
+      await expect(service.resolveSymbols(bot, { type: 'random' })).rejects.toMatchObject({ status: 400 });
+      await expect(service.resolveSymbols(bot, { type: 'top_volume', limit: 0 })).rejects.toMatchObject({ status: 400 });
+      await expect(service.resolveSymbols(bot, { type: 'list', symbols: ['BTCUSDT'] }, ['BTCUSDT']))
+        .rejects.toThrow('Selector matched no symbols');
+    });
+  });
+
+  describe('buildConfig', () => {
+    it('should merge overrides and keep strategy columns only', () => {
+      const config = service.buildConfig({ ...PRESET, config: { ...PRESET.config, trade_type: undefined, notes: 'x' } }, { amount: 25 });
+      expect(config).toMatchObject({ oc: 2, amount: 25, trade_type: 'both' });
+      expect(config.notes).toBeUndefined();
+    });
+
+    it('should reject an invalid resulting strategy', () => {
+      expect(() => service.buildConfig(PRESET, { interval: '2m' })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('bulkApply', () => {
+    beforeEach(() => {
+      pool.execute
+        .mockResolvedValueOnce([[{ id: 7, exchange: 'binance' }]]) // bot
+        .mockResolvedValueOnce([[{ ...PRESET, config: JSON.stringify(PRESET.config) }]]); // preset
+    });
+
+    it('should update matching strategies, create the others and reload subscriptions', async () => {
+      connection.execute.mockImplementation(async (sql, params) => {
+        if (sql.startsWith('SELECT * FROM strategies')) {
+          return [[
+            { id: 11, symbol: 'BTC/USDT', oc: '2.00' },
+            { id: 12, symbol: 'ETH/USDT', oc: '3.00' }
+          ]];
+        }
+        if (sql.startsWith('INSERT INTO strategies')) return [{ insertId: 20 }];
+        if (sql.startsWith('UPDATE strategies')) return [{ affectedRows: 1 }];
+        return [[{ id: params[0], symbol: params[0] === 20 ? 'ETH/USDT' : 'BTC/USDT' }]];
+      });
+      const strategiesWorker = { checkAndSubscribe: jest.fn().mockResolvedValue() };
+
+      const result = await service.bulkApply({
+        preset: 'recommended_default',
+        bot_id: 7,
+        selector: { type: 'list', symbols: ['BTCUSDT', 'ETHUSDT'] },
+        overrides: { amount: 20 }
+      }, { strategiesWorker });
+
+      expect(result.updated).toEqual([{ id: 11, symbol: 'BTC/USDT' }]);
+      expect(result.created).toEqual([{ id: 20, symbol: 'ETH/USDT' }]);
+
+      const update = connection.execute.mock.calls.find(([sql]) => sql.startsWith('UPDATE strategies'));
+      expect(update[0]).toContain('`interval` = ?');
+      expect(update[1]).toContain(20);
+      const insert = connection.execute.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO strategies'));
+      expect(insert[1].slice(0, 5)).toEqual([7, 'ETH/USDT', 'both', '5m', 2]);
+
+      expect(connection.commit).toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+      expect(pool.execute).toHaveBeenCalledTimes(2);
+      expect(strategyCache.refresh).toHaveBeenCalledWith(true);
+      expect(strategiesWorker.checkAndSubscribe).toHaveBeenCalled();
+    });
+
+    it('should roll back everything when a write fails', async () => {
+      connection.execute
+        .mockResolvedValueOnce([[]]) // existing strategies
+        .mockRejectedValueOnce(new Error('Duplicate entry'));
+
+      await expect(service.bulkApply({
+        preset: 'recommended_default',
+        bot_id: 7,
+        selector: { type: 'list', symbols: ['BTCUSDT'] }
+      })).rejects.toThrow('Duplicate entry');
+
+      expect(connection.rollback).toHaveBeenCalled();
+      expect(connection.commit).not.toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+      expect(strategyCache.refresh).not.toHaveBeenCalled();
+    });
+
+    it('should reject is_active values other than true/false/0/1', async () => {
+      for (const isActive of ['false', '0', 'yes']) {
+        await expect(service.bulkApply({
+          preset: 'recommended_default',
+          bot_id: 7,
+          selector: { type: 'list', symbols: ['BTCUSDT'] },
+          is_active: isActive
+        })).rejects.toMatchObject({ status: 400, message: 'Invalid is_active' });
+      }
+      expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulkUpdate', () => {
+    const rows = [
+      { id: 1, bot_id: 7, exchange: 'binance', symbol: 'BTC/USDT', interval: '5m', oc: '2.00', amount: '10.00', take_profit: '50.00', is_active: 1 },
+      { id: 2, bot_id: 7, exchange: 'binance', symbol: 'ETH/USDT', interval: '5m', oc: '3.00', amount: '15.00', take_profit: '60.00', is_active: 1 }
+    ];
+
+    it('should translate symbol globs to LIKE patterns and reject empty filters or unknown patch fields', () => {
+      expect(toSymbolLike('btc/usdt')).toBe('BTCUSDT');
+      expect(toSymbolLike('*USDT')).toBe('%USDT');
+      expect(service.normalizeFilter({ bot_id: '7', symbol: 'BTC*', oc_min: 1 }))
+        .toEqual({ botId: 7, symbolPattern: 'BTC%', ocMin: 1 });
+      expect(() => service.normalizeFilter({})).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => service.normalizeFilter({ oc_min: 3, oc_max: 1 })).toThrow(/oc_min/);
+      expect(() => service.normalizePatch({ leverage: 5 })).toThrow(/Unknown patch fields: leverage/);
+      expect(() => service.normalizePatch({ amount: 10, amount_multiplier: 2 })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    it('should return the matched IDs and the diff without writing on dry run', async () => {
+      pool.execute.mockResolvedValueOnce([rows]);
+
+      const result = await service.bulkUpdate({
+        filter: { bot_id: 7, interval: '5m' },
+        patch: { amount_multiplier: 1.5, take_profit: 60 },
+        dry_run: true
+      });
+
+      expect(result).toEqual({
+        dry_run: true,
+        matched: 2,
+        ids: [1, 2],
+        changes: [
+          { id: 1, bot_id: 7, symbol: 'BTC/USDT', interval: '5m', oc: 2, before: { amount: 10, take_profit: 50 }, after: { amount: 15, take_profit: 60 } },
+          { id: 2, bot_id: 7, symbol: 'ETH/USDT', interval: '5m', oc: 3, before: { amount: 15 }, after: { amount: 22.5 } }
+        ]
+      });
+      expect(pool.execute.mock.calls[0][0]).toContain('s.bot_id = ? AND s.`interval` = ?');
+      expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it('should update in one transaction and hot-update the cache entries', async () => {
+      connection.execute.mockImplementation(async (sql, params) => {
+        if (sql.includes('FOR UPDATE OF s')) return [rows];
+        if (sql.startsWith('UPDATE strategies')) return [{ affectedRows: 1 }];
+        return [[rows.find(r => r.id === params[0])]];
+      });
+      pool.execute.mockResolvedValueOnce([rows.map(r => ({ ...r, is_active: 0 }))]); // findByIds after commit
+      const removeSpy = jest.spyOn(strategyCache, 'removeStrategy');
+      const strategiesWorker = { checkAndSubscribe: jest.fn() };
+
+      const result = await service.bulkUpdate(
+        { filter: { symbol: '*USDT' }, patch: { is_active: false } },
+        { strategiesWorker, actor: { id: 3, username: 'ops' } }
+      );
+
+      expect(result.changes.map(c => c.id)).toEqual([1, 2]);
+      const updates = connection.execute.mock.calls.filter(([sql]) => sql.startsWith('UPDATE strategies'));
+      expect(updates).toHaveLength(2);
+      expect(updates[0]).toEqual(['UPDATE strategies SET `is_active` = ? WHERE id = ?', [false, 1]]);
+      const audits = connection.execute.mock.calls.filter(([sql]) => sql.startsWith('INSERT INTO audit_log'));
+      expect(audits).toHaveLength(2);
+      expect(audits[0][1].slice(0, 6)).toEqual(['strategy', 1, 'bulk_update', null, 3, 'ops']);
+      expect(connection.commit).toHaveBeenCalled();
+      expect(removeSpy).toHaveBeenCalledTimes(2);
+      expect(strategyCache.refresh).not.toHaveBeenCalled();
+      expect(strategiesWorker.checkAndSubscribe).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when a scaled amount becomes invalid', async () => {
+      connection.execute.mockResolvedValueOnce([[{ ...rows[0], amount: '0.01' }]]);
+
+      await expect(service.bulkUpdate({ filter: { bot_id: 7 }, patch: { amount_multiplier: 0.1 } }))
+        .rejects.toMatchObject({ status: 400 });
+
+      expect(connection.rollback).toHaveBeenCalled();
+      expect(connection.commit).not.toHaveBeenCalled();
+    });
+
+    it('should reject the whole batch when take_profit is not above a TP ladder', async () => {
+      connection.execute.mockResolvedValueOnce([[
+        rows[0],
+        { ...rows[1], tp_ladder: '[{"tp":30,"percent":50}]' }
+      ]]);
+
+      await expect(service.bulkUpdate({ filter: { bot_id: 7 }, patch: { take_profit: 25 } }))
+        .rejects.toMatchObject({ status: 400, message: expect.stringContaining('strategy 2') });
+
+      expect(connection.execute.mock.calls.filter(([sql]) => sql.startsWith('UPDATE strategies'))).toHaveLength(0);
+      expect(connection.rollback).toHaveBeenCalled();
+      expect(connection.commit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { StrategyCache } from '../../../src/services/StrategyCache.js';
+
+describe('StrategyCache', () => {
+  let cache;
+  const strategy = { id: 1, bot_id: 3, exchange: 'binance', symbol: 'BTC/USDT', interval: '5m', oc: '2.00', is_active: 1 };
+
+  beforeEach(() => {
+    cache = new StrategyCache();
+    cache.addStrategy(strategy);
+  });
+
+  it('should resolve kline intervals of a symbol from the strategies in auto mode', () => {
+    cache.addStrategy({ ...strategy, id: 2, interval: '4h', oc: '3.00' });
+    cache.addStrategy({ ...strategy, id: 3, interval: '3m', oc: '4.00' });
+
+    expect(cache.getKlineIntervals('auto', 'binance', 'BTCUSDT')).toEqual(['1m', '5m', '4h']);
+    expect(cache.getKlineIntervals('auto', 'binance', 'ETHUSDT')).toEqual(['1m']);
+    expect(cache.getKlineIntervals('1m, 15m,2h', 'binance', 'BTCUSDT')).toEqual(['1m', '15m']);
+    expect(cache.getKlineIntervals('', 'binance', 'BTCUSDT')).toEqual([]);
+  });
+
+  it('should look strategies up by exchange/symbol/interval/oc/bot', () => {
+    expect(cache.getStrategy('binance', 'BTCUSDT', '5m', 2, 3)).toBe(strategy);
+    expect(cache.getStrategies('binance', 'BTCUSDT', false)).toEqual([strategy]);
+  });
+
+  it('should remove a strategy by its interval key', () => {
+    expect(cache.removeStrategy(strategy)).toBe(true);
+    expect(cache.size()).toBe(0);
+    expect(cache.getStrategies('binance', 'BTCUSDT', false)).toEqual([]);
+  });
+
+  it('should move the entry when an update changes the key', () => {
+    cache.updateStrategy({ ...strategy, oc: '3.00', take_profit: 60 });
+
+    expect(cache.size()).toBe(1);
+    expect(cache.getStrategy('binance', 'BTCUSDT', '5m', 2, 3)).toBeNull();
+    expect(cache.getStrategy('binance', 'BTCUSDT', '5m', 3, 3).take_profit).toBe(60);
+  });
+
+  it('should drop strategies updated to inactive', () => {
+    cache.updateStrategy({ ...strategy, is_active: 0 });
+
+    expect(cache.size()).toBe(0);
+    expect(cache.keyById.size).toBe(0);
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  StrategyOptimizerService,
+  expandRange,
+  buildGrid,
+  sampleCombinations,
+  computeMetrics,
+  scoreMetrics,
+  toStrategySymbol
+} from '../../../src/services/StrategyOptimizerService.js';
+import pool from '../../../src/config/database.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2025, 0, 1, 0, 0, 0);
+
+function candle(index, open, high, low, close) {
+  return { open_time: T0 + index * MINUTE, close_time: T0 + (index + 1) * MINUTE - 1, open, high, low, close, volume: 0 };
+}
+
+describe('StrategyOptimizerService', () => {
+  let service;
+  let originalDbExecute;
+
+  beforeEach(() => {
+    service = new StrategyOptimizerService();
+    originalDbExecute = pool.execute;
+    pool.execute = jest.fn();
+  });
+
+  afterEach(() => {
+    pool.execute = originalDbExecute;
+  });
+
+  describe('ranges', () => {
+    it('should expand value lists, steps and booleans', () => {
+      expect(expandRange({ min: 1, max: 2, step: 0.5 }, 'oc')).toEqual([1, 1.5, 2]);
+      expect(expandRange({ min: 0.1, max: 0.3, step: 0.1 }, 'oc')).toEqual([0.1, 0.2, 0.3]);
+      expect(expandRange([40, 60, 60], 'take_profit')).toEqual([40, 60]);
+      expect(expandRange([true, 0], 'is_reverse_strategy')).toEqual([true, false]);
+      expect(() => expandRange({ min: 2, max: 1, step: 1 }, 'oc')).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => expandRange([-1], 'extend')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    it('should build the grid and draw distinct random samples', () => {
+      const values = { oc: [1, 2], take_profit: [40, 60, 80] };
+      expect(buildGrid(values)).toHaveLength(6);
+      expect(buildGrid(values)).toContainEqual({ oc: 2, take_profit: 80 });
+
+      const samples = sampleCombinations(values, 4);
+      expect(samples).toHaveLength(4);
+      expect(new Set(samples.map(s => JSON.stringify(s))).size).toBe(4);
+      expect(sampleCombinations(values, 100)).toHaveLength(6);
+    });
+  });
+
+  describe('metrics', () => {
+    const trade = (pnl, closedAt) => ({ pnl, amount: 100, closedAt, holdMinutes: 1, closeReason: 'tp_hit' });
+
+    it('should compute profit factor and per-trade sharpe', () => {
+      const metrics = computeMetrics([trade(-1, 2), trade(3, 1), trade(2, 3)]);
+      expect(metrics.totalPnl).toBe(4);
+      expect(metrics.profitFactor).toBe(5);
+      expect(metrics.sharpe).toBeCloseTo(0.0133333 / 0.0208167, 4);
+      expect(metrics.maxDrawdown).toBe(1);
+    });
+
+    it('should score by objective and skip combinations under the trade minimum', () => {
+      const metrics = computeMetrics([trade(1, 1), trade(2, 2)]);
+      expect(scoreMetrics(metrics, 'net_pnl')).toBe(3);
+      expect(scoreMetrics(metrics, 'profit_factor')).toBe(Infinity);
+      expect(scoreMetrics(metrics, 'sharpe', 3)).toBeNull();
+      expect(scoreMetrics(computeMetrics([]), 'net_pnl')).toBeNull();
+    });
+  });
+
+  describe('normalizeRequest', () => {
+    it('should sweep the ranges on top of the preset and the bot reverse mode', async () => {
+      const request = await service.normalizeRequest({
+        symbols: 'btcusdt, ETH/USDT',
+        interval: '5m',
+        from: '2026-01-01',
+        to: '2026-01-08',
+        ranges: { oc: [1, 2], take_profit: { min: 40, max: 60, step: 10 } },
+        base: { extend: 50 }
+      }, { id: 3, exchange: 'binance', is_reverse_strategy: 0 });
+
+      expect(request.symbols).toEqual(['BTCUSDT', 'ETHUSDT']);
+      expect(request.combinations).toHaveLength(6);
+      expect(request.combinations[0]).toEqual({
+        oc: 1, extend: 50, take_profit: 40, reduce: 35, up_reduce: 35, stoploss: 25, is_reverse_strategy: false
+      });
+      expect(request.from).toBe(Date.parse('2026-01-01'));
+      expect(request.base.trade_type).toBe('both');
+    });
+
+    it('should reject unknown parameters, oversized grids and bad objectives', async () => {
+      const bot = { id: 3, exchange: 'binance' };
+      await expect(service.normalizeRequest({ symbols: ['BTCUSDT'], ranges: { leverage: [5] } }, bot))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(service.normalizeRequest({
+        symbols: ['BTCUSDT'],
+        ranges: { oc: { min: 0.1, max: 10, step: 0.1 }, take_profit: { min: 1, max: 100, step: 1 } }
+      }, bot)).rejects.toThrow(/method=random/);
+      await expect(service.normalizeRequest({ symbols: ['BTCUSDT'], ranges: { oc: [1] }, objective: 'calmar' }, bot))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should rank combinations and drop those without trades', async () => {
+      const candles = [candle(0, 100, 102.5, 99.9, 102), candle(1, 102, 108, 101.5, 103.5)];
+      const request = {
+        interval: '1m',
+        objective: 'net_pnl',
+        minTrades: 1,
+        topN: 5,
+        engine: {},
+        base: { trade_type: 'both', amount: 1000, extend: 0, reduce: 0, up_reduce: 0, stoploss: 0, is_reverse_strategy: false },
+        combinations: [
+          { oc: 8, take_profit: 50 },
+          { oc: 2, take_profit: 50 },
+          { oc: 2, take_profit: 30 }
+        ]
+      };
+
+      const results = await service.evaluate(request, { BTCUSDT: candles });
+
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({ rank: 1, params: { oc: 2, take_profit: 50 }, metrics: { trades: 1, winRate: 100 } });
+      expect(results[0].perSymbol.BTCUSDT.trades).toBe(1);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+  });
+
+  describe('loadCandles', () => {
+    it('should fetch missing klines from the exchange and cache them', async () => {
+      const from = T0;
+      const to = T0 + 3 * MINUTE;
+      pool.execute
+        .mockResolvedValueOnce([[]]) // candles table
+        .mockResolvedValueOnce([{ affectedRows: 3 }]); // bulk insert
+      const exchangeService = {
+        fetchOHLCV: jest.fn()
+          .mockResolvedValueOnce([0, 1, 2].map(i => [T0 + i * MINUTE, 100, 101, 99, 100.5, 10]))
+          .mockResolvedValueOnce([])
+      };
+
+      const candles = await service.loadCandles({ exchangeService, exchange: 'binance', symbol: 'BTCUSDT', interval: '1m', from, to });
+
+      expect(candles).toHaveLength(3);
+      expect(exchangeService.fetchOHLCV).toHaveBeenCalledWith('BTCUSDT', '1m', 1000, 'swap', to);
+      const [sql, params] = pool.execute.mock.calls[1];
+      expect(sql).toContain('INSERT INTO candles');
+      expect(params.slice(0, 4)).toEqual(['binance', 'BTCUSDT', '1m', T0]);
+    });
+
+    it('should use the candles table when it covers the window', async () => {
+      pool.execute.mockResolvedValueOnce([[candle(0, 100, 101, 99, 100), candle(1, 100, 101, 99, 100)]]);
+      const exchangeService = { fetchOHLCV: jest.fn() };
+
+      const candles = await service.loadCandles({ exchangeService, exchange: 'binance', symbol: 'BTCUSDT', interval: '1m', from: T0, to: T0 + 2 * MINUTE });
+
+      expect(candles).toHaveLength(2);
+      expect(exchangeService.fetchOHLCV).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildStrategyPayloads', () => {
+    it('should build StrategyController.create bodies for the selected ranks', () => {
+      const run = {
+        interval: '5m',
+        symbols: ['BTCUSDT', 'ETHUSDT'],
+        options: { base: { trade_type: 'long', amount: 50 } },
+        results: [
+          { rank: 1, params: { oc: 2, extend: 30, take_profit: 60, reduce: 35, up_reduce: 35, stoploss: 25, is_reverse_strategy: true } },
+          { rank: 2, params: { oc: 1.5, extend: 30, take_profit: 60, reduce: 35, up_reduce: 35, stoploss: 25, is_reverse_strategy: true } }
+        ]
+      };
+
+      const items = service.buildStrategyPayloads(run, { botId: 4, ranks: [1] });
+
+      expect(items).toHaveLength(2);
+      expect(items[0]).toMatchObject({ rank: 1, symbol: 'BTCUSDT', isReverseStrategy: true });
+      expect(items[0].payload).toEqual({
+        bot_id: 4, symbol: 'BTC/USDT', interval: '5m', trade_type: 'long', oc: 2, extend: 30, take_profit: 60,
+        reduce: 35, up_reduce: 35, stoploss: 25, amount: 50, is_active: false
+      });
+      expect(toStrategySymbol('ETHUSDC')).toBe('ETH/USDC');
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  TradeJournalService,
+  toCsv,
+  csvCell,
+  summarizeFills,
+  attributeFunding,
+  JOURNAL_COLUMNS
+} from '../../../src/services/TradeJournalService.js';
+import pool from '../../../src/config/database.js';
+
+const closedPosition = (overrides = {}) => ({
+  id: 1,
+  bot_id: 7,
+  bot_name: 'main',
+  exchange: 'binance',
+  strategy_id: 3,
+  strategy_interval: '5m',
+  symbol: 'BTCUSDT',
+  side: 'long',
+  entry_price: '100',
+  close_price: '110',
+  amount: '50',
+  pnl: '5',
+  close_reason: 'tp_hit',
+  order_id: '111',
+  exit_order_id: '222',
+  sl_order_id: null,
+  tp_order_id: null,
+  opened_at: new Date('2026-01-10T00:00:00Z'),
+  closed_at: new Date('2026-01-10T10:00:00Z'),
+  strategy_snapshot: JSON.stringify({ oc: 2, take_profit: 40, interval: '5m' }),
+  ...overrides
+});
+
+describe('TradeJournalService', () => {
+  let service;
+  let originalDbExecute;
+
+  beforeEach(() => {
+    service = new TradeJournalService();
+    originalDbExecute = pool.execute;
+    pool.execute = jest.fn();
+  });
+
+  afterEach(() => {
+    pool.execute = originalDbExecute;
+  });
+
+  describe('CSV', () => {
+    it('should escape separators, quotes and objects', () => {
+      expect(csvCell(null)).toBe('');
+      expect(csvCell('a,b')).toBe('"a,b"');
+      expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+      expect(csvCell({ oc: 2 })).toBe('"{""oc"":2}"');
+    });
+
+    it('should write a header and one line per row', () => {
+      const csv = toCsv([{ position_id: 1, symbol: 'BTCUSDT' }], ['position_id', 'symbol', 'pnl']);
+      expect(csv).toBe('position_id,symbol,pnl\n1,BTCUSDT,\n');
+    });
+  });
+
+  describe('summarizeFills', () => {
+    it('should split quote and non-quote commission', () => {
+      const summary = summarizeFills([
+        { qty: '0.5', commission: '0.02', commissionAsset: 'USDT', realizedPnl: '0' },
+        { qty: '0.5', commission: '0.0001', commissionAsset: 'BNB', realizedPnl: '3' }
+      ]);
+      expect(summary.commission).toBeCloseTo(0.02);
+      expect(summary.commissionOther).toEqual({ BNB: 0.0001 });
+      expect(summary.realizedPnl).toBe(3);
+      expect(summary.qty).toBe(1);
+      expect(summary.count).toBe(2);
+    });
+  });
+
+  describe('attributeFunding', () => {
+    it('should assign funding to positions open at funding time, pro rata to size', () => {
+      const positions = [
+        closedPosition({ id: 1, amount: '30' }),
+        closedPosition({ id: 2, amount: '10' }),
+        closedPosition({ id: 3, symbol: 'ETHUSDT' })
+      ];
+      const funding = attributeFunding([
+        { symbol: 'BTCUSDT', income: '-0.4', time: Date.parse('2026-01-10T08:00:00Z') },
+        { symbol: 'BTCUSDT', income: '-1', time: Date.parse('2026-01-10T16:00:00Z') } // after close
+      ], positions);
+      expect(funding.get(1)).toBeCloseTo(-0.3);
+      expect(funding.get(2)).toBeCloseTo(-0.1);
+      expect(funding.get(3)).toBe(0);
+    });
+  });
+
+  describe('buildRow', () => {
+    it('should use the entry snapshot for strategy parameters', () => {
+      const row = service.buildRow(closedPosition());
+      expect(row).toMatchObject({
+        position_id: 1,
+        interval: '5m',
+        entry_price: 100,
+        exit_price: 110,
+        quantity: 0.5,
+        hold_seconds: 36000,
+        net_pnl: 5,
+        fees_source: 'estimate',
+        strategy_params_source: 'entry_snapshot',
+        strategy_params: { oc: 2, take_profit: 40, interval: '5m' }
+      });
+      expect(Object.keys(row)).toEqual(JOURNAL_COLUMNS);
+    });
+
+    it('should fall back to the current strategy parameters', () => {
+      const row = service.buildRow(closedPosition({ strategy_snapshot: null }), { id: 3, oc: 3, is_active: true });
+      expect(row.strategy_params_source).toBe('current_strategy');
+      expect(row.strategy_params).toEqual({ oc: 3 });
+    });
+
+    it('should use fees recorded on the position', () => {
+      const row = service.buildRow(closedPosition({ entry_fee: '0.02', exit_fee: '0.022', funding_fee: '-0.01', net_pnl: '4.948' }));
+      expect(row).toMatchObject({ pnl: 5, commission: 0.042, funding_fee: -0.01, net_pnl: 4.948, fees_source: 'recorded' });
+    });
+  });
+
+  describe('buildJournal', () => {
+    it('should reconcile commission, realized pnl and funding of Binance bots', async () => {
+      pool.execute.mockResolvedValueOnce([[closedPosition()]]);
+      const exchangeService = {
+        getOrderTrades: jest.fn(async (symbol, orderId) => (orderId === '111'
+          ? [{ qty: '0.5', commission: '0.02', commissionAsset: 'USDT', realizedPnl: '0' }]
+          : [{ qty: '0.5', commission: '0.022', commissionAsset: 'USDT', realizedPnl: '4.9' }])),
+        getIncomeHistory: jest.fn().mockResolvedValue([
+          { symbol: 'BTCUSDT', income: '-0.05', time: Date.parse('2026-01-10T08:00:00Z') }
+        ])
+      };
+      service.createExchangeService = jest.fn().mockResolvedValue(exchangeService);
+
+      const { rows, warnings } = await service.buildJournal({});
+      expect(warnings).toEqual([]);
+      expect(service.createExchangeService).toHaveBeenCalledWith(7);
+      expect(exchangeService.getIncomeHistory).toHaveBeenCalledWith(expect.objectContaining({ incomeType: 'FUNDING_FEE' }));
+      expect(rows[0]).toMatchObject({
+        realized_pnl_exchange: 4.9,
+        commission: 0.042,
+        funding_fee: -0.05,
+        net_pnl: 4.808,
+        fees_source: 'exchange'
+      });
+    });
+
+    it('should keep the recorded funding and mark the row partial when the income history is unavailable', async () => {
+      pool.execute.mockResolvedValueOnce([[closedPosition({ funding_fee: '-0.03' })]]);
+      const exchangeService = {
+        getOrderTrades: jest.fn(async (symbol, orderId) => (orderId === '111'
+          ? [{ qty: '0.5', commission: '0.02', commissionAsset: 'USDT', realizedPnl: '0' }]
+          : [{ qty: '0.5', commission: '0.022', commissionAsset: 'USDT', realizedPnl: '4.9' }])),
+        getIncomeHistory: jest.fn().mockRejectedValue(new Error('Income history exceeds 50 pages'))
+      };
+      service.createExchangeService = jest.fn().mockResolvedValue(exchangeService);
+
+      const { rows, warnings } = await service.buildJournal({});
+      expect(warnings[0]).toContain('funding income unavailable');
+      expect(rows[0]).toMatchObject({ funding_fee: -0.03, net_pnl: 4.828, fees_source: 'partial' });
+    });
+
+    it('should keep estimates when fees are disabled or the exchange is not Binance', async () => {
+      pool.execute.mockResolvedValueOnce([[closedPosition({ exchange: 'mexc' })]]);
+      service.createExchangeService = jest.fn();
+
+      const { rows } = await service.buildJournal({}, { fees: true });
+      expect(service.createExchangeService).not.toHaveBeenCalled();
+      expect(rows[0]).toMatchObject({ net_pnl: 5, fees_source: 'estimate', commission: null });
+    });
+
+    it('should report a warning instead of failing when the exchange is unreachable', async () => {
+      pool.execute.mockResolvedValueOnce([[closedPosition()]]);
+      service.createExchangeService = jest.fn().mockRejectedValue(new Error('invalid api key'));
+
+      const { rows, warnings } = await service.buildJournal({});
+      expect(rows).toHaveLength(1);
+      expect(rows[0].fees_source).toBe('estimate');
+      expect(warnings[0]).toContain('invalid api key');
+    });
+
+    it('should reconcile only the most recent positions and warn about the rest', async () => {
+      pool.execute.mockResolvedValueOnce([[closedPosition({ id: 1 }), closedPosition({ id: 2 }), closedPosition({ id: 3 })]]);
+      const exchangeService = {
+        getOrderTrades: jest.fn().mockResolvedValue([]),
+        getIncomeHistory: jest.fn().mockResolvedValue([])
+      };
+      service.createExchangeService = jest.fn().mockResolvedValue(exchangeService);
+      service.maxReconciledPositions = 1;
+
+      const { rows, warnings } = await service.buildJournal({});
+      expect(rows).toHaveLength(3);
+      expect(rows.map(r => r.fees_source)).toEqual(['estimate', 'estimate', 'partial']);
+      expect(warnings[0]).toContain('last 1 of 3');
+    });
+
+    it('should cap the row limit', async () => {
+      pool.execute.mockResolvedValueOnce([[]]);
+      await service.buildJournal({}, { fees: false, limit: 10 ** 9 });
+      expect(pool.execute.mock.calls[0][0]).toContain(`LIMIT ${service.maxRows}`);
+    });
+  });
+});
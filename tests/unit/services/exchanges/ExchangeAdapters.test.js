@@ -0,0 +1,262 @@
+import { describe, it, expect, beforeEach, afterAll, jest } from '@jest/globals';
+import { ExchangeService } from '../../../../src/services/ExchangeService.js';
+import { PaperExchangeClient } from '../../../../src/services/PaperExchangeClient.js';
+import {
+  ExchangeAdapter,
+  EXCHANGE_ADAPTER_METHODS,
+  registerExchangeAdapter,
+  getExchangeAdapter,
+  listExchangeAdapters
+} from '../../../../src/services/exchanges/index.js';
+import { stopServiceTimers } from '../../../utils/stopServiceTimers.js';
+
+const PRICE = 100;
+
+function fakeCcxtClient() {
+  return {
+    options: { defaultType: 'swap' },
+    market: jest.fn(() => ({ limits: { amount: { min: 0.001 } } })),
+    amountToPrecision: jest.fn((symbol, qty) => Number(qty).toFixed(3)),
+    priceToPrecision: jest.fn((symbol, price) => Number(price).toFixed(2)),
+    setLeverage: jest.fn().mockResolvedValue({}),
+    fetchBalance: jest.fn().mockResolvedValue({ USDT: { free: 1000, used: 0, total: 1000 } }),
+    fetchTicker: jest.fn().mockResolvedValue({ last: PRICE }),
+    fetchTickers: jest.fn().mockResolvedValue({ 'BTC/USDT:USDT': { symbol: 'BTC/USDT:USDT', quoteVolume: 5000 } }),
+    fetchOHLCV: jest.fn().mockResolvedValue([[0, 1, 2, 0.5, 1.5, 10], [60000, 1.5, 2, 1, 1.8, 12]]),
+    fetchPositions: jest.fn().mockResolvedValue([{ symbol: 'BTC/USDT:USDT', contracts: 10, side: 'long' }]),
+    createOrder: jest.fn(async (symbol, type, side, qty) => ({ id: 'c1', symbol, type, side, status: 'closed', filled: qty })),
+    fetchOrder: jest.fn().mockResolvedValue({ id: 'c1', status: 'closed', filled: 10, average: PRICE }),
+    cancelOrder: jest.fn().mockResolvedValue({ id: 'c1', status: 'canceled' })
+  };
+}
+
+function fakeBinanceClient() {
+  return {
+    isTestnet: true,
+    normalizeSymbol: (symbol) => String(symbol).toUpperCase().replace(/:USDT$/, '').replace(/[\/:_]/g, ''),
+    getBalance: jest.fn().mockResolvedValue({ free: 1000, used: 0, total: 1000 }),
+    getPrice: jest.fn().mockResolvedValue(PRICE),
+    getTradingExchangeSymbol: jest.fn().mockResolvedValue({ status: 'TRADING', filters: [] }),
+    setMarginType: jest.fn().mockResolvedValue({}),
+    getMaxLeverage: jest.fn().mockResolvedValue(20),
+    setLeverage: jest.fn().mockResolvedValue({}),
+    getMinNotional: jest.fn().mockResolvedValue(5),
+    getStepSize: jest.fn().mockResolvedValue('0.001'),
+    formatQuantity: (qty) => (Math.floor(Number(qty) * 1000) / 1000).toFixed(3),
+    placeMarketOrder: jest.fn().mockResolvedValue({ orderId: 1 }),
+    getOrderAverageFillPrice: jest.fn().mockResolvedValue(PRICE),
+    getOrder: jest.fn().mockResolvedValue({ orderId: 1, status: 'FILLED', executedQty: '10' }),
+    getOpenPositions: jest.fn().mockResolvedValue([{ symbol: 'BTCUSDT', positionSide: 'LONG', positionAmt: '10' }]),
+    getTickers24h: jest.fn().mockResolvedValue([{ symbol: 'BTCUSDT', quoteVolume: '5000' }]),
+    getKlines: jest.fn().mockResolvedValue([
+      { openTime: 0, open: 1, high: 2, low: 0.5, close: 1.5, volume: 10 },
+      { openTime: 60000, open: 1.5, high: 2, low: 1, close: 1.8, volume: 12 }
+    ]),
+    createCloseStopMarket: jest.fn().mockResolvedValue({ orderId: 2 }),
+    cancelOrder: jest.fn().mockResolvedValue({ orderId: 1 })
+  };
+}
+
+function fakePriceStream() {
+  return { getPrice: jest.fn(() => PRICE), subscribe: jest.fn(), onPrice: jest.fn() };
+}
+
+/**
+ * Offline wiring of each registered adapter (replaces initialize(): no network, no DB).
+ * A new adapter must add its fixture here to pass the conformance suite.
+ */
+const FIXTURES = {
+  binance: (adapter) => {
+    adapter.binanceDirectClient = fakeBinanceClient();
+  },
+  mexc: (adapter) => {
+    adapter.exchange = fakeCcxtClient();
+    adapter.priceStream = fakePriceStream();
+  },
+  gate: (adapter) => {
+    adapter.exchange = fakeCcxtClient();
+    adapter.priceStream = fakePriceStream();
+  },
+  bybit: (adapter) => {
+    adapter.exchange = fakeCcxtClient();
+    adapter.priceStream = fakePriceStream();
+  },
+  paper: (adapter) => {
+    const client = new PaperExchangeClient(adapter.bot);
+    client.balance = 10000;
+    client._loadPromise = Promise.resolve(); // skip DB load
+    client._scheduleSave = jest.fn();
+    client.getPrice = jest.fn(() => PRICE);
+    adapter.paperClient = client;
+    adapter.publicExchange = fakeCcxtClient();
+  }
+};
+
+afterAll(stopServiceTimers);
+
+describe('Exchange adapter registry', () => {
+  it('should resolve registered adapters case-insensitively', () => {
+    expect(listExchangeAdapters()).toEqual(expect.arrayContaining(['binance', 'mexc', 'gate', 'bybit', 'paper']));
+    expect(getExchangeAdapter('MEXC')?.id).toBe('mexc');
+    expect(getExchangeAdapter('kraken')).toBeNull();
+  });
+
+  it('should only register ExchangeAdapter subclasses with an id', () => {
+    expect(() => registerExchangeAdapter(class Foo {})).toThrow('Exchange adapter must extend ExchangeAdapter');
+    expect(() => registerExchangeAdapter(class extends ExchangeAdapter {})).toThrow(/has no static id/);
+  });
+
+  it('should fail initialize for an exchange without adapter', async () => {
+    const service = new ExchangeService({ id: 1, exchange: 'kraken' });
+    expect(service.adapter).toBeNull();
+    await expect(service.initialize()).rejects.toThrow('Unsupported exchange: kraken');
+  });
+});
+
+describe.each(listExchangeAdapters())('%s adapter conformance', (exchange) => {
+  let service;
+  let adapter;
+
+  beforeEach(() => {
+    service = new ExchangeService({ id: 7, exchange, default_leverage: 10 });
+    adapter = service.adapter;
+    FIXTURES[exchange]?.(adapter);
+  });
+
+  it('should have an offline fixture and implement the whole contract', () => {
+    expect(FIXTURES[exchange]).toBeDefined();
+    expect(adapter).toBeInstanceOf(ExchangeAdapter);
+    expect(adapter.id).toBe(exchange);
+    for (const method of EXCHANGE_ADAPTER_METHODS) {
+      expect(typeof adapter[method]).toBe('function');
+    }
+  });
+
+  it('should report the futures balance as numbers', async () => {
+    const balance = await service.getBalance('future');
+    for (const key of ['free', 'used', 'total']) {
+      expect(Number.isFinite(Number(balance[key]))).toBe(true);
+    }
+  });
+
+  it('should return the last price and 24h volumes keyed by normalized symbol', async () => {
+    expect(Number(await service.getTickerPrice('BTC/USDT'))).toBe(PRICE);
+    const volumes = await service.get24hQuoteVolumes();
+    expect(volumes).toBeInstanceOf(Map);
+    expect(volumes.get('BTCUSDT')).toBe(5000);
+  });
+
+  it('should size a USDT market order and report a normalized status', async () => {
+    const order = await service.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 1000, type: 'market', positionSide: 'LONG' });
+    expect(typeof order.id).toBe('string');
+    expect(['open', 'closed']).toContain(order.status);
+
+    const status = await service.getOrderStatus('BTCUSDT', order.id);
+    expect(['open', 'closed', 'canceled']).toContain(status.status);
+    expect(Number.isFinite(status.filled)).toBe(true);
+  });
+
+  it('should close an open position reduce-only and skip symbols without position', async () => {
+    await service.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 1000, type: 'market', positionSide: 'LONG' });
+    const positions = await service.getOpenPositions();
+    expect(Array.isArray(positions)).toBe(true);
+    expect(positions.length).toBeGreaterThan(0);
+
+    const closed = await service.closePosition('BTCUSDT', 'long');
+    expect(closed.skipped).toBeUndefined();
+    expect(await service.closePosition('ETHUSDT', 'long')).toEqual({ skipped: true });
+  });
+
+  it('should return candles for a timeframe', async () => {
+    const candles = await service.fetchOHLCV('BTCUSDT', '1m', 2);
+    expect(candles).toHaveLength(2);
+  });
+
+  it('should place conditional exit orders or reject them as not supported', async () => {
+    await service.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 1000, type: 'market', positionSide: 'LONG' });
+    try {
+      const order = await service.createCloseStopMarket('BTCUSDT', 'long', 90);
+      expect(order).toBeTruthy();
+    } catch (error) {
+      expect(error.message).toMatch(/not supported on this exchange/);
+    }
+  });
+
+  it('should expose streams as emitters / price feeds or null', async () => {
+    const stream = await service.createUserDataStream();
+    if (stream !== null) {
+      expect(typeof stream.on).toBe('function');
+      expect(typeof stream.off).toBe('function');
+    }
+    const priceStream = service.getPriceStream();
+    if (priceStream !== null) {
+      for (const method of ['subscribe', 'getPrice', 'onPrice']) {
+        expect(typeof priceStream[method]).toBe('function');
+      }
+    }
+  });
+});
+
+describe('Binance adapter income history', () => {
+  it('should re-query from the last timestamp of a full page and drop rows already seen', async () => {
+    const service = new ExchangeService({ id: 7, exchange: 'binance' });
+    const client = fakeBinanceClient();
+    const row = (tranId, time) => ({ tranId, time, symbol: 'BTCUSDT', incomeType: 'FUNDING_FEE', income: '-0.01', asset: 'USDT' });
+    const fullPage = Array.from({ length: 1000 }, (_, i) => row(i + 1, i < 998 ? 1000 : 2000));
+    client.getIncomeHistory = jest.fn()
+      .mockResolvedValueOnce(fullPage)
+      // Same funding time continues on the next page: 999 and 1000 again, then 1001 and 1002
+      .mockResolvedValueOnce([row(999, 2000), row(1000, 2000), row(1001, 2000), row(1002, 3000)]);
+    service.adapter.binanceDirectClient = client;
+
+    const rows = await service.getIncomeHistory({ incomeType: 'FUNDING_FEE', startTime: 0, endTime: 5000 });
+
+    expect(client.getIncomeHistory.mock.calls[1][0]).toMatchObject({ startTime: 2000 });
+    expect(rows).toHaveLength(1002);
+    expect(new Set(rows.map(r => r.tranId)).size).toBe(1002);
+  });
+
+  it('should throw rather than return a truncated history past the page cap', async () => {
+    const service = new ExchangeService({ id: 7, exchange: 'binance' });
+    const client = fakeBinanceClient();
+    let tranId = 0;
+    client.getIncomeHistory = jest.fn(async ({ startTime }) =>
+      Array.from({ length: 1000 }, () => ({ tranId: ++tranId, time: startTime + 1, income: '-0.01' })));
+    service.adapter.binanceDirectClient = client;
+
+    await expect(service.getIncomeHistory({ incomeType: 'FUNDING_FEE', startTime: 0, endTime: 1e12 }))
+      .rejects.toThrow('exceeds 50 pages');
+    expect(client.getIncomeHistory).toHaveBeenCalledTimes(50);
+  });
+});
+
+describe('Gate adapter contract sizing', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    service = new ExchangeService({ id: 7, exchange: 'gate' });
+    client = fakeCcxtClient();
+    client.market = jest.fn(() => ({ contractSize: 0.01, limits: { amount: { min: 1 }, cost: { min: 5 } } }));
+    client.amountToPrecision = jest.fn((symbol, qty) => String(Math.floor(Number(qty))));
+    service.adapter.exchange = client;
+    service.adapter.priceStream = fakePriceStream();
+  });
+
+  it('should convert the USDT amount into contracts of contractSize base units', async () => {
+    // 1000 USDT at 100 = 10 BTC-like units = 1000 contracts of 0.01
+    await service.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 1000, type: 'market', positionSide: 'LONG' });
+    expect(client.createOrder).toHaveBeenCalledWith('BTC/USDT:USDT', 'market', 'buy', 1000, undefined, {});
+  });
+
+  it('should check min cost on the contract notional', async () => {
+    // 4 USDT = 4 contracts of 0.01 at 100 -> 4 USDT notional < 5
+    await expect(service.createOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 4, type: 'market' }))
+      .rejects.toThrow(/< minCost 5/);
+  });
+
+  it('should report the closable quantity in base units', async () => {
+    // fetchPositions reports 10 contracts of 0.01
+    expect(await service.getClosableQuantity('BTCUSDT', 'long')).toBeCloseTo(0.1);
+  });
+});
@@ -10,6 +10,9 @@ import {
   calculatePnL,
   calculatePnLPercent,
   calculateNextTrailingTakeProfit,
+  calculatePriceTrailingStop,
+  calculateBreakEvenPrice,
+  calculateFavourableMovePct,
 } from '../../../src/utils/calculator.js';
 
 describe('Calculator Utilities', () => {
@@ -523,5 +526,66 @@ describe('Calculator Utilities', () => {
       });
     });
   });
-});
 
+  describe('calculatePriceTrailingStop', () => {
+    it('should stay unarmed until the activation move is reached', () => {
+      const result = calculatePriceTrailingStop({
+        side: 'long', entryPrice: 100, currentPrice: 100.5, activationPct: 1, callbackPct: 0.5
+      });
+      expect(result.bestPrice).toBe(100.5);
+      expect(result.stopPrice).toBeNull();
+    });
+
+    it('should arm and trail a long stop behind the best price', () => {
+      const armed = calculatePriceTrailingStop({
+        side: 'long', entryPrice: 100, currentPrice: 102, activationPct: 1, callbackPct: 1
+      });
+      expect(armed.stopPrice).toBeCloseTo(100.98, 6);
+
+      // Pullback: best price and stop stay put
+      const pullback = calculatePriceTrailingStop({
+        side: 'long', entryPrice: 100, currentPrice: 101.5, bestPrice: armed.bestPrice, prevStop: armed.stopPrice, activationPct: 1, callbackPct: 1
+      });
+      expect(pullback.bestPrice).toBe(102);
+      expect(pullback.stopPrice).toBeCloseTo(100.98, 6);
+
+      const higher = calculatePriceTrailingStop({
+        side: 'long', entryPrice: 100, currentPrice: 104, bestPrice: pullback.bestPrice, prevStop: pullback.stopPrice, activationPct: 1, callbackPct: 1
+      });
+      expect(higher.stopPrice).toBeCloseTo(102.96, 6);
+    });
+
+    it('should trail a short stop above the best price', () => {
+      const result = calculatePriceTrailingStop({
+        side: 'short', entryPrice: 100, currentPrice: 95, bestPrice: 96, prevStop: 97, activationPct: 2, callbackPct: 1
+      });
+      expect(result.bestPrice).toBe(95);
+      expect(result.stopPrice).toBeCloseTo(95.95, 6);
+    });
+
+    it('should use k x ATR as distance when available and never loosen the stop', () => {
+      const result = calculatePriceTrailingStop({
+        side: 'long', entryPrice: 100, currentPrice: 105, activationPct: 0, callbackPct: 1, atr: 2, atrMult: 1.5
+      });
+      expect(result.stopPrice).toBeCloseTo(102, 6);
+
+      const wider = calculatePriceTrailingStop({
+        side: 'long', entryPrice: 100, currentPrice: 105, bestPrice: 105, prevStop: 102, callbackPct: 1, atr: 4, atrMult: 1.5
+      });
+      expect(wider.stopPrice).toBe(102);
+    });
+  });
+
+  describe('calculateBreakEvenPrice', () => {
+    it('should shift entry by fees in the position favour', () => {
+      expect(calculateBreakEvenPrice(100, 'long', 0.1)).toBeCloseTo(100.1, 8);
+      expect(calculateBreakEvenPrice(100, 'short', 0.1)).toBeCloseTo(99.9, 8);
+      expect(calculateBreakEvenPrice(0, 'long', 0.1)).toBeNull();
+    });
+
+    it('should measure the favourable move from entry', () => {
+      expect(calculateFavourableMovePct(100, 102, 'long')).toBeCloseTo(2, 8);
+      expect(calculateFavourableMovePct(100, 102, 'short')).toBeCloseTo(-2, 8);
+    });
+  });
+});
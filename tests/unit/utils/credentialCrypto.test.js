@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  encryptCredential,
+  decryptCredential,
+  rewrapCredential,
+  maskCredential,
+  isEncryptedCredential,
+  isMaskedCredential,
+  decryptBotCredentials,
+} from '../../../src/utils/credentialCrypto.js';
+
+const KEY_A = 'aa'.repeat(32);
+const KEY_B = Buffer.alloc(32, 7).toString('base64');
+
+describe('credentialCrypto', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    for (const name of ['CREDENTIALS_MASTER_KEY', 'CREDENTIALS_MASTER_KEY_ID', 'CREDENTIALS_PREVIOUS_MASTER_KEYS']) {
+      saved[name] = process.env[name];
+    }
+    process.env.CREDENTIALS_MASTER_KEY = KEY_A;
+    process.env.CREDENTIALS_MASTER_KEY_ID = 'a';
+    delete process.env.CREDENTIALS_PREVIOUS_MASTER_KEYS;
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it('round-trips a value through envelope encryption', () => {
+    const stored = encryptCredential('my-api-key-1234');
+
+    expect(isEncryptedCredential(stored)).toBe(true);
+    expect(stored).not.toContain('my-api-key');
+    expect(decryptCredential(stored)).toBe('my-api-key-1234');
+  });
+
+  it('uses a fresh data key per value', () => {
+    expect(encryptCredential('same')).not.toBe(encryptCredential('same'));
+  });
+
+  it('passes through empty, already-encrypted and legacy plaintext values', () => {
+    const stored = encryptCredential('secret');
+
+    expect(encryptCredential(null)).toBeNull();
+    expect(encryptCredential('')).toBe('');
+    expect(encryptCredential(stored)).toBe(stored);
+    expect(decryptCredential('legacy-plain')).toBe('legacy-plain');
+  });
+
+  it('refuses to encrypt without a master key', () => {
+    delete process.env.CREDENTIALS_MASTER_KEY;
+
+    expect(() => encryptCredential('secret')).toThrow('CREDENTIALS_MASTER_KEY');
+  });
+
+  it('rejects tampered ciphertext', () => {
+    const stored = encryptCredential('secret-value');
+    const parts = stored.split(':');
+    parts[parts.length - 1] = Buffer.from('tampered!!!!').toString('base64url');
+
+    expect(() => decryptCredential(parts.join(':'))).toThrow();
+  });
+
+  it('re-wraps with the current key and keeps decrypting after rotation', () => {
+    const stored = encryptCredential('rotate-me-5678');
+
+    process.env.CREDENTIALS_PREVIOUS_MASTER_KEYS = `a:${KEY_A}`;
+    process.env.CREDENTIALS_MASTER_KEY = KEY_B;
+    process.env.CREDENTIALS_MASTER_KEY_ID = 'b';
+
+    const rotated = rewrapCredential(stored);
+    expect(rotated.startsWith('enc:v1:b:')).toBe(true);
+    expect(rewrapCredential(rotated)).toBe(rotated);
+
+    delete process.env.CREDENTIALS_PREVIOUS_MASTER_KEYS;
+    expect(decryptCredential(rotated)).toBe('rotate-me-5678');
+    expect(() => decryptCredential(stored)).toThrow("Unknown credentials master key id 'a'");
+  });
+
+  it('masks hinted values to the last 4 characters without decrypting', () => {
+    const stored = encryptCredential('abcdefgh9876', { hint: true });
+    delete process.env.CREDENTIALS_MASTER_KEY;
+
+    expect(maskCredential(stored, { hint: true })).toBe('****9876');
+    expect(maskCredential('plainkeyWXYZ', { hint: true })).toBe('****WXYZ');
+    expect(maskCredential(null)).toBeNull();
+    expect(isMaskedCredential('****9876')).toBe(true);
+    expect(isMaskedCredential('abcd')).toBe(false);
+  });
+
+  it('stores no hint for secrets and masks them as a fixed value', () => {
+    const stored = encryptCredential('secret-9876');
+
+    expect(stored.split(':')[3]).toBe('');
+    expect(maskCredential(stored)).toBe('****');
+    expect(maskCredential(stored, { hint: true })).toBe('****');
+    expect(maskCredential(encryptCredential('secret-9876', { hint: true }))).toBe('****');
+    expect(maskCredential('legacy-secret-WXYZ')).toBe('****');
+  });
+
+  it('drops the hint of secrets when re-wrapping', () => {
+    const hinted = encryptCredential('secret-9876', { hint: true });
+
+    const rewrapped = rewrapCredential(hinted);
+    expect(rewrapped.split(':')[3]).toBe('');
+    expect(decryptCredential(rewrapped)).toBe('secret-9876');
+    expect(rewrapCredential(hinted, { hint: true })).toBe(hinted);
+  });
+
+  it('decrypts bot credentials into a copy', () => {
+    const bot = { id: 3, access_key: encryptCredential('ak-1'), secret_key: encryptCredential('sk-1'), proxy: null };
+
+    const decrypted = decryptBotCredentials(bot);
+
+    expect(decrypted).toMatchObject({ id: 3, access_key: 'ak-1', secret_key: 'sk-1', proxy: null });
+    expect(isEncryptedCredential(bot.access_key)).toBe(true);
+  });
+
+  it('reports the bot id when decryption fails', () => {
+    const bot = { id: 9, access_key: encryptCredential('ak'), secret_key: 'sk' };
+    process.env.CREDENTIALS_MASTER_KEY_ID = 'other';
+
+    expect(() => decryptBotCredentials(bot)).toThrow('Failed to decrypt credentials for bot 9');
+  });
+});
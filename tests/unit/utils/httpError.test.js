@@ -0,0 +1,41 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { badRequest, sendError } from '../../../src/utils/httpError.js';
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('httpError', () => {
+  it('should create errors carrying a status (400 by default)', () => {
+    expect(badRequest('Invalid interval')).toMatchObject({ message: 'Invalid interval', status: 400 });
+    expect(badRequest('Bot not found', 404).status).toBe(404);
+  });
+
+  it('should answer client errors with their status and message', () => {
+    const res = mockRes();
+    sendError(res, badRequest('Run 3 is still running', 409), 'starting optimizer run');
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Run 3 is still running' });
+  });
+
+  it('should answer other errors with 500, including exchange errors carrying a status', () => {
+    const res = mockRes();
+    const exchangeError = Object.assign(new Error('Too many requests'), { status: 429 });
+    sendError(res, exchangeError, 'getting candles');
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Too many requests' });
+  });
+
+  it('should answer MySQL duplicate-key errors with 409', () => {
+    const res = mockRes();
+    const duplicate = Object.assign(new Error("Duplicate entry '2-BTCUSDT-1m-both-2.00' for key 'uniq_strategy'"), { code: 'ER_DUP_ENTRY' });
+    sendError(res, duplicate, 'updating strategy');
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
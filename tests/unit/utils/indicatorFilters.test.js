@@ -0,0 +1,106 @@
+import { describe, it, expect } from '@jest/globals';
+import { IncrementalMetrics } from '../../../src/utils/IncrementalMetrics.js';
+import { hasIndicatorFilters, evaluateIndicatorFilters, evaluateVolumeFilter, INDICATOR_FILTERS } from '../../../src/utils/indicatorFilters.js';
+
+function buildMetrics(closes, { range = 1, volume = 10 } = {}) {
+  const metrics = new IncrementalMetrics();
+  for (const close of closes) {
+    metrics.update(close, close + range / 2, close - range / 2, volume);
+  }
+  return metrics;
+}
+
+function match(strategy, { direction = 'bearish', currentPrice = 95, openPrice = 100 } = {}) {
+  return {
+    strategy: { id: 1, trade_type: 'both', is_reverse_strategy: 1, ...strategy },
+    direction,
+    currentPrice,
+    openPrice,
+    interval: '1m'
+  };
+}
+
+describe('indicatorFilters', () => {
+  describe('hasIndicatorFilters', () => {
+    it('detects enabled filters from DB-style values', () => {
+      expect(hasIndicatorFilters({ vwap_filter: 0, ema_slope_filter: 0, min_oc_atr_ratio: null })).toBe(false);
+      expect(hasIndicatorFilters({ vwap_filter: 1 })).toBe(true);
+      expect(hasIndicatorFilters({ ema_slope_filter: true })).toBe(true);
+      expect(hasIndicatorFilters({ min_oc_atr_ratio: '1.5000' })).toBe(true);
+      expect(hasIndicatorFilters({ min_oc_atr_ratio: '0.0000' })).toBe(false);
+    });
+  });
+
+  it('passes strategies without filters even without metrics', () => {
+    expect(evaluateIndicatorFilters(match({}), null)).toEqual({ passed: true });
+  });
+
+  it('rejects while indicators are warming up', () => {
+    const metrics = buildMetrics([100, 101]);
+    const result = evaluateIndicatorFilters(match({ vwap_filter: 1 }), metrics, { minBars: 5 });
+    expect(result).toMatchObject({ passed: false, filter: INDICATOR_FILTERS.VWAP });
+    expect(result.reason).toContain('2/5');
+  });
+
+  describe('vwap filter', () => {
+    const metrics = buildMetrics([100, 100, 100, 100, 100]);
+
+    it('takes counter-trend longs only below VWAP', () => {
+      expect(evaluateIndicatorFilters(match({ vwap_filter: 1 }, { currentPrice: 95 }), metrics, { minBars: 5 }).passed).toBe(true);
+      expect(evaluateIndicatorFilters(match({ vwap_filter: 1 }, { currentPrice: 105 }), metrics, { minBars: 5 }))
+        .toMatchObject({ passed: false, filter: INDICATOR_FILTERS.VWAP });
+    });
+
+    it('takes trend-following longs only above VWAP', () => {
+      const strategy = { vwap_filter: 1, is_reverse_strategy: 0 };
+      expect(evaluateIndicatorFilters(match(strategy, { direction: 'bullish', currentPrice: 105 }), metrics, { minBars: 5 }).passed).toBe(true);
+      expect(evaluateIndicatorFilters(match(strategy, { direction: 'bullish', currentPrice: 95 }), metrics, { minBars: 5 }).passed).toBe(false);
+    });
+  });
+
+  describe('OC vs ATR filter', () => {
+    const metrics = buildMetrics([100, 100, 100, 100, 100], { range: 2 }); // ATR = 2
+
+    it('requires OC move >= k × ATR', () => {
+      const strategy = { min_oc_atr_ratio: '2.0000' };
+      expect(evaluateIndicatorFilters(match(strategy, { currentPrice: 95 }), metrics, { minBars: 5 }).passed).toBe(true);
+      expect(evaluateIndicatorFilters(match(strategy, { currentPrice: 97 }), metrics, { minBars: 5 }))
+        .toMatchObject({ passed: false, filter: INDICATOR_FILTERS.ATR });
+    });
+  });
+
+  describe('volume filter', () => {
+    it('passes when min_volume_ratio is not set', () => {
+      expect(evaluateVolumeFilter({ min_volume_ratio: null }, null)).toEqual({ passed: true });
+    });
+
+    it('requires current bucket volume >= N × trailing average', () => {
+      const strategy = { min_volume_ratio: '2.0000' };
+      expect(evaluateVolumeFilter(strategy, { ratio: 2.5, samples: 10 }).passed).toBe(true);
+      const rejected = evaluateVolumeFilter(strategy, { ratio: 1.2, samples: 10 });
+      expect(rejected).toMatchObject({ passed: false, filter: INDICATOR_FILTERS.VOLUME });
+      expect(rejected.reason).toContain('x1.20');
+    });
+
+    it('rejects when volume data is unavailable', () => {
+      expect(evaluateVolumeFilter({ min_volume_ratio: 2 }, null))
+        .toMatchObject({ passed: false, filter: INDICATOR_FILTERS.VOLUME });
+    });
+  });
+
+  describe('EMA slope filter', () => {
+    it('requires slope to agree with trend-following direction', () => {
+      const rising = buildMetrics([100, 101, 102, 103, 104]);
+      const strategy = { ema_slope_filter: 1, is_reverse_strategy: 0 };
+      expect(evaluateIndicatorFilters(match(strategy, { direction: 'bullish' }), rising, { minBars: 5 }).passed).toBe(true);
+      expect(evaluateIndicatorFilters(match(strategy, { direction: 'bearish' }), rising, { minBars: 5 }))
+        .toMatchObject({ passed: false, filter: INDICATOR_FILTERS.EMA_SLOPE });
+    });
+
+    it('does not apply to counter-trend strategies', () => {
+      const rising = buildMetrics([100, 101, 102, 103, 104]);
+      const strategy = { ema_slope_filter: 1, is_reverse_strategy: 1 };
+      expect(evaluateIndicatorFilters(match(strategy, { direction: 'bearish' }), rising, { minBars: 5 }).passed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseTpLadder,
+  serializeTpLadder,
+  buildExitLegs,
+  findExitLeg,
+  getOpenExitLegOrderIds,
+  applyExitLegFill,
+  getRealizedLegsPnl
+} from '../../../src/utils/tpLadder.js';
+
+describe('tpLadder', () => {
+  it('parses ladders sorted by TP and treats invalid ones as no ladder', () => {
+    expect(parseTpLadder('[{"tp":35,"percent":30},{"tp":20,"percent":40}]')).toEqual([
+      { tp: 20, percent: 40 },
+      { tp: 35, percent: 30 }
+    ]);
+    expect(parseTpLadder([{ tp: 20, percent: 100 }])).toEqual([]);
+    expect(parseTpLadder(null)).toEqual([]);
+    expect(serializeTpLadder([])).toBeNull();
+  });
+
+  it('builds legs with TP prices and quantities from the entry', () => {
+    const legs = buildExitLegs([{ tp: 20, percent: 40 }, { tp: 50, percent: 30 }], {
+      entryPrice: 100,
+      side: 'long',
+      quantity: 10
+    });
+    expect(legs).toHaveLength(2);
+    expect(legs[0]).toMatchObject({ level: 1, percent: 40, status: 'pending', order_id: null });
+    expect(legs[0].price).toBeCloseTo(102);
+    expect(legs[0].quantity).toBeCloseTo(4);
+    expect(legs[1].price).toBeCloseTo(105);
+    expect(legs[1].quantity).toBeCloseTo(3);
+
+    const shortLegs = buildExitLegs([{ tp: 20, percent: 40 }], { entryPrice: 100, side: 'short', quantity: 10 });
+    expect(shortLegs[0].price).toBeCloseTo(98);
+  });
+
+  it('skips legs that are not between the entry and the current exit TP', () => {
+    const ladder = [{ tp: 20, percent: 40 }, { tp: 50, percent: 30 }];
+    // Trailing TP moved to 103: leg 2 (105) would never fill before the exit
+    expect(buildExitLegs(ladder, { entryPrice: 100, side: 'long', quantity: 10, tpPrice: 103 }).map(l => l.status))
+      .toEqual(['pending', 'skipped']);
+    // Trailing TP already past entry: no leg is reachable
+    expect(buildExitLegs(ladder, { entryPrice: 100, side: 'short', quantity: 10, tpPrice: 101 }).map(l => l.status))
+      .toEqual(['skipped', 'skipped']);
+    expect(buildExitLegs(ladder, { entryPrice: 100, side: 'short', quantity: 10, tpPrice: 90 }).map(l => l.status))
+      .toEqual(['pending', 'pending']);
+  });
+
+  it('records leg fills once and sums realized PnL', () => {
+    const legs = buildExitLegs([{ tp: 20, percent: 40 }, { tp: 50, percent: 30 }], {
+      entryPrice: 100,
+      side: 'short',
+      quantity: 10
+    });
+    legs[0].order_id = '111';
+    legs[0].status = 'open';
+    legs[1].order_id = '222';
+    legs[1].status = 'open';
+
+    expect(findExitLeg(JSON.stringify(legs), 111)).toMatchObject({ level: 1 });
+    expect(findExitLeg(legs, '999')).toBeNull();
+    expect(getOpenExitLegOrderIds(JSON.stringify(legs))).toEqual(['111', '222']);
+
+    const filled = applyExitLegFill(legs, 111, { entryPrice: 100, side: 'short', avgPrice: 98, filledQty: 4 });
+    expect(filled).toMatchObject({ status: 'filled', avg_price: 98, filled_qty: 4 });
+    expect(filled.realized_pnl).toBeCloseTo(8);
+    expect(applyExitLegFill(legs, 111, { entryPrice: 100, side: 'short', avgPrice: 97, filledQty: 4 })).toBeNull();
+
+    // Missing fill data falls back to the planned leg price/quantity
+    applyExitLegFill(legs, '222', { entryPrice: 100, side: 'short', avgPrice: NaN, filledQty: null });
+    expect(legs[1].realized_pnl).toBeCloseTo(15);
+    expect(getRealizedLegsPnl(JSON.stringify(legs))).toBeCloseTo(23);
+    expect(getRealizedLegsPnl(null)).toBe(0);
+    expect(getOpenExitLegOrderIds(legs)).toEqual([]);
+  });
+});
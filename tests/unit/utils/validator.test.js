@@ -7,6 +7,11 @@ import {
   validateTradeType,
   validateAmount,
   validatePercentage,
+  validateIndicatorFilters,
+  validateTpLadder,
+  validateExitMode,
+  validateStrategyConfig,
+  validateDailyLossLimit,
   validateWalletAddress,
   validateNetwork,
 } from '../../../src/utils/validator.js';
@@ -39,6 +44,16 @@ describe('Validator Utilities', () => {
       expect(validateExchange('GATE')).toBe(true);
     });
 
+    it('should validate paper exchange', () => {
+      expect(validateExchange('paper')).toBe(true);
+      expect(validateExchange('PAPER')).toBe(true);
+    });
+
+    it('should validate bybit exchange', () => {
+      expect(validateExchange('bybit')).toBe(true);
+      expect(validateExchange('BYBIT')).toBe(true);
+    });
+
     it('should reject invalid exchange', () => {
       expect(validateExchange('binance')).toBe(false);
       expect(validateExchange('invalid')).toBe(false);
@@ -64,6 +79,8 @@ describe('Validator Utilities', () => {
       expect(validateInterval('1m')).toBe(true);
       expect(validateInterval('5m')).toBe(true);
       expect(validateInterval('1h')).toBe(true);
+      expect(validateInterval('4h')).toBe(true);
+      expect(validateInterval('1d')).toBe(true);
     });
 
     it('should reject invalid intervals', () => {
@@ -110,6 +127,77 @@ describe('Validator Utilities', () => {
     });
   });
 
+  describe('validateIndicatorFilters', () => {
+    it('should accept missing or valid filter fields', () => {
+      expect(validateIndicatorFilters({})).toBe(true);
+      expect(validateIndicatorFilters({ vwap_filter: true, ema_slope_filter: 0, min_oc_atr_ratio: 1.5 })).toBe(true);
+      expect(validateIndicatorFilters({ min_oc_atr_ratio: null })).toBe(true);
+      expect(validateIndicatorFilters({ min_volume_ratio: 3 })).toBe(true);
+    });
+
+    it('should reject invalid filter fields', () => {
+      expect(validateIndicatorFilters({ vwap_filter: 'yes' })).toBe(false);
+      expect(validateIndicatorFilters({ min_oc_atr_ratio: -1 })).toBe(false);
+      expect(validateIndicatorFilters({ min_oc_atr_ratio: '2' })).toBe(false);
+      expect(validateIndicatorFilters({ min_volume_ratio: 101 })).toBe(false);
+    });
+  });
+
+  describe('validateTpLadder', () => {
+    it('should accept empty or valid ladders', () => {
+      expect(validateTpLadder(null)).toBe(true);
+      expect(validateTpLadder([{ tp: 20, percent: 40 }, { tp: 35, percent: 30 }])).toBe(true);
+      expect(validateTpLadder('[{"tp":20,"percent":50}]')).toBe(true);
+    });
+
+    it('should reject ladders that close the whole position or have invalid legs', () => {
+      expect(validateTpLadder([{ tp: 20, percent: 60 }, { tp: 35, percent: 40 }])).toBe(false);
+      expect(validateTpLadder([{ tp: 0, percent: 40 }])).toBe(false);
+      expect(validateTpLadder([{ tp: 20, percent: -5 }])).toBe(false);
+      expect(validateTpLadder('not json')).toBe(false);
+    });
+
+    it('should reject legs at or beyond the strategy take profit', () => {
+      expect(validateTpLadder([{ tp: 20, percent: 40 }, { tp: 35, percent: 30 }], 50)).toBe(true);
+      expect(validateTpLadder([{ tp: 20, percent: 40 }, { tp: 50, percent: 30 }], 50)).toBe(false);
+      expect(validateTpLadder([{ tp: 60, percent: 40 }], '50')).toBe(false);
+    });
+  });
+
+  describe('validateExitMode', () => {
+    it('should accept the default mode and trailing stops with a distance', () => {
+      expect(validateExitMode({})).toBe(true);
+      expect(validateExitMode({ exit_mode: 'time_tp' })).toBe(true);
+      expect(validateExitMode({ exit_mode: 'trailing_stop', trail_activation_pct: 1, trail_callback_pct: 0.5 })).toBe(true);
+      expect(validateExitMode({ exit_mode: 'trailing_stop', trail_atr_mult: 2 })).toBe(true);
+      expect(validateExitMode({ break_even_pct: 1.5 })).toBe(true);
+    });
+
+    it('should reject unknown modes, out-of-range values and trailing stops without distance', () => {
+      expect(validateExitMode({ exit_mode: 'chandelier' })).toBe(false);
+      expect(validateExitMode({ trail_callback_pct: 150 })).toBe(false);
+      expect(validateExitMode({ exit_mode: 'trailing_stop', trail_activation_pct: 1 })).toBe(false);
+      expect(validateExitMode({ break_even_pct: -1 })).toBe(false);
+    });
+  });
+
+  describe('validateDailyLossLimit', () => {
+    it('should accept empty, disabled and valid limits', () => {
+      expect(validateDailyLossLimit({})).toBe(true);
+      expect(validateDailyLossLimit({ daily_loss_limit: null, daily_loss_limit_pct: null })).toBe(true);
+      expect(validateDailyLossLimit({ daily_loss_limit: 0 })).toBe(true);
+      expect(validateDailyLossLimit({ daily_loss_limit: 50, daily_loss_limit_pct: 5, daily_loss_flatten: true })).toBe(true);
+      expect(validateDailyLossLimit({ daily_loss_flatten: 1 })).toBe(true);
+    });
+
+    it('should reject negative limits, out-of-range percents and bad flags', () => {
+      expect(validateDailyLossLimit({ daily_loss_limit: -10 })).toBe(false);
+      expect(validateDailyLossLimit({ daily_loss_limit: '50' })).toBe(false);
+      expect(validateDailyLossLimit({ daily_loss_limit_pct: 150 })).toBe(false);
+      expect(validateDailyLossLimit({ daily_loss_flatten: 'yes' })).toBe(false);
+    });
+  });
+
   describe('validateWalletAddress', () => {
     it('should validate correct wallet addresses', () => {
       expect(validateWalletAddress('0x1234567890123456789012345678901234567890')).toBe(true);
@@ -123,6 +211,24 @@ describe('Validator Utilities', () => {
     });
   });
 
+  describe('validateStrategyConfig', () => {
+    const config = { interval: '5m', trade_type: 'both', amount: 10, oc: 2, extend: 50, take_profit: 50, reduce: 5, up_reduce: 5 };
+
+    it('should accept a complete preset config', () => {
+      expect(validateStrategyConfig(config)).toBeNull();
+      expect(validateStrategyConfig({ ...config, exit_mode: 'trailing_stop', trail_callback_pct: 1 })).toBeNull();
+    });
+
+    it('should return the first failing rule', () => {
+      expect(validateStrategyConfig(null)).toBe('Config must be an object');
+      expect(validateStrategyConfig({ ...config, interval: '2m' })).toBe('Invalid interval');
+      expect(validateStrategyConfig({ ...config, amount: undefined })).toBe('Invalid amount');
+      expect(validateStrategyConfig({ ...config, oc: 101 })).toBe('Invalid OC value');
+      expect(validateStrategyConfig({ ...config, up_reduce: undefined })).toBe('Invalid reduce / up_reduce value');
+      expect(validateStrategyConfig({ ...config, exit_mode: 'trailing_stop' })).toMatch(/Invalid exit settings/);
+    });
+  });
+
   describe('validateNetwork', () => {
     it('should validate correct networks', () => {
       expect(validateNetwork('BEP20')).toBe(true);
@@ -0,0 +1,1097 @@
+/**
+ * Local stand-in for the Binance USDⓈ-M Futures API (REST + WebSocket)
+ *
+ * Speaks the wire format BinanceDirectClient / PositionWebSocketClient / WebSocketManager expect:
+ * - HMAC-SHA256 signatures over the raw query/body, X-MBX-APIKEY, timestamp + recvWindow (-1021/-1022/-2015)
+ * - X-MBX-USED-WEIGHT-1M / X-MBX-ORDER-COUNT-1M headers, 429 + Retry-After (-1003) when over the weight limit
+ * - fapi endpoints the bot calls (order, openOrders, allOpenOrders, positionRisk, account, listenKey, exchangeInfo, klines, ...)
+ * - Combined market streams (/stream?streams=btcusdt@bookTicker/...) and user-data streams (/ws/<listenKey>)
+ *   pushing ORDER_TRADE_UPDATE / ACCOUNT_UPDATE events
+ *
+ * Scenarios are scripted from the test:
+ *   const server = new MockBinanceFuturesServer({ prices: { BTCUSDT: 50000 } });
+ *   await server.start();
+ *   server.failNext('POST /fapi/v1/order', -2019);   // next order is rejected with Binance's -2019 payload
+ *   server.setPrice('BTCUSDT', 51000);              // pushes bookTicker, triggers resting LIMIT/STOP/TP orders
+ *   await server.stop();
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+
+export const BINANCE_ERRORS = {
+  [-1003]: { status: 429, msg: 'Too many requests; current limit is %LIMIT% request weight per 1 MINUTE. Please use the websocket for live updates to avoid polling the API.' },
+  [-1021]: { status: 400, msg: 'Timestamp for this request is outside of the recvWindow.' },
+  [-1022]: { status: 400, msg: 'Signature for this request is not valid.' },
+  [-1102]: { status: 400, msg: 'Mandatory parameter was not sent, was empty/null, or malformed.' },
+  [-1121]: { status: 400, msg: 'Invalid symbol.' },
+  [-2011]: { status: 400, msg: 'Unknown order sent.' },
+  [-2013]: { status: 400, msg: 'Order does not exist.' },
+  [-2015]: { status: 401, msg: 'Invalid API-key, IP, or permissions for action.' },
+  [-2019]: { status: 400, msg: 'Margin is insufficient.' },
+  [-2021]: { status: 400, msg: 'Order would immediately trigger.' },
+  [-4120]: { status: 400, msg: 'Order type not supported for this endpoint. Please use the Algo Order API endpoints instead.' },
+  [-4400]: { status: 400, msg: 'Futures Trading Quantitative Rules violated, only reduceOnly order is allowed, please try again later.' }
+};
+
+const DEFAULT_SYMBOL_FILTERS = {
+  tickSize: '0.10',
+  stepSize: '0.001',
+  minQty: '0.001',
+  maxQty: '1000',
+  minNotional: '5'
+};
+
+// Weight per endpoint (subset of Binance's published weights)
+const ENDPOINT_WEIGHTS = {
+  '/fapi/v1/exchangeInfo': 1,
+  '/fapi/v1/klines': 5,
+  '/fapi/v2/positionRisk': 5,
+  '/fapi/v2/account': 5,
+  '/fapi/v1/openOrders': 1,
+  '/fapi/v1/allOpenOrders': 1
+};
+
+const SIGNED_ENDPOINTS = new Set([
+  '/fapi/v1/order',
+  '/fapi/v1/openOrders',
+  '/fapi/v1/allOpenOrders',
+  '/fapi/v2/positionRisk',
+  '/fapi/v2/account',
+  '/fapi/v1/userTrades',
+  '/fapi/v1/positionSide/dual',
+  '/fapi/v1/leverage',
+  '/fapi/v1/marginType',
+  '/fapi/v1/leverageBracket'
+]);
+
+const KLINE_INTERVAL_MS = {
+  '1m': 60_000,
+  '5m': 300_000,
+  '15m': 900_000,
+  '30m': 1_800_000,
+  '1h': 3_600_000,
+  '4h': 14_400_000,
+  '1d': 86_400_000
+};
+
+class BinanceApiError extends Error {
+  constructor(code, msg = null, status = null) {
+    const known = BINANCE_ERRORS[code] || { status: 400, msg: 'Unknown error.' };
+    super(msg || known.msg);
+    this.code = code;
+    this.status = status || known.status;
+  }
+}
+
+export class MockBinanceFuturesServer {
+  /**
+   * @param {Object} options
+   * @param {string} [options.apiKey='test-api-key']
+   * @param {string} [options.secretKey='test-secret-key']
+   * @param {Object<string, number>} [options.prices] - Initial prices, also defines the tradable symbols
+   * @param {Object<string, Object>} [options.filters] - Per-symbol overrides of DEFAULT_SYMBOL_FILTERS
+   * @param {number} [options.balance=10000] - USDT wallet balance
+   * @param {number} [options.leverage=10] - Default leverage per symbol
+   * @param {boolean} [options.dualSidePosition=false] - Hedge mode
+   * @param {number} [options.takerFeeRate=0.0004]
+   * @param {number} [options.makerFeeRate=0.0002]
+   * @param {number} [options.weightLimit=2400] - Request weight per minute before -1003/429
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || 'test-api-key';
+    this.secretKey = options.secretKey || 'test-secret-key';
+    this.filters = options.filters || {};
+    this.balance = Number(options.balance ?? 10000);
+    this.defaultLeverage = Number(options.leverage ?? 10);
+    this.dualSidePosition = !!options.dualSidePosition;
+    this.takerFeeRate = Number(options.takerFeeRate ?? 0.0004);
+    this.makerFeeRate = Number(options.makerFeeRate ?? 0.0002);
+    this.weightLimit = Number(options.weightLimit ?? 2400);
+
+    this.prices = new Map(); // symbol -> price
+    for (const [symbol, price] of Object.entries(options.prices || { BTCUSDT: 50000 })) {
+      this.prices.set(symbol.toUpperCase(), Number(price));
+    }
+    this.klines = new Map(); // symbol|interval -> rows (Binance array format)
+    this.leverage = new Map(); // symbol -> leverage
+    this.marginType = new Map(); // symbol -> ISOLATED|CROSSED
+
+    this.orders = new Map(); // orderId -> order
+    this.positions = new Map(); // symbol|positionSide -> { amt, entryPrice }
+    this.trades = []; // fills (userTrades format)
+    this.listenKeys = new Set();
+    this.requests = []; // { method, path, params, signed, at }
+
+    this.clockSkewMs = 0; // server time = Date.now() + skew
+    this._failures = []; // { method, path, code, msg, status, remaining }
+    this._usedWeight = 0;
+    this._weightWindowStart = 0;
+    this._orderCount = 0;
+    this._nextOrderId = 1000;
+    this._nextTradeId = 1;
+    this._lastUpdateId = 1;
+
+    this.httpServer = null;
+    this.wss = null;
+    this.userSockets = new Map(); // listenKey -> Set<ws>
+    this.marketSockets = new Set(); // { ws, streams:Set<string> }
+  }
+
+  // --- Lifecycle ---
+
+  /**
+   * Start listening on a random local port
+   * @returns {Promise<{ restUrl: string, userWsBase: string, marketWsBase: string }>}
+   */
+  async start(port = 0) {
+    this.httpServer = http.createServer((req, res) => {
+      this._handleHttp(req, res).catch((err) => {
+        this._sendError(res, err instanceof BinanceApiError ? err : new BinanceApiError(-1000, err?.message || String(err), 500));
+      });
+    });
+    this.wss = new WebSocketServer({ noServer: true });
+    this.httpServer.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+
+    await new Promise((resolve) => this.httpServer.listen(port, '127.0.0.1', resolve));
+    const { port: actualPort } = this.httpServer.address();
+    this.port = actualPort;
+    return this.urls;
+  }
+
+  get urls() {
+    return {
+      restUrl: `http://127.0.0.1:${this.port}`,
+      userWsBase: `ws://127.0.0.1:${this.port}/ws`,
+      marketWsBase: `ws://127.0.0.1:${this.port}/stream?streams=`
+    };
+  }
+
+  /**
+   * Config overrides pointing the bot's Binance clients at this server
+   * (apply with configService.cache.set(key, value) in tests)
+   */
+  get configOverrides() {
+    const { restUrl, userWsBase, marketWsBase } = this.urls;
+    return {
+      BINANCE_FUTURES_ENDPOINT: restUrl,
+      BINANCE_MARKET_DATA_ENDPOINT: restUrl,
+      BINANCE_TESTNET_WS_BASE: userWsBase,
+      BINANCE_MARKET_WS_BASE: marketWsBase
+    };
+  }
+
+  async stop() {
+    for (const client of this.wss?.clients || []) client.terminate();
+    this.userSockets.clear();
+    this.marketSockets.clear();
+    if (this.wss) await new Promise((resolve) => this.wss.close(() => resolve()));
+    if (this.httpServer) {
+      this.httpServer.closeAllConnections?.();
+      await new Promise((resolve) => this.httpServer.close(() => resolve()));
+    }
+    this.httpServer = null;
+    this.wss = null;
+  }
+
+  // --- Scenario scripting ---
+
+  /**
+   * Reject the next matching request(s) with a Binance error payload
+   * @param {string} route - 'METHOD /path' (method optional, e.g. 'POST /fapi/v1/order' or '/fapi/v2/positionRisk')
+   * @param {number} code - Binance error code (see BINANCE_ERRORS)
+   * @param {Object} [opts] - { times=1, msg, status }
+   */
+  failNext(route, code, opts = {}) {
+    const [first, second] = String(route).trim().split(/\s+/);
+    const method = second ? first.toUpperCase() : null;
+    const path = second || first;
+    this._failures.push({
+      method,
+      path,
+      code,
+      msg: opts.msg || null,
+      status: opts.status || null,
+      remaining: Number(opts.times ?? 1)
+    });
+  }
+
+  /**
+   * Shift server clock relative to the client (positive = server ahead); large values produce -1021
+   */
+  setClockSkew(ms) {
+    this.clockSkewMs = Number(ms) || 0;
+  }
+
+  /**
+   * Consume request weight so the next requests hit 429/-1003
+   */
+  exhaustWeight() {
+    this._rollWeightWindow();
+    this._usedWeight = this.weightLimit;
+  }
+
+  setKlines(symbol, interval, rows) {
+    this.klines.set(`${symbol.toUpperCase()}|${interval}`, rows);
+  }
+
+  /**
+   * Move the market: updates price, pushes bookTicker to subscribers and matches resting orders
+   */
+  setPrice(symbol, price) {
+    const sym = symbol.toUpperCase();
+    this.prices.set(sym, Number(price));
+    this._pushBookTicker(sym);
+    this._matchOrders(sym);
+  }
+
+  getPrice(symbol) {
+    return this.prices.get(symbol.toUpperCase()) ?? null;
+  }
+
+  /**
+   * Force-fill a resting order (e.g. simulate a fill the price path would not produce)
+   */
+  fillOrder(orderId, price = null) {
+    const order = this.orders.get(Number(orderId));
+    if (!order || !this._isOpen(order)) throw new Error(`Order ${orderId} is not open`);
+    this._fill(order, price ?? this._fillPriceFor(order), order.type === 'LIMIT');
+    return this._orderResponse(order);
+  }
+
+  /**
+   * Push an arbitrary event to all user-data streams (e.g. listenKeyExpired)
+   */
+  pushUserEvent(evt) {
+    for (const sockets of this.userSockets.values()) {
+      for (const ws of sockets) this._send(ws, evt);
+    }
+  }
+
+  getOrder(orderId) {
+    const order = this.orders.get(Number(orderId));
+    return order ? this._orderResponse(order) : null;
+  }
+
+  getPosition(symbol, positionSide = 'BOTH') {
+    const pos = this.positions.get(`${symbol.toUpperCase()}|${positionSide}`);
+    return pos ? { ...pos } : null;
+  }
+
+  userStreamConnections() {
+    let n = 0;
+    for (const sockets of this.userSockets.values()) n += sockets.size;
+    return n;
+  }
+
+  /**
+   * Resolve once the predicate holds (polling); useful to wait for WS side effects
+   */
+  async waitFor(predicate, timeoutMs = 3000, intervalMs = 20) {
+    const started = Date.now();
+    while (Date.now() - started < timeoutMs) {
+      if (await predicate()) return true;
+      await new Promise((r) => setTimeout(r, intervalMs));
+    }
+    throw new Error(`waitFor timed out after ${timeoutMs}ms`);
+  }
+
+  // --- HTTP ---
+
+  async _handleHttp(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const method = req.method.toUpperCase();
+    const path = url.pathname;
+    const rawQuery = url.search ? url.search.slice(1) : '';
+    const rawBody = await new Promise((resolve) => {
+      let data = '';
+      req.on('data', (chunk) => { data += chunk; });
+      req.on('end', () => resolve(data));
+    });
+
+    const params = Object.fromEntries(new URLSearchParams(rawQuery));
+    Object.assign(params, Object.fromEntries(new URLSearchParams(rawBody)));
+    const signed = SIGNED_ENDPOINTS.has(path);
+    this.requests.push({ method, path, params, signed, at: Date.now() });
+
+    // Rate limit accounting
+    this._rollWeightWindow();
+    const weight = ENDPOINT_WEIGHTS[path] || 1;
+    if (this._usedWeight + weight > this.weightLimit) {
+      res.setHeader('Retry-After', '1');
+      this._setWeightHeaders(res, path);
+      return this._sendError(res, new BinanceApiError(-1003));
+    }
+    this._usedWeight += weight;
+    if (path === '/fapi/v1/order' && method === 'POST') this._orderCount += 1;
+    this._setWeightHeaders(res, path);
+
+    if (path === '/fapi/v1/listenKey') {
+      this._checkApiKey(req);
+    } else if (signed) {
+      this._checkApiKey(req);
+      this._checkSignature(rawQuery, rawBody, params);
+    }
+
+    const failure = this._takeFailure(method, path);
+    if (failure) {
+      return this._sendError(res, new BinanceApiError(failure.code, failure.msg, failure.status));
+    }
+
+    const route = `${method} ${path}`;
+    const handler = this._routes()[route];
+    if (!handler) {
+      res.statusCode = 404;
+      res.setHeader('Content-Type', 'text/html');
+      return res.end('<html><body><h1>404 Not Found</h1></body></html>');
+    }
+    const data = await handler(params);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+  }
+
+  _routes() {
+    return {
+      'GET /fapi/v1/ping': () => ({}),
+      'GET /fapi/v1/time': () => ({ serverTime: this._serverTime() }),
+      'GET /fapi/v1/exchangeInfo': () => this._exchangeInfo(),
+      'GET /fapi/v1/klines': (p) => this._klines(p),
+      'GET /fapi/v1/ticker/price': (p) => this._tickerPrice(p),
+      'GET /fapi/v1/ticker/bookTicker': (p) => this._bookTicker(p),
+      'GET /fapi/v1/ticker/24hr': (p) => this._ticker24hr(p),
+      'GET /fapi/v1/premiumIndex': (p) => this._premiumIndex(p),
+
+      'POST /fapi/v1/listenKey': () => this._createListenKey(),
+      'PUT /fapi/v1/listenKey': () => ({}),
+      'DELETE /fapi/v1/listenKey': (p) => this._deleteListenKey(p),
+
+      'POST /fapi/v1/order': (p) => this._newOrder(p),
+      'GET /fapi/v1/order': (p) => this._queryOrder(p),
+      'DELETE /fapi/v1/order': (p) => this._cancelOrder(p),
+      'GET /fapi/v1/openOrders': (p) => this._openOrders(p),
+      'DELETE /fapi/v1/allOpenOrders': (p) => this._cancelAllOpenOrders(p),
+      'GET /fapi/v1/userTrades': (p) => this.trades.filter(t => t.symbol === p.symbol && (!p.orderId || String(t.orderId) === String(p.orderId))),
+      'GET /fapi/v2/positionRisk': (p) => this._positionRisk(p),
+      'GET /fapi/v2/account': () => this._account(),
+      'GET /fapi/v1/positionSide/dual': () => ({ dualSidePosition: this.dualSidePosition }),
+      'POST /fapi/v1/positionSide/dual': (p) => this._setDualSide(p),
+      'POST /fapi/v1/leverage': (p) => this._setLeverage(p),
+      'POST /fapi/v1/marginType': (p) => this._setMarginType(p),
+      'GET /fapi/v1/leverageBracket': (p) => this._leverageBracket(p)
+    };
+  }
+
+  _serverTime() {
+    return Date.now() + this.clockSkewMs;
+  }
+
+  _rollWeightWindow() {
+    const minute = Math.floor(Date.now() / 60_000);
+    if (minute !== this._weightWindowStart) {
+      this._weightWindowStart = minute;
+      this._usedWeight = 0;
+      this._orderCount = 0;
+    }
+  }
+
+  _setWeightHeaders(res, path) {
+    res.setHeader('X-MBX-USED-WEIGHT-1M', String(this._usedWeight));
+    if (path === '/fapi/v1/order') res.setHeader('X-MBX-ORDER-COUNT-1M', String(this._orderCount));
+  }
+
+  _checkApiKey(req) {
+    if (req.headers['x-mbx-apikey'] !== this.apiKey) throw new BinanceApiError(-2015);
+  }
+
+  _checkSignature(rawQuery, rawBody, params) {
+    // Binance signs totalParams = queryString + requestBody (signature itself excluded)
+    const strip = (s) => s.split('&').filter(kv => kv && !kv.startsWith('signature=')).join('&');
+    const payload = [strip(rawQuery), strip(rawBody)].filter(Boolean).join('');
+    const expected = crypto.createHmac('sha256', this.secretKey).update(payload).digest('hex');
+    if (!params.signature || params.signature !== expected) throw new BinanceApiError(-1022);
+
+    const timestamp = Number(params.timestamp);
+    const recvWindow = Number(params.recvWindow || 5000);
+    if (!Number.isFinite(timestamp)) throw new BinanceApiError(-1102, "Mandatory parameter 'timestamp' was not sent, was empty/null, or malformed.");
+    if (recvWindow > 60000) throw new BinanceApiError(-1102, 'recvWindow must be less than 60000');
+    const serverTime = this._serverTime();
+    if (timestamp >= serverTime + 1000 || serverTime - timestamp > recvWindow) {
+      throw new BinanceApiError(-1021);
+    }
+  }
+
+  _takeFailure(method, path) {
+    const idx = this._failures.findIndex(f => f.path === path && (!f.method || f.method === method));
+    if (idx === -1) return null;
+    const failure = this._failures[idx];
+    failure.remaining -= 1;
+    if (failure.remaining <= 0) this._failures.splice(idx, 1);
+    return failure;
+  }
+
+  _sendError(res, err) {
+    if (res.headersSent) return res.end();
+    res.statusCode = err.status || 400;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ code: err.code, msg: err.message.replace('%LIMIT%', String(this.weightLimit)) }));
+  }
+
+  // --- Market data ---
+
+  _requireSymbol(symbol) {
+    const sym = String(symbol || '').toUpperCase();
+    if (!sym) throw new BinanceApiError(-1102, "Mandatory parameter 'symbol' was not sent, was empty/null, or malformed.");
+    if (!this.prices.has(sym)) throw new BinanceApiError(-1121);
+    return sym;
+  }
+
+  _filtersFor(symbol) {
+    return { ...DEFAULT_SYMBOL_FILTERS, ...(this.filters[symbol] || {}) };
+  }
+
+  _exchangeInfo() {
+    const symbols = Array.from(this.prices.keys()).map((symbol) => {
+      const f = this._filtersFor(symbol);
+      return {
+        symbol,
+        pair: symbol,
+        contractType: 'PERPETUAL',
+        status: 'TRADING',
+        baseAsset: symbol.replace(/USDT$/, ''),
+        quoteAsset: 'USDT',
+        marginAsset: 'USDT',
+        pricePrecision: precisionOf(f.tickSize),
+        quantityPrecision: precisionOf(f.stepSize),
+        orderTypes: ['LIMIT', 'MARKET', 'STOP', 'STOP_MARKET', 'TAKE_PROFIT', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET'],
+        timeInForce: ['GTC', 'IOC', 'FOK', 'GTX'],
+        filters: [
+          { filterType: 'PRICE_FILTER', tickSize: f.tickSize, minPrice: f.tickSize, maxPrice: '1000000' },
+          { filterType: 'LOT_SIZE', stepSize: f.stepSize, minQty: f.minQty, maxQty: f.maxQty },
+          { filterType: 'MARKET_LOT_SIZE', stepSize: f.stepSize, minQty: f.minQty, maxQty: f.maxQty },
+          { filterType: 'MIN_NOTIONAL', notional: f.minNotional },
+          { filterType: 'PERCENT_PRICE', multiplierUp: '1.0500', multiplierDown: '0.9500', multiplierDecimal: '4' }
+        ]
+      };
+    });
+    return { timezone: 'UTC', serverTime: this._serverTime(), rateLimits: [], assets: [{ asset: 'USDT' }], symbols };
+  }
+
+  _klines(p) {
+    const symbol = this._requireSymbol(p.symbol);
+    const interval = p.interval || '1m';
+    const limit = Math.min(Number(p.limit || 500), 1500);
+    const stored = this.klines.get(`${symbol}|${interval}`);
+    if (stored) return stored.slice(-limit);
+
+    // Synthesize flat candles at the current price
+    const step = KLINE_INTERVAL_MS[interval] || 60_000;
+    const end = p.endTime ? Number(p.endTime) : Date.now();
+    const lastOpen = Math.floor(end / step) * step;
+    const price = String(this.prices.get(symbol));
+    const rows = [];
+    for (let i = limit - 1; i >= 0; i--) {
+      const openTime = lastOpen - i * step;
+      rows.push([openTime, price, price, price, price, '0', openTime + step - 1, '0', 0, '0', '0', '0']);
+    }
+    return rows;
+  }
+
+  _tickerPrice(p) {
+    if (!p.symbol) {
+      return Array.from(this.prices.entries()).map(([symbol, price]) => ({ symbol, price: String(price), time: this._serverTime() }));
+    }
+    const symbol = this._requireSymbol(p.symbol);
+    return { symbol, price: String(this.prices.get(symbol)), time: this._serverTime() };
+  }
+
+  _bookTicker(p) {
+    const symbol = this._requireSymbol(p.symbol);
+    const price = String(this.prices.get(symbol));
+    return { symbol, bidPrice: price, bidQty: '1', askPrice: price, askQty: '1', time: this._serverTime() };
+  }
+
+  _ticker24hr(p) {
+    const symbol = this._requireSymbol(p.symbol);
+    const price = String(this.prices.get(symbol));
+    return { symbol, lastPrice: price, openPrice: price, highPrice: price, lowPrice: price, priceChangePercent: '0', volume: '0', quoteVolume: '0' };
+  }
+
+  _premiumIndex(p) {
+    const symbol = this._requireSymbol(p.symbol);
+    const price = String(this.prices.get(symbol));
+    return { symbol, markPrice: price, indexPrice: price, lastFundingRate: '0.00010000', time: this._serverTime() };
+  }
+
+  // --- Account ---
+
+  _setDualSide(p) {
+    const want = String(p.dualSidePosition) === 'true';
+    if (want === this.dualSidePosition) throw new BinanceApiError(-4059, 'No need to change position side.');
+    this.dualSidePosition = want;
+    return { code: 200, msg: 'success' };
+  }
+
+  _setLeverage(p) {
+    const symbol = this._requireSymbol(p.symbol);
+    const leverage = Number(p.leverage);
+    this.leverage.set(symbol, leverage);
+    return { symbol, leverage, maxNotionalValue: '1000000' };
+  }
+
+  _setMarginType(p) {
+    const symbol = this._requireSymbol(p.symbol);
+    const marginType = String(p.marginType || '').toUpperCase();
+    if ((this.marginType.get(symbol) || 'CROSSED') === marginType) throw new BinanceApiError(-4046, 'No need to change margin type.');
+    this.marginType.set(symbol, marginType);
+    return { code: 200, msg: 'success' };
+  }
+
+  _leverageBracket(p) {
+    const symbols = p.symbol ? [this._requireSymbol(p.symbol)] : Array.from(this.prices.keys());
+    const rows = symbols.map(symbol => ({
+      symbol,
+      brackets: [{ bracket: 1, initialLeverage: 125, notionalCap: 50000, notionalFloor: 0, maintMarginRatio: 0.004, cum: 0 }]
+    }));
+    return rows;
+  }
+
+  _leverageFor(symbol) {
+    return this.leverage.get(symbol) || this.defaultLeverage;
+  }
+
+  _unrealized() {
+    let total = 0;
+    for (const [key, pos] of this.positions.entries()) {
+      const [symbol] = key.split('|');
+      total += (this.prices.get(symbol) - pos.entryPrice) * pos.amt;
+    }
+    return total;
+  }
+
+  _usedMargin() {
+    let used = 0;
+    for (const [key, pos] of this.positions.entries()) {
+      const [symbol] = key.split('|');
+      used += Math.abs(pos.amt) * pos.entryPrice / this._leverageFor(symbol);
+    }
+    for (const order of this.orders.values()) {
+      if (this._isOpen(order) && order.type === 'LIMIT' && !order.reduceOnly) {
+        used += order.origQty * order.price / this._leverageFor(order.symbol);
+      }
+    }
+    return used;
+  }
+
+  _available() {
+    return this.balance + Math.min(0, this._unrealized()) - this._usedMargin();
+  }
+
+  _account() {
+    const unrealized = this._unrealized();
+    const available = this._available();
+    return {
+      totalWalletBalance: fmt(this.balance),
+      totalUnrealizedProfit: fmt(unrealized),
+      totalMarginBalance: fmt(this.balance + unrealized),
+      availableBalance: fmt(available),
+      maxWithdrawAmount: fmt(available),
+      assets: [{
+        asset: 'USDT',
+        walletBalance: fmt(this.balance),
+        unrealizedProfit: fmt(unrealized),
+        marginBalance: fmt(this.balance + unrealized),
+        availableBalance: fmt(available),
+        maxWithdrawAmount: fmt(available)
+      }],
+      positions: this._positionRisk({})
+    };
+  }
+
+  _positionRisk(p) {
+    const symbols = p.symbol ? [this._requireSymbol(p.symbol)] : Array.from(this.prices.keys());
+    const sides = this.dualSidePosition ? ['LONG', 'SHORT'] : ['BOTH'];
+    const rows = [];
+    for (const symbol of symbols) {
+      for (const positionSide of sides) {
+        const pos = this.positions.get(`${symbol}|${positionSide}`) || { amt: 0, entryPrice: 0 };
+        const mark = this.prices.get(symbol);
+        const leverage = this._leverageFor(symbol);
+        rows.push({
+          symbol,
+          positionAmt: fmt(pos.amt),
+          entryPrice: fmt(pos.entryPrice),
+          breakEvenPrice: fmt(pos.entryPrice),
+          markPrice: fmt(mark),
+          unRealizedProfit: fmt((mark - pos.entryPrice) * pos.amt),
+          liquidationPrice: '0',
+          leverage: String(leverage),
+          maxNotionalValue: '1000000',
+          marginType: (this.marginType.get(symbol) || 'CROSSED').toLowerCase() === 'isolated' ? 'isolated' : 'cross',
+          isolatedMargin: '0.00000000',
+          isAutoAddMargin: 'false',
+          positionSide,
+          notional: fmt(pos.amt * mark),
+          isolatedWallet: '0',
+          updateTime: pos.updateTime || 0
+        });
+      }
+    }
+    return rows;
+  }
+
+  // --- Orders ---
+
+  _newOrder(p) {
+    const symbol = this._requireSymbol(p.symbol);
+    const side = String(p.side || '').toUpperCase();
+    const type = String(p.type || '').toUpperCase();
+    if (!['BUY', 'SELL'].includes(side)) throw new BinanceApiError(-1102, "Mandatory parameter 'side' was not sent, was empty/null, or malformed.");
+    if (!type) throw new BinanceApiError(-1102, "Mandatory parameter 'type' was not sent, was empty/null, or malformed.");
+
+    const closePosition = String(p.closePosition) === 'true';
+    const reduceOnly = String(p.reduceOnly) === 'true';
+    if (closePosition && reduceOnly) throw new BinanceApiError(-1106, "Parameter 'reduceonly' sent when not required.");
+    if (closePosition && !['STOP_MARKET', 'TAKE_PROFIT_MARKET'].includes(type)) {
+      throw new BinanceApiError(-1106, "Parameter 'closePosition' sent when not required.");
+    }
+
+    let positionSide = String(p.positionSide || 'BOTH').toUpperCase();
+    if (this.dualSidePosition && positionSide === 'BOTH') throw new BinanceApiError(-4061, "Order's position side does not match user's setting.");
+    if (!this.dualSidePosition && positionSide !== 'BOTH') throw new BinanceApiError(-4061, "Order's position side does not match user's setting.");
+
+    const quantity = p.quantity !== undefined ? Number(p.quantity) : 0;
+    if (!closePosition && !(quantity > 0)) throw new BinanceApiError(-1102, "Mandatory parameter 'quantity' was not sent, was empty/null, or malformed.");
+
+    const f = this._filtersFor(symbol);
+    if (quantity > 0 && !isMultipleOf(quantity, Number(f.stepSize))) throw new BinanceApiError(-1111, 'Precision is over the maximum defined for this asset.');
+    const price = p.price !== undefined ? Number(p.price) : 0;
+    if (type === 'LIMIT') {
+      if (!(price > 0)) throw new BinanceApiError(-1102, "Mandatory parameter 'price' was not sent, was empty/null, or malformed.");
+      if (!isMultipleOf(price, Number(f.tickSize))) throw new BinanceApiError(-1111, 'Precision is over the maximum defined for this asset.');
+    }
+    const stopPrice = p.stopPrice !== undefined ? Number(p.stopPrice) : 0;
+    const isConditional = ['STOP_MARKET', 'TAKE_PROFIT_MARKET'].includes(type);
+    if (isConditional && !(stopPrice > 0)) throw new BinanceApiError(-1102, "Mandatory parameter 'stopPrice' was not sent, was empty/null, or malformed.");
+    if (!['MARKET', 'LIMIT', 'STOP_MARKET', 'TAKE_PROFIT_MARKET'].includes(type)) throw new BinanceApiError(-4120);
+
+    const current = this.prices.get(symbol);
+    if (isConditional && this._isTriggered({ type, side, stopPrice }, current)) throw new BinanceApiError(-2021);
+
+    const opensExposure = !closePosition && !reduceOnly && this._opensExposure(symbol, side, positionSide);
+    if (opensExposure) {
+      const refPrice = type === 'LIMIT' ? price : current;
+      const margin = quantity * refPrice / this._leverageFor(symbol);
+      if (margin > this._available()) throw new BinanceApiError(-2019);
+    }
+
+    if (p.newClientOrderId) {
+      for (const o of this.orders.values()) {
+        if (o.clientOrderId === p.newClientOrderId && this._isOpen(o)) throw new BinanceApiError(-4015, 'Client order id is not valid.');
+      }
+    }
+
+    const now = this._serverTime();
+    const order = {
+      orderId: this._nextOrderId++,
+      symbol,
+      side,
+      type,
+      origType: type,
+      positionSide,
+      price,
+      stopPrice,
+      origQty: quantity,
+      executedQty: 0,
+      avgPrice: 0,
+      cumQuote: 0,
+      status: 'NEW',
+      timeInForce: p.timeInForce || 'GTC',
+      reduceOnly: reduceOnly || closePosition,
+      closePosition,
+      workingType: p.workingType || 'CONTRACT_PRICE',
+      clientOrderId: p.newClientOrderId || `mock_${crypto.randomBytes(8).toString('hex')}`,
+      time: now,
+      updateTime: now,
+      realizedPnl: 0,
+      commission: 0
+    };
+    this.orders.set(order.orderId, order);
+    this._emitOrderUpdate(order, 'NEW');
+
+    if (type === 'MARKET') {
+      this._fill(order, current, false);
+    } else if (type === 'LIMIT' && ((side === 'BUY' && current <= price) || (side === 'SELL' && current >= price))) {
+      // Marketable limit: taker fill at the current price
+      this._fill(order, current, false);
+    }
+    return this._orderResponse(order);
+  }
+
+  _findOrder(p) {
+    const symbol = this._requireSymbol(p.symbol);
+    let order = null;
+    if (p.orderId !== undefined) {
+      order = this.orders.get(Number(p.orderId));
+    } else if (p.origClientOrderId) {
+      order = Array.from(this.orders.values()).find(o => o.clientOrderId === p.origClientOrderId) || null;
+    } else {
+      throw new BinanceApiError(-1102, "Param 'origClientOrderId' or 'orderId' must be sent, but both were empty/null!");
+    }
+    return order && order.symbol === symbol ? order : null;
+  }
+
+  _queryOrder(p) {
+    const order = this._findOrder(p);
+    if (!order) throw new BinanceApiError(-2013);
+    return this._orderResponse(order);
+  }
+
+  _cancelOrder(p) {
+    const order = this._findOrder(p);
+    if (!order || !this._isOpen(order)) throw new BinanceApiError(-2011);
+    this._finish(order, 'CANCELED');
+    return this._orderResponse(order);
+  }
+
+  _openOrders(p) {
+    const symbol = p.symbol ? this._requireSymbol(p.symbol) : null;
+    return Array.from(this.orders.values())
+      .filter(o => this._isOpen(o) && (!symbol || o.symbol === symbol))
+      .map(o => this._orderResponse(o));
+  }
+
+  _cancelAllOpenOrders(p) {
+    const symbol = this._requireSymbol(p.symbol);
+    for (const o of this.orders.values()) {
+      if (this._isOpen(o) && o.symbol === symbol) this._finish(o, 'CANCELED');
+    }
+    return { code: 200, msg: 'The operation of cancel all open order is done.' };
+  }
+
+  _isOpen(order) {
+    return order.status === 'NEW' || order.status === 'PARTIALLY_FILLED';
+  }
+
+  _opensExposure(symbol, side, positionSide) {
+    if (positionSide === 'LONG') return side === 'BUY';
+    if (positionSide === 'SHORT') return side === 'SELL';
+    const pos = this.positions.get(`${symbol}|BOTH`);
+    if (!pos || pos.amt === 0) return true;
+    return (pos.amt > 0 && side === 'BUY') || (pos.amt < 0 && side === 'SELL');
+  }
+
+  _isTriggered(order, price) {
+    if (order.type === 'STOP_MARKET') {
+      return order.side === 'BUY' ? price >= order.stopPrice : price <= order.stopPrice;
+    }
+    if (order.type === 'TAKE_PROFIT_MARKET') {
+      return order.side === 'BUY' ? price <= order.stopPrice : price >= order.stopPrice;
+    }
+    if (order.type === 'LIMIT') {
+      return order.side === 'BUY' ? price <= order.price : price >= order.price;
+    }
+    return false;
+  }
+
+  _fillPriceFor(order) {
+    return order.type === 'LIMIT' ? order.price : this.prices.get(order.symbol);
+  }
+
+  _matchOrders(symbol) {
+    const price = this.prices.get(symbol);
+    const candidates = Array.from(this.orders.values())
+      .filter(o => o.symbol === symbol && this._isOpen(o))
+      .sort((a, b) => a.orderId - b.orderId);
+    for (const order of candidates) {
+      // A previous fill in this loop may have expired siblings
+      if (!this._isOpen(order)) continue;
+      if (!this._isTriggered(order, price)) continue;
+      this._fill(order, this._fillPriceFor(order), order.type === 'LIMIT');
+    }
+  }
+
+  _closeQuantity(order) {
+    const pos = this.positions.get(`${order.symbol}|${order.positionSide}`);
+    if (!pos) return 0;
+    // Close side must oppose the position
+    if (order.positionSide === 'BOTH' && ((pos.amt > 0 && order.side === 'BUY') || (pos.amt < 0 && order.side === 'SELL'))) return 0;
+    return Math.abs(pos.amt);
+  }
+
+  _fill(order, price, isMaker) {
+    let qty = order.origQty;
+    if (order.closePosition || order.reduceOnly) {
+      const closable = this._closeQuantity(order);
+      qty = order.closePosition ? closable : Math.min(qty, closable);
+      if (!(qty > 0)) {
+        this._finish(order, 'EXPIRED');
+        return;
+      }
+    }
+
+    const feeRate = isMaker ? this.makerFeeRate : this.takerFeeRate;
+    const commission = qty * price * feeRate;
+    const realizedPnl = this._applyFill(order, qty, price);
+    this.balance += realizedPnl - commission;
+
+    order.executedQty = qty;
+    if (order.closePosition) order.origQty = qty;
+    order.avgPrice = price;
+    order.cumQuote = qty * price;
+    order.realizedPnl = realizedPnl;
+    order.commission = commission;
+    order.status = 'FILLED';
+    order.updateTime = this._serverTime();
+
+    this.trades.push({
+      id: this._nextTradeId++,
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      positionSide: order.positionSide,
+      price: fmt(price),
+      qty: fmt(qty),
+      quoteQty: fmt(qty * price),
+      realizedPnl: fmt(realizedPnl),
+      commission: fmt(commission),
+      commissionAsset: 'USDT',
+      maker: !!isMaker,
+      buyer: order.side === 'BUY',
+      time: order.updateTime
+    });
+
+    this._emitOrderUpdate(order, 'TRADE', { lastQty: qty, lastPrice: price, commission, isMaker });
+    this._emitAccountUpdate(order.symbol);
+
+    // Position closed: remaining closePosition/reduceOnly orders for that side can no longer execute
+    if (!this.positions.has(`${order.symbol}|${order.positionSide}`)) {
+      for (const other of this.orders.values()) {
+        if (other !== order && other.symbol === order.symbol && other.positionSide === order.positionSide &&
+            this._isOpen(other) && (other.closePosition || other.reduceOnly)) {
+          this._finish(other, 'EXPIRED');
+        }
+      }
+    }
+  }
+
+  /**
+   * Apply a fill to the position book; returns realized PnL
+   */
+  _applyFill(order, qty, price) {
+    const key = `${order.symbol}|${order.positionSide}`;
+    const pos = this.positions.get(key) || { amt: 0, entryPrice: 0 };
+    const signedQty = order.side === 'BUY' ? qty : -qty;
+    let realized = 0;
+
+    if (pos.amt === 0 || Math.sign(pos.amt) === Math.sign(signedQty)) {
+      const newAmt = pos.amt + signedQty;
+      pos.entryPrice = (Math.abs(pos.amt) * pos.entryPrice + qty * price) / Math.abs(newAmt);
+      pos.amt = newAmt;
+    } else {
+      const closing = Math.min(Math.abs(pos.amt), qty);
+      realized = (price - pos.entryPrice) * closing * Math.sign(pos.amt);
+      const newAmt = pos.amt + signedQty;
+      if (Math.abs(newAmt) < 1e-12) {
+        pos.amt = 0;
+        pos.entryPrice = 0;
+      } else if (Math.sign(newAmt) !== Math.sign(pos.amt)) {
+        // Flipped through zero (one-way mode)
+        pos.amt = newAmt;
+        pos.entryPrice = price;
+      } else {
+        pos.amt = newAmt;
+      }
+    }
+    pos.updateTime = this._serverTime();
+
+    if (pos.amt === 0) this.positions.delete(key);
+    else this.positions.set(key, pos);
+    return realized;
+  }
+
+  _finish(order, status) {
+    order.status = status;
+    order.updateTime = this._serverTime();
+    this._emitOrderUpdate(order, status);
+  }
+
+  _orderResponse(order) {
+    return {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      status: order.status,
+      clientOrderId: order.clientOrderId,
+      price: fmt(order.price),
+      avgPrice: fmt(order.avgPrice),
+      origQty: fmt(order.origQty),
+      executedQty: fmt(order.executedQty),
+      cumQty: fmt(order.executedQty),
+      cumQuote: fmt(order.cumQuote),
+      timeInForce: order.timeInForce,
+      type: order.type,
+      reduceOnly: order.reduceOnly,
+      closePosition: order.closePosition,
+      side: order.side,
+      positionSide: order.positionSide,
+      stopPrice: fmt(order.stopPrice),
+      workingType: order.workingType,
+      priceProtect: false,
+      origType: order.origType,
+      time: order.time,
+      updateTime: order.updateTime
+    };
+  }
+
+  // --- WebSocket ---
+
+  _handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (url.pathname === '/stream') {
+      const streams = new Set(String(url.searchParams.get('streams') || '').split('/').filter(Boolean));
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        const sub = { ws, streams };
+        this.marketSockets.add(sub);
+        ws.on('close', () => this.marketSockets.delete(sub));
+        // Initial snapshot so caches warm up like the real stream
+        for (const symbol of this.prices.keys()) {
+          if (streams.has(`${symbol.toLowerCase()}@bookTicker`)) this._pushBookTicker(symbol, sub);
+        }
+      });
+      return;
+    }
+
+    const match = url.pathname.match(/^\/ws\/(.+)$/);
+    if (match && this.listenKeys.has(match[1])) {
+      const listenKey = match[1];
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        if (!this.userSockets.has(listenKey)) this.userSockets.set(listenKey, new Set());
+        this.userSockets.get(listenKey).add(ws);
+        ws.on('close', () => this.userSockets.get(listenKey)?.delete(ws));
+      });
+      return;
+    }
+
+    socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
+    socket.destroy();
+  }
+
+  _createListenKey() {
+    // Binance returns the same key while it is valid
+    if (this.listenKeys.size === 0) this.listenKeys.add(crypto.randomBytes(32).toString('hex'));
+    return { listenKey: Array.from(this.listenKeys)[0] };
+  }
+
+  _deleteListenKey(p) {
+    const key = p.listenKey || Array.from(this.listenKeys)[0];
+    this.listenKeys.delete(key);
+    for (const ws of this.userSockets.get(key) || []) ws.close();
+    this.userSockets.delete(key);
+    return {};
+  }
+
+  _send(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+  }
+
+  _pushBookTicker(symbol, only = null) {
+    const stream = `${symbol.toLowerCase()}@bookTicker`;
+    const price = String(this.prices.get(symbol));
+    const now = Date.now();
+    const data = { e: 'bookTicker', u: this._lastUpdateId++, s: symbol, b: price, B: '1', a: price, A: '1', T: now, E: now };
+    const targets = only ? [only] : Array.from(this.marketSockets);
+    for (const sub of targets) {
+      if (sub.streams.has(stream)) this._send(sub.ws, { stream, data });
+    }
+  }
+
+  _emitOrderUpdate(order, execType, fill = null) {
+    const now = this._serverTime();
+    this.pushUserEvent({
+      e: 'ORDER_TRADE_UPDATE',
+      E: now,
+      T: now,
+      o: {
+        s: order.symbol,
+        c: order.clientOrderId,
+        S: order.side,
+        o: order.type,
+        f: order.timeInForce,
+        q: fmt(order.origQty),
+        p: fmt(order.price),
+        ap: fmt(order.avgPrice),
+        sp: fmt(order.stopPrice),
+        x: execType,
+        X: order.status,
+        i: order.orderId,
+        l: fmt(fill?.lastQty || 0),
+        z: fmt(order.executedQty),
+        L: fmt(fill?.lastPrice || 0),
+        N: 'USDT',
+        n: fmt(fill?.commission || 0),
+        T: now,
+        t: fill ? this._nextTradeId - 1 : 0,
+        b: '0',
+        a: '0',
+        m: !!fill?.isMaker,
+        R: order.reduceOnly,
+        wt: order.workingType,
+        ot: order.origType,
+        ps: order.positionSide,
+        cp: order.closePosition,
+        rp: fmt(order.realizedPnl),
+        pP: false,
+        si: 0,
+        ss: 0
+      }
+    });
+  }
+
+  _emitAccountUpdate(symbol) {
+    const now = this._serverTime();
+    const sides = this.dualSidePosition ? ['LONG', 'SHORT'] : ['BOTH'];
+    this.pushUserEvent({
+      e: 'ACCOUNT_UPDATE',
+      E: now,
+      T: now,
+      a: {
+        m: 'ORDER',
+        B: [{ a: 'USDT', wb: fmt(this.balance), cw: fmt(this.balance), bc: '0' }],
+        P: sides.map((ps) => {
+          const pos = this.positions.get(`${symbol}|${ps}`) || { amt: 0, entryPrice: 0 };
+          return {
+            s: symbol,
+            pa: fmt(pos.amt),
+            ep: fmt(pos.entryPrice),
+            bep: fmt(pos.entryPrice),
+            cr: '0',
+            up: fmt((this.prices.get(symbol) - pos.entryPrice) * pos.amt),
+            mt: 'cross',
+            iw: '0',
+            ps
+          };
+        })
+      }
+    });
+  }
+}
+
+function fmt(n) {
+  const v = Number(n) || 0;
+  return String(Number(v.toFixed(8)));
+}
+
+function precisionOf(increment) {
+  const s = String(increment);
+  if (!s.includes('.')) return 0;
+  return s.split('.')[1].replace(/0+$/, '').length;
+}
+
+function isMultipleOf(value, step) {
+  if (!(step > 0)) return true;
+  const n = value / step;
+  return Math.abs(n - Math.round(n)) < 1e-6;
+}
+
+export default MockBinanceFuturesServer;
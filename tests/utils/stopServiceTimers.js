@@ -0,0 +1,22 @@
+import { webSocketManager } from '../../src/services/WebSocketManager.js';
+import { mexcPriceWs } from '../../src/services/MexcWebSocketManager.js';
+import { bybitPriceWs } from '../../src/services/BybitWebSocketManager.js';
+import { gatePriceWs } from '../../src/services/GateWebSocketManager.js';
+import { exchangeInfoService } from '../../src/services/ExchangeInfoService.js';
+import { orderStatusCache } from '../../src/services/OrderStatusCache.js';
+import { realtimeOCDetector } from '../../src/services/RealtimeOCDetector.js';
+
+/**
+ * Stop the cleanup timers that service singletons start when they are imported
+ * (price stream caches, exchange info, order status and OC detector caches), so a test file
+ * that loads them exits without --forceExit. Call it from afterAll.
+ */
+export function stopServiceTimers() {
+  webSocketManager.disconnect();
+  mexcPriceWs.disconnect();
+  bybitPriceWs.disconnect();
+  gatePriceWs.disconnect();
+  exchangeInfoService.destroy();
+  orderStatusCache.stopCleanupTimer();
+  realtimeOCDetector.stopCacheCleanup();
+}